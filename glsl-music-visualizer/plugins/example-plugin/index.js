@@ -0,0 +1,101 @@
+/**
+ * Spectrum Rings Plugin
+ * Example visualizer plugin for the GLSL music visualizer
+ * Location: plugins/example-plugin/index.js
+ *
+ * The default export is the plugin setup function. PluginLoader calls it with
+ * the host API and registers the returned classes named in plugin.json.
+ * Visualizers extend api.BaseVisualizer, the host's own base class.
+ */
+
+export default function setup(api) {
+    const { BaseVisualizer, MathUtils, shaderManager, shaders } = api;
+    
+    const PROGRAM_NAME = 'example-plugin:rings';
+    
+    class SpectrumRingsVisualizer extends BaseVisualizer {
+        constructor(name, config = {}) {
+            super(name, config);
+            
+            this.quadBuffer = null;
+            this.beatPulse = 0;
+            this.resolution = [1, 1];
+        }
+        
+        async initialize(gl, canvas, integrations) {
+            await this.initializeBase(gl, canvas, integrations);
+            
+            const program = await shaderManager.loadShaderProgram(
+                shaders.ringsVertex,
+                shaders.ringsFragment,
+                {},
+                PROGRAM_NAME
+            );
+            this.shaders.programs.set('rings', program);
+            
+            // Fullscreen triangle strip
+            this.quadBuffer = gl.createBuffer();
+            gl.bindBuffer(gl.ARRAY_BUFFER, this.quadBuffer);
+            gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]), gl.STATIC_DRAW);
+            
+            this.resize(canvas.width, canvas.height);
+        }
+        
+        update(deltaTime, audioData) {
+            this.updateBase(deltaTime, audioData);
+            
+            // Flash on beats, then decay
+            this.beatPulse = this.state.beatDetected ? 1.0 : Math.max(0, this.beatPulse - deltaTime * 4.0);
+        }
+        
+        render(deltaTime, renderState) {
+            if (!this.state.isInitialized || !this.state.isActive) return;
+            
+            this.renderBase(deltaTime, renderState);
+            
+            const gl = this.gl;
+            const features = this.audioData.features;
+            const reactivity = this.config.audioReactivity;
+            const uniform = name => shaderManager.getUniformLocation(PROGRAM_NAME, name);
+            
+            shaderManager.useProgram(PROGRAM_NAME);
+            
+            gl.bindBuffer(gl.ARRAY_BUFFER, this.quadBuffer);
+            const position = shaderManager.getAttributeLocation(PROGRAM_NAME, 'a_position');
+            if (position >= 0) {
+                gl.enableVertexAttribArray(position);
+                gl.vertexAttribPointer(position, 2, gl.FLOAT, false, 0, 0);
+            }
+            
+            gl.uniform2f(uniform('u_resolution'), this.resolution[0], this.resolution[1]);
+            gl.uniform1f(uniform('u_time'), this.state.animationTime);
+            gl.uniform1f(uniform('u_ringCount'), this.config.ringCount || 12);
+            gl.uniform1f(uniform('u_ringWidth'), this.config.ringWidth || 0.35);
+            gl.uniform3fv(uniform('u_colorA'), this.config.colorA || [0.0, 0.96, 1.0]);
+            gl.uniform3fv(uniform('u_colorB'), this.config.colorB || [1.0, 0.2, 0.6]);
+            
+            gl.uniform1f(uniform('u_audioEnergy'), MathUtils.clamp(features.energy * reactivity, 0, 1));
+            gl.uniform1f(uniform('u_bassLevel'), MathUtils.clamp(features.bass * reactivity, 0, 1));
+            gl.uniform1f(uniform('u_midLevel'), MathUtils.clamp(features.mid * reactivity, 0, 1));
+            gl.uniform1f(uniform('u_trebleLevel'), MathUtils.clamp(features.treble * reactivity, 0, 1));
+            gl.uniform1f(uniform('u_beatPulse'), this.beatPulse);
+            
+            gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+        }
+        
+        resize(width, height) {
+            this.resolution = [width, height];
+        }
+        
+        dispose() {
+            if (this.gl && this.quadBuffer) {
+                this.gl.deleteBuffer(this.quadBuffer);
+                this.quadBuffer = null;
+            }
+            
+            super.dispose();
+        }
+    }
+    
+    return { SpectrumRingsVisualizer };
+}
@@ -0,0 +1,49 @@
+/**
+ * Spectrum Rings Fragment Shader
+ * Concentric rings modulated by the audio bands
+ * Location: plugins/example-plugin/shaders/rings.frag
+ *
+ * Ring spacing breathes with the bass, ring brightness follows the mid band
+ * and a fine ripple follows the treble. Beats flash the whole field.
+ */
+
+// Automatic version handling by ShaderManager
+
+precision highp float;
+
+// ===== UNIFORMS =====
+uniform vec2 u_resolution;       // Viewport size in pixels
+uniform float u_time;            // Animation time in seconds
+uniform float u_ringCount;       // Number of visible rings
+uniform float u_ringWidth;       // Ring thickness as a fraction of spacing
+uniform vec3 u_colorA;           // Inner ring color
+uniform vec3 u_colorB;           // Outer ring color
+
+uniform float u_audioEnergy;     // Overall energy [0-1]
+uniform float u_bassLevel;       // Bass level [0-1]
+uniform float u_midLevel;        // Mid level [0-1]
+uniform float u_trebleLevel;     // Treble level [0-1]
+uniform float u_beatPulse;       // Decaying beat flash [0-1]
+
+// ===== VARYINGS =====
+varying vec2 v_uv;
+
+void main() {
+    // Aspect-corrected distance from the center
+    vec2 p = (v_uv - 0.5) * vec2(u_resolution.x / max(u_resolution.y, 1.0), 1.0);
+    float r = length(p) * 2.0;
+
+    // Rings drift outwards, spacing widens with the bass
+    float spacing = 1.0 / (u_ringCount * (1.0 - u_bassLevel * 0.4));
+    float ripple = sin(atan(p.y, p.x) * 24.0 + u_time * 3.0) * u_trebleLevel * 0.01;
+    float phase = fract((r + ripple - u_time * 0.1) / spacing);
+
+    float halfWidth = u_ringWidth * 0.5;
+    float ring = 1.0 - smoothstep(halfWidth * 0.7, halfWidth, abs(phase - 0.5));
+
+    vec3 color = mix(u_colorA, u_colorB, clamp(r, 0.0, 1.0));
+    float brightness = ring * (0.4 + u_midLevel * 1.2) * (1.0 - smoothstep(0.8, 1.4, r));
+    brightness += u_beatPulse * 0.25 * (1.0 - r);
+
+    gl_FragColor = vec4(color * brightness * (1.0 + u_audioEnergy), 1.0);
+}
@@ -0,0 +1,16 @@
+/**
+ * Spectrum Rings Vertex Shader
+ * Fullscreen triangle strip for the example plugin
+ * Location: plugins/example-plugin/shaders/rings.vert
+ */
+
+// Automatic version handling by ShaderManager
+
+attribute vec2 a_position;       // Clip-space position [-1, 1]
+
+varying vec2 v_uv;               // Texture coordinates [0, 1]
+
+void main() {
+    v_uv = a_position * 0.5 + 0.5;
+    gl_Position = vec4(a_position, 0.0, 1.0);
+}
@@ -0,0 +1,186 @@
+/**
+ * Analysis Replay
+ * Plays a pre-computed analysis track in sync with a media clock
+ * Location: src/audio/AnalysisReplay.js
+ *
+ * Produces audio data in the AudioEngine.getAudioData layout from an AnalysisTrack.
+ * Beat, onset and downbeat events between two updates are never dropped, whatever the
+ * render frame rate, and seeks/scrubs are flagged with `seeked` so consumers can reset
+ * history. `bar` and `phrase` follow the BeatDetector layout; a phrase start on a
+ * skipped downbeat is reported with that downbeat.
+ *
+ * When the track summary holds song structure (OfflineAnalyzer), `structure` follows
+ * the StructureAnalyzer layout with exact boundaries: no detection latency, and a drop
+ * is announced dropLead seconds before it starts.
+ */
+
+import { MathUtils } from '../utils/MathUtils.js';
+import { AnalysisTrack } from './AnalysisTrack.js';
+
+export class AnalysisReplay {
+    /**
+     * @param {AnalysisTrack|Object} track - Analysis track or serialized track data
+     * @param {Object} options - Replay options
+     */
+    constructor(track, options = {}) {
+        this.track = AnalysisTrack.decode(track);
+        
+        // Configuration
+        this.config = {
+            seekThreshold: 0.25,       // Forward jumps larger than this (seconds) count as seeks
+            dropLead: 4,               // Seconds of warning before a drop section
+            ...options
+        };
+        
+        // Playback state
+        this.lastTime = null;
+        this.pendingSeek = false;
+        this.audioData = {};
+    }
+    
+    /**
+     * Advance the replay to a media time
+     * @param {number} time - Current media time in seconds
+     * @param {Object} target - Object to write into (defaults to internal audio data)
+     * @returns {Object} Audio data for this time
+     */
+    update(time, target = this.audioData) {
+        const track = this.track;
+        const lastTime = this.lastTime;
+        const seeked = this.pendingSeek || (lastTime !== null &&
+            (time < lastTime || time - lastTime > this.config.seekThreshold));
+        
+        track.sample(time, target);
+        
+        // Collect events that happened since the previous update
+        if (lastTime !== null && !seeked) {
+            const beatFrame = track.findEvent('beat', lastTime, time);
+            target.beat = beatFrame >= 0;
+            target.onset = track.findEvent('onset', lastTime, time) >= 0;
+            
+            if (target.beat) {
+                target.beatStrength = track.scalars.beatStrength[beatFrame];
+            }
+            
+            const downbeatFrame = track.findEvent('downbeat', lastTime, time);
+            target.downbeat = downbeatFrame >= 0;
+            
+            if (target.bar) {
+                target.bar.isDownbeat = target.downbeat;
+                if (target.downbeat) {
+                    target.phrase.boundary = track.bars.phraseBoundary[downbeatFrame];
+                }
+            }
+        }
+        
+        this.updateStructure(time, lastTime, seeked, target);
+        
+        if (target.frequencyData && target.spectrum) {
+            this.expandSpectrum(target.spectrum, target.frequencyData, target.frequencyDataDb);
+        }
+        
+        target.seeked = seeked;
+        this.lastTime = time;
+        this.pendingSeek = false;
+        
+        return target;
+    }
+    
+    /**
+     * Current section, section changes and drop warnings from the track's structure
+     * @param {number} time - Media time in seconds
+     * @param {number|null} lastTime - Media time of the previous update
+     * @param {boolean} seeked - Whether the playback jumped
+     * @param {Object} target - Audio data to write `structure` into
+     */
+    updateStructure(time, lastTime, seeked, target) {
+        const structure = this.track.summary.structure;
+        if (!structure || !structure.sections || structure.sections.length === 0) {
+            target.structure = null;
+            return;
+        }
+        
+        const sections = structure.sections;
+        let index = 0;
+        while (index < sections.length - 1 && sections[index + 1].start <= time) {
+            index++;
+        }
+        const section = sections[index];
+        const continuous = lastTime !== null && !seeked;
+        
+        // Next drop within the warning time
+        const lead = this.config.dropLead;
+        const drop = sections.find(candidate => candidate.label === 'drop' && candidate.start > time);
+        let dropIncoming = null;
+        let dropPredicted = false;
+        if (drop && drop.start - time <= lead) {
+            dropIncoming = {
+                time: drop.start,
+                eta: drop.start - time,
+                confidence: drop.confidence
+            };
+            dropPredicted = !continuous || drop.start - lastTime > lead;
+        }
+        
+        target.structure = {
+            section: { index, ...section },
+            sectionChanged: continuous && index > 0 && section.start > lastTime,
+            novelty: 0,
+            buildup: 0,
+            dropIncoming,
+            dropPredicted,
+            latency: 0
+        };
+    }
+    
+    /**
+     * Expand the stored low-resolution spectrum to full analyser resolution
+     * @param {Float32Array} spectrum - Downsampled spectrum
+     * @param {Float32Array} frequencyData - Linear output spectrum
+     * @param {Float32Array} frequencyDataDb - Decibel output spectrum (optional)
+     */
+    expandSpectrum(spectrum, frequencyData, frequencyDataDb = null) {
+        const scale = spectrum.length / frequencyData.length;
+        
+        for (let i = 0; i < frequencyData.length; i++) {
+            const position = Math.max(0, (i + 0.5) * scale - 0.5);
+            const index = Math.floor(position);
+            const next = Math.min(index + 1, spectrum.length - 1);
+            
+            frequencyData[i] = MathUtils.lerp(spectrum[index], spectrum[next], position - index);
+            
+            if (frequencyDataDb) {
+                frequencyDataDb[i] = MathUtils.amplitudeToDb(frequencyData[i]);
+            }
+        }
+    }
+    
+    /**
+     * Jump to a media time; the next update is reported as a seek
+     * @param {number} time - Target time in seconds
+     */
+    seek(time) {
+        this.lastTime = MathUtils.clamp(time, 0, this.track.duration);
+        this.pendingSeek = true;
+    }
+    
+    /**
+     * Reset playback state
+     */
+    reset() {
+        this.lastTime = null;
+        this.pendingSeek = false;
+    }
+    
+    /**
+     * Get replay status
+     * @returns {Object} Status
+     */
+    getStatus() {
+        return {
+            track: this.track.getInfo(),
+            currentTime: this.lastTime,
+            config: { ...this.config }
+        };
+    }
+}
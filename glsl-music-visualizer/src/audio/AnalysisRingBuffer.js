@@ -0,0 +1,143 @@
+/**
+ * Analysis Ring Buffer
+ * Lock-free single-writer/single-reader frame ring over SharedArrayBuffers
+ * Location: src/audio/AnalysisRingBuffer.js
+ *
+ * The analysis worklet writes one frame per hop (levels plus the magnitude
+ * spectrum) and the main thread drains them once per animation frame. The writer
+ * publishes a frame by bumping the write count after the data is in place; the
+ * reader re-checks the count after copying, so a slot the writer lapped while it
+ * was being read is dropped instead of handed out half-written.
+ *
+ * Frame layout (Float32): [rms, bass, mid, treble, magnitude[0..binCount)]
+ * The sample index of the last sample in each frame's window is kept in a
+ * parallel Float64 array, so frame times are exact to the sample.
+ */
+
+// Header slots (Int32)
+export const RING_HEADER = {
+    WRITE_COUNT: 0,
+    LENGTH: 1
+};
+
+// Offsets of the level fields inside a frame
+export const FRAME_FIELDS = {
+    RMS: 0,
+    BASS: 1,
+    MID: 2,
+    TREBLE: 3,
+    MAGNITUDE: 4
+};
+
+export class AnalysisRingBuffer {
+    /**
+     * @param {Object} options - Ring options
+     * @param {number} options.capacity - Frames held before the oldest is overwritten
+     * @param {number} options.binCount - Magnitude bins per frame
+     */
+    constructor(options = {}) {
+        this.capacity = options.capacity || 64;
+        this.binCount = options.binCount || 2048;
+        this.stride = FRAME_FIELDS.MAGNITUDE + this.binCount;
+        
+        this.buffers = {
+            header: new SharedArrayBuffer(RING_HEADER.LENGTH * Int32Array.BYTES_PER_ELEMENT),
+            frames: new SharedArrayBuffer(this.capacity * this.stride * Float32Array.BYTES_PER_ELEMENT),
+            positions: new SharedArrayBuffer(this.capacity * Float64Array.BYTES_PER_ELEMENT)
+        };
+        
+        this.header = new Int32Array(this.buffers.header);
+        this.frames = new Float32Array(this.buffers.frames);
+        this.positions = new Float64Array(this.buffers.positions);
+        
+        // Reader state
+        this.readCount = 0;
+        this.droppedFrames = 0;
+        this.frame = new Float32Array(this.stride);
+    }
+    
+    /**
+     * Whether memory can be shared with the audio thread
+     * Needs SharedArrayBuffer and, in browsers, a cross-origin isolated page
+     */
+    static isSupported() {
+        if (typeof SharedArrayBuffer === 'undefined' || typeof Atomics === 'undefined') {
+            return false;
+        }
+        return typeof crossOriginIsolated === 'undefined' || crossOriginIsolated === true;
+    }
+    
+    /**
+     * Buffers and layout handed to the writer through processorOptions
+     */
+    getLayout() {
+        return {
+            capacity: this.capacity,
+            binCount: this.binCount,
+            stride: this.stride,
+            buffers: { ...this.buffers }
+        };
+    }
+    
+    /**
+     * Frames written but not read yet
+     */
+    available() {
+        return Atomics.load(this.header, RING_HEADER.WRITE_COUNT) - this.readCount;
+    }
+    
+    /**
+     * Read every pending frame in order
+     * The frame array passed to the callback is reused; copy what must be kept.
+     * @param {Function} callback - Called with (frame, sampleIndex) per frame
+     * @returns {number} Frames read
+     */
+    drain(callback) {
+        const writeCount = Atomics.load(this.header, RING_HEADER.WRITE_COUNT);
+        let read = 0;
+        
+        // The reader fell a whole ring behind: skip to the oldest frame still held
+        if (writeCount - this.readCount > this.capacity) {
+            this.droppedFrames += writeCount - this.readCount - this.capacity;
+            this.readCount = writeCount - this.capacity;
+        }
+        
+        while (this.readCount < writeCount) {
+            const slot = this.readCount % this.capacity;
+            const offset = slot * this.stride;
+            
+            this.frame.set(this.frames.subarray(offset, offset + this.stride));
+            const sampleIndex = this.positions[slot];
+            
+            // Lapped while copying: the slot may hold a newer frame
+            const latest = Atomics.load(this.header, RING_HEADER.WRITE_COUNT);
+            if (latest - this.readCount >= this.capacity) {
+                this.droppedFrames++;
+                this.readCount++;
+                continue;
+            }
+            
+            this.readCount++;
+            read++;
+            callback(this.frame, sampleIndex);
+        }
+        
+        return read;
+    }
+    
+    /**
+     * Discard pending frames (after a seek or a source change)
+     */
+    skip() {
+        this.readCount = Atomics.load(this.header, RING_HEADER.WRITE_COUNT);
+    }
+    
+    getStatus() {
+        return {
+            capacity: this.capacity,
+            binCount: this.binCount,
+            pending: this.available(),
+            droppedFrames: this.droppedFrames
+        };
+    }
+}
@@ -0,0 +1,540 @@
+/**
+ * Analysis Track
+ * Versioned, serializable container for pre-computed per-frame audio analysis
+ * Location: src/audio/AnalysisTrack.js
+ *
+ * Stores OfflineAnalyzer output column-wise and serializes it to a compact binary
+ * file or to JSON. Frames are sampled by media time with the same field names as
+ * AudioEngine.getAudioData, so replayed data is interchangeable with live analysis.
+ *
+ * Version 2 adds the downbeat flag and the bar/phrase columns behind `bar` and
+ * `phrase`; version 1 tracks still load and sample them as null.
+ */
+
+import { MathUtils } from '../utils/MathUtils.js';
+
+export const ANALYSIS_TRACK_FORMAT = 'glsl-music-visualizer/analysis-track';
+export const ANALYSIS_TRACK_VERSION = 2;
+
+// 'GMVA' read as a little-endian uint32
+const BINARY_MAGIC = 0x41564D47;
+const BINARY_HEADER_SIZE = 12;
+
+// Per-frame continuous values (interpolated between frames)
+const SCALAR_FIELDS = [
+    'bassLevel', 'midLevel', 'trebleLevel',
+    'energy', 'rms', 'zcr',
+    'spectralCentroid', 'spectralRolloff', 'spectralFlux',
+    'bpm', 'beatStrength', 'beatPhase', 'pitch'
+];
+
+// Per-frame event flags (stored as bits, never interpolated)
+const FLAG_FIELDS = ['beat', 'onset', 'downbeat'];
+
+// Per-frame bar and phrase position (version 2), from the BeatDetector's bar and phrase output
+const BAR_FIELDS = {
+    barCount: frame => frame.bar.count,
+    beatInBar: frame => frame.bar.beatInBar,
+    beatsPerBar: frame => frame.bar.beatsPerBar,
+    barPhase: frame => frame.bar.phase,
+    barConfidence: frame => frame.bar.confidence,
+    phraseBoundary: frame => frame.phrase.boundary,
+    phraseAnchor: frame => frame.phrase.anchor,
+    phraseConfidence: frame => frame.phrase.confidence,
+    phraseNovelty: frame => frame.phrase.novelty
+};
+
+// Phrase lengths (bars) of tracks that do not list them
+const DEFAULT_PHRASE_LENGTHS = [4, 8, 16];
+
+// Per-frame vectors with their default sizes
+const VECTOR_FIELDS = {
+    harmonics: 8,
+    chroma: 12,
+    mfcc: 13,
+    spectrum: 64
+};
+
+export class AnalysisTrack {
+    /**
+     * @param {Object} header - Track header (timing, summary, metadata, vector sizes)
+     * @param {Object} columns - Column data { scalars, vectors, flags }
+     */
+    constructor(header, columns) {
+        this.version = header.version || ANALYSIS_TRACK_VERSION;
+        this.sampleRate = header.sampleRate;
+        this.fftSize = header.fftSize;
+        this.hopSize = header.hopSize;
+        this.frameRate = header.frameRate || header.sampleRate / header.hopSize;
+        this.duration = header.duration;
+        this.frameCount = header.frameCount;
+        this.vectorSizes = { ...VECTOR_FIELDS, ...header.vectorSizes };
+        this.phraseLengths = header.phraseLengths || DEFAULT_PHRASE_LENGTHS;
+        this.summary = header.summary || {};
+        this.metadata = header.metadata || {};
+        
+        // Column storage
+        this.scalars = columns.scalars;
+        this.vectors = columns.vectors;
+        this.bars = columns.bars;
+        this.flags = columns.flags;
+    }
+    
+    /**
+     * Create a track from OfflineAnalyzer output
+     * @param {Object} analysis - Result of OfflineAnalyzer.analyze
+     * @param {Object} metadata - Additional metadata (file name, etc.)
+     * @returns {AnalysisTrack} Analysis track
+     */
+    static fromAnalysis(analysis, metadata = {}) {
+        const { frames, frameCount } = analysis;
+        const vectorSizes = {};
+        
+        Object.keys(VECTOR_FIELDS).forEach(name => {
+            const first = frames.find(frame => frame[name]);
+            vectorSizes[name] = first ? first[name].length : VECTOR_FIELDS[name];
+        });
+        
+        const columns = AnalysisTrack.createColumns(frameCount, vectorSizes);
+        
+        for (let i = 0; i < frameCount; i++) {
+            const frame = frames[i];
+            
+            SCALAR_FIELDS.forEach(name => {
+                columns.scalars[name][i] = frame[name] || 0;
+            });
+            
+            Object.keys(vectorSizes).forEach(name => {
+                if (frame[name]) {
+                    columns.vectors[name].set(frame[name], i * vectorSizes[name]);
+                }
+            });
+            
+            // Frames without bar tracking keep beatsPerBar at 0
+            if (frame.bar && frame.phrase) {
+                Object.entries(BAR_FIELDS).forEach(([name, read]) => {
+                    columns.bars[name][i] = read(frame) || 0;
+                });
+            }
+            
+            columns.flags[i] = FLAG_FIELDS.reduce((bits, name, bit) => {
+                return frame[name] ? bits | (1 << bit) : bits;
+            }, 0);
+        }
+        
+        return new AnalysisTrack({
+            version: ANALYSIS_TRACK_VERSION,
+            sampleRate: analysis.sampleRate,
+            fftSize: analysis.fftSize,
+            hopSize: analysis.hopSize,
+            frameRate: analysis.frameRate,
+            duration: analysis.duration,
+            frameCount,
+            vectorSizes,
+            phraseLengths: analysis.phraseLengths,
+            summary: analysis.summary,
+            metadata: {
+                createdAt: new Date().toISOString(),
+                ...metadata
+            }
+        }, columns);
+    }
+    
+    /**
+     * Decode a track from any supported representation
+     * @param {AnalysisTrack|ArrayBuffer|ArrayBufferView|string|Object} data - Serialized track or analysis result
+     * @returns {AnalysisTrack} Analysis track
+     */
+    static decode(data) {
+        if (data instanceof AnalysisTrack) {
+            return data;
+        }
+        
+        if (data instanceof ArrayBuffer || ArrayBuffer.isView(data)) {
+            return AnalysisTrack.fromBinary(data);
+        }
+        
+        if (typeof data === 'string') {
+            return AnalysisTrack.fromJSON(data);
+        }
+        
+        if (data && Array.isArray(data.frames)) {
+            return AnalysisTrack.fromAnalysis(data);
+        }
+        
+        if (data && data.format === ANALYSIS_TRACK_FORMAT) {
+            return AnalysisTrack.fromJSON(data);
+        }
+        
+        throw new Error('Unrecognized analysis track data');
+    }
+    
+    /**
+     * Create a track from its JSON representation
+     * @param {string|Object} json - JSON string or parsed object
+     * @returns {AnalysisTrack} Analysis track
+     */
+    static fromJSON(json) {
+        const data = typeof json === 'string' ? JSON.parse(json) : json;
+        
+        if (data.format !== ANALYSIS_TRACK_FORMAT) {
+            throw new Error(`Not an analysis track: ${data.format}`);
+        }
+        AnalysisTrack.validateVersion(data.version);
+        
+        const columns = AnalysisTrack.createColumns(data.frameCount, data.vectorSizes);
+        
+        SCALAR_FIELDS.forEach(name => {
+            if (data.frames[name]) columns.scalars[name].set(data.frames[name]);
+        });
+        
+        Object.keys(columns.vectors).forEach(name => {
+            if (data.frames[name]) columns.vectors[name].set(data.frames[name]);
+        });
+        
+        Object.keys(BAR_FIELDS).forEach(name => {
+            if (data.frames[name]) columns.bars[name].set(data.frames[name]);
+        });
+        
+        if (data.frames.flags) columns.flags.set(data.frames.flags);
+        
+        return new AnalysisTrack(data, columns);
+    }
+    
+    /**
+     * Create a track from its binary representation
+     * @param {ArrayBuffer|ArrayBufferView} input - Binary track data
+     * @returns {AnalysisTrack} Analysis track
+     */
+    static fromBinary(input) {
+        const bytes = input instanceof ArrayBuffer
+            ? new Uint8Array(input)
+            : new Uint8Array(input.buffer, input.byteOffset, input.byteLength);
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        
+        if (bytes.byteLength < BINARY_HEADER_SIZE || view.getUint32(0, true) !== BINARY_MAGIC) {
+            throw new Error('Not a binary analysis track');
+        }
+        const version = view.getUint16(4, true);
+        AnalysisTrack.validateVersion(version);
+        
+        // JSON header
+        const headerLength = view.getUint32(8, true);
+        const headerBytes = bytes.subarray(BINARY_HEADER_SIZE, BINARY_HEADER_SIZE + headerLength);
+        const header = JSON.parse(new TextDecoder().decode(headerBytes));
+        
+        const columns = AnalysisTrack.createColumns(header.frameCount, header.vectorSizes);
+        let offset = AnalysisTrack.align(BINARY_HEADER_SIZE + headerLength);
+        
+        // Float columns, little-endian regardless of platform
+        AnalysisTrack.getFloatColumns(columns, version).forEach(column => {
+            for (let i = 0; i < column.length; i++) {
+                column[i] = view.getFloat32(offset, true);
+                offset += 4;
+            }
+        });
+        
+        columns.flags.set(bytes.subarray(offset, offset + header.frameCount));
+        
+        return new AnalysisTrack(header, columns);
+    }
+    
+    /**
+     * Reject tracks written by a newer format version
+     * @param {number} version - Format version
+     */
+    static validateVersion(version) {
+        if (!Number.isInteger(version) || version < 1 || version > ANALYSIS_TRACK_VERSION) {
+            throw new Error(`Unsupported analysis track version: ${version}`);
+        }
+    }
+    
+    /**
+     * Allocate column storage
+     * @param {number} frameCount - Number of frames
+     * @param {Object} vectorSizes - Vector field sizes
+     * @returns {Object} Empty columns
+     */
+    static createColumns(frameCount, vectorSizes = {}) {
+        const sizes = { ...VECTOR_FIELDS, ...vectorSizes };
+        const scalars = {};
+        const vectors = {};
+        const bars = {};
+        
+        SCALAR_FIELDS.forEach(name => {
+            scalars[name] = new Float32Array(frameCount);
+        });
+        
+        Object.keys(sizes).forEach(name => {
+            vectors[name] = new Float32Array(frameCount * sizes[name]);
+        });
+        
+        Object.keys(BAR_FIELDS).forEach(name => {
+            bars[name] = new Float32Array(frameCount);
+        });
+        
+        return { scalars, vectors, bars, flags: new Uint8Array(frameCount) };
+    }
+    
+    /**
+     * Float columns in serialization order
+     * @param {Object} columns - Column data
+     * @param {number} version - Format version (bar columns from version 2)
+     * @returns {Array<Float32Array>} Ordered float columns
+     */
+    static getFloatColumns(columns, version) {
+        return [
+            ...SCALAR_FIELDS.map(name => columns.scalars[name]),
+            ...Object.keys(columns.vectors).sort().map(name => columns.vectors[name]),
+            ...(version >= 2 ? Object.keys(BAR_FIELDS).map(name => columns.bars[name]) : [])
+        ];
+    }
+    
+    /**
+     * Round a byte offset up to a 4-byte boundary
+     */
+    static align(offset) {
+        return (offset + 3) & ~3;
+    }
+    
+    /**
+     * Track header shared by both serialized forms
+     * @returns {Object} Header
+     */
+    getHeader() {
+        return {
+            format: ANALYSIS_TRACK_FORMAT,
+            version: this.version,
+            sampleRate: this.sampleRate,
+            fftSize: this.fftSize,
+            hopSize: this.hopSize,
+            frameRate: this.frameRate,
+            duration: this.duration,
+            frameCount: this.frameCount,
+            vectorSizes: { ...this.vectorSizes },
+            phraseLengths: [...this.phraseLengths],
+            summary: this.summary,
+            metadata: this.metadata
+        };
+    }
+    
+    /**
+     * Serialize to a JSON-compatible object
+     * @param {number} precision - Significant digits kept per value (JSON.stringify passes a key instead)
+     * @returns {Object} JSON representation
+     */
+    toJSON(precision = 6) {
+        const digits = typeof precision === 'number' ? precision : 6;
+        const round = (column) => Array.from(column, value => Number(value.toPrecision(digits)));
+        const frames = { flags: Array.from(this.flags) };
+        
+        SCALAR_FIELDS.forEach(name => {
+            frames[name] = round(this.scalars[name]);
+        });
+        
+        Object.keys(this.vectors).forEach(name => {
+            frames[name] = round(this.vectors[name]);
+        });
+        
+        if (this.version >= 2) {
+            Object.keys(BAR_FIELDS).forEach(name => {
+                frames[name] = round(this.bars[name]);
+            });
+        }
+        
+        return { ...this.getHeader(), frames };
+    }
+    
+    /**
+     * Serialize to the compact binary format
+     *
+     * Layout: magic (uint32), version (uint16), reserved (uint16), header length (uint32),
+     * UTF-8 JSON header, padding to 4 bytes, float32 columns, uint8 flags.
+     *
+     * @returns {ArrayBuffer} Binary representation
+     */
+    toBinary() {
+        const headerBytes = new TextEncoder().encode(JSON.stringify(this.getHeader()));
+        const floatColumns = AnalysisTrack.getFloatColumns(this, this.version);
+        const floatCount = floatColumns.reduce((sum, column) => sum + column.length, 0);
+        
+        const dataOffset = AnalysisTrack.align(BINARY_HEADER_SIZE + headerBytes.length);
+        const buffer = new ArrayBuffer(dataOffset + floatCount * 4 + this.flags.length);
+        const bytes = new Uint8Array(buffer);
+        const view = new DataView(buffer);
+        
+        view.setUint32(0, BINARY_MAGIC, true);
+        view.setUint16(4, this.version, true);
+        view.setUint16(6, 0, true);
+        view.setUint32(8, headerBytes.length, true);
+        bytes.set(headerBytes, BINARY_HEADER_SIZE);
+        
+        let offset = dataOffset;
+        floatColumns.forEach(column => {
+            for (let i = 0; i < column.length; i++) {
+                view.setFloat32(offset, column[i], true);
+                offset += 4;
+            }
+        });
+        
+        bytes.set(this.flags, offset);
+        
+        return buffer;
+    }
+    
+    /**
+     * Get the frame index at or before a media time
+     * @param {number} time - Media time in seconds
+     * @returns {number} Frame index
+     */
+    getFrameIndex(time) {
+        return MathUtils.clamp(Math.floor(time * this.frameRate), 0, this.frameCount - 1);
+    }
+    
+    /**
+     * Get the media time of a frame
+     * @param {number} index - Frame index
+     * @returns {number} Time in seconds
+     */
+    getFrameTime(index) {
+        return index / this.frameRate;
+    }
+    
+    /**
+     * Check an event flag on a frame
+     * @param {number} index - Frame index
+     * @param {string} name - Flag name ('beat', 'onset' or 'downbeat')
+     * @returns {boolean} Flag state
+     */
+    getFlag(index, name) {
+        return (this.flags[index] & (1 << FLAG_FIELDS.indexOf(name))) !== 0;
+    }
+    
+    /**
+     * Find the strongest frame with an event flag in a time range
+     * @param {string} name - Flag name ('beat', 'onset' or 'downbeat')
+     * @param {number} startTime - Range start in seconds (exclusive)
+     * @param {number} endTime - Range end in seconds (inclusive)
+     * @returns {number} Frame index, or -1 when no event occurred
+     */
+    findEvent(name, startTime, endTime) {
+        const first = Math.floor(startTime * this.frameRate) + 1;
+        const last = Math.min(Math.floor(endTime * this.frameRate), this.frameCount - 1);
+        let found = -1;
+        
+        for (let i = Math.max(first, 0); i <= last; i++) {
+            if (this.getFlag(i, name) &&
+                (found < 0 || this.scalars.beatStrength[i] > this.scalars.beatStrength[found])) {
+                found = i;
+            }
+        }
+        
+        return found;
+    }
+    
+    /**
+     * Sample the track at a media time
+     * Continuous values are interpolated between neighbouring frames; event flags
+     * come from the frame at or before the time.
+     * @param {number} time - Media time in seconds
+     * @param {Object} target - Object to write into (AudioEngine audio data layout)
+     * @returns {Object} Sampled audio data
+     */
+    sample(time, target = {}) {
+        const position = MathUtils.clamp(time * this.frameRate, 0, this.frameCount - 1);
+        const index = Math.floor(position);
+        const next = Math.min(index + 1, this.frameCount - 1);
+        const t = position - index;
+        
+        SCALAR_FIELDS.forEach(name => {
+            const column = this.scalars[name];
+            target[name] = MathUtils.lerp(column[index], column[next], t);
+        });
+        
+        // BPM and phase jump at wrap-around and must not be blended
+        target.bpm = this.scalars.bpm[index];
+        target.beatPhase = this.scalars.beatPhase[index];
+        
+        Object.keys(this.vectors).forEach(name => {
+            const size = this.vectorSizes[name];
+            const column = this.vectors[name];
+            
+            if (!target[name] || target[name].length !== size) {
+                target[name] = new Float32Array(size);
+            }
+            
+            for (let k = 0; k < size; k++) {
+                target[name][k] = MathUtils.lerp(column[index * size + k], column[next * size + k], t);
+            }
+        });
+        
+        FLAG_FIELDS.forEach(name => {
+            target[name] = this.getFlag(index, name);
+        });
+        
+        this.sampleBar(index, next, t, target);
+        
+        target.time = time;
+        
+        return target;
+    }
+    
+    /**
+     * Write the bar and phrase position in the BeatDetector beatAnalysis.bar/.phrase layout
+     * Counts, phase and the phrase start come from the frame at or before the time;
+     * confidences are interpolated. Both are null without bar data.
+     * @param {number} index - Frame at or before the time
+     * @param {number} next - Following frame
+     * @param {number} t - Position between the two frames (0-1)
+     * @param {Object} target - Audio data to write into
+     */
+    sampleBar(index, next, t, target) {
+        const bars = this.bars;
+        
+        if (!bars.beatsPerBar[index]) {
+            target.bar = null;
+            target.phrase = null;
+            return;
+        }
+        
+        const count = bars.barCount[index];
+        const anchor = bars.phraseAnchor[index];
+        const positions = {};
+        this.phraseLengths.forEach(length => {
+            positions[length] = ((Math.max(0, count - 1) - anchor) % length + length) % length;
+        });
+        
+        target.bar = {
+            isDownbeat: target.downbeat,
+            count,
+            beatInBar: bars.beatInBar[index],
+            beatsPerBar: bars.beatsPerBar[index],
+            phase: bars.barPhase[index],
+            confidence: MathUtils.lerp(bars.barConfidence[index], bars.barConfidence[next], t)
+        };
+        
+        target.phrase = {
+            boundary: bars.phraseBoundary[index],
+            positions,
+            anchor,
+            confidence: MathUtils.lerp(bars.phraseConfidence[index], bars.phraseConfidence[next], t),
+            novelty: MathUtils.lerp(bars.phraseNovelty[index], bars.phraseNovelty[next], t)
+        };
+    }
+    
+    /**
+     * Get track information
+     * @returns {Object} Track info
+     */
+    getInfo() {
+        return {
+            version: this.version,
+            duration: this.duration,
+            frameCount: this.frameCount,
+            frameRate: this.frameRate,
+            sampleRate: this.sampleRate,
+            bpm: this.summary.bpm,
+            metadata: { ...this.metadata }
+        };
+    }
+}
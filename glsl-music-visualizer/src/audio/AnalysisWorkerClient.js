@@ -0,0 +1,246 @@
+/**
+ * Analysis Worker Client
+ * Main-thread side of an analysis module running part of its work in a Web Worker
+ * Location: src/audio/AnalysisWorkerClient.js
+ *
+ * Each client owns one worker (src/audio/workers/AnalysisWorker.js) holding its
+ * own instance of the module. Work is pipelined: a frame is submitted and the
+ * module uses the newest finished result, so results trail the input by about
+ * one frame. Only one request is in flight at a time; frames arriving while the
+ * worker is busy are skipped rather than queued. Inputs and results move as
+ * transferred buffers.
+ *
+ * When workers are unavailable, the worker reports an error or a request
+ * stalls, the client shuts down (isReady false) and the module carries on
+ * in-thread.
+ */
+
+export class AnalysisWorkerClient {
+    /**
+     * @param {string} module - 'fft', 'spectral' or 'features'
+     * @param {Object} options - Client options
+     * @param {number} options.initTimeout - Milliseconds to wait for the worker to start
+     * @param {number} options.requestTimeout - Milliseconds before a request counts as stalled
+     */
+    constructor(module, options = {}) {
+        this.module = module;
+        this.options = {
+            initTimeout: 5000,
+            requestTimeout: 1000,
+            ...options
+        };
+        
+        this.worker = null;
+        this.isReady = false;
+        this.hasResult = false;     // A result arrived at least once
+        this.error = null;
+        
+        // Request in flight { id, sentAt } and newest result not taken yet
+        this.pending = null;
+        this.latest = null;
+        this.nextId = 1;
+        this.discardBefore = 0;     // Results of requests older than a reset are dropped
+        
+        this.initRequest = null;
+        
+        this.stats = {
+            submitted: 0,
+            completed: 0,
+            skipped: 0,
+            latency: 0,             // Round trip of the last request (ms)
+            averageLatency: 0,
+            workerTime: 0           // Processing time inside the worker (ms)
+        };
+    }
+    
+    static isSupported() {
+        return typeof Worker !== 'undefined';
+    }
+    
+    /**
+     * Start the worker and initialize its module
+     * @param {Object} config - Module configuration (functions are dropped)
+     * @returns {Promise<boolean>} Whether the worker is running
+     */
+    async initialize(config) {
+        if (!AnalysisWorkerClient.isSupported()) {
+            return false;
+        }
+        
+        try {
+            this.worker = new Worker(new URL('./workers/AnalysisWorker.js', import.meta.url), {
+                type: 'module',
+                name: `analysis-${this.module}`
+            });
+            this.worker.onmessage = (event) => this.handleMessage(event.data);
+            this.worker.onerror = (event) => this.fail(event.error || new Error(event.message || 'Worker error'));
+            
+            await new Promise((resolve, reject) => {
+                const timer = setTimeout(() => reject(new Error('Worker did not start in time')), this.options.initTimeout);
+                this.initRequest = {
+                    resolve: () => { clearTimeout(timer); resolve(); },
+                    reject: (error) => { clearTimeout(timer); reject(error); }
+                };
+                this.worker.postMessage({
+                    type: 'init',
+                    module: this.module,
+                    config: this.getTransferableConfig(config)
+                });
+            });
+            
+            this.isReady = true;
+            console.log(`Analysis worker started: ${this.module}`);
+            return true;
+            
+        } catch (error) {
+            this.fail(error);
+            return false;
+        }
+    }
+    
+    /**
+     * Configuration without values that cannot be cloned into the worker
+     */
+    getTransferableConfig(config) {
+        const result = {};
+        Object.keys(config).forEach(key => {
+            if (typeof config[key] !== 'function') {
+                result[key] = config[key];
+            }
+        });
+        return result;
+    }
+    
+    /**
+     * Send a frame to the worker
+     * @param {Object} payload - Task input
+     * @param {Array<ArrayBuffer>} transfer - Buffers to transfer (the caller gives them up)
+     * @returns {boolean} Whether the frame was sent (false while busy or stopped)
+     */
+    submit(payload, transfer = []) {
+        if (!this.isReady) return false;
+        
+        if (this.pending) {
+            if (performance.now() - this.pending.sentAt > this.options.requestTimeout) {
+                this.fail(new Error(`Request ${this.pending.id} stalled`));
+            } else {
+                this.stats.skipped++;
+            }
+            return false;
+        }
+        
+        const id = this.nextId++;
+        this.pending = { id, sentAt: performance.now() };
+        this.worker.postMessage({ type: 'analyze', id, payload }, transfer);
+        this.stats.submitted++;
+        
+        return true;
+    }
+    
+    /**
+     * Newest finished result since the last call, or null
+     */
+    takeResult() {
+        const result = this.latest;
+        this.latest = null;
+        return result;
+    }
+    
+    /**
+     * Clear the worker module's history (seek, new source)
+     * Results still in flight describe the old signal and are dropped.
+     */
+    reset() {
+        if (!this.isReady) return;
+        
+        this.worker.postMessage({ type: 'reset' });
+        this.discardBefore = this.nextId;
+        this.latest = null;
+    }
+    
+    handleMessage(message) {
+        switch (message.type) {
+            case 'ready':
+                if (this.initRequest) {
+                    this.initRequest.resolve();
+                    this.initRequest = null;
+                }
+                break;
+            
+            case 'result':
+                this.handleResult(message);
+                break;
+            
+            case 'error':
+                if (this.initRequest) {
+                    this.initRequest.reject(new Error(message.error));
+                    this.initRequest = null;
+                } else {
+                    this.fail(new Error(message.error));
+                }
+                break;
+        }
+    }
+    
+    handleResult(message) {
+        if (!this.pending || this.pending.id !== message.id) return;
+        
+        const latency = performance.now() - this.pending.sentAt;
+        this.pending = null;
+        
+        this.stats.completed++;
+        this.stats.latency = latency;
+        this.stats.averageLatency = this.stats.completed === 1 ?
+            latency : this.stats.averageLatency * 0.9 + latency * 0.1;
+        this.stats.workerTime = message.processingTime;
+        
+        if (message.id >= this.discardBefore) {
+            this.latest = message.result;
+            this.hasResult = true;
+        }
+    }
+    
+    /**
+     * Stop using the worker; the module falls back to in-thread processing
+     */
+    fail(error) {
+        if (this.error) return;
+        
+        this.error = error;
+        console.warn(`Analysis worker (${this.module}) unavailable, processing in-thread:`, error);
+        this.terminate();
+        
+        if (this.initRequest) {
+            this.initRequest.reject(error);
+            this.initRequest = null;
+        }
+    }
+    
+    terminate() {
+        if (this.worker) {
+            this.worker.onmessage = null;
+            this.worker.onerror = null;
+            this.worker.terminate();
+            this.worker = null;
+        }
+        
+        this.isReady = false;
+        this.pending = null;
+        this.latest = null;
+    }
+    
+    getStatus() {
+        return {
+            module: this.module,
+            isReady: this.isReady,
+            error: this.error ? this.error.message : null,
+            inFlight: !!this.pending,
+            ...this.stats
+        };
+    }
+    
+    dispose() {
+        this.terminate();
+        this.initRequest = null;
+    }
+}
@@ -0,0 +1,268 @@
+/**
+ * Analysis Worklet
+ * Fixed-hop spectral analysis on the audio thread
+ * Location: src/audio/AnalysisWorklet.js
+ *
+ * Wraps the 'analysis-processor' AudioWorkletNode. The processor analyzes its
+ * input every hopSize samples regardless of the frame rate, and the main thread
+ * drains the frames in order, each stamped with the context time of its last
+ * sample. Frames travel through an AnalysisRingBuffer when the page can share
+ * memory (cross-origin isolated) and as transferred messages otherwise.
+ *
+ * initialize() resolves to false when AudioWorklet is not available; callers
+ * keep polling their AnalyserNode in that case.
+ */
+
+import { AnalysisRingBuffer, FRAME_FIELDS } from './AnalysisRingBuffer.js';
+
+// Frames queued in message mode before the oldest are dropped
+const MAX_QUEUED_FRAMES = 64;
+
+export class AnalysisWorklet {
+    constructor(config = {}) {
+        this.config = {
+            fftSize: 4096,
+            hopSize: 1024,
+            windowFunction: 'hann',
+            bassRange: [20, 250],
+            midRange: [250, 4000],
+            trebleRange: [4000, 20000],
+            ringCapacity: 64,
+            ...config
+        };
+        
+        this.audioContext = null;
+        this.node = null;
+        this.input = null;
+        this.isInitialized = false;
+        
+        // 'shared' (ring buffer) or 'message' (postMessage) transport
+        this.mode = null;
+        this.ring = null;
+        this.queue = [];
+        this.droppedFrames = 0;
+        
+        // Frame handed to drain callbacks, reused
+        this.frame = {
+            sampleIndex: 0,
+            time: 0,
+            rms: 0,
+            bassLevel: 0,
+            midLevel: 0,
+            trebleLevel: 0,
+            magnitude: new Float32Array(this.config.fftSize / 2)
+        };
+        
+        this.stats = {
+            framesRead: 0,
+            latency: 0,
+            hopDuration: 0
+        };
+    }
+    
+    /**
+     * Whether the browser can run analysis worklets
+     */
+    static isSupported(audioContext) {
+        return !!(audioContext && audioContext.audioWorklet && typeof AudioWorkletNode !== 'undefined');
+    }
+    
+    /**
+     * Load the processor module and create the node
+     * @param {AudioContext} audioContext - Web Audio context
+     * @returns {Promise<boolean>} Whether the worklet is running
+     */
+    async initialize(audioContext) {
+        if (!AnalysisWorklet.isSupported(audioContext)) {
+            console.warn('AudioWorklet not available, analysis stays on the main thread');
+            return false;
+        }
+        
+        this.audioContext = audioContext;
+        
+        try {
+            await audioContext.audioWorklet.addModule(
+                new URL('./worklets/AnalysisProcessor.js', import.meta.url)
+            );
+            
+            const binCount = this.config.fftSize / 2;
+            const processorOptions = {
+                fftSize: this.config.fftSize,
+                hopSize: this.config.hopSize,
+                windowFunction: this.config.windowFunction,
+                bands: this.getBandBins(),
+                ring: null
+            };
+            
+            if (AnalysisRingBuffer.isSupported()) {
+                this.ring = new AnalysisRingBuffer({
+                    capacity: this.config.ringCapacity,
+                    binCount
+                });
+                processorOptions.ring = this.ring.getLayout();
+                this.mode = 'shared';
+            } else {
+                this.mode = 'message';
+            }
+            
+            // Mono downmix in, nothing out: the node is a sink the graph pulls on
+            this.node = new AudioWorkletNode(audioContext, 'analysis-processor', {
+                numberOfInputs: 1,
+                numberOfOutputs: 0,
+                channelCount: 1,
+                channelCountMode: 'explicit',
+                channelInterpretation: 'speakers',
+                processorOptions
+            });
+            
+            if (this.mode === 'message') {
+                this.node.port.onmessage = (event) => this.handleMessage(event.data);
+            }
+            
+            this.stats.hopDuration = this.config.hopSize / audioContext.sampleRate;
+            this.isInitialized = true;
+            
+            console.log(`Analysis worklet initialized (${this.mode}, hop ${this.config.hopSize})`);
+            return true;
+            
+        } catch (error) {
+            console.warn('Failed to initialize analysis worklet:', error);
+            this.dispose();
+            return false;
+        }
+    }
+    
+    /**
+     * Band edges in FFT bins [start, end), same mapping as AudioEngine.analyzeFrequencyBands
+     */
+    getBandBins() {
+        const binCount = this.config.fftSize / 2;
+        const freqPerBin = (this.audioContext.sampleRate / 2) / binCount;
+        const bassStart = Math.floor(this.config.bassRange[0] / freqPerBin);
+        const bassEnd = Math.floor(this.config.bassRange[1] / freqPerBin);
+        const midEnd = Math.floor(this.config.midRange[1] / freqPerBin);
+        const trebleEnd = Math.floor(this.config.trebleRange[1] / freqPerBin);
+        
+        return [[bassStart, bassEnd], [bassEnd, midEnd], [midEnd, trebleEnd]];
+    }
+    
+    /**
+     * Analyze a different node's output; pending frames of the old signal are dropped
+     * @param {AudioNode} node - Node to listen to
+     */
+    connect(node) {
+        if (!this.node || node === this.input) return;
+        
+        if (this.input) {
+            try {
+                this.input.disconnect(this.node);
+            } catch (error) {
+                // Already disconnected
+            }
+        }
+        
+        this.input = node;
+        if (node) {
+            node.connect(this.node);
+        }
+        
+        this.skip();
+    }
+    
+    handleMessage(message) {
+        if (!message || message.type !== 'frame') return;
+        
+        this.queue.push(message);
+        if (this.queue.length > MAX_QUEUED_FRAMES) {
+            this.queue.shift();
+            this.droppedFrames++;
+        }
+    }
+    
+    /**
+     * Hand every frame analyzed since the last call to the callback, oldest first
+     * The frame object is reused between calls.
+     * @param {Function} callback - Called with { sampleIndex, time, rms, bassLevel, midLevel, trebleLevel, magnitude }
+     * @returns {number} Frames delivered
+     */
+    drain(callback) {
+        if (!this.isInitialized) return 0;
+        
+        let count = 0;
+        const deliver = (data, sampleIndex) => {
+            this.readFrame(data, sampleIndex);
+            callback(this.frame);
+            count++;
+        };
+        
+        if (this.ring) {
+            this.ring.drain(deliver);
+        } else {
+            const queue = this.queue;
+            this.queue = [];
+            queue.forEach(message => deliver(message.frame, message.sampleIndex));
+        }
+        
+        if (count > 0) {
+            this.stats.framesRead += count;
+            this.stats.latency = Math.max(0, this.audioContext.currentTime - this.frame.time);
+        }
+        
+        return count;
+    }
+    
+    readFrame(data, sampleIndex) {
+        const frame = this.frame;
+        frame.sampleIndex = sampleIndex;
+        frame.time = sampleIndex / this.audioContext.sampleRate;
+        frame.rms = data[FRAME_FIELDS.RMS];
+        frame.bassLevel = data[FRAME_FIELDS.BASS];
+        frame.midLevel = data[FRAME_FIELDS.MID];
+        frame.trebleLevel = data[FRAME_FIELDS.TREBLE];
+        frame.magnitude.set(data.subarray(FRAME_FIELDS.MAGNITUDE, FRAME_FIELDS.MAGNITUDE + frame.magnitude.length));
+    }
+    
+    /**
+     * Drop frames not read yet
+     */
+    skip() {
+        if (this.ring) {
+            this.ring.skip();
+        }
+        this.queue = [];
+    }
+    
+    getStatus() {
+        return {
+            isInitialized: this.isInitialized,
+            mode: this.mode,
+            fftSize: this.config.fftSize,
+            hopSize: this.config.hopSize,
+            hopDuration: this.stats.hopDuration,
+            framesRead: this.stats.framesRead,
+            droppedFrames: this.droppedFrames + (this.ring ? this.ring.droppedFrames : 0),
+            latency: this.stats.latency
+        };
+    }
+    
+    dispose() {
+        if (this.node) {
+            this.node.port.postMessage({ type: 'stop' });
+            this.node.port.onmessage = null;
+            if (this.input) {
+                try {
+                    this.input.disconnect(this.node);
+                } catch (error) {
+                    // Already disconnected
+                }
+            }
+            this.node = null;
+        }
+        
+        this.input = null;
+        this.ring = null;
+        this.queue = [];
+        this.mode = null;
+        this.isInitialized = false;
+    }
+}
@@ -1095,6 +1095,3 @@ export class AudioInterface {
         console.log('AudioInterface disposed');
     }
 }
-
-// Export the AudioInterface class
-export { AudioInterface };
\ No newline at end of file
@@ -0,0 +1,528 @@
+/**
+ * Audio Mixer
+ * Named audio inputs with gain, mute, solo and per-input analysis taps
+ * Location: src/audio/AudioMixer.js
+ *
+ * Every input runs through its own fader and an AnalyserNode tap, so each one can
+ * be analyzed on its own, then into two buses owned by AudioEngine: the analysis
+ * bus (the engine's main analyzer, i.e. the mix) and the output bus (volume,
+ * compressor, speakers). Inputs that are not monitored, such as the microphone,
+ * reach the analysis mix without being played back, which avoids feedback.
+ *
+ * Solo follows the usual console rule: while any input is soloed, only soloed
+ * inputs are heard. Mute and solo affect both the mix and the output; the
+ * per-input tap sits after the fader, before mute/solo, so a muted stem can
+ * still drive a visualizer.
+ *
+ * Groups are analysis-only inputs: a tap fed by the faders of several inputs
+ * (e.g. all melodic stems), analyzed like any other input but never heard.
+ */
+
+export const INPUT_TYPES = ['file', 'microphone', 'line-in', 'stream', 'element', 'node', 'group'];
+
+// Name of the summed signal when choosing what an analyzer listens to
+export const MIX_INPUT = 'mix';
+
+// Time constant of gain changes, short enough to feel immediate without clicks
+const GAIN_SMOOTHING = 0.015;
+
+// An element can only be wrapped in one MediaElementAudioSourceNode
+const elementSources = new WeakMap();
+
+export class AudioMixer {
+    constructor(options = {}) {
+        this.config = {
+            fftSize: options.fftSize || 4096,
+            smoothingTimeConstant: options.smoothingTimeConstant !== undefined ? options.smoothingTimeConstant : 0.8,
+            minDecibels: options.minDecibels || -90,
+            maxDecibels: options.maxDecibels || -10
+        };
+        
+        this.audioContext = null;
+        this.isInitialized = false;
+        
+        // Buses provided by the engine
+        this.buses = {
+            analysis: null,
+            output: null
+        };
+        
+        // Inputs by name, in insertion order
+        this.inputs = new Map();
+        
+        // Event system
+        this.eventCallbacks = new Map([
+            ['inputAdded', []],
+            ['inputRemoved', []],
+            ['inputChanged', []]
+        ]);
+    }
+    
+    /**
+     * Initialize the mixer
+     * @param {AudioContext} audioContext - Audio context
+     * @param {Object} buses - { analysis, output } nodes every input feeds
+     */
+    initialize(audioContext, buses) {
+        this.audioContext = audioContext;
+        this.buses.analysis = buses.analysis;
+        this.buses.output = buses.output;
+        this.isInitialized = true;
+        
+        console.log('AudioMixer initialized');
+    }
+    
+    // ===== INPUTS =====
+    
+    /**
+     * Add a named input
+     * @param {string} name - Input name (MIX_INPUT is reserved)
+     * @param {AudioNode|MediaStream|HTMLMediaElement|null} source - Signal source; null leaves
+     *        the input open so nodes can be connected to getInputNode(name) later
+     * @param {Object} options - Input options
+     * @param {string} options.type - One of INPUT_TYPES (inferred from the source when omitted)
+     * @param {number} options.gain - Fader gain (linear)
+     * @param {boolean} options.muted - Start muted
+     * @param {boolean} options.solo - Start soloed
+     * @param {boolean} options.monitor - Play the input through the output bus
+     * @returns {Object} Input description
+     */
+    addInput(name, source = null, options = {}) {
+        if (!this.isInitialized) {
+            throw new Error('AudioMixer not initialized');
+        }
+        if (!name || name === MIX_INPUT) {
+            throw new Error(`Invalid input name: ${name}`);
+        }
+        if (this.inputs.has(name)) {
+            this.removeInput(name);
+        }
+        
+        const ctx = this.audioContext;
+        const type = options.type || this.inferType(source);
+        
+        if (!INPUT_TYPES.includes(type) || type === 'group') {
+            throw new Error(`Unknown input type: ${type}`);
+        }
+        
+        // source -> fader -> tap
+        //                 -> channel (mute/solo) -> analysis bus
+        //                                        -> output bus (when monitored)
+        const fader = ctx.createGain();
+        const channel = ctx.createGain();
+        const tap = ctx.createAnalyser();
+        
+        tap.fftSize = this.config.fftSize;
+        tap.smoothingTimeConstant = this.config.smoothingTimeConstant;
+        tap.minDecibels = this.config.minDecibels;
+        tap.maxDecibels = this.config.maxDecibels;
+        
+        fader.gain.value = options.gain !== undefined ? options.gain : 1;
+        fader.connect(tap);
+        fader.connect(channel);
+        channel.connect(this.buses.analysis);
+        
+        const input = {
+            name,
+            type,
+            members: null,
+            source: null,
+            sourceNode: null,
+            fader,
+            channel,
+            tap,
+            gain: fader.gain.value,
+            muted: options.muted === true,
+            solo: options.solo === true,
+            monitor: options.monitor !== undefined ? options.monitor : !['microphone', 'line-in'].includes(type)
+        };
+        
+        if (input.monitor) {
+            channel.connect(this.buses.output);
+        }
+        
+        this.inputs.set(name, input);
+        
+        if (source) {
+            this.setInputSource(name, source);
+        }
+        
+        this.updateChannelGains();
+        
+        console.log(`Mixer input added: ${name} (${type})`);
+        this.emit('inputAdded', this.describeInput(input));
+        
+        return this.describeInput(input);
+    }
+    
+    inferType(source) {
+        if (!source) return 'node';
+        if (typeof MediaStream !== 'undefined' && source instanceof MediaStream) return 'stream';
+        if (typeof HTMLMediaElement !== 'undefined' && source instanceof HTMLMediaElement) return 'element';
+        return 'node';
+    }
+    
+    /**
+     * Replace the signal feeding an input
+     * @param {string} name - Input name
+     * @param {AudioNode|MediaStream|HTMLMediaElement|null} source - New source (null disconnects)
+     */
+    setInputSource(name, source) {
+        const input = this.getInputEntry(name);
+        
+        if (input.sourceNode) {
+            input.sourceNode.disconnect(input.fader);
+            input.sourceNode = null;
+            input.source = null;
+        }
+        
+        if (!source) return;
+        
+        input.source = source;
+        input.sourceNode = this.createSourceNode(source);
+        input.sourceNode.connect(input.fader);
+    }
+    
+    createSourceNode(source) {
+        const ctx = this.audioContext;
+        
+        if (typeof MediaStream !== 'undefined' && source instanceof MediaStream) {
+            return ctx.createMediaStreamSource(source);
+        }
+        
+        if (typeof HTMLMediaElement !== 'undefined' && source instanceof HTMLMediaElement) {
+            if (!elementSources.has(source)) {
+                elementSources.set(source, ctx.createMediaElementSource(source));
+            }
+            return elementSources.get(source);
+        }
+        
+        if (source && typeof source.connect === 'function') {
+            return source;
+        }
+        
+        throw new Error('Unsupported mixer source');
+    }
+    
+    /**
+     * Add an analysis group summing several inputs
+     * @param {string} name - Group name
+     * @param {Array<string>} members - Names of the inputs to sum
+     * @returns {Object} Group description
+     */
+    addGroup(name, members) {
+        if (!name || name === MIX_INPUT) {
+            throw new Error(`Invalid group name: ${name}`);
+        }
+        if (this.inputs.has(name)) {
+            this.removeInput(name);
+        }
+        
+        const entries = members.map(member => this.getChannelEntry(member));
+        const tap = this.audioContext.createAnalyser();
+        
+        tap.fftSize = this.config.fftSize;
+        tap.smoothingTimeConstant = this.config.smoothingTimeConstant;
+        tap.minDecibels = this.config.minDecibels;
+        tap.maxDecibels = this.config.maxDecibels;
+        
+        entries.forEach(entry => entry.fader.connect(tap));
+        
+        const group = {
+            name,
+            type: 'group',
+            members: entries.map(entry => entry.name),
+            source: null,
+            sourceNode: null,
+            fader: null,
+            channel: null,
+            tap,
+            gain: 1,
+            muted: false,
+            solo: false,
+            monitor: false
+        };
+        
+        this.inputs.set(name, group);
+        
+        console.log(`Mixer group added: ${name} (${group.members.join(', ')})`);
+        this.emit('inputAdded', this.describeInput(group));
+        
+        return this.describeInput(group);
+    }
+    
+    /**
+     * Remove an input or group and disconnect its nodes
+     * Streams and elements are left running; they belong to the caller.
+     * @param {string} name - Input name
+     * @returns {boolean} Whether an input was removed
+     */
+    removeInput(name) {
+        const input = this.inputs.get(name);
+        if (!input) return false;
+        
+        if (input.type === 'group') {
+            input.members.forEach(member => {
+                const entry = this.inputs.get(member);
+                if (entry) {
+                    entry.fader.disconnect(input.tap);
+                }
+            });
+        } else {
+            if (input.sourceNode) {
+                input.sourceNode.disconnect(input.fader);
+            }
+            input.fader.disconnect();
+            input.channel.disconnect();
+            
+            // Groups stop hearing the removed input
+            this.inputs.forEach(entry => {
+                if (entry.type === 'group') {
+                    entry.members = entry.members.filter(member => member !== name);
+                }
+            });
+        }
+        
+        this.inputs.delete(name);
+        this.updateChannelGains();
+        
+        console.log(`Mixer input removed: ${name}`);
+        this.emit('inputRemoved', { name });
+        
+        return true;
+    }
+    
+    /**
+     * Node that sources should connect to for a given input
+     * @param {string} name - Input name
+     * @returns {AudioNode} Input fader
+     */
+    getInputNode(name) {
+        return this.getChannelEntry(name).fader;
+    }
+    
+    getInputEntry(name) {
+        const input = this.inputs.get(name);
+        if (!input) {
+            throw new Error(`Unknown mixer input: ${name}`);
+        }
+        return input;
+    }
+    
+    /**
+     * Input that carries signal (not a group)
+     */
+    getChannelEntry(name) {
+        const input = this.getInputEntry(name);
+        if (input.type === 'group') {
+            throw new Error(`Mixer group ${name} has no channel controls`);
+        }
+        return input;
+    }
+    
+    hasInput(name) {
+        return this.inputs.has(name);
+    }
+    
+    // ===== CHANNEL CONTROLS =====
+    
+    /**
+     * Set an input's fader gain
+     * @param {string} name - Input name
+     * @param {number} gain - Linear gain (0-2)
+     */
+    setGain(name, gain) {
+        const input = this.getChannelEntry(name);
+        
+        input.gain = Math.max(0, Math.min(2, gain));
+        this.rampGain(input.fader.gain, input.gain);
+        
+        this.emit('inputChanged', this.describeInput(input));
+    }
+    
+    setMuted(name, muted) {
+        const input = this.getChannelEntry(name);
+        input.muted = !!muted;
+        this.updateChannelGains();
+        this.emit('inputChanged', this.describeInput(input));
+    }
+    
+    setSolo(name, solo) {
+        const input = this.getChannelEntry(name);
+        input.solo = !!solo;
+        this.updateChannelGains();
+        this.emit('inputChanged', this.describeInput(input));
+    }
+    
+    /**
+     * Choose whether an input is played back or only analyzed
+     * @param {string} name - Input name
+     * @param {boolean} monitor - Send to the output bus
+     */
+    setMonitor(name, monitor) {
+        const input = this.getChannelEntry(name);
+        if (input.monitor === !!monitor) return;
+        
+        input.monitor = !!monitor;
+        
+        if (input.monitor) {
+            input.channel.connect(this.buses.output);
+        } else {
+            input.channel.disconnect(this.buses.output);
+        }
+        
+        this.emit('inputChanged', this.describeInput(input));
+    }
+    
+    /**
+     * Apply mute and solo to every channel
+     */
+    updateChannelGains() {
+        const anySolo = Array.from(this.inputs.values()).some(input => input.solo);
+        
+        this.inputs.forEach(input => {
+            if (input.channel) {
+                this.rampGain(input.channel.gain, this.isAudible(input, anySolo) ? 1 : 0);
+            }
+        });
+    }
+    
+    isAudible(input, anySolo) {
+        return !input.muted && (!anySolo || input.solo);
+    }
+    
+    rampGain(param, value) {
+        const now = this.audioContext.currentTime;
+        
+        if (param.setTargetAtTime) {
+            param.cancelScheduledValues(now);
+            param.setTargetAtTime(value, now, GAIN_SMOOTHING);
+        } else {
+            param.value = value;
+        }
+    }
+    
+    // ===== ANALYSIS =====
+    
+    /**
+     * Read an input's tap into analysis buffers
+     * @param {string} name - Input name
+     * @param {Float32Array} timeData - Time domain target
+     * @param {Float32Array} frequencyDataDb - Frequency domain target (dB)
+     */
+    readInput(name, timeData, frequencyDataDb) {
+        const tap = this.getInputEntry(name).tap;
+        tap.getFloatTimeDomainData(timeData);
+        tap.getFloatFrequencyData(frequencyDataDb);
+    }
+    
+    getTapSize(name) {
+        return this.getInputEntry(name).tap.fftSize;
+    }
+    
+    /**
+     * Node carrying an input's analysis signal (its tap passes audio through)
+     * @param {string} name - Input or group name
+     * @returns {AnalyserNode} Input tap
+     */
+    getAnalysisNode(name) {
+        return this.getInputEntry(name).tap;
+    }
+    
+    /**
+     * Apply analyser settings to every tap
+     * @param {Object} settings - { fftSize, smoothingTimeConstant }
+     */
+    updateConfig(settings) {
+        Object.assign(this.config, settings);
+        
+        this.inputs.forEach(input => {
+            input.tap.fftSize = this.config.fftSize;
+            input.tap.smoothingTimeConstant = this.config.smoothingTimeConstant;
+        });
+    }
+    
+    // ===== STATE =====
+    
+    describeInput(input) {
+        const anySolo = Array.from(this.inputs.values()).some(item => item.solo);
+        
+        return {
+            name: input.name,
+            type: input.type,
+            gain: input.gain,
+            muted: input.muted,
+            solo: input.solo,
+            monitor: input.monitor,
+            audible: input.type !== 'group' && this.isAudible(input, anySolo),
+            members: input.members ? input.members.slice() : null
+        };
+    }
+    
+    /**
+     * Get all inputs
+     * @returns {Array} Input descriptions in insertion order
+     */
+    getInputs() {
+        return Array.from(this.inputs.values()).map(input => this.describeInput(input));
+    }
+    
+    getInputNames() {
+        return Array.from(this.inputs.keys());
+    }
+    
+    // ===== EVENTS =====
+    
+    on(event, callback) {
+        if (this.eventCallbacks.has(event)) {
+            this.eventCallbacks.get(event).push(callback);
+        }
+    }
+    
+    off(event, callback) {
+        if (this.eventCallbacks.has(event)) {
+            const callbacks = this.eventCallbacks.get(event);
+            const index = callbacks.indexOf(callback);
+            if (index !== -1) {
+                callbacks.splice(index, 1);
+            }
+        }
+    }
+    
+    emit(event, data) {
+        if (this.eventCallbacks.has(event)) {
+            this.eventCallbacks.get(event).forEach(callback => {
+                try {
+                    callback(data);
+                } catch (error) {
+                    console.error(`Error in event callback for ${event}:`, error);
+                }
+            });
+        }
+    }
+    
+    /**
+     * Get mixer status
+     * @returns {Object} Status
+     */
+    getStatus() {
+        return {
+            isInitialized: this.isInitialized,
+            inputs: this.getInputs()
+        };
+    }
+    
+    /**
+     * Disconnect every input
+     */
+    dispose() {
+        Array.from(this.inputs.keys()).forEach(name => this.removeInput(name));
+        
+        this.eventCallbacks.forEach(callbacks => {
+            callbacks.length = 0;
+        });
+        
+        this.isInitialized = false;
+        console.log('AudioMixer disposed');
+    }
+}
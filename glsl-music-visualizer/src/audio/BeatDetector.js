@@ -5,11 +5,27 @@
  * 
  * Provides real-time beat detection using multiple algorithms including
  * spectral flux analysis, complex domain onset detection, and adaptive tempo tracking
+ *
+ * Beats are also counted into bars and phrases: the position in the bar whose
+ * beats carry the strongest low-end accents is taken as the downbeat, bars are
+ * numbered from it, and phrases of phraseLengths bars run on a grid that is
+ * re-anchored to bars where the energy level changes sharply.
  */
 
 import { MathUtils } from '../utils/MathUtils.js';
 import { performanceMonitor } from '../core/PerformanceMonitor.js';
 
+const PI = Math.PI;
+const TWO_PI = 2 * Math.PI;
+
+/**
+ * Wrap a phase difference into [-PI, PI]
+ */
+function wrapPhase(phase) {
+    if (phase >= -PI && phase <= PI) return phase;
+    return phase - TWO_PI * Math.round(phase / TWO_PI);
+}
+
 export class BeatDetector {
     constructor(config = {}) {
         this.isInitialized = false;
@@ -43,6 +59,13 @@ export class BeatDetector {
             enableAccentDetection: true, // Detect strong/weak beats
             enableSubdivisions: true,    // Track beat subdivisions
             
+            // Bar and phrase tracking
+            enableBarTracking: true,     // Count beats into bars and phrases
+            downbeatSmoothing: 0.85,     // Accent memory per position in the bar
+            downbeatSwitchMargin: 1.15,  // Factor a position must beat the current downbeat by to take over
+            phraseLengths: [4, 8, 16],   // Phrase lengths in bars
+            phraseNoveltyThreshold: 0.5, // Bar energy change (log ratio) that marks a new section
+            
             // Frequency band analysis
             frequencyBands: [
                 { name: 'sub-bass', min: 20, max: 60 },
@@ -62,6 +85,9 @@ export class BeatDetector {
                 phaseVocoder: 0.1
             },
             
+            // Clock override in milliseconds (media time for offline analysis)
+            timeSource: null,
+            
             ...config
         };
         
@@ -74,9 +100,13 @@ export class BeatDetector {
             phase: 0,                   // Current phase in beat cycle (0-1)
             strength: 0,                // Current beat strength
             isOnBeat: false,
-            timeToNextBeat: 0
+            timeToNextBeat: 0,
+            tempoSource: 'audio'        // 'audio', or the source of an external tempo override
         };
         
+        // External tempo (e.g. MIDI clock) replacing the estimate while set
+        this.tempoOverride = null;
+        
         // Onset detection state
         this.onsetState = {
             strength: 0,
@@ -97,6 +127,27 @@ export class BeatDetector {
             meter: { numerator: 4, denominator: 4 }
         };
         
+        // Bar and phrase tracking
+        this.barTracker = {
+            beatsPerBar: 4,
+            beatCount: 0,               // Beats counted since the last reset
+            accents: new Float32Array(4), // Smoothed accent per beatCount % beatsPerBar
+            lowEnergyAverage: 0,
+            downbeatOffset: 0,          // beatCount % beatsPerBar of the downbeat
+            downbeatConfidence: 0,
+            isDownbeat: false,
+            beatInBar: 0,               // 0 on the downbeat
+            barCount: 0,                // Bars started since the last reset
+            barEnergy: 0,               // Energy summed over the bar in progress
+            barFrames: 0,
+            barEnergyHistory: [],       // Average energy of the last finished bars
+            phraseAnchor: 0,            // Bar index where the phrase grid starts
+            phraseAnchored: false,      // The grid was placed on a section change
+            phraseGridConfidence: 0.5,  // How well section changes matched the grid
+            phraseBoundary: 0,          // Longest phrase starting on this downbeat (bars), 0 otherwise
+            novelty: 0                  // Energy change of the last finished bar
+        };
+        
         // Analysis buffers
         this.buffers = {
             // Spectral analysis
@@ -327,6 +378,11 @@ export class BeatDetector {
                 this.updateRhythmTracking();
             }
             
+            // Count beats into bars and phrases
+            if (this.config.enableBarTracking) {
+                this.updateBarTracking();
+            }
+            
             // Update performance metrics
             const processingTime = performance.now() - startTime;
             this.updatePerformanceMetrics(processingTime);
@@ -342,6 +398,14 @@ export class BeatDetector {
         }
     }
     
+    /**
+     * Get current analysis time in milliseconds
+     * Uses the configured time source when set, wall-clock time otherwise
+     */
+    now() {
+        return this.config.timeSource ? this.config.timeSource() : performance.now();
+    }
+    
     /**
      * Extract spectral data from audio input
      */
@@ -356,7 +420,7 @@ export class BeatDetector {
             phase: fft.phase || new Float32Array(fft.magnitude.length),
             powerSpectrum: fft.powerSpectrum,
             frequencies: fft.frequencies,
-            timestamp: performance.now()
+            timestamp: this.now()
         };
     }
     
@@ -366,15 +430,13 @@ export class BeatDetector {
     updateBuffers(spectralData) {
         if (!spectralData) return;
         
-        // Shift history buffers
-        for (let i = this.buffers.magnitudeHistory.length - 1; i > 0; i--) {
-            this.buffers.magnitudeHistory[i].set(this.buffers.magnitudeHistory[i - 1]);
-            this.buffers.phaseHistory[i].set(this.buffers.phaseHistory[i - 1]);
-        }
-        
-        // Add new data
-        this.buffers.magnitudeHistory[0].set(spectralData.magnitude);
-        this.buffers.phaseHistory[0].set(spectralData.phase);
+        // Shift history buffers: the oldest frame is reused for the new data
+        const magnitudeFrame = this.buffers.magnitudeHistory.pop();
+        const phaseFrame = this.buffers.phaseHistory.pop();
+        magnitudeFrame.set(spectralData.magnitude);
+        phaseFrame.set(spectralData.phase);
+        this.buffers.magnitudeHistory.unshift(magnitudeFrame);
+        this.buffers.phaseHistory.unshift(phaseFrame);
         
         // Calculate current energy
         this.buffers.instantaneousEnergy = this.calculateInstantaneousEnergy(spectralData.magnitude);
@@ -431,13 +493,12 @@ export class BeatDetector {
         for (let i = 0; i < spectralData.magnitude.length; i++) {
             const magnitude = spectralData.magnitude[i];
             const phase = spectralData.phase[i];
+            const bin = this.buffers.complexSpectrum[i];
             
-            this.buffers.complexSpectrum[i] = {
-                real: magnitude * Math.cos(phase),
-                imag: magnitude * Math.sin(phase),
-                magnitude: magnitude,
-                phase: phase
-            };
+            bin.real = magnitude * Math.cos(phase);
+            bin.imag = magnitude * Math.sin(phase);
+            bin.magnitude = magnitude;
+            bin.phase = phase;
         }
         
         // Calculate instantaneous frequency
@@ -455,12 +516,7 @@ export class BeatDetector {
         const hopTime = this.config.hopSize / this.config.sampleRate;
         
         for (let i = 0; i < current.length; i++) {
-            let phaseDiff = current[i] - previous[i];
-            
-            // Unwrap phase
-            while (phaseDiff > Math.PI) phaseDiff -= 2 * Math.PI;
-            while (phaseDiff < -Math.PI) phaseDiff += 2 * Math.PI;
-            
+            const phaseDiff = wrapPhase(current[i] - previous[i]);
             this.buffers.instantaneousFreq[i] = phaseDiff / (2 * Math.PI * hopTime);
         }
     }
@@ -559,7 +615,7 @@ export class BeatDetector {
      * Update beat tracking state
      */
     updateBeatState(detectionResults) {
-        const currentTime = performance.now() / 1000; // Convert to seconds
+        const currentTime = this.now() / 1000; // Convert to seconds
         
         if (detectionResults.isBeat) {
             // Check if enough time has passed since last beat
@@ -582,6 +638,9 @@ export class BeatDetector {
                     timestamp: currentTime,
                     bpm: this.beatState.currentBPM
                 });
+            } else {
+                // Too soon after the previous beat
+                this.beatState.isOnBeat = false;
             }
         } else {
             this.beatState.isOnBeat = false;
@@ -649,6 +708,11 @@ export class BeatDetector {
      * Update tempo estimation
      */
     updateTempoEstimation() {
+        // An external tempo takes precedence over the audio estimate
+        if (this.tempoOverride) {
+            return;
+        }
+        
         const tempoResult = this.tempoEstimator.analyze(this.buffers.beatIntervalHistory);
         
         if (tempoResult.confidence > this.config.tempoConfidenceThreshold) {
@@ -668,6 +732,106 @@ export class BeatDetector {
         this.updateTempoHypotheses(tempoResult);
     }
     
+    /**
+     * Override the tracked tempo with an external one
+     * @param {number} bpm - Tempo in beats per minute
+     * @param {string} source - Tempo source, e.g. 'midi'
+     */
+    setTempoOverride(bpm, source = 'external') {
+        if (!(bpm > 0)) {
+            this.clearTempoOverride();
+            return;
+        }
+        
+        const changed = !this.tempoOverride || this.tempoOverride.bpm !== bpm;
+        
+        this.tempoOverride = { bpm, source };
+        this.beatState.currentBPM = bpm;
+        this.beatState.beatPeriod = 60 / bpm;
+        this.beatState.confidence = 1;
+        this.beatState.tempoSource = source;
+        
+        if (changed) {
+            this.emit('tempoOverride', { bpm, source });
+        }
+    }
+    
+    /**
+     * Return to the tempo estimated from audio
+     */
+    clearTempoOverride() {
+        if (!this.tempoOverride) return;
+        
+        this.tempoOverride = null;
+        this.beatState.tempoSource = 'audio';
+        this.emit('tempoOverride', { bpm: null, source: 'audio' });
+    }
+    
+    /**
+     * Align the beat phase to an external beat (e.g. a MIDI clock quarter note)
+     */
+    alignBeatPhase() {
+        this.beatState.lastBeatTime = this.now() / 1000;
+        this.beatState.phase = 0;
+        this.beatState.timeToNextBeat = this.beatState.beatPeriod;
+    }
+    
+    /**
+     * Clear analysis history after a discontinuity in the audio (seek, new source)
+     * The tempo estimate is kept; it still describes the music after a jump.
+     */
+    reset() {
+        if (!this.isInitialized) return;
+        
+        this.buffers.magnitudeHistory.forEach(frame => frame.fill(0));
+        this.buffers.phaseHistory.forEach(frame => frame.fill(0));
+        this.buffers.spectralFluxHistory.fill(0);
+        this.buffers.energyHistory.fill(0);
+        this.buffers.instantaneousEnergy = 0;
+        this.buffers.localEnergyAverage = 0;
+        this.buffers.unwrappedPhase.fill(0);
+        this.buffers.instantaneousFreq.fill(0);
+        this.buffers.bandEnergies.fill(0);
+        this.buffers.bandFlux.fill(0);
+        this.buffers.bandOnsets.fill(false);
+        
+        // Restart the beat grid at the new position
+        this.beatState.lastBeatTime = this.now() / 1000;
+        this.beatState.isOnBeat = false;
+        this.beatState.strength = 0;
+        this.beatState.phase = 0;
+        this.beatState.timeToNextBeat = this.beatState.beatPeriod;
+        
+        this.onsetState.strength = 0;
+        this.onsetState.isOnset = false;
+        this.onsetState.lastOnsetTime = 0;
+        this.onsetState.onsetHistory = [];
+        this.onsetState.spectralFlux = 0;
+        this.onsetState.phaseDeviation = 0;
+        
+        this.rhythmTracker.pattern.fill(0);
+        this.rhythmTracker.currentStep = 0;
+        this.rhythmTracker.patternConfidence = 0;
+        
+        // Bars are counted again from the first downbeat after the jump
+        const bar = this.barTracker;
+        bar.beatCount = 0;
+        bar.accents.fill(0);
+        bar.downbeatOffset = 0;
+        bar.downbeatConfidence = 0;
+        bar.isDownbeat = false;
+        bar.beatInBar = 0;
+        bar.barCount = 0;
+        bar.barEnergy = 0;
+        bar.barFrames = 0;
+        bar.barEnergyHistory = [];
+        bar.phraseAnchor = 0;
+        bar.phraseAnchored = false;
+        bar.phraseGridConfidence = 0.5;
+        bar.phraseBoundary = 0;
+        bar.novelty = 0;
+    }
+    
     /**
      * Update tempo hypotheses for analysis
      */
@@ -713,7 +877,7 @@ export class BeatDetector {
         // Detect onset peaks
         const isOnset = this.detectOnsetPeak(spectralFlux);
         
-        const currentTime = performance.now();
+        const currentTime = this.now();
         
         if (isOnset) {
             // Check minimum interval between onsets
@@ -889,6 +1053,204 @@ export class BeatDetector {
         return correlation / minLength;
     }
     
+    /**
+     * Track downbeats, bars and phrases for the current frame
+     */
+    updateBarTracking() {
+        const bar = this.barTracker;
+        bar.isDownbeat = false;
+        bar.phraseBoundary = 0;
+        
+        // Energy of the bar in progress
+        bar.barEnergy += this.buffers.instantaneousEnergy;
+        bar.barFrames++;
+        
+        if (this.beatState.isOnBeat) {
+            this.countBeat();
+        }
+    }
+    
+    /**
+     * Place a detected beat in the bar
+     * The beat's accent is its strength weighted by the low-band energy, since
+     * kicks and bass notes tend to land on the downbeat.
+     */
+    countBeat() {
+        const bar = this.barTracker;
+        
+        const beatsPerBar = MathUtils.clamp(this.rhythmTracker.meter.numerator, 2, 8);
+        if (beatsPerBar !== bar.beatsPerBar) {
+            bar.beatsPerBar = beatsPerBar;
+            bar.accents = new Float32Array(beatsPerBar);
+            bar.downbeatOffset = 0;
+            bar.downbeatConfidence = 0;
+        }
+        
+        let lowEnergy = 0;
+        this.config.frequencyBands.forEach((band, index) => {
+            if (band.max <= 250) {
+                lowEnergy += this.buffers.bandEnergies[index];
+            }
+        });
+        bar.lowEnergyAverage = bar.lowEnergyAverage > 0 ?
+            MathUtils.lerp(bar.lowEnergyAverage, lowEnergy, 0.1) : lowEnergy;
+        const lowWeight = bar.lowEnergyAverage > 0 ? Math.min(2, lowEnergy / bar.lowEnergyAverage) : 1;
+        const accent = this.beatState.strength * (0.5 + 0.5 * lowWeight);
+        
+        const position = bar.beatCount % beatsPerBar;
+        bar.accents[position] = MathUtils.lerp(bar.accents[position], accent, 1 - this.config.downbeatSmoothing);
+        bar.beatCount++;
+        
+        this.updateDownbeatEstimate();
+        
+        bar.beatInBar = (position - bar.downbeatOffset + beatsPerBar) % beatsPerBar;
+        if (bar.beatInBar === 0) {
+            this.startBar();
+        }
+    }
+    
+    /**
+     * Pick the position in the bar with the strongest accents as the downbeat
+     * Confidence is how far it stands out from the other positions, reached
+     * after a few bars of evidence.
+     */
+    updateDownbeatEstimate() {
+        const bar = this.barTracker;
+        const accents = bar.accents;
+        
+        let best = 0;
+        for (let i = 1; i < accents.length; i++) {
+            if (accents[i] > accents[best]) best = i;
+        }
+        
+        // Hysteresis keeps the bar grid from flipping between close positions
+        if (best !== bar.downbeatOffset &&
+            accents[best] > accents[bar.downbeatOffset] * this.config.downbeatSwitchMargin) {
+            bar.downbeatOffset = best;
+            this.emit('downbeatShift', { offset: best, beatsPerBar: bar.beatsPerBar });
+        }
+        
+        const peak = accents[bar.downbeatOffset];
+        let others = 0;
+        for (let i = 0; i < accents.length; i++) {
+            if (i !== bar.downbeatOffset) others += accents[i];
+        }
+        others /= accents.length - 1;
+        
+        const contrast = peak > 0 ? Math.max(0, (peak - others) / peak) : 0;
+        const warmup = Math.min(1, bar.beatCount / (bar.beatsPerBar * 4));
+        bar.downbeatConfidence = contrast * warmup;
+    }
+    
+    /**
+     * Downbeat: close the previous bar, advance the bar counter and the phrase grid
+     */
+    startBar() {
+        const bar = this.barTracker;
+        const timestamp = this.now() / 1000;
+        
+        const energy = bar.barFrames > 0 ? bar.barEnergy / bar.barFrames : 0;
+        bar.barEnergy = 0;
+        bar.barFrames = 0;
+        
+        // The bar just finished is bar index barCount - 1
+        if (bar.barCount > 0) {
+            this.updatePhraseGrid(bar.barCount - 1, energy);
+        }
+        
+        bar.isDownbeat = true;
+        bar.barCount++;
+        
+        const positions = this.getPhrasePositions();
+        bar.phraseBoundary = 0;
+        this.config.phraseLengths.forEach(length => {
+            if (positions[length] === 0) {
+                bar.phraseBoundary = Math.max(bar.phraseBoundary, length);
+            }
+        });
+        
+        this.emit('downbeat', {
+            bar: bar.barCount,
+            timestamp,
+            confidence: bar.downbeatConfidence
+        });
+        
+        if (bar.phraseBoundary > 0) {
+            this.emit('phrase', {
+                bars: bar.phraseBoundary,
+                bar: bar.barCount,
+                timestamp,
+                confidence: this.getPhraseConfidence()
+            });
+        }
+    }
+    
+    /**
+     * Check a finished bar for a section change and align the phrase grid to it
+     * A sharp energy change against the bars before it marks a likely phrase
+     * start (only the first bar of a change counts). The first change places the
+     * grid; later ones on the grid raise its confidence, and off the grid they
+     * move it and lower the confidence.
+     * @param {number} barIndex - Index of the finished bar (0-based)
+     * @param {number} energy - Its average energy
+     */
+    updatePhraseGrid(barIndex, energy) {
+        const bar = this.barTracker;
+        const history = bar.barEnergyHistory;
+        
+        const threshold = this.config.phraseNoveltyThreshold;
+        const previousNovelty = bar.novelty;
+        bar.novelty = 0;
+        if (history.length >= 4) {
+            const recent = history.slice(-4);
+            const average = recent.reduce((sum, value) => sum + value, 0) / recent.length;
+            bar.novelty = Math.abs(Math.log((energy + 1e-6) / (average + 1e-6)));
+        }
+        
+        if (bar.novelty > threshold && previousNovelty <= threshold) {
+            const shortest = Math.min(...this.config.phraseLengths);
+            const onGrid = ((barIndex - bar.phraseAnchor) % shortest + shortest) % shortest === 0;
+            
+            if (!bar.phraseAnchored) {
+                bar.phraseAnchor = barIndex;
+                bar.phraseAnchored = true;
+            } else if (onGrid) {
+                bar.phraseGridConfidence = MathUtils.lerp(bar.phraseGridConfidence, 1, 0.3);
+            } else {
+                bar.phraseAnchor = barIndex;
+                bar.phraseGridConfidence = MathUtils.lerp(bar.phraseGridConfidence, 0, 0.3);
+            }
+        }
+        
+        history.push(energy);
+        if (history.length > 16) {
+            history.shift();
+        }
+    }
+    
+    /**
+     * Position of the current bar within each phrase length (0 = first bar of a phrase)
+     * @returns {Object} Bars into the phrase by phrase length, e.g. { 4: 1, 8: 5, 16: 5 }
+     */
+    getPhrasePositions() {
+        const bar = this.barTracker;
+        const barIndex = Math.max(0, bar.barCount - 1);
+        const positions = {};
+        
+        this.config.phraseLengths.forEach(length => {
+            positions[length] = ((barIndex - bar.phraseAnchor) % length + length) % length;
+        });
+        
+        return positions;
+    }
+    
+    /**
+     * Phrase confidence: the grid can only be as sure as the bars it counts
+     */
+    getPhraseConfidence() {
+        return this.barTracker.phraseGridConfidence * this.barTracker.downbeatConfidence;
+    }
+    
     /**
      * Create enhanced output with beat detection results
      */
@@ -901,6 +1263,7 @@ export class BeatDetector {
             beatStrength: this.beatState.strength,
             bpm: this.beatState.currentBPM,
             onset: this.onsetState.isOnset,
+            downbeat: this.barTracker.isDownbeat,
             
             // Enhanced beat detection data
             beatAnalysis: {
@@ -914,6 +1277,7 @@ export class BeatDetector {
                 // Tempo analysis
                 currentBPM: this.beatState.currentBPM,
                 beatPeriod: this.beatState.beatPeriod,
+                tempoSource: this.beatState.tempoSource,
                 tempoHypotheses: this.buffers.tempoHypotheses.map(h => ({
                     bpm: h.bpm,
                     confidence: h.confidence,
@@ -932,6 +1296,23 @@ export class BeatDetector {
                 accentPattern: [...this.rhythmTracker.accentPattern],
                 timeSignature: { ...this.rhythmTracker.meter },
                 
+                // Bar and phrase tracking
+                bar: {
+                    isDownbeat: this.barTracker.isDownbeat,
+                    count: this.barTracker.barCount,
+                    beatInBar: this.barTracker.beatInBar,
+                    beatsPerBar: this.barTracker.beatsPerBar,
+                    phase: (this.barTracker.beatInBar + this.beatState.phase) / this.barTracker.beatsPerBar,
+                    confidence: this.barTracker.downbeatConfidence
+                },
+                phrase: {
+                    boundary: this.barTracker.phraseBoundary,
+                    positions: this.getPhrasePositions(),
+                    anchor: this.barTracker.phraseAnchor,
+                    confidence: this.getPhraseConfidence(),
+                    novelty: this.barTracker.novelty
+                },
+                
                 // Band-specific analysis
                 bandEnergies: new Float32Array(this.buffers.bandEnergies),
                 bandOnsets: [...this.buffers.bandOnsets],
@@ -1199,6 +1580,13 @@ export class BeatDetector {
                 currentStep: this.rhythmTracker.currentStep,
                 meter: { ...this.rhythmTracker.meter }
             },
+            barTracker: {
+                barCount: this.barTracker.barCount,
+                beatInBar: this.barTracker.beatInBar,
+                beatsPerBar: this.barTracker.beatsPerBar,
+                downbeatConfidence: this.barTracker.downbeatConfidence,
+                phraseConfidence: this.getPhraseConfidence()
+            },
             calibration: { ...this.calibration },
             performance: { ...this.performanceMetrics },
             algorithms: Object.keys(this.algorithms).map(name => ({
@@ -1362,9 +1750,7 @@ class ComplexDomainDetector {
                 const magDiff = Math.max(0, current.magnitude - this.previousMagnitude[i]);
                 
                 // Phase deviation
-                let phaseDiff = current.phase - this.previousPhase[i];
-                while (phaseDiff > Math.PI) phaseDiff -= 2 * Math.PI;
-                while (phaseDiff < -Math.PI) phaseDiff += 2 * Math.PI;
+                const phaseDiff = wrapPhase(current.phase - this.previousPhase[i]);
                 
                 complexFlux += magDiff;
                 phaseDeviation += Math.abs(phaseDiff);
@@ -1372,8 +1758,14 @@ class ComplexDomainDetector {
         }
         
         // Store for next frame
-        this.previousMagnitude = data.complexSpectrum.map(c => c.magnitude);
-        this.previousPhase = data.complexSpectrum.map(c => c.phase);
+        if (!this.previousMagnitude || this.previousMagnitude.length !== data.complexSpectrum.length) {
+            this.previousMagnitude = new Float32Array(data.complexSpectrum.length);
+            this.previousPhase = new Float32Array(data.complexSpectrum.length);
+        }
+        for (let i = 0; i < data.complexSpectrum.length; i++) {
+            this.previousMagnitude[i] = data.complexSpectrum[i].magnitude;
+            this.previousPhase[i] = data.complexSpectrum[i].phase;
+        }
         
         const normalizedFlux = complexFlux / data.complexSpectrum.length;
         const normalizedPhase = phaseDeviation / data.complexSpectrum.length;
@@ -1475,11 +1867,7 @@ class PhaseVocoderDetector {
         let totalWeight = 0;
         
         for (let i = 1; i < phase.length; i++) {
-            let phaseDiff = phase[i] - previousPhase[i];
-            
-            // Unwrap phase
-            while (phaseDiff > Math.PI) phaseDiff -= 2 * Math.PI;
-            while (phaseDiff < -Math.PI) phaseDiff += 2 * Math.PI;
+            const phaseDiff = wrapPhase(phase[i] - previousPhase[i]);
             
             const weight = magnitude[i];
             phaseDeviation += Math.abs(phaseDiff);
@@ -5,10 +5,16 @@
  * 
  * Provides sophisticated spectral analysis building upon AudioInterface
  * Integrates with AudioEngine analysis module system
+ *
+ * Besides the linear-bin FFT, two optional views of the newest fftSize samples:
+ * a constant-Q (or variable-Q) transform with geometrically spaced bins, and a
+ * multi-resolution spectrum that measures each frequency band with its own
+ * window length (long for bass, short for highs) on the linear bin grid.
  */
 
 import { MathUtils } from '../utils/MathUtils.js';
 import { performanceMonitor } from '../core/PerformanceMonitor.js';
+import { AnalysisWorkerClient } from './AnalysisWorkerClient.js';
 
 export class FFTProcessor {
     constructor(config = {}) {
@@ -39,6 +45,22 @@ export class FFTProcessor {
             frequencyRange: [20, 20000], // Analysis frequency range
             binResolution: 'adaptive', // 'fixed', 'adaptive', 'logarithmic'
             
+            // Constant-Q transform (bin k at cqMinFrequency * 2^(k / cqBinsPerOctave))
+            constantQ: false,
+            cqBinsPerOctave: 36,
+            cqMinFrequency: 32.703,    // C1
+            cqMaxFrequency: 8372.02,   // C9, capped at Nyquist
+            cqGamma: 0,                // Bandwidth offset in Hz: 0 = constant Q, > 0 = variable Q
+            cqSparsity: 0.005,         // Kernel coefficients below this fraction of the peak are dropped
+            
+            // Multi-resolution spectrum: each band up to maxFrequency uses its own window
+            multiResolution: false,
+            multiResolutionBands: [
+                { maxFrequency: 500, windowSize: 4096 },
+                { maxFrequency: 4000, windowSize: 2048 },
+                { maxFrequency: 22050, windowSize: 512 }   // The last band always reaches Nyquist
+            ],
+            
             ...config
         };
         
@@ -108,9 +130,12 @@ export class FFTProcessor {
         // Bit-reversal lookup table
         this.bitReversalTable = null;
         
-        // WebWorker for heavy computations
+        // Constant-Q kernels and multi-resolution bands (null while disabled)
+        this.constantQ = null;
+        this.multiResolution = null;
+        
+        // WebWorker running performCustomFFT off the main thread (AnalysisWorkerClient)
         this.worker = null;
-        this.workerQueue = [];
         
         // State management
         this.frameCounter = 0;
@@ -142,6 +167,9 @@ export class FFTProcessor {
             // Precompute FFT coefficients
             this.precomputeFFTCoefficients();
             
+            // Constant-Q kernels and multi-resolution windows
+            this.initializeResolutions();
+            
             // Initialize WebWorker if needed
             if (this.config.maxConcurrency > 1) {
                 await this.initializeWorker();
@@ -166,13 +194,15 @@ export class FFTProcessor {
      * Initialize different FFT computation engines
      */
     async initializeEngines() {
-        // Native Web Audio engine (always available)
-        this.engines.native = this.audioContext.createAnalyser();
-        this.engines.native.fftSize = this.config.fftSize;
-        this.engines.native.smoothingTimeConstant = 0; // No smoothing for raw data
+        // Native Web Audio engine (unavailable for offline/headless contexts)
+        if (typeof this.audioContext.createAnalyser === 'function') {
+            this.engines.native = this.audioContext.createAnalyser();
+            this.engines.native.fftSize = this.config.fftSize;
+            this.engines.native.smoothingTimeConstant = 0; // No smoothing for raw data
+        }
         
-        // Custom JavaScript FFT engine
-        this.engines.custom = new CustomFFT(this.config.fftSize);
+        // Custom JavaScript FFT engine, sized for the zero-padded transform
+        this.engines.custom = new CustomFFT(this.config.fftSize * this.config.zeroPadding);
         
         // WebAssembly engine (future implementation)
         if (this.config.useWebAssembly) {
@@ -355,6 +385,250 @@ export class FFTProcessor {
         console.log(`FFT coefficients precomputed for sizes up to ${maxSize}`);
     }
     
+    /**
+     * Build the constant-Q kernels and multi-resolution windows for the current config
+     */
+    initializeResolutions() {
+        this.buffers.resolutionFrame = (this.config.constantQ || this.config.multiResolution) ?
+            new Float32Array(this.config.fftSize) : null;
+        
+        this.initializeConstantQ();
+        this.initializeMultiResolution();
+    }
+    
+    /**
+     * Precompute the spectral kernels of the constant-Q transform (Brown & Puckette)
+     * Each bin is a Hann-windowed complex exponential at its center frequency, as
+     * long as sampleRate / bandwidth and right-aligned in the frame so every bin
+     * ends on the newest sample. Bins whose window would exceed fftSize use the
+     * whole frame, so Q drops below the frame's resolution limit. The kernels are
+     * stored in the frequency domain, keeping only coefficients near their peak.
+     */
+    initializeConstantQ() {
+        this.constantQ = null;
+        if (!this.config.constantQ) return;
+        
+        const fftSize = this.config.fftSize;
+        const sampleRate = this.config.sampleRate;
+        const binsPerOctave = this.config.cqBinsPerOctave;
+        const minFrequency = this.config.cqMinFrequency;
+        const maxFrequency = Math.min(this.config.cqMaxFrequency, sampleRate / 2);
+        const binCount = Math.max(1, Math.floor(binsPerOctave * Math.log2(maxFrequency / minFrequency)) + 1);
+        const Q = 1 / (Math.pow(2, 1 / binsPerOctave) - 1);
+        
+        const frequencies = new Float32Array(binCount);
+        const windowLengths = new Uint32Array(binCount);
+        const kernels = new Array(binCount);
+        const kernelReal = new Float32Array(fftSize);
+        const kernelImag = new Float32Array(fftSize);
+        const spectrumReal = new Float32Array(fftSize);
+        const spectrumImag = new Float32Array(fftSize);
+        
+        for (let k = 0; k < binCount; k++) {
+            const frequency = minFrequency * Math.pow(2, k / binsPerOctave);
+            const bandwidth = frequency / Q + this.config.cqGamma;
+            const length = Math.max(2, Math.min(fftSize, Math.ceil(sampleRate / bandwidth)));
+            const start = fftSize - length;
+            
+            kernelReal.fill(0);
+            kernelImag.fill(0);
+            for (let n = 0; n < length; n++) {
+                const window = 0.5 * (1 - Math.cos(2 * Math.PI * n / (length - 1))) / length;
+                const phase = 2 * Math.PI * frequency * n / sampleRate;
+                kernelReal[start + n] = window * Math.cos(phase);
+                kernelImag[start + n] = window * Math.sin(phase);
+            }
+            
+            // Complex kernel spectrum from two real transforms: K = FFT(re) + i * FFT(im)
+            const a = this.engines.custom.compute(kernelReal, fftSize);
+            const b = this.engines.custom.compute(kernelImag, fftSize);
+            let peak = 0;
+            for (let i = 0; i < fftSize; i++) {
+                spectrumReal[i] = a.real[i] - b.imag[i];
+                spectrumImag[i] = a.imag[i] + b.real[i];
+                peak = Math.max(peak, Math.hypot(spectrumReal[i], spectrumImag[i]));
+            }
+            
+            const threshold = peak * this.config.cqSparsity;
+            const indices = [];
+            for (let i = 0; i < fftSize; i++) {
+                if (Math.hypot(spectrumReal[i], spectrumImag[i]) >= threshold) {
+                    indices.push(i);
+                }
+            }
+            
+            kernels[k] = {
+                indices: Uint32Array.from(indices),
+                real: Float32Array.from(indices, i => spectrumReal[i]),
+                imag: Float32Array.from(indices, i => spectrumImag[i])
+            };
+            frequencies[k] = frequency;
+            windowLengths[k] = length;
+        }
+        
+        this.constantQ = {
+            binCount,
+            binsPerOctave,
+            minFrequency,
+            Q,
+            frequencies,
+            windowLengths,
+            kernels,
+            magnitude: new Float32Array(binCount)
+        };
+        
+        console.log(`Constant-Q kernels built: ${binCount} bins, ${binsPerOctave} per octave from ${minFrequency.toFixed(1)} Hz`);
+    }
+    
+    /**
+     * Prepare the windows of the multi-resolution bands
+     * Window sizes are rounded to powers of two and capped at fftSize.
+     */
+    initializeMultiResolution() {
+        this.multiResolution = null;
+        if (!this.config.multiResolution) return;
+        
+        const fftSize = this.config.fftSize;
+        const nyquist = this.config.sampleRate / 2;
+        const bands = this.config.multiResolutionBands.slice()
+            .sort((a, b) => a.maxFrequency - b.maxFrequency);
+        
+        let minFrequency = 0;
+        const resolved = bands.map((band, index) => {
+            const maxFrequency = index === bands.length - 1 ? nyquist : Math.min(band.maxFrequency, nyquist);
+            const windowSize = Math.min(fftSize, Math.pow(2, Math.round(Math.log2(band.windowSize))));
+            
+            const window = new Float32Array(windowSize);
+            let windowSum = 0;
+            for (let i = 0; i < windowSize; i++) {
+                window[i] = 0.5 * (1 - Math.cos(2 * Math.PI * i / (windowSize - 1)));
+                windowSum += window[i];
+            }
+            
+            const resolvedBand = {
+                minFrequency,
+                maxFrequency,
+                windowSize,
+                window,
+                scale: 2 / windowSum,   // Sinusoid amplitude at its peak bin
+                input: new Float32Array(windowSize)
+            };
+            minFrequency = maxFrequency;
+            return resolvedBand;
+        });
+        
+        this.multiResolution = {
+            bands: resolved,
+            magnitude: new Float32Array(fftSize / 2)
+        };
+    }
+    
+    /**
+     * Compute the enabled constant-Q and multi-resolution spectra
+     * Both use the newest fftSize samples of timeData (zero-filled in front when shorter).
+     * @param {Float32Array} timeData - Time domain samples, newest last
+     * @returns {Object} { constantQ, multiResolution }, null for a disabled view
+     */
+    analyzeResolutions(timeData) {
+        const result = { constantQ: null, multiResolution: null };
+        if (!this.constantQ && !this.multiResolution) {
+            return result;
+        }
+        
+        const frame = this.buffers.resolutionFrame;
+        const length = Math.min(timeData.length, frame.length);
+        frame.fill(0, 0, frame.length - length);
+        frame.set(timeData.subarray(timeData.length - length), frame.length - length);
+        
+        if (this.constantQ) {
+            result.constantQ = this.computeConstantQ(frame);
+        }
+        if (this.multiResolution) {
+            result.multiResolution = this.computeMultiResolution(frame);
+        }
+        
+        return result;
+    }
+    
+    /**
+     * Constant-Q magnitudes: the frame's spectrum correlated with each bin's kernel
+     */
+    computeConstantQ(frame) {
+        const cq = this.constantQ;
+        const size = this.config.fftSize;
+        const spectrum = this.engines.custom.compute(frame, size);
+        
+        for (let k = 0; k < cq.binCount; k++) {
+            const kernel = cq.kernels[k];
+            let real = 0;
+            let imag = 0;
+            
+            // Sum of X * conj(K)
+            for (let j = 0; j < kernel.indices.length; j++) {
+                const i = kernel.indices[j];
+                const xr = spectrum.real[i];
+                const xi = spectrum.imag[i];
+                real += xr * kernel.real[j] + xi * kernel.imag[j];
+                imag += xi * kernel.real[j] - xr * kernel.imag[j];
+            }
+            
+            cq.magnitude[k] = Math.sqrt(real * real + imag * imag) / size;
+        }
+        
+        return {
+            magnitude: cq.magnitude,
+            frequencies: cq.frequencies,
+            windowLengths: cq.windowLengths,
+            binsPerOctave: cq.binsPerOctave,
+            minFrequency: cq.minFrequency,
+            Q: cq.Q
+        };
+    }
+    
+    /**
+     * Multi-resolution magnitudes on the linear bin grid
+     * Each band takes its bins from an FFT of the newest windowSize samples,
+     * interpolated onto the fftSize / 2 grid and normalized to sinusoid amplitude.
+     */
+    computeMultiResolution(frame) {
+        const fftSize = this.config.fftSize;
+        const output = this.multiResolution.magnitude;
+        const binWidth = this.config.sampleRate / fftSize;
+        
+        this.multiResolution.bands.forEach(band => {
+            const size = band.windowSize;
+            const offset = fftSize - size;
+            for (let i = 0; i < size; i++) {
+                band.input[i] = frame[offset + i] * band.window[i];
+            }
+            
+            const spectrum = this.engines.custom.compute(band.input, size);
+            const lastBin = size / 2 - 1;
+            const magnitudeAt = (bin) => Math.hypot(spectrum.real[bin], spectrum.imag[bin]);
+            
+            const start = Math.ceil(band.minFrequency / binWidth);
+            const end = Math.min(output.length, Math.ceil(band.maxFrequency / binWidth));
+            for (let i = start; i < end; i++) {
+                const position = i * size / fftSize;
+                const lower = Math.min(Math.floor(position), lastBin);
+                const upper = Math.min(lower + 1, lastBin);
+                const t = position - lower;
+                const lowerMagnitude = magnitudeAt(lower);
+                output[i] = (lowerMagnitude + (magnitudeAt(upper) - lowerMagnitude) * t) * band.scale;
+            }
+        });
+        
+        return {
+            magnitude: output,
+            frequencies: this.frequencyMaps.linear,
+            bands: this.multiResolution.bands.map(band => ({
+                minFrequency: band.minFrequency,
+                maxFrequency: band.maxFrequency,
+                windowSize: band.windowSize
+            }))
+        };
+    }
+    
     /**
      * Main analysis function - processes audio data and returns FFT results
      * @param {Object} audioData - Input audio data from AudioInterface
@@ -400,6 +674,9 @@ export class FFTProcessor {
             // Calculate additional spectral features
             const spectralFeatures = this.calculateSpectralFeatures(processedResult);
             
+            // Constant-Q and multi-resolution views (null when disabled)
+            const resolutions = this.analyzeResolutions(timeData);
+            
             // Update performance metrics
             const processingTime = performance.now() - startTime;
             this.updatePerformanceMetrics(processingTime);
@@ -423,6 +700,10 @@ export class FFTProcessor {
                     melFrequencies: this.frequencyMaps.mel,
                     barkFrequencies: this.frequencyMaps.bark,
                     
+                    // Pitch-oriented spectra
+                    constantQ: resolutions.constantQ,
+                    multiResolution: resolutions.multiResolution,
+                    
                     // Analysis metadata
                     fftSize: this.config.fftSize,
                     hopSize: this.config.hopSize,
@@ -482,6 +763,14 @@ export class FFTProcessor {
      * Perform FFT using custom JavaScript implementation
      */
     performCustomFFT(timeData) {
+        // In the worker when one is running; the spectrum then trails by a frame
+        if (this.worker && this.worker.isReady) {
+            const workerResult = this.performWorkerFFT(timeData);
+            if (workerResult) {
+                return workerResult;
+            }
+        }
+        
         const startTime = performance.now();
         
         // Prepare input buffer
@@ -494,10 +783,12 @@ export class FFTProcessor {
         // Zero padding if configured
         this.applyZeroPadding();
         
-        // Perform FFT computation
+        // Perform FFT computation into the preallocated complex buffers
         const fftResult = this.engines.custom.compute(
             this.buffers.zeroPaddedBuffer,
-            this.config.fftSize * this.config.zeroPadding
+            this.config.fftSize * this.config.zeroPadding,
+            this.buffers.realBuffer,
+            this.buffers.imagBuffer
         );
         
         // Calculate magnitude and phase
@@ -842,48 +1133,54 @@ export class FFTProcessor {
     
     /**
      * Initialize WebWorker for parallel processing
+     * Without worker support the FFT keeps running in-thread.
      */
     async initializeWorker() {
-        // WebWorker implementation for heavy FFT computations
-        // This would be a separate worker file in a real implementation
-        const workerCode = `
-            // FFT Worker implementation would go here
-            self.onmessage = function(e) {
-                const { type, data } = e.data;
-                if (type === 'fft') {
-                    // Perform FFT computation
-                    const result = performFFT(data);
-                    self.postMessage({ type: 'fft_result', result });
-                }
-            };
-        `;
+        if (this.worker) {
+            this.worker.dispose();
+        }
         
-        try {
-            const blob = new Blob([workerCode], { type: 'application/javascript' });
-            this.worker = new Worker(URL.createObjectURL(blob));
-            
-            this.worker.onmessage = (e) => {
-                const { type, result } = e.data;
-                if (type === 'fft_result') {
-                    this.handleWorkerResult(result);
-                }
-            };
-            
-            console.log('FFT WebWorker initialized');
-        } catch (error) {
-            console.warn('Failed to initialize WebWorker:', error);
+        const worker = new AnalysisWorkerClient('fft');
+        this.worker = worker;
+        
+        if (!(await worker.initialize(this.config)) && this.worker === worker) {
+            this.worker = null;
         }
     }
     
+    /**
+     * Send this frame to the worker and return the newest finished spectrum
+     * @returns {Object|null} FFT result, or null until the worker has delivered one
+     */
+    performWorkerFFT(timeData) {
+        const input = new Float32Array(timeData);
+        this.worker.submit({ timeData: input }, [input.buffer]);
+        
+        const result = this.worker.takeResult();
+        if (result) {
+            this.handleWorkerResult(result);
+        }
+        
+        if (!this.worker.hasResult) {
+            return null;
+        }
+        
+        return {
+            magnitude: this.buffers.magnitudeBuffer,
+            phase: this.buffers.phaseBuffer,
+            powerSpectrum: this.buffers.powerSpectrum
+        };
+    }
+    
     /**
      * Handle worker computation results
      */
     handleWorkerResult(result) {
-        // Process worker results and update buffers
-        if (this.workerQueue.length > 0) {
-            const callback = this.workerQueue.shift();
-            callback(result);
-        }
+        this.buffers.magnitudeBuffer.set(result.magnitude);
+        this.buffers.phaseBuffer.set(result.phase);
+        this.buffers.powerSpectrum.set(result.powerSpectrum);
+        
+        this.performanceMetrics.fftComputeTime = this.worker.stats.workerTime;
     }
     
     /**
@@ -904,7 +1201,21 @@ export class FFTProcessor {
             algorithms: {
                 available: Object.keys(this.engines).filter(key => this.engines[key] !== null),
                 current: this.config.algorithm
-            }
+            },
+            worker: this.worker ? this.worker.getStatus() : null,
+            constantQ: this.constantQ ? {
+                binCount: this.constantQ.binCount,
+                binsPerOctave: this.constantQ.binsPerOctave,
+                minFrequency: this.constantQ.minFrequency,
+                Q: this.constantQ.Q
+            } : null,
+            multiResolution: this.multiResolution ? {
+                bands: this.multiResolution.bands.map(band => ({
+                    minFrequency: band.minFrequency,
+                    maxFrequency: band.maxFrequency,
+                    windowSize: band.windowSize
+                }))
+            } : null
         };
     }
     
@@ -912,18 +1223,30 @@ export class FFTProcessor {
      * Update configuration at runtime
      */
     updateConfig(newConfig) {
-        const needsReinit = 
-            newConfig.fftSize !== this.config.fftSize ||
-            newConfig.zeroPadding !== this.config.zeroPadding;
+        const changed = (key) => newConfig[key] !== undefined && newConfig[key] !== this.config[key];
+        const needsReinit = changed('fftSize') || changed('zeroPadding');
+        const resolutionsChanged = needsReinit || Object.keys(newConfig).some(key =>
+            key === 'constantQ' || key === 'multiResolution' || key.startsWith('cq') || key === 'multiResolutionBands');
         
         Object.assign(this.config, newConfig);
         
         if (needsReinit && this.isInitialized) {
             console.log('Reinitializing FFTProcessor due to config changes');
+            this.engines.custom = new CustomFFT(this.config.fftSize * this.config.zeroPadding);
             this.initializeBuffers();
+            this.generateFrequencyMaps();
             this.precomputeFFTCoefficients();
         }
         
+        if (resolutionsChanged && this.isInitialized) {
+            this.initializeResolutions();
+        }
+        
+        // The worker holds its own copy of the configuration
+        if (this.worker) {
+            this.initializeWorker();
+        }
+        
         // Update engine settings
         if (this.engines.native) {
             this.engines.native.fftSize = this.config.fftSize;
@@ -975,7 +1298,7 @@ export class FFTProcessor {
         
         // Clean up WebWorker
         if (this.worker) {
-            this.worker.terminate();
+            this.worker.dispose();
             this.worker = null;
         }
         
@@ -994,6 +1317,9 @@ export class FFTProcessor {
             this.frequencyMaps[key] = null;
         });
         
+        this.constantQ = null;
+        this.multiResolution = null;
+        
         // Disconnect engines
         if (this.engines.native) {
             this.engines.native.disconnect();
@@ -1012,6 +1338,7 @@ export class FFTProcessor {
 class CustomFFT {
     constructor(maxSize = 8192) {
         this.maxSize = maxSize;
+        this.bitReversalTables = new Map();
         this.initializeTables();
     }
     
@@ -1029,18 +1356,20 @@ class CustomFFT {
     
     /**
      * Compute FFT using Cooley-Tukey algorithm
+     * @param {Float32Array} inputBuffer - Real input
+     * @param {number} size - Transform size (power of 2)
+     * @param {Float32Array} real - Output real part of length size (allocated when omitted)
+     * @param {Float32Array} imag - Output imaginary part of length size (allocated when omitted)
      */
-    compute(inputBuffer, size) {
+    compute(inputBuffer, size, real = new Float32Array(size), imag = new Float32Array(size)) {
         if (size & (size - 1)) {
             throw new Error('FFT size must be a power of 2');
         }
         
-        const real = new Float32Array(size);
-        const imag = new Float32Array(size);
-        
-        // Copy input and initialize imaginary part
-        for (let i = 0; i < Math.min(inputBuffer.length, size); i++) {
-            real[i] = inputBuffer[i];
+        // Copy input and initialize imaginary part; reused buffers may hold the last frame
+        const inputLength = Math.min(inputBuffer.length, size);
+        for (let i = 0; i < size; i++) {
+            real[i] = i < inputLength ? inputBuffer[i] : 0;
             imag[i] = 0;
         }
         
@@ -1078,17 +1407,37 @@ class CustomFFT {
      * Bit-reversal permutation for FFT
      */
     bitReversePermute(real, imag, size) {
-        const log2Size = Math.log2(size);
+        const table = this.getBitReversalTable(size);
         
         for (let i = 0; i < size; i++) {
-            const j = this.reverseBits(i, log2Size);
+            const j = table[i];
             if (i < j) {
                 // Swap real parts
-                [real[i], real[j]] = [real[j], real[i]];
+                const tempReal = real[i];
+                real[i] = real[j];
+                real[j] = tempReal;
                 // Swap imaginary parts
-                [imag[i], imag[j]] = [imag[j], imag[i]];
+                const tempImag = imag[i];
+                imag[i] = imag[j];
+                imag[j] = tempImag;
+            }
+        }
+    }
+    
+    /**
+     * Bit-reversed indices for a transform size, built once per size
+     */
+    getBitReversalTable(size) {
+        let table = this.bitReversalTables.get(size);
+        if (!table) {
+            const log2Size = Math.log2(size);
+            table = new Uint32Array(size);
+            for (let i = 0; i < size; i++) {
+                table[i] = this.reverseBits(i, log2Size);
             }
+            this.bitReversalTables.set(size, table);
         }
+        return table;
     }
     
     reverseBits(num, bits) {
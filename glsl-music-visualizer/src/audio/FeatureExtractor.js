@@ -5,11 +5,18 @@
  * 
  * Extracts high-level musical and perceptual features including MFCCs, chromagram,
  * timbral features, harmonic analysis, and genre classification markers
+ *
+ * Genre and mood come from a GenreClassifier fed with every frame's features; its
+ * model (genreModelUrl, or one given to loadGenreModel) turns window statistics
+ * into class probabilities, reported in features.classification. No model is
+ * loaded by default, so classification stays null until one is supplied.
  */
 
 import { MathUtils } from '../utils/MathUtils.js';
 import { ColorUtils } from '../utils/ColorUtils.js';
 import { performanceMonitor } from '../core/PerformanceMonitor.js';
+import { AnalysisWorkerClient } from './AnalysisWorkerClient.js';
+import { GenreClassifier } from './GenreClassifier.js';
 
 export class FeatureExtractor {
     constructor(config = {}) {
@@ -84,6 +91,8 @@ export class FeatureExtractor {
             // Genre classification features
             enableGenreFeatures: true,
             genreFeatureSet: 'comprehensive', // 'basic', 'extended', 'comprehensive'
+            genreModelUrl: null,        // Model loaded on initialization (null: wait for loadGenreModel)
+            genreWindow: 10,            // Seconds of features behind each classification
             
             // Performance settings
             enableCaching: true,
@@ -91,6 +100,9 @@ export class FeatureExtractor {
             enableParallelProcessing: false,
             qualityMode: 'high',        // 'low', 'medium', 'high', 'ultra'
             
+            // Clock override in milliseconds (media time for offline analysis)
+            timeSource: null,
+            
             ...config
         };
         
@@ -114,6 +126,13 @@ export class FeatureExtractor {
             erb: null
         };
         
+        // Non-zero entries of the mel and Bark banks (MathUtils.sparseRows) and the MFCC DCT basis
+        this.filterRows = {
+            mel: null,
+            bark: null
+        };
+        this.dctBasis = null;
+        
         // Analysis buffers
         this.buffers = {
             // Mel-frequency analysis
@@ -163,10 +182,18 @@ export class FeatureExtractor {
         this.musicalKnowledge = {
             keyProfiles: null,
             chordTemplates: null,
-            scaleTemplates: null,
-            genreModels: null
+            scaleTemplates: null
         };
         
+        // Genre and mood classification (created with the models)
+        this.genreClassifier = null;
+        
+        // Roughness weights per bin distance ({ frequencies, weights }, built on first use)
+        this.roughnessWeights = null;
+        
+        // Loudness and sharpness weights per bin ({ frequencies, loudness, sharpness }, built on first use)
+        this.perceptualWeights = null;
+        
         // Feature statistics for normalization
         this.featureStats = {
             means: new Map(),
@@ -198,6 +225,10 @@ export class FeatureExtractor {
         this.frameCounter = 0;
         this.analysisStartTime = performance.now();
         
+        // Worker for MFCC and chroma extraction (enableParallelProcessing)
+        this.worker = null;
+        this.workerFeatures = null;
+        
         // Event system
         this.eventCallbacks = new Map();
         
@@ -240,6 +271,11 @@ export class FeatureExtractor {
             // Load pre-trained models if available
             await this.loadPretrainedModels();
             
+            // Move MFCC and chroma extraction off the main thread
+            if (this.config.enableParallelProcessing) {
+                await this.initializeWorker();
+            }
+            
             this.isInitialized = true;
             
             console.log('FeatureExtractor initialized', {
@@ -287,6 +323,11 @@ export class FeatureExtractor {
         // ERB filter bank for auditory modeling
         this.filterBanks.erb = this.createERBFilterBank(32, nyquist, fftBins);
         
+        // Per-frame filtering only visits the bins a band covers
+        this.filterRows.mel = MathUtils.sparseRows(this.filterBanks.mel);
+        this.filterRows.bark = MathUtils.sparseRows(this.filterBanks.bark);
+        this.dctBasis = MathUtils.dctTable(this.config.mfccCoefficients, this.config.melFilterBanks);
+        
         console.log('Filter banks initialized:', {
             mel: this.filterBanks.mel.length,
             chroma: this.filterBanks.chroma.length,
@@ -470,9 +511,6 @@ export class FeatureExtractor {
         // Scale templates
         this.musicalKnowledge.scaleTemplates = this.createScaleTemplates();
         
-        // Genre classification models (placeholder)
-        this.musicalKnowledge.genreModels = this.createGenreModels();
-        
         console.log('Musical knowledge bases initialized');
     }
     
@@ -541,23 +579,37 @@ export class FeatureExtractor {
     
     /**
      * Load pre-trained models for advanced analysis
+     * Without a genre model, classification stays off until loadGenreModel succeeds.
      */
     async loadPretrainedModels() {
-        // Placeholder for loading ML models
-        // In a full implementation, this would load neural networks
-        // for genre classification, mood detection, etc.
+        if (!this.config.enableGenreFeatures) {
+            return;
+        }
         
-        if (this.config.enableGenreFeatures) {
+        this.genreClassifier = new GenreClassifier({ windowDuration: this.config.genreWindow });
+        
+        if (this.config.genreModelUrl) {
             try {
-                // Load genre classification model
-                // const genreModel = await this.loadGenreModel();
-                console.log('Genre classification models ready');
+                await this.genreClassifier.loadModel(this.config.genreModelUrl);
             } catch (error) {
                 console.warn('Failed to load genre models:', error);
             }
         }
     }
     
+    /**
+     * Replace the genre and mood model
+     * @param {string|File|Blob|Object} source - URL, JSON file or parsed model (see GenreClassifier)
+     * @returns {Promise<Object>} Model information
+     */
+    async loadGenreModel(source) {
+        if (!this.genreClassifier) {
+            throw new Error('Genre classification is disabled');
+        }
+        
+        return this.genreClassifier.loadModel(source);
+    }
+    
     /**
      * Main feature extraction function
      * @param {Object} audioData - Enhanced audio data from previous analysis modules
@@ -578,15 +630,24 @@ export class FeatureExtractor {
                 return audioData;
             }
             
-            // Extract MFCC features
-            const mfccStartTime = performance.now();
-            const mfccFeatures = this.extractMFCCFeatures(spectralData);
-            this.performanceMetrics.mfccTime = performance.now() - mfccStartTime;
-            
-            // Extract chromagram features
-            const chromaStartTime = performance.now();
-            const chromaFeatures = this.extractChromaFeatures(spectralData);
-            this.performanceMetrics.chromaTime = performance.now() - chromaStartTime;
+            // MFCC and chroma come from the worker when one is running
+            let mfccFeatures;
+            let chromaFeatures;
+            const workerFeatures = this.extractInWorker(spectralData);
+            if (workerFeatures) {
+                mfccFeatures = workerFeatures.mfcc;
+                chromaFeatures = workerFeatures.chroma;
+            } else {
+                // Extract MFCC features
+                const mfccStartTime = performance.now();
+                mfccFeatures = this.extractMFCCFeatures(spectralData);
+                this.performanceMetrics.mfccTime = performance.now() - mfccStartTime;
+                
+                // Extract chromagram features
+                const chromaStartTime = performance.now();
+                chromaFeatures = this.extractChromaFeatures(spectralData);
+                this.performanceMetrics.chromaTime = performance.now() - chromaStartTime;
+            }
             
             // Extract spectral features
             const spectralStartTime = performance.now();
@@ -611,16 +672,14 @@ export class FeatureExtractor {
             // Extract temporal features
             const temporalFeatures = this.extractTemporalFeatures(audioData);
             
-            // Extract genre features (if enabled)
-            let genreFeatures = {};
-            if (this.config.enableGenreFeatures) {
-                genreFeatures = this.extractGenreFeatures({
-                    mfcc: mfccFeatures,
-                    spectral: spectralFeatures,
-                    harmonic: harmonicFeatures,
-                    temporal: temporalFeatures
-                });
-            }
+            // Genre and mood over the classifier window (if enabled)
+            const classification = this.extractGenreFeatures({
+                spectral: spectralFeatures,
+                temporal: temporalFeatures,
+                musical: musicalFeatures,
+                rms: audioData.rms,
+                bpm: audioData.bpm
+            });
             
             // Update feature history
             this.updateFeatureHistory({
@@ -650,7 +709,7 @@ export class FeatureExtractor {
                 perceptual: perceptualFeatures,
                 musical: musicalFeatures,
                 temporal: temporalFeatures,
-                genre: genreFeatures
+                classification: classification
             });
             
             this.frameCounter++;
@@ -663,6 +722,14 @@ export class FeatureExtractor {
         }
     }
     
+    /**
+     * Get current analysis time in milliseconds
+     * Uses the configured time source when set, wall-clock time otherwise
+     */
+    now() {
+        return this.config.timeSource ? this.config.timeSource() : performance.now();
+    }
+    
     /**
      * Extract spectral data from audio input
      */
@@ -677,10 +744,66 @@ export class FeatureExtractor {
             phase: fft.phase || new Float32Array(fft.magnitude.length),
             powerSpectrum: fft.powerSpectrum,
             frequencies: fft.frequencies,
-            timestamp: performance.now()
+            timestamp: this.now()
         };
     }
     
+    /**
+     * Start the worker for MFCC and chroma extraction
+     * Without worker support both keep running in-thread.
+     */
+    async initializeWorker() {
+        if (this.worker) {
+            this.worker.dispose();
+        }
+        
+        const worker = new AnalysisWorkerClient('features');
+        this.worker = worker;
+        this.workerFeatures = null;
+        
+        // The worker only extracts MFCC and chroma and needs no genre model
+        if (!(await worker.initialize({ ...this.config, enableGenreFeatures: false })) && this.worker === worker) {
+            this.worker = null;
+        }
+    }
+    
+    /**
+     * Send the spectrum to the worker and return its newest MFCC/chroma features
+     * @returns {Object|null} { mfcc, chroma } feature groups, or null to extract in-thread
+     */
+    extractInWorker(spectralData) {
+        if (!this.worker || !this.worker.isReady) return null;
+        
+        const input = new Float32Array(spectralData.magnitude);
+        this.worker.submit({ magnitude: input }, [input.buffer]);
+        
+        const result = this.worker.takeResult();
+        if (result) {
+            this.workerFeatures = {
+                mfcc: {
+                    mfcc: result.mfcc,
+                    deltaMfcc: result.deltaMfcc,
+                    deltaDeltaMfcc: result.deltaDeltaMfcc,
+                    melSpectrum: result.melSpectrum,
+                    melSpectrogram: result.melSpectrogram
+                },
+                chroma: {
+                    chroma: result.chroma,
+                    chromaVector: result.chromaVector,
+                    chromaNormalized: result.chromaNormalized
+                }
+            };
+            
+            // Later stages read the buffers (key detection, history)
+            ['mfcc', 'deltaMfcc', 'deltaDeltaMfcc', 'melSpectrum', 'melSpectrogram',
+                'chroma', 'chromaVector', 'chromaNormalized'].forEach(name => {
+                this.buffers[name].set(result[name]);
+            });
+        }
+        
+        return this.worker.hasResult ? this.workerFeatures : null;
+    }
+    
     /**
      * Extract MFCC features
      */
@@ -688,11 +811,8 @@ export class FeatureExtractor {
         // Apply mel filter bank
         const melSpectrum = new Float32Array(this.filterBanks.mel.length);
         
-        for (let m = 0; m < this.filterBanks.mel.length; m++) {
-            let melValue = 0;
-            for (let k = 0; k < spectralData.magnitude.length; k++) {
-                melValue += spectralData.magnitude[k] * this.filterBanks.mel[m][k];
-            }
+        for (let m = 0; m < this.filterRows.mel.length; m++) {
+            const melValue = MathUtils.sparseDot(this.filterRows.mel[m], spectralData.magnitude);
             melSpectrum[m] = Math.max(melValue, 1e-10); // Avoid log(0)
         }
         
@@ -739,12 +859,18 @@ export class FeatureExtractor {
         const numFilters = logMelSpectrum.length;
         const mfcc = new Float32Array(numCoeffs);
         
+        if (!this.dctBasis || this.dctBasis.length !== numCoeffs * numFilters) {
+            this.dctBasis = MathUtils.dctTable(numCoeffs, numFilters);
+        }
+        const basis = this.dctBasis;
+        
         for (let c = 0; c < numCoeffs; c++) {
             let sum = 0;
+            const offset = c * numFilters;
             for (let m = 0; m < numFilters; m++) {
-                sum += logMelSpectrum[m] * Math.cos(Math.PI * c * (m + 0.5) / numFilters);
+                sum += logMelSpectrum[m] * basis[offset + m];
             }
-            mfcc[c] = sum * Math.sqrt(2 / numFilters);
+            mfcc[c] = sum;
         }
         
         return mfcc;
@@ -1235,16 +1361,17 @@ export class FeatureExtractor {
      * Calculate loudness using psychoacoustic models
      */
     calculateLoudness(magnitude, frequencies) {
-        const loudness = new Float32Array(this.filterBanks.bark.length);
+        const loudness = new Float32Array(this.filterRows.bark.length);
+        const weights = this.getPerceptualWeights(frequencies).loudness;
         
-        for (let b = 0; b < this.filterBanks.bark.length; b++) {
-            let bandLoudness = 0;
-            
-            for (let k = 0; k < magnitude.length; k++) {
-                const freq = frequencies[k];
-                const loudnessWeight = this.calculateLoudnessWeight(freq);
-                bandLoudness += magnitude[k] * loudnessWeight * this.filterBanks.bark[b][k];
-            }
+        // Weight each bin once rather than once per band
+        const weightedMagnitude = new Float32Array(magnitude.length);
+        for (let k = 0; k < magnitude.length; k++) {
+            weightedMagnitude[k] = magnitude[k] * weights[k];
+        }
+        
+        for (let b = 0; b < this.filterRows.bark.length; b++) {
+            const bandLoudness = MathUtils.sparseDot(this.filterRows.bark[b], weightedMagnitude);
             
             // Apply Stevens' power law
             loudness[b] = Math.pow(Math.max(bandLoudness, 1e-10), 0.67);
@@ -1259,36 +1386,59 @@ export class FeatureExtractor {
     calculateSharpness(magnitude, frequencies) {
         let weightedSum = 0;
         let totalSum = 0;
+        const weights = this.getPerceptualWeights(frequencies).sharpness;
         
         for (let i = 0; i < magnitude.length; i++) {
-            const freq = frequencies[i];
-            const sharpnessWeight = this.calculateSharpnessWeight(freq);
-            
-            weightedSum += magnitude[i] * sharpnessWeight;
+            weightedSum += magnitude[i] * weights[i];
             totalSum += magnitude[i];
         }
         
         return totalSum > 0 ? weightedSum / totalSum : 0;
     }
     
+    /**
+     * Loudness and sharpness weight of every bin
+     * Both only depend on the bin frequency, so they are computed once per frequency map.
+     */
+    getPerceptualWeights(frequencies) {
+        if (!this.perceptualWeights || this.perceptualWeights.frequencies !== frequencies) {
+            const loudness = new Float32Array(frequencies.length);
+            const sharpness = new Float32Array(frequencies.length);
+            for (let k = 0; k < frequencies.length; k++) {
+                loudness[k] = this.calculateLoudnessWeight(frequencies[k]);
+                sharpness[k] = this.calculateSharpnessWeight(frequencies[k]);
+            }
+            this.perceptualWeights = { frequencies, loudness, sharpness };
+        }
+        
+        return this.perceptualWeights;
+    }
+    
     /**
      * Calculate roughness
      */
     calculateRoughness(magnitude, frequencies) {
         let roughness = 0;
         
+        // Bins are evenly spaced, so the beat frequency only depends on the
+        // bin distance; the weights are computed once per frequency map
+        if (!this.roughnessWeights || this.roughnessWeights.frequencies !== frequencies) {
+            const weights = new Float32Array(50);
+            for (let offset = 1; offset < Math.min(50, frequencies.length); offset++) {
+                weights[offset] = this.calculateRoughnessWeight(Math.abs(frequencies[offset] - frequencies[0]));
+            }
+            this.roughnessWeights = { frequencies, weights };
+        }
+        const weights = this.roughnessWeights.weights;
+        
         // Look for beating patterns between frequency components
         for (let i = 0; i < magnitude.length - 1; i++) {
-            for (let j = i + 1; j < Math.min(i + 50, magnitude.length); j++) {
-                const freq1 = frequencies[i];
-                const freq2 = frequencies[j];
-                const beatFreq = Math.abs(freq2 - freq1);
-                
-                const roughnessWeight = this.calculateRoughnessWeight(beatFreq);
-                const componentRoughness = magnitude[i] * magnitude[j] * roughnessWeight;
-                
-                roughness += componentRoughness;
+            const end = Math.min(i + 50, magnitude.length);
+            let pairSum = 0;
+            for (let j = i + 1; j < end; j++) {
+                pairSum += magnitude[j] * weights[j - i];
             }
+            roughness += magnitude[i] * pairSum;
         }
         
         return roughness;
@@ -1304,8 +1454,8 @@ export class FeatureExtractor {
         if (recentFrames.length < 2) return 0;
         
         let modulation = 0;
+        const currentEnergy = magnitude.reduce((sum, m) => sum + m * m, 0);
         for (let i = 1; i < recentFrames.length; i++) {
-            const currentEnergy = magnitude.reduce((sum, m) => sum + m * m, 0);
             const previousEnergy = recentFrames[i].spectral.energy || 0;
             
             modulation += Math.abs(currentEnergy - previousEnergy);
@@ -1410,24 +1560,15 @@ export class FeatureExtractor {
     }
     
     /**
-     * Extract genre classification features
+     * Feed the genre classifier and return its latest classification
+     * @returns {Object|null} GenreClassifier result, null while disabled or still filling the window
      */
-    extractGenreFeatures(allFeatures) {
-        if (!this.config.enableGenreFeatures) {
-            return {};
+    extractGenreFeatures(frameFeatures) {
+        if (!this.config.enableGenreFeatures || !this.genreClassifier) {
+            return null;
         }
         
-        // Combine relevant features for genre classification
-        const genreVector = this.createGenreFeatureVector(allFeatures);
-        
-        // Apply genre classification model (placeholder)
-        const genreScores = this.classifyGenre(genreVector);
-        
-        return {
-            featureVector: genreVector,
-            genreScores: genreScores,
-            predictedGenre: this.findTopGenre(genreScores)
-        };
+        return this.genreClassifier.addFrame(frameFeatures, this.now() / 1000);
     }
     
     /**
@@ -1496,31 +1637,45 @@ export class FeatureExtractor {
      * Utility functions
      */
     
-    findClosestBin(frequencies, targetFreq) {
-        let minDistance = Infinity;
-        let closestBin = -1;
-        
-        for (let i = 0; i < frequencies.length; i++) {
-            const distance = Math.abs(frequencies[i] - targetFreq);
-            if (distance < minDistance) {
-                minDistance = distance;
-                closestBin = i;
+    /**
+     * First bin at or above a frequency (bin frequencies ascend)
+     */
+    findBinAtOrAbove(frequencies, frequency) {
+        let low = 0;
+        let high = frequencies.length;
+        
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (frequencies[mid] < frequency) {
+                low = mid + 1;
+            } else {
+                high = mid;
             }
         }
         
-        return closestBin;
+        return low;
+    }
+    
+    findClosestBin(frequencies, targetFreq) {
+        if (frequencies.length === 0) return -1;
+        
+        const above = this.findBinAtOrAbove(frequencies, targetFreq);
+        if (above === 0) return 0;
+        if (above === frequencies.length) return above - 1;
+        
+        // The lower bin wins a tie
+        return targetFreq - frequencies[above - 1] <= frequencies[above] - targetFreq ? above - 1 : above;
     }
     
     findPeakNear(magnitude, frequencies, targetFreq, tolerance) {
         let maxAmplitude = 0;
         let peakBin = -1;
         
-        for (let i = 0; i < frequencies.length; i++) {
-            if (Math.abs(frequencies[i] - targetFreq) <= tolerance) {
-                if (magnitude[i] > maxAmplitude) {
-                    maxAmplitude = magnitude[i];
-                    peakBin = i;
-                }
+        for (let i = this.findBinAtOrAbove(frequencies, targetFreq - tolerance);
+            i < frequencies.length && frequencies[i] <= targetFreq + tolerance; i++) {
+            if (magnitude[i] > maxAmplitude) {
+                maxAmplitude = magnitude[i];
+                peakBin = i;
             }
         }
         
@@ -1613,7 +1768,7 @@ export class FeatureExtractor {
         
         // Add current frame
         const current = this.buffers.featureHistory[0];
-        current.timestamp = performance.now();
+        current.timestamp = this.now();
         current.mfcc.set(features.mfcc.mfcc);
         current.chroma.set(features.chroma.chroma);
         Object.assign(current.spectral, features.spectral);
@@ -1788,18 +1943,6 @@ export class FeatureExtractor {
         return templates;
     }
     
-    createGenreModels() {
-        // Placeholder for genre classification models
-        // In a full implementation, this would load pre-trained ML models
-        return {
-            rock: { model: null, threshold: 0.5 },
-            jazz: { model: null, threshold: 0.5 },
-            classical: { model: null, threshold: 0.5 },
-            electronic: { model: null, threshold: 0.5 },
-            folk: { model: null, threshold: 0.5 }
-        };
-    }
-    
     /**
      * Advanced analysis functions
      */
@@ -1877,7 +2020,7 @@ export class FeatureExtractor {
         
         const onsetHistory = audioData.beatAnalysis.onsetHistory;
         const timeWindow = this.config.temporalWindow * 1000; // Convert to milliseconds
-        const currentTime = performance.now();
+        const currentTime = this.now();
         
         // Count onsets in the time window
         const recentOnsets = onsetHistory.filter(onset => 
@@ -1918,57 +2061,6 @@ export class FeatureExtractor {
         return maxConfidence;
     }
     
-    createGenreFeatureVector(allFeatures) {
-        // Combine selected features for genre classification
-        const vector = [];
-        
-        // MFCC features (first 13 coefficients)
-        vector.push(...Array.from(allFeatures.mfcc.mfcc));
-        
-        // Spectral features
-        vector.push(allFeatures.spectral.centroid);
-        vector.push(allFeatures.spectral.bandwidth);
-        vector.push(allFeatures.spectral.rolloff);
-        vector.push(allFeatures.spectral.flatness);
-        
-        // Harmonic features
-        vector.push(allFeatures.harmonic.harmonicStrength);
-        vector.push(allFeatures.harmonic.inharmonicity);
-        
-        // Temporal features
-        vector.push(allFeatures.temporal.onsetDensity);
-        vector.push(allFeatures.temporal.rhythmicRegularity);
-        vector.push(allFeatures.temporal.averageTempo);
-        
-        return new Float32Array(vector);
-    }
-    
-    classifyGenre(featureVector) {
-        // Placeholder genre classification
-        // In a real implementation, this would use a trained ML model
-        const genres = ['rock', 'jazz', 'classical', 'electronic', 'folk'];
-        const scores = {};
-        
-        genres.forEach(genre => {
-            // Simple heuristic-based classification
-            scores[genre] = Math.random(); // Replace with actual model prediction
-        });
-        
-        return scores;
-    }
-    
-    findTopGenre(genreScores) {
-        let topGenre = { name: 'unknown', score: 0 };
-        
-        Object.entries(genreScores).forEach(([genre, score]) => {
-            if (score > topGenre.score) {
-                topGenre = { name: genre, score: score };
-            }
-        });
-        
-        return topGenre;
-    }
-    
     /**
      * Create enhanced output with all extracted features
      */
@@ -2014,10 +2106,8 @@ export class FeatureExtractor {
                 // Temporal features
                 temporal: { ...extractedFeatures.temporal },
                 
-                // Genre classification
-                ...(this.config.enableGenreFeatures && {
-                    genre: { ...extractedFeatures.genre }
-                })
+                // Genre and mood probabilities (GenreClassifier)
+                classification: extractedFeatures.classification
             },
             
             // Feature statistics (for normalization)
@@ -2083,6 +2173,11 @@ export class FeatureExtractor {
             this.initializeBuffers();
         }
         
+        // The worker holds its own copy of the configuration
+        if (this.worker) {
+            this.initializeWorker();
+        }
+        
         // Update extractor configurations
         Object.values(this.extractors).forEach(extractor => {
             if (extractor && extractor.updateConfig) {
@@ -2114,10 +2209,21 @@ export class FeatureExtractor {
                 chroma: this.filterBanks.chroma?.length || 0,
                 bark: this.filterBanks.bark?.length || 0,
                 erb: this.filterBanks.erb?.length || 0
-            }
+            },
+            worker: this.worker ? this.worker.getStatus() : null,
+            genreClassifier: this.genreClassifier ? this.genreClassifier.getStatus() : null
         };
     }
     
+    /**
+     * Forget the genre classification window (seek, new source)
+     */
+    reset() {
+        if (this.genreClassifier) {
+            this.genreClassifier.reset();
+        }
+    }
+    
     /**
      * Export feature extraction data
      */
@@ -2176,6 +2282,16 @@ export class FeatureExtractor {
     dispose() {
         console.log('Disposing FeatureExtractor...');
         
+        if (this.worker) {
+            this.worker.dispose();
+            this.worker = null;
+        }
+        
+        if (this.genreClassifier) {
+            this.genreClassifier.dispose();
+            this.genreClassifier = null;
+        }
+        
         // Dispose extractors
         Object.values(this.extractors).forEach(extractor => {
             if (extractor && extractor.dispose) {
@@ -2198,6 +2314,10 @@ export class FeatureExtractor {
         Object.keys(this.filterBanks).forEach(key => {
             this.filterBanks[key] = null;
         });
+        Object.keys(this.filterRows).forEach(key => {
+            this.filterRows[key] = null;
+        });
+        this.dctBasis = null;
         
         // Clear statistics
         this.featureStats.means.clear();
@@ -0,0 +1,477 @@
+/**
+ * Genre Classifier
+ * Genre and mood probabilities from FeatureExtractor features aggregated over a window
+ * Location: src/audio/GenreClassifier.js
+ *
+ * Every analysis frame contributes a few descriptors (DESCRIPTORS below: loudness,
+ * brightness, rolloff, flatness, onset density, tempo, major key share). Over the
+ * last windowDuration seconds they are summarized by their mean and standard
+ * deviation, named '<descriptor>.mean' and '<descriptor>.std', and each task of
+ * the loaded model ('genre', 'mood') turns the features it names into class
+ * probabilities.
+ *
+ * Models are JSON:
+ *
+ *   {
+ *     "name": "...",
+ *     "classifier": "logistic",          // or "knn"; how example tasks are used
+ *     "k": 5,                            // neighbors for "knn"
+ *     "tasks": {
+ *       "genre": {
+ *         "features": ["loudness.mean", "onsetDensity.mean", ...],
+ *         "labels": ["electronic", "rock", ...],
+ *
+ *         // Either labeled examples, one value per feature ...
+ *         "examples": [{ "label": "rock", "values": [-12.5, 5.5, ...] }, ...],
+ *
+ *         // ... or a trained softmax regression on standardized features
+ *         "normalization": { "mean": [...], "std": [...] },
+ *         "weights": [[...per feature...], ...per label...],
+ *         "bias": [...per label...]
+ *       }
+ *     }
+ *   }
+ *
+ * Example tasks are trained into a softmax regression when the model loads, or
+ * kept as the reference points of a k-nearest-neighbor vote. The example model
+ * (assets/models/genre-mood.json) is a small set of hand-written examples that
+ * shows the format; it is not fitted to real data and nothing loads it by default.
+ *
+ * URLs load through FileUtils (XMLHttpRequest), which Node does not have; headless
+ * callers pass the parsed model object instead.
+ */
+
+import { FileUtils } from '../utils/FileUtils.js';
+
+// Per-frame descriptors, read from { spectral, temporal, musical, rms, bpm }
+const DESCRIPTORS = {
+    // RMS level in dBFS
+    loudness: frame => 20 * Math.log10(Math.max(frame.rms || 0, 1e-5)),
+    // Spectral centroid in octaves above 1 kHz
+    brightness: frame => Math.log2(Math.max(frame.spectral.centroid || 0, 20) / 1000),
+    // Spectral rolloff in octaves above 1 kHz
+    rolloff: frame => Math.log2(Math.max(frame.spectral.rolloff || 0, 20) / 1000),
+    flatness: frame => frame.spectral.flatness || 0,
+    // Onsets per second
+    onsetDensity: frame => frame.temporal.onsetDensity || 0,
+    // Beats per minute, 0 while no tempo is known
+    tempo: frame => frame.bpm || 0,
+    // 1 in a major key, 0 in a minor one; the window mean is the major share
+    major: frame => frame.musical.key && frame.musical.key.mode === 'major' ? 1 : 0
+};
+
+const DESCRIPTOR_NAMES = Object.keys(DESCRIPTORS);
+const STATISTICS = ['mean', 'std'];
+
+export class GenreClassifier {
+    /**
+     * @param {Object} config - Classifier configuration
+     */
+    constructor(config = {}) {
+        this.config = {
+            windowDuration: 10,         // Seconds of frames summarized
+            minWindowDuration: 3,       // Seconds of frames needed before classifying
+            updateInterval: 0.5,        // Seconds between classifications
+            
+            // Training of example tasks into a softmax regression
+            trainingIterations: 500,
+            learningRate: 0.5,
+            regularization: 0.05,       // L2 penalty; keeps probabilities from saturating
+            
+            knnNeighbors: 5,            // Neighbors when the model does not set k
+            ...config
+        };
+        
+        this.model = null;
+        
+        // Descriptor values of the frames in the window, oldest first
+        this.frames = [];
+        
+        // Latest classification, null until the window is long enough
+        this.result = null;
+        this.lastClassified = -Infinity;
+    }
+    
+    /**
+     * Window statistic names a model can use
+     */
+    static getFeatureNames() {
+        const names = [];
+        DESCRIPTOR_NAMES.forEach(descriptor => {
+            STATISTICS.forEach(statistic => names.push(`${descriptor}.${statistic}`));
+        });
+        return names;
+    }
+    
+    /**
+     * Load a model
+     * @param {string|File|Blob|Object} source - URL, JSON file or parsed model
+     * @returns {Promise<Object>} Model information
+     */
+    async loadModel(source) {
+        let definition = source;
+        
+        if (typeof source === 'string') {
+            try {
+                definition = await FileUtils.loadJsonFile(source);
+            } catch (error) {
+                throw new Error(`Failed to load genre model ${source}: ${error.message}`);
+            }
+        } else if (source && typeof source.text === 'function') {
+            definition = JSON.parse(await source.text());
+        }
+        
+        this.model = this.buildModel(definition);
+        this.result = null;
+        this.lastClassified = -Infinity;
+        
+        console.log(`Genre model loaded: ${this.model.name}`, this.getModelInfo());
+        return this.getModelInfo();
+    }
+    
+    /**
+     * Validate a model definition and prepare its tasks
+     */
+    buildModel(definition) {
+        if (!definition || typeof definition !== 'object' || !definition.tasks) {
+            throw new Error('Genre model has no tasks');
+        }
+        
+        const classifier = definition.classifier || 'logistic';
+        if (classifier !== 'logistic' && classifier !== 'knn') {
+            throw new Error(`Unknown genre model classifier: ${classifier}`);
+        }
+        
+        const known = GenreClassifier.getFeatureNames();
+        const tasks = {};
+        
+        Object.keys(definition.tasks).forEach(name => {
+            const task = definition.tasks[name];
+            const features = task.features || [];
+            const labels = task.labels || [];
+            
+            if (features.length === 0 || labels.length < 2) {
+                throw new Error(`Genre model task '${name}' needs features and at least two labels`);
+            }
+            features.forEach(feature => {
+                if (!known.includes(feature)) {
+                    throw new Error(`Genre model task '${name}' uses unknown feature '${feature}'`);
+                }
+            });
+            
+            if (task.weights) {
+                tasks[name] = this.buildTrainedTask(name, task, features, labels);
+            } else if (task.examples) {
+                tasks[name] = this.buildExampleTask(name, task, features, labels, classifier);
+            } else {
+                throw new Error(`Genre model task '${name}' has neither weights nor examples`);
+            }
+        });
+        
+        return {
+            name: definition.name || 'unnamed',
+            classifier,
+            k: definition.k || this.config.knnNeighbors,
+            tasks
+        };
+    }
+    
+    /**
+     * Task with a trained softmax regression
+     */
+    buildTrainedTask(name, task, features, labels) {
+        const normalization = task.normalization || {};
+        const mean = normalization.mean || new Array(features.length).fill(0);
+        const std = normalization.std || new Array(features.length).fill(1);
+        
+        const valid = mean.length === features.length && std.length === features.length &&
+            task.weights.length === labels.length &&
+            task.weights.every(row => row.length === features.length) &&
+            (!task.bias || task.bias.length === labels.length);
+        if (!valid) {
+            throw new Error(`Genre model task '${name}' has weights that do not match its features and labels`);
+        }
+        
+        return {
+            type: 'logistic',
+            features,
+            labels,
+            mean: Float64Array.from(mean),
+            std: Float64Array.from(std, value => value > 0 ? value : 1),
+            weights: task.weights.map(row => Float64Array.from(row)),
+            bias: Float64Array.from(task.bias || new Array(labels.length).fill(0))
+        };
+    }
+    
+    /**
+     * Task from labeled examples, trained or kept for neighbor search
+     */
+    buildExampleTask(name, task, features, labels, classifier) {
+        const examples = task.examples.map(example => {
+            const label = labels.indexOf(example.label);
+            if (label < 0 || !example.values || example.values.length !== features.length) {
+                throw new Error(`Genre model task '${name}' has an invalid example (${example.label})`);
+            }
+            return { label, values: Float64Array.from(example.values) };
+        });
+        
+        // Standardize by the spread of the examples
+        const dimension = features.length;
+        const mean = new Float64Array(dimension);
+        const std = new Float64Array(dimension);
+        examples.forEach(example => {
+            for (let i = 0; i < dimension; i++) mean[i] += example.values[i] / examples.length;
+        });
+        examples.forEach(example => {
+            for (let i = 0; i < dimension; i++) {
+                std[i] += Math.pow(example.values[i] - mean[i], 2) / examples.length;
+            }
+        });
+        for (let i = 0; i < dimension; i++) {
+            std[i] = Math.sqrt(std[i]) || 1;
+        }
+        
+        const points = examples.map(example => ({
+            label: example.label,
+            values: example.values.map((value, i) => (value - mean[i]) / std[i])
+        }));
+        
+        if (classifier === 'knn') {
+            return { type: 'knn', features, labels, mean, std, points };
+        }
+        
+        const { weights, bias } = this.trainSoftmax(points, dimension, labels.length);
+        return { type: 'logistic', features, labels, mean, std, weights, bias };
+    }
+    
+    /**
+     * Softmax regression by full-batch gradient descent with an L2 penalty
+     */
+    trainSoftmax(points, dimension, classes) {
+        const { trainingIterations, learningRate, regularization } = this.config;
+        const weights = Array.from({ length: classes }, () => new Float64Array(dimension));
+        const bias = new Float64Array(classes);
+        const gradient = Array.from({ length: classes }, () => new Float64Array(dimension));
+        const biasGradient = new Float64Array(classes);
+        const probabilities = new Float64Array(classes);
+        
+        for (let iteration = 0; iteration < trainingIterations; iteration++) {
+            gradient.forEach(row => row.fill(0));
+            biasGradient.fill(0);
+            
+            points.forEach(point => {
+                this.softmax(point.values, weights, bias, probabilities);
+                for (let c = 0; c < classes; c++) {
+                    const error = probabilities[c] - (c === point.label ? 1 : 0);
+                    biasGradient[c] += error;
+                    for (let i = 0; i < dimension; i++) {
+                        gradient[c][i] += error * point.values[i];
+                    }
+                }
+            });
+            
+            for (let c = 0; c < classes; c++) {
+                bias[c] -= learningRate * biasGradient[c] / points.length;
+                for (let i = 0; i < dimension; i++) {
+                    const step = gradient[c][i] / points.length + regularization * weights[c][i];
+                    weights[c][i] -= learningRate * step;
+                }
+            }
+        }
+        
+        return { weights, bias };
+    }
+    
+    softmax(values, weights, bias, output) {
+        let max = -Infinity;
+        for (let c = 0; c < weights.length; c++) {
+            let sum = bias[c];
+            for (let i = 0; i < values.length; i++) {
+                sum += weights[c][i] * values[i];
+            }
+            output[c] = sum;
+            max = Math.max(max, sum);
+        }
+        
+        let total = 0;
+        for (let c = 0; c < weights.length; c++) {
+            output[c] = Math.exp(output[c] - max);
+            total += output[c];
+        }
+        for (let c = 0; c < weights.length; c++) {
+            output[c] /= total;
+        }
+        
+        return output;
+    }
+    
+    /**
+     * Add one analysis frame
+     * @param {Object} frame - { spectral, temporal, musical } FeatureExtractor features with rms and bpm
+     * @param {number} time - Analysis time in seconds
+     * @returns {Object|null} Latest classification
+     */
+    addFrame(frame, time) {
+        const values = new Float64Array(DESCRIPTOR_NAMES.length);
+        DESCRIPTOR_NAMES.forEach((name, i) => {
+            const value = DESCRIPTORS[name](frame);
+            values[i] = Number.isFinite(value) ? value : 0;
+        });
+        
+        this.frames.push({ time, values });
+        while (this.frames.length > 0 && time - this.frames[0].time > this.config.windowDuration) {
+            this.frames.shift();
+        }
+        
+        if (this.model && time - this.lastClassified >= this.config.updateInterval) {
+            this.lastClassified = time;
+            this.classify();
+        }
+        
+        return this.result;
+    }
+    
+    /**
+     * Window duration covered by the frames so far, in seconds
+     */
+    getWindowDuration() {
+        if (this.frames.length < 2) return 0;
+        return this.frames[this.frames.length - 1].time - this.frames[0].time;
+    }
+    
+    /**
+     * Mean and standard deviation of each descriptor over the window
+     */
+    getWindowFeatures() {
+        const count = this.frames.length;
+        const features = {};
+        
+        DESCRIPTOR_NAMES.forEach((name, i) => {
+            let sum = 0;
+            let squareSum = 0;
+            this.frames.forEach(frame => {
+                sum += frame.values[i];
+                squareSum += frame.values[i] * frame.values[i];
+            });
+            
+            const mean = count > 0 ? sum / count : 0;
+            features[`${name}.mean`] = mean;
+            features[`${name}.std`] = count > 0 ? Math.sqrt(Math.max(0, squareSum / count - mean * mean)) : 0;
+        });
+        
+        return features;
+    }
+    
+    /**
+     * Classify the current window with every task of the model
+     */
+    classify() {
+        const windowDuration = this.getWindowDuration();
+        if (!this.model || windowDuration < this.config.minWindowDuration) {
+            return this.result;
+        }
+        
+        const features = this.getWindowFeatures();
+        const result = { windowDuration, features };
+        
+        Object.keys(this.model.tasks).forEach(name => {
+            result[name] = this.classifyTask(this.model.tasks[name], features);
+        });
+        
+        this.result = result;
+        return result;
+    }
+    
+    /**
+     * Class probabilities of one task
+     * @returns {Object} { label, confidence, probabilities }; confidence is the top probability
+     */
+    classifyTask(task, features) {
+        const values = task.features.map((name, i) => (features[name] - task.mean[i]) / task.std[i]);
+        const scores = task.type === 'knn' ?
+            this.voteNeighbors(task, values) :
+            this.softmax(values, task.weights, task.bias, new Float64Array(task.labels.length));
+        
+        const probabilities = {};
+        let top = 0;
+        task.labels.forEach((label, c) => {
+            probabilities[label] = scores[c];
+            if (scores[c] > scores[top]) top = c;
+        });
+        
+        return {
+            label: task.labels[top],
+            confidence: scores[top],
+            probabilities
+        };
+    }
+    
+    /**
+     * Distance-weighted vote of the k nearest examples
+     */
+    voteNeighbors(task, values) {
+        const neighbors = task.points
+            .map(point => {
+                let distance = 0;
+                for (let i = 0; i < values.length; i++) {
+                    distance += Math.pow(values[i] - point.values[i], 2);
+                }
+                return { label: point.label, distance };
+            })
+            .sort((a, b) => a.distance - b.distance)
+            .slice(0, this.model.k);
+        
+        // Gaussian weights in standardized units; far neighbors still count a little
+        const votes = new Float64Array(task.labels.length);
+        let total = 0;
+        neighbors.forEach(neighbor => {
+            const weight = Math.exp(-neighbor.distance / 2) + 1e-6;
+            votes[neighbor.label] += weight;
+            total += weight;
+        });
+        
+        return votes.map(vote => vote / total);
+    }
+    
+    /**
+     * Latest classification, null until enough of the window is filled
+     */
+    getResult() {
+        return this.result;
+    }
+    
+    getModelInfo() {
+        if (!this.model) return null;
+        
+        const tasks = {};
+        Object.keys(this.model.tasks).forEach(name => {
+            const task = this.model.tasks[name];
+            tasks[name] = { type: task.type, labels: [...task.labels], features: [...task.features] };
+        });
+        
+        return { name: this.model.name, tasks };
+    }
+    
+    /**
+     * Forget the window (seek, new source); the model stays
+     */
+    reset() {
+        this.frames = [];
+        this.result = null;
+        this.lastClassified = -Infinity;
+    }
+    
+    getStatus() {
+        return {
+            model: this.getModelInfo(),
+            frames: this.frames.length,
+            windowDuration: this.getWindowDuration(),
+            hasResult: !!this.result
+        };
+    }
+    
+    dispose() {
+        this.reset();
+        this.model = null;
+    }
+}
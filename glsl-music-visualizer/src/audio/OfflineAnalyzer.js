@@ -0,0 +1,458 @@
+/**
+ * Offline Audio Analyzer
+ * Faster-than-real-time analysis of decoded audio for pre-computed analysis tracks
+ * Location: src/audio/OfflineAnalyzer.js
+ *
+ * Feeds a decoded AudioBuffer (or raw PCM) frame-by-frame through FFTProcessor,
+ * BeatDetector, SpectralAnalyzer and FeatureExtractor and produces a time-indexed
+ * analysis track. Uses media time instead of wall-clock time, so it runs headless in Node.
+ *
+ * The StructureAnalyzer collects the whole song and segments it once at the end;
+ * its sections (with exact boundaries, unlike live analysis) go into summary.structure.
+ * Downbeats, bar positions and phrase starts from the BeatDetector are kept per frame
+ * (frame.downbeat, frame.bar, frame.phrase) and listed in summary.downbeats/phrases.
+ *
+ * Genre and mood need a model in config.genreModel (a URL, or in Node the parsed
+ * JSON, see GenreClassifier). Without one, frame.classification and
+ * summary.classification are null; a model that fails to load fails the analysis.
+ */
+
+import { MathUtils } from '../utils/MathUtils.js';
+import { FFTProcessor } from './FFTProcessor.js';
+import { SpectralAnalyzer } from './SpectralAnalyzer.js';
+import { BeatDetector } from './BeatDetector.js';
+import { FeatureExtractor } from './FeatureExtractor.js';
+import { StructureAnalyzer } from './StructureAnalyzer.js';
+
+export class OfflineAnalyzer {
+    constructor(config = {}) {
+        // Configuration
+        this.config = {
+            fftSize: 4096,
+            hopSize: 1024,
+            windowFunction: 'hann',
+            
+            // Frequency band ranges (Hz), matching AudioEngine
+            bassRange: [20, 250],
+            midRange: [250, 4000],
+            trebleRange: [4000, 20000],
+            
+            // Beat detection settings
+            beatSensitivity: 0.5,
+            beatThreshold: 0.15,
+            bpmRange: [60, 180],
+            
+            // Genre and mood model: URL or parsed model (null leaves classification off)
+            genreModel: null,
+            
+            // Output settings
+            spectrumBins: 64,          // Downsampled spectrum stored per frame
+            yieldInterval: 64,         // Frames between event loop yields
+            
+            // Log a timing summary after each run
+            debug: process.env.NODE_ENV === 'development',
+            
+            ...config
+        };
+        
+        // Analysis modules (created per analysis run)
+        this.analysisModules = {
+            fft: null,
+            spectral: null,
+            beat: null,
+            features: null,
+            structure: null
+        };
+        
+        // Media clock in seconds
+        this.currentTime = 0;
+        
+        // Run state
+        this.isAnalyzing = false;
+        this.isCancelled = false;
+        this.progress = 0;
+    }
+    
+    /**
+     * Analyze a complete audio buffer
+     * @param {AudioBuffer|Object} source - AudioBuffer or { channelData, sampleRate } with raw PCM
+     * @param {Object} options - Analysis options
+     * @param {Function} options.onProgress - Progress callback (0-1)
+     * @returns {Promise<Object>} Time-indexed analysis track
+     */
+    async analyze(source, options = {}) {
+        const { onProgress = null } = options;
+        
+        if (this.isAnalyzing) {
+            throw new Error('Offline analysis already in progress');
+        }
+        
+        const { samples, sampleRate } = this.extractSamples(source);
+        const startTime = performance.now();
+        
+        this.isAnalyzing = true;
+        this.isCancelled = false;
+        this.progress = 0;
+        this.currentTime = 0;
+        
+        try {
+            await this.createModules(sampleRate);
+            
+            const { fftSize, hopSize, yieldInterval } = this.config;
+            const frameCount = Math.floor(samples.length / hopSize) + 1;
+            const window = new Float32Array(fftSize);
+            const frames = new Array(frameCount);
+            const beats = [];
+            const onsets = [];
+            const downbeats = [];
+            const phrases = [];
+            
+            for (let i = 0; i < frameCount; i++) {
+                if (this.isCancelled) {
+                    throw new Error('Offline analysis cancelled');
+                }
+                
+                // Window ends at the frame time, like a live analyser at that playback position
+                const end = i * hopSize;
+                this.fillWindow(samples, end - fftSize, window);
+                this.currentTime = end / sampleRate;
+                
+                const frame = this.analyzeFrame(window, sampleRate);
+                frames[i] = frame;
+                
+                if (frame.beat) beats.push({ time: frame.time, strength: frame.beatStrength });
+                if (frame.onset) onsets.push(frame.time);
+                if (frame.downbeat) downbeats.push(frame.time);
+                if (frame.phrase && frame.phrase.boundary > 0) {
+                    phrases.push({ time: frame.time, bars: frame.phrase.boundary });
+                }
+                
+                // Yield to the event loop so the UI stays responsive
+                if (i % yieldInterval === yieldInterval - 1) {
+                    this.progress = (i + 1) / frameCount;
+                    if (onProgress) onProgress(this.progress);
+                    await new Promise(resolve => setTimeout(resolve, 0));
+                }
+            }
+            
+            this.progress = 1;
+            if (onProgress) onProgress(1);
+            
+            const spectralStatus = this.analysisModules.spectral.getStatus();
+            const beatStatus = this.analysisModules.beat.getStatus();
+            const analysisTime = performance.now() - startTime;
+            const duration = samples.length / sampleRate;
+            
+            if (this.config.debug) {
+                console.log(`Offline analysis complete: ${duration.toFixed(2)}s of audio in ${analysisTime.toFixed(0)}ms`, {
+                    frames: frameCount,
+                    speed: `${(duration * 1000 / analysisTime).toFixed(1)}x real time`
+                });
+            }
+            
+            return {
+                sampleRate,
+                fftSize,
+                hopSize,
+                frameRate: sampleRate / hopSize,
+                duration,
+                frameCount,
+                frames,
+                phraseLengths: [...this.analysisModules.beat.config.phraseLengths],
+                
+                // Track-level summary
+                summary: {
+                    bpm: beatStatus.beatState.currentBPM,
+                    tempoConfidence: beatStatus.beatState.confidence,
+                    timeSignature: { ...beatStatus.rhythmTracker.meter },
+                    key: { ...spectralStatus.currentKey },
+                    beats,
+                    onsets,
+                    downbeats,
+                    phrases,
+                    structure: this.analysisModules.structure.segment(),
+                    // Genre and mood over the last classifier window
+                    classification: frames[frameCount - 1].classification
+                },
+                
+                analysisTime
+            };
+            
+        } finally {
+            this.disposeModules();
+            this.isAnalyzing = false;
+        }
+    }
+    
+    /**
+     * Extract mono samples from an AudioBuffer or raw PCM description
+     * @param {AudioBuffer|Object} source - Audio source
+     * @returns {Object} Mono samples and sample rate
+     */
+    extractSamples(source) {
+        if (!source) {
+            throw new Error('No audio source to analyze');
+        }
+        
+        let channels;
+        let sampleRate;
+        
+        if (typeof source.getChannelData === 'function') {
+            // Web Audio AudioBuffer
+            channels = [];
+            for (let c = 0; c < source.numberOfChannels; c++) {
+                channels.push(source.getChannelData(c));
+            }
+            sampleRate = source.sampleRate;
+        } else {
+            // Raw PCM: { channelData: Float32Array | Float32Array[], sampleRate }
+            channels = Array.isArray(source.channelData) ? source.channelData : [source.channelData];
+            sampleRate = source.sampleRate;
+        }
+        
+        if (!channels.length || !channels[0] || !sampleRate) {
+            throw new Error('Audio source must provide channel data and a sample rate');
+        }
+        
+        if (channels.length === 1) {
+            return { samples: channels[0], sampleRate };
+        }
+        
+        // Mix down to mono
+        const length = channels[0].length;
+        const samples = new Float32Array(length);
+        const gain = 1 / channels.length;
+        
+        for (let c = 0; c < channels.length; c++) {
+            const channel = channels[c];
+            for (let i = 0; i < length; i++) {
+                samples[i] += channel[i] * gain;
+            }
+        }
+        
+        return { samples, sampleRate };
+    }
+    
+    /**
+     * Create and initialize analysis modules for a sample rate
+     * @param {number} sampleRate - Source sample rate
+     */
+    async createModules(sampleRate) {
+        // Offline modules see each window exactly once: no overlap buffering,
+        // no zero padding (keeps bin counts aligned with filter banks), no worker
+        const moduleConfig = {
+            ...this.config,
+            sampleRate,
+            overlapRatio: 0,
+            zeroPadding: 1,
+            maxConcurrency: 1,
+            timeSource: () => this.currentTime * 1000,
+            // Loaded below, so a missing model is an error instead of a warning
+            genreModelUrl: null
+        };
+        
+        this.analysisModules.fft = new FFTProcessor(moduleConfig);
+        this.analysisModules.spectral = new SpectralAnalyzer(moduleConfig);
+        this.analysisModules.beat = new BeatDetector(moduleConfig);
+        this.analysisModules.features = new FeatureExtractor(moduleConfig);
+        this.analysisModules.structure = new StructureAnalyzer({ ...moduleConfig, historyDuration: Infinity });
+        
+        // Modules only read the sample rate from the context
+        const context = { sampleRate };
+        
+        await Promise.all([
+            this.analysisModules.fft.initialize(context),
+            this.analysisModules.spectral.initialize(context),
+            this.analysisModules.beat.initialize(context),
+            this.analysisModules.features.initialize(context),
+            this.analysisModules.structure.initialize(context)
+        ]);
+        
+        if (this.config.genreModel) {
+            await this.analysisModules.features.loadGenreModel(this.config.genreModel);
+        }
+    }
+    
+    /**
+     * Copy a window of samples, zero-filling outside the signal
+     * @param {Float32Array} samples - Mono samples
+     * @param {number} start - First sample index (may be negative)
+     * @param {Float32Array} window - Target window buffer
+     */
+    fillWindow(samples, start, window) {
+        for (let i = 0; i < window.length; i++) {
+            const index = start + i;
+            window[i] = index >= 0 && index < samples.length ? samples[index] : 0;
+        }
+    }
+    
+    /**
+     * Run the analysis chain on one window
+     * @param {Float32Array} window - Time domain window
+     * @param {number} sampleRate - Sample rate
+     * @returns {Object} Frame record with AudioEngine-compatible fields
+     */
+    analyzeFrame(window, sampleRate) {
+        const { fft, spectral, beat, features, structure } = this.analysisModules;
+        
+        // Same order of dependencies as the live engine: FFT first,
+        // beat tracking before features so onset density sees beat analysis
+        let data = fft.analyze({ timeData: window });
+        data = beat.analyze(data);
+        data = spectral.analyze(data);
+        data = features.analyze(data);
+        
+        const frequencyData = data.frequencyData;
+        const nyquist = sampleRate / 2;
+        const rms = MathUtils.rms(window);
+        
+        const frame = {
+            time: this.currentTime,
+            
+            // Processed frequency bands
+            bassLevel: this.calculateBandAverage(frequencyData, this.config.bassRange, nyquist),
+            midLevel: this.calculateBandAverage(frequencyData, this.config.midRange, nyquist),
+            trebleLevel: this.calculateBandAverage(frequencyData, this.config.trebleRange, nyquist),
+            
+            // Basic features
+            energy: rms * rms,
+            rms,
+            zcr: this.calculateZeroCrossingRate(window),
+            spectralCentroid: data.spectral ? data.spectral.centroid / nyquist : 0,
+            spectralRolloff: data.spectral ? data.spectral.rolloff / nyquist : 0,
+            spectralFlux: data.spectral ? data.spectral.flux : 0,
+            
+            // Beat detection
+            bpm: data.bpm || 0,
+            beat: !!data.beat,
+            beatStrength: data.beatStrength || 0,
+            beatPhase: data.beatAnalysis ? data.beatAnalysis.beatPhase : 0,
+            onset: !!data.onset,
+            
+            // Bar and phrase position
+            downbeat: !!data.downbeat,
+            bar: data.beatAnalysis ? { ...data.beatAnalysis.bar } : null,
+            phrase: data.beatAnalysis ? {
+                ...data.beatAnalysis.phrase,
+                positions: { ...data.beatAnalysis.phrase.positions }
+            } : null,
+            
+            // Harmonic analysis
+            pitch: data.pitch || 0,
+            harmonics: new Float32Array(data.harmonics || 8),
+            chroma: new Float32Array(data.chroma || 12),
+            
+            // Mel-frequency features
+            mfcc: new Float32Array(data.mfcc || 13),
+            
+            // Downsampled spectrum
+            spectrum: this.downsampleSpectrum(frequencyData),
+            
+            // Genre and mood probabilities (null without a model or while the window fills)
+            classification: data.features ? data.features.classification : null
+        };
+        
+        // Segmented after the last frame
+        structure.addFrame({
+            ...frame,
+            spectralAnalysis: data.spectralAnalysis
+        });
+        
+        return frame;
+    }
+    
+    /**
+     * Calculate average amplitude for a frequency range
+     * @param {Float32Array} frequencyData - Linear magnitude spectrum
+     * @param {Array<number>} range - [min, max] frequency in Hz
+     * @param {number} nyquist - Nyquist frequency
+     * @returns {number} Average amplitude
+     */
+    calculateBandAverage(frequencyData, range, nyquist) {
+        const freqPerBin = nyquist / frequencyData.length;
+        const startBin = Math.floor(range[0] / freqPerBin);
+        const endBin = Math.min(Math.floor(range[1] / freqPerBin), frequencyData.length);
+        
+        let sum = 0;
+        for (let i = startBin; i < endBin; i++) {
+            sum += frequencyData[i];
+        }
+        
+        return endBin > startBin ? sum / (endBin - startBin) : 0;
+    }
+    
+    /**
+     * Calculate zero crossing rate
+     * @param {Float32Array} timeData - Time domain data
+     * @returns {number} Zero crossing rate
+     */
+    calculateZeroCrossingRate(timeData) {
+        let crossings = 0;
+        
+        for (let i = 1; i < timeData.length; i++) {
+            if ((timeData[i] >= 0) !== (timeData[i - 1] >= 0)) {
+                crossings++;
+            }
+        }
+        
+        return crossings / (timeData.length - 1);
+    }
+    
+    /**
+     * Average a spectrum down to the configured bin count
+     * @param {Float32Array} frequencyData - Linear magnitude spectrum
+     * @returns {Float32Array} Downsampled spectrum
+     */
+    downsampleSpectrum(frequencyData) {
+        const bins = this.config.spectrumBins;
+        const spectrum = new Float32Array(bins);
+        const binSize = frequencyData.length / bins;
+        
+        for (let b = 0; b < bins; b++) {
+            const start = Math.floor(b * binSize);
+            const end = Math.floor((b + 1) * binSize);
+            let sum = 0;
+            for (let i = start; i < end; i++) {
+                sum += frequencyData[i];
+            }
+            spectrum[b] = end > start ? sum / (end - start) : 0;
+        }
+        
+        return spectrum;
+    }
+    
+    /**
+     * Cancel the running analysis
+     */
+    cancel() {
+        if (this.isAnalyzing) {
+            this.isCancelled = true;
+        }
+    }
+    
+    /**
+     * Dispose analysis modules from the last run
+     */
+    disposeModules() {
+        Object.keys(this.analysisModules).forEach(key => {
+            const module = this.analysisModules[key];
+            if (module && module.dispose) {
+                module.dispose();
+            }
+            this.analysisModules[key] = null;
+        });
+    }
+    
+    /**
+     * Get analyzer status
+     * @returns {Object} Status information
+     */
+    getStatus() {
+        return {
+            isAnalyzing: this.isAnalyzing,
+            progress: this.progress,
+            currentTime: this.currentTime,
+            config: { ...this.config }
+        };
+    }
+}
@@ -10,6 +10,7 @@
 import { MathUtils } from '../utils/MathUtils.js';
 import { ColorUtils } from '../utils/ColorUtils.js';
 import { performanceMonitor } from '../core/PerformanceMonitor.js';
+import { AnalysisWorkerClient } from './AnalysisWorkerClient.js';
 
 export class SpectralAnalyzer {
     constructor(config = {}) {
@@ -61,9 +62,11 @@ export class SpectralAnalyzer {
             ...config
         };
         
-        // Mel filter bank matrix
+        // Mel filter bank matrix, its non-zero entries and the MFCC DCT basis
         this.melFilterBank = null;
+        this.melFilterRows = null;
         this.melFrequencies = null;
+        this.dctBasis = null;
         
         // Chromagram analysis
         this.chromaFilterBank = null;
@@ -71,6 +74,7 @@ export class SpectralAnalyzer {
         
         // Harmonic analysis
         this.harmonicTemplates = null;
+        this.harmonicTemplateRows = null;
         this.pitchCandidates = null;
         
         // Spectral contrast filters
@@ -78,8 +82,10 @@ export class SpectralAnalyzer {
         
         // Perceptual model parameters
         this.barkFilterBank = null;
+        this.barkFilterRows = null;
         this.erbFilterBank = null;
         this.loudnessWeights = null;
+        this.sharpnessWeights = null;
         
         // Analysis buffers
         this.buffers = {
@@ -127,6 +133,9 @@ export class SpectralAnalyzer {
         this.previousSpectrum = null;
         this.spectralMemoryState = null;
         
+        // Roughness weights per bin distance ({ binCount, weights }, built on first use)
+        this.roughnessWeights = null;
+        
         // Performance metrics
         this.performanceMetrics = {
             analysisTime: 0,
@@ -147,6 +156,9 @@ export class SpectralAnalyzer {
         // Musical key detection
         this.keyProfiles = this.initializeKeyProfiles();
         this.currentKey = { key: 'C', mode: 'major', confidence: 0 };
+        
+        // Worker for mel/MFCC and chroma analysis (parallelProcessing)
+        this.worker = null;
     }
     
     /**
@@ -176,6 +188,11 @@ export class SpectralAnalyzer {
             // Setup analysis buffers
             this.initializeBuffers();
             
+            // Move mel and chroma filter banks off the main thread
+            if (this.config.parallelProcessing) {
+                await this.initializeWorker();
+            }
+            
             this.isInitialized = true;
             
             console.log('SpectralAnalyzer initialized', {
@@ -236,6 +253,10 @@ export class SpectralAnalyzer {
             }
         }
         
+        // Each triangle covers a few bins; per-frame filtering only visits those
+        this.melFilterRows = MathUtils.sparseRows(this.melFilterBank);
+        this.dctBasis = MathUtils.dctTable(this.config.mfccCoefficients, melFilterBanks);
+        
         console.log(`Mel filter bank initialized: ${melFilterBanks} filters, ${melMinFreq}-${melMaxFreq} Hz`);
     }
     
@@ -336,6 +357,9 @@ export class SpectralAnalyzer {
             }
         }
         
+        // A template only has weight at its harmonics
+        this.harmonicTemplateRows = MathUtils.sparseRows(this.harmonicTemplates);
+        
         console.log(`Harmonic analysis initialized: ${pitchCandidateCount} pitch candidates, ${harmonicCount} harmonics`);
     }
     
@@ -422,6 +446,8 @@ export class SpectralAnalyzer {
             this.loudnessWeights[k] = this.calculateLoudnessWeight(freq);
         }
         
+        this.barkFilterRows = MathUtils.sparseRows(this.barkFilterBank);
+        
         console.log(`Perceptual models initialized: ${barkBands} Bark, ${erbBands} ERB bands`);
     }
     
@@ -501,16 +527,20 @@ export class SpectralAnalyzer {
             
             const magnitude = fftData.magnitude;
             const powerSpectrum = fftData.powerSpectrum;
-            
-            // Perform mel-frequency analysis
-            const mfccStartTime = performance.now();
-            this.analyzeMelFrequency(magnitude);
-            this.performanceMetrics.mfccTime = performance.now() - mfccStartTime;
-            
-            // Perform chromagram analysis
-            const chromaStartTime = performance.now();
-            this.analyzeChromagram(magnitude);
-            this.performanceMetrics.chromaTime = performance.now() - chromaStartTime;
+            const constantQ = fftData.constantQ || null;
+            
+            // Mel/MFCC and chroma come from the worker when one is running
+            if (!this.analyzeInWorker(magnitude, constantQ)) {
+                // Perform mel-frequency analysis
+                const mfccStartTime = performance.now();
+                this.analyzeMelFrequency(magnitude);
+                this.performanceMetrics.mfccTime = performance.now() - mfccStartTime;
+                
+                // Perform chromagram analysis
+                const chromaStartTime = performance.now();
+                this.analyzeChromagram(magnitude, constantQ);
+                this.performanceMetrics.chromaTime = performance.now() - chromaStartTime;
+            }
             
             // Perform harmonic analysis
             const harmonicStartTime = performance.now();
@@ -548,6 +578,58 @@ export class SpectralAnalyzer {
         }
     }
     
+    /**
+     * Start the worker for mel and chroma analysis
+     * Without worker support both keep running in-thread.
+     */
+    async initializeWorker() {
+        if (this.worker) {
+            this.worker.dispose();
+        }
+        
+        const worker = new AnalysisWorkerClient('spectral');
+        this.worker = worker;
+        
+        if (!(await worker.initialize(this.config)) && this.worker === worker) {
+            this.worker = null;
+        }
+    }
+    
+    /**
+     * Send the spectrum to the worker and apply its newest mel/chroma results
+     * @returns {boolean} Whether worker results are in the buffers (false: analyze in-thread)
+     */
+    analyzeInWorker(magnitude, constantQ = null) {
+        if (!this.worker || !this.worker.isReady) return false;
+        
+        const input = new Float32Array(magnitude);
+        const transfer = [input.buffer];
+        const payload = { magnitude: input, constantQ: null };
+        
+        if (constantQ) {
+            payload.constantQ = {
+                magnitude: new Float32Array(constantQ.magnitude),
+                frequencies: new Float32Array(constantQ.frequencies)
+            };
+            transfer.push(payload.constantQ.magnitude.buffer, payload.constantQ.frequencies.buffer);
+        }
+        
+        this.worker.submit(payload, transfer);
+        
+        const result = this.worker.takeResult();
+        if (result) {
+            this.buffers.melSpectrum.set(result.melSpectrum);
+            this.buffers.melSpectrogram.set(result.melSpectrogram);
+            this.buffers.mfcc.set(result.mfcc);
+            this.buffers.deltaMfcc.set(result.deltaMfcc);
+            this.buffers.deltaDeltaMfcc.set(result.deltaDeltaMfcc);
+            this.buffers.chroma.set(result.chroma);
+            this.buffers.chromaVector.set(result.chromaVector);
+        }
+        
+        return this.worker.hasResult;
+    }
+    
     /**
      * Analyze mel-frequency spectrum and compute MFCCs
      */
@@ -556,10 +638,7 @@ export class SpectralAnalyzer {
         
         // Apply mel filter bank
         for (let m = 0; m < melFilterBanks; m++) {
-            let melValue = 0;
-            for (let k = 0; k < magnitude.length; k++) {
-                melValue += magnitude[k] * this.melFilterBank[m][k];
-            }
+            const melValue = MathUtils.sparseDot(this.melFilterRows[m], magnitude);
             this.buffers.melSpectrum[m] = Math.max(melValue, 1e-10); // Avoid log(0)
         }
         
@@ -590,12 +669,15 @@ export class SpectralAnalyzer {
         const melFilterBanks = this.config.melFilterBanks;
         const mfccCoefficients = this.config.mfccCoefficients;
         
+        const basis = this.dctBasis;
+        
         for (let c = 0; c < mfccCoefficients; c++) {
             let mfcc = 0;
+            const offset = c * melFilterBanks;
             for (let m = 0; m < melFilterBanks; m++) {
-                mfcc += logMelSpectrum[m] * Math.cos(Math.PI * c * (m + 0.5) / melFilterBanks);
+                mfcc += logMelSpectrum[m] * basis[offset + m];
             }
-            this.buffers.mfcc[c] = mfcc * Math.sqrt(2 / melFilterBanks);
+            this.buffers.mfcc[c] = mfcc;
         }
         
         // Apply liftering to enhance higher coefficients
@@ -608,17 +690,24 @@ export class SpectralAnalyzer {
     
     /**
      * Analyze chromagram for harmonic content and pitch class analysis
+     * @param {Float32Array} magnitude - Linear FFT magnitude spectrum
+     * @param {Object} constantQ - Constant-Q spectrum from FFTProcessor ({ magnitude, frequencies }),
+     *                             used instead of the linear bins when present
      */
-    analyzeChromagram(magnitude) {
+    analyzeChromagram(magnitude, constantQ = null) {
         const chromaBins = this.config.chromaBins;
         
-        // Apply chroma filter bank
-        for (let c = 0; c < chromaBins; c++) {
-            let chromaValue = 0;
-            for (let k = 0; k < magnitude.length; k++) {
-                chromaValue += magnitude[k] * this.chromaFilterBank[c][k];
+        if (constantQ) {
+            this.foldConstantQChroma(constantQ);
+        } else {
+            // Apply chroma filter bank
+            for (let c = 0; c < chromaBins; c++) {
+                let chromaValue = 0;
+                for (let k = 0; k < magnitude.length; k++) {
+                    chromaValue += magnitude[k] * this.chromaFilterBank[c][k];
+                }
+                this.buffers.chromaVector[c] = chromaValue;
             }
-            this.buffers.chromaVector[c] = chromaValue;
         }
         
         // Normalize chroma vector
@@ -650,6 +739,27 @@ export class SpectralAnalyzer {
         this.buffers.chromaHistory[0].set(this.buffers.chroma);
     }
     
+    /**
+     * Fold constant-Q bins into the chroma vector
+     * Bins are geometrically spaced, so each maps to one pitch class directly and
+     * low notes stay a semitone apart where linear bins would blur them together.
+     */
+    foldConstantQChroma(constantQ) {
+        const { chromaBins, chromaMinFreq, chromaMaxFreq } = this.config;
+        const chromaVector = this.buffers.chromaVector;
+        chromaVector.fill(0);
+        
+        for (let k = 0; k < constantQ.magnitude.length; k++) {
+            const frequency = constantQ.frequencies[k];
+            if (frequency < chromaMinFreq || frequency > chromaMaxFreq) continue;
+            
+            // Same reference as frequencyToPitchClass, at chromaBins per octave
+            const position = Math.round(chromaBins * Math.log2(frequency / 440));
+            const chromaBin = ((position % chromaBins) + chromaBins) % chromaBins;
+            chromaVector[chromaBin] += constantQ.magnitude[k];
+        }
+    }
+    
     /**
      * Analyze harmonic content and estimate fundamental frequency
      */
@@ -659,14 +769,7 @@ export class SpectralAnalyzer {
         
         // Calculate pitch salience for each candidate
         for (let p = 0; p < pitchCandidateCount; p++) {
-            let salience = 0;
-            const template = this.harmonicTemplates[p];
-            
-            for (let k = 0; k < magnitude.length; k++) {
-                salience += magnitude[k] * template[k];
-            }
-            
-            this.buffers.pitchSalience[p] = salience;
+            this.buffers.pitchSalience[p] = MathUtils.sparseDot(this.harmonicTemplateRows[p], magnitude);
         }
         
         // Find best pitch candidate
@@ -813,10 +916,11 @@ export class SpectralAnalyzer {
         const barkBands = this.config.barkBands;
         
         for (let b = 0; b < barkBands; b++) {
+            const { indices, weights } = this.barkFilterRows[b];
             let loudness = 0;
-            for (let k = 0; k < magnitude.length; k++) {
-                const weightedMagnitude = magnitude[k] * this.loudnessWeights[k];
-                loudness += weightedMagnitude * this.barkFilterBank[b][k];
+            for (let n = 0; n < indices.length && indices[n] < magnitude.length; n++) {
+                const k = indices[n];
+                loudness += magnitude[k] * this.loudnessWeights[k] * weights[n];
             }
             
             // Apply Stevens' power law (perceived loudness)
@@ -832,11 +936,17 @@ export class SpectralAnalyzer {
         let weightedSum = 0;
         let totalSum = 0;
         
+        // The weights only depend on the bin frequency, so they are computed once per spectrum size
+        if (!this.sharpnessWeights || this.sharpnessWeights.length !== magnitude.length) {
+            this.sharpnessWeights = new Float32Array(magnitude.length);
+            for (let k = 0; k < magnitude.length; k++) {
+                this.sharpnessWeights[k] = this.calculateSharpnessWeight((k * nyquist) / magnitude.length);
+            }
+        }
+        const weights = this.sharpnessWeights;
+        
         for (let k = 0; k < magnitude.length; k++) {
-            const freq = (k * nyquist) / magnitude.length;
-            const sharpnessWeight = this.calculateSharpnessWeight(freq);
-            
-            weightedSum += magnitude[k] * sharpnessWeight;
+            weightedSum += magnitude[k] * weights[k];
             totalSum += magnitude[k];
         }
         
@@ -850,19 +960,26 @@ export class SpectralAnalyzer {
         let roughness = 0;
         const nyquist = this.config.sampleRate / 2;
         
+        // The beat frequency only depends on the bin distance, so the weights
+        // are computed once per spectrum size
+        if (!this.roughnessWeights || this.roughnessWeights.binCount !== magnitude.length) {
+            const weights = new Float32Array(50);
+            for (let offset = 1; offset < 50; offset++) {
+                // Roughness peaks around 70 Hz beat frequency
+                weights[offset] = this.calculateRoughnessWeight((offset * nyquist) / magnitude.length);
+            }
+            this.roughnessWeights = { binCount: magnitude.length, weights };
+        }
+        const weights = this.roughnessWeights.weights;
+        
         // Look for beating patterns between frequency components
         for (let i = 0; i < magnitude.length - 1; i++) {
-            for (let j = i + 1; j < Math.min(i + 50, magnitude.length); j++) {
-                const freq1 = (i * nyquist) / magnitude.length;
-                const freq2 = (j * nyquist) / magnitude.length;
-                const beatFreq = Math.abs(freq2 - freq1);
-                
-                // Roughness peaks around 70 Hz beat frequency
-                const roughnessWeight = this.calculateRoughnessWeight(beatFreq);
-                const componentRoughness = magnitude[i] * magnitude[j] * roughnessWeight;
-                
-                roughness += componentRoughness;
+            const end = Math.min(i + 50, magnitude.length);
+            let pairSum = 0;
+            for (let j = i + 1; j < end; j++) {
+                pairSum += magnitude[j] * weights[j - i];
             }
+            roughness += magnitude[i] * pairSum;
         }
         
         this.buffers.roughness = roughness;
@@ -917,6 +1034,32 @@ export class SpectralAnalyzer {
         }
     }
     
+    /**
+     * Clear temporal history after a discontinuity in the audio (seek, new source)
+     * The key estimate is kept; it describes the whole piece.
+     */
+    reset() {
+        if (!this.isInitialized) return;
+        
+        this.buffers.chromaHistory.forEach(frame => frame.fill(0));
+        this.buffers.spectralHistory.forEach(frame => frame.fill(0));
+        this.buffers.tempogram.forEach(frame => frame.fill(0));
+        this.buffers.onsetStrength.fill(0);
+        this.buffers.deltaMfcc.fill(0);
+        this.buffers.deltaDeltaMfcc.fill(0);
+        this.spectralMemoryState.fill(0);
+        
+        this.previousSpectrum = null;
+        this.featureCache.clear();
+        
+        this.pitchTracker.previousPitch = 0;
+        this.pitchTracker.pitchStability = 0;
+        
+        if (this.worker) {
+            this.worker.reset();
+        }
+    }
+    
     /**
      * Update musical key estimation based on chromagram
      */
@@ -1187,7 +1330,8 @@ export class SpectralAnalyzer {
                 mfcc: this.buffers.mfcc?.length || 0,
                 chroma: this.buffers.chroma?.length || 0,
                 harmonics: this.buffers.harmonics?.length || 0
-            }
+            },
+            worker: this.worker ? this.worker.getStatus() : null
         };
     }
     
@@ -1208,6 +1352,11 @@ export class SpectralAnalyzer {
             this.initializeChromaFilterBank();
             this.initializeBuffers();
         }
+        
+        // The worker holds its own copy of the configuration
+        if (this.worker) {
+            this.initializeWorker();
+        }
     }
     
     /**
@@ -1216,6 +1365,11 @@ export class SpectralAnalyzer {
     dispose() {
         console.log('Disposing SpectralAnalyzer...');
         
+        if (this.worker) {
+            this.worker.dispose();
+            this.worker = null;
+        }
+        
         // Clear caches
         this.featureCache.clear();
         
@@ -1226,11 +1380,16 @@ export class SpectralAnalyzer {
         
         // Clear filter banks
         this.melFilterBank = null;
+        this.melFilterRows = null;
+        this.dctBasis = null;
         this.chromaFilterBank = null;
         this.harmonicTemplates = null;
+        this.harmonicTemplateRows = null;
         this.contrastFilterBanks = null;
         this.barkFilterBank = null;
+        this.barkFilterRows = null;
         this.erbFilterBank = null;
+        this.sharpnessWeights = null;
         
         this.isInitialized = false;
         this.audioContext = null;
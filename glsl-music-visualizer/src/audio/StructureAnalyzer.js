@@ -0,0 +1,1109 @@
+/**
+ * Structure Analyzer
+ * Music structure segmentation: sections, their labels and upcoming drops
+ * Location: src/audio/StructureAnalyzer.js
+ *
+ * Analysis frames are averaged into blocks of blockDuration seconds holding the
+ * MFCC timbre (FeatureExtractor), the chroma, the log energy, the brightness and
+ * the activity of the MFCC deltas (SpectralAnalyzer.computeDeltaFeatures). Blocks
+ * are compared with a weighted timbre/harmony/energy similarity, and a Gaussian
+ * tapered checkerboard kernel slid along the diagonal of that self-similarity
+ * gives a novelty curve whose peaks are section boundaries (Foote).
+ *
+ * Live, the kernel reaches kernelSize blocks ahead, so a boundary is confirmed
+ * about (kernelSize + 1) * blockDuration seconds after it happened and the new
+ * section is labeled from what has been heard of it so far. segment() runs the
+ * same measure over the whole history with song-wide thresholds; offline analysis
+ * uses it for exact sections.
+ *
+ * Sections are labeled intro, verse, buildup, chorus, drop or breakdown from their
+ * energy against the song so far, and sections that sound alike share a group. A
+ * build-up (energy, brightness and MFCC activity rising together) announces a drop
+ * at the next dropPhraseBars phrase boundary of the BeatDetector bar grid; live, the
+ * verse it happens in is relabeled buildup.
+ *
+ * Events: 'section' when a boundary is confirmed, 'dropIncoming' once per build-up.
+ */
+
+import { MathUtils } from '../utils/MathUtils.js';
+
+export class StructureAnalyzer {
+    constructor(config = {}) {
+        this.isInitialized = false;
+        this.audioContext = null;
+        
+        // Configuration
+        this.config = {
+            // Feature blocks
+            blockDuration: 0.5,         // Seconds of frames averaged into one block
+            historyDuration: 600,       // Seconds of blocks kept (Infinity keeps the whole song)
+            
+            // Self-similarity and novelty
+            kernelSize: 6,              // Blocks on each side of the checkerboard kernel (live lookahead)
+            kernelSigma: 0.5,           // Gaussian taper relative to the kernel half width
+            similarityWeights: { timbre: 0.4, harmony: 0.3, energy: 0.3 },
+            energyScale: 1.0,           // Log energy difference at which energy similarity falls to 1/e
+            noveltyThreshold: 1.0,      // Peaks must exceed mean + threshold * deviation of the novelty
+            minNovelty: 0.1,            // Absolute novelty floor for a boundary
+            noveltyHistory: 64,         // Blocks of novelty behind the live threshold
+            minSectionDuration: 8,      // Seconds
+            
+            // Labels
+            repeatSimilarity: 0.85,     // Centroid similarity for two sections to share a group
+            highEnergyDeviation: 0.5,   // Deviations above the mean energy counting as high
+            lowEnergyDeviation: 0.5,    // Deviations below the mean energy counting as low
+            dropEnergyJump: 0.6,        // Log energy rise into a high section that makes it a drop
+            
+            // Drop prediction
+            buildupBlocks: 16,          // Blocks of rising features that make a build-up
+            buildupThreshold: 0.5,      // Build-up score (0-1) that announces a drop
+            dropPhraseBars: 8,          // Drops land on phrase boundaries of this many bars
+            dropGridConfidence: 0.3,    // Phrase grid confidence needed to time drops by the grid
+            dropHorizon: 16,            // Seconds ahead a drop may be announced
+            dropLead: 4,                // Seconds of warning without a bar grid (and in replay)
+            
+            timeSource: null,           // Returns the analysis time in ms (defaults to performance.now)
+            ...config
+        };
+        
+        // Checkerboard kernel taper, 2 * kernelSize weights
+        this.kernel = null;
+        
+        // Frames of the block being filled
+        this.accumulator = null;
+        this.previousMfcc = null;
+        
+        // Blocks and novelty by block index; blocks[0] is block blockOffset
+        this.blocks = [];
+        this.novelty = [];
+        this.blockOffset = 0;
+        this.downbeats = [];
+        
+        // Song-wide running statistics
+        this.statistics = {
+            blocks: 0,
+            mfccSum: null,
+            energySum: 0,
+            energySquareSum: 0
+        };
+        
+        // Sections so far; the last one is the current section
+        this.sections = [];
+        this.nextGroup = 0;
+        
+        // Build-up and drop prediction
+        this.buildup = {
+            score: 0,
+            announced: false
+        };
+        this.dropIncoming = null;
+        
+        // Flags of the frame being analyzed
+        this.frameState = {
+            sectionChanged: false,
+            dropPredicted: false
+        };
+        
+        // Event system
+        this.eventCallbacks = new Map();
+    }
+    
+    /**
+     * Initialize the structure analyzer
+     * @param {AudioContext} audioContext - Web Audio context
+     */
+    async initialize(audioContext) {
+        try {
+            this.audioContext = audioContext;
+            
+            this.createKernel();
+            this.reset();
+            
+            this.isInitialized = true;
+            
+            console.log('StructureAnalyzer initialized', {
+                blockDuration: this.config.blockDuration,
+                kernelSize: this.config.kernelSize,
+                latency: this.getLatency()
+            });
+            
+        } catch (error) {
+            console.error('Failed to initialize StructureAnalyzer:', error);
+            throw error;
+        }
+    }
+    
+    /**
+     * Gaussian taper of the checkerboard kernel, one weight per block offset
+     */
+    createKernel() {
+        const size = this.config.kernelSize;
+        this.kernel = new Float32Array(size * 2);
+        
+        for (let i = 0; i < size * 2; i++) {
+            const distance = (i - size + 0.5) / size;
+            this.kernel[i] = Math.exp(-0.5 * Math.pow(distance / this.config.kernelSigma, 2));
+        }
+    }
+    
+    /**
+     * Analyze one frame of audio data
+     * @param {Object} audioData - Audio data with MFCC, chroma and energy (and optionally
+     *   spectralAnalysis.deltaMfcc, downbeat, bar, phrase and bpm)
+     * @returns {Object} Audio data with `structure`
+     */
+    analyze(audioData) {
+        if (!this.isInitialized) {
+            console.warn('StructureAnalyzer not initialized');
+            return audioData;
+        }
+        
+        try {
+            this.frameState.sectionChanged = false;
+            this.frameState.dropPredicted = false;
+            
+            if (this.addFrame(audioData)) {
+                this.detectBoundary();
+                this.detectBuildup(audioData);
+            }
+            
+            this.updateDropIncoming();
+            
+            return this.createEnhancedOutput(audioData);
+            
+        } catch (error) {
+            console.error('Structure analysis error:', error);
+            return audioData;
+        }
+    }
+    
+    /**
+     * Get current analysis time in milliseconds
+     * Uses the configured time source when set, wall-clock time otherwise
+     */
+    now() {
+        return this.config.timeSource ? this.config.timeSource() : performance.now();
+    }
+    
+    /**
+     * Add a frame to the block history without live detection (offline analysis)
+     * A frame at or past the end of the block being filled completes that block
+     * and opens the next one.
+     * @param {Object} audioData - Audio data, as for analyze()
+     * @returns {boolean} Whether a block was completed
+     */
+    addFrame(audioData) {
+        const frame = this.extractFrame(audioData);
+        if (!frame) return false;
+        
+        const time = this.now() / 1000;
+        let completed = false;
+        if (!this.accumulator) {
+            this.accumulator = this.createAccumulator(time, frame.mfcc.length);
+        } else if (time - this.accumulator.start >= this.config.blockDuration && this.accumulator.frames > 0) {
+            this.pushBlock(this.closeBlock(time));
+            completed = true;
+        }
+        
+        if (audioData.downbeat) {
+            this.downbeats.push(time);
+        }
+        
+        // Coefficient 0 (overall level) is left out; energy covers loudness
+        const accumulator = this.accumulator;
+        for (let i = 0; i < accumulator.mfcc.length; i++) {
+            accumulator.mfcc[i] += frame.mfcc[i + 1] || 0;
+        }
+        for (let i = 0; i < 12; i++) {
+            accumulator.chroma[i] += frame.chroma ? frame.chroma[i] || 0 : 0;
+        }
+        accumulator.energy += frame.energy;
+        accumulator.brightness += frame.brightness;
+        accumulator.activity += frame.activity;
+        accumulator.frames++;
+        
+        return completed;
+    }
+    
+    /**
+     * Read the features of one frame
+     * MFCC and chroma come from the FeatureExtractor output or the AudioEngine
+     * fields; MFCC activity from the SpectralAnalyzer deltas when present.
+     */
+    extractFrame(audioData) {
+        const mfcc = audioData.features ? audioData.features.mfcc.coefficients : audioData.mfcc;
+        if (!mfcc || mfcc.length < 2) return null;
+        
+        const chroma = audioData.features ? audioData.features.chroma.chroma : audioData.chroma;
+        const deltaMfcc = audioData.spectralAnalysis ? audioData.spectralAnalysis.deltaMfcc : null;
+        
+        // Mean absolute MFCC change, leaving out the loudness coefficient
+        let activity = 0;
+        for (let i = 1; i < mfcc.length; i++) {
+            const delta = deltaMfcc ? deltaMfcc[i] :
+                (this.previousMfcc ? mfcc[i] - this.previousMfcc[i] : 0);
+            activity += Math.abs(delta || 0);
+        }
+        activity /= mfcc.length - 1;
+        
+        if (!deltaMfcc) {
+            this.previousMfcc = new Float32Array(mfcc);
+        }
+        
+        const rms = audioData.rms || 0;
+        
+        return {
+            mfcc,
+            chroma,
+            energy: typeof audioData.energy === 'number' ? audioData.energy : rms * rms,
+            brightness: audioData.spectralCentroid || 0,
+            activity
+        };
+    }
+    
+    createAccumulator(time, mfccLength) {
+        return {
+            start: time,
+            frames: 0,
+            mfcc: new Float32Array(mfccLength - 1),
+            chroma: new Float32Array(12),
+            energy: 0,
+            brightness: 0,
+            activity: 0
+        };
+    }
+    
+    /**
+     * Average the accumulated frames into a block and start the next one
+     * Blocks stay on a blockDuration grid; after a gap the next one starts at time.
+     * @param {number} time - Time of the first frame of the next block (seconds)
+     */
+    closeBlock(time) {
+        const accumulator = this.accumulator;
+        const frames = accumulator.frames;
+        const mfcc = new Float32Array(accumulator.mfcc.length);
+        const chroma = new Float32Array(12);
+        
+        for (let i = 0; i < mfcc.length; i++) {
+            mfcc[i] = accumulator.mfcc[i] / frames;
+        }
+        for (let i = 0; i < 12; i++) {
+            chroma[i] = accumulator.chroma[i] / frames;
+        }
+        
+        const block = {
+            time: accumulator.start,
+            mfcc,
+            chroma,
+            energy: Math.log(accumulator.energy / frames + 1e-10),
+            brightness: accumulator.brightness / frames,
+            activity: accumulator.activity / frames
+        };
+        
+        const next = accumulator.start + this.config.blockDuration;
+        this.accumulator = this.createAccumulator(time - next < this.config.blockDuration ? next : time, mfcc.length + 1);
+        
+        return block;
+    }
+    
+    /**
+     * Append a block, update the song statistics and trim the history
+     */
+    pushBlock(block) {
+        const stats = this.statistics;
+        if (!stats.mfccSum || stats.mfccSum.length !== block.mfcc.length) {
+            stats.mfccSum = new Float64Array(block.mfcc.length);
+        }
+        for (let i = 0; i < block.mfcc.length; i++) {
+            stats.mfccSum[i] += block.mfcc[i];
+        }
+        stats.blocks++;
+        stats.energySum += block.energy;
+        stats.energySquareSum += block.energy * block.energy;
+        
+        this.blocks.push(block);
+        this.novelty.push(0);
+        
+        // The song opens with the intro
+        if (this.sections.length === 0) {
+            this.sections.push(this.createSection(this.getNewestBlock(), block.time, 'intro', 0));
+        }
+        
+        const maxBlocks = Math.ceil(this.config.historyDuration / this.config.blockDuration);
+        while (this.blocks.length > maxBlocks) {
+            this.blocks.shift();
+            this.novelty.shift();
+            this.blockOffset++;
+        }
+        
+        const oldest = this.blocks[0].time;
+        while (this.downbeats.length > 0 && this.downbeats[0] < oldest) {
+            this.downbeats.shift();
+        }
+    }
+    
+    getBlock(index) {
+        return this.blocks[index - this.blockOffset];
+    }
+    
+    getNovelty(index) {
+        const value = this.novelty[index - this.blockOffset];
+        return value === undefined ? 0 : value;
+    }
+    
+    getNewestBlock() {
+        return this.blockOffset + this.blocks.length - 1;
+    }
+    
+    /**
+     * Mean MFCC vector of the song so far, the origin for timbre similarity
+     */
+    getMfccMean() {
+        const stats = this.statistics;
+        const mean = new Float32Array(stats.mfccSum ? stats.mfccSum.length : 0);
+        
+        for (let i = 0; i < mean.length; i++) {
+            mean[i] = stats.mfccSum[i] / Math.max(1, stats.blocks);
+        }
+        
+        return mean;
+    }
+    
+    /**
+     * Mean and deviation of the block log energy over the song so far
+     */
+    getEnergyStats() {
+        const stats = this.statistics;
+        const count = Math.max(1, stats.blocks);
+        const mean = stats.energySum / count;
+        const variance = Math.max(0, stats.energySquareSum / count - mean * mean);
+        
+        return { mean, deviation: Math.sqrt(variance) };
+    }
+    
+    /**
+     * Similarity of two blocks or section centroids (weighted, at most 1)
+     * Timbre: cosine of the MFCC vectors around the song mean; harmony: cosine of
+     * the chroma; energy: exponential falloff with the log energy difference.
+     */
+    similarity(a, b, mfccMean) {
+        const weights = this.config.similarityWeights;
+        
+        let dot = 0;
+        let normA = 0;
+        let normB = 0;
+        for (let i = 0; i < a.mfcc.length; i++) {
+            const x = a.mfcc[i] - mfccMean[i];
+            const y = b.mfcc[i] - mfccMean[i];
+            dot += x * y;
+            normA += x * x;
+            normB += y * y;
+        }
+        const timbre = normA > 0 && normB > 0 ? dot / Math.sqrt(normA * normB) : 1;
+        
+        dot = 0;
+        normA = 0;
+        normB = 0;
+        for (let i = 0; i < 12; i++) {
+            dot += a.chroma[i] * b.chroma[i];
+            normA += a.chroma[i] * a.chroma[i];
+            normB += b.chroma[i] * b.chroma[i];
+        }
+        const harmony = normA > 0 && normB > 0 ? dot / Math.sqrt(normA * normB) : 1;
+        
+        const energy = Math.exp(-Math.abs(a.energy - b.energy) / this.config.energyScale);
+        
+        return weights.timbre * timbre + weights.harmony * harmony + weights.energy * energy;
+    }
+    
+    /**
+     * Checkerboard kernel novelty of a boundary just before block center
+     * Weighted mean similarity of block pairs on the same side minus that of pairs
+     * across the boundary, so 0 means no change. Blocks outside the history are
+     * left out.
+     * @param {number} center - Block index of the first block after the boundary
+     * @param {Float32Array} mfccMean - Timbre origin
+     * @returns {number} Novelty
+     */
+    computeNovelty(center, mfccMean) {
+        const size = this.config.kernelSize;
+        const first = this.blockOffset;
+        const last = this.getNewestBlock();
+        let within = 0;
+        let withinWeight = 0;
+        let across = 0;
+        let acrossWeight = 0;
+        
+        for (let a = -size; a < size; a++) {
+            const i = center + a;
+            if (i < first || i > last) continue;
+            
+            for (let b = a + 1; b < size; b++) {
+                const j = center + b;
+                if (j > last) break;
+                
+                const weight = this.kernel[a + size] * this.kernel[b + size];
+                const similarity = this.similarity(this.getBlock(i), this.getBlock(j), mfccMean);
+                if ((a < 0) === (b < 0)) {
+                    within += weight * similarity;
+                    withinWeight += weight;
+                } else {
+                    across += weight * similarity;
+                    acrossWeight += weight;
+                }
+            }
+        }
+        
+        if (withinWeight === 0 || acrossWeight === 0) return 0;
+        
+        return within / withinWeight - across / acrossWeight;
+    }
+    
+    /**
+     * Live boundary detection on the newest block
+     * The block kernelSize blocks back gets its novelty; the one before it is a
+     * boundary when it peaks above the recent novelty level and the current
+     * section has run for minSectionDuration.
+     */
+    detectBoundary() {
+        const size = this.config.kernelSize;
+        const center = this.getNewestBlock() - size + 1;
+        if (center - size < this.blockOffset) return;
+        
+        this.novelty[center - this.blockOffset] = this.computeNovelty(center, this.getMfccMean());
+        
+        const peak = center - 1;
+        if (peak - 1 - size < this.blockOffset) return;
+        
+        const value = this.getNovelty(peak);
+        if (value < this.getNovelty(peak - 1) || value <= this.getNovelty(center)) return;
+        if (value < this.config.minNovelty) return;
+        
+        // Level of the novelty computed so far
+        const start = Math.max(this.blockOffset + size, center - this.config.noveltyHistory);
+        const recent = [];
+        for (let i = start; i <= center; i++) {
+            recent.push(this.getNovelty(i));
+        }
+        const threshold = this.getPeakThreshold(recent);
+        if (value < threshold) return;
+        
+        const current = this.sections[this.sections.length - 1];
+        const time = this.snapToDownbeat(this.getBlock(peak).time);
+        if (time - current.start < this.config.minSectionDuration) return;
+        
+        this.startSection(peak, time, this.getBoundaryConfidence(value, threshold));
+    }
+    
+    /**
+     * Novelty a peak must reach: mean + noveltyThreshold * deviation
+     */
+    getPeakThreshold(values) {
+        if (values.length === 0) return this.config.minNovelty;
+        
+        const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+        const variance = values.reduce((sum, value) => sum + (value - mean) * (value - mean), 0) / values.length;
+        
+        return Math.max(this.config.minNovelty, mean + this.config.noveltyThreshold * Math.sqrt(variance));
+    }
+    
+    /**
+     * Boundary confidence: 0.5 at the threshold, 1 at twice the threshold
+     */
+    getBoundaryConfidence(value, threshold) {
+        return MathUtils.clamp(0.5 + (value - threshold) / (2 * threshold), 0, 1);
+    }
+    
+    /**
+     * Move a boundary time onto the nearest downbeat within one block
+     */
+    snapToDownbeat(time) {
+        let best = time;
+        let bestDistance = this.config.blockDuration;
+        
+        this.downbeats.forEach(downbeat => {
+            const distance = Math.abs(downbeat - time);
+            if (distance < bestDistance) {
+                best = downbeat;
+                bestDistance = distance;
+            }
+        });
+        
+        return best;
+    }
+    
+    /**
+     * Close the current section and start a new one at a boundary block
+     * The new section is labeled from the blocks heard of it so far.
+     */
+    startSection(block, time, confidence) {
+        const previous = this.sections[this.sections.length - 1];
+        previous.end = time;
+        previous.endBlock = block;
+        previous.centroid = this.computeCentroid(previous.startBlock, block);
+        previous.energy = previous.centroid.energy;
+        
+        const centroid = this.computeCentroid(block, this.getNewestBlock() + 1);
+        const mfccMean = this.getMfccMean();
+        const label = this.labelSection(centroid, this.sections, this.getEnergyStats());
+        const group = this.findGroup(centroid, this.sections, mfccMean);
+        
+        const section = this.createSection(block, time, this.inheritLabel(label, group), group);
+        section.centroid = centroid;
+        section.energy = centroid.energy;
+        section.confidence = confidence;
+        this.sections.push(section);
+        
+        // A new section ends the build-up; a drop ends the wait for it
+        this.buildup.announced = false;
+        if (section.label === 'drop') {
+            this.dropIncoming = null;
+        }
+        
+        this.frameState.sectionChanged = true;
+        
+        const now = this.now() / 1000;
+        this.emit('section', {
+            section: this.getPublicSection(section),
+            previous: this.getPublicSection(previous),
+            time: now,
+            latency: now - time
+        });
+    }
+    
+    createSection(block, time, label, group) {
+        if (group >= this.nextGroup) {
+            this.nextGroup = group + 1;
+        }
+        
+        return {
+            index: this.sections.length,
+            start: time,
+            end: null,
+            startBlock: block,
+            endBlock: null,
+            label,
+            group,
+            energy: 0,
+            confidence: 1,
+            centroid: null
+        };
+    }
+    
+    /**
+     * Average features of the blocks [start, end) still in the history
+     */
+    computeCentroid(start, end) {
+        const first = Math.max(start, this.blockOffset);
+        const last = Math.min(end, this.getNewestBlock() + 1);
+        const template = this.blocks[this.blocks.length - 1];
+        const centroid = {
+            mfcc: new Float32Array(template.mfcc.length),
+            chroma: new Float32Array(12),
+            energy: 0,
+            brightness: 0,
+            activity: 0
+        };
+        const count = Math.max(1, last - first);
+        
+        for (let index = first; index < last; index++) {
+            const block = this.getBlock(index);
+            for (let i = 0; i < centroid.mfcc.length; i++) {
+                centroid.mfcc[i] += block.mfcc[i] / count;
+            }
+            for (let i = 0; i < 12; i++) {
+                centroid.chroma[i] += block.chroma[i] / count;
+            }
+            centroid.energy += block.energy / count;
+            centroid.brightness += block.brightness / count;
+            centroid.activity += block.activity / count;
+        }
+        
+        return centroid;
+    }
+    
+    /**
+     * Label a section from its energy against the song and the sections before it
+     * Drops are high sections entered with a jump from a build-up; choruses are
+     * high sections standing out from an earlier verse; breakdowns are low
+     * sections after a peak.
+     * @param {Object} centroid - Section features
+     * @param {Array<Object>} before - Sections before it, in order
+     * @param {Object} stats - Song energy { mean, deviation }
+     * @param {number} buildup - Build-up score of the section's own blocks
+     * @returns {string} 'intro', 'verse', 'buildup', 'chorus', 'drop' or 'breakdown'
+     */
+    labelSection(centroid, before, stats, buildup = 0) {
+        const high = stats.mean + this.config.highEnergyDeviation * stats.deviation;
+        const low = stats.mean - this.config.lowEnergyDeviation * stats.deviation;
+        const jump = this.config.dropEnergyJump;
+        const previous = before[before.length - 1];
+        
+        if (!previous) {
+            return centroid.energy < high ? 'intro' : 'chorus';
+        }
+        
+        if (buildup >= this.config.buildupThreshold) {
+            return 'buildup';
+        }
+        
+        if (centroid.energy >= high) {
+            if (centroid.energy - previous.energy >= jump && previous.label === 'buildup') {
+                return 'drop';
+            }
+            
+            const standsOut = before.some(section =>
+                section.label !== 'intro' && centroid.energy - section.energy >= jump / 2);
+            if (standsOut) {
+                return 'chorus';
+            }
+        }
+        
+        const afterPeak = before.some(section => section.label === 'drop' || section.label === 'chorus');
+        if (centroid.energy <= low && afterPeak) {
+            return 'breakdown';
+        }
+        
+        return 'verse';
+    }
+    
+    /**
+     * Group of the earlier section sounding most alike, or a new group
+     */
+    findGroup(centroid, before, mfccMean) {
+        let bestGroup = -1;
+        let bestSimilarity = this.config.repeatSimilarity;
+        
+        before.forEach(section => {
+            if (!section.centroid) return;
+            
+            const similarity = this.similarity(centroid, section.centroid, mfccMean);
+            if (similarity >= bestSimilarity) {
+                bestGroup = section.group;
+                bestSimilarity = similarity;
+            }
+        });
+        
+        return bestGroup >= 0 ? bestGroup : this.nextGroup;
+    }
+    
+    /**
+     * Repeats keep the label of their group: a high section sounding like an
+     * earlier drop is a drop, and a verse or chorus keeps the verse/chorus label
+     * the group started with
+     */
+    inheritLabel(label, group) {
+        const match = this.sections.find(section => section.group === group);
+        if (!match) return label;
+        
+        if (match.label === 'drop' && label === 'chorus') {
+            return 'drop';
+        }
+        
+        const repeatable = value => value === 'verse' || value === 'chorus';
+        return repeatable(label) && repeatable(match.label) ? match.label : label;
+    }
+    
+    /**
+     * Build-up score (0-1) of the blocks [start, end)
+     * Weighs the rise of the log energy, the relative rise of brightness and MFCC
+     * activity across the range. A single jump in energy is a section change, not
+     * a build-up, and scores 0.
+     */
+    getBuildupScore(start, end) {
+        const first = Math.max(start, this.blockOffset);
+        const last = Math.min(end, this.getNewestBlock() + 1);
+        const count = last - first;
+        if (count < 4) return 0;
+        
+        const blocks = this.blocks.slice(first - this.blockOffset, last - this.blockOffset);
+        for (let i = 1; i < count; i++) {
+            if (blocks[i].energy - blocks[i - 1].energy > this.config.dropEnergyJump / 2) {
+                return 0;
+            }
+        }
+        
+        const energyRise = this.getTrend(blocks, 'energy') * count;
+        const brightness = this.getAverage(blocks, 'brightness');
+        const brightnessRise = brightness > 0 ? this.getTrend(blocks, 'brightness') * count / brightness : 0;
+        const activity = this.getAverage(blocks, 'activity');
+        const activityRise = activity > 0 ? this.getTrend(blocks, 'activity') * count / activity : 0;
+        
+        return 0.5 * MathUtils.clamp(energyRise / 0.5, 0, 1) +
+            0.3 * MathUtils.clamp(brightnessRise / 0.2, 0, 1) +
+            0.2 * MathUtils.clamp(activityRise / 0.5, 0, 1);
+    }
+    
+    /**
+     * Score the newest blocks of the current section as a build-up, relabel a
+     * verse that turns out to build up, and announce the drop it leads to
+     * The relabel only looks at blocks past the boundary lookahead: newer blocks
+     * may still turn out to start the next section.
+     */
+    detectBuildup(audioData) {
+        const current = this.sections[this.sections.length - 1];
+        const length = this.config.buildupBlocks;
+        const end = this.getNewestBlock() + 1;
+        const start = Math.max(current.startBlock, end - length);
+        
+        if (end - start < length || current.label === 'drop' || current.label === 'chorus') {
+            this.buildup.score = 0;
+            return;
+        }
+        
+        this.buildup.score = this.getBuildupScore(start, end);
+        if (this.buildup.score < this.config.buildupThreshold) return;
+        
+        const settledEnd = end - this.config.kernelSize;
+        const settledStart = Math.max(current.startBlock, settledEnd - length);
+        if (current.label === 'verse' && settledEnd - settledStart >= length &&
+            this.getBuildupScore(settledStart, settledEnd) >= this.config.buildupThreshold) {
+            current.label = 'buildup';
+        }
+        
+        if (this.buildup.announced || this.dropIncoming) return;
+        
+        const estimate = this.estimateDropTime(audioData, current);
+        if (estimate.eta > this.config.dropHorizon) return;
+        
+        const now = this.now() / 1000;
+        this.dropIncoming = {
+            time: now + estimate.eta,
+            eta: estimate.eta,
+            confidence: this.buildup.score * (0.5 + 0.5 * estimate.confidence)
+        };
+        this.buildup.announced = true;
+        this.frameState.dropPredicted = true;
+        
+        this.emit('dropIncoming', { ...this.dropIncoming });
+    }
+    
+    /**
+     * Seconds to the next dropPhraseBars phrase boundary
+     * Uses the BeatDetector phrase grid when it is trusted (dropGridConfidence);
+     * otherwise phrases are counted from the start of the current section, since
+     * build-ups run whole phrases. Without a tempo the drop is expected dropLead
+     * seconds ahead.
+     * @param {Object} audioData - Audio data with bpm, bar and phrase
+     * @param {Object} section - Current section
+     * @returns {Object} { eta, confidence } with the confidence of the phrase timing
+     */
+    estimateDropTime(audioData, section) {
+        const bar = audioData.bar;
+        const phrase = audioData.phrase;
+        const length = this.config.dropPhraseBars;
+        
+        if (!(audioData.bpm > 0)) {
+            return { eta: this.config.dropLead, confidence: 0 };
+        }
+        
+        const barDuration = (bar ? bar.beatsPerBar : 4) * 60 / audioData.bpm;
+        
+        if (bar && phrase && phrase.positions && phrase.positions[length] !== undefined &&
+            phrase.confidence >= this.config.dropGridConfidence) {
+            let bars = length - phrase.positions[length] - MathUtils.clamp(bar.phase, 0, 1);
+            
+            // Too close to react to: the phrase after it
+            if (bars * barDuration < this.config.blockDuration) {
+                bars += length;
+            }
+            
+            return { eta: bars * barDuration, confidence: phrase.confidence };
+        }
+        
+        const now = this.now() / 1000;
+        const phraseDuration = length * barDuration;
+        let time = section.start + phraseDuration;
+        while (time - now < this.config.blockDuration) {
+            time += phraseDuration;
+        }
+        
+        return { eta: time - now, confidence: 0.5 * section.confidence };
+    }
+    
+    /**
+     * Count down the announced drop and drop it once its time has passed
+     */
+    updateDropIncoming() {
+        if (!this.dropIncoming) return;
+        
+        const now = this.now() / 1000;
+        this.dropIncoming.eta = Math.max(0, this.dropIncoming.time - now);
+        
+        if (now > this.dropIncoming.time + this.config.blockDuration) {
+            this.dropIncoming = null;
+        }
+    }
+    
+    /**
+     * Least-squares slope of a block field per block
+     */
+    getTrend(blocks, key) {
+        const count = blocks.length;
+        const meanX = (count - 1) / 2;
+        const meanY = this.getAverage(blocks, key);
+        let numerator = 0;
+        let denominator = 0;
+        
+        blocks.forEach((block, i) => {
+            numerator += (i - meanX) * (block[key] - meanY);
+            denominator += (i - meanX) * (i - meanX);
+        });
+        
+        return denominator > 0 ? numerator / denominator : 0;
+    }
+    
+    getAverage(blocks, key) {
+        return blocks.reduce((sum, block) => sum + block[key], 0) / Math.max(1, blocks.length);
+    }
+    
+    /**
+     * Exact segmentation of the whole history (offline analysis)
+     * Every block gets its novelty, boundaries are the strongest peaks above the
+     * song-wide threshold at least minSectionDuration apart, and sections are
+     * labeled in order with the song-wide energy statistics.
+     * @returns {Object} { sections: [{ start, end, label, group, energy, confidence }], blockDuration }
+     */
+    segment() {
+        const result = {
+            sections: [],
+            blockDuration: this.config.blockDuration
+        };
+        if (this.blocks.length === 0) return result;
+        
+        const first = this.blockOffset;
+        const end = this.getNewestBlock() + 1;
+        const size = this.config.kernelSize;
+        
+        // Origin of the timbre over the blocks held
+        const mfccMean = this.computeCentroid(first, end).mfcc;
+        const novelty = [];
+        for (let i = first; i < end; i++) {
+            novelty.push(i > first ? this.computeNovelty(i, mfccMean) : 0);
+        }
+        const threshold = this.getPeakThreshold(novelty.slice(1));
+        
+        // Local maxima over half a kernel
+        const candidates = [];
+        for (let i = 1; i < novelty.length; i++) {
+            const value = novelty[i];
+            if (value < threshold) continue;
+            
+            let isPeak = true;
+            for (let j = Math.max(1, i - size / 2); j <= Math.min(novelty.length - 1, i + size / 2); j++) {
+                if (novelty[j] > value || (novelty[j] === value && j < i)) {
+                    isPeak = false;
+                    break;
+                }
+            }
+            if (isPeak) {
+                candidates.push(i);
+            }
+        }
+        
+        // Strongest first, keeping every section at least minSectionDuration long
+        const minBlocks = Math.round(this.config.minSectionDuration / this.config.blockDuration);
+        const boundaries = [];
+        candidates.sort((a, b) => novelty[b] - novelty[a]).forEach(candidate => {
+            if (candidate < minBlocks || novelty.length - candidate < minBlocks) return;
+            if (boundaries.some(boundary => Math.abs(boundary - candidate) < minBlocks)) return;
+            boundaries.push(candidate);
+        });
+        boundaries.sort((a, b) => a - b);
+        
+        // Label in order against the whole song
+        const stats = this.getBlockEnergyStats();
+        const edges = [0, ...boundaries, novelty.length];
+        const sections = [];
+        const savedSections = this.sections;
+        const savedGroup = this.nextGroup;
+        this.sections = sections;
+        this.nextGroup = 0;
+        
+        for (let s = 0; s < edges.length - 1; s++) {
+            const startBlock = first + edges[s];
+            const centroid = this.computeCentroid(startBlock, first + edges[s + 1]);
+            const buildup = this.getBuildupScore(startBlock, first + edges[s + 1]);
+            const label = this.labelSection(centroid, sections, stats, buildup);
+            const group = this.findGroup(centroid, sections, mfccMean);
+            const start = s === 0 ? this.getBlock(startBlock).time : this.snapToDownbeat(this.getBlock(startBlock).time);
+            
+            const section = this.createSection(startBlock, start, this.inheritLabel(label, group), group);
+            section.centroid = centroid;
+            section.energy = centroid.energy;
+            section.confidence = s === 0 ? 1 : this.getBoundaryConfidence(novelty[edges[s]], threshold);
+            sections.push(section);
+        }
+        
+        this.sections = savedSections;
+        this.nextGroup = savedGroup;
+        
+        const lastBlock = this.getBlock(end - 1);
+        sections.forEach((section, i) => {
+            section.end = i < sections.length - 1 ? sections[i + 1].start : lastBlock.time + this.config.blockDuration;
+        });
+        
+        result.sections = sections.map(section => ({
+            start: section.start,
+            end: section.end,
+            label: section.label,
+            group: section.group,
+            energy: section.energy,
+            confidence: section.confidence
+        }));
+        
+        return result;
+    }
+    
+    /**
+     * Mean and deviation of the log energy of the blocks held
+     */
+    getBlockEnergyStats() {
+        const mean = this.getAverage(this.blocks, 'energy');
+        const variance = this.blocks.reduce((sum, block) => sum + (block.energy - mean) * (block.energy - mean), 0) /
+            Math.max(1, this.blocks.length);
+        
+        return { mean, deviation: Math.sqrt(variance) };
+    }
+    
+    /**
+     * Seconds between a boundary and its live detection
+     */
+    getLatency() {
+        return (this.config.kernelSize + 1) * this.config.blockDuration;
+    }
+    
+    getPublicSection(section) {
+        if (!section) return null;
+        
+        return {
+            index: section.index,
+            label: section.label,
+            group: section.group,
+            start: section.start,
+            end: section.end,
+            confidence: section.confidence
+        };
+    }
+    
+    /**
+     * Create enhanced output with the structure state
+     */
+    createEnhancedOutput(audioData) {
+        const size = this.config.kernelSize;
+        const newest = this.getNewestBlock() - size + 1;
+        
+        return {
+            ...audioData,
+            
+            structure: {
+                section: this.getPublicSection(this.sections[this.sections.length - 1]),
+                sectionChanged: this.frameState.sectionChanged,
+                novelty: this.getNovelty(newest),
+                buildup: this.buildup.score,
+                dropIncoming: this.dropIncoming ? { ...this.dropIncoming } : null,
+                dropPredicted: this.frameState.dropPredicted,
+                latency: this.getLatency()
+            }
+        };
+    }
+    
+    /**
+     * Clear the history (seek, new song)
+     */
+    reset() {
+        this.accumulator = null;
+        this.previousMfcc = null;
+        this.blocks = [];
+        this.novelty = [];
+        this.blockOffset = 0;
+        this.downbeats = [];
+        
+        this.statistics = {
+            blocks: 0,
+            mfccSum: null,
+            energySum: 0,
+            energySquareSum: 0
+        };
+        
+        this.sections = [];
+        this.nextGroup = 0;
+        this.buildup.score = 0;
+        this.buildup.announced = false;
+        this.dropIncoming = null;
+        this.frameState.sectionChanged = false;
+        this.frameState.dropPredicted = false;
+    }
+    
+    /**
+     * Event system implementation
+     */
+    on(event, callback) {
+        if (!this.eventCallbacks.has(event)) {
+            this.eventCallbacks.set(event, new Set());
+        }
+        this.eventCallbacks.get(event).add(callback);
+    }
+    
+    off(event, callback) {
+        if (this.eventCallbacks.has(event)) {
+            this.eventCallbacks.get(event).delete(callback);
+        }
+    }
+    
+    emit(event, data) {
+        if (this.eventCallbacks.has(event)) {
+            this.eventCallbacks.get(event).forEach(callback => {
+                try {
+                    callback(data);
+                } catch (error) {
+                    console.error(`Error in structure analyzer event listener for ${event}:`, error);
+                }
+            });
+        }
+    }
+    
+    /**
+     * Get analyzer status
+     */
+    getStatus() {
+        return {
+            isInitialized: this.isInitialized,
+            config: { ...this.config },
+            blocks: this.blocks.length,
+            latency: this.getLatency(),
+            sections: this.sections.map(section => this.getPublicSection(section)),
+            buildup: this.buildup.score,
+            dropIncoming: this.dropIncoming ? { ...this.dropIncoming } : null
+        };
+    }
+    
+    /**
+     * Update configuration at runtime
+     */
+    updateConfig(newConfig) {
+        const kernelChanged =
+            (newConfig.kernelSize !== undefined && newConfig.kernelSize !== this.config.kernelSize) ||
+            (newConfig.kernelSigma !== undefined && newConfig.kernelSigma !== this.config.kernelSigma);
+        
+        Object.assign(this.config, newConfig);
+        
+        if (kernelChanged && this.isInitialized) {
+            this.createKernel();
+        }
+    }
+    
+    /**
+     * Clean up resources
+     */
+    dispose() {
+        this.eventCallbacks.clear();
+        this.reset();
+        this.kernel = null;
+        
+        this.isInitialized = false;
+        this.audioContext = null;
+        
+        console.log('StructureAnalyzer disposed');
+    }
+}
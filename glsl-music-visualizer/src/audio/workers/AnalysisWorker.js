@@ -0,0 +1,128 @@
+/**
+ * Analysis Worker
+ * Runs the heavy part of one analysis module off the main thread
+ * Location: src/audio/workers/AnalysisWorker.js
+ *
+ * Driven by AnalysisWorkerClient. The worker builds its own instance of the
+ * module from the client's configuration (modules only read the sample rate from
+ * the context, as in offline analysis) and answers one task per frame:
+ *
+ *   fft      - FFTProcessor.performCustomFFT on time domain samples
+ *   spectral - SpectralAnalyzer mel/MFCC and chromagram analysis of a spectrum
+ *   features - FeatureExtractor MFCC and chroma extraction from a spectrum
+ *
+ * Result arrays are fresh copies and are transferred back.
+ */
+
+import { FFTProcessor } from '../FFTProcessor.js';
+import { SpectralAnalyzer } from '../SpectralAnalyzer.js';
+import { FeatureExtractor } from '../FeatureExtractor.js';
+
+const MODULES = {
+    fft: FFTProcessor,
+    spectral: SpectralAnalyzer,
+    features: FeatureExtractor
+};
+
+/**
+ * Copy typed arrays of a result object and collect their buffers for transfer
+ */
+function packResult(values) {
+    const result = {};
+    const transfer = [];
+    
+    Object.keys(values).forEach(key => {
+        const copy = new Float32Array(values[key]);
+        result[key] = copy;
+        transfer.push(copy.buffer);
+    });
+    
+    return { result, transfer };
+}
+
+const TASKS = {
+    fft(module, payload) {
+        const output = module.performCustomFFT(payload.timeData);
+        return packResult({
+            magnitude: output.magnitude,
+            phase: output.phase,
+            powerSpectrum: output.powerSpectrum
+        });
+    },
+    
+    spectral(module, payload) {
+        module.analyzeMelFrequency(payload.magnitude);
+        module.analyzeChromagram(payload.magnitude, payload.constantQ);
+        
+        const buffers = module.buffers;
+        return packResult({
+            melSpectrum: buffers.melSpectrum,
+            melSpectrogram: buffers.melSpectrogram,
+            mfcc: buffers.mfcc,
+            deltaMfcc: buffers.deltaMfcc,
+            deltaDeltaMfcc: buffers.deltaDeltaMfcc,
+            chroma: buffers.chroma,
+            chromaVector: buffers.chromaVector
+        });
+    },
+    
+    features(module, payload) {
+        const spectralData = { magnitude: payload.magnitude };
+        const mfcc = module.extractMFCCFeatures(spectralData);
+        const chroma = module.extractChromaFeatures(spectralData);
+        
+        return packResult({ ...mfcc, ...chroma });
+    }
+};
+
+let analysisModule = null;
+let task = null;
+
+self.onmessage = async (event) => {
+    const message = event.data;
+    
+    try {
+        switch (message.type) {
+            case 'init': {
+                const ModuleClass = MODULES[message.module];
+                if (!ModuleClass) {
+                    throw new Error(`Unknown analysis module: ${message.module}`);
+                }
+                
+                // The worker's module must not start workers of its own
+                analysisModule = new ModuleClass({
+                    ...message.config,
+                    maxConcurrency: 1,
+                    parallelProcessing: false,
+                    enableParallelProcessing: false
+                });
+                await analysisModule.initialize({ sampleRate: message.config.sampleRate });
+                task = TASKS[message.module];
+                
+                self.postMessage({ type: 'ready' });
+                break;
+            }
+            
+            case 'analyze': {
+                const startTime = performance.now();
+                const { result, transfer } = task(analysisModule, message.payload);
+                
+                self.postMessage({
+                    type: 'result',
+                    id: message.id,
+                    result,
+                    processingTime: performance.now() - startTime
+                }, transfer);
+                break;
+            }
+            
+            case 'reset':
+                if (analysisModule && analysisModule.reset) {
+                    analysisModule.reset();
+                }
+                break;
+        }
+    } catch (error) {
+        self.postMessage({ type: 'error', id: message.id, error: error.message });
+    }
+};
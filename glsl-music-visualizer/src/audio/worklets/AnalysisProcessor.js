@@ -0,0 +1,238 @@
+/**
+ * Analysis Processor
+ * Audio-thread half of the live analysis path (see AnalysisWorklet.js)
+ * Location: src/audio/worklets/AnalysisProcessor.js
+ *
+ * Keeps the last fftSize samples of its input and, every hopSize samples, runs
+ * the FFTProcessor analysis on them: window, radix-2 FFT, magnitude spectrum and
+ * bass/mid/treble band energies. Frames go to the main thread through the
+ * AnalysisRingBuffer, or as posted messages when memory cannot be shared.
+ *
+ * Loaded with audioWorklet.addModule, so it imports nothing; the ring layout and
+ * band bins arrive in processorOptions.
+ */
+
+// Frame field offsets, matching FRAME_FIELDS in AnalysisRingBuffer.js
+const RMS = 0;
+const BASS = 1;
+const MID = 2;
+const TREBLE = 3;
+const MAGNITUDE = 4;
+
+// Write count slot of the ring header
+const WRITE_COUNT = 0;
+
+/**
+ * Window coefficients, same definitions as FFTProcessor.precomputeWindowFunctions
+ */
+function createWindow(type, size) {
+    const window = new Float32Array(size);
+    
+    for (let i = 0; i < size; i++) {
+        const x = 2 * Math.PI * i / (size - 1);
+        switch (type) {
+            case 'hamming':
+                window[i] = 0.54 - 0.46 * Math.cos(x);
+                break;
+            case 'blackman':
+                window[i] = 0.42 - 0.5 * Math.cos(x) + 0.08 * Math.cos(2 * x);
+                break;
+            case 'rectangular':
+                window[i] = 1;
+                break;
+            case 'hann':
+            default:
+                window[i] = 0.5 * (1 - Math.cos(x));
+                break;
+        }
+    }
+    
+    return window;
+}
+
+class AnalysisProcessor extends AudioWorkletProcessor {
+    constructor(options) {
+        super();
+        
+        const settings = options.processorOptions || {};
+        this.fftSize = settings.fftSize || 4096;
+        this.hopSize = settings.hopSize || 1024;
+        this.binCount = this.fftSize / 2;
+        this.stride = MAGNITUDE + this.binCount;
+        
+        // Band bin ranges [start, end) for bass, mid and treble
+        this.bands = settings.bands || [[0, 0], [0, 0], [0, 0]];
+        
+        // Circular history of the input signal
+        this.history = new Float32Array(this.fftSize);
+        this.historyIndex = 0;
+        this.samplesUntilHop = this.hopSize;
+        
+        // FFT tables and work buffers
+        this.window = createWindow(settings.windowFunction, this.fftSize);
+        this.real = new Float32Array(this.fftSize);
+        this.imag = new Float32Array(this.fftSize);
+        this.cosTable = new Float32Array(this.fftSize / 2);
+        this.sinTable = new Float32Array(this.fftSize / 2);
+        for (let i = 0; i < this.fftSize / 2; i++) {
+            const angle = -2 * Math.PI * i / this.fftSize;
+            this.cosTable[i] = Math.cos(angle);
+            this.sinTable[i] = Math.sin(angle);
+        }
+        this.reversal = this.createReversalTable(this.fftSize);
+        
+        // Shared ring, or per-frame messages without one
+        this.ring = null;
+        if (settings.ring) {
+            this.ring = {
+                capacity: settings.ring.capacity,
+                header: new Int32Array(settings.ring.buffers.header),
+                frames: new Float32Array(settings.ring.buffers.frames),
+                positions: new Float64Array(settings.ring.buffers.positions)
+            };
+        }
+        this.frame = new Float32Array(this.stride);
+        
+        this.active = true;
+        this.port.onmessage = (event) => {
+            if (event.data && event.data.type === 'stop') {
+                this.active = false;
+            }
+        };
+    }
+    
+    createReversalTable(size) {
+        const bits = Math.log2(size);
+        const table = new Uint32Array(size);
+        
+        for (let i = 0; i < size; i++) {
+            let result = 0;
+            let value = i;
+            for (let b = 0; b < bits; b++) {
+                result = (result << 1) | (value & 1);
+                value >>= 1;
+            }
+            table[i] = result;
+        }
+        
+        return table;
+    }
+    
+    process(inputs) {
+        if (!this.active) return false;
+        
+        // The node downmixes to one channel; no channel means nothing is connected
+        const input = inputs[0];
+        if (!input || input.length === 0) return true;
+        
+        const samples = input[0];
+        for (let i = 0; i < samples.length; i++) {
+            this.history[this.historyIndex] = samples[i];
+            this.historyIndex = (this.historyIndex + 1) % this.fftSize;
+            
+            if (--this.samplesUntilHop === 0) {
+                this.samplesUntilHop = this.hopSize;
+                this.analyzeHop(currentFrame + i + 1);
+            }
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Analyze the window ending at sampleIndex and hand the frame over
+     */
+    analyzeHop(sampleIndex) {
+        const size = this.fftSize;
+        const real = this.real;
+        const imag = this.imag;
+        let sumSquares = 0;
+        
+        // Oldest sample first, windowed, in bit-reversed order
+        for (let i = 0; i < size; i++) {
+            const sample = this.history[(this.historyIndex + i) % size];
+            sumSquares += sample * sample;
+            
+            const j = this.reversal[i];
+            real[j] = sample * this.window[i];
+            imag[j] = 0;
+        }
+        
+        this.transform(real, imag, size);
+        
+        const frame = this.frame;
+        frame[RMS] = Math.sqrt(sumSquares / size);
+        
+        for (let i = 0; i < this.binCount; i++) {
+            frame[MAGNITUDE + i] = Math.sqrt(real[i] * real[i] + imag[i] * imag[i]);
+        }
+        
+        frame[BASS] = this.bandEnergy(this.bands[0]);
+        frame[MID] = this.bandEnergy(this.bands[1]);
+        frame[TREBLE] = this.bandEnergy(this.bands[2]);
+        
+        this.publish(sampleIndex);
+    }
+    
+    /**
+     * In-place Cooley-Tukey FFT on bit-reversed input
+     */
+    transform(real, imag, size) {
+        for (let len = 2; len <= size; len *= 2) {
+            const halfLen = len / 2;
+            const step = size / len;
+            
+            for (let i = 0; i < size; i += len) {
+                for (let j = 0; j < halfLen; j++) {
+                    const k = i + j;
+                    const l = k + halfLen;
+                    const twiddleReal = this.cosTable[j * step];
+                    const twiddleImag = this.sinTable[j * step];
+                    
+                    const tempReal = real[l] * twiddleReal - imag[l] * twiddleImag;
+                    const tempImag = real[l] * twiddleImag + imag[l] * twiddleReal;
+                    
+                    real[l] = real[k] - tempReal;
+                    imag[l] = imag[k] - tempImag;
+                    real[k] += tempReal;
+                    imag[k] += tempImag;
+                }
+            }
+        }
+    }
+    
+    /**
+     * Average magnitude over a [start, end) bin range
+     */
+    bandEnergy(range) {
+        const start = range[0];
+        const end = Math.min(range[1], this.binCount);
+        let sum = 0;
+        
+        for (let i = start; i < end; i++) {
+            sum += this.frame[MAGNITUDE + i];
+        }
+        
+        return end > start ? sum / (end - start) : 0;
+    }
+    
+    publish(sampleIndex) {
+        if (!this.ring) {
+            const frame = this.frame.slice();
+            this.port.postMessage({ type: 'frame', sampleIndex, frame }, [frame.buffer]);
+            return;
+        }
+        
+        const ring = this.ring;
+        const count = Atomics.load(ring.header, WRITE_COUNT);
+        const slot = count % ring.capacity;
+        
+        ring.frames.set(this.frame, slot * this.stride);
+        ring.positions[slot] = sampleIndex;
+        
+        // Publish after the data is in place
+        Atomics.store(ring.header, WRITE_COUNT, count + 1);
+    }
+}
+
+registerProcessor('analysis-processor', AnalysisProcessor);
@@ -7,6 +7,13 @@
 import { performanceMonitor } from './PerformanceMonitor.js';
 import { FileUtils } from '../utils/FileUtils.js';
 import { MathUtils } from '../utils/MathUtils.js';
+import { AnalysisTrack } from '../audio/AnalysisTrack.js';
+import { AnalysisReplay } from '../audio/AnalysisReplay.js';
+import { AudioMixer, MIX_INPUT } from '../audio/AudioMixer.js';
+import { AnalysisWorklet } from '../audio/AnalysisWorklet.js';
+
+// Stem names treated as percussion; every other stem counts as melodic
+const PERCUSSIVE_STEMS = ['drums', 'drum', 'percussion', 'perc'];
 
 export class AudioEngine {
     constructor() {
@@ -24,6 +31,8 @@ export class AudioEngine {
         // Audio nodes
         this.nodes = {
             source: null,
+            sourceGain: null,       // Per-source gain, used for crossfades
+            stemSources: [],        // Sources of the other stems while a stem set plays
             analyzer: null,
             gainNode: null,
             compressor: null,
@@ -35,11 +44,15 @@ export class AudioEngine {
             fft: null,
             spectral: null,
             beat: null,
-            features: null
+            features: null,
+            structure: null
         };
         
         // Real-time audio data
         this.audioData = {
+            // Media time of the frame in seconds (replayed frames carry the track time)
+            time: 0,
+            
             // Time domain
             timeData: new Float32Array(2048),
             
@@ -66,16 +79,60 @@ export class AudioEngine {
             beatStrength: 0,
             onset: false,
             
+            // Bar and phrase position (BeatDetector beatAnalysis.bar / .phrase)
+            downbeat: false,
+            bar: null,
+            phrase: null,
+            
             // Harmonic analysis
             pitch: 0,
             harmonics: new Float32Array(8),
             chroma: new Float32Array(12),
             
+            // Constant-Q and multi-resolution spectra (null unless enabled)
+            constantQ: null,
+            multiResolution: null,
+            
+            // Song structure (StructureAnalyzer output, null until analyzed)
+            structure: null,
+            
+            // Genre and mood probabilities (GenreClassifier output, null until classified)
+            classification: null,
+            
             // Mel-frequency features
             mfcc: new Float32Array(13),
-            melSpectrogram: new Float32Array(128)
+            melSpectrogram: new Float32Array(128),
+            
+            // Basic analysis of each mixer input by name
+            inputs: {},
+            
+            // Features of each stem of a loaded stem set by stem name
+            stems: {}
         };
         
+        // Named inputs summed into the analysis mix and the output
+        this.mixer = new AudioMixer();
+        this.lineInputs = new Map();
+        
+        // Mixer input each analysis module listens to (MIX_INPUT = everything)
+        this.analysisRouting = {
+            beat: MIX_INPUT,
+            spectral: MIX_INPUT,
+            features: MIX_INPUT
+        };
+        
+        // Per-input analysis buffers, reused every frame
+        this.inputAnalysis = new Map();
+        
+        // Loaded stem set { name, stems: [{ name, buffer, input }], primary, melodic }
+        this.stemSet = null;
+        this.stemCallbacks = new Set();
+        
+        // Audio-thread hop analysis feeding beat detection (null when polling)
+        this.analysisWorklet = null;
+        this.hopTime = 0;           // Context time of the hop being analyzed
+        this.hopData = null;        // FFT data handed to the BeatDetector per hop
+        
         // Analysis configuration
         this.config = {
             fftSize: 4096,
@@ -93,11 +150,20 @@ export class AudioEngine {
             beatThreshold: 0.15,
             bpmRange: [60, 180],
             
+            // Analysis path: 'worklet' (fixed hops on the audio thread) or 'analyser' (polling)
+            analysisMode: 'worklet',
+            
             // Advanced analysis
             windowFunction: 'hann',
             overlapRatio: 0.75,
+            zeroPadding: 1,             // Keeps FFT bins aligned with the spectral filter banks
             melFilterBanks: 128,
-            mfccCoefficients: 13
+            mfccCoefficients: 13,
+            
+            // Pitch spectra from the FFTProcessor
+            constantQ: false,
+            cqBinsPerOctave: 36,
+            multiResolution: false
         };
         
         // Performance monitoring
@@ -114,6 +180,37 @@ export class AudioEngine {
         this.loadedFiles = new Map();
         this.currentFile = null;
         
+        // Pre-computed offline analysis tracks by file name
+        this.analysisTracks = new Map();
+        
+        // Replay of a pre-computed track (replaces live analysis while set)
+        this.analysisReplay = null;
+        
+        // Context time at which buffer playback (re)started
+        this.playbackStartTime = 0;
+        
+        // Transport state; position is the media time at playbackStartTime
+        this.transport = {
+            buffer: null,           // Buffer being played
+            position: 0,            // Media time in seconds
+            rate: 1.0,              // Playback rate
+            preservePitch: false,   // Keep pitch when the rate is not 1 (media element playback)
+            loop: null,             // A/B loop region { start, end } in seconds
+            next: null,             // File queued after the current one { fileName, crossfade }
+            seekPending: false      // Flag the next live analysis frame as seeked
+        };
+        
+        // Source scheduled to take over from the current one, and sources fading out
+        this.scheduledNext = null;
+        this.fadingSources = new Set();
+        this.trackCallbacks = new Set();
+        
+        // Original files and URLs, needed for pitch-preserving media element playback
+        this.fileSources = new Map();
+        this.mediaPlayer = null;
+        this.seekCallbacks = new Set();
+        this.structureCallbacks = new Set();
+        
         // Microphone settings
         this.microphoneSettings = {
             enabled: false,
@@ -154,6 +251,9 @@ export class AudioEngine {
             // Load analysis modules
             await this.loadAnalysisModules();
             
+            // Move beat analysis onto the audio thread where supported
+            await this.initializeAnalysisWorklet();
+            
             // Start real-time analysis loop
             this.startAnalysisLoop();
             
@@ -162,6 +262,7 @@ export class AudioEngine {
             console.log('AudioEngine initialized', {
                 sampleRate: this.audioContext.sampleRate,
                 fftSize: this.config.fftSize,
+                analysisMode: this.analysisWorklet ? 'worklet' : 'analyser',
                 analysisModules: Object.keys(this.analysisModules).filter(key => this.analysisModules[key])
             });
             
@@ -197,11 +298,23 @@ export class AudioEngine {
         this.nodes.compressor.attack.value = 0.003;
         this.nodes.compressor.release.value = 0.25;
         
-        // Connect nodes: source -> analyzer -> gain -> compressor -> destination
-        this.nodes.analyzer.connect(this.nodes.gainNode);
+        // Connect nodes: mixer inputs -> analyzer (mix analysis)
+        //                mixer inputs -> gain -> compressor -> destination (monitored inputs)
         this.nodes.gainNode.connect(this.nodes.compressor);
         this.nodes.compressor.connect(ctx.destination);
         
+        this.mixer.updateConfig({
+            fftSize: this.config.fftSize,
+            smoothingTimeConstant: this.config.smoothingTimeConstant
+        });
+        this.mixer.initialize(ctx, {
+            analysis: this.nodes.analyzer,
+            output: this.nodes.gainNode
+        });
+        
+        // The transport always plays into the 'file' input
+        this.mixer.addInput('file', null, { type: 'file' });
+        
         console.log('Audio nodes created and connected');
     }
     
@@ -215,7 +328,8 @@ export class AudioEngine {
                 import('../audio/FFTProcessor.js'),
                 import('../audio/SpectralAnalyzer.js'),
                 import('../audio/BeatDetector.js'),
-                import('../audio/FeatureExtractor.js')
+                import('../audio/FeatureExtractor.js'),
+                import('../audio/StructureAnalyzer.js')
             ]);
             
             // Initialize modules
@@ -223,13 +337,15 @@ export class AudioEngine {
             this.analysisModules.spectral = new modules[1].SpectralAnalyzer(this.config);
             this.analysisModules.beat = new modules[2].BeatDetector(this.config);
             this.analysisModules.features = new modules[3].FeatureExtractor(this.config);
+            this.analysisModules.structure = new modules[4].StructureAnalyzer(this.config);
             
             // Initialize each module
             await Promise.all([
                 this.analysisModules.fft.initialize(this.audioContext),
                 this.analysisModules.spectral.initialize(this.audioContext),
                 this.analysisModules.beat.initialize(this.audioContext),
-                this.analysisModules.features.initialize(this.audioContext)
+                this.analysisModules.features.initialize(this.audioContext),
+                this.analysisModules.structure.initialize(this.audioContext)
             ]);
             
             console.log('Analysis modules loaded and initialized');
@@ -240,6 +356,66 @@ export class AudioEngine {
         }
     }
     
+    /**
+     * Start (or restart after a config change) the audio-thread hop analysis
+     * With analysisMode 'worklet' the signal routed to beat tracking is analyzed every
+     * hopSize samples on the audio thread. Falls back to analyzer polling when
+     * AudioWorklet is unavailable or disabled.
+     * @returns {Promise<boolean>} Whether beat detection runs on worklet hops
+     */
+    async initializeAnalysisWorklet() {
+        this.releaseAnalysisWorklet();
+        
+        if (this.config.analysisMode !== 'worklet' || !this.analysisModules.beat) {
+            return false;
+        }
+        
+        const worklet = new AnalysisWorklet({
+            fftSize: this.config.fftSize,
+            hopSize: this.config.hopSize,
+            windowFunction: this.config.windowFunction,
+            bassRange: this.config.bassRange,
+            midRange: this.config.midRange,
+            trebleRange: this.config.trebleRange
+        });
+        
+        if (!(await worklet.initialize(this.audioContext))) {
+            return false;
+        }
+        
+        this.analysisWorklet = worklet;
+        worklet.connect(this.getAnalysisNode(this.analysisRouting.beat));
+        
+        // Beat timing follows the hop clock rather than the frame clock
+        this.hopTime = this.audioContext.currentTime;
+        this.analysisModules.beat.config.timeSource = () => this.hopTime * 1000;
+        this.analysisModules.beat.reset();
+        
+        return true;
+    }
+    
+    releaseAnalysisWorklet() {
+        if (!this.analysisWorklet) return;
+        
+        this.analysisWorklet.dispose();
+        this.analysisWorklet = null;
+        this.hopData = null;
+        
+        if (this.analysisModules.beat) {
+            this.analysisModules.beat.config.timeSource = null;
+            this.analysisModules.beat.reset();
+        }
+    }
+    
+    /**
+     * Node carrying the signal of a mixer input, or of the whole mix
+     * @param {string} inputName - Mixer input name or MIX_INPUT
+     * @returns {AudioNode} Analysis node
+     */
+    getAnalysisNode(inputName) {
+        return inputName === MIX_INPUT ? this.nodes.analyzer : this.mixer.getAnalysisNode(inputName);
+    }
+    
     /**
      * Load audio file
      * @param {File|string} source - Audio file or URL
@@ -250,16 +426,10 @@ export class AudioEngine {
         try {
             const startTime = performance.now();
             
-            // Load and decode audio file
-            const audioBuffer = await FileUtils.loadAudioFile(source, this.audioContext, {
-                onProgress
-            });
-            
-            // Store the loaded buffer
-            const fileName = source instanceof File ? source.name : source.split('/').pop();
-            this.loadedFiles.set(fileName, audioBuffer);
-            this.audioBuffer = audioBuffer;
-            this.currentFile = fileName;
+            // Load, decode and make it the current file
+            const audioBuffer = await this.decodeAudioFile(source, onProgress);
+            const fileName = this.getFileName(source);
+            this.selectAudioFile(fileName);
             
             const loadTime = performance.now() - startTime;
             console.log(`Audio file loaded: ${fileName} (${loadTime.toFixed(2)}ms)`);
@@ -281,343 +451,1854 @@ export class AudioEngine {
     }
     
     /**
-     * Play loaded audio file
-     * @param {AudioBuffer} audioBuffer - Audio buffer to play (optional)
+     * Decode an audio file into the cache without making it current
+     * @param {File|string} source - Audio file or URL
+     * @param {Function} onProgress - Progress callback
+     * @returns {Promise<AudioBuffer>} Decoded audio buffer
+     */
+    async decodeAudioFile(source, onProgress = null) {
+        const audioBuffer = await FileUtils.loadAudioFile(source, this.audioContext, {
+            onProgress
+        });
+        
+        this.addAudioBuffer(this.getFileName(source), audioBuffer, source);
+        return audioBuffer;
+    }
+    
+    /**
+     * Cache an already decoded buffer (e.g. decoded by the file upload)
+     * @param {string} fileName - File name used as cache key
+     * @param {AudioBuffer} audioBuffer - Decoded audio
+     * @param {File|string} source - Original file or URL
+     */
+    addAudioBuffer(fileName, audioBuffer, source = null) {
+        this.loadedFiles.set(fileName, audioBuffer);
+        if (source) {
+            this.fileSources.set(fileName, source);
+        }
+    }
+    
+    /**
+     * Drop a decoded buffer from the cache (the current file is kept)
+     * @param {string} fileName - File name
+     */
+    unloadAudioFile(fileName) {
+        if (fileName === this.currentFile) return;
+        if (this.transport.next && this.transport.next.fileName === fileName) return;
+        
+        this.loadedFiles.delete(fileName);
+        this.fileSources.delete(fileName);
+    }
+    
+    /**
+     * Make a cached file the current one (the one played and analyzed)
+     * @param {string} fileName - File name
+     */
+    selectAudioFile(fileName) {
+        const audioBuffer = this.loadedFiles.get(fileName);
+        if (!audioBuffer) {
+            throw new Error(`Audio file not loaded: ${fileName}`);
+        }
+        
+        // A single file replaces a loaded stem set
+        if (this.stemSet) {
+            this.unloadStems();
+        }
+        
+        this.audioBuffer = audioBuffer;
+        this.currentFile = fileName;
+        
+        // A replay belongs to the previous file
+        this.clearAnalysisTrack();
+    }
+    
+    getFileName(source) {
+        return source instanceof File ? source.name : source.split('/').pop();
+    }
+    
+    /**
+     * Analyze a decoded audio buffer offline, faster than real time
+     * @param {AudioBuffer} audioBuffer - Audio buffer to analyze (optional, defaults to current)
+     * @param {Object} options - Analysis options
+     * @param {Function} options.onProgress - Progress callback (0-1)
+     * @returns {Promise<AnalysisTrack>} Time-indexed analysis track
      */
-    async playAudioFile(audioBuffer = null) {
+    async analyzeOffline(audioBuffer = null, options = {}) {
         try {
-            // Use provided buffer or current buffer
             const buffer = audioBuffer || this.audioBuffer;
             if (!buffer) {
-                throw new Error('No audio buffer to play');
+                throw new Error('No audio buffer to analyze');
             }
             
-            // Stop current playback
-            this.stop();
-            
-            // Create buffer source
-            this.nodes.source = this.audioContext.createBufferSource();
-            this.nodes.source.buffer = buffer;
+            const { OfflineAnalyzer } = await import('../audio/OfflineAnalyzer.js');
+            const { onProgress, ...analysisConfig } = options;
             
-            // Connect source to analysis chain
-            this.nodes.source.connect(this.nodes.analyzer);
+            const analyzer = new OfflineAnalyzer({ ...this.config, ...analysisConfig });
+            const analysis = await analyzer.analyze(buffer, { onProgress });
             
-            // Start playback
-            this.nodes.source.start(0);
-            this.isPlaying = true;
-            this.isPaused = false;
+            const isCurrent = !audioBuffer || audioBuffer === this.audioBuffer;
+            const track = AnalysisTrack.fromAnalysis(analysis, {
+                name: isCurrent ? this.currentFile : null
+            });
             
-            // Handle playback end
-            this.nodes.source.onended = () => {
-                this.isPlaying = false;
-                this.isPaused = false;
-                this.nodes.source = null;
-            };
+            // Cache track for the current file
+            if (isCurrent) {
+                this.analysisTracks.set(this.currentFile, track);
+            }
             
-            console.log('Audio playback started');
+            return track;
             
         } catch (error) {
-            console.error('Failed to play audio file:', error);
-            this.notifyError('playback', error);
+            console.error('Offline analysis failed:', error);
+            this.notifyError('offline_analysis', error);
             throw error;
         }
     }
     
     /**
-     * Enable microphone input
-     * @param {Object} constraints - MediaStream constraints
+     * Replay a pre-computed analysis track instead of running live analysis
+     * @param {AnalysisTrack|ArrayBuffer|string|Object} track - Track or serialized track data
+     * @param {Object} options - Replay options
+     * @returns {AnalysisTrack} Active track
+     */
+    setAnalysisTrack(track, options = {}) {
+        const analysisTrack = AnalysisTrack.decode(track);
+        
+        this.analysisReplay = new AnalysisReplay(analysisTrack, options);
+        
+        if (this.currentFile) {
+            this.analysisTracks.set(this.currentFile, analysisTrack);
+        }
+        
+        console.log('Analysis track replay enabled', analysisTrack.getInfo());
+        
+        return analysisTrack;
+    }
+    
+    /**
+     * Load a serialized analysis track from a file or URL and replay it
+     * @param {File|string} source - Track file or URL (binary or JSON)
+     * @returns {Promise<AnalysisTrack>} Active track
      */
-    async enableMicrophone(constraints = {}) {
+    async loadAnalysisTrack(source) {
         try {
-            const defaultConstraints = {
-                audio: {
-                    autoGainControl: this.microphoneSettings.autoGainControl,
-                    noiseSuppression: this.microphoneSettings.noiseSuppression,
-                    echoCancellation: this.microphoneSettings.echoCancellation,
-                    sampleRate: this.config.sampleRate
-                }
-            };
-            
-            const finalConstraints = { ...defaultConstraints, ...constraints };
-            
-            // Get microphone stream
-            this.microphoneStream = await navigator.mediaDevices.getUserMedia(finalConstraints);
-            
-            // Stop current playback
-            this.stop();
-            
-            // Create media stream source
-            this.nodes.source = this.audioContext.createMediaStreamSource(this.microphoneStream);
-            this.nodes.source.connect(this.nodes.analyzer);
+            const isJSON = FileUtils.getExtension(source) === 'json';
+            let data;
             
-            this.isPlaying = true;
-            this.microphoneSettings.enabled = true;
+            if (source instanceof File) {
+                data = isJSON ? await FileUtils.fileToText(source) : await FileUtils.fileToArrayBuffer(source);
+            } else {
+                data = await FileUtils.loadFile(source, { responseType: isJSON ? 'text' : 'arraybuffer' });
+            }
             
-            console.log('Microphone input enabled');
+            return this.setAnalysisTrack(data);
             
         } catch (error) {
-            console.error('Failed to enable microphone:', error);
-            this.notifyError('microphone', error);
+            console.error('Failed to load analysis track:', error);
+            this.notifyError('analysis_track', error);
             throw error;
         }
     }
     
     /**
-     * Disable microphone input
+     * Replay the cached analysis track of the current file, if there is one
      */
-    disableMicrophone() {
-        if (this.microphoneStream) {
-            this.microphoneStream.getTracks().forEach(track => track.stop());
-            this.microphoneStream = null;
+    restoreAnalysisTrack() {
+        if (!this.analysisReplay && this.analysisTracks.has(this.currentFile)) {
+            this.setAnalysisTrack(this.analysisTracks.get(this.currentFile));
         }
-        
-        if (this.nodes.source && this.microphoneSettings.enabled) {
-            this.nodes.source.disconnect();
-            this.nodes.source = null;
-            this.isPlaying = false;
+    }
+    
+    /**
+     * Get the cached analysis track for a file
+     * @param {string} fileName - File name (defaults to the current file)
+     * @returns {AnalysisTrack|null} Analysis track
+     */
+    getAnalysisTrack(fileName = this.currentFile) {
+        return this.analysisTracks.get(fileName) || null;
+    }
+    
+    /**
+     * Stop replaying and return to live analysis
+     */
+    clearAnalysisTrack() {
+        if (this.analysisReplay) {
+            this.analysisReplay = null;
+            console.log('Analysis track replay disabled');
         }
-        
-        this.microphoneSettings.enabled = false;
-        console.log('Microphone input disabled');
     }
     
     /**
-     * Start real-time audio analysis loop
+     * Serialize the analysis track of the current file
+     * @param {string} format - 'binary' or 'json'
+     * @returns {ArrayBuffer|string} Serialized track
      */
-    startAnalysisLoop() {
-        const analyze = () => {
-            if (!this.isInitialized) return;
-            
-            const now = performance.now();
-            const deltaTime = now - this.lastUpdateTime;
-            
-            // Limit update rate for performance
-            if (deltaTime >= 1000 / this.updateRate) {
-                this.performAnalysis();
-                this.lastUpdateTime = now;
-            }
-            
-            this.animationFrame = requestAnimationFrame(analyze);
-        };
+    exportAnalysisTrack(format = 'binary') {
+        const track = this.analysisReplay ? this.analysisReplay.track : this.analysisTracks.get(this.currentFile);
+        if (!track) {
+            throw new Error('No analysis track for the current file');
+        }
         
-        analyze();
+        return format === 'json' ? JSON.stringify(track) : track.toBinary();
     }
     
     /**
-     * Perform audio analysis
+     * Load a genre and mood model for the feature extractor
+     * None is loaded by default (MaterialManager then guesses the genre from band
+     * levels). `classification` holds the genre and mood probabilities over the
+     * last few seconds, null until the window fills.
+     * @param {File|string|Object} source - Model file, URL or parsed JSON (see GenreClassifier)
+     * @returns {Promise<Object>} Model information
      */
-    performAnalysis() {
-        const startTime = performance.now();
-        
+    async loadGenreModel(source) {
         try {
-            // Get raw audio data from analyzer
-            this.nodes.analyzer.getFloatTimeDomainData(this.audioData.timeData);
-            this.nodes.analyzer.getFloatFrequencyData(this.audioData.frequencyDataDb);
-            
-            // Convert dB to linear for some calculations
-            for (let i = 0; i < this.audioData.frequencyDataDb.length; i++) {
-                this.audioData.frequencyData[i] = MathUtils.dbToAmplitude(this.audioData.frequencyDataDb[i]);
+            if (!this.analysisModules.features) {
+                throw new Error('Feature extraction is not initialized');
             }
             
-            // Basic frequency band analysis
-            this.analyzeFrequencyBands();
-            
-            // Calculate basic audio features
-            this.calculateBasicFeatures();
-            
-            // Run advanced analysis modules
-            this.runAdvancedAnalysis();
-            
-            // Record analysis time
-            this.analysisTime = performance.now() - startTime;
-            performanceMonitor.recordCPUTime('audioProcessing', this.analysisTime);
-            
-            // Notify listeners
-            this.notifyUpdate();
+            return await this.analysisModules.features.loadGenreModel(source);
             
         } catch (error) {
-            console.error('Audio analysis error:', error);
-            this.notifyError('analysis', error);
+            console.error('Failed to load genre model:', error);
+            this.notifyError('genre_model', error);
+            throw error;
         }
     }
     
     /**
-     * Analyze frequency bands (bass, mid, treble)
+     * Override the tempo of beat tracking with an external one (e.g. MIDI clock)
+     * @param {number} bpm - Tempo in beats per minute
+     * @param {string} source - Tempo source, e.g. 'midi'
      */
-    analyzeFrequencyBands() {
-        const nyquist = this.audioContext.sampleRate / 2;
-        const binCount = this.audioData.frequencyData.length;
-        
-        // Calculate frequency per bin
-        const freqPerBin = nyquist / binCount;
+    setTempoOverride(bpm, source = 'external') {
+        const beat = this.analysisModules.beat;
+        if (!beat) return;
         
-        // Find bin ranges for each frequency band
-        const bassStart = Math.floor(this.config.bassRange[0] / freqPerBin);
-        const bassEnd = Math.floor(this.config.bassRange[1] / freqPerBin);
-        const midStart = bassEnd;
-        const midEnd = Math.floor(this.config.midRange[1] / freqPerBin);
-        const trebleStart = midEnd;
-        const trebleEnd = Math.floor(this.config.trebleRange[1] / freqPerBin);
+        beat.setTempoOverride(bpm, source);
         
-        // Calculate average amplitude for each band
-        this.audioData.bassLevel = this.calculateBandAverage(bassStart, bassEnd);
-        this.audioData.midLevel = this.calculateBandAverage(midStart, midEnd);
-        this.audioData.trebleLevel = this.calculateBandAverage(trebleStart, trebleEnd);
+        // Visible to the next frame even when no analysis runs (paused, replay)
+        if (beat.tempoOverride) {
+            this.audioData.bpm = beat.tempoOverride.bpm;
+        }
     }
     
     /**
-     * Calculate average amplitude for a frequency band
-     * @param {number} startBin - Start bin index
-     * @param {number} endBin - End bin index
-     * @returns {number} Average amplitude
+     * Return beat tracking to the tempo estimated from audio
      */
-    calculateBandAverage(startBin, endBin) {
-        let sum = 0;
-        let count = 0;
-        
-        for (let i = startBin; i < Math.min(endBin, this.audioData.frequencyData.length); i++) {
-            sum += this.audioData.frequencyData[i];
-            count++;
+    clearTempoOverride() {
+        if (this.analysisModules.beat) {
+            this.analysisModules.beat.clearTempoOverride();
         }
-        
-        return count > 0 ? sum / count : 0;
     }
     
     /**
-     * Calculate basic audio features
+     * Get the active tempo override
+     * @returns {Object|null} { bpm, source } or null while tracking the audio tempo
      */
-    calculateBasicFeatures() {
-        // RMS (Root Mean Square) - overall energy
-        this.audioData.rms = MathUtils.rms(this.audioData.timeData);
-        this.audioData.energy = this.audioData.rms * this.audioData.rms;
-        
-        // Zero Crossing Rate
-        this.audioData.zcr = this.calculateZeroCrossingRate(this.audioData.timeData);
-        
-        // Spectral Centroid (brightness)
-        this.audioData.spectralCentroid = this.calculateSpectralCentroid();
-        
-        // Spectral Rolloff
-        this.audioData.spectralRolloff = this.calculateSpectralRolloff();
+    getTempoOverride() {
+        return this.analysisModules.beat ? this.analysisModules.beat.tempoOverride : null;
     }
     
     /**
-     * Calculate zero crossing rate
-     * @param {Float32Array} timeData - Time domain data
-     * @returns {number} Zero crossing rate
+     * Align the beat phase to an external beat (e.g. a MIDI clock quarter note)
      */
-    calculateZeroCrossingRate(timeData) {
-        let crossings = 0;
-        
-        for (let i = 1; i < timeData.length; i++) {
-            if ((timeData[i] >= 0) !== (timeData[i - 1] >= 0)) {
-                crossings++;
-            }
+    alignBeatPhase() {
+        if (this.analysisModules.beat) {
+            this.analysisModules.beat.alignBeatPhase();
         }
-        
-        return crossings / (timeData.length - 1);
     }
     
     /**
-     * Calculate spectral centroid
-     * @returns {number} Spectral centroid (normalized)
+     * Get the current playback position
+     * @returns {number} Media time in seconds
      */
-    calculateSpectralCentroid() {
-        let weightedSum = 0;
-        let magnitudeSum = 0;
+    getPlaybackTime() {
+        if (this.mediaElement) {
+            return this.mediaElement.currentTime;
+        }
         
-        for (let i = 0; i < this.audioData.frequencyData.length; i++) {
-            const magnitude = this.audioData.frequencyData[i];
-            weightedSum += i * magnitude;
-            magnitudeSum += magnitude;
+        if (this.isPlaying && !this.isPaused && this.nodes.source && this.nodes.source.buffer) {
+            const elapsed = (this.audioContext.currentTime - this.playbackStartTime) * this.transport.rate;
+            return this.wrapLoopTime(this.transport.position + elapsed);
         }
         
-        return magnitudeSum > 0 ? (weightedSum / magnitudeSum) / this.audioData.frequencyData.length : 0;
+        return this.transport.position;
     }
     
     /**
-     * Calculate spectral rolloff
-     * @returns {number} Spectral rolloff (normalized)
+     * Get the duration of the playing (or loaded) file
+     * @returns {number} Duration in seconds
      */
-    calculateSpectralRolloff() {
-        const totalEnergy = this.audioData.frequencyData.reduce((sum, val) => sum + val, 0);
-        const threshold = totalEnergy * 0.85; // 85% of total energy
-        
-        let cumulativeEnergy = 0;
-        
-        for (let i = 0; i < this.audioData.frequencyData.length; i++) {
-            cumulativeEnergy += this.audioData.frequencyData[i];
-            
-            if (cumulativeEnergy >= threshold) {
-                return i / this.audioData.frequencyData.length;
-            }
-        }
-        
-        return 1.0;
+    getDuration() {
+        const buffer = this.transport.buffer || this.audioBuffer;
+        return buffer ? buffer.duration : 0;
     }
     
     /**
-     * Run advanced analysis modules
+     * Play loaded audio file
+     * @param {AudioBuffer} audioBuffer - Audio buffer to play (optional)
+     * @param {number} offset - Start position in seconds
      */
-    runAdvancedAnalysis() {
-        // Beat detection
-        if (this.analysisModules.beat) {
-            const beatData = this.analysisModules.beat.analyze(this.audioData);
-            this.audioData.beat = beatData.beat;
-            this.audioData.beatStrength = beatData.strength;
-            this.audioData.bpm = beatData.bpm;
-            this.audioData.onset = beatData.onset;
+    async playAudioFile(audioBuffer = null, offset = 0) {
+        try {
+            // Use provided buffer or current buffer
+            const buffer = audioBuffer || this.audioBuffer;
+            if (!buffer) {
+                throw new Error('No audio buffer to play');
+            }
+            
+            // Stop current playback
+            this.stop();
+            
+            // Loop regions belong to the previous buffer
+            if (buffer !== this.transport.buffer) {
+                this.transport.loop = null;
+            }
+            this.transport.buffer = buffer;
+            
+            // Replay a cached analysis track for this file when available
+            if (buffer === this.audioBuffer) {
+                this.restoreAnalysisTrack();
+            }
+            
+            // Start playback
+            const start = MathUtils.clamp(offset, 0, buffer.duration);
+            this.isPlaying = true;
+            this.isPaused = false;
+            this.startPlayback(start);
+            
+            // History from another file or position does not apply
+            this.resetAnalysisHistory(start);
+            
+            console.log(`Audio playback started at ${start.toFixed(2)}s`);
+            
+        } catch (error) {
+            console.error('Failed to play audio file:', error);
+            this.notifyError('playback', error);
+            throw error;
+        }
+    }
+    
+    // ===== TRANSPORT =====
+    
+    /**
+     * Jump to a position in the playing or paused file
+     * Positions past the end of an active loop jump to the loop start. The analysis
+     * history is cleared and the next frame is flagged as `seeked`.
+     * @param {number} time - Target position in seconds
+     */
+    seek(time) {
+        if (!this.hasTransport()) {
+            console.warn('Nothing to seek: no audio file is playing');
+            return;
+        }
+        
+        const target = this.clampToLoop(MathUtils.clamp(time, 0, this.getDuration()));
+        
+        if (this.isPlaying && !this.isPaused) {
+            this.startPlayback(target);
+        } else {
+            this.transport.position = target;
+        }
+        
+        this.resetAnalysisHistory(target);
+        this.notifySeek(target);
+    }
+    
+    /**
+     * Change the playback rate
+     * The pitch follows the rate unless pitch preservation is on; then a rate other
+     * than 1 plays the file through a media element, which keeps the pitch.
+     * @param {number} rate - Playback rate (0.25-4)
+     * @param {Object} options - Options
+     * @param {boolean} options.preservePitch - Keep the pitch (defaults to the current setting)
+     */
+    setPlaybackRate(rate, options = {}) {
+        const transport = this.transport;
+        const running = this.hasTransport() && this.isPlaying && !this.isPaused;
+        const time = this.getPlaybackTime();
+        const wasMediaElement = !!this.mediaElement;
+        
+        transport.rate = MathUtils.clamp(rate, 0.25, 4);
+        if (options.preservePitch !== undefined) {
+            transport.preservePitch = !!options.preservePitch;
+        }
+        
+        if (!running) {
+            return;
+        }
+        
+        if (this.shouldUseMediaElement() !== wasMediaElement) {
+            // Switch between buffer and media element playback
+            this.startPlayback(time);
+        } else if (this.mediaElement) {
+            this.mediaElement.playbackRate = transport.rate;
+        } else {
+            // The end of the file moves, so the next file is scheduled again
+            this.cancelScheduledNext();
+            this.anchorTransport(time);
+            this.getBufferSources().forEach(source => {
+                source.playbackRate.setValueAtTime(transport.rate, this.audioContext.currentTime);
+            });
+            this.scheduleNext();
+        }
+    }
+    
+    /**
+     * Loop playback between two points (A/B loop)
+     * @param {number} start - Loop start in seconds
+     * @param {number} end - Loop end in seconds
+     */
+    setLoop(start, end) {
+        const duration = this.getDuration();
+        const loopStart = MathUtils.clamp(Math.min(start, end), 0, duration);
+        const loopEnd = MathUtils.clamp(Math.max(start, end), 0, duration);
+        
+        if (loopEnd - loopStart < 0.01) {
+            throw new Error('Loop region must be longer than 10ms');
+        }
+        
+        const time = this.getPlaybackTime();
+        this.transport.loop = { start: loopStart, end: loopEnd };
+        
+        if (this.hasTransport() && this.isPlaying && !this.isPaused) {
+            if (time >= loopEnd) {
+                this.seek(loopStart);
+            } else if (!this.mediaElement) {
+                // A looping file never ends; drop the scheduled transition
+                this.cancelScheduledNext();
+                this.anchorTransport(time);
+                this.getBufferSources().forEach(source => this.applyLoop(source));
+            }
+        } else {
+            this.transport.position = this.clampToLoop(this.transport.position);
+        }
+    }
+    
+    /**
+     * Remove the loop region; playback continues to the end of the file
+     */
+    clearLoop() {
+        if (!this.transport.loop) return;
+        
+        const time = this.getPlaybackTime();
+        this.transport.loop = null;
+        
+        if (this.nodes.source && this.nodes.source.buffer) {
+            this.anchorTransport(time);
+            this.getBufferSources().forEach(source => this.applyLoop(source));
+            this.scheduleNext();
+        }
+    }
+    
+    /**
+     * Get transport state
+     * @returns {Object} Position, duration, rate and loop
+     */
+    getTransportState() {
+        return {
+            time: this.getPlaybackTime(),
+            duration: this.getDuration(),
+            rate: this.transport.rate,
+            preservePitch: this.transport.preservePitch,
+            loop: this.transport.loop ? { ...this.transport.loop } : null,
+            isPlaying: this.isPlaying,
+            isPaused: this.isPaused
+        };
+    }
+    
+    /**
+     * Whether a file (rather than the microphone or nothing) drives the transport
+     */
+    hasTransport() {
+        return !!this.transport.buffer;
+    }
+    
+    /**
+     * Start the transport source at a position, replacing the current one
+     * @param {number} offset - Media time in seconds
+     */
+    startPlayback(offset) {
+        const start = this.clampToLoop(offset);
+        
+        this.stopSource();
+        
+        if (this.shouldUseMediaElement()) {
+            this.startMediaElement(start);
+        } else {
+            if (this.transport.preservePitch && this.transport.rate !== 1) {
+                console.warn('Pitch preservation needs the original file; playing with pitch following the rate');
+            }
+            this.startBufferSource(start);
+        }
+        
+        this.scheduleNext();
+    }
+    
+    /**
+     * Buffer source and its gain, connected to a mixer input
+     */
+    createSourceChain(buffer, inputName = 'file') {
+        const source = this.audioContext.createBufferSource();
+        source.buffer = buffer;
+        source.playbackRate.value = this.transport.rate;
+        
+        const gain = this.audioContext.createGain();
+        source.connect(gain);
+        gain.connect(this.mixer.getInputNode(inputName));
+        
+        // Handle playback end (sources replaced by a seek or pause are ignored)
+        source.onended = () => this.handleSourceEnded(source);
+        
+        return { source, gain };
+    }
+    
+    startBufferSource(offset) {
+        if (this.isStemPlayback()) {
+            this.startStemSources(offset);
+            return;
+        }
+        
+        const { source, gain } = this.createSourceChain(this.transport.buffer);
+        this.applyLoop(source);
+        
+        source.start(0, offset);
+        
+        this.nodes.source = source;
+        this.nodes.sourceGain = gain;
+        this.mediaElement = null;
+        this.anchorTransport(offset);
+    }
+    
+    /**
+     * Start every stem at the same context time; the longest stem drives the transport
+     */
+    startStemSources(offset) {
+        const when = this.audioContext.currentTime;
+        const primary = this.stemSet.primary;
+        
+        this.stemSet.stems.forEach(stem => {
+            const chain = this.createSourceChain(stem.buffer, stem.input);
+            this.applyLoop(chain.source);
+            
+            // Shorter stems simply stay silent past their end
+            if (offset < stem.buffer.duration) {
+                chain.source.start(when, offset);
+            }
+            
+            if (stem.buffer === primary) {
+                this.nodes.source = chain.source;
+                this.nodes.sourceGain = chain.gain;
+            } else {
+                this.nodes.stemSources.push(chain);
+            }
+        });
+        
+        this.mediaElement = null;
+        this.anchorTransport(offset);
+    }
+    
+    /**
+     * Buffer sources currently playing (one, or one per stem)
+     */
+    getBufferSources() {
+        const sources = this.nodes.stemSources.map(stem => stem.source);
+        if (this.nodes.source && this.nodes.source.buffer) {
+            sources.unshift(this.nodes.source);
+        }
+        return sources;
+    }
+    
+    handleSourceEnded(source) {
+        if (this.nodes.source !== source) return;
+        
+        // The scheduled file already took over before the analysis loop noticed
+        if (this.scheduledNext) {
+            this.promoteNext();
+            return;
+        }
+        
+        this.nodes.source = null;
+        this.mediaElement = null;
+        this.disconnectSourceGain();
+        this.stopStemSources();
+        this.transport.position = this.getDuration();
+        
+        // A queued file that could not be scheduled starts right away
+        if (this.transport.next && this.loadedFiles.has(this.transport.next.fileName)) {
+            const { fileName } = this.transport.next;
+            this.transport.next = null;
+            this.selectAudioFile(fileName);
+            this.playAudioFile().then(() => this.notifyTrackChange(fileName, { crossfade: 0 }));
+            return;
+        }
+        
+        this.isPlaying = false;
+        this.isPaused = false;
+        this.notifyTrackChange(null, { ended: true });
+    }
+    
+    /**
+     * Play the original file through a media element, which can keep the pitch
+     */
+    startMediaElement(offset) {
+        const player = this.getMediaPlayer();
+        const element = player.element;
+        
+        element.preservesPitch = true;
+        element.mozPreservesPitch = true;
+        element.webkitPreservesPitch = true;
+        element.playbackRate = this.transport.rate;
+        element.currentTime = offset;
+        
+        const gain = this.audioContext.createGain();
+        player.node.connect(gain);
+        gain.connect(this.mixer.getInputNode('file'));
+        
+        this.nodes.source = player.node;
+        this.nodes.sourceGain = gain;
+        this.mediaElement = element;
+        this.anchorTransport(offset);
+        
+        element.play().catch(error => {
+            console.error('Media element playback failed:', error);
+            this.notifyError('playback', error);
+        });
+    }
+    
+    /**
+     * Media element and its audio node for the current file (created once per file)
+     */
+    getMediaPlayer() {
+        if (this.mediaPlayer && this.mediaPlayer.file === this.currentFile) {
+            return this.mediaPlayer;
+        }
+        
+        this.releaseMediaPlayer();
+        
+        const source = this.fileSources.get(this.currentFile);
+        const url = source instanceof File ? URL.createObjectURL(source) : null;
+        const element = new Audio();
+        element.crossOrigin = 'anonymous';
+        element.src = url || source;
+        
+        element.addEventListener('ended', () => {
+            if (this.mediaElement === element) {
+                this.handleSourceEnded(this.nodes.source);
+            }
+        });
+        
+        this.mediaPlayer = {
+            file: this.currentFile,
+            element,
+            node: this.audioContext.createMediaElementSource(element),
+            url
+        };
+        
+        return this.mediaPlayer;
+    }
+    
+    releaseMediaPlayer() {
+        if (!this.mediaPlayer) return;
+        
+        this.mediaPlayer.element.pause();
+        this.mediaPlayer.node.disconnect();
+        if (this.mediaPlayer.url) {
+            URL.revokeObjectURL(this.mediaPlayer.url);
+        }
+        
+        if (this.mediaElement === this.mediaPlayer.element) {
+            this.mediaElement = null;
+        }
+        this.mediaPlayer = null;
+    }
+    
+    shouldUseMediaElement() {
+        return this.transport.preservePitch &&
+            this.transport.rate !== 1 &&
+            this.transport.buffer === this.audioBuffer &&
+            this.fileSources.has(this.currentFile);
+    }
+    
+    /**
+     * Stop the current source without changing the transport state
+     */
+    stopSource() {
+        this.cancelScheduledNext();
+        
+        const source = this.nodes.source;
+        this.nodes.source = null;
+        
+        this.stopStemSources();
+        
+        if (this.mediaElement) {
+            this.mediaElement.pause();
+            this.mediaElement = null;
+        }
+        
+        if (source) {
+            try {
+                if (source.stop) {
+                    source.stop();
+                }
+                source.disconnect();
+            } catch (error) {
+                // Source might already be stopped
+            }
+        }
+        
+        this.disconnectSourceGain();
+    }
+    
+    stopStemSources() {
+        this.nodes.stemSources.forEach(stem => {
+            try {
+                stem.source.stop();
+            } catch (error) {
+                // Source might already be stopped or never started
+            }
+            stem.source.disconnect();
+            stem.gain.disconnect();
+        });
+        this.nodes.stemSources = [];
+    }
+    
+    disconnectSourceGain() {
+        if (this.nodes.sourceGain) {
+            this.nodes.sourceGain.disconnect();
+            this.nodes.sourceGain = null;
+        }
+    }
+    
+    // ===== TRANSITIONS =====
+    
+    /**
+     * Queue the file that plays after the current one
+     * Buffer playback starts it sample-accurately at the end of the current file
+     * (gapless), overlapping the two by the crossfade time with equal-power curves.
+     * @param {string} fileName - Cached file name (null clears the queue)
+     * @param {Object} options - Options
+     * @param {number} options.crossfade - Crossfade duration in seconds (0 = gapless)
+     */
+    setNextFile(fileName, options = {}) {
+        this.cancelScheduledNext();
+        this.transport.next = fileName ? { fileName, crossfade: Math.max(0, options.crossfade || 0) } : null;
+        this.scheduleNext();
+    }
+    
+    /**
+     * Crossfade from the current file to another one right now
+     * @param {string} fileName - Cached file name
+     * @param {number} duration - Crossfade duration in seconds
+     * @param {number} offset - Start position in the new file
+     */
+    async crossfadeTo(fileName, duration = 2, offset = 0) {
+        const buffer = this.loadedFiles.get(fileName);
+        if (!buffer) {
+            throw new Error(`Audio file not loaded: ${fileName}`);
+        }
+        
+        const canFade = this.isPlaying && !this.isPaused && !this.mediaElement && !this.isStemPlayback() &&
+            this.nodes.source && this.nodes.source.buffer && duration > 0;
+        
+        if (!canFade) {
+            this.selectAudioFile(fileName);
+            await this.playAudioFile(null, offset);
+            this.notifyTrackChange(fileName, { crossfade: 0 });
+            return;
+        }
+        
+        this.cancelScheduledNext();
+        
+        const fade = Math.min(duration, buffer.duration / 2);
+        this.scheduledNext = this.scheduleTransition(fileName, buffer, this.audioContext.currentTime, fade, offset);
+        this.scheduledNext.stopOutgoing = true;
+        this.promoteNext();
+    }
+    
+    /**
+     * Schedule the queued file against the end of the current buffer
+     */
+    scheduleNext() {
+        const next = this.transport.next;
+        
+        // Stem sets end on their own; the next file then starts from handleSourceEnded
+        if (!next || this.scheduledNext || !this.isPlaying || this.isPaused || this.mediaElement ||
+            this.transport.loop || this.isStemPlayback() || !this.nodes.source || !this.nodes.source.buffer) {
+            return;
+        }
+        
+        const buffer = this.loadedFiles.get(next.fileName);
+        if (!buffer) return;
+        
+        const remaining = Math.max(0, this.getDuration() - this.getPlaybackTime()) / this.transport.rate;
+        const fade = Math.min(next.crossfade, remaining, buffer.duration / 2);
+        const startAt = this.audioContext.currentTime + remaining - fade;
+        
+        this.scheduledNext = this.scheduleTransition(next.fileName, buffer, startAt, fade, 0);
+    }
+    
+    /**
+     * Start a buffer at a context time, fading it in while the current source fades out
+     */
+    scheduleTransition(fileName, buffer, startAt, fade, offset) {
+        const { source, gain } = this.createSourceChain(buffer);
+        
+        if (fade > 0) {
+            this.applyFade(gain.gain, true, startAt, fade);
+            this.applyFade(this.nodes.sourceGain.gain, false, startAt, fade);
+        }
+        
+        source.start(startAt, offset);
+        
+        return { fileName, buffer, source, gain, startAt, fade, offset, stopOutgoing: false };
+    }
+    
+    /**
+     * Equal-power gain curve (sine in, cosine out) so loudness holds through the fade
+     */
+    applyFade(param, fadeIn, startAt, duration) {
+        const steps = 64;
+        const curve = new Float32Array(steps);
+        
+        for (let i = 0; i < steps; i++) {
+            const t = i / (steps - 1) * Math.PI / 2;
+            curve[i] = fadeIn ? Math.sin(t) : Math.cos(t);
+        }
+        
+        param.cancelScheduledValues(0);
+        param.setValueAtTime(fadeIn ? 0 : 1, this.audioContext.currentTime);
+        param.setValueCurveAtTime(curve, startAt, duration);
+    }
+    
+    /**
+     * Drop a scheduled transition and restore the current source's gain
+     */
+    cancelScheduledNext() {
+        const scheduled = this.scheduledNext;
+        if (!scheduled) return;
+        
+        this.scheduledNext = null;
+        
+        try {
+            scheduled.source.stop();
+        } catch (error) {
+            // Source might not have started
+        }
+        scheduled.source.disconnect();
+        scheduled.gain.disconnect();
+        
+        if (this.nodes.sourceGain) {
+            const gain = this.nodes.sourceGain.gain;
+            gain.cancelScheduledValues(0);
+            gain.setValueAtTime(1, this.audioContext.currentTime);
+        }
+    }
+    
+    /**
+     * Make the scheduled source the current one once it starts playing
+     */
+    promoteNext() {
+        const next = this.scheduledNext;
+        const outgoing = { source: this.nodes.source, gain: this.nodes.sourceGain };
+        
+        this.scheduledNext = null;
+        this.transport.next = null;
+        
+        // The outgoing source keeps playing through the fade, then releases its nodes
+        if (outgoing.source) {
+            this.fadingSources.add(outgoing);
+            outgoing.source.onended = () => {
+                outgoing.source.disconnect();
+                outgoing.gain.disconnect();
+                this.fadingSources.delete(outgoing);
+            };
+            
+            if (next.stopOutgoing) {
+                outgoing.source.stop(next.startAt + next.fade);
+            }
+        }
+        
+        this.nodes.source = next.source;
+        this.nodes.sourceGain = next.gain;
+        this.transport.buffer = next.buffer;
+        this.transport.loop = null;
+        
+        this.selectAudioFile(next.fileName);
+        this.restoreAnalysisTrack();
+        
+        const position = next.offset + Math.max(0, this.audioContext.currentTime - next.startAt) * this.transport.rate;
+        this.anchorTransport(position);
+        this.resetAnalysisHistory(position);
+        
+        console.log(`Transition to ${next.fileName}${next.fade > 0 ? ` (${next.fade.toFixed(1)}s crossfade)` : ''}`);
+        this.notifyTrackChange(next.fileName, { crossfade: next.fade });
+    }
+    
+    /**
+     * Stop sources still fading out after a transition
+     */
+    stopFadingSources() {
+        this.fadingSources.forEach(({ source, gain }) => {
+            try {
+                source.stop();
+            } catch (error) {
+                // Source might already be stopped
+            }
+            source.disconnect();
+            gain.disconnect();
+        });
+        this.fadingSources.clear();
+    }
+    
+    /**
+     * Restart position tracking from a known media time
+     */
+    anchorTransport(time) {
+        this.transport.position = time;
+        this.playbackStartTime = this.audioContext.currentTime;
+    }
+    
+    /**
+     * Apply the loop region to a buffer source
+     */
+    applyLoop(source) {
+        const loop = this.transport.loop;
+        
+        source.loop = !!loop;
+        if (loop) {
+            source.loopStart = loop.start;
+            source.loopEnd = loop.end;
+        }
+    }
+    
+    /**
+     * Map an unwrapped media time into the loop region
+     */
+    wrapLoopTime(time) {
+        const loop = this.transport.loop;
+        
+        if (loop && this.transport.position < loop.end && time >= loop.end) {
+            return loop.start + (time - loop.end) % (loop.end - loop.start);
+        }
+        
+        return Math.min(time, this.getDuration());
+    }
+    
+    clampToLoop(time) {
+        const loop = this.transport.loop;
+        return loop && time >= loop.end ? loop.start : time;
+    }
+    
+    /**
+     * Keep media element playback inside the loop region
+     * Element loops are checked once per analysis frame, so they are less tight than buffer loops.
+     */
+    updateTransport() {
+        const element = this.mediaElement;
+        const loop = this.transport.loop;
+        
+        if (element && loop && !element.paused && element.currentTime >= loop.end) {
+            element.currentTime = loop.start;
+        }
+        
+        // A scheduled file became audible: it is now the current file
+        if (this.scheduledNext && this.audioContext.currentTime >= this.scheduledNext.startAt) {
+            this.promoteNext();
+        }
+        
+        this.audioData.playback = this.getTransportState();
+        this.audioData.time = this.audioData.playback.time;
+    }
+    
+    /**
+     * Clear analysis history so it matches the new position
+     * @param {number} time - New media time in seconds
+     */
+    resetAnalysisHistory(time) {
+        ['spectral', 'beat', 'features', 'structure'].forEach(name => {
+            const module = this.analysisModules[name];
+            if (module && module.reset) {
+                module.reset();
+            }
+        });
+        
+        if (this.analysisReplay) {
+            this.analysisReplay.seek(time);
+        }
+        
+        // Hops analyzed before the seek belong to the old position
+        if (this.analysisWorklet) {
+            this.analysisWorklet.skip();
+        }
+        
+        this.transport.seekPending = true;
+    }
+    
+    /**
+     * Enable microphone input
+     * The microphone is mixed with file playback rather than replacing it; it is
+     * analyzed but not played back unless monitoring is requested.
+     * @param {Object} constraints - MediaStream constraints
+     * @param {Object} options - Mixer input options (gain, monitor, ...)
+     */
+    async enableMicrophone(constraints = {}, options = {}) {
+        try {
+            const defaultConstraints = {
+                audio: {
+                    autoGainControl: this.microphoneSettings.autoGainControl,
+                    noiseSuppression: this.microphoneSettings.noiseSuppression,
+                    echoCancellation: this.microphoneSettings.echoCancellation,
+                    sampleRate: this.config.sampleRate
+                }
+            };
+            
+            const finalConstraints = { ...defaultConstraints, ...constraints };
+            
+            // Get microphone stream
+            this.microphoneStream = await navigator.mediaDevices.getUserMedia(finalConstraints);
+            
+            this.mixer.addInput('microphone', this.microphoneStream, { ...options, type: 'microphone' });
+            
+            if (!this.hasTransport()) {
+                this.isPlaying = true;
+            }
+            this.microphoneSettings.enabled = true;
+            
+            console.log('Microphone input enabled');
+            
+        } catch (error) {
+            console.error('Failed to enable microphone:', error);
+            this.notifyError('microphone', error);
+            throw error;
+        }
+    }
+    
+    /**
+     * Disable microphone input
+     */
+    disableMicrophone() {
+        if (this.microphoneStream) {
+            this.microphoneStream.getTracks().forEach(track => track.stop());
+            this.microphoneStream = null;
+        }
+        
+        if (this.microphoneSettings.enabled) {
+            this.removeInput('microphone');
+            
+            if (!this.hasTransport()) {
+                this.isPlaying = false;
+            }
+        }
+        
+        this.microphoneSettings.enabled = false;
+        console.log('Microphone input disabled');
+    }
+    
+    // ===== MIXER INPUTS =====
+    
+    /**
+     * Open an audio interface input without voice processing
+     * @param {string} deviceId - Input device id (default device when omitted)
+     * @param {Object} options - Mixer input options; options.name defaults to 'line-in'
+     * @returns {Promise<Object>} Input description
+     */
+    async enableLineInput(deviceId = null, options = {}) {
+        const { name = 'line-in', ...inputOptions } = options;
+        
+        try {
+            const audio = {
+                echoCancellation: false,
+                noiseSuppression: false,
+                autoGainControl: false
+            };
+            if (deviceId) {
+                audio.deviceId = { exact: deviceId };
+            }
+            
+            const stream = await navigator.mediaDevices.getUserMedia({ audio });
+            const input = this.addInput(name, stream, { ...inputOptions, type: 'line-in' });
+            this.lineInputs.set(name, stream);
+            
+            return input;
+            
+        } catch (error) {
+            console.error('Failed to open line input:', error);
+            this.notifyError('line_input', error);
+            throw error;
+        }
+    }
+    
+    /**
+     * Add a named mixer input
+     * The main analyzer hears the mix; each input is also analyzed on its own into
+     * `inputs[name]`.
+     * @param {string} name - Input name
+     * @param {AudioNode|MediaStream|HTMLMediaElement} source - Signal source
+     * @param {Object} options - AudioMixer.addInput options
+     * @returns {Object} Input description
+     */
+    addInput(name, source, options = {}) {
+        this.inputAnalysis.delete(name);
+        return this.mixer.addInput(name, source, options);
+    }
+    
+    /**
+     * Remove a mixer input; analysis modules listening to it go back to the mix
+     * @param {string} name - Input name
+     */
+    removeInput(name) {
+        if (name === 'file') {
+            throw new Error('The file input cannot be removed');
+        }
+        
+        Object.keys(this.analysisRouting).forEach(module => {
+            if (this.analysisRouting[module] === name) {
+                this.setAnalysisInput(module, MIX_INPUT);
+            }
+        });
+        
+        const stream = this.lineInputs.get(name);
+        if (stream) {
+            stream.getTracks().forEach(track => track.stop());
+            this.lineInputs.delete(name);
+        }
+        
+        this.mixer.removeInput(name);
+        this.inputAnalysis.delete(name);
+        delete this.audioData.inputs[name];
+    }
+    
+    getInputs() {
+        return this.mixer.getInputs();
+    }
+    
+    setInputGain(name, gain) {
+        this.mixer.setGain(name, gain);
+    }
+    
+    setInputMuted(name, muted) {
+        this.mixer.setMuted(name, muted);
+    }
+    
+    setInputSolo(name, solo) {
+        this.mixer.setSolo(name, solo);
+    }
+    
+    setInputMonitor(name, monitor) {
+        this.mixer.setMonitor(name, monitor);
+    }
+    
+    /**
+     * Choose the signal an analysis module listens to
+     * @param {string} module - 'beat', 'spectral' or 'features'
+     * @param {string} inputName - Mixer input name, or MIX_INPUT for the mix
+     */
+    setAnalysisInput(module, inputName) {
+        if (!(module in this.analysisRouting)) {
+            throw new Error(`Unknown analysis module: ${module}`);
+        }
+        if (inputName !== MIX_INPUT && !this.mixer.hasInput(inputName)) {
+            throw new Error(`Unknown mixer input: ${inputName}`);
+        }
+        if (this.analysisRouting[module] === inputName) return;
+        
+        this.analysisRouting[module] = inputName;
+        
+        if (module === 'beat' && this.analysisWorklet) {
+            this.analysisWorklet.connect(this.getAnalysisNode(inputName));
+        }
+        
+        // History gathered from another signal would skew onsets and tempo
+        const analysisModule = this.analysisModules[module];
+        if (analysisModule && analysisModule.reset) {
+            analysisModule.reset();
+        }
+        
+        console.log(`Analysis module ${module} listening to ${inputName}`);
+    }
+    
+    getAnalysisRouting() {
+        return { ...this.analysisRouting };
+    }
+    
+    /**
+     * Analysis buffers for a mixer input, sized to its tap
+     */
+    getInputData(name) {
+        const size = this.mixer.getTapSize(name);
+        let data = this.inputAnalysis.get(name);
+        
+        if (!data || data.timeData.length !== size) {
+            data = {
+                name,
+                timeData: new Float32Array(size),
+                frequencyData: new Float32Array(size / 2),
+                frequencyDataDb: new Float32Array(size / 2),
+                bassLevel: 0,
+                midLevel: 0,
+                trebleLevel: 0,
+                energy: 0,
+                rms: 0,
+                zcr: 0,
+                spectralCentroid: 0,
+                spectralRolloff: 0
+            };
+            this.inputAnalysis.set(name, data);
+        }
+        
+        return data;
+    }
+    
+    /**
+     * Basic analysis (bands, level, brightness) of every mixer input
+     */
+    analyzeInputs() {
+        const inputs = {};
+        
+        this.mixer.getInputNames().forEach(name => {
+            const data = this.getInputData(name);
+            this.mixer.readInput(name, data.timeData, data.frequencyDataDb);
+            
+            for (let i = 0; i < data.frequencyDataDb.length; i++) {
+                data.frequencyData[i] = MathUtils.dbToAmplitude(data.frequencyDataDb[i]);
+            }
+            
+            this.analyzeFrequencyBands(data);
+            this.calculateBasicFeatures(data);
+            
+            inputs[name] = data;
+        });
+        
+        this.audioData.inputs = inputs;
+        this.audioData.stems = this.getStemData(inputs);
+    }
+    
+    /**
+     * Write a module's results to the mix, and to the input it listens to
+     */
+    applyModuleResults(module, results) {
+        Object.assign(this.audioData, results);
+        
+        const data = this.getModuleInputData(module);
+        if (data !== this.audioData) {
+            Object.assign(data, results);
+        }
+    }
+    
+    /**
+     * Data an analysis module runs on: the mix or its routed input
+     */
+    getModuleInputData(module) {
+        const inputName = this.analysisRouting[module];
+        
+        if (inputName !== MIX_INPUT && this.audioData.inputs[inputName]) {
+            return this.audioData.inputs[inputName];
+        }
+        
+        return this.audioData;
+    }
+    
+    // ===== STEMS =====
+    
+    /**
+     * Load a stem set as one song and make it current
+     * Each stem gets a mixer input 'stem.<name>'. Beat tracking is routed to the
+     * percussive stem and spectral analysis to the sum of the others ('stem.melodic').
+     * All stems play in sync; per-stem features are reported in `stems[name]`.
+     * @param {Object} sources - Stems by name: File, URL or AudioBuffer ({ drums, bass, vocals, other })
+     * @param {Object} options - Options
+     * @param {string} options.name - Song name (defaults to the first file name)
+     * @param {Function} options.onProgress - Progress callback (0-1) over all stems
+     * @returns {Promise<Object>} Stem set info
+     */
+    async loadStems(sources, options = {}) {
+        const names = Object.keys(sources || {});
+        if (names.length === 0) {
+            throw new Error('A stem set needs at least one stem');
+        }
+        
+        try {
+            const startTime = performance.now();
+            const progress = new Array(names.length).fill(0);
+            const reportProgress = (index, value) => {
+                progress[index] = value;
+                if (options.onProgress) {
+                    options.onProgress(progress.reduce((sum, item) => sum + item, 0) / names.length);
+                }
+            };
+            
+            const buffers = await Promise.all(names.map((name, index) => {
+                const source = sources[name];
+                if (typeof AudioBuffer !== 'undefined' && source instanceof AudioBuffer) {
+                    return source;
+                }
+                return FileUtils.loadAudioFile(source, this.audioContext, {
+                    onProgress: value => reportProgress(index, value)
+                });
+            }));
+            
+            const firstSource = sources[names[0]];
+            const setName = options.name ||
+                (typeof firstSource === 'string' || firstSource instanceof File ? `${this.getFileName(firstSource)} (stems)` : 'Stems');
+            
+            this.stop();
+            if (this.stemSet) {
+                this.unloadStems();
+            }
+            
+            const stems = names.map((name, index) => ({
+                name,
+                buffer: buffers[index],
+                input: `stem.${name}`
+            }));
+            
+            stems.forEach(stem => this.addInput(stem.input, null, { type: 'file' }));
+            
+            // The longest stem defines the song length and ends playback
+            const primary = stems.reduce((longest, stem) =>
+                (stem.buffer.duration > longest.duration ? stem.buffer : longest), stems[0].buffer);
+            
+            const percussive = stems.find(stem => PERCUSSIVE_STEMS.includes(stem.name.toLowerCase()));
+            const melodic = stems.filter(stem => stem !== percussive);
+            
+            if (melodic.length > 0) {
+                this.mixer.addGroup('stem.melodic', melodic.map(stem => stem.input));
+            }
+            
+            this.stemSet = {
+                name: setName,
+                stems,
+                primary,
+                percussive: percussive ? percussive.name : null,
+                melodic: melodic.map(stem => stem.name)
+            };
+            
+            if (percussive) {
+                this.setAnalysisInput('beat', percussive.input);
+            }
+            if (melodic.length > 0) {
+                this.setAnalysisInput('spectral', 'stem.melodic');
+            }
+            
+            this.audioBuffer = primary;
+            this.currentFile = setName;
+            this.transport.loop = null;
+            this.clearAnalysisTrack();
+            
+            this.notifyStemsChanged();
+            
+            const loadTime = performance.now() - startTime;
+            console.log(`Stem set loaded: ${setName} [${names.join(', ')}] (${loadTime.toFixed(2)}ms)`);
+            
+            return this.getStemInfo();
+            
+        } catch (error) {
+            console.error('Failed to load stems:', error);
+            this.notifyError('stem_load', error);
+            throw error;
+        }
+    }
+    
+    /**
+     * Remove the loaded stem set and its mixer inputs
+     */
+    unloadStems() {
+        const stemSet = this.stemSet;
+        if (!stemSet) return;
+        
+        if (this.isStemPlayback()) {
+            this.stop();
+            this.transport.buffer = null;
+        }
+        
+        this.stemSet = null;
+        
+        if (this.mixer.hasInput('stem.melodic')) {
+            this.removeInput('stem.melodic');
+        }
+        stemSet.stems.forEach(stem => this.removeInput(stem.input));
+        
+        if (this.audioBuffer === stemSet.primary) {
+            this.audioBuffer = null;
+            this.currentFile = null;
+        }
+        
+        this.audioData.stems = {};
+        console.log(`Stem set unloaded: ${stemSet.name}`);
+        
+        this.notifyStemsChanged();
+    }
+    
+    /**
+     * Whether the transport is playing the loaded stem set
+     */
+    isStemPlayback() {
+        return !!this.stemSet && this.transport.buffer === this.stemSet.primary;
+    }
+    
+    /**
+     * Per-stem analysis data by stem name, plus 'melodic' for the melodic sum
+     */
+    getStemData(inputs) {
+        const stems = {};
+        if (!this.stemSet) return stems;
+        
+        this.stemSet.stems.forEach(stem => {
+            if (inputs[stem.input]) {
+                stems[stem.name] = inputs[stem.input];
+            }
+        });
+        
+        if (inputs['stem.melodic']) {
+            stems.melodic = inputs['stem.melodic'];
+        }
+        
+        return stems;
+    }
+    
+    /**
+     * Get loaded stem set info
+     * @returns {Object|null} { name, duration, stems, percussive, melodic }
+     */
+    getStemInfo() {
+        if (!this.stemSet) return null;
+        
+        return {
+            name: this.stemSet.name,
+            duration: this.stemSet.primary.duration,
+            stems: this.stemSet.stems.map(stem => ({
+                name: stem.name,
+                input: stem.input,
+                duration: stem.buffer.duration
+            })),
+            percussive: this.stemSet.percussive,
+            melodic: this.stemSet.melodic.slice()
+        };
+    }
+    
+    /**
+     * Start real-time audio analysis loop
+     */
+    startAnalysisLoop() {
+        const analyze = () => {
+            if (!this.isInitialized) return;
+            
+            const now = performance.now();
+            const deltaTime = now - this.lastUpdateTime;
+            
+            // Limit update rate for performance
+            if (deltaTime >= 1000 / this.updateRate) {
+                this.performAnalysis();
+                this.lastUpdateTime = now;
+            }
+            
+            this.animationFrame = requestAnimationFrame(analyze);
+        };
+        
+        analyze();
+    }
+    
+    /**
+     * Perform audio analysis
+     */
+    performAnalysis() {
+        const startTime = performance.now();
+        
+        try {
+            // Get raw audio data from analyzer
+            this.nodes.analyzer.getFloatTimeDomainData(this.audioData.timeData);
+            this.nodes.analyzer.getFloatFrequencyData(this.audioData.frequencyDataDb);
+            
+            // Loop handling and position report
+            this.updateTransport();
+            
+            if (this.analysisReplay && !this.microphoneSettings.enabled) {
+                // Pre-computed track replaces live analysis
+                this.analysisReplay.update(this.getPlaybackTime(), this.audioData);
+                this.notifyStructure(this.audioData.structure);
+                
+                if (this.analysisWorklet) {
+                    this.analysisWorklet.skip();
+                }
+            } else {
+                // Convert dB to linear for some calculations
+                for (let i = 0; i < this.audioData.frequencyDataDb.length; i++) {
+                    this.audioData.frequencyData[i] = MathUtils.dbToAmplitude(this.audioData.frequencyDataDb[i]);
+                }
+                
+                // Basic frequency band analysis
+                this.analyzeFrequencyBands();
+                
+                // Calculate basic audio features
+                this.calculateBasicFeatures();
+                
+                // Each mixer input on its own
+                this.analyzeInputs();
+                
+                // Run advanced analysis modules
+                this.runAdvancedAnalysis();
+                
+                this.audioData.seeked = this.transport.seekPending;
+            }
+            this.transport.seekPending = false;
+            
+            // Record analysis time
+            this.analysisTime = performance.now() - startTime;
+            performanceMonitor.recordCPUTime('audioProcessing', this.analysisTime);
+            
+            // Notify listeners
+            this.notifyUpdate();
+            
+        } catch (error) {
+            console.error('Audio analysis error:', error);
+            this.notifyError('analysis', error);
+        }
+    }
+    
+    /**
+     * Analyze frequency bands (bass, mid, treble)
+     * @param {Object} data - Analysis data to read and write (defaults to the mix)
+     */
+    analyzeFrequencyBands(data = this.audioData) {
+        const nyquist = this.audioContext.sampleRate / 2;
+        const binCount = data.frequencyData.length;
+        
+        // Calculate frequency per bin
+        const freqPerBin = nyquist / binCount;
+        
+        // Find bin ranges for each frequency band
+        const bassStart = Math.floor(this.config.bassRange[0] / freqPerBin);
+        const bassEnd = Math.floor(this.config.bassRange[1] / freqPerBin);
+        const midStart = bassEnd;
+        const midEnd = Math.floor(this.config.midRange[1] / freqPerBin);
+        const trebleStart = midEnd;
+        const trebleEnd = Math.floor(this.config.trebleRange[1] / freqPerBin);
+        
+        // Calculate average amplitude for each band
+        data.bassLevel = this.calculateBandAverage(bassStart, bassEnd, data);
+        data.midLevel = this.calculateBandAverage(midStart, midEnd, data);
+        data.trebleLevel = this.calculateBandAverage(trebleStart, trebleEnd, data);
+    }
+    
+    /**
+     * Calculate average amplitude for a frequency band
+     * @param {number} startBin - Start bin index
+     * @param {number} endBin - End bin index
+     * @param {Object} data - Analysis data (defaults to the mix)
+     * @returns {number} Average amplitude
+     */
+    calculateBandAverage(startBin, endBin, data = this.audioData) {
+        let sum = 0;
+        let count = 0;
+        
+        for (let i = startBin; i < Math.min(endBin, data.frequencyData.length); i++) {
+            sum += data.frequencyData[i];
+            count++;
+        }
+        
+        return count > 0 ? sum / count : 0;
+    }
+    
+    /**
+     * Calculate basic audio features
+     * @param {Object} data - Analysis data to read and write (defaults to the mix)
+     */
+    calculateBasicFeatures(data = this.audioData) {
+        // RMS (Root Mean Square) - overall energy
+        data.rms = MathUtils.rms(data.timeData);
+        data.energy = data.rms * data.rms;
+        
+        // Zero Crossing Rate
+        data.zcr = this.calculateZeroCrossingRate(data.timeData);
+        
+        // Spectral Centroid (brightness)
+        data.spectralCentroid = this.calculateSpectralCentroid(data.frequencyData);
+        
+        // Spectral Rolloff
+        data.spectralRolloff = this.calculateSpectralRolloff(data.frequencyData);
+    }
+    
+    /**
+     * Calculate zero crossing rate
+     * @param {Float32Array} timeData - Time domain data
+     * @returns {number} Zero crossing rate
+     */
+    calculateZeroCrossingRate(timeData) {
+        let crossings = 0;
+        
+        for (let i = 1; i < timeData.length; i++) {
+            if ((timeData[i] >= 0) !== (timeData[i - 1] >= 0)) {
+                crossings++;
+            }
+        }
+        
+        return crossings / (timeData.length - 1);
+    }
+    
+    /**
+     * Calculate spectral centroid
+     * @param {Float32Array} frequencyData - Linear magnitudes (defaults to the mix)
+     * @returns {number} Spectral centroid (normalized)
+     */
+    calculateSpectralCentroid(frequencyData = this.audioData.frequencyData) {
+        let weightedSum = 0;
+        let magnitudeSum = 0;
+        
+        for (let i = 0; i < frequencyData.length; i++) {
+            const magnitude = frequencyData[i];
+            weightedSum += i * magnitude;
+            magnitudeSum += magnitude;
+        }
+        
+        return magnitudeSum > 0 ? (weightedSum / magnitudeSum) / frequencyData.length : 0;
+    }
+    
+    /**
+     * Calculate spectral rolloff
+     * @param {Float32Array} frequencyData - Linear magnitudes (defaults to the mix)
+     * @returns {number} Spectral rolloff (normalized)
+     */
+    calculateSpectralRolloff(frequencyData = this.audioData.frequencyData) {
+        const totalEnergy = frequencyData.reduce((sum, val) => sum + val, 0);
+        const threshold = totalEnergy * 0.85; // 85% of total energy
+        
+        let cumulativeEnergy = 0;
+        
+        for (let i = 0; i < frequencyData.length; i++) {
+            cumulativeEnergy += frequencyData[i];
+            
+            if (cumulativeEnergy >= threshold) {
+                return i / frequencyData.length;
+            }
+        }
+        
+        return 1.0;
+    }
+    
+    /**
+     * Run advanced analysis modules
+     * Each module reads the mix or the mixer input routed to it (setAnalysisInput);
+     * results always land in the main audio data.
+     */
+    runAdvancedAnalysis() {
+        // Constant-Q / multi-resolution spectra, ahead of the spectral analysis they feed
+        this.analyzePitchSpectra();
+        
+        // Beat detection, once per worklet hop or once per frame when polling
+        if (this.analysisWorklet) {
+            this.runHopBeatDetection();
+        } else if (this.analysisModules.beat) {
+            const beatData = this.analysisModules.beat.analyze(this.getModuleInputData('beat'));
+            this.applyModuleResults('beat', {
+                beat: beatData.beat,
+                beatStrength: beatData.beatStrength,
+                bpm: beatData.bpm,
+                onset: beatData.onset,
+                downbeat: !!beatData.downbeat,
+                bar: beatData.beatAnalysis ? beatData.beatAnalysis.bar : null,
+                phrase: beatData.beatAnalysis ? beatData.beatAnalysis.phrase : null
+            });
         }
         
         // Advanced spectral analysis
+        let spectralData = null;
         if (this.analysisModules.spectral) {
-            const spectralData = this.analysisModules.spectral.analyze(this.audioData);
-            this.audioData.spectralFlux = spectralData.flux;
-            this.audioData.harmonics = spectralData.harmonics;
-            this.audioData.pitch = spectralData.pitch;
+            spectralData = this.analysisModules.spectral.analyze(this.getModuleInputData('spectral'));
+            this.applyModuleResults('spectral', {
+                spectralFlux: spectralData.flux,
+                harmonics: spectralData.harmonics,
+                pitch: spectralData.pitch
+            });
+            
+            // Chroma of a routed input comes from the spectral analysis of that input;
+            // with constant-Q on, its sharper chromagram is the mix's chroma as well
+            const spectralInput = this.getModuleInputData('spectral');
+            if (this.config.constantQ && spectralData.chroma) {
+                this.applyModuleResults('spectral', { chroma: spectralData.chroma });
+            } else if (spectralInput !== this.audioData) {
+                spectralInput.chroma = spectralData.chroma;
+            }
         }
         
         // Feature extraction (MFCC, chroma, etc.)
         if (this.analysisModules.features) {
-            const featureData = this.analysisModules.features.analyze(this.audioData);
-            this.audioData.mfcc = featureData.mfcc;
-            this.audioData.chroma = featureData.chroma;
-            this.audioData.melSpectrogram = featureData.melSpectrogram;
+            const featureData = this.analysisModules.features.analyze(this.getModuleInputData('features'));
+            const featureResults = {
+                mfcc: featureData.mfcc,
+                melSpectrogram: featureData.melSpectrogram
+            };
+            if (!this.config.constantQ) {
+                featureResults.chroma = featureData.chroma;
+            }
+            this.applyModuleResults('features', featureResults);
+            this.audioData.classification = featureData.features ? featureData.features.classification : null;
+        }
+        
+        // Song structure from the mix's feature history
+        if (this.analysisModules.structure) {
+            const structureData = this.analysisModules.structure.analyze({
+                ...this.audioData,
+                spectralAnalysis: spectralData ? spectralData.spectralAnalysis : null
+            });
+            this.audioData.structure = structureData.structure || null;
+            this.notifyStructure(this.audioData.structure);
         }
     }
     
     /**
-     * Stop audio playback
+     * FFT frame of the spectral input with its constant-Q and multi-resolution spectra
+     * The frame becomes the input's `fft`, which the SpectralAnalyzer reads; its
+     * constant-Q bins replace the linear bins in the chromagram. `constantQ` and
+     * `multiResolution` are null while those options are off.
      */
-    stop() {
-        if (this.nodes.source) {
-            try {
-                this.nodes.source.stop();
-                this.nodes.source.disconnect();
-            } catch (error) {
-                // Source might already be stopped
+    analyzePitchSpectra() {
+        const fft = this.analysisModules.fft;
+        const data = this.getModuleInputData('spectral');
+        
+        if (!fft || !(this.config.constantQ || this.config.multiResolution)) {
+            if (this.audioData.fft || data.fft) {
+                delete this.audioData.fft;
+                delete data.fft;
+                this.applyModuleResults('spectral', { constantQ: null, multiResolution: null });
+            }
+            return;
+        }
+        
+        const result = fft.analyze({ timeData: data.timeData });
+        if (!result.fft) return;
+        
+        data.fft = result.fft;
+        this.applyModuleResults('spectral', {
+            constantQ: result.fft.constantQ,
+            multiResolution: result.fft.multiResolution
+        });
+    }
+    
+    /**
+     * Run the BeatDetector on every hop the worklet analyzed since the last frame
+     * Each hop is timed by its last sample instead of the frame clock. A beat, onset,
+     * downbeat or phrase start in any of those hops is reported for this frame.
+     */
+    runHopBeatDetection() {
+        const beat = this.analysisModules.beat;
+        const results = {
+            beat: false,
+            beatStrength: 0,
+            bpm: this.audioData.bpm,
+            onset: false,
+            downbeat: false,
+            bar: null,
+            phrase: null
+        };
+        let last = null;
+        
+        const count = this.analysisWorklet.drain(frame => {
+            this.hopTime = frame.time;
+            
+            const beatData = beat.analyze(this.getHopData(frame));
+            results.beat = results.beat || beatData.beat;
+            results.onset = results.onset || beatData.onset;
+            results.downbeat = results.downbeat || !!beatData.downbeat;
+            results.beatStrength = Math.max(results.beatStrength, beatData.beatStrength || 0);
+            results.bpm = beatData.bpm;
+            
+            if (beatData.beatAnalysis) {
+                const { bar, phrase } = beatData.beatAnalysis;
+                results.bar = { ...bar, isDownbeat: results.downbeat };
+                
+                // A phrase start in an earlier hop of this frame is kept
+                const boundary = Math.max(phrase.boundary, results.phrase ? results.phrase.boundary : 0);
+                results.phrase = { ...phrase, boundary };
+            }
+            
+            last = frame;
+        });
+        
+        // No hop this frame: same position, no new events
+        if (!results.bar) {
+            results.bar = this.audioData.bar ? { ...this.audioData.bar, isDownbeat: false } : null;
+            results.phrase = this.audioData.phrase ? { ...this.audioData.phrase, boundary: 0 } : null;
+        }
+        
+        this.applyModuleResults('beat', results);
+        
+        // Levels of the latest hop, in FFT magnitude units
+        this.audioData.hop = last ? {
+            count,
+            time: last.time,
+            rms: last.rms,
+            bassLevel: last.bassLevel,
+            midLevel: last.midLevel,
+            trebleLevel: last.trebleLevel
+        } : { ...(this.audioData.hop || {}), count: 0 };
+    }
+    
+    /**
+     * FFT data in the shape BeatDetector.analyze expects, for one hop
+     */
+    getHopData(frame) {
+        const binCount = frame.magnitude.length;
+        
+        if (!this.hopData || this.hopData.fft.magnitude.length !== binCount) {
+            const sampleRate = this.audioContext.sampleRate;
+            const frequencies = new Float32Array(binCount);
+            for (let i = 0; i < binCount; i++) {
+                frequencies[i] = i * sampleRate / (binCount * 2);
             }
-            this.nodes.source = null;
+            
+            this.hopData = {
+                fft: {
+                    magnitude: new Float32Array(binCount),
+                    powerSpectrum: new Float32Array(binCount),
+                    frequencies,
+                    fftSize: binCount * 2,
+                    hopSize: this.config.hopSize,
+                    sampleRate
+                }
+            };
+        }
+        
+        const fft = this.hopData.fft;
+        fft.magnitude.set(frame.magnitude);
+        for (let i = 0; i < binCount; i++) {
+            fft.powerSpectrum[i] = frame.magnitude[i] * frame.magnitude[i];
         }
         
+        return this.hopData;
+    }
+    
+    /**
+     * Stop audio playback
+     */
+    stop() {
+        this.stopSource();
+        this.stopFadingSources();
+        
         this.isPlaying = false;
         this.isPaused = false;
+        this.transport.position = 0;
     }
     
     /**
-     * Pause audio playback
+     * Pause audio playback, keeping the position
      */
     pause() {
         if (this.isPlaying && !this.isPaused) {
-            // Web Audio API doesn't support pause/resume for BufferSource
-            // This would need to be implemented with currentTime tracking
+            if (this.hasTransport()) {
+                // Buffer sources cannot pause; remember the position and restart there
+                const time = this.getPlaybackTime();
+                this.stopSource();
+                this.transport.position = time;
+            }
+            
             this.isPaused = true;
-            console.log('Audio paused (basic implementation)');
+            console.log(`Audio paused at ${this.transport.position.toFixed(2)}s`);
         }
     }
     
     /**
-     * Resume audio playback
+     * Resume audio playback from the paused position
      */
     resume() {
         if (this.audioContext.state === 'suspended') {
@@ -626,6 +2307,11 @@ export class AudioEngine {
         
         if (this.isPaused) {
             this.isPaused = false;
+            
+            if (this.hasTransport()) {
+                this.startPlayback(this.transport.position);
+            }
+            
             console.log('Audio resumed');
         }
     }
@@ -697,6 +2383,33 @@ export class AudioEngine {
             this.nodes.analyzer.smoothingTimeConstant = newConfig.smoothingTimeConstant;
         }
         
+        // Input taps follow the main analyzer
+        if (newConfig.fftSize || newConfig.smoothingTimeConstant) {
+            this.mixer.updateConfig({
+                fftSize: this.config.fftSize,
+                smoothingTimeConstant: this.config.smoothingTimeConstant
+            });
+        }
+        
+        // Pitch spectra are built by the FFTProcessor
+        const spectrumKeys = Object.keys(newConfig).filter(key =>
+            key === 'constantQ' || key === 'multiResolution' || key.startsWith('cq') || key === 'multiResolutionBands');
+        if (spectrumKeys.length > 0 && this.analysisModules.fft) {
+            const spectrumConfig = {};
+            spectrumKeys.forEach(key => {
+                spectrumConfig[key] = newConfig[key];
+            });
+            this.analysisModules.fft.updateConfig(spectrumConfig);
+        }
+        
+        // The worklet's frame layout is fixed at creation, so rebuild it
+        const workletKeys = ['analysisMode', 'fftSize', 'hopSize', 'windowFunction', 'bassRange', 'midRange', 'trebleRange'];
+        if (this.isInitialized && workletKeys.some(key => key in newConfig)) {
+            this.initializeAnalysisWorklet().catch(error => {
+                console.warn('Failed to restart analysis worklet:', error);
+            });
+        }
+        
         console.log('Audio configuration updated');
     }
     
@@ -716,6 +2429,76 @@ export class AudioEngine {
         this.updateCallbacks.delete(callback);
     }
     
+    /**
+     * Add track change callback, called with (fileName, info) when playback moves
+     * to the queued file or a crossfade target, and with (null, { ended: true })
+     * when the last file ends
+     * @param {Function} callback - Callback function
+     */
+    onTrackChange(callback) {
+        this.trackCallbacks.add(callback);
+    }
+    
+    /**
+     * Remove track change callback
+     * @param {Function} callback - Callback function
+     */
+    offTrackChange(callback) {
+        this.trackCallbacks.delete(callback);
+    }
+    
+    /**
+     * Add stem callback, called with the stem set info (null once unloaded)
+     * whenever a stem set is loaded or unloaded
+     * @param {Function} callback - Callback function
+     */
+    onStemsChanged(callback) {
+        this.stemCallbacks.add(callback);
+    }
+    
+    /**
+     * Remove stem callback
+     * @param {Function} callback - Callback function
+     */
+    offStemsChanged(callback) {
+        this.stemCallbacks.delete(callback);
+    }
+    
+    /**
+     * Add seek callback, called with the new position after every seek
+     * @param {Function} callback - Callback function
+     */
+    onSeek(callback) {
+        this.seekCallbacks.add(callback);
+    }
+    
+    /**
+     * Remove seek callback
+     * @param {Function} callback - Callback function
+     */
+    offSeek(callback) {
+        this.seekCallbacks.delete(callback);
+    }
+    
+    /**
+     * Add structure callback, called with (event, structure) when a new section is
+     * detected ('section') and when a drop is predicted ('dropIncoming'). Live
+     * boundaries arrive a few seconds late (the analyzer's lookahead); a replayed
+     * analysis track has them exact.
+     * @param {Function} callback - Callback function
+     */
+    onStructure(callback) {
+        this.structureCallbacks.add(callback);
+    }
+    
+    /**
+     * Remove structure callback
+     * @param {Function} callback - Callback function
+     */
+    offStructure(callback) {
+        this.structureCallbacks.delete(callback);
+    }
+    
     /**
      * Add error callback
      * @param {Function} callback - Error callback function
@@ -745,6 +2528,70 @@ export class AudioEngine {
         });
     }
     
+    /**
+     * Notify seek listeners
+     * @param {number} time - New position in seconds
+     */
+    notifySeek(time) {
+        this.seekCallbacks.forEach(callback => {
+            try {
+                callback(time);
+            } catch (error) {
+                console.error('Seek callback error:', error);
+            }
+        });
+    }
+    
+    /**
+     * Notify structure listeners of the events flagged in a frame's structure
+     * @param {Object|null} structure - Structure data of the frame
+     */
+    notifyStructure(structure) {
+        if (!structure) return;
+        
+        const events = [];
+        if (structure.sectionChanged) events.push('section');
+        if (structure.dropPredicted) events.push('dropIncoming');
+        
+        events.forEach(event => {
+            this.structureCallbacks.forEach(callback => {
+                try {
+                    callback(event, structure);
+                } catch (error) {
+                    console.error('Structure callback error:', error);
+                }
+            });
+        });
+    }
+    
+    /**
+     * Notify track change listeners
+     */
+    notifyTrackChange(fileName, info) {
+        this.trackCallbacks.forEach(callback => {
+            try {
+                callback(fileName, info);
+            } catch (error) {
+                console.error('Track change callback error:', error);
+            }
+        });
+    }
+    
+    /**
+     * Notify stem listeners
+     */
+    notifyStemsChanged() {
+        const info = this.getStemInfo();
+        
+        this.stemCallbacks.forEach(callback => {
+            try {
+                callback(info);
+            } catch (error) {
+                console.error('Stem callback error:', error);
+            }
+        });
+    }
+    
     /**
      * Notify error listeners
      * @param {string} type - Error type
@@ -773,7 +2620,13 @@ export class AudioEngine {
             muted: this.muted,
             microphoneEnabled: this.microphoneSettings.enabled,
             currentFile: this.currentFile,
-            analysisTime: this.analysisTime
+            analysisReplay: !!this.analysisReplay,
+            analysisTime: this.analysisTime,
+            transport: this.getTransportState(),
+            inputs: this.mixer.getInputs(),
+            analysisRouting: this.getAnalysisRouting(),
+            analysisWorklet: this.analysisWorklet ? this.analysisWorklet.getStatus() : null,
+            stems: this.getStemInfo()
         };
     }
     
@@ -789,9 +2642,13 @@ export class AudioEngine {
         
         // Stop playback
         this.stop();
+        this.releaseMediaPlayer();
         
-        // Disable microphone
+        // Disable microphone and line inputs
         this.disableMicrophone();
+        Array.from(this.lineInputs.keys()).forEach(name => this.removeInput(name));
+        this.releaseAnalysisWorklet();
+        this.mixer.dispose();
         
         // Dispose analysis modules
         Object.values(this.analysisModules).forEach(module => {
@@ -809,9 +2666,17 @@ export class AudioEngine {
         // Clear callbacks
         this.updateCallbacks.clear();
         this.errorCallbacks.clear();
+        this.seekCallbacks.clear();
+        this.structureCallbacks.clear();
+        this.trackCallbacks.clear();
+        this.stemCallbacks.clear();
         
         // Clear data
         this.loadedFiles.clear();
+        this.fileSources.clear();
+        this.transport.buffer = null;
+        this.analysisTracks.clear();
+        this.analysisReplay = null;
         this.audioBuffer = null;
         this.currentFile = null;
         
@@ -0,0 +1,413 @@
+/**
+ * Frame Exporter
+ * Deterministic frame-by-frame rendering of a song to image frames or video
+ * Location: src/core/FrameExporter.js
+ *
+ * Drives the application on a fixed timestep from a pre-computed analysis track
+ * instead of requestAnimationFrame and live audio. Physics is reseeded before the
+ * first frame, so the same track, seed and settings always give the same frames.
+ * The application's seed and random stream positions are restored when the export
+ * ends; the interactive simulation carries on without being reseeded.
+ */
+
+import { AnalysisTrack } from '../audio/AnalysisTrack.js';
+import { AnalysisReplay } from '../audio/AnalysisReplay.js';
+import { WebMWriter } from '../utils/WebMWriter.js';
+
+export class FrameExporter {
+    constructor(app, options = {}) {
+        this.app = app;
+        
+        // Configuration
+        this.config = {
+            fps: 60,
+            format: 'png',               // 'png', 'webm'
+            encoder: 'auto',             // 'auto', 'webcodecs', 'mediarecorder' (webm only)
+            codec: 'vp9',                // 'vp9', 'vp8'
+            bitrate: 12000000,
+            keyFrameInterval: 2,         // Seconds between key frames
+            startTime: 0,                // Seconds
+            duration: null,              // Seconds (null for the rest of the track)
+            seed: 1,
+            
+            // PNG output; frames go to a directory or a custom sink, one of which is required
+            filenamePrefix: 'frame_',
+            frameDigits: 6,
+            directory: null,             // FileSystemDirectoryHandle to write frames into
+            onFrame: null,               // Custom frame sink ({ index, time, blob, name }) => Promise
+            
+            onProgress: null,            // Progress callback (0-1, frame index, frame count)
+            ...options
+        };
+        
+        // Export state
+        this.isExporting = false;
+        this.isCancelled = false;
+        this.progress = 0;
+        this.frameAudioData = {};
+        
+        // Encoder state
+        this.videoEncoder = null;
+        this.webmWriter = null;
+        this.mediaRecorder = null;
+        this.recordedChunks = [];
+        this.captureTrack = null;
+    }
+    
+    /**
+     * Render the analysis track to frames
+     * @param {AnalysisTrack|ArrayBuffer|string|Object} track - Pre-computed analysis track
+     * @returns {Promise<Object>} Export result ({ format, frameCount, duration, seed, blob })
+     */
+    async export(track) {
+        if (this.isExporting) {
+            throw new Error('Export already in progress');
+        }
+        
+        // One browser download per frame is never what a render wants
+        if (this.config.format === 'png' && !this.config.onFrame && !this.config.directory) {
+            throw new Error('PNG export needs a frame sink: set directory or onFrame');
+        }
+        
+        const analysisTrack = AnalysisTrack.decode(track);
+        const { fps, startTime } = this.config;
+        const duration = this.config.duration !== null
+            ? Math.min(this.config.duration, analysisTrack.duration - startTime)
+            : analysisTrack.duration - startTime;
+        const frameCount = Math.max(0, Math.floor(duration * fps));
+        const deltaTime = 1 / fps;
+        
+        const app = this.app;
+        const wasRunning = app.state.isRunning && !app.state.isPaused;
+        const adaptiveQuality = app.config.adaptiveQuality;
+        const randomState = app.getRandomState();
+        
+        this.isExporting = true;
+        this.isCancelled = false;
+        this.progress = 0;
+        
+        console.log('Frame export started', {
+            format: this.config.format,
+            fps,
+            frames: frameCount,
+            seed: this.config.seed
+        });
+        
+        try {
+            // Take the application off the real-time loop
+            if (wasRunning) {
+                app.pause();
+            }
+            
+            // Wall-clock driven quality changes would make frames differ between runs
+            app.setAdaptiveQuality(false);
+            app.setSeed(this.config.seed);
+            
+            const replay = new AnalysisReplay(analysisTrack);
+            replay.seek(startTime);
+            
+            await this.beginOutput();
+            
+            for (let i = 0; i < frameCount; i++) {
+                if (this.isCancelled) {
+                    throw new Error('Frame export cancelled');
+                }
+                
+                const time = startTime + i * deltaTime;
+                const audioData = replay.update(time, this.frameAudioData);
+                
+                app.renderFrame(time, deltaTime, audioData);
+                await this.captureFrame(i, time);
+                
+                this.progress = (i + 1) / frameCount;
+                if (this.config.onProgress) {
+                    this.config.onProgress(this.progress, i, frameCount);
+                }
+            }
+            
+            const blob = await this.finishOutput();
+            
+            console.log(`Frame export complete: ${frameCount} frames`);
+            
+            return {
+                format: this.config.format,
+                frameCount,
+                duration: frameCount * deltaTime,
+                seed: this.config.seed,
+                blob
+            };
+            
+        } catch (error) {
+            this.abortOutput();
+            throw error;
+            
+        } finally {
+            app.engines.render.setFrameTime(null);
+            app.setAdaptiveQuality(adaptiveQuality);
+            
+            // The interactive session continues with its own seed
+            app.setRandomState(randomState);
+            
+            if (wasRunning) {
+                app.resume();
+            }
+            
+            this.isExporting = false;
+        }
+    }
+    
+    /**
+     * Prepare the selected output
+     */
+    async beginOutput() {
+        if (this.config.format !== 'webm') return;
+        
+        const encoder = this.config.encoder;
+        const hasWebCodecs = typeof VideoEncoder !== 'undefined';
+        
+        if (encoder === 'webcodecs' || (encoder === 'auto' && hasWebCodecs)) {
+            await this.beginWebCodecs();
+        } else {
+            this.beginMediaRecorder();
+        }
+    }
+    
+    /**
+     * Set up a WebCodecs encoder writing into a WebM container
+     */
+    async beginWebCodecs() {
+        const canvas = this.app.canvas;
+        const codecStrings = {
+            vp9: 'vp09.00.41.08',
+            vp8: 'vp8'
+        };
+        
+        const encoderConfig = {
+            codec: codecStrings[this.config.codec] || codecStrings.vp9,
+            width: canvas.width,
+            height: canvas.height,
+            bitrate: this.config.bitrate,
+            framerate: this.config.fps
+        };
+        
+        const support = await VideoEncoder.isConfigSupported(encoderConfig);
+        if (!support.supported) {
+            throw new Error(`Video encoder configuration not supported: ${encoderConfig.codec}`);
+        }
+        
+        this.webmWriter = new WebMWriter({
+            width: canvas.width,
+            height: canvas.height,
+            codec: this.config.codec,
+            frameRate: this.config.fps
+        });
+        
+        this.encoderError = null;
+        this.videoEncoder = new VideoEncoder({
+            output: (chunk) => {
+                const data = new Uint8Array(chunk.byteLength);
+                chunk.copyTo(data);
+                this.webmWriter.addFrame(data, chunk.timestamp, chunk.type === 'key');
+            },
+            error: (error) => {
+                this.encoderError = error;
+            }
+        });
+        
+        this.videoEncoder.configure(encoderConfig);
+    }
+    
+    /**
+     * Set up MediaRecorder on a manually advanced canvas stream
+     * Frame content is deterministic but timing follows the wall clock, so the
+     * export is paced in real time
+     */
+    beginMediaRecorder() {
+        if (typeof MediaRecorder === 'undefined') {
+            throw new Error('No video encoder available (WebCodecs and MediaRecorder unsupported)');
+        }
+        
+        const stream = this.app.canvas.captureStream(0);
+        this.captureTrack = stream.getVideoTracks()[0];
+        this.recordedChunks = [];
+        
+        this.mediaRecorder = new MediaRecorder(stream, {
+            mimeType: `video/webm;codecs=${this.config.codec}`,
+            videoBitsPerSecond: this.config.bitrate
+        });
+        
+        this.mediaRecorder.ondataavailable = (event) => {
+            if (event.data.size > 0) {
+                this.recordedChunks.push(event.data);
+            }
+        };
+        
+        this.mediaRecorder.start();
+        this.frameClockStart = performance.now();
+    }
+    
+    /**
+     * Capture the frame that was just rendered
+     * @param {number} index - Frame index
+     * @param {number} time - Media time in seconds
+     */
+    async captureFrame(index, time) {
+        if (this.config.format === 'png') {
+            await this.capturePNG(index, time);
+        } else if (this.videoEncoder) {
+            await this.encodeFrame(index);
+        } else if (this.mediaRecorder) {
+            await this.recordFrame(index);
+        }
+    }
+    
+    /**
+     * Write the canvas as a numbered PNG
+     */
+    async capturePNG(index, time) {
+        const blob = await new Promise((resolve, reject) => {
+            this.app.canvas.toBlob(result => {
+                if (result) {
+                    resolve(result);
+                } else {
+                    reject(new Error(`Failed to capture frame ${index}`));
+                }
+            }, 'image/png');
+        });
+        
+        const name = `${this.config.filenamePrefix}${String(index).padStart(this.config.frameDigits, '0')}.png`;
+        
+        if (this.config.onFrame) {
+            await this.config.onFrame({ index, time, blob, name });
+        } else {
+            const fileHandle = await this.config.directory.getFileHandle(name, { create: true });
+            const writable = await fileHandle.createWritable();
+            await writable.write(blob);
+            await writable.close();
+        }
+    }
+    
+    /**
+     * Encode the canvas with WebCodecs at an exact timestamp
+     */
+    async encodeFrame(index) {
+        if (this.encoderError) {
+            throw this.encoderError;
+        }
+        
+        const frameDuration = 1000000 / this.config.fps;
+        const frame = new VideoFrame(this.app.canvas, {
+            timestamp: Math.round(index * frameDuration),
+            duration: Math.round(frameDuration)
+        });
+        
+        const keyFrame = index % Math.max(1, Math.round(this.config.keyFrameInterval * this.config.fps)) === 0;
+        this.videoEncoder.encode(frame, { keyFrame });
+        frame.close();
+        
+        // Keep the encoder queue bounded
+        if (this.videoEncoder.encodeQueueSize > 8) {
+            await this.videoEncoder.flush();
+        }
+    }
+    
+    /**
+     * Push the canvas to MediaRecorder, waiting for the frame's wall-clock slot
+     */
+    async recordFrame(index) {
+        this.captureTrack.requestFrame();
+        
+        const targetTime = this.frameClockStart + (index + 1) * 1000 / this.config.fps;
+        const wait = targetTime - performance.now();
+        if (wait > 0) {
+            await new Promise(resolve => setTimeout(resolve, wait));
+        }
+    }
+    
+    /**
+     * Finish encoding
+     * @returns {Promise<Blob|null>} Video file (null for PNG frames)
+     */
+    async finishOutput() {
+        if (this.videoEncoder) {
+            await this.videoEncoder.flush();
+            this.videoEncoder.close();
+            this.videoEncoder = null;
+            
+            if (this.encoderError) {
+                throw this.encoderError;
+            }
+            
+            const blob = this.webmWriter.finalize();
+            this.webmWriter = null;
+            return blob;
+        }
+        
+        if (this.mediaRecorder) {
+            const recorder = this.mediaRecorder;
+            await new Promise(resolve => {
+                recorder.onstop = resolve;
+                recorder.stop();
+            });
+            
+            const blob = new Blob(this.recordedChunks, { type: 'video/webm' });
+            this.cleanupRecorder();
+            return blob;
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Release encoders after a failed or cancelled export
+     */
+    abortOutput() {
+        if (this.videoEncoder) {
+            if (this.videoEncoder.state !== 'closed') {
+                this.videoEncoder.close();
+            }
+            this.videoEncoder = null;
+            this.webmWriter = null;
+        }
+        
+        if (this.mediaRecorder) {
+            if (this.mediaRecorder.state !== 'inactive') {
+                this.mediaRecorder.stop();
+            }
+            this.cleanupRecorder();
+        }
+    }
+    
+    /**
+     * Release MediaRecorder resources
+     */
+    cleanupRecorder() {
+        if (this.captureTrack) {
+            this.captureTrack.stop();
+            this.captureTrack = null;
+        }
+        this.mediaRecorder = null;
+        this.recordedChunks = [];
+    }
+    
+    /**
+     * Cancel a running export
+     */
+    cancel() {
+        if (this.isExporting) {
+            this.isCancelled = true;
+        }
+    }
+    
+    /**
+     * Get exporter status
+     * @returns {Object} Status
+     */
+    getStatus() {
+        return {
+            isExporting: this.isExporting,
+            progress: this.progress,
+            config: { ...this.config }
+        };
+    }
+}
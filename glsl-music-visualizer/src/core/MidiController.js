@@ -0,0 +1,682 @@
+/**
+ * MIDI Controller
+ * Web MIDI input, MIDI-learn and clock tempo for hardware control surfaces
+ * Location: src/core/MidiController.js
+ *
+ * A mapping binds a control change or note (channel + number) to a parameter
+ * addressed the way GLSLMusicVisualizer.handleParameterChange expects it: a
+ * parameter name plus the source system that owns it. Control changes scale
+ * 0-127 into the mapping's [min, max] (or pick from a list of values); notes
+ * switch between min and max, either while held or as a toggle.
+ *
+ * MIDI clock (24 pulses per quarter note) is turned into a tempo estimate
+ * that can override the tempo tracked by BeatDetector.
+ *
+ * Inputs are anything that delivers 'midimessage' events ({ data, timeStamp })
+ * through addEventListener or onmidimessage, so a plain object can stand in
+ * for a MIDIInput. Mappings are plain JSON and persisted with the UI settings.
+ */
+
+import { MathUtils } from '../utils/MathUtils.js';
+
+export const MIDI_STATUS = {
+    NOTE_OFF: 0x80,
+    NOTE_ON: 0x90,
+    CONTROL_CHANGE: 0xB0,
+    CLOCK: 0xF8,
+    START: 0xFA,
+    CONTINUE: 0xFB,
+    STOP: 0xFC
+};
+
+export const NOTE_MODES = ['momentary', 'toggle'];
+
+const CLOCK_PPQN = 24;
+
+const MAPPING_DEFAULTS = {
+    type: 'cc',             // 'cc' or 'note'
+    channel: 0,             // 0-15, or null for any channel
+    number: 0,              // Controller or note number
+    parameter: null,
+    source: null,
+    label: null,
+    min: 0,
+    max: 1,
+    step: 0,                // Quantization of scaled values (0 = continuous)
+    values: null,           // Discrete values picked by the control instead of [min, max]
+    mode: 'momentary',      // Notes only: 'momentary' or 'toggle'
+    invert: false
+};
+
+export class MidiController {
+    constructor(options = {}) {
+        this.config = {
+            enabled: options.enabled !== false,
+            clockOverridesTempo: options.clockOverridesTempo !== false,
+            clockWindow: options.clockWindow || CLOCK_PPQN * 2,   // Pulses averaged for the tempo
+            clockTimeout: options.clockTimeout || 500,            // ms without pulses before the clock is lost
+            maxMappings: options.maxMappings || 256
+        };
+        
+        // MIDI access (MIDIAccess or a compatible object) and connected inputs
+        this.access = options.access || null;
+        this.requestAccess = options.requestMIDIAccess || null;
+        this.inputs = new Map();
+        
+        // Mappings by id
+        this.mappings = new Map();
+        this.nextMappingId = 1;
+        
+        // MIDI-learn state
+        this.learn = {
+            active: false,
+            target: null
+        };
+        
+        // Clock state
+        this.clock = {
+            running: false,
+            pulses: 0,
+            lastPulseTime: 0,
+            intervals: [],
+            bpm: 0
+        };
+        
+        this.state = {
+            isInitialized: false,
+            isAvailable: false,
+            messageCount: 0,
+            lastMessage: null
+        };
+        
+        // Event system
+        this.eventCallbacks = new Map([
+            ['parameterChange', []],
+            ['mappingsChanged', []],
+            ['settingsChanged', []],
+            ['learnChanged', []],
+            ['mappingLearned', []],
+            ['inputsChanged', []],
+            ['clockStart', []],
+            ['clockStop', []],
+            ['clockBeat', []],
+            ['tempo', []]
+        ]);
+        
+        this.callbacks = {
+            onParameterChange: options.onParameterChange || null
+        };
+        
+        this.handleStateChange = this.handleStateChange.bind(this);
+        
+        console.log('MidiController created');
+    }
+    
+    /**
+     * Request MIDI access and connect all inputs
+     * Resolves to false when Web MIDI is unavailable or denied
+     * @returns {Promise<boolean>} Whether MIDI input is available
+     */
+    async initialize() {
+        try {
+            if (!this.access) {
+                const requestAccess = this.requestAccess ||
+                    (typeof navigator !== 'undefined' && navigator.requestMIDIAccess
+                        ? navigator.requestMIDIAccess.bind(navigator)
+                        : null);
+                
+                if (!requestAccess) {
+                    console.log('Web MIDI is not available in this browser');
+                    this.state.isInitialized = true;
+                    return false;
+                }
+                
+                this.access = await requestAccess({ sysex: false });
+            }
+            
+            this.access.inputs.forEach(input => this.connectInput(input));
+            
+            if (this.access.addEventListener) {
+                this.access.addEventListener('statechange', this.handleStateChange);
+            } else {
+                this.access.onstatechange = this.handleStateChange;
+            }
+            
+            this.state.isAvailable = true;
+            this.state.isInitialized = true;
+            
+            console.log(`MidiController initialized with ${this.inputs.size} inputs`);
+            return true;
+            
+        } catch (error) {
+            console.warn('MIDI access failed:', error);
+            this.state.isInitialized = true;
+            return false;
+        }
+    }
+    
+    // ===== INPUTS =====
+    
+    /**
+     * Listen to a MIDI input
+     * @param {Object} input - MIDIInput or any object emitting 'midimessage' events
+     * @returns {string} Input id
+     */
+    connectInput(input) {
+        const id = input.id || `input_${this.inputs.size + 1}`;
+        if (this.inputs.has(id)) {
+            return id;
+        }
+        
+        const handler = (event) => this.handleMessage(event.data, event.timeStamp, id);
+        
+        if (input.addEventListener) {
+            input.addEventListener('midimessage', handler);
+        } else {
+            input.onmidimessage = handler;
+        }
+        
+        this.inputs.set(id, { input, handler, name: input.name || id });
+        this.emit('inputsChanged', { inputs: this.getInputs() });
+        
+        console.log(`MIDI input connected: ${input.name || id}`);
+        return id;
+    }
+    
+    /**
+     * Stop listening to a MIDI input
+     * @param {string} id - Input id
+     */
+    disconnectInput(id) {
+        const entry = this.inputs.get(id);
+        if (!entry) return;
+        
+        if (entry.input.removeEventListener) {
+            entry.input.removeEventListener('midimessage', entry.handler);
+        } else if (entry.input.onmidimessage === entry.handler) {
+            entry.input.onmidimessage = null;
+        }
+        
+        this.inputs.delete(id);
+        this.emit('inputsChanged', { inputs: this.getInputs() });
+        
+        console.log(`MIDI input disconnected: ${entry.name}`);
+    }
+    
+    /**
+     * Track devices plugged in or removed after initialization
+     */
+    handleStateChange(event) {
+        const port = event.port;
+        if (!port || port.type !== 'input') return;
+        
+        if (port.state === 'connected') {
+            this.connectInput(port);
+        } else if (port.state === 'disconnected') {
+            this.disconnectInput(port.id);
+        }
+    }
+    
+    getInputs() {
+        return Array.from(this.inputs.entries()).map(([id, entry]) => ({ id, name: entry.name }));
+    }
+    
+    // ===== MESSAGES =====
+    
+    /**
+     * Process one MIDI message
+     * @param {Uint8Array|Array<number>} data - Status byte and data bytes
+     * @param {number} timestamp - Message time in milliseconds
+     * @param {string} inputId - Input the message came from
+     */
+    handleMessage(data, timestamp, inputId = null) {
+        if (!this.config.enabled || !data || data.length === 0) return;
+        
+        const time = timestamp || performance.now();
+        const status = data[0];
+        
+        this.state.messageCount++;
+        
+        // System real-time messages carry no channel
+        if (status >= 0xF8) {
+            this.handleRealtime(status, time);
+            return;
+        }
+        
+        const type = status & 0xF0;
+        const channel = status & 0x0F;
+        const number = data[1];
+        const value = data.length > 2 ? data[2] : 0;
+        
+        let message = null;
+        
+        switch (type) {
+            case MIDI_STATUS.CONTROL_CHANGE:
+                message = { type: 'cc', channel, number, value, on: true };
+                break;
+            case MIDI_STATUS.NOTE_ON:
+                // Note on with velocity 0 is a note off
+                message = { type: 'note', channel, number, value, on: value > 0 };
+                break;
+            case MIDI_STATUS.NOTE_OFF:
+                message = { type: 'note', channel, number, value, on: false };
+                break;
+            default:
+                return;
+        }
+        
+        message.inputId = inputId;
+        this.state.lastMessage = message;
+        
+        if (this.learn.active && this.learn.target && message.on) {
+            this.learnMapping(message);
+            return;
+        }
+        
+        this.mappings.forEach(mapping => {
+            if (this.matches(mapping, message)) {
+                this.applyMapping(mapping, message);
+            }
+        });
+    }
+    
+    matches(mapping, message) {
+        return mapping.type === message.type &&
+            mapping.number === message.number &&
+            (mapping.channel === null || mapping.channel === message.channel);
+    }
+    
+    /**
+     * Convert a message to the mapped parameter value and dispatch it
+     */
+    applyMapping(mapping, message) {
+        let value;
+        
+        if (mapping.type === 'cc') {
+            let amount = message.value / 127;
+            if (mapping.invert) amount = 1 - amount;
+            value = this.scaleValue(mapping, amount);
+        } else if (mapping.mode === 'toggle') {
+            // Toggles flip on note on and ignore note off
+            if (!message.on) return;
+            mapping.toggled = !mapping.toggled;
+            value = this.scaleValue(mapping, mapping.toggled !== mapping.invert ? 1 : 0);
+        } else {
+            value = this.scaleValue(mapping, message.on !== mapping.invert ? 1 : 0);
+        }
+        
+        // Controllers resend the same position; only forward changes
+        if (value === mapping.lastValue) return;
+        mapping.lastValue = value;
+        
+        this.dispatch(mapping, value);
+    }
+    
+    /**
+     * Scale a normalized amount into the mapping's output
+     * @param {Object} mapping - Mapping
+     * @param {number} amount - Control position [0, 1]
+     */
+    scaleValue(mapping, amount) {
+        if (mapping.values && mapping.values.length > 0) {
+            const index = Math.min(mapping.values.length - 1, Math.floor(amount * mapping.values.length));
+            return mapping.values[index];
+        }
+        
+        let value = MathUtils.lerp(mapping.min, mapping.max, amount);
+        if (mapping.step > 0) {
+            value = mapping.min + Math.round((value - mapping.min) / mapping.step) * mapping.step;
+            // Trim float noise from the step arithmetic
+            value = parseFloat(value.toFixed(6));
+        }
+        return value;
+    }
+    
+    dispatch(mapping, value) {
+        this.emit('parameterChange', {
+            mappingId: mapping.id,
+            parameter: mapping.parameter,
+            source: mapping.source,
+            value
+        });
+        
+        if (this.callbacks.onParameterChange) {
+            this.callbacks.onParameterChange(mapping.parameter, value, mapping.source);
+        }
+    }
+    
+    // ===== CLOCK =====
+    
+    handleRealtime(status, time) {
+        switch (status) {
+            case MIDI_STATUS.CLOCK:
+                this.handleClockPulse(time);
+                break;
+            case MIDI_STATUS.START:
+                this.clock.pulses = 0;
+                this.clock.running = true;
+                this.emit('clockStart', { time });
+                break;
+            case MIDI_STATUS.CONTINUE:
+                this.clock.running = true;
+                this.emit('clockStart', { time, resumed: true });
+                break;
+            case MIDI_STATUS.STOP:
+                this.stopClock(time);
+                break;
+        }
+    }
+    
+    handleClockPulse(time) {
+        const clock = this.clock;
+        
+        // A long gap restarts the estimate instead of reading it as a slow tempo
+        if (clock.lastPulseTime > 0 && time - clock.lastPulseTime < this.config.clockTimeout) {
+            clock.intervals.push(time - clock.lastPulseTime);
+            if (clock.intervals.length > this.config.clockWindow) {
+                clock.intervals.shift();
+            }
+        } else {
+            clock.intervals.length = 0;
+        }
+        
+        clock.lastPulseTime = time;
+        clock.pulses++;
+        
+        // Report once per quarter note, after a full beat of pulses
+        if (clock.pulses % CLOCK_PPQN === 0) {
+            if (clock.intervals.length >= CLOCK_PPQN - 1) {
+                const average = clock.intervals.reduce((sum, interval) => sum + interval, 0) / clock.intervals.length;
+                const bpm = 60000 / (average * CLOCK_PPQN);
+                
+                clock.bpm = Math.round(bpm * 10) / 10;
+                this.emit('tempo', {
+                    bpm: clock.bpm,
+                    override: this.config.clockOverridesTempo
+                });
+            }
+            
+            this.emit('clockBeat', {
+                beat: clock.pulses / CLOCK_PPQN,
+                time,
+                bpm: clock.bpm
+            });
+        }
+    }
+    
+    stopClock(time = performance.now()) {
+        const wasActive = this.clock.running || this.clock.bpm > 0;
+        
+        this.clock.running = false;
+        this.clock.intervals.length = 0;
+        this.clock.lastPulseTime = 0;
+        this.clock.bpm = 0;
+        
+        if (wasActive) {
+            this.emit('clockStop', { time });
+        }
+    }
+    
+    /**
+     * Drop the clock tempo when pulses stopped arriving without a STOP message
+     * @param {number} time - Current time in milliseconds
+     */
+    checkClockTimeout(time = performance.now()) {
+        const lastPulseTime = this.clock.lastPulseTime;
+        if (lastPulseTime > 0 && time - lastPulseTime > this.config.clockTimeout) {
+            this.stopClock(time);
+        }
+    }
+    
+    setClockOverridesTempo(enabled) {
+        this.config.clockOverridesTempo = !!enabled;
+        this.emit('settingsChanged', this.getSettings());
+    }
+    
+    getClockState() {
+        return {
+            running: this.clock.running,
+            bpm: this.clock.bpm,
+            pulses: this.clock.pulses,
+            overridesTempo: this.config.clockOverridesTempo
+        };
+    }
+    
+    // ===== MIDI-LEARN =====
+    
+    /**
+     * Enter learn mode; the next control moved is bound to the learn target
+     * @param {Object} target - Optional target ({ parameter, source, min, max, step, values, label })
+     */
+    startLearn(target = null) {
+        this.learn.active = true;
+        this.learn.target = target;
+        this.emit('learnChanged', { ...this.learn });
+    }
+    
+    /**
+     * Set the parameter the next incoming control is bound to
+     * @param {Object} target - Target descriptor
+     */
+    setLearnTarget(target) {
+        if (!this.learn.active) return;
+        this.learn.target = target;
+        this.emit('learnChanged', { ...this.learn });
+    }
+    
+    stopLearn() {
+        this.learn.active = false;
+        this.learn.target = null;
+        this.emit('learnChanged', { ...this.learn });
+    }
+    
+    isLearning() {
+        return this.learn.active;
+    }
+    
+    /**
+     * Bind a message to the current learn target
+     * Replaces the target's previous mapping; learn mode stays on for the next control
+     */
+    learnMapping(message) {
+        const target = this.learn.target;
+        
+        this.mappings.forEach((mapping, id) => {
+            if (mapping.parameter === target.parameter && mapping.source === target.source) {
+                this.mappings.delete(id);
+            }
+        });
+        
+        const mapping = this.addMapping({
+            ...target,
+            type: message.type,
+            channel: message.channel,
+            number: message.number,
+            mode: target.mode || (message.type === 'note' && target.values && target.values.length === 2 ? 'toggle' : 'momentary')
+        });
+        
+        this.learn.target = null;
+        this.emit('mappingLearned', { mapping });
+        this.emit('learnChanged', { ...this.learn });
+        
+        console.log(`MIDI learned: ${mapping.type} ${mapping.channel + 1}/${mapping.number} → ${mapping.source}.${mapping.parameter}`);
+    }
+    
+    // ===== MAPPINGS =====
+    
+    /**
+     * Add a mapping
+     * @param {Object} mapping - Partial mapping; parameter and source are required
+     * @returns {Object} Stored mapping
+     */
+    addMapping(mapping) {
+        if (this.mappings.size >= this.config.maxMappings) {
+            throw new Error(`Maximum of ${this.config.maxMappings} MIDI mappings reached`);
+        }
+        
+        const created = this.createMapping(mapping);
+        this.mappings.set(created.id, created);
+        this.emit('mappingsChanged', { mappings: this.getMappings() });
+        
+        return this.serializeMapping(created);
+    }
+    
+    removeMapping(id) {
+        if (this.mappings.delete(id)) {
+            this.emit('mappingsChanged', { mappings: this.getMappings() });
+        }
+    }
+    
+    /**
+     * Replace all mappings, e.g. from persisted settings
+     * @param {Array<Object>} mappings - Serialized mappings
+     */
+    setMappings(mappings) {
+        this.mappings.clear();
+        
+        (mappings || []).forEach(mapping => {
+            try {
+                const created = this.createMapping(mapping);
+                this.mappings.set(created.id, created);
+            } catch (error) {
+                console.warn('Skipping invalid MIDI mapping:', error.message);
+            }
+        });
+        
+        this.emit('mappingsChanged', { mappings: this.getMappings() });
+    }
+    
+    clearMappings() {
+        this.mappings.clear();
+        this.emit('mappingsChanged', { mappings: [] });
+    }
+    
+    getMappings() {
+        return Array.from(this.mappings.values()).map(mapping => this.serializeMapping(mapping));
+    }
+    
+    createMapping(mapping) {
+        if (!mapping.parameter || !mapping.source) {
+            throw new Error('MIDI mapping needs a parameter and a source');
+        }
+        if (mapping.type && mapping.type !== 'cc' && mapping.type !== 'note') {
+            throw new Error(`Unknown MIDI mapping type: ${mapping.type}`);
+        }
+        
+        const created = { ...MAPPING_DEFAULTS, ...mapping };
+        
+        created.id = `midi_${this.nextMappingId++}`;
+        created.number = MathUtils.clamp(Math.round(created.number), 0, 127);
+        created.channel = created.channel === null ? null : MathUtils.clamp(Math.round(created.channel), 0, 15);
+        created.mode = NOTE_MODES.includes(created.mode) ? created.mode : 'momentary';
+        created.values = Array.isArray(created.values) ? [...created.values] : null;
+        created.toggled = false;
+        created.lastValue = undefined;
+        
+        return created;
+    }
+    
+    serializeMapping(mapping) {
+        const serialized = {};
+        Object.keys(MAPPING_DEFAULTS).forEach(key => {
+            serialized[key] = mapping[key];
+        });
+        serialized.id = mapping.id;
+        serialized.values = mapping.values ? [...mapping.values] : null;
+        return serialized;
+    }
+    
+    // ===== SETTINGS =====
+    
+    /**
+     * Persistable settings (mappings and clock behaviour)
+     */
+    getSettings() {
+        return {
+            mappings: this.getMappings().map(({ id, ...mapping }) => mapping),
+            clockOverridesTempo: this.config.clockOverridesTempo
+        };
+    }
+    
+    applySettings(settings) {
+        if (!settings) return;
+        
+        if (settings.clockOverridesTempo !== undefined) {
+            this.config.clockOverridesTempo = !!settings.clockOverridesTempo;
+        }
+        
+        if (Array.isArray(settings.mappings)) {
+            this.setMappings(settings.mappings);
+        }
+    }
+    
+    // ===== EVENTS =====
+    
+    on(event, callback) {
+        if (this.eventCallbacks.has(event)) {
+            this.eventCallbacks.get(event).push(callback);
+        }
+    }
+    
+    off(event, callback) {
+        if (this.eventCallbacks.has(event)) {
+            const callbacks = this.eventCallbacks.get(event);
+            const index = callbacks.indexOf(callback);
+            if (index !== -1) {
+                callbacks.splice(index, 1);
+            }
+        }
+    }
+    
+    emit(event, data) {
+        if (this.eventCallbacks.has(event)) {
+            this.eventCallbacks.get(event).forEach(callback => {
+                try {
+                    callback(data);
+                } catch (error) {
+                    console.error(`Error in event callback for ${event}:`, error);
+                }
+            });
+        }
+    }
+    
+    /**
+     * Get controller status
+     * @returns {Object} Status
+     */
+    getStatus() {
+        return {
+            isInitialized: this.state.isInitialized,
+            isAvailable: this.state.isAvailable,
+            enabled: this.config.enabled,
+            inputs: this.getInputs(),
+            mappingCount: this.mappings.size,
+            learning: this.learn.active,
+            messageCount: this.state.messageCount,
+            clock: this.getClockState()
+        };
+    }
+    
+    /**
+     * Disconnect inputs and release references
+     */
+    dispose() {
+        Array.from(this.inputs.keys()).forEach(id => this.disconnectInput(id));
+        
+        if (this.access) {
+            if (this.access.removeEventListener) {
+                this.access.removeEventListener('statechange', this.handleStateChange);
+            } else if (this.access.onstatechange === this.handleStateChange) {
+                this.access.onstatechange = null;
+            }
+        }
+        
+        this.access = null;
+        this.mappings.clear();
+        this.eventCallbacks.forEach(callbacks => {
+            callbacks.length = 0;
+        });
+        
+        console.log('MidiController disposed');
+    }
+}
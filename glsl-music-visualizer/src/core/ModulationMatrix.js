@@ -0,0 +1,607 @@
+/**
+ * Modulation Matrix
+ * Routes audio analysis sources to any registered visual parameter
+ * Location: src/core/ModulationMatrix.js
+ *
+ * Systems expose parameters as descriptors ({ id, label, min, max, get, set }),
+ * usually through a getModulationParameters() method. A routing connects one
+ * source to one parameter. Each frame the source is normalized to [0, 1] over
+ * its input range, shaped by a curve, followed by an attack/release envelope
+ * and smoothed. Routed signals are mapped into the routing's output range (a
+ * window of the parameter span), scaled by depth and added to the parameter's
+ * base value. Removing the last routing of a parameter restores its base value.
+ *
+ * Routings are plain JSON and are stored in material presets and exported
+ * configurations. Routings whose target is not registered (a parameter of an
+ * inactive visualizer, for example) stay dormant until it is.
+ */
+
+import { MathUtils } from '../utils/MathUtils.js';
+
+const CHROMA_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+const MFCC_COEFFICIENTS = 13;
+
+const flag = (value) => (value ? 1 : 0);
+
+/**
+ * Audio sources, read from audio data in the layout of GLSLMusicVisualizer.getAudioData
+ * range is the default input range mapped to [0, 1]
+ */
+export const MODULATION_SOURCES = {
+    energy: { label: 'Energy', group: 'Level', range: [0, 1], read: data => data.energy },
+    rms: { label: 'RMS', group: 'Level', range: [0, 1], read: data => data.rms },
+    loudness: {
+        label: 'Loudness (dBFS)',
+        group: 'Level',
+        range: [-60, 0],
+        read: data => 20 * Math.log10(Math.max(data.rms || 0, 1e-6))
+    },
+    bass: { label: 'Bass', group: 'Bands', range: [0, 1], read: data => data.bass },
+    mid: { label: 'Mid', group: 'Bands', range: [0, 1], read: data => data.mid },
+    treble: { label: 'Treble', group: 'Bands', range: [0, 1], read: data => data.treble },
+    beat: { label: 'Beat', group: 'Rhythm', range: [0, 1], read: data => flag(data.beat) },
+    beatStrength: { label: 'Beat Strength', group: 'Rhythm', range: [0, 1], read: data => data.beatStrength },
+    onset: { label: 'Onset', group: 'Rhythm', range: [0, 1], read: data => flag(data.onset) },
+    spectralCentroid: { label: 'Spectral Centroid', group: 'Spectrum', range: [0, 1], read: data => data.spectralCentroid },
+    spectralRolloff: { label: 'Spectral Rolloff', group: 'Spectrum', range: [0, 1], read: data => data.spectralRolloff },
+    spectralFlux: { label: 'Spectral Flux', group: 'Spectrum', range: [0, 1], read: data => data.spectralFlux },
+    zcr: { label: 'Zero Crossing Rate', group: 'Spectrum', range: [0, 0.5], read: data => data.zcr }
+};
+
+CHROMA_NAMES.forEach((note, index) => {
+    MODULATION_SOURCES[`chroma.${index}`] = {
+        label: `Chroma ${note}`,
+        group: 'Chroma',
+        range: [0, 1],
+        read: data => (data.chroma ? data.chroma[index] : 0)
+    };
+});
+
+for (let index = 0; index < MFCC_COEFFICIENTS; index++) {
+    MODULATION_SOURCES[`mfcc.${index}`] = {
+        label: `MFCC ${index}`,
+        group: 'MFCC',
+        range: [-20, 20],
+        read: data => (data.mfcc ? data.mfcc[index] : 0)
+    };
+}
+
+/**
+ * Per-stem sources, addressed as 'stem.<stem name>.<field>' and read from
+ * audioData.stems; they read 0 while the stem is not loaded
+ */
+export const STEM_SOURCE_FIELDS = {
+    energy: { label: 'Energy', range: [0, 1], read: stem => stem.energy },
+    rms: { label: 'RMS', range: [0, 1], read: stem => stem.rms },
+    bass: { label: 'Bass', range: [0, 1], read: stem => stem.bassLevel },
+    mid: { label: 'Mid', range: [0, 1], read: stem => stem.midLevel },
+    treble: { label: 'Treble', range: [0, 1], read: stem => stem.trebleLevel },
+    spectralCentroid: { label: 'Spectral Centroid', range: [0, 1], read: stem => stem.spectralCentroid },
+    beat: { label: 'Beat', range: [0, 1], read: stem => flag(stem.beat) },
+    onset: { label: 'Onset', range: [0, 1], read: stem => flag(stem.onset) },
+    pitch: { label: 'Pitch (Hz)', range: [0, 1000], read: stem => stem.pitch || 0 }
+};
+
+const stemSourceCache = new Map();
+
+/**
+ * Look up a source definition, including per-stem sources
+ * @param {string} id - Source id
+ * @returns {Object|null} Source definition
+ */
+export function resolveModulationSource(id) {
+    if (MODULATION_SOURCES[id]) {
+        return MODULATION_SOURCES[id];
+    }
+    
+    if (stemSourceCache.has(id)) {
+        return stemSourceCache.get(id);
+    }
+    
+    const match = /^stem\.([^.]+)\.([A-Za-z]+)$/.exec(id || '');
+    const field = match ? STEM_SOURCE_FIELDS[match[2]] : null;
+    if (!field) return null;
+    
+    const stemName = match[1];
+    const source = {
+        label: `${stemName} ${field.label}`,
+        group: `Stem: ${stemName}`,
+        range: field.range,
+        read: data => (data.stems && data.stems[stemName] ? field.read(data.stems[stemName]) : 0)
+    };
+    
+    stemSourceCache.set(id, source);
+    return source;
+}
+
+/**
+ * Response curves applied to the normalized source [0, 1]
+ */
+export const MODULATION_CURVES = {
+    linear: x => x,
+    exponential: x => x * x,
+    logarithmic: x => Math.log1p(9 * x) / Math.LN10,
+    sCurve: x => x * x * (3 - 2 * x),
+    step: x => (x >= 0.5 ? 1 : 0)
+};
+
+/**
+ * Routing defaults
+ */
+const ROUTING_DEFAULTS = {
+    depth: 0.5,             // Bipolar amount [-1, 1] of the parameter span
+    curve: 'linear',
+    smoothing: 0.0,         // Per-frame smoothing [0, 0.99]
+    attack: 0.0,            // Rise time in seconds
+    release: 0.0,           // Fall time in seconds
+    range: [0, 1],          // Output window as fractions of the parameter span
+    inputRange: null,       // Source values mapped to [0, 1] (source default when null)
+    enabled: true
+};
+
+export class ModulationMatrix {
+    constructor(options = {}) {
+        this.config = {
+            maxRoutings: options.maxRoutings || 64
+        };
+        
+        // Registered parameters (id -> { descriptor, base, applied, modulated })
+        this.parameters = new Map();
+        
+        // Stems offered as sources (names of the loaded stem set)
+        this.stemNames = [];
+        
+        // Routings in evaluation order, with runtime state
+        this.routings = [];
+        this.nextRoutingId = 1;
+        
+        // Event system
+        this.eventCallbacks = new Map([
+            ['routingsChanged', []],
+            ['parametersChanged', []],
+            ['sourcesChanged', []]
+        ]);
+    }
+    
+    // ===== PARAMETERS =====
+    
+    /**
+     * Expose a parameter as a modulation target
+     * @param {Object} descriptor - { id, label, group, min, max, get, set }
+     */
+    registerParameter(descriptor) {
+        const { id, min, max, get, set } = descriptor;
+        
+        if (!id || typeof get !== 'function' || typeof set !== 'function') {
+            throw new Error('Modulation parameters need an id, get() and set()');
+        }
+        if (!(max > min)) {
+            throw new Error(`Invalid range for modulation parameter ${id}`);
+        }
+        
+        if (this.parameters.has(id)) {
+            this.restoreBaseValue(this.parameters.get(id));
+        }
+        
+        const base = Number(get()) || 0;
+        this.parameters.set(id, {
+            descriptor: {
+                label: id,
+                group: id.split('.')[0],
+                ...descriptor
+            },
+            base,
+            applied: base,
+            modulated: false
+        });
+        
+        this.emit('parametersChanged', { registered: [id] });
+    }
+    
+    /**
+     * Expose several parameters at once
+     * @param {Array<Object>} descriptors - Parameter descriptors
+     */
+    registerParameters(descriptors) {
+        descriptors.forEach(descriptor => this.registerParameter(descriptor));
+    }
+    
+    /**
+     * Remove a parameter, restoring its base value
+     * @param {string} id - Parameter id
+     */
+    unregisterParameter(id) {
+        const parameter = this.parameters.get(id);
+        if (!parameter) return;
+        
+        this.restoreBaseValue(parameter);
+        this.parameters.delete(id);
+        
+        this.emit('parametersChanged', { unregistered: [id] });
+    }
+    
+    /**
+     * Remove every parameter whose id starts with a prefix
+     * @param {string} prefix - Id prefix (e.g. 'visualizer.')
+     */
+    unregisterParameters(prefix) {
+        Array.from(this.parameters.keys())
+            .filter(id => id.startsWith(prefix))
+            .forEach(id => this.unregisterParameter(id));
+    }
+    
+    /**
+     * Set the unmodulated value of a parameter
+     * @param {string} id - Parameter id
+     * @param {number} value - Base value
+     */
+    setBaseValue(id, value) {
+        const parameter = this.parameters.get(id);
+        if (!parameter) {
+            throw new Error(`Unknown modulation parameter: ${id}`);
+        }
+        
+        const { min, max } = parameter.descriptor;
+        parameter.base = MathUtils.clamp(value, min, max);
+        
+        if (!parameter.modulated) {
+            parameter.descriptor.set(parameter.base);
+            parameter.applied = parameter.base;
+        }
+    }
+    
+    /**
+     * Re-read base values from their owners (after a material or preset change)
+     * @param {string} prefix - Id prefix, all parameters when empty
+     */
+    refreshBaseValues(prefix = '') {
+        this.parameters.forEach((parameter, id) => {
+            if (id.startsWith(prefix)) {
+                parameter.base = Number(parameter.descriptor.get()) || 0;
+                parameter.applied = parameter.base;
+            }
+        });
+    }
+    
+    /**
+     * Get registered parameters
+     * @returns {Array<Object>} { id, label, group, min, max, base }
+     */
+    getParameters() {
+        return Array.from(this.parameters.entries()).map(([id, parameter]) => ({
+            id,
+            label: parameter.descriptor.label,
+            group: parameter.descriptor.group,
+            min: parameter.descriptor.min,
+            max: parameter.descriptor.max,
+            base: parameter.base
+        }));
+    }
+    
+    /**
+     * Get available sources
+     * @returns {Array<Object>} { id, label, group, range }
+     */
+    getSources() {
+        const ids = Object.keys(MODULATION_SOURCES);
+        
+        this.stemNames.forEach(stemName => {
+            Object.keys(STEM_SOURCE_FIELDS).forEach(field => ids.push(`stem.${stemName}.${field}`));
+        });
+        
+        return ids.map(id => {
+            const source = resolveModulationSource(id);
+            return {
+                id,
+                label: source.label,
+                group: source.group,
+                range: [...source.range]
+            };
+        });
+    }
+    
+    /**
+     * Offer the stems of a loaded stem set as sources
+     * @param {Array<string>} stemNames - Stem names (empty when no stem set is loaded)
+     */
+    setStemSources(stemNames) {
+        this.stemNames = (stemNames || []).slice();
+        this.emit('sourcesChanged', { sources: this.getSources() });
+    }
+    
+    // ===== ROUTINGS =====
+    
+    /**
+     * Add a routing
+     * @param {Object} definition - { source, target, depth, curve, smoothing, attack, release, range, inputRange, enabled }
+     * @returns {Object} Routing definition with its id
+     */
+    addRouting(definition) {
+        if (this.routings.length >= this.config.maxRoutings) {
+            throw new Error(`Maximum number of modulation routings reached (${this.config.maxRoutings})`);
+        }
+        
+        const routing = this.createRouting(definition);
+        if (this.routings.some(existing => existing.id === routing.id)) {
+            throw new Error(`Modulation routing already exists: ${routing.id}`);
+        }
+        
+        this.routings.push(routing);
+        
+        this.emit('routingsChanged', { routings: this.getRoutings() });
+        return this.serializeRouting(routing);
+    }
+    
+    /**
+     * Change fields of a routing
+     * @param {string} id - Routing id
+     * @param {Object} changes - Fields to change
+     */
+    updateRouting(id, changes) {
+        const index = this.routings.findIndex(routing => routing.id === id);
+        if (index === -1) {
+            throw new Error(`Unknown modulation routing: ${id}`);
+        }
+        
+        const current = this.routings[index];
+        const updated = this.createRouting({ ...this.serializeRouting(current), ...changes, id });
+        
+        // Keep the envelope running unless the signal path changed
+        if (updated.source === current.source && updated.target === current.target) {
+            updated.envelope = current.envelope;
+            updated.value = current.value;
+        }
+        
+        this.routings[index] = updated;
+        this.emit('routingsChanged', { routings: this.getRoutings() });
+    }
+    
+    /**
+     * Remove a routing
+     * @param {string} id - Routing id
+     */
+    removeRouting(id) {
+        const index = this.routings.findIndex(routing => routing.id === id);
+        if (index === -1) return;
+        
+        this.routings.splice(index, 1);
+        this.emit('routingsChanged', { routings: this.getRoutings() });
+    }
+    
+    /**
+     * Replace all routings (loading a preset or configuration)
+     * @param {Array<Object>} definitions - Routing definitions
+     */
+    setRoutings(definitions) {
+        const routings = definitions.slice(0, this.config.maxRoutings).map(definition => this.createRouting(definition));
+        
+        const ids = new Set();
+        routings.forEach(routing => {
+            if (ids.has(routing.id)) {
+                throw new Error(`Modulation routing already exists: ${routing.id}`);
+            }
+            ids.add(routing.id);
+        });
+        
+        this.routings = routings;
+        this.emit('routingsChanged', { routings: this.getRoutings() });
+    }
+    
+    /**
+     * Remove all routings
+     */
+    clearRoutings() {
+        this.setRoutings([]);
+    }
+    
+    /**
+     * Get serializable routing definitions
+     * @returns {Array<Object>} Routings
+     */
+    getRoutings() {
+        return this.routings.map(routing => this.serializeRouting(routing));
+    }
+    
+    /**
+     * Validate a definition and build a routing with runtime state
+     * @param {Object} definition - Routing definition
+     * @returns {Object} Routing
+     */
+    createRouting(definition) {
+        const routing = { ...ROUTING_DEFAULTS, ...definition };
+        
+        if (!resolveModulationSource(routing.source)) {
+            throw new Error(`Unknown modulation source: ${routing.source}`);
+        }
+        if (typeof routing.target !== 'string' || !routing.target) {
+            throw new Error('Modulation routings need a target parameter id');
+        }
+        if (!MODULATION_CURVES[routing.curve]) {
+            throw new Error(`Unknown modulation curve: ${routing.curve}`);
+        }
+        
+        const pair = (value, fallback) => (
+            Array.isArray(value) && value.length === 2 && value.every(Number.isFinite) ? [value[0], value[1]] : fallback
+        );
+        
+        const id = routing.id || `mod_${this.nextRoutingId++}`;
+        
+        // Stored routings keep their ids; new ids continue past them
+        const generated = /^mod_(\d+)$/.exec(id);
+        if (generated) {
+            this.nextRoutingId = Math.max(this.nextRoutingId, Number(generated[1]) + 1);
+        }
+        
+        return {
+            id,
+            source: routing.source,
+            target: routing.target,
+            depth: MathUtils.clamp(Number(routing.depth) || 0, -1, 1),
+            curve: routing.curve,
+            smoothing: MathUtils.clamp(Number(routing.smoothing) || 0, 0, 0.99),
+            attack: Math.max(0, Number(routing.attack) || 0),
+            release: Math.max(0, Number(routing.release) || 0),
+            range: pair(routing.range, [0, 1]),
+            inputRange: pair(routing.inputRange, null),
+            enabled: routing.enabled !== false,
+            
+            // Runtime state
+            envelope: 0,
+            value: 0
+        };
+    }
+    
+    /**
+     * Routing definition without runtime state
+     */
+    serializeRouting(routing) {
+        return {
+            id: routing.id,
+            source: routing.source,
+            target: routing.target,
+            depth: routing.depth,
+            curve: routing.curve,
+            smoothing: routing.smoothing,
+            attack: routing.attack,
+            release: routing.release,
+            range: [...routing.range],
+            inputRange: routing.inputRange ? [...routing.inputRange] : null,
+            enabled: routing.enabled
+        };
+    }
+    
+    // ===== EVALUATION =====
+    
+    /**
+     * Evaluate all routings and apply the modulated parameter values
+     * @param {number} deltaTime - Frame time in seconds
+     * @param {Object|null} audioData - Audio data (silence when null)
+     */
+    update(deltaTime, audioData) {
+        const offsets = new Map();
+        
+        this.routings.forEach(routing => {
+            const parameter = this.parameters.get(routing.target);
+            if (!routing.enabled || !parameter) return;
+            
+            routing.value = this.processRouting(routing, deltaTime, audioData);
+            
+            const { min, max } = parameter.descriptor;
+            const [low, high] = routing.range;
+            const offset = routing.depth * MathUtils.lerp(low, high, routing.value) * (max - min);
+            
+            offsets.set(routing.target, (offsets.get(routing.target) || 0) + offset);
+        });
+        
+        this.parameters.forEach((parameter, id) => {
+            const { descriptor } = parameter;
+            
+            if (!offsets.has(id)) {
+                this.restoreBaseValue(parameter);
+                return;
+            }
+            
+            // Start from the owner's current value, and follow edits made by the
+            // owner (UI sliders, presets) since the last frame
+            if (!parameter.modulated || Math.abs(descriptor.get() - parameter.applied) > 1e-6) {
+                parameter.base = Number(descriptor.get()) || 0;
+            }
+            
+            const value = MathUtils.clamp(parameter.base + offsets.get(id), descriptor.min, descriptor.max);
+            descriptor.set(value);
+            parameter.applied = Number(descriptor.get());
+            parameter.modulated = true;
+        });
+    }
+    
+    /**
+     * Source -> normalized -> curve -> envelope -> smoothing
+     * @returns {number} Routing signal [0, 1]
+     */
+    processRouting(routing, deltaTime, audioData) {
+        const source = resolveModulationSource(routing.source);
+        const [low, high] = routing.inputRange || source.range;
+        
+        const raw = audioData ? Number(source.read(audioData)) || 0 : 0;
+        const normalized = high !== low ? MathUtils.clamp((raw - low) / (high - low), 0, 1) : 0;
+        const shaped = MODULATION_CURVES[routing.curve](normalized);
+        
+        // Attack/release envelope follower
+        const time = shaped > routing.envelope ? routing.attack : routing.release;
+        const follow = time > 0 ? 1 - Math.exp(-deltaTime / time) : 1;
+        routing.envelope += (shaped - routing.envelope) * follow;
+        
+        return MathUtils.lerp(routing.envelope, routing.value, routing.smoothing);
+    }
+    
+    /**
+     * Write the base value back to an unrouted parameter
+     */
+    restoreBaseValue(parameter) {
+        if (!parameter.modulated) return;
+        
+        parameter.descriptor.set(parameter.base);
+        parameter.applied = parameter.base;
+        parameter.modulated = false;
+    }
+    
+    // ===== EVENTS =====
+    
+    on(event, callback) {
+        if (this.eventCallbacks.has(event)) {
+            this.eventCallbacks.get(event).push(callback);
+        }
+    }
+    
+    off(event, callback) {
+        if (this.eventCallbacks.has(event)) {
+            const callbacks = this.eventCallbacks.get(event);
+            const index = callbacks.indexOf(callback);
+            if (index !== -1) {
+                callbacks.splice(index, 1);
+            }
+        }
+    }
+    
+    emit(event, data) {
+        if (this.eventCallbacks.has(event)) {
+            this.eventCallbacks.get(event).forEach(callback => {
+                try {
+                    callback(data);
+                } catch (error) {
+                    console.error(`Error in event callback for ${event}:`, error);
+                }
+            });
+        }
+    }
+    
+    /**
+     * Get matrix status
+     * @returns {Object} Status
+     */
+    getStatus() {
+        return {
+            parameters: this.parameters.size,
+            routings: this.routings.map(routing => ({
+                id: routing.id,
+                source: routing.source,
+                target: routing.target,
+                enabled: routing.enabled,
+                active: routing.enabled && this.parameters.has(routing.target),
+                value: routing.value
+            }))
+        };
+    }
+    
+    /**
+     * Restore all base values and release listeners
+     */
+    dispose() {
+        this.parameters.forEach(parameter => this.restoreBaseValue(parameter));
+        this.parameters.clear();
+        this.routings = [];
+        this.eventCallbacks.forEach(callbacks => {
+            callbacks.length = 0;
+        });
+    }
+}
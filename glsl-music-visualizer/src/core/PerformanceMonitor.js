@@ -118,6 +118,9 @@ export class PerformanceMonitor {
         this.onQualityChange = null;
         this.onPerformanceAlert = null;
         
+        // Visualizers receiving metric updates (name -> { updateCallback, thresholds })
+        this.visualizers = new Map();
+        
         this.initialize();
     }
     
@@ -194,6 +197,9 @@ export class PerformanceMonitor {
      * Start performance monitoring loop
      */
     startMonitoring() {
+        // Headless environments (offline analysis in Node) have no frame loop
+        if (typeof requestAnimationFrame === 'undefined') return;
+        
         const monitor = () => {
             if (!this.isEnabled) return;
             
@@ -348,6 +354,15 @@ export class PerformanceMonitor {
         }
         
         this.lastUpdate = now;
+        
+        this.visualizers.forEach(({ updateCallback }) => {
+            if (updateCallback) {
+                updateCallback({
+                    fps: this.metrics.fps.average,
+                    frameTime: this.metrics.frameTime.average
+                });
+            }
+        });
     }
     
     /**
@@ -620,6 +635,23 @@ export class PerformanceMonitor {
         console.log(`Adaptive quality ${enabled ? 'enabled' : 'disabled'}`);
     }
     
+    /**
+     * Register a visualizer for metric updates
+     * @param {string} name - Visualizer name
+     * @param {Object} options - { updateCallback, thresholds }
+     */
+    registerVisualizer(name, options = {}) {
+        this.visualizers.set(name, options);
+    }
+    
+    /**
+     * Stop sending metric updates to a visualizer
+     * @param {string} name - Visualizer name
+     */
+    unregisterVisualizer(name) {
+        this.visualizers.delete(name);
+    }
+    
     /**
      * Set performance thresholds
      * @param {Object} thresholds - New threshold values
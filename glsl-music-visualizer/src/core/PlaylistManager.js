@@ -0,0 +1,814 @@
+/**
+ * Playlist Manager
+ * Ordered track queue with shuffle/repeat, gapless and crossfaded transitions
+ * Location: src/core/PlaylistManager.js
+ *
+ * The queue holds tracks in the order the user arranged them; a separate play
+ * order is derived from it (identical, or shuffled with the 'playlist' random
+ * stream so a seeded run shuffles the same way). Transitions are delegated to
+ * AudioEngine: the following track is decoded ahead of time and handed to
+ * setNextFile, which starts it sample-accurately at the end of the current one
+ * or overlaps the two with an equal-power crossfade.
+ *
+ * Each track can carry a preset ({ visualizer, material }) that listeners of
+ * 'trackChanged' apply when the track starts. Playlists import and export as
+ * M3U (extended, with #EXTINF) and JSON.
+ */
+
+export const REPEAT_MODES = ['none', 'all', 'one'];
+
+// Going back within this many seconds of the start skips to the previous track
+const PREVIOUS_RESTART_THRESHOLD = 3;
+
+export class PlaylistManager {
+    constructor(options = {}) {
+        this.config = {
+            shuffle: options.shuffle === true,
+            repeat: REPEAT_MODES.includes(options.repeat) ? options.repeat : 'none',
+            crossfade: Math.max(0, options.crossfade || 0),    // Seconds of overlap (0 = gapless cut)
+            gapless: options.gapless !== false,                // Schedule the next track ahead of time
+            autoAdvance: options.autoAdvance !== false
+        };
+        
+        // Integration
+        this.audioEngine = options.audioEngine || null;
+        this.random = options.random || null;
+        
+        // Queue (user order) and play order (track ids)
+        this.tracks = [];
+        this.order = [];
+        this.nextTrackId = 1;
+        
+        // Playback position
+        this.current = null;
+        this.pending = null;        // Track handed to the engine, waiting to start
+        
+        // Event system
+        this.eventCallbacks = new Map([
+            ['queueChanged', []],
+            ['trackChanged', []],
+            ['playlistEnded', []],
+            ['settingsChanged', []],
+            ['error', []]
+        ]);
+        
+        this.handleTrackChange = this.handleTrackChange.bind(this);
+        
+        if (this.audioEngine) {
+            this.setAudioEngine(this.audioEngine);
+        }
+    }
+    
+    /**
+     * Attach the audio engine that plays the queue
+     * @param {AudioEngine} audioEngine - Audio engine
+     */
+    setAudioEngine(audioEngine) {
+        if (this.audioEngine && this.audioEngine.offTrackChange) {
+            this.audioEngine.offTrackChange(this.handleTrackChange);
+        }
+        
+        this.audioEngine = audioEngine;
+        
+        if (audioEngine) {
+            audioEngine.onTrackChange(this.handleTrackChange);
+        }
+    }
+    
+    // ===== QUEUE =====
+    
+    /**
+     * Add a track to the queue
+     * @param {File|string|Object} entry - File, URL, or { source, audioBuffer, name, duration, metadata, preset }
+     * @param {number} index - Queue position (appended when omitted)
+     * @returns {Object} Added track
+     */
+    addTrack(entry, index = null) {
+        const track = this.createTrack(entry);
+        
+        if (index === null || index < 0 || index >= this.tracks.length) {
+            this.tracks.push(track);
+        } else {
+            this.tracks.splice(index, 0, track);
+        }
+        
+        this.insertIntoOrder(track);
+        this.emit('queueChanged', { tracks: this.getTracks(), added: [track] });
+        this.queueNext();
+        
+        return track;
+    }
+    
+    /**
+     * Add several tracks to the end of the queue
+     * @param {Array} entries - Files, URLs or track descriptions
+     * @returns {Array} Added tracks
+     */
+    addTracks(entries) {
+        const added = [];
+        
+        entries.forEach(entry => {
+            try {
+                const track = this.createTrack(entry);
+                this.tracks.push(track);
+                this.insertIntoOrder(track);
+                added.push(track);
+            } catch (error) {
+                console.warn('Skipping playlist entry:', error.message);
+            }
+        });
+        
+        if (added.length > 0) {
+            console.log(`Added ${added.length} track(s) to the playlist`);
+            this.emit('queueChanged', { tracks: this.getTracks(), added });
+            this.queueNext();
+        }
+        
+        return added;
+    }
+    
+    createTrack(entry) {
+        const description = entry instanceof File || typeof entry === 'string' ? { source: entry } : entry || {};
+        const { source, audioBuffer } = description;
+        
+        if (!source && !audioBuffer) {
+            throw new Error('Playlist entry needs a source or an audio buffer');
+        }
+        
+        const id = this.nextTrackId++;
+        const name = description.name || (source ? this.getSourceName(source) : `Track ${id}`);
+        
+        const track = {
+            id,
+            name,
+            fileName: source && this.audioEngine ? this.audioEngine.getFileName(source) : name,
+            source: source || null,
+            duration: audioBuffer ? audioBuffer.duration : (description.duration || null),
+            metadata: description.metadata || null,
+            preset: description.preset ? { ...description.preset } : null
+        };
+        
+        // Buffers decoded elsewhere (e.g. by the file upload) go straight into the cache
+        if (audioBuffer && this.audioEngine) {
+            this.audioEngine.addAudioBuffer(track.fileName, audioBuffer, track.source);
+        }
+        
+        return track;
+    }
+    
+    getSourceName(source) {
+        if (source instanceof File) return source.name;
+        
+        const path = String(source).split(/[?#]/)[0];
+        return decodeURIComponent(path.split('/').pop() || path);
+    }
+    
+    /**
+     * Remove a track from the queue (the playing track keeps playing)
+     * @param {number} id - Track id
+     * @returns {boolean} Whether a track was removed
+     */
+    removeTrack(id) {
+        const index = this.tracks.findIndex(track => track.id === id);
+        if (index === -1) return false;
+        
+        const [track] = this.tracks.splice(index, 1);
+        this.order = this.order.filter(trackId => trackId !== id);
+        
+        if (this.pending === track) {
+            this.cancelQueuedNext();
+        }
+        
+        this.releaseTrack(track);
+        
+        this.emit('queueChanged', { tracks: this.getTracks(), removed: [track] });
+        this.queueNext();
+        
+        return true;
+    }
+    
+    /**
+     * Move a track to another queue position
+     * @param {number} id - Track id
+     * @param {number} toIndex - Target queue position
+     */
+    moveTrack(id, toIndex) {
+        const index = this.tracks.findIndex(track => track.id === id);
+        if (index === -1) return;
+        
+        const [track] = this.tracks.splice(index, 1);
+        const target = Math.max(0, Math.min(toIndex, this.tracks.length));
+        this.tracks.splice(target, 0, track);
+        
+        if (!this.config.shuffle) {
+            this.rebuildOrder();
+        }
+        
+        this.emit('queueChanged', { tracks: this.getTracks(), moved: [track] });
+        this.requeueNext();
+    }
+    
+    /**
+     * Empty the queue (the playing file keeps playing)
+     */
+    clear() {
+        this.cancelQueuedNext();
+        
+        const removed = this.tracks;
+        this.tracks = [];
+        this.order = [];
+        this.current = null;
+        
+        removed.forEach(track => this.releaseTrack(track));
+        
+        this.emit('queueChanged', { tracks: [], removed });
+    }
+    
+    getTracks() {
+        return this.tracks.slice();
+    }
+    
+    getTrack(id) {
+        return this.tracks.find(track => track.id === id) || null;
+    }
+    
+    getCurrentTrack() {
+        return this.current;
+    }
+    
+    /**
+     * Attach the visualizer/material preset applied when a track starts
+     * @param {number} id - Track id
+     * @param {Object|null} preset - { visualizer, material } (null clears it)
+     */
+    setTrackPreset(id, preset) {
+        const track = this.getTrack(id);
+        if (!track) return;
+        
+        track.preset = preset ? { ...track.preset, ...preset } : null;
+        this.emit('queueChanged', { tracks: this.getTracks(), updated: [track] });
+    }
+    
+    // ===== ORDER =====
+    
+    /**
+     * Rebuild the play order from the queue, shuffling when enabled
+     * The current track stays first so shuffling never interrupts it.
+     */
+    rebuildOrder() {
+        const ids = this.tracks.map(track => track.id);
+        
+        if (!this.config.shuffle) {
+            this.order = ids;
+            return;
+        }
+        
+        const currentId = this.current ? this.current.id : null;
+        const rest = ids.filter(id => id !== currentId);
+        
+        // Fisher-Yates on the seeded stream
+        for (let i = rest.length - 1; i > 0; i--) {
+            const j = Math.floor(this.nextRandom() * (i + 1));
+            [rest[i], rest[j]] = [rest[j], rest[i]];
+        }
+        
+        this.order = currentId !== null && ids.includes(currentId) ? [currentId, ...rest] : rest;
+    }
+    
+    insertIntoOrder(track) {
+        if (!this.config.shuffle) {
+            this.order = this.tracks.map(item => item.id);
+            return;
+        }
+        
+        // Shuffled tracks land somewhere after the current one
+        const start = this.current ? this.order.indexOf(this.current.id) + 1 : 0;
+        const index = start + Math.floor(this.nextRandom() * (this.order.length - start + 1));
+        this.order.splice(index, 0, track.id);
+    }
+    
+    nextRandom() {
+        return this.random ? this.random.next() : Math.random();
+    }
+    
+    getOrderIndex(track = this.current) {
+        return track ? this.order.indexOf(track.id) : -1;
+    }
+    
+    /**
+     * Track that follows the current one, honoring repeat mode
+     * @returns {Object|null} Next track
+     */
+    getNextTrack() {
+        if (this.order.length === 0) return null;
+        if (!this.current) return this.getTrack(this.order[0]);
+        if (this.config.repeat === 'one' && this.getTrack(this.current.id)) return this.current;
+        
+        const index = this.getOrderIndex();
+        
+        if (index + 1 < this.order.length) {
+            return this.getTrack(this.order[index + 1]);
+        }
+        
+        return this.config.repeat === 'all' ? this.getTrack(this.order[0]) : null;
+    }
+    
+    getPreviousTrack() {
+        if (this.order.length === 0) return null;
+        
+        const index = this.getOrderIndex();
+        
+        if (index > 0) {
+            return this.getTrack(this.order[index - 1]);
+        }
+        
+        return this.config.repeat === 'all' ? this.getTrack(this.order[this.order.length - 1]) : null;
+    }
+    
+    // ===== PLAYBACK =====
+    
+    /**
+     * Play a track right away
+     * @param {number|Object} target - Queue index, track id ({ id }) or track
+     * @param {number} offset - Start position in seconds
+     */
+    async play(target = 0, offset = 0) {
+        const track = this.resolveTrack(target);
+        if (!track || !this.audioEngine) return;
+        
+        try {
+            await this.loadTrack(track);
+            
+            // A transition queued for the previous track must not fire
+            this.cancelQueuedNext();
+            
+            this.audioEngine.selectAudioFile(track.fileName);
+            await this.audioEngine.playAudioFile(null, offset);
+            
+            this.setCurrent(track, { crossfade: 0 });
+            
+        } catch (error) {
+            console.error(`Failed to play track ${track.name}:`, error);
+            this.emit('error', { track, error });
+            throw error;
+        }
+    }
+    
+    resolveTrack(target) {
+        if (target && typeof target === 'object') {
+            return this.getTrack(target.id);
+        }
+        
+        return this.tracks[target] || null;
+    }
+    
+    /**
+     * Skip to the next track, crossfading when a crossfade time is set
+     */
+    async next() {
+        const track = this.getNextTrack();
+        
+        if (!track) {
+            this.emit('playlistEnded', { track: this.current });
+            return;
+        }
+        
+        await this.transitionTo(track);
+    }
+    
+    /**
+     * Restart the current track, or go to the previous one near its start
+     */
+    async previous() {
+        const engine = this.audioEngine;
+        
+        if (this.current && engine && engine.getPlaybackTime() > PREVIOUS_RESTART_THRESHOLD) {
+            engine.seek(0);
+            return;
+        }
+        
+        const track = this.getPreviousTrack();
+        if (track) {
+            await this.transitionTo(track);
+        }
+    }
+    
+    async transitionTo(track) {
+        const engine = this.audioEngine;
+        if (!engine) return;
+        
+        const playing = engine.isPlaying && !engine.isPaused;
+        
+        if (!playing || this.config.crossfade <= 0) {
+            await this.play(track);
+            return;
+        }
+        
+        try {
+            await this.loadTrack(track);
+            
+            this.cancelQueuedNext();
+            this.pending = track;
+            await engine.crossfadeTo(track.fileName, this.config.crossfade);
+            
+        } catch (error) {
+            this.pending = null;
+            console.error(`Failed to crossfade to ${track.name}:`, error);
+            this.emit('error', { track, error });
+        }
+    }
+    
+    /**
+     * Engine moved to another file (scheduled transition, crossfade or end)
+     */
+    handleTrackChange(fileName, info = {}) {
+        if (info.ended) {
+            this.pending = null;
+            
+            // Without gapless scheduling the next track starts once the file ends
+            const next = this.config.autoAdvance ? this.getNextTrack() : null;
+            if (next) {
+                this.play(next).catch(() => {});
+            } else {
+                this.emit('playlistEnded', { track: this.current });
+            }
+            return;
+        }
+        
+        const track = this.pending;
+        if (!track || track.fileName !== fileName) return;
+        
+        this.pending = null;
+        this.setCurrent(track, info);
+    }
+    
+    setCurrent(track, info = {}) {
+        const previous = this.current;
+        
+        this.current = track;
+        
+        const buffer = this.audioEngine ? this.audioEngine.loadedFiles.get(track.fileName) : null;
+        if (buffer) {
+            track.duration = buffer.duration;
+        }
+        
+        // Starting over after the last track reshuffles the order
+        if (this.config.shuffle && previous && previous !== track && this.getOrderIndex(track) === 0 &&
+            this.getOrderIndex(previous) === this.order.length - 1) {
+            this.rebuildOrder();
+        }
+        
+        console.log(`Now playing: ${track.name}`);
+        
+        this.emit('trackChanged', {
+            track,
+            previous,
+            index: this.tracks.indexOf(track),
+            crossfade: info.crossfade || 0
+        });
+        
+        this.queueNext();
+        this.releaseBuffers();
+    }
+    
+    /**
+     * Decode the following track and let the engine schedule the transition
+     */
+    async queueNext() {
+        const engine = this.audioEngine;
+        if (!engine || !this.current || !this.config.autoAdvance) return;
+        
+        const next = this.getNextTrack();
+        
+        if (this.pending === next) return;
+        
+        this.cancelQueuedNext();
+        
+        if (!next || (!this.config.gapless && this.config.crossfade <= 0)) return;
+        
+        this.pending = next;
+        
+        try {
+            await this.loadTrack(next);
+        } catch (error) {
+            this.pending = null;
+            console.warn(`Could not preload ${next.name}:`, error.message);
+            return;
+        }
+        
+        // The queue may have changed while decoding
+        if (this.pending !== next) return;
+        
+        engine.setNextFile(next.fileName, { crossfade: this.config.crossfade });
+    }
+    
+    requeueNext() {
+        this.cancelQueuedNext();
+        this.queueNext();
+    }
+    
+    cancelQueuedNext() {
+        if (this.pending && this.audioEngine) {
+            this.audioEngine.setNextFile(null);
+        }
+        this.pending = null;
+    }
+    
+    /**
+     * Decode a track into the engine cache
+     * @param {Object} track - Track
+     * @returns {Promise<AudioBuffer>} Decoded audio
+     */
+    async loadTrack(track) {
+        const engine = this.audioEngine;
+        const cached = engine.loadedFiles.get(track.fileName);
+        
+        if (cached) return cached;
+        if (!track.source) {
+            throw new Error(`Track ${track.name} has no source to load`);
+        }
+        
+        if (!track.loading) {
+            track.loading = engine.decodeAudioFile(track.source).finally(() => {
+                track.loading = null;
+            });
+        }
+        
+        const buffer = await track.loading;
+        track.duration = buffer.duration;
+        
+        return buffer;
+    }
+    
+    /**
+     * Drop decoded buffers of tracks that are neither playing nor up next
+     */
+    releaseBuffers() {
+        this.tracks.forEach(track => this.releaseTrack(track));
+    }
+    
+    releaseTrack(track) {
+        if (!this.audioEngine || !track.source) return;
+        
+        // Tracks sharing a file keep it while any of them is needed
+        const inUse = [this.current, this.pending].some(item => item && item.fileName === track.fileName);
+        if (!inUse) {
+            this.audioEngine.unloadAudioFile(track.fileName);
+        }
+    }
+    
+    // ===== SETTINGS =====
+    
+    setShuffle(enabled) {
+        this.config.shuffle = !!enabled;
+        this.rebuildOrder();
+        this.emit('settingsChanged', this.getSettings());
+        this.requeueNext();
+    }
+    
+    setRepeat(mode) {
+        if (!REPEAT_MODES.includes(mode)) {
+            throw new Error(`Unknown repeat mode: ${mode}`);
+        }
+        
+        this.config.repeat = mode;
+        this.emit('settingsChanged', this.getSettings());
+        this.requeueNext();
+    }
+    
+    /**
+     * Set the crossfade between tracks
+     * @param {number} seconds - Overlap in seconds (0 = gapless cut)
+     */
+    setCrossfade(seconds) {
+        this.config.crossfade = Math.max(0, seconds || 0);
+        this.emit('settingsChanged', this.getSettings());
+        this.requeueNext();
+    }
+    
+    setGapless(enabled) {
+        this.config.gapless = !!enabled;
+        this.emit('settingsChanged', this.getSettings());
+        this.requeueNext();
+    }
+    
+    getSettings() {
+        return {
+            shuffle: this.config.shuffle,
+            repeat: this.config.repeat,
+            crossfade: this.config.crossfade,
+            gapless: this.config.gapless
+        };
+    }
+    
+    applySettings(settings) {
+        if (!settings) return;
+        
+        if (settings.shuffle !== undefined) this.config.shuffle = !!settings.shuffle;
+        if (REPEAT_MODES.includes(settings.repeat)) this.config.repeat = settings.repeat;
+        if (settings.crossfade !== undefined) this.config.crossfade = Math.max(0, settings.crossfade || 0);
+        if (settings.gapless !== undefined) this.config.gapless = !!settings.gapless;
+        
+        this.rebuildOrder();
+        this.emit('settingsChanged', this.getSettings());
+        this.requeueNext();
+    }
+    
+    // ===== IMPORT / EXPORT =====
+    
+    /**
+     * Export the queue as an extended M3U playlist
+     * Local files are written by name since their paths are not available.
+     * @returns {string} M3U text
+     */
+    exportM3U() {
+        const lines = ['#EXTM3U'];
+        
+        this.tracks.forEach(track => {
+            const duration = track.duration ? Math.round(track.duration) : -1;
+            lines.push(`#EXTINF:${duration},${track.name}`);
+            lines.push(this.getTrackLocation(track));
+        });
+        
+        return lines.join('\n') + '\n';
+    }
+    
+    /**
+     * Import an M3U/M3U8 playlist
+     * @param {string} text - Playlist text
+     * @param {Object} options - Options
+     * @param {string} options.baseUrl - Base for relative entries
+     * @param {boolean} options.replace - Replace the queue instead of appending
+     * @returns {Array} Added tracks
+     */
+    importM3U(text, options = {}) {
+        const entries = parseM3U(text).map(entry => ({
+            source: resolveLocation(entry.location, options.baseUrl),
+            name: entry.title || undefined,
+            duration: entry.duration > 0 ? entry.duration : null
+        }));
+        
+        if (options.replace) this.clear();
+        
+        return this.addTracks(entries);
+    }
+    
+    /**
+     * Export the queue and playback settings as JSON
+     * @returns {Object} Playlist data
+     */
+    exportJSON() {
+        return {
+            version: 1,
+            settings: this.getSettings(),
+            tracks: this.tracks.map(track => ({
+                name: track.name,
+                location: this.getTrackLocation(track),
+                duration: track.duration,
+                metadata: track.metadata,
+                preset: track.preset
+            }))
+        };
+    }
+    
+    /**
+     * Import a JSON playlist
+     * @param {Object|string} data - Playlist data or JSON text
+     * @param {Object} options - Options (baseUrl, replace)
+     * @returns {Array} Added tracks
+     */
+    importJSON(data, options = {}) {
+        const playlist = typeof data === 'string' ? JSON.parse(data) : data;
+        
+        if (!playlist || !Array.isArray(playlist.tracks)) {
+            throw new Error('Invalid playlist: missing tracks');
+        }
+        
+        if (options.replace) this.clear();
+        
+        if (playlist.settings) {
+            this.applySettings(playlist.settings);
+        }
+        
+        return this.addTracks(playlist.tracks.map(entry => ({
+            source: resolveLocation(entry.location, options.baseUrl),
+            name: entry.name,
+            duration: entry.duration,
+            metadata: entry.metadata,
+            preset: entry.preset
+        })));
+    }
+    
+    getTrackLocation(track) {
+        return typeof track.source === 'string' ? track.source : track.name;
+    }
+    
+    // ===== EVENTS =====
+    
+    on(event, callback) {
+        if (this.eventCallbacks.has(event)) {
+            this.eventCallbacks.get(event).push(callback);
+        }
+    }
+    
+    off(event, callback) {
+        if (this.eventCallbacks.has(event)) {
+            const callbacks = this.eventCallbacks.get(event);
+            const index = callbacks.indexOf(callback);
+            if (index !== -1) {
+                callbacks.splice(index, 1);
+            }
+        }
+    }
+    
+    emit(event, data) {
+        if (this.eventCallbacks.has(event)) {
+            this.eventCallbacks.get(event).forEach(callback => {
+                try {
+                    callback(data);
+                } catch (error) {
+                    console.error(`Error in event callback for ${event}:`, error);
+                }
+            });
+        }
+    }
+    
+    /**
+     * Get playlist status
+     * @returns {Object} Status
+     */
+    getStatus() {
+        const next = this.getNextTrack();
+        
+        return {
+            trackCount: this.tracks.length,
+            current: this.current ? { id: this.current.id, name: this.current.name } : null,
+            next: next ? { id: next.id, name: next.name } : null,
+            position: this.getOrderIndex(),
+            ...this.getSettings()
+        };
+    }
+    
+    /**
+     * Detach from the engine and release references
+     */
+    dispose() {
+        this.cancelQueuedNext();
+        
+        if (this.audioEngine) {
+            this.audioEngine.offTrackChange(this.handleTrackChange);
+        }
+        
+        this.tracks = [];
+        this.order = [];
+        this.current = null;
+        this.audioEngine = null;
+        this.eventCallbacks.forEach(callbacks => {
+            callbacks.length = 0;
+        });
+        
+        console.log('PlaylistManager disposed');
+    }
+}
+
+// ===== HELPER FUNCTIONS =====
+
+/**
+ * Parse M3U text into entries ({ location, title, duration })
+ */
+function parseM3U(text) {
+    const entries = [];
+    let info = null;
+    
+    String(text).split(/\r?\n/).forEach(rawLine => {
+        const line = rawLine.trim();
+        if (!line) return;
+        
+        if (line.startsWith('#EXTINF:')) {
+            const match = line.match(/^#EXTINF:\s*(-?[\d.]+)[^,]*,(.*)$/);
+            info = match ? { duration: parseFloat(match[1]), title: match[2].trim() } : null;
+            return;
+        }
+        
+        if (line.startsWith('#')) return;
+        
+        entries.push({
+            location: line,
+            title: info ? info.title : null,
+            duration: info ? info.duration : -1
+        });
+        info = null;
+    });
+    
+    return entries;
+}
+
+function resolveLocation(location, baseUrl) {
+    if (!baseUrl) return location;
+    
+    try {
+        return new URL(location, baseUrl).href;
+    } catch (error) {
+        return location;
+    }
+}
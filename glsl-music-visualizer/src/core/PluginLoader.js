@@ -0,0 +1,526 @@
+/**
+ * Plugin Loader
+ * Runtime loading of visualizer plugins from the plugins/ directory
+ * Location: src/core/PluginLoader.js
+ *
+ * A plugin is a directory with a plugin.json manifest (schema documented in
+ * docs/PLUGIN_DEVELOPMENT.md). The loader validates the manifest, checks the
+ * WebGL requirements, imports the entry module, registers its visualizers with
+ * VisualizerManager and its material presets with MaterialPresets. Loading is
+ * all-or-nothing: a failure rolls back anything the plugin registered.
+ *
+ * tools/plugin-validator.js applies the same manifest rules offline.
+ */
+
+import { BaseVisualizer } from '../visualizers/base/BaseVisualizer.js';
+import { MathUtils } from '../utils/MathUtils.js';
+import { ColorUtils } from '../utils/ColorUtils.js';
+import { FileUtils } from '../utils/FileUtils.js';
+import { webglUtils } from '../utils/WebGLUtils.js';
+
+// Host API version plugins declare in `apiVersion`
+export const PLUGIN_API_VERSION = 1;
+
+// Audio features a plugin may declare (keys of the per-frame audio data)
+export const PLUGIN_AUDIO_FEATURES = [
+    'frequencyData', 'timeData',
+    'energy', 'bass', 'mid', 'treble',
+    'beat', 'beatStrength', 'tempo',
+    'mfcc', 'chromagram', 'spectralCentroid', 'spectralRolloff'
+];
+
+// Visualizer types the host registers itself; plugins cannot replace them
+export const BUILT_IN_VISUALIZER_TYPES = ['spectrum', 'waveform', 'particle-field', 'blob'];
+
+const ID_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const SEMVER_PATTERN = /^\d+\.\d+\.\d+(?:-[0-9A-Za-z.-]+)?(?:\+[0-9A-Za-z.-]+)?$/;
+const IDENTIFIER_PATTERN = /^[A-Za-z_$][A-Za-z0-9_$]*$/;
+const SHADER_EXTENSIONS = ['.glsl', '.vert', '.frag', '.vs', '.fs'];
+
+export class PluginLoader {
+    constructor(options = {}) {
+        this.config = {
+            pluginsPath: options.pluginsPath || 'plugins/',
+            presetType: options.presetType || 'community'
+        };
+        
+        this.gl = null;
+        
+        // Integration points
+        this.integrations = {
+            visualizerManager: null,
+            materialPresets: null,
+            shaderManager: null
+        };
+        
+        // Loaded plugins by id
+        this.plugins = new Map();
+        
+        // Event system
+        this.eventCallbacks = new Map([
+            ['pluginLoaded', []],
+            ['pluginUnloaded', []],
+            ['pluginError', []]
+        ]);
+    }
+    
+    /**
+     * Initialize the plugin loader
+     * @param {WebGLRenderingContext} gl - WebGL context (for extension checks)
+     * @param {Object} integrations - visualizerManager, materialPresets, shaderManager
+     */
+    initialize(gl, integrations = {}) {
+        this.gl = gl;
+        Object.assign(this.integrations, integrations);
+        
+        console.log('PluginLoader initialized');
+    }
+    
+    /**
+     * Validate a plugin manifest
+     * @param {Object} manifest - Parsed plugin.json
+     * @param {Array<string>} registeredTypes - Visualizer types the manifest may not declare
+     * @returns {Object} { valid, errors, warnings }
+     */
+    static validateManifest(manifest, registeredTypes = BUILT_IN_VISUALIZER_TYPES) {
+        const errors = [];
+        const warnings = [];
+        
+        const isString = value => typeof value === 'string' && value.length > 0;
+        const checkPath = (value, field, extensions) => {
+            if (!isString(value)) {
+                errors.push(`${field} must be a non-empty string`);
+            } else if (/^([a-z]+:|\/)/i.test(value) || value.split(/[\\/]/).includes('..')) {
+                errors.push(`${field} must be a path inside the plugin directory: ${value}`);
+            } else if (extensions && !extensions.some(ext => value.toLowerCase().endsWith(ext))) {
+                errors.push(`${field} must end with ${extensions.join(', ')}: ${value}`);
+            }
+        };
+        
+        if (!manifest || typeof manifest !== 'object' || Array.isArray(manifest)) {
+            return { valid: false, errors: ['Manifest must be a JSON object'], warnings };
+        }
+        
+        // Identity
+        if (!isString(manifest.id) || !ID_PATTERN.test(manifest.id)) {
+            errors.push('id must be lowercase kebab-case (e.g. "spectrum-rings")');
+        }
+        if (!isString(manifest.name)) {
+            errors.push('name must be a non-empty string');
+        }
+        if (!isString(manifest.version) || !SEMVER_PATTERN.test(manifest.version)) {
+            errors.push('version must be a semantic version (e.g. "1.0.0")');
+        }
+        if (!Number.isInteger(manifest.apiVersion) || manifest.apiVersion < 1) {
+            errors.push('apiVersion must be a positive integer');
+        } else if (manifest.apiVersion > PLUGIN_API_VERSION) {
+            errors.push(`apiVersion ${manifest.apiVersion} is newer than the host (${PLUGIN_API_VERSION})`);
+        }
+        ['description', 'author', 'license'].forEach(field => {
+            if (manifest[field] !== undefined && typeof manifest[field] !== 'string') {
+                errors.push(`${field} must be a string`);
+            }
+        });
+        
+        // Entry module and visualizers
+        const visualizers = manifest.visualizers || [];
+        if (!Array.isArray(visualizers)) {
+            errors.push('visualizers must be an array');
+        } else {
+            const types = new Set();
+            visualizers.forEach((visualizer, index) => {
+                const field = `visualizers[${index}]`;
+                if (!visualizer || typeof visualizer !== 'object') {
+                    errors.push(`${field} must be an object`);
+                    return;
+                }
+                if (!isString(visualizer.type) || !ID_PATTERN.test(visualizer.type)) {
+                    errors.push(`${field}.type must be lowercase kebab-case`);
+                } else if (types.has(visualizer.type)) {
+                    errors.push(`${field}.type is declared twice: ${visualizer.type}`);
+                } else if (registeredTypes.includes(visualizer.type)) {
+                    errors.push(`${field}.type is already registered: ${visualizer.type}`);
+                } else {
+                    types.add(visualizer.type);
+                }
+                if (!isString(visualizer.export) || !IDENTIFIER_PATTERN.test(visualizer.export)) {
+                    errors.push(`${field}.export must be a JavaScript identifier`);
+                }
+                if (visualizer.config !== undefined) {
+                    checkPath(visualizer.config, `${field}.config`, ['.json']);
+                }
+            });
+        }
+        
+        if (manifest.entry !== undefined) {
+            checkPath(manifest.entry, 'entry', ['.js', '.mjs']);
+        } else if (Array.isArray(visualizers) && visualizers.length > 0) {
+            errors.push('entry is required when the plugin declares visualizers');
+        }
+        
+        // Shaders (name -> path)
+        if (manifest.shaders !== undefined) {
+            if (!manifest.shaders || typeof manifest.shaders !== 'object' || Array.isArray(manifest.shaders)) {
+                errors.push('shaders must be an object mapping names to shader paths');
+            } else {
+                Object.entries(manifest.shaders).forEach(([name, path]) => {
+                    checkPath(path, `shaders.${name}`, SHADER_EXTENSIONS);
+                });
+            }
+        }
+        
+        // Material presets
+        if (manifest.presets !== undefined) {
+            if (!Array.isArray(manifest.presets)) {
+                errors.push('presets must be an array of JSON paths');
+            } else {
+                manifest.presets.forEach((path, index) => checkPath(path, `presets[${index}]`, ['.json']));
+            }
+        }
+        
+        // Audio features
+        if (manifest.audioFeatures !== undefined) {
+            if (!Array.isArray(manifest.audioFeatures)) {
+                errors.push('audioFeatures must be an array');
+            } else {
+                manifest.audioFeatures.forEach(feature => {
+                    if (!PLUGIN_AUDIO_FEATURES.includes(feature)) {
+                        errors.push(`Unknown audio feature: ${feature}`);
+                    }
+                });
+            }
+        } else {
+            warnings.push('audioFeatures not declared');
+        }
+        
+        // WebGL requirements
+        if (manifest.requiresWebGL2 !== undefined && typeof manifest.requiresWebGL2 !== 'boolean') {
+            errors.push('requiresWebGL2 must be a boolean');
+        }
+        if (manifest.requiredExtensions !== undefined) {
+            if (!Array.isArray(manifest.requiredExtensions) || !manifest.requiredExtensions.every(isString)) {
+                errors.push('requiredExtensions must be an array of extension names');
+            }
+        }
+        
+        if (Array.isArray(visualizers) && visualizers.length === 0 &&
+            (!Array.isArray(manifest.presets) || manifest.presets.length === 0)) {
+            warnings.push('Plugin declares no visualizers or presets');
+        }
+        
+        return { valid: errors.length === 0, errors, warnings };
+    }
+    
+    /**
+     * Load a plugin directory
+     * @param {string} path - Plugin directory URL, or a plugin id under pluginsPath
+     * @returns {Promise<Object>} Loaded plugin record
+     */
+    async loadPlugin(path) {
+        const baseUrl = this.resolvePluginUrl(path);
+        const registered = { visualizers: [], presets: [] };
+        let manifest = null;
+        
+        try {
+            manifest = await FileUtils.loadJsonFile(`${baseUrl}plugin.json`);
+            
+            if (manifest && this.plugins.has(manifest.id)) {
+                throw new Error(`Plugin already loaded: ${manifest.id}`);
+            }
+            
+            const registeredTypes = new Set([
+                ...BUILT_IN_VISUALIZER_TYPES,
+                ...(this.integrations.visualizerManager?.getAvailableTypes() || [])
+            ]);
+            
+            const { valid, errors, warnings } = PluginLoader.validateManifest(manifest, [...registeredTypes]);
+            if (!valid) {
+                throw new Error(`Invalid plugin manifest: ${errors.join('; ')}`);
+            }
+            warnings.forEach(warning => console.warn(`Plugin ${manifest.id}: ${warning}`));
+            
+            this.checkRequirements(manifest);
+            
+            const shaders = {};
+            Object.entries(manifest.shaders || {}).forEach(([name, shaderPath]) => {
+                shaders[name] = `${baseUrl}${shaderPath}`;
+            });
+            
+            // Visualizers
+            if (manifest.entry) {
+                const exports = await this.importEntry(manifest, baseUrl, shaders);
+                
+                for (const declaration of manifest.visualizers || []) {
+                    const VisualizerClass = exports[declaration.export];
+                    if (typeof VisualizerClass !== 'function') {
+                        throw new Error(`Entry module does not export ${declaration.export}`);
+                    }
+                    
+                    // Checked again here: another plugin may have registered it while this one was importing
+                    if (this.integrations.visualizerManager.visualizerTypes.has(declaration.type)) {
+                        throw new Error(`Visualizer type already registered: ${declaration.type}`);
+                    }
+                    
+                    const metadata = declaration.config
+                        ? await FileUtils.loadJsonFile(`${baseUrl}${declaration.config}`)
+                        : {};
+                    
+                    this.integrations.visualizerManager.registerVisualizerType(declaration.type, VisualizerClass, {
+                        ...metadata,
+                        type: declaration.type,
+                        plugin: manifest.id,
+                        shaders,
+                        audioFeatures: manifest.audioFeatures || []
+                    });
+                    registered.visualizers.push(declaration.type);
+                }
+            }
+            
+            // Material presets
+            for (const presetPath of manifest.presets || []) {
+                const data = await FileUtils.loadJsonFile(`${baseUrl}${presetPath}`);
+                const presets = Array.isArray(data) ? data : (Array.isArray(data.presets) ? data.presets : [data]);
+                
+                presets.forEach(presetData => {
+                    const preset = this.integrations.materialPresets.importPreset(presetData, {
+                        type: this.config.presetType
+                    });
+                    registered.presets.push(preset.id);
+                });
+            }
+            
+            const plugin = {
+                id: manifest.id,
+                manifest,
+                baseUrl,
+                shaders,
+                visualizers: registered.visualizers,
+                presets: registered.presets,
+                loadedAt: Date.now()
+            };
+            
+            this.plugins.set(manifest.id, plugin);
+            this.emit('pluginLoaded', { plugin });
+            
+            console.log(`Loaded plugin: ${manifest.name} ${manifest.version}`, {
+                visualizers: registered.visualizers,
+                presets: registered.presets.length
+            });
+            
+            return plugin;
+            
+        } catch (error) {
+            this.rollback(registered);
+            
+            const id = manifest && manifest.id ? manifest.id : path;
+            console.error(`Failed to load plugin ${id}:`, error);
+            this.emit('pluginError', { id, path, error });
+            throw error;
+        }
+    }
+    
+    /**
+     * Load several plugins, skipping (and reporting) any that fail
+     * @param {Array<string>} paths - Plugin directories or ids
+     * @returns {Promise<Array<Object>>} Loaded plugin records
+     */
+    async loadPlugins(paths) {
+        const loaded = [];
+        
+        for (const path of paths) {
+            try {
+                loaded.push(await this.loadPlugin(path));
+            } catch (error) {
+                // Already reported through pluginError
+            }
+        }
+        
+        return loaded;
+    }
+    
+    /**
+     * Unload a plugin and remove everything it registered
+     * @param {string} id - Plugin id
+     * @returns {boolean} Whether the plugin was loaded
+     */
+    unloadPlugin(id) {
+        const plugin = this.plugins.get(id);
+        if (!plugin) return false;
+        
+        // Refuse rather than leave the plugin half unloaded
+        const current = this.integrations.visualizerManager?.currentVisualizer;
+        const activeType = plugin.visualizers.find(type => {
+            const typeInfo = this.integrations.visualizerManager.visualizerTypes.get(type);
+            return current && typeInfo && current instanceof typeInfo.class;
+        });
+        if (activeType) {
+            throw new Error(`Cannot unload plugin ${id} while visualizer ${activeType} is active`);
+        }
+        
+        this.rollback(plugin);
+        this.plugins.delete(id);
+        this.emit('pluginUnloaded', { id });
+        
+        console.log(`Unloaded plugin: ${id}`);
+        return true;
+    }
+    
+    /**
+     * Resolve a plugin path to a directory URL ending in '/'
+     */
+    resolvePluginUrl(path) {
+        const isUrl = path.includes('/') || path.includes(':');
+        const url = isUrl ? path : `${this.config.pluginsPath.replace(/\/?$/, '/')}${path}`;
+        return url.replace(/\/?$/, '/');
+    }
+    
+    /**
+     * Check WebGL version and extension requirements
+     */
+    checkRequirements(manifest) {
+        if (manifest.requiresWebGL2 && !webglUtils.capabilities?.isWebGL2) {
+            throw new Error('Plugin requires WebGL2');
+        }
+        
+        const missing = (manifest.requiredExtensions || []).filter(name => {
+            return !webglUtils.hasExtension(name) && !(this.gl && this.gl.getExtension(name));
+        });
+        
+        if (missing.length > 0) {
+            throw new Error(`Missing required WebGL extensions: ${missing.join(', ')}`);
+        }
+    }
+    
+    /**
+     * Import the entry module and run its setup function
+     * The default export receives the host API and returns the exported classes;
+     * named exports are used as-is.
+     */
+    async importEntry(manifest, baseUrl, shaders) {
+        const module = await import(/* webpackIgnore: true */ `${baseUrl}${manifest.entry}`);
+        const exports = { ...module };
+        
+        if (typeof module.default === 'function') {
+            const setupExports = await module.default(this.createHostAPI(manifest, baseUrl, shaders));
+            Object.assign(exports, setupExports || {});
+        }
+        
+        return exports;
+    }
+    
+    /**
+     * Host API handed to a plugin's setup function
+     * Plugins extend the host's BaseVisualizer rather than importing their own copy
+     */
+    createHostAPI(manifest, baseUrl, shaders) {
+        return {
+            apiVersion: PLUGIN_API_VERSION,
+            BaseVisualizer,
+            MathUtils,
+            ColorUtils,
+            shaderManager: this.integrations.shaderManager,
+            manifest: JSON.parse(JSON.stringify(manifest)),
+            shaders: { ...shaders },
+            resolve: path => `${baseUrl}${path}`
+        };
+    }
+    
+    /**
+     * Remove registered visualizer types and presets
+     */
+    rollback(registered) {
+        registered.visualizers.forEach(type => {
+            try {
+                this.integrations.visualizerManager.unregisterVisualizerType(type);
+            } catch (error) {
+                console.warn(`Failed to unregister visualizer ${type}:`, error);
+            }
+        });
+        
+        registered.presets.forEach(presetId => {
+            try {
+                this.integrations.materialPresets.deletePreset(presetId, this.config.presetType);
+            } catch (error) {
+                console.warn(`Failed to remove preset ${presetId}:`, error);
+            }
+        });
+    }
+    
+    /**
+     * Get a loaded plugin
+     * @param {string} id - Plugin id
+     * @returns {Object|null} Plugin record
+     */
+    getPlugin(id) {
+        return this.plugins.get(id) || null;
+    }
+    
+    /**
+     * Get all loaded plugins
+     * @returns {Array<Object>} Plugin records
+     */
+    getPlugins() {
+        return Array.from(this.plugins.values());
+    }
+    
+    /**
+     * Event system methods
+     */
+    on(event, callback) {
+        if (this.eventCallbacks.has(event)) {
+            this.eventCallbacks.get(event).push(callback);
+        }
+    }
+    
+    off(event, callback) {
+        if (this.eventCallbacks.has(event)) {
+            const callbacks = this.eventCallbacks.get(event);
+            const index = callbacks.indexOf(callback);
+            if (index !== -1) {
+                callbacks.splice(index, 1);
+            }
+        }
+    }
+    
+    emit(event, data) {
+        if (this.eventCallbacks.has(event)) {
+            this.eventCallbacks.get(event).forEach(callback => {
+                try {
+                    callback(data);
+                } catch (error) {
+                    console.error(`Error in event callback for ${event}:`, error);
+                }
+            });
+        }
+    }
+    
+    /**
+     * Get loader status
+     * @returns {Object} Status
+     */
+    getStatus() {
+        return {
+            apiVersion: PLUGIN_API_VERSION,
+            plugins: this.getPlugins().map(plugin => ({
+                id: plugin.id,
+                version: plugin.manifest.version,
+                visualizers: plugin.visualizers.length,
+                presets: plugin.presets.length
+            }))
+        };
+    }
+    
+    /**
+     * Unload all plugins
+     */
+    dispose() {
+        // Shutdown: the active visualizer is disposed by VisualizerManager itself
+        this.plugins.forEach(plugin => this.rollback(plugin));
+        this.plugins.clear();
+        this.eventCallbacks.forEach(callbacks => {
+            callbacks.length = 0;
+        });
+        
+        console.log('PluginLoader disposed');
+    }
+}
@@ -0,0 +1,720 @@
+/**
+ * Post-Processing Graph
+ * Ordered, runtime-editable chain of fullscreen effect passes
+ * Location: src/core/PostProcessGraph.js
+ *
+ * Each pass runs one fragment shader (with fullscreen.vert) into its own render
+ * target at a fraction of the viewport size. Sampler inputs are bound by name to
+ * the scene color, the scene depth, the previous pass, the pass's own output from
+ * the previous frame (history) or any pass by id. Uniforms can be driven by audio
+ * features. The last enabled pass draws to the screen.
+ */
+
+import { webglUtils } from '../utils/WebGLUtils.js';
+import { MathUtils } from '../utils/MathUtils.js';
+import { shaderManager } from './ShaderManager.js';
+
+const FULLSCREEN_VERTEX_SHADER = 'src/shaders/fullscreen.vert';
+const COPY_SHADER = 'src/shaders/passes/copy.frag';
+
+// Reserved input sources (anything else names a pass id)
+const INPUT_SOURCES = ['scene', 'depth', 'previous', 'history'];
+
+/**
+ * Pass types, referenced by `type` in pass definitions
+ * Definitions override any field (inputs and uniforms are merged)
+ */
+export const PASS_TYPES = {
+    composite: {
+        label: 'Tone Map & Grade',
+        shader: 'src/shaders/postprocess.frag',
+        inputs: { u_texture: 'previous' },
+        scale: 1.0
+    },
+    threshold: {
+        label: 'Bright Pass',
+        shader: 'src/shaders/passes/threshold.frag',
+        inputs: { u_texture: 'previous' },
+        scale: 0.5,
+        hdr: true,
+        uniforms: { u_knee: 0.5 }
+    },
+    blurHorizontal: {
+        label: 'Blur (Horizontal)',
+        shader: 'src/shaders/passes/blur.frag',
+        inputs: { u_texture: 'previous' },
+        scale: 0.25,
+        hdr: true,
+        uniforms: { u_direction: [1, 0], u_radius: 1.0 }
+    },
+    blurVertical: {
+        label: 'Blur (Vertical)',
+        shader: 'src/shaders/passes/blur.frag',
+        inputs: { u_texture: 'previous' },
+        scale: 0.25,
+        hdr: true,
+        uniforms: { u_direction: [0, 1], u_radius: 1.0 }
+    },
+    feedback: {
+        label: 'Feedback Trails',
+        shader: 'src/shaders/passes/feedback.frag',
+        inputs: { u_texture: 'previous', u_historyTexture: 'history' },
+        scale: 1.0,
+        hdr: true,
+        uniforms: { u_feedback: 0.85, u_zoom: 1.01, u_rotation: 0.0 },
+        audio: { u_feedback: { feature: 'energy', amount: 0.1, smoothing: 0.8 } }
+    },
+    fog: {
+        label: 'Depth Fog',
+        shader: 'src/shaders/passes/fog.frag',
+        inputs: { u_texture: 'previous', u_depthTexture: 'depth' },
+        scale: 1.0,
+        hdr: true,
+        uniforms: { u_fogColor: [0.02, 0.02, 0.05], u_fogDensity: 0.5, u_fogStart: 0.2 },
+        audio: { u_fogDensity: { feature: 'bass', amount: -0.3, smoothing: 0.9 } }
+    },
+    copy: {
+        label: 'Copy',
+        shader: COPY_SHADER,
+        inputs: { u_texture: 'previous' },
+        scale: 1.0
+    }
+};
+
+/**
+ * Built-in chains
+ */
+export const POST_PROCESS_PRESETS = {
+    default: [
+        { id: 'composite', type: 'composite' }
+    ],
+    bloom: [
+        { id: 'bright', type: 'threshold', inputs: { u_texture: 'scene' } },
+        { id: 'blurH', type: 'blurHorizontal' },
+        { id: 'blurV', type: 'blurVertical' },
+        { id: 'composite', type: 'composite', inputs: { u_texture: 'scene', u_bloomTexture: 'blurV' } }
+    ],
+    trails: [
+        { id: 'trails', type: 'feedback', inputs: { u_texture: 'scene' } },
+        { id: 'composite', type: 'composite' }
+    ],
+    atmosphere: [
+        { id: 'fog', type: 'fog', inputs: { u_texture: 'scene' } },
+        { id: 'bright', type: 'threshold' },
+        { id: 'blurH', type: 'blurHorizontal' },
+        { id: 'blurV', type: 'blurVertical' },
+        { id: 'composite', type: 'composite', inputs: { u_texture: 'fog', u_bloomTexture: 'blurV' } }
+    ]
+};
+
+export class PostProcessGraph {
+    /**
+     * @param {RenderEngine} renderEngine - Owning render engine (targets, quad, settings)
+     */
+    constructor(renderEngine) {
+        this.renderEngine = renderEngine;
+        this.gl = null;
+        
+        // Ordered passes
+        this.passes = [];
+        this.nextPassId = 1;
+        
+        // Chain presets (built-in plus registered)
+        this.presets = new Map(Object.entries(POST_PROCESS_PRESETS));
+        this.currentPreset = null;
+        
+        // Program used to present a history pass that ends the chain
+        this.copyProgramName = null;
+        
+        // Latest audio features for bound uniforms
+        this.audioData = null;
+        
+        // Event system
+        this.eventCallbacks = new Map([
+            ['chainChanged', []],
+            ['passError', []]
+        ]);
+    }
+    
+    /**
+     * Initialize with the render engine's WebGL context
+     * @param {WebGLRenderingContext} gl - WebGL context
+     */
+    async initialize(gl) {
+        this.gl = gl;
+        this.copyProgramName = await this.loadProgram(COPY_SHADER, {});
+        
+        console.log('PostProcessGraph initialized');
+    }
+    
+    // ===== CHAIN EDITING =====
+    
+    /**
+     * Replace the chain with a list of pass definitions
+     * @param {Array<Object>} definitions - Pass definitions
+     * @param {string|null} presetName - Preset the chain came from
+     * @returns {Promise<Array<Object>>} Created passes
+     */
+    async setChain(definitions, presetName = null) {
+        const passes = definitions.map(definition => this.createPass(definition));
+        await Promise.all(passes.map(pass => this.preparePass(pass)));
+        
+        this.passes.forEach(pass => this.disposePassTargets(pass));
+        this.passes = passes;
+        this.currentPreset = presetName;
+        
+        this.emit('chainChanged', { passes: this.getPasses() });
+        return passes;
+    }
+    
+    /**
+     * Load a chain preset
+     * @param {string} name - Preset name
+     */
+    async loadPreset(name) {
+        const chain = this.presets.get(name);
+        if (!chain) {
+            throw new Error(`Unknown post-processing preset: ${name}`);
+        }
+        
+        await this.setChain(chain, name);
+        
+        console.log(`Post-processing preset loaded: ${name}`);
+    }
+    
+    /**
+     * Register a chain preset
+     * @param {string} name - Preset name
+     * @param {Array<Object>} definitions - Pass definitions
+     */
+    registerPreset(name, definitions) {
+        this.presets.set(name, definitions.map(definition => ({ ...definition })));
+    }
+    
+    /**
+     * Get registered preset names
+     * @returns {Array<string>} Preset names
+     */
+    getPresetNames() {
+        return Array.from(this.presets.keys());
+    }
+    
+    /**
+     * Add a pass
+     * @param {Object} definition - Pass definition ({ type } or { shader }, plus overrides)
+     * @param {number} index - Insert position (end of chain when omitted)
+     * @returns {Promise<Object>} Created pass
+     */
+    async addPass(definition, index = this.passes.length) {
+        const pass = this.createPass(definition);
+        
+        if (this.getPass(pass.id)) {
+            throw new Error(`Post-processing pass already exists: ${pass.id}`);
+        }
+        
+        await this.preparePass(pass);
+        
+        this.passes.splice(MathUtils.clamp(index, 0, this.passes.length), 0, pass);
+        this.currentPreset = null;
+        
+        this.emit('chainChanged', { passes: this.getPasses() });
+        return pass;
+    }
+    
+    /**
+     * Remove a pass
+     * @param {string} id - Pass id
+     * @returns {boolean} Whether a pass was removed
+     */
+    removePass(id) {
+        const index = this.passes.findIndex(pass => pass.id === id);
+        if (index === -1) return false;
+        
+        const [pass] = this.passes.splice(index, 1);
+        this.disposePassTargets(pass);
+        this.currentPreset = null;
+        
+        this.emit('chainChanged', { passes: this.getPasses() });
+        return true;
+    }
+    
+    /**
+     * Move a pass to a new position
+     * @param {string} id - Pass id
+     * @param {number} index - New position
+     */
+    movePass(id, index) {
+        const from = this.passes.findIndex(pass => pass.id === id);
+        if (from === -1) return;
+        
+        const [pass] = this.passes.splice(from, 1);
+        this.passes.splice(MathUtils.clamp(index, 0, this.passes.length), 0, pass);
+        this.currentPreset = null;
+        
+        this.emit('chainChanged', { passes: this.getPasses() });
+    }
+    
+    /**
+     * Enable or disable a pass (disabled passes forward their input)
+     * @param {string} id - Pass id
+     * @param {boolean} enabled - Enabled state
+     */
+    setPassEnabled(id, enabled) {
+        const pass = this.getPass(id);
+        if (!pass) return;
+        
+        pass.enabled = !!enabled;
+        this.emit('chainChanged', { passes: this.getPasses() });
+    }
+    
+    /**
+     * Set a static uniform on a pass
+     * @param {string} id - Pass id
+     * @param {string} name - Uniform name
+     * @param {number|boolean|Array<number>} value - Uniform value
+     */
+    setPassUniform(id, name, value) {
+        const pass = this.getPass(id);
+        if (pass) {
+            pass.uniforms[name] = value;
+        }
+    }
+    
+    /**
+     * Bind a pass uniform to an audio feature
+     * The uploaded value is the static uniform plus amount * feature
+     * @param {string} id - Pass id
+     * @param {string} uniform - Uniform name
+     * @param {Object|null} binding - { feature, amount, smoothing } or null to unbind
+     */
+    setAudioBinding(id, uniform, binding) {
+        const pass = this.getPass(id);
+        if (!pass) return;
+        
+        if (binding) {
+            pass.audio[uniform] = { amount: 1.0, smoothing: 0.0, ...binding };
+        } else {
+            delete pass.audio[uniform];
+            delete pass.audioValues[uniform];
+        }
+    }
+    
+    /**
+     * Get a pass by id
+     * @param {string} id - Pass id
+     * @returns {Object|undefined} Pass
+     */
+    getPass(id) {
+        return this.passes.find(pass => pass.id === id);
+    }
+    
+    /**
+     * Get serializable pass definitions in chain order
+     * @returns {Array<Object>} Pass definitions
+     */
+    getPasses() {
+        return this.passes.map(pass => ({
+            id: pass.id,
+            type: pass.type,
+            label: pass.label,
+            shader: pass.shader,
+            inputs: { ...pass.inputs },
+            scale: pass.scale,
+            hdr: pass.hdr,
+            enabled: pass.enabled,
+            defines: { ...pass.defines },
+            uniforms: { ...pass.uniforms },
+            audio: JSON.parse(JSON.stringify(pass.audio))
+        }));
+    }
+    
+    /**
+     * Build a pass from a definition
+     * @param {Object} definition - Pass definition
+     * @returns {Object} Pass
+     */
+    createPass(definition) {
+        const template = PASS_TYPES[definition.type] || {};
+        const type = definition.type || 'custom';
+        const id = definition.id || `${type}_${this.nextPassId++}`;
+        
+        const pass = {
+            id,
+            type,
+            label: definition.label || template.label || id,
+            shader: definition.shader || template.shader,
+            inputs: { ...(template.inputs || { u_texture: 'previous' }), ...definition.inputs },
+            scale: MathUtils.clamp(definition.scale !== undefined ? definition.scale : (template.scale || 1.0), 0.05, 1.0),
+            hdr: definition.hdr !== undefined ? definition.hdr : !!template.hdr,
+            enabled: definition.enabled !== false,
+            defines: { ...template.defines, ...definition.defines },
+            uniforms: { ...template.uniforms, ...definition.uniforms },
+            audio: JSON.parse(JSON.stringify({ ...template.audio, ...definition.audio })),
+            
+            // Runtime state
+            programName: null,
+            target: null,
+            historyTarget: null,
+            audioValues: {}
+        };
+        
+        if (!pass.shader) {
+            throw new Error(`Post-processing pass "${id}" has no shader`);
+        }
+        
+        return pass;
+    }
+    
+    /**
+     * Compile a pass program
+     * @param {Object} pass - Pass
+     */
+    async preparePass(pass) {
+        try {
+            pass.programName = await this.loadProgram(pass.shader, pass.defines);
+        } catch (error) {
+            console.error(`Failed to compile post-processing pass "${pass.id}":`, error);
+            pass.programName = null;
+            this.emit('passError', { id: pass.id, error });
+        }
+    }
+    
+    /**
+     * Load (or reuse) the program for a pass shader
+     * @returns {Promise<string>} Program name for ShaderManager lookups
+     */
+    async loadProgram(shader, defines) {
+        const defineKey = Object.keys(defines).length ? `:${JSON.stringify(defines)}` : '';
+        const programName = `postfx:${shader}${defineKey}`;
+        
+        await shaderManager.loadShaderProgram(FULLSCREEN_VERTEX_SHADER, shader, defines, programName);
+        return programName;
+    }
+    
+    // ===== RENDERING =====
+    
+    /**
+     * Update audio-bound uniforms
+     * @param {Object|null} audioData - Audio data (energy, bass, mid, treble, beat, ...)
+     */
+    update(audioData) {
+        this.audioData = audioData;
+        
+        this.passes.forEach(pass => {
+            Object.entries(pass.audio).forEach(([uniform, binding]) => {
+                const raw = audioData ? audioData[binding.feature] : 0;
+                const feature = typeof raw === 'boolean' ? (raw ? 1 : 0) : (Number(raw) || 0);
+                const target = feature * binding.amount;
+                const previous = pass.audioValues[uniform] !== undefined ? pass.audioValues[uniform] : target;
+                
+                pass.audioValues[uniform] = MathUtils.lerp(target, previous, MathUtils.clamp(binding.smoothing, 0, 0.99));
+            });
+        });
+    }
+    
+    /**
+     * Check whether any pass can run
+     * @returns {boolean} Runnable
+     */
+    hasActivePasses() {
+        return this.passes.some(pass => pass.enabled && pass.programName);
+    }
+    
+    /**
+     * Run the chain over the scene target and present the result
+     * @param {Object} sceneTarget - Scene render target (color and optional depth texture)
+     */
+    render(sceneTarget) {
+        const gl = this.gl;
+        const engine = this.renderEngine;
+        const active = this.passes.filter(pass => pass.enabled && pass.programName);
+        const lastPass = active[active.length - 1];
+        
+        const outputs = new Map();
+        let previous = sceneTarget.colorTexture;
+        let presented = false;
+        
+        gl.disable(gl.DEPTH_TEST);
+        gl.disable(gl.BLEND);
+        
+        this.passes.forEach(pass => {
+            // Disabled passes forward their input so references stay valid
+            if (!pass.enabled || !pass.programName) {
+                outputs.set(pass.id, previous);
+                return;
+            }
+            
+            const usesHistory = Object.values(pass.inputs).includes('history');
+            const toScreen = pass === lastPass && !usesHistory;
+            
+            if (toScreen) {
+                engine.setRenderTarget(null);
+            } else {
+                this.ensurePassTargets(pass, usesHistory);
+                engine.setRenderTarget(pass.target);
+            }
+            
+            shaderManager.useProgram(pass.programName);
+            
+            this.bindInputs(pass, sceneTarget, previous, outputs);
+            
+            this.setPassUniforms(pass, toScreen);
+            engine.drawFullscreenQuad(pass.programName);
+            
+            let output = null;
+            if (!toScreen) {
+                output = pass.target.colorTexture;
+                
+                // Output becomes next frame's history
+                if (usesHistory) {
+                    [pass.target, pass.historyTarget] = [pass.historyTarget, pass.target];
+                }
+            }
+            
+            outputs.set(pass.id, output);
+            previous = output;
+            presented = toScreen;
+        });
+        
+        // A chain ending in a history pass (or with no active pass) still needs presenting
+        if (!presented && this.copyProgramName) {
+            engine.setRenderTarget(null);
+            shaderManager.useProgram(this.copyProgramName);
+            
+            gl.activeTexture(gl.TEXTURE0);
+            gl.bindTexture(gl.TEXTURE_2D, previous);
+            
+            const location = shaderManager.getUniformLocation(this.copyProgramName, 'u_texture');
+            if (location) gl.uniform1i(location, 0);
+            
+            engine.drawFullscreenQuad(this.copyProgramName);
+        }
+        
+        gl.enable(gl.DEPTH_TEST);
+    }
+    
+    /**
+     * Bind a pass's sampler inputs to consecutive texture units
+     * Optional samplers (u_<name>Texture) declare a `u_<name>TextureEnabled` float,
+     * set to 1 only while the sampler is bound
+     */
+    bindInputs(pass, sceneTarget, previous, outputs) {
+        const gl = this.gl;
+        const locations = shaderManager.uniformLocations.get(pass.programName);
+        const bound = new Set();
+        let unit = 0;
+        
+        Object.entries(pass.inputs).forEach(([sampler, source]) => {
+            const texture = this.resolveInput(source, pass, sceneTarget, previous, outputs);
+            gl.activeTexture(gl.TEXTURE0 + unit);
+            gl.bindTexture(gl.TEXTURE_2D, texture);
+            
+            const location = shaderManager.getUniformLocation(pass.programName, sampler);
+            if (location) gl.uniform1i(location, unit);
+            
+            if (texture) bound.add(`${sampler}Enabled`);
+            
+            unit++;
+            this.renderEngine.stats.textureBinds++;
+        });
+        
+        // Programs are shared between chains, so reset every flag each draw
+        if (locations) {
+            locations.forEach((location, name) => {
+                if (location && /^u_\w+TextureEnabled$/.test(name)) {
+                    gl.uniform1f(location, bound.has(name) ? 1.0 : 0.0);
+                }
+            });
+        }
+    }
+    
+    /**
+     * Resolve an input source to a texture
+     */
+    resolveInput(source, pass, sceneTarget, previous, outputs) {
+        switch (source) {
+            case 'scene':
+                return sceneTarget.colorTexture;
+            case 'depth':
+                return sceneTarget.depthTexture || null;
+            case 'previous':
+                return previous;
+            case 'history':
+                return pass.historyTarget ? pass.historyTarget.colorTexture : null;
+            default:
+                // Passes later in the chain have not run yet this frame
+                return outputs.has(source) ? outputs.get(source) : previous;
+        }
+    }
+    
+    /**
+     * Upload global settings, static pass uniforms and audio-bound values
+     */
+    setPassUniforms(pass, toScreen) {
+        const gl = this.gl;
+        const engine = this.renderEngine;
+        const programName = pass.programName;
+        
+        const width = toScreen ? engine.viewport.width : pass.target.width;
+        const height = toScreen ? engine.viewport.height : pass.target.height;
+        
+        const uResolution = shaderManager.getUniformLocation(programName, 'u_resolution');
+        if (uResolution) gl.uniform2f(uResolution, width, height);
+        
+        const uTime = shaderManager.getUniformLocation(programName, 'u_time');
+        if (uTime) gl.uniform1f(uTime, engine.getTime());
+        
+        const uNear = shaderManager.getUniformLocation(programName, 'u_near');
+        if (uNear) gl.uniform1f(uNear, engine.camera.near);
+        
+        const uFar = shaderManager.getUniformLocation(programName, 'u_far');
+        if (uFar) gl.uniform1f(uFar, engine.camera.far);
+        
+        const values = {};
+        Object.entries(engine.postProcessing.settings).forEach(([name, value]) => {
+            values[`u_${name}`] = value;
+        });
+        Object.assign(values, pass.uniforms);
+        
+        Object.entries(pass.audioValues).forEach(([name, offset]) => {
+            const base = values[name];
+            if (typeof base === 'number') {
+                values[name] = base + offset;
+            } else if (base === undefined) {
+                values[name] = offset;
+            }
+        });
+        
+        Object.entries(values).forEach(([name, value]) => {
+            const location = shaderManager.getUniformLocation(programName, name);
+            if (location) {
+                engine.setUniform(location, typeof value === 'boolean' ? (value ? 1 : 0) : value);
+            }
+        });
+    }
+    
+    /**
+     * Create or resize a pass's render targets
+     */
+    ensurePassTargets(pass, usesHistory) {
+        const { width, height } = this.renderEngine.viewport;
+        const targetWidth = Math.max(1, Math.floor(width * pass.scale));
+        const targetHeight = Math.max(1, Math.floor(height * pass.scale));
+        
+        if (pass.target && (pass.target.width !== targetWidth || pass.target.height !== targetHeight)) {
+            this.disposePassTargets(pass);
+        }
+        
+        if (!pass.target) {
+            pass.target = this.createPassTarget(pass, targetWidth, targetHeight);
+        }
+        
+        if (usesHistory && !pass.historyTarget) {
+            pass.historyTarget = this.createPassTarget(pass, targetWidth, targetHeight);
+        } else if (!usesHistory && pass.historyTarget) {
+            this.renderEngine.disposeRenderTarget(pass.historyTarget);
+            pass.historyTarget = null;
+        }
+    }
+    
+    /**
+     * Create a color target for a pass
+     */
+    createPassTarget(pass, width, height) {
+        const gl = this.gl;
+        const floatType = pass.hdr && webglUtils.hasExtension('EXT_color_buffer_float');
+        
+        const target = this.renderEngine.createRenderTarget(width, height, {
+            format: gl.RGBA,
+            type: floatType ? gl.FLOAT : gl.UNSIGNED_BYTE,
+            filter: gl.LINEAR
+        });
+        
+        // History starts black
+        this.renderEngine.setRenderTarget(target);
+        this.renderEngine.clear(true, false, [0, 0, 0, 0]);
+        
+        return target;
+    }
+    
+    /**
+     * Release a pass's render targets
+     */
+    disposePassTargets(pass) {
+        if (pass.target) {
+            this.renderEngine.disposeRenderTarget(pass.target);
+            pass.target = null;
+        }
+        if (pass.historyTarget) {
+            this.renderEngine.disposeRenderTarget(pass.historyTarget);
+            pass.historyTarget = null;
+        }
+        pass.audioValues = {};
+    }
+    
+    /**
+     * Drop all pass targets (recreated at the new size on the next frame)
+     */
+    resize() {
+        this.passes.forEach(pass => this.disposePassTargets(pass));
+    }
+    
+    /**
+     * Event system methods
+     */
+    on(event, callback) {
+        if (this.eventCallbacks.has(event)) {
+            this.eventCallbacks.get(event).push(callback);
+        }
+    }
+    
+    off(event, callback) {
+        if (this.eventCallbacks.has(event)) {
+            const callbacks = this.eventCallbacks.get(event);
+            const index = callbacks.indexOf(callback);
+            if (index !== -1) {
+                callbacks.splice(index, 1);
+            }
+        }
+    }
+    
+    emit(event, data) {
+        if (this.eventCallbacks.has(event)) {
+            this.eventCallbacks.get(event).forEach(callback => {
+                try {
+                    callback(data);
+                } catch (error) {
+                    console.error(`Error in event callback for ${event}:`, error);
+                }
+            });
+        }
+    }
+    
+    /**
+     * Get graph status
+     * @returns {Object} Status
+     */
+    getStatus() {
+        return {
+            preset: this.currentPreset,
+            passes: this.passes.map(pass => ({
+                id: pass.id,
+                type: pass.type,
+                enabled: pass.enabled,
+                compiled: !!pass.programName,
+                scale: pass.scale
+            }))
+        };
+    }
+    
+    /**
+     * Release all pass targets
+     */
+    dispose() {
+        this.passes.forEach(pass => this.disposePassTargets(pass));
+        this.passes = [];
+        this.eventCallbacks.forEach(callbacks => {
+            callbacks.length = 0;
+        });
+    }
+}
@@ -9,6 +9,7 @@ import { webglUtils } from '../utils/WebGLUtils.js';
 import { MathUtils } from '../utils/MathUtils.js';
 import { shaderManager } from './ShaderManager.js';
 import { performanceMonitor } from './PerformanceMonitor.js';
+import { PostProcessGraph } from './PostProcessGraph.js';
 
 export class RenderEngine {
     constructor() {
@@ -56,11 +57,26 @@ export class RenderEngine {
         // Post-processing pipeline
         this.postProcessing = {
             enabled: true,
-            effects: new Map(),
-            passes: [],
-            quadGeometry: null
+            graph: null,
+            quadGeometry: null,
+            
+            // Uploaded to every pass as u_<name>
+            settings: {
+                bloomEnabled: true,
+                bloomThreshold: 1.0,
+                bloomIntensity: 0.8,
+                exposure: 1.0,
+                contrast: 1.0,
+                saturation: 1.0,
+                chromaticAberration: 0.0,
+                vignette: 0.3,
+                filmGrain: 0.0
+            }
         };
         
+        // Fixed frame clock in seconds (deterministic export), wall-clock when null
+        this.frameTime = null;
+        
         // Render statistics
         this.stats = {
             drawCalls: 0,
@@ -198,12 +214,13 @@ export class RenderEngine {
     initializeRenderTargets() {
         const { width, height } = this.viewport;
         
-        // Main render target (HDR)
+        // Main render target (HDR, depth sampleable by post-processing passes)
         this.renderTargets.main = this.createRenderTarget(width, height, {
             format: this.gl.RGBA,
             type: webglUtils.hasExtension('EXT_color_buffer_float') ? this.gl.FLOAT : this.gl.UNSIGNED_BYTE,
             filter: this.gl.LINEAR,
-            depth: true
+            depth: true,
+            depthTexture: true
         });
         
         // Depth-only target for shadow mapping
@@ -250,6 +267,7 @@ export class RenderEngine {
             filter = this.gl.LINEAR,
             wrap = this.gl.CLAMP_TO_EDGE,
             depth = false,
+            depthTexture = false,
             depthOnly = false
         } = options;
         
@@ -259,6 +277,7 @@ export class RenderEngine {
             format: depthOnly ? this.gl.DEPTH_COMPONENT : format,
             type: depthOnly ? this.gl.UNSIGNED_SHORT : type,
             depth: depth && !depthOnly,
+            depthTexture: depthTexture && !depthOnly,
             minFilter: filter,
             magFilter: filter,
             wrapS: wrap,
@@ -266,23 +285,37 @@ export class RenderEngine {
         });
     }
     
+    /**
+     * Delete a render target's framebuffer and attachments
+     * @param {Object} target - Render target from createRenderTarget
+     */
+    disposeRenderTarget(target) {
+        if (!target || !target.framebuffer) return;
+        
+        this.gl.deleteFramebuffer(target.framebuffer);
+        this.gl.deleteTexture(target.colorTexture);
+        if (target.depthBuffer) {
+            this.gl.deleteRenderbuffer(target.depthBuffer);
+        }
+        if (target.depthTexture) {
+            this.gl.deleteTexture(target.depthTexture);
+        }
+    }
+    
     /**
      * Recreate render targets when viewport changes
      */
     recreateRenderTargets() {
         // Dispose old render targets
-        Object.values(this.renderTargets).forEach(target => {
-            if (target && target.framebuffer) {
-                this.gl.deleteFramebuffer(target.framebuffer);
-                this.gl.deleteTexture(target.colorTexture);
-                if (target.depthBuffer) {
-                    this.gl.deleteRenderbuffer(target.depthBuffer);
-                }
-            }
-        });
+        Object.values(this.renderTargets).forEach(target => this.disposeRenderTarget(target));
         
         // Create new render targets
         this.initializeRenderTargets();
+        
+        // Pass targets follow the viewport size
+        if (this.postProcessing.graph) {
+            this.postProcessing.graph.resize();
+        }
     }
     
     /**
@@ -292,16 +325,11 @@ export class RenderEngine {
         // Create fullscreen quad geometry
         this.postProcessing.quadGeometry = this.createQuadGeometry();
         
-        // Load post-processing shaders
+        // Build the effect graph with the default chain
         try {
-            const postProcessProgram = await shaderManager.loadShaderProgram(
-                'src/shaders/fullscreen.vert',
-                'src/shaders/postprocess.frag',
-                {},
-                'postprocess'
-            );
-            
-            this.postProcessing.effects.set('default', postProcessProgram);
+            this.postProcessing.graph = new PostProcessGraph(this);
+            await this.postProcessing.graph.initialize(this.gl);
+            await this.postProcessing.graph.loadPreset('default');
             
         } catch (error) {
             console.warn('Failed to load post-processing shaders:', error);
@@ -598,7 +626,7 @@ export class RenderEngine {
         
         // Time uniform
         const uTime = shaderManager.getUniformLocation(programName, 'u_time');
-        if (uTime) gl.uniform1f(uTime, performance.now() * 0.001);
+        if (uTime) gl.uniform1f(uTime, this.getTime());
         
         // Resolution uniform
         const uResolution = shaderManager.getUniformLocation(programName, 'u_resolution');
@@ -623,7 +651,7 @@ export class RenderEngine {
     setUniform(location, value) {
         const gl = this.gl;
         
-        if (Array.isArray(value)) {
+        if (Array.isArray(value) || ArrayBuffer.isView(value)) {
             switch (value.length) {
                 case 1: gl.uniform1f(location, value[0]); break;
                 case 2: gl.uniform2fv(location, value); break;
@@ -707,53 +735,151 @@ export class RenderEngine {
         }
     }
     
+    /**
+     * Begin the scene pass
+     * Renders into the HDR main target when post-processing is active, otherwise to the screen
+     */
+    beginScene() {
+        if (this.isPostProcessingActive()) {
+            this.setRenderTarget(this.renderTargets.main);
+            this.clear(true, true, [0, 0, 0, 0]);
+        } else {
+            this.setRenderTarget(null);
+        }
+    }
+    
+    /**
+     * Check whether the scene is composited through the post-processing shader
+     * @returns {boolean} Post-processing active
+     */
+    isPostProcessingActive() {
+        return this.postProcessing.enabled &&
+               !!this.postProcessing.graph &&
+               this.postProcessing.graph.hasActivePasses() &&
+               !!this.postProcessing.quadGeometry;
+    }
+    
+    /**
+     * Feed audio features to audio-bound pass parameters
+     * @param {Object|null} audioData - Audio data
+     */
+    updatePostProcessing(audioData) {
+        if (this.postProcessing.graph) {
+            this.postProcessing.graph.update(audioData);
+        }
+    }
+    
     /**
      * Render post-processing effects
+     * Runs the effect graph over the main target and presents the result
      */
     renderPostProcessing() {
-        if (!this.postProcessing.enabled || !this.postProcessing.quadGeometry) {
+        if (!this.isPostProcessingActive()) {
             return;
         }
         
+        this.postProcessing.graph.render(this.renderTargets.main);
+    }
+    
+    /**
+     * Draw the fullscreen quad with the bound program
+     * @param {string} programName - Program name for attribute lookups
+     */
+    drawFullscreenQuad(programName) {
         const gl = this.gl;
-        
-        // Use post-processing shader
-        const program = this.postProcessing.effects.get('default');
-        if (!program) return;
-        
-        shaderManager.useProgram(program);
-        
-        // Setup fullscreen quad
         const quad = this.postProcessing.quadGeometry;
+        
         gl.bindBuffer(gl.ARRAY_BUFFER, quad.vertexBuffer);
         gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, quad.indexBuffer);
         
-        const positionLocation = shaderManager.getAttributeLocation('postprocess', 'a_position');
-        const uvLocation = shaderManager.getAttributeLocation('postprocess', 'a_uv');
+        const positionLocation = shaderManager.getAttributeLocation(programName, 'a_position');
+        const uvLocation = shaderManager.getAttributeLocation(programName, 'a_uv');
         
-        if (positionLocation !== -1) {
+        if (positionLocation >= 0) {
             gl.enableVertexAttribArray(positionLocation);
             gl.vertexAttribPointer(positionLocation, 2, gl.FLOAT, false, 16, 0);
         }
         
-        if (uvLocation !== -1) {
+        if (uvLocation >= 0) {
             gl.enableVertexAttribArray(uvLocation);
             gl.vertexAttribPointer(uvLocation, 2, gl.FLOAT, false, 16, 8);
         }
         
-        // Bind main render target as texture
-        gl.activeTexture(gl.TEXTURE0);
-        gl.bindTexture(gl.TEXTURE_2D, this.renderTargets.main.colorTexture);
-        
-        const uTexture = shaderManager.getUniformLocation('postprocess', 'u_texture');
-        if (uTexture) gl.uniform1i(uTexture, 0);
-        
-        // Render fullscreen quad
         gl.drawElements(gl.TRIANGLES, quad.vertexCount, gl.UNSIGNED_SHORT, 0);
         
         this.stats.drawCalls++;
     }
     
+    /**
+     * Get the post-processing effect graph
+     * Passes can be added, removed, reordered and toggled at runtime
+     * @returns {PostProcessGraph|null} Effect graph
+     */
+    getPostProcessGraph() {
+        return this.postProcessing.graph;
+    }
+    
+    /**
+     * Enable or disable post-processing
+     * @param {boolean} enabled - Post-processing enabled
+     */
+    setPostProcessing(enabled) {
+        this.postProcessing.enabled = !!enabled;
+        this.quality.postProcessing = this.postProcessing.enabled;
+    }
+    
+    /**
+     * Update post-processing effect settings
+     * @param {Object} settings - Settings to change (bloomThreshold, exposure, vignette, ...)
+     */
+    setPostProcessingSettings(settings) {
+        Object.entries(settings).forEach(([name, value]) => {
+            if (name === 'enabled') {
+                this.setPostProcessing(value);
+            } else if (name in this.postProcessing.settings) {
+                this.postProcessing.settings[name] = value;
+            }
+        });
+    }
+    
+    /**
+     * Get post-processing effect settings
+     * @returns {Object} Settings
+     */
+    getPostProcessingSettings() {
+        return {
+            enabled: this.postProcessing.enabled,
+            ...this.postProcessing.settings
+        };
+    }
+    
+    /**
+     * Post-processing settings exposed to the modulation matrix
+     * @returns {Array<Object>} Parameter descriptors
+     */
+    getModulationParameters() {
+        const settings = this.postProcessing.settings;
+        
+        return [
+            ['bloomThreshold', 'Bloom Threshold', 0.1, 3.0],
+            ['bloomIntensity', 'Bloom Intensity', 0.0, 2.0],
+            ['exposure', 'Exposure', 0.1, 3.0],
+            ['contrast', 'Contrast', 0.0, 2.0],
+            ['saturation', 'Saturation', 0.0, 2.0],
+            ['chromaticAberration', 'Chromatic Aberration', 0.0, 1.0],
+            ['vignette', 'Vignette', 0.0, 1.0],
+            ['filmGrain', 'Film Grain', 0.0, 1.0]
+        ].map(([name, label, min, max]) => ({
+            id: `render.${name}`,
+            label,
+            group: 'render',
+            min,
+            max,
+            get: () => settings[name],
+            set: (value) => { settings[name] = value; }
+        }));
+    }
+    
     /**
      * Set camera position
      * @param {Array} position - Camera position [x, y, z]
@@ -781,6 +907,22 @@ export class RenderEngine {
         this.updateCamera();
     }
     
+    /**
+     * Drive shader time from a fixed clock instead of wall-clock time
+     * @param {number|null} time - Time in seconds, or null for wall-clock time
+     */
+    setFrameTime(time) {
+        this.frameTime = time;
+    }
+    
+    /**
+     * Get the current shader time
+     * @returns {number} Time in seconds
+     */
+    getTime() {
+        return this.frameTime !== null ? this.frameTime : performance.now() * 0.001;
+    }
+    
     /**
      * Set render scale for adaptive quality
      * @param {number} scale - Render scale (0.5 - 1.0)
@@ -852,15 +994,13 @@ export class RenderEngine {
      */
     dispose() {
         // Delete render targets
-        Object.values(this.renderTargets).forEach(target => {
-            if (target && target.framebuffer) {
-                this.gl.deleteFramebuffer(target.framebuffer);
-                this.gl.deleteTexture(target.colorTexture);
-                if (target.depthBuffer) {
-                    this.gl.deleteRenderbuffer(target.depthBuffer);
-                }
-            }
-        });
+        Object.values(this.renderTargets).forEach(target => this.disposeRenderTarget(target));
+        
+        // Delete effect graph targets
+        if (this.postProcessing.graph) {
+            this.postProcessing.graph.dispose();
+            this.postProcessing.graph = null;
+        }
         
         // Delete post-processing geometry
         if (this.postProcessing.quadGeometry) {
@@ -127,9 +127,12 @@ export class ShaderManager {
      * @param {string} fragmentPath - Path to fragment shader
      * @param {Object} defines - Additional shader defines
      * @param {string} programName - Name for the shader program
+     * @param {Object} options - Link options
+     * @param {Array<string>} options.transformFeedbackVaryings - Vertex outputs captured by transform feedback (WebGL2)
+     * @param {string} options.transformFeedbackMode - 'interleaved' (default) or 'separate'
      * @returns {Promise<WebGLProgram>} Compiled shader program
      */
-    async loadShaderProgram(vertexPath, fragmentPath, defines = {}, programName = null) {
+    async loadShaderProgram(vertexPath, fragmentPath, defines = {}, programName = null, options = {}) {
         const name = programName || `${vertexPath}_${fragmentPath}`;
         
         try {
@@ -150,11 +153,11 @@ export class ShaderManager {
             this.sources.set(`${name}_fragment`, { source: fragmentSource, path: fragmentPath });
             
             // Compile program
-            const program = this.compileProgram(vertexSource, fragmentSource, defines, name);
+            const program = this.compileProgram(vertexSource, fragmentSource, defines, name, options);
             
             // Setup hot-reload if enabled
             if (this.hotReloadEnabled) {
-                this.setupHotReload(name, vertexPath, fragmentPath, defines);
+                this.setupHotReload(name, vertexPath, fragmentPath, defines, options);
             }
             
             return program;
@@ -171,15 +174,54 @@ export class ShaderManager {
         }
     }
     
+    /**
+     * Load a single shader source for later program assembly
+     * @param {string} path - Path to shader file
+     * @param {string} type - 'vertex' or 'fragment'
+     * @returns {Promise<Object>} Shader descriptor ({ source, path, type })
+     */
+    async loadShader(path, type) {
+        const source = await FileUtils.loadTextFile(path);
+        return { source, path, type };
+    }
+    
+    /**
+     * Create a program from shaders loaded with loadShader
+     * @param {Object} vertexShader - Vertex shader descriptor
+     * @param {Object} fragmentShader - Fragment shader descriptor
+     * @param {string} name - Program name
+     * @param {Object} defines - Shader defines
+     * @returns {WebGLProgram} Compiled shader program
+     */
+    createProgram(vertexShader, fragmentShader, name, defines = {}) {
+        if (this.programs.has(name)) {
+            this.stats.cacheHits++;
+            return this.programs.get(name);
+        }
+        
+        // Store sources for hot-reload
+        this.sources.set(`${name}_vertex`, { source: vertexShader.source, path: vertexShader.path });
+        this.sources.set(`${name}_fragment`, { source: fragmentShader.source, path: fragmentShader.path });
+        
+        const program = this.compileProgram(vertexShader.source, fragmentShader.source, defines, name);
+        
+        if (this.hotReloadEnabled) {
+            this.setupHotReload(name, vertexShader.path, fragmentShader.path, defines);
+        }
+        
+        return program;
+    }
+    
     /**
      * Compile shader program from source code
      * @param {string} vertexSource - Vertex shader source
      * @param {string} fragmentSource - Fragment shader source
      * @param {Object} defines - Shader defines
      * @param {string} name - Program name
+     * @param {Object} options - Link options (see loadShaderProgram)
      * @returns {WebGLProgram} Compiled program
      */
-    compileProgram(vertexSource, fragmentSource, defines = {}, name = 'unnamed') {
+    compileProgram(vertexSource, fragmentSource, defines = {}, name = 'unnamed', options = {}) {
         const startTime = performance.now();
         
         try {
@@ -192,7 +234,7 @@ export class ShaderManager {
             const fragmentShader = this.compileShader(processedFragmentSource, this.gl.FRAGMENT_SHADER, `${name}_fragment`);
             
             // Link program
-            const program = this.linkProgram(vertexShader, fragmentShader, name);
+            const program = this.linkProgram(vertexShader, fragmentShader, name, options);
             
             // Cache the program
             this.programs.set(name, program);
@@ -247,10 +289,11 @@ export class ShaderManager {
      * @param {WebGLShader} vertexShader - Compiled vertex shader
      * @param {WebGLShader} fragmentShader - Compiled fragment shader
      * @param {string} name - Program name
+     * @param {Object} options - Link options (see loadShaderProgram)
      * @returns {WebGLProgram} Linked program
      */
-    linkProgram(vertexShader, fragmentShader, name) {
-        return webglUtils.createProgram(this.gl, vertexShader, fragmentShader, name);
+    linkProgram(vertexShader, fragmentShader, name, options = {}) {
+        return webglUtils.createProgram(this.gl, vertexShader, fragmentShader, name, options);
     }
     
     /**
@@ -262,10 +305,15 @@ export class ShaderManager {
      */
     preprocessShader(source, defines = {}, shaderType = 'fragment') {
         let processed = source;
+        const isWebGL2 = webglUtils.getCapabilities().isWebGL2;
+        
+        // Sources without a version written in GLSL ES 1.00 syntax (attribute/varying/gl_FragColor)
+        const isLegacySource = !processed.includes('#version') &&
+            /\b(attribute|varying|gl_FragColor)\b/.test(processed);
         
         // Add version directive if missing
         if (!processed.includes('#version')) {
-            const version = webglUtils.getCapabilities().isWebGL2 ? '300 es' : '100';
+            const version = isWebGL2 ? '300 es' : '100';
             processed = `#version ${version}\n${processed}`;
         }
         
@@ -295,8 +343,10 @@ export class ShaderManager {
                        processed.slice(insertPos);
         }
         
-        // WebGL1 compatibility
-        if (!webglUtils.getCapabilities().isWebGL2) {
+        // Dialect conversion (GLSL ES 1.00 sources are valid as-is on WebGL1)
+        if (isWebGL2 && isLegacySource) {
+            processed = this.convertToWebGL2(processed, shaderType);
+        } else if (!isWebGL2 && !isLegacySource) {
             processed = this.convertToWebGL1(processed, shaderType);
         }
         
@@ -366,6 +416,40 @@ export class ShaderManager {
         return null;
     }
     
+    /**
+     * Convert a GLSL ES 1.00 shader to GLSL ES 3.00 for WebGL2
+     * @param {string} source - GLSL ES 1.00 shader source (version directive already set)
+     * @param {string} shaderType - 'vertex' or 'fragment'
+     * @returns {string} GLSL ES 3.00 source
+     */
+    convertToWebGL2(source, shaderType) {
+        let converted = source;
+        
+        if (shaderType === 'vertex') {
+            converted = converted.replace(/\battribute\s+/g, 'in ');
+            converted = converted.replace(/\bvarying\s+/g, 'out ');
+        } else {
+            converted = converted.replace(/\bvarying\s+/g, 'in ');
+            
+            // Replace the built-in output with a declared one
+            if (/\bgl_FragColor\b/.test(converted)) {
+                converted = converted.replace(/\bgl_FragColor\b/g, 'fragColor');
+                
+                // Declare it after the float precision statement (required before any float type)
+                const precisionMatch = converted.match(/precision\s+\w+\s+float\s*;/);
+                const insertPos = precisionMatch ? precisionMatch.index + precisionMatch[0].length : 0;
+                converted = converted.slice(0, insertPos) +
+                           '\nout vec4 fragColor;\n' +
+                           converted.slice(insertPos);
+            }
+        }
+        
+        // Convert texture functions
+        converted = converted.replace(/\btexture(2D|Cube)\s*\(/g, 'texture(');
+        
+        return converted;
+    }
+    
     /**
      * Convert WebGL2 shader to WebGL1 compatibility
      * @param {string} source - WebGL2 shader source
@@ -485,8 +569,9 @@ export class ShaderManager {
      * @param {string} vertexPath - Vertex shader path
      * @param {string} fragmentPath - Fragment shader path
      * @param {Object} defines - Shader defines
+     * @param {Object} options - Link options
      */
-    setupHotReload(name, vertexPath, fragmentPath, defines) {
+    setupHotReload(name, vertexPath, fragmentPath, defines, options = {}) {
         const reloadFunction = async () => {
             try {
                 console.log(`Hot-reloading shader program: ${name}`);
@@ -499,7 +584,7 @@ export class ShaderManager {
                 }
                 
                 // Reload and recompile
-                const newProgram = await this.loadShaderProgram(vertexPath, fragmentPath, defines, name);
+                const newProgram = await this.loadShaderProgram(vertexPath, fragmentPath, defines, name, options);
                 
                 // Notify callbacks
                 const callbacks = this.reloadCallbacks.get(name);
@@ -9,6 +9,9 @@
  */
 
 import { BaseVisualizer } from '../visualizers/base/BaseVisualizer.js';
+import { SpectrumVisualizer } from '../visualizers/spectrum/SpectrumVisualizer.js';
+import { WaveformVisualizer } from '../visualizers/waveform/WaveformVisualizer.js';
+import { ParticleFieldVisualizer } from '../visualizers/particles/ParticleFieldVisualizer.js';
 import { MathUtils } from '../utils/MathUtils.js';
 import { ColorUtils } from '../utils/ColorUtils.js';
 import { performanceMonitor } from './PerformanceMonitor.js';
@@ -41,6 +44,10 @@ export class VisualizerManager {
         this.transitionProgress = 0;
         this.transitionStartTime = 0;
         
+        // Frame clock in ms, advanced by update(); transitions and auto-switching run on it
+        // so a fixed-timestep export does not depend on wall time
+        this.clock = 0;
+        
         // Performance tracking
         this.performanceMetrics = {
             averageFPS: 0,
@@ -73,7 +80,8 @@ export class VisualizerManager {
             audioEngine: null,
             materialManager: null,
             shaderManager: null,
-            uiManager: null
+            uiManager: null,
+            random: null
         };
         
         // WebGL context
@@ -83,20 +91,26 @@ export class VisualizerManager {
         // Auto-switching system
         this.autoSwitch = {
             enabled: options.enableAutoSwitch === true,
-            mode: 'time', // 'time', 'audio', 'random', 'energy'
+            mode: 'time', // 'time', 'audio', 'random', 'energy', 'phrase', 'structure'
             interval: options.autoSwitchInterval || 60000, // ms
             lastSwitch: 0,
+            scheduledSwitch: null,  // Structure mode: media time (s) of a switch timed to land on a drop
+            dropSwitched: false,    // Structure mode: the coming drop section was already switched to
             criteria: {
                 energyChange: 0.4,
                 genreChange: true,
                 beatPatternChange: 0.3,
-                userActivity: false
+                userActivity: false,
+                phraseBars: 8,          // Phrase mode: shortest phrase to switch on
+                phraseConfidence: 0.2,  // Phrase mode: minimum phrase tracking confidence
+                structureMinInterval: 8000  // Structure mode: minimum ms between section switches
             }
         };
         
         // Event system
         this.eventCallbacks = new Map([
             ['visualizerRegistered', []],
+            ['visualizerUnregistered', []],
             ['visualizerActivated', []],
             ['visualizerDeactivated', []],
             ['transitionStarted', []],
@@ -126,7 +140,7 @@ export class VisualizerManager {
             enabled: true,
             maxRetries: 3,
             retryDelay: 1000,
-            fallbackVisualizer: 'simple_waveform',
+            fallbackVisualizer: 'waveform',
             criticalErrors: new Set()
         };
         
@@ -231,6 +245,34 @@ export class VisualizerManager {
         console.log(`Registered visualizer type: ${name}`, typeInfo.metadata);
     }
     
+    /**
+     * Unregister a visualizer type and dispose its inactive instances
+     * @param {string} name - Visualizer type name
+     * @returns {boolean} Whether the type was registered
+     */
+    unregisterVisualizerType(name) {
+        const typeInfo = this.visualizerTypes.get(name);
+        if (!typeInfo) return false;
+        
+        if (this.currentVisualizer instanceof typeInfo.class) {
+            throw new Error(`Cannot unregister visualizer type while it is active: ${name}`);
+        }
+        
+        this.visualizers.forEach(visualizer => {
+            if (visualizer instanceof typeInfo.class) {
+                this.activeVisualizers.delete(visualizer.id);
+                this.disposeVisualizer(visualizer);
+            }
+        });
+        this.preloadedVisualizers.delete(name);
+        
+        this.visualizerTypes.delete(name);
+        this.emit('visualizerUnregistered', { name });
+        
+        console.log(`Unregistered visualizer type: ${name}`);
+        return true;
+    }
+    
     /**
      * Create and activate a visualizer
      * @param {string} type - Visualizer type name
@@ -250,7 +292,7 @@ export class VisualizerManager {
             // Create visualizer instance
             const visualizer = new VisualizerClass(
                 config.name || `${type}_${Date.now()}`,
-                { ...typeInfo.metadata, ...config }
+                { ...typeInfo.metadata, type, ...config }
             );
             
             // Initialize visualizer
@@ -322,7 +364,7 @@ export class VisualizerManager {
             
             // Update statistics
             this.statistics.visualizerSwitches++;
-            this.autoSwitch.lastSwitch = Date.now();
+            this.autoSwitch.lastSwitch = this.clock;
             
             console.log(`Switched to visualizer: ${type}`);
             
@@ -334,7 +376,7 @@ export class VisualizerManager {
     
     /**
      * Update all active visualizers
-     * @param {number} deltaTime - Time since last update
+     * @param {number} deltaTime - Time since last update (seconds)
      * @param {Object} audioData - Current audio data
      */
     update(deltaTime, audioData) {
@@ -342,6 +384,8 @@ export class VisualizerManager {
         
         const startTime = performance.now();
         
+        this.clock += deltaTime * 1000;
+        
         // Update audio data cache
         this.updateAudioData(audioData);
         
@@ -438,6 +482,7 @@ export class VisualizerManager {
     async immediateSwitch(targetVisualizer) {
         if (this.currentVisualizer) {
             this.currentVisualizer.deactivate();
+            this.cleanupInactiveVisualizer(this.currentVisualizer);
         }
         
         this.currentVisualizer = targetVisualizer;
@@ -457,7 +502,7 @@ export class VisualizerManager {
         
         this.isTransitioning = true;
         this.transitionProgress = 0;
-        this.transitionStartTime = performance.now();
+        this.transitionStartTime = this.clock;
         this.transitions.currentType = transitionType;
         
         // Activate target visualizer
@@ -478,7 +523,7 @@ export class VisualizerManager {
      * Update transition progress
      */
     updateTransition(deltaTime) {
-        const elapsed = performance.now() - this.transitionStartTime;
+        const elapsed = this.clock - this.transitionStartTime;
         const duration = this.config.transitionDuration;
         
         this.transitionProgress = Math.min(elapsed / duration, 1.0);
@@ -503,15 +548,19 @@ export class VisualizerManager {
         this.isTransitioning = false;
         this.transitionProgress = 0;
         
+        // Both visualizers may be shown again later at full opacity
+        this.setTransitionAlpha(this.currentVisualizer, 1.0);
+        
         // Deactivate previous visualizer
         if (this.previousVisualizer) {
+            this.setTransitionAlpha(this.previousVisualizer, 1.0);
             this.previousVisualizer.deactivate();
             this.cleanupInactiveVisualizer(this.previousVisualizer);
         }
         
         this.emit('transitionCompleted', {
             visualizer: this.currentVisualizer,
-            duration: performance.now() - this.transitionStartTime
+            duration: this.clock - this.transitionStartTime
         });
         
         this.previousVisualizer = null;
@@ -632,10 +681,8 @@ export class VisualizerManager {
     isValidVisualizerClass(VisualizerClass) {
         try {
             // Check if it extends BaseVisualizer
-            const prototype = VisualizerClass.prototype;
-            return prototype instanceof BaseVisualizer.constructor ||
-                   VisualizerClass.prototype.constructor === BaseVisualizer ||
-                   prototype.isPrototypeOf(BaseVisualizer.prototype);
+            return typeof VisualizerClass === 'function' &&
+                   VisualizerClass.prototype instanceof BaseVisualizer;
         } catch (error) {
             return false;
         }
@@ -686,9 +733,37 @@ export class VisualizerManager {
      * Register built-in visualizer types
      */
     async registerBuiltinVisualizers() {
-        // Built-in visualizers would be registered here
-        // For now, this is a placeholder for future implementations
-        console.log('Built-in visualizers registered');
+        this.registerVisualizerType('spectrum', SpectrumVisualizer, {
+            name: 'Spectrum',
+            description: 'Log-frequency spectrum as bars or a radial burst with falling peaks',
+            category: 'spectrum',
+            complexity: 'low',
+            performance: 'high',
+            audioReactive: true,
+            audioFeatures: ['frequencyData', 'energy', 'bass', 'beat']
+        });
+        
+        this.registerVisualizerType('waveform', WaveformVisualizer, {
+            name: 'Oscilloscope',
+            description: 'Trigger-stabilized waveform trace as a line or a ring',
+            category: 'waveform',
+            complexity: 'low',
+            performance: 'high',
+            audioReactive: true,
+            audioFeatures: ['timeData', 'energy', 'treble', 'beat']
+        });
+        
+        this.registerVisualizerType('particle-field', ParticleFieldVisualizer, {
+            name: 'Particle Field',
+            description: 'Orbiting particle cloud driven by vortex and turbulence forces',
+            category: 'particles',
+            complexity: 'medium',
+            performance: 'medium',
+            audioReactive: true,
+            audioFeatures: ['frequencyData', 'energy', 'bass', 'treble', 'beat', 'beatStrength']
+        });
+        
+        console.log('Built-in visualizers registered:', this.getAvailableTypes());
     }
     
     /**
@@ -722,6 +797,13 @@ export class VisualizerManager {
      */
     updateAudioData(audioData) {
         if (audioData) {
+            // History from before a seek no longer describes the music, nor does a drop predicted from it
+            if (audioData.seeked) {
+                this.audioData.history.length = 0;
+                this.autoSwitch.scheduledSwitch = null;
+                this.autoSwitch.dropSwitched = false;
+            }
+            
             this.audioData.current = audioData;
             this.audioData.history.push(audioData);
             
@@ -761,8 +843,16 @@ export class VisualizerManager {
      * Handle auto-switching logic
      */
     handleAutoSwitching(audioData) {
-        const now = Date.now();
-        const timeSinceLastSwitch = now - this.autoSwitch.lastSwitch;
+        const timeSinceLastSwitch = this.clock - this.autoSwitch.lastSwitch;
+        
+        // A switch timed for a predicted drop ignores the interval (media time: waits while paused)
+        if (this.autoSwitch.scheduledSwitch !== null && audioData &&
+            audioData.time >= this.autoSwitch.scheduledSwitch) {
+            this.autoSwitch.scheduledSwitch = null;
+            this.autoSwitch.dropSwitched = true;
+            this.autoSwitchToRandomVisualizer();
+            return;
+        }
         
         if (timeSinceLastSwitch < this.autoSwitch.interval) {
             return;
@@ -781,7 +871,14 @@ export class VisualizerManager {
                 shouldSwitch = this.shouldSwitchBasedOnEnergy(audioData);
                 break;
             case 'random':
-                shouldSwitch = Math.random() < 0.1; // 10% chance each check
+                shouldSwitch = this.nextRandom() < 0.1; // 10% chance each check
+                break;
+            case 'phrase':
+                shouldSwitch = this.shouldSwitchOnPhrase(audioData, timeSinceLastSwitch);
+                break;
+            case 'structure':
+                // Sections switch through handleStructureEvent; this is the fallback
+                shouldSwitch = timeSinceLastSwitch >= this.autoSwitch.interval * 2;
                 break;
         }
         
@@ -790,6 +887,48 @@ export class VisualizerManager {
         }
     }
     
+    /**
+     * React to song structure events from the AudioEngine (structure mode)
+     * A new section switches the visualizer; a predicted drop schedules the switch
+     * so its transition finishes as the drop lands, and the drop's own section
+     * event is then skipped. The switch is scheduled in media time, so it follows
+     * pauses and rate changes; a seek cancels it (updateAudioData).
+     * @param {string} event - 'section' or 'dropIncoming'
+     * @param {Object} structure - StructureAnalyzer output of the frame
+     * @param {Object} audioData - Audio data of the frame (its `time` is the media time)
+     */
+    handleStructureEvent(event, structure, audioData = this.audioData.current) {
+        if (!this.autoSwitch.enabled || this.autoSwitch.mode !== 'structure' || !structure) return;
+        
+        if (event === 'dropIncoming' && structure.dropIncoming) {
+            if (audioData && Number.isFinite(audioData.time)) {
+                const lead = structure.dropIncoming.eta - this.config.transitionDuration / 1000;
+                this.autoSwitch.scheduledSwitch = audioData.time + Math.max(0, lead);
+            }
+            return;
+        }
+        
+        if (event === 'section' && structure.section) {
+            if (structure.section.label === 'drop' && this.autoSwitch.dropSwitched) {
+                this.autoSwitch.dropSwitched = false;
+                return;
+            }
+            this.autoSwitch.dropSwitched = false;
+            
+            if (this.clock - this.autoSwitch.lastSwitch >= this.autoSwitch.criteria.structureMinInterval) {
+                this.autoSwitchToRandomVisualizer();
+            }
+        }
+    }
+    
+    /**
+     * Next random value in [0, 1) from the shared random service
+     */
+    nextRandom() {
+        const random = this.integrations.random;
+        return random ? random.getStream('visualizers').next() : Math.random();
+    }
+    
     /**
      * Auto-switch to random visualizer
      */
@@ -801,7 +940,7 @@ export class VisualizerManager {
         const otherTypes = availableTypes.filter(type => type !== currentType);
         
         if (otherTypes.length > 0) {
-            const randomType = otherTypes[Math.floor(Math.random() * otherTypes.length)];
+            const randomType = otherTypes[Math.floor(this.nextRandom() * otherTypes.length)];
             try {
                 await this.switchVisualizer(randomType, { transition: 'fade' });
                 console.log(`Auto-switched to: ${randomType}`);
@@ -967,6 +1106,23 @@ export class VisualizerManager {
         return energy > 0.8 || bass > 0.7;
     }
     
+    /**
+     * Check for a phrase boundary from the beat detector's phrase tracking
+     * Once the interval has passed, switches on the next phrase of at least
+     * criteria.phraseBars bars. Music without trackable phrases still switches
+     * after twice the interval.
+     */
+    shouldSwitchOnPhrase(audioData, timeSinceLastSwitch) {
+        const criteria = this.autoSwitch.criteria;
+        const phrase = audioData ? audioData.phrase : null;
+        
+        if (phrase && phrase.boundary >= criteria.phraseBars && phrase.confidence >= criteria.phraseConfidence) {
+            return true;
+        }
+        
+        return timeSinceLastSwitch >= this.autoSwitch.interval * 2;
+    }
+    
     /**
      * Calculate average FPS
      */
@@ -1049,6 +1205,23 @@ export class VisualizerManager {
         return this.currentVisualizer ? this.currentVisualizer.getInfo() : null;
     }
     
+    /**
+     * Modulation parameters of the current visualizer, prefixed with 'visualizer.'
+     * The descriptors stay bound to that instance after a switch
+     * @returns {Array<Object>} Parameter descriptors
+     */
+    getModulationParameters() {
+        if (!this.currentVisualizer || typeof this.currentVisualizer.getModulationParameters !== 'function') {
+            return [];
+        }
+        
+        return this.currentVisualizer.getModulationParameters().map(descriptor => ({
+            ...descriptor,
+            id: `visualizer.${descriptor.id}`,
+            group: 'visualizer'
+        }));
+    }
+    
     /**
      * Get performance metrics
      */
@@ -1215,6 +1388,3 @@ export class VisualizerManager {
         console.log('VisualizerManager disposed');
     }
 }
-
-// Export the VisualizerManager class
-export { VisualizerManager };
\ No newline at end of file
@@ -18,6 +18,11 @@
 import { AudioEngine } from './core/AudioEngine.js';
 import { RenderEngine } from './core/RenderEngine.js';
 import { VisualizerManager } from './core/VisualizerManager.js';
+import { FrameExporter } from './core/FrameExporter.js';
+import { PluginLoader } from './core/PluginLoader.js';
+import { ModulationMatrix } from './core/ModulationMatrix.js';
+import { MidiController } from './core/MidiController.js';
+import { PlaylistManager } from './core/PlaylistManager.js';
 import { shaderManager } from './core/ShaderManager.js';
 import { performanceMonitor } from './core/PerformanceMonitor.js';
 
@@ -45,6 +50,7 @@ import { webglUtils } from './utils/WebGLUtils.js';
 import { MathUtils } from './utils/MathUtils.js';
 import { ColorUtils } from './utils/ColorUtils.js';
 import { FileUtils } from './utils/FileUtils.js';
+import { RandomService } from './utils/RandomService.js';
 
 /**
  * Main Application Class
@@ -73,12 +79,22 @@ class GLSLMusicVisualizer {
             enablePostProcessing: options.enablePostProcessing !== false,
             defaultMaterial: options.defaultMaterial || 'water_pure',
             
+            // Plugin directories (URLs or ids under pluginsPath) loaded at startup
+            plugins: options.plugins || [],
+            pluginsPath: options.pluginsPath || './plugins/',
+            
+            // Run seed for all simulation randomness (a random seed is picked and recorded when null)
+            seed: options.seed !== undefined ? options.seed : null,
+            
             // UI settings
             enableUI: options.enableUI !== false,
             enableMobileUI: options.enableMobileUI !== false,
             enableKeyboardShortcuts: options.enableKeyboardShortcuts !== false,
             enableAccessibility: options.enableAccessibility !== false,
             
+            // MIDI controller input (mappings are learned in the control panel)
+            enableMIDI: options.enableMIDI !== false,
+            
             // Performance settings
             enablePerformanceMonitoring: options.enablePerformanceMonitoring !== false,
             enableProfiler: options.enableProfiler === true,
@@ -168,6 +184,7 @@ class GLSLMusicVisualizer {
             ['stopped', []],
             ['visualizerChanged', []],
             ['materialChanged', []],
+            ['trackChanged', []],
             ['audioConnected', []],
             ['audioDisconnected', []],
             ['performanceChanged', []],
@@ -180,12 +197,49 @@ class GLSLMusicVisualizer {
         this.lastTime = 0;
         this.deltaTime = 0;
         
+        // Audio data supplied per frame when rendering on a fixed timestep
+        this.frameAudioData = null;
+        this.frameExporter = null;
+        
+        // Visualizer plugins
+        this.pluginLoader = null;
+        
+        // Shared seeded random source, injected into systems through their integrations
+        this.random = new RandomService(this.config.seed);
+        this.config.seed = this.random.getSeed();
+        MathUtils.setRandomSource(this.random.getStream('math'));
+        
+        // Audio-to-parameter routings, filled with targets in setupSystemIntegrations
+        this.modulation = new ModulationMatrix();
+        
+        // Hardware control surfaces; mapped controls go through handleParameterChange
+        this.midi = new MidiController({
+            enabled: this.config.enableMIDI,
+            onParameterChange: (param, value, source) => {
+                this.handleParameterChange(param, value, source);
+            }
+        });
+        
+        // Track queue; attached to the audio engine once it exists
+        this.playlist = new PlaylistManager({
+            random: this.random.getStream('playlist')
+        });
+        
         // Bound methods
         this.update = this.update.bind(this);
         this.render = this.render.bind(this);
         this.onResize = this.onResize.bind(this);
         this.onVisibilityChange = this.onVisibilityChange.bind(this);
         this.onError = this.onError.bind(this);
+        this.onSeedChanged = this.onSeedChanged.bind(this);
+        this.onVisualizerChanged = this.onVisualizerChanged.bind(this);
+        this.onMaterialChanged = this.onMaterialChanged.bind(this);
+        this.onMidiTempo = this.onMidiTempo.bind(this);
+        this.onMidiClockBeat = this.onMidiClockBeat.bind(this);
+        this.onMidiClockStop = this.onMidiClockStop.bind(this);
+        this.onAudioStructure = this.onAudioStructure.bind(this);
+        this.onTrackChanged = this.onTrackChanged.bind(this);
+        this.onStemsChanged = this.onStemsChanged.bind(this);
         
         console.log('GLSLMusicVisualizer created', {
             version: '1.0.0',
@@ -233,6 +287,11 @@ class GLSLMusicVisualizer {
                 await this.initializeUISystem();
             }
             
+            // Connect MIDI controllers (optional, the app runs without them)
+            if (this.config.enableMIDI) {
+                await this.initializeMidiInput();
+            }
+            
             // Setup integrations between systems
             this.setupSystemIntegrations();
             
@@ -442,6 +501,7 @@ class GLSLMusicVisualizer {
         // Initialize Particle System
         this.physicsSystems.particles = new ParticleSystem({
             maxParticles: 10000,
+            seed: this.random.deriveSeed('particles'),
             enableAudioReactivity: true,
             enableWebGL: true,
             updateMode: 'hybrid'
@@ -452,6 +512,7 @@ class GLSLMusicVisualizer {
         // Initialize Metaball System
         this.physicsSystems.metaballs = new MetaballSystem({
             maxMetaballs: 32,
+            seed: this.random.deriveSeed('metaballs'),
             enableAudioReactivity: true,
             enablePhysics: true
         });
@@ -461,6 +522,7 @@ class GLSLMusicVisualizer {
         // Initialize Fluid Simulation
         this.physicsSystems.fluid = new FluidSimulation({
             resolution: 512,
+            seed: this.random.deriveSeed('fluid'),
             enableViscosity: true,
             enableAdvection: true,
             enableAudioReactivity: true
@@ -470,6 +532,7 @@ class GLSLMusicVisualizer {
         
         // Initialize Material Physics
         this.physicsSystems.material = new MaterialPhysics({
+            seed: this.random.deriveSeed('materialPhysics'),
             enablePhaseTransitions: true,
             enableSurfaceTension: true,
             audioReactive: true
@@ -522,7 +585,8 @@ class GLSLMusicVisualizer {
             shaderManager: shaderManager,
             particleSystem: this.physicsSystems.particles,
             metaballSystem: this.physicsSystems.metaballs,
-            fluidSimulation: this.physicsSystems.fluid
+            fluidSimulation: this.physicsSystems.fluid,
+            random: this.random
         };
         
         await this.engines.visualizer.initialize(integrations, this.canvas);
@@ -536,13 +600,46 @@ class GLSLMusicVisualizer {
             audioReactive: true
         });
         
+        // Register plugin visualizers and presets
+        await this.initializePlugins();
+        
         // Set default visualizer
-        await this.engines.visualizer.setActiveVisualizer(this.config.defaultVisualizer);
+        await this.engines.visualizer.switchVisualizer(this.config.defaultVisualizer, { immediate: true });
         this.state.currentVisualizer = this.config.defaultVisualizer;
         
         console.log('✅ Visualizer system initialized');
     }
     
+    /**
+     * Load configured plugins
+     */
+    async initializePlugins() {
+        this.pluginLoader = new PluginLoader({
+            pluginsPath: this.config.pluginsPath
+        });
+        
+        this.pluginLoader.initialize(this.gl, {
+            visualizerManager: this.engines.visualizer,
+            materialPresets: this.engines.material.presets,
+            shaderManager: shaderManager
+        });
+        
+        // A broken plugin is reported but does not stop startup
+        this.pluginLoader.on('pluginError', ({ id, error }) => {
+            const warning = { type: 'plugin', message: `Plugin ${id} failed to load: ${error.message}`, timestamp: Date.now() };
+            this.errorHandler.warnings.push(warning);
+            
+            if (this.errorHandler.onWarning) {
+                this.errorHandler.onWarning(warning);
+            }
+        });
+        
+        if (this.config.plugins.length > 0) {
+            const loaded = await this.pluginLoader.loadPlugins(this.config.plugins);
+            console.log(`🧩 Loaded ${loaded.length}/${this.config.plugins.length} plugins`);
+        }
+    }
+    
     /**
      * Initialize UI system
      */
@@ -554,6 +651,9 @@ class GLSLMusicVisualizer {
             renderEngine: this.engines.render,
             visualizerManager: this.engines.visualizer,
             materialManager: this.engines.material,
+            modulationMatrix: this.modulation,
+            midiController: this.midi,
+            playlist: this.playlist,
             
             enableAdvancedUI: true,
             enableMobileLayout: this.config.enableMobileUI,
@@ -575,6 +675,21 @@ class GLSLMusicVisualizer {
         console.log('✅ UI system initialized');
     }
     
+    /**
+     * Request Web MIDI access and connect controller inputs
+     */
+    async initializeMidiInput() {
+        console.log('🎹 Initializing MIDI input...');
+        
+        const available = await this.midi.initialize();
+        
+        if (available) {
+            console.log('✅ MIDI input initialized');
+        } else {
+            console.log('⚠️ MIDI input unavailable, continuing without controllers');
+        }
+    }
+    
     /**
      * Setup integrations between systems
      */
@@ -592,9 +707,32 @@ class GLSLMusicVisualizer {
             particleSystem: this.physicsSystems.particles,
             metaballSystem: this.physicsSystems.metaballs,
             renderEngine: this.engines.render,
-            audioEngine: this.engines.audio
+            audioEngine: this.engines.audio,
+            random: this.random,
+            modulationMatrix: this.modulation
         });
         
+        // Reseed physics whenever the run seed changes (setSeed, imported configurations)
+        this.random.on('seedChanged', this.onSeedChanged);
+        
+        // Expose system parameters to audio modulation
+        this.registerModulationTargets();
+        
+        // Section changes and predicted drops drive structure-mode transitions
+        this.engines.audio.onStructure(this.onAudioStructure);
+        
+        // Stems of a loaded stem set become modulation sources
+        this.engines.audio.onStemsChanged(this.onStemsChanged);
+        
+        // Playlist transitions run through the audio engine and switch per-track presets
+        this.playlist.setAudioEngine(this.engines.audio);
+        this.playlist.on('trackChanged', this.onTrackChanged);
+        
+        // MIDI clock drives the tempo of the audio engine's beat tracking
+        this.midi.on('tempo', this.onMidiTempo);
+        this.midi.on('clockBeat', this.onMidiClockBeat);
+        this.midi.on('clockStop', this.onMidiClockStop);
+        
         // Setup performance monitoring integration
         if (this.config.enablePerformanceMonitoring) {
             performanceMonitor.addSystemMetrics('audio', this.engines.audio);
@@ -799,34 +937,10 @@ class GLSLMusicVisualizer {
         // Calculate delta time
         this.deltaTime = (currentTime - this.lastTime) / 1000;
         this.lastTime = currentTime;
-        this.state.frameCount++;
-        
-        // Performance tracking
-        const updateStart = performance.now();
         
         try {
-            // Update audio processors
-            this.updateAudioProcessors();
-            
-            // Update physics systems
-            this.updatePhysicsSystems();
-            
-            // Update material system
-            this.updateMaterialSystem();
-            
-            // Update visualizer
-            this.updateVisualizer();
-            
-            // Update UI system
-            if (this.engines.ui) {
-                this.engines.ui.handleAudioUpdate(this.getAudioData());
-            }
-            
-            // Record update performance
-            this.performance.updateTime = performance.now() - updateStart;
-            
-            // Render frame
-            this.render();
+            // Advance and render
+            this.step();
             
             // Schedule next frame
             this.animationFrame = requestAnimationFrame(this.update);
@@ -836,6 +950,98 @@ class GLSLMusicVisualizer {
         }
     }
     
+    /**
+     * Advance all systems by the current delta time and render one frame
+     */
+    step() {
+        this.state.frameCount++;
+        
+        // Performance tracking
+        const updateStart = performance.now();
+        
+        // Update audio processors (pre-computed frame data replaces live analysis)
+        if (!this.frameAudioData) {
+            this.updateAudioProcessors();
+        }
+        
+        // Drop the MIDI clock tempo when the clock went silent without a stop (wall time,
+        // so not while rendering on a fixed clock)
+        if (!this.frameAudioData) {
+            this.midi.checkClockTimeout();
+        }
+        
+        // Apply audio modulation routings before systems read their parameters
+        this.modulation.update(this.deltaTime, this.getAudioData());
+        
+        // Update physics systems
+        this.updatePhysicsSystems();
+        
+        // Update material system
+        this.updateMaterialSystem();
+        
+        // Update visualizer
+        this.updateVisualizer();
+        
+        // Update UI system
+        if (this.engines.ui) {
+            this.engines.ui.handleAudioUpdate(this.getAudioData());
+        }
+        
+        // Record update performance
+        this.performance.updateTime = performance.now() - updateStart;
+        
+        // Render frame
+        this.render();
+    }
+    
+    /**
+     * Render a single frame on a fixed clock, independent of requestAnimationFrame
+     * @param {number} time - Media time in seconds
+     * @param {number} deltaTime - Fixed timestep in seconds
+     * @param {Object} audioData - Pre-computed audio data (AudioEngine.getAudioData layout)
+     */
+    renderFrame(time, deltaTime, audioData) {
+        this.deltaTime = deltaTime;
+        this.lastTime = time * 1000;
+        this.frameAudioData = this.createFrameAudioData(audioData, time);
+        this.engines.render.setFrameTime(time);
+        
+        try {
+            this.step();
+        } finally {
+            this.frameAudioData = null;
+        }
+    }
+    
+    /**
+     * Map AudioEngine-layout data onto the layout returned by getAudioData
+     * @param {Object} audioData - Audio data from analysis or replay
+     * @param {number} time - Media time in seconds
+     * @returns {Object} Audio data for all systems
+     */
+    createFrameAudioData(audioData, time) {
+        return {
+            ...audioData,
+            
+            bass: audioData.bassLevel,
+            mid: audioData.midLevel,
+            treble: audioData.trebleLevel,
+            tempo: audioData.bpm || 120,
+            chromagram: audioData.chroma,
+            
+            features: {
+                energy: audioData.energy,
+                bass: audioData.bassLevel,
+                mid: audioData.midLevel,
+                treble: audioData.trebleLevel,
+                beat: audioData.beat,
+                beatStrength: audioData.beatStrength
+            },
+            
+            timestamp: time * 1000
+        };
+    }
+    
     /**
      * Update audio processors
      */
@@ -900,6 +1106,9 @@ class GLSLMusicVisualizer {
             // Get current material properties
             const materialProps = this.engines.material.getRenderProperties();
             
+            // Scene goes to the HDR target when post-processing is active
+            this.engines.render.beginScene();
+            
             // Render visualizer
             this.engines.visualizer.render(this.deltaTime, {
                 materialProps,
@@ -907,6 +1116,10 @@ class GLSLMusicVisualizer {
                 timestamp: this.lastTime
             });
             
+            // Effect chain (bloom, tone mapping, lens effects) to the screen
+            this.engines.render.updatePostProcessing(this.getAudioData());
+            this.engines.render.renderPostProcessing();
+            
             // Record render performance
             this.performance.renderTime = performance.now() - renderStart;
             this.performance.frameTime = this.performance.updateTime + this.performance.renderTime;
@@ -925,36 +1138,18 @@ class GLSLMusicVisualizer {
      * Get current audio data for systems
      */
     getAudioData() {
+        if (this.frameAudioData) {
+            return this.frameAudioData;
+        }
+        
         if (!this.state.audioConnected || !this.engines.audio) {
             return null;
         }
         
+        // Live analysis in the same shape as replayed frames
         return {
-            // Raw audio data
-            frequencyData: this.engines.audio.getFrequencyData(),
-            timeData: this.engines.audio.getTimeData(),
-            
-            // Processed audio features
-            energy: this.audioProcessors.spectral?.getEnergy() || 0,
-            bass: this.audioProcessors.spectral?.getBass() || 0,
-            mid: this.audioProcessors.spectral?.getMid() || 0,
-            treble: this.audioProcessors.spectral?.getTreble() || 0,
-            
-            // Beat detection
-            beat: this.audioProcessors.beat?.isBeat() || false,
-            beatStrength: this.audioProcessors.beat?.getBeatStrength() || 0,
-            tempo: this.audioProcessors.beat?.getTempo() || 120,
-            
-            // Advanced features
-            mfcc: this.audioProcessors.features?.getMFCC() || null,
-            chromagram: this.audioProcessors.features?.getChromagram() || null,
-            spectralCentroid: this.audioProcessors.features?.getSpectralCentroid() || 0,
-            spectralRolloff: this.audioProcessors.features?.getSpectralRolloff() || 0,
-            
-            // Metadata
-            timestamp: performance.now(),
-            sampleRate: this.engines.audio.getSampleRate(),
-            bufferSize: this.engines.audio.getBufferSize()
+            ...this.createFrameAudioData(this.engines.audio.getAudioData(), performance.now() / 1000),
+            sampleRate: this.engines.audio.audioContext?.sampleRate || 44100
         };
     }
     
@@ -1356,7 +1551,7 @@ class GLSLMusicVisualizer {
      */
     async setVisualizer(visualizerName) {
         try {
-            await this.engines.visualizer.setActiveVisualizer(visualizerName);
+            await this.engines.visualizer.switchVisualizer(visualizerName);
             this.state.currentVisualizer = visualizerName;
             this.emit('visualizerChanged', { visualizer: visualizerName });
         } catch (error) {
@@ -1390,6 +1585,23 @@ class GLSLMusicVisualizer {
         }
     }
     
+    /**
+     * Load a stem set (drums, bass, vocals, ...) as one song and play it
+     * @param {Object} stems - Stem files or URLs by stem name
+     * @param {Object} options - AudioEngine.loadStems options
+     */
+    async loadStems(stems, options = {}) {
+        try {
+            const info = await this.engines.audio.loadStems(stems, options);
+            await this.engines.audio.playAudioFile();
+            this.state.audioConnected = true;
+            this.emit('audioConnected', { source: 'stems', file: info.name, stems: info.stems.map(stem => stem.name) });
+            return info;
+        } catch (error) {
+            this.handleError('loadStems', error);
+        }
+    }
+    
     /**
      * Connect to microphone
      */
@@ -1430,6 +1642,226 @@ class GLSLMusicVisualizer {
         if (this.config.enablePerformanceMonitoring) {
             performanceMonitor.setAdaptiveQuality(enabled);
         }
+        
+        if (this.engines.visualizer) {
+            this.engines.visualizer.config.adaptiveQuality = enabled;
+            
+            const visualizer = this.engines.visualizer.currentVisualizer;
+            if (visualizer && visualizer.setAdaptiveQuality) {
+                visualizer.setAdaptiveQuality(enabled);
+            }
+        }
+    }
+    
+    /**
+     * Reseed all simulation randomness and restart physics from its initial state
+     * @param {number|string} seed - Random seed
+     */
+    setSeed(seed) {
+        this.random.setSeed(seed);
+    }
+    
+    /**
+     * Get the current run seed
+     * @returns {number|string} Seed
+     */
+    getSeed() {
+        return this.random.getSeed();
+    }
+    
+    /**
+     * Get the run seed and random stream positions, including the physics systems' own streams
+     * @returns {Object} Random state (RandomService.getState plus { physics })
+     */
+    getRandomState() {
+        const physics = {};
+        Object.entries(this.physicsSystems).forEach(([name, system]) => {
+            if (system && system.random) {
+                physics[name] = system.random.getState();
+            }
+        });
+        
+        return { ...this.random.getState(), physics };
+    }
+    
+    /**
+     * Restore a random state saved by getRandomState()
+     * The physics systems keep their simulation state; only their streams are rewound.
+     * @param {Object} state - Random state
+     */
+    setRandomState(state) {
+        this.random.setState(state);
+        this.config.seed = state.seed;
+        
+        Object.entries(state.physics || {}).forEach(([name, streamState]) => {
+            const system = this.physicsSystems[name];
+            if (system && system.random) {
+                system.random.setState(streamState);
+            }
+        });
+    }
+    
+    /**
+     * Handle run seed changes
+     */
+    onSeedChanged({ seed }) {
+        this.config.seed = seed;
+        
+        this.physicsSystems.particles?.setSeed(this.random.deriveSeed('particles'));
+        this.physicsSystems.metaballs?.setSeed(this.random.deriveSeed('metaballs'));
+        this.physicsSystems.fluid?.setSeed(this.random.deriveSeed('fluid'));
+        this.physicsSystems.material?.setSeed(this.random.deriveSeed('materialPhysics'));
+    }
+    
+    /**
+     * Register the parameters of all systems as modulation targets
+     */
+    registerModulationTargets() {
+        this.modulation.registerParameters(this.engines.render.getModulationParameters());
+        this.modulation.registerParameters(this.engines.material.getModulationParameters());
+        this.modulation.registerParameters(this.physicsSystems.particles.getModulationParameters());
+        this.modulation.registerParameters(this.engines.visualizer.getModulationParameters());
+        
+        // Visualizer parameters follow the active visualizer
+        this.engines.visualizer.on('visualizerActivated', this.onVisualizerChanged);
+        this.engines.visualizer.on('transitionStarted', this.onVisualizerChanged);
+        
+        // Material parameters start from the new material's values
+        this.engines.material.on('materialChanged', this.onMaterialChanged);
+    }
+    
+    /**
+     * Swap the visualizer modulation targets for the new visualizer's
+     */
+    onVisualizerChanged() {
+        this.modulation.unregisterParameters('visualizer.');
+        this.modulation.registerParameters(this.engines.visualizer.getModulationParameters());
+    }
+    
+    /**
+     * Re-read material base values after a material change
+     */
+    onMaterialChanged() {
+        this.modulation.refreshBaseValues('material.');
+    }
+    
+    /**
+     * Hand song structure events to the material and visualizer auto-transitions
+     * @param {string} event - 'section' or 'dropIncoming'
+     * @param {Object} structure - Structure data of the frame
+     */
+    onAudioStructure(event, structure) {
+        this.engines.material.handleStructureEvent(event, structure, this.engines.audio.audioData);
+        this.engines.visualizer.handleStructureEvent(event, structure, this.engines.audio.audioData);
+    }
+    
+    /**
+     * Offer the loaded stems as modulation sources (e.g. stem.vocals.energy)
+     */
+    onStemsChanged(info) {
+        const stemNames = info ? info.stems.map(stem => stem.name) : [];
+        
+        // The melodic sum is reported alongside the stems themselves
+        if (info && info.melodic.length > 0) {
+            stemNames.push('melodic');
+        }
+        
+        this.modulation.setStemSources(stemNames);
+    }
+    
+    /**
+     * Switch to the visualizer and material stored with the new playlist track
+     */
+    async onTrackChanged({ track, previous, index }) {
+        const preset = track.preset || {};
+        
+        if (preset.visualizer && preset.visualizer !== this.state.currentVisualizer) {
+            await this.setVisualizer(preset.visualizer);
+        }
+        
+        if (preset.material && preset.material !== this.state.currentMaterial) {
+            await this.setMaterial(preset.material);
+        }
+        
+        this.emit('trackChanged', { track, previous, index });
+    }
+    
+    /**
+     * Apply the MIDI clock tempo to beat tracking while the override is enabled
+     */
+    onMidiTempo({ bpm, override }) {
+        const audio = this.engines.audio;
+        if (!audio) return;
+        
+        if (override) {
+            audio.setTempoOverride(bpm, 'midi');
+        } else {
+            audio.clearTempoOverride();
+        }
+    }
+    
+    /**
+     * Lock the beat phase to the MIDI clock quarter notes
+     */
+    onMidiClockBeat() {
+        const override = this.engines.audio ? this.engines.audio.getTempoOverride() : null;
+        if (override && override.source === 'midi') {
+            this.engines.audio.alignBeatPhase();
+        }
+    }
+    
+    /**
+     * Hand tempo tracking back to the audio analysis
+     */
+    onMidiClockStop() {
+        const override = this.engines.audio ? this.engines.audio.getTempoOverride() : null;
+        if (override && override.source === 'midi') {
+            this.engines.audio.clearTempoOverride();
+        }
+    }
+    
+    /**
+     * Render the current song frame by frame to PNG frames or a WebM video
+     * PNG frames need a frame sink (options.directory or options.onFrame).
+     * @param {AnalysisTrack|ArrayBuffer|string|Object} track - Analysis track (analyzes the loaded file when omitted)
+     * @param {Object} options - FrameExporter options (fps, format, seed, directory, ...)
+     * @returns {Promise<Object>} Export result
+     */
+    async exportFrames(track = null, options = {}) {
+        try {
+            const analysisTrack = track ||
+                this.engines.audio.getAnalysisTrack() ||
+                await this.engines.audio.analyzeOffline();
+            
+            this.frameExporter = new FrameExporter(this, {
+                seed: this.config.seed,
+                ...options
+            });
+            
+            const result = await this.frameExporter.export(analysisTrack);
+            
+            if (result.blob && options.download !== false) {
+                FileUtils.saveAsFile(result.blob, options.filename || 'visualizer-export.webm', 'video/webm');
+            }
+            
+            return result;
+            
+        } catch (error) {
+            this.handleError('export', error);
+            throw error;
+            
+        } finally {
+            this.frameExporter = null;
+        }
+    }
+    
+    /**
+     * Cancel a running frame export
+     */
+    cancelExport() {
+        if (this.frameExporter) {
+            this.frameExporter.cancel();
+        }
     }
     
     /**
@@ -1455,6 +1887,7 @@ class GLSLMusicVisualizer {
     getState() {
         return {
             ...this.state,
+            seed: this.random.getSeed(),
             performance: this.performance,
             systems: this.getSystemStatus()
         };
@@ -1469,6 +1902,9 @@ class GLSLMusicVisualizer {
             render: this.engines.render?.getStatus() || 'not initialized',
             visualizer: this.engines.visualizer?.getStatus() || 'not initialized',
             material: this.engines.material?.getStatus() || 'not initialized',
+            modulation: this.modulation.getStatus(),
+            midi: this.midi.getStatus(),
+            playlist: this.playlist.getStatus(),
             ui: this.engines.ui?.getState() || 'not initialized',
             webgl: this.gl ? 'active' : 'not available'
         };
@@ -1524,7 +1960,11 @@ class GLSLMusicVisualizer {
         window.removeEventListener('error', this.onError);
         window.removeEventListener('unhandledrejection', this.onUnhandledRejection);
         
+        // Unload plugins before the systems they registered with
+        if (this.pluginLoader) this.pluginLoader.dispose();
+        
         // Cleanup engines
+        this.playlist.dispose();
         if (this.engines.audio) this.engines.audio.dispose();
         if (this.engines.render) this.engines.render.dispose();
         if (this.engines.visualizer) this.engines.visualizer.dispose();
@@ -1544,6 +1984,16 @@ class GLSLMusicVisualizer {
         // Cleanup shader manager
         shaderManager.dispose();
         
+        // Restore modulated parameters and drop routings
+        this.modulation.dispose();
+        
+        // Disconnect MIDI inputs
+        this.midi.dispose();
+        
+        // Release the shared random source
+        this.random.dispose();
+        MathUtils.setRandomSource(null);
+        
         // Clear references
         this.engines = {};
         this.audioProcessors = {};
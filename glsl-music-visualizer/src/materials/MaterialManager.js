@@ -12,6 +12,18 @@ import { MathUtils } from '../utils/MathUtils.js';
 import { ColorUtils } from '../utils/ColorUtils.js';
 import { performanceMonitor } from '../core/PerformanceMonitor.js';
 
+// Properties editable at runtime (setProperty) and exposed to the modulation matrix
+const MATERIAL_PROPERTIES = {
+    density: { group: 'physical', label: 'Density', min: 1, max: 20000 },
+    viscosity: { group: 'physical', label: 'Viscosity', min: 0.0001, max: 1.0 },
+    surfaceTension: { group: 'physical', label: 'Surface Tension', min: 0, max: 1.0 },
+    temperature: { group: 'thermal', label: 'Temperature', min: 0, max: 2000 },
+    refractionIndex: { group: 'optical', label: 'Refraction Index', min: 1.0, max: 3.0 },
+    transparency: { group: 'optical', label: 'Transparency', min: 0, max: 1 },
+    metallic: { group: 'optical', label: 'Metallic', min: 0, max: 1 },
+    roughness: { group: 'optical', label: 'Roughness', min: 0, max: 1 }
+};
+
 export class MaterialManager {
     constructor(options = {}) {
         // Configuration
@@ -42,6 +54,10 @@ export class MaterialManager {
             lastUpdate: 0
         };
         
+        // Frame clock in ms, advanced by update(); auto-transitions run on it so a
+        // fixed-timestep export does not depend on wall time
+        this.clock = 0;
+        
         // Active transitions tracking
         this.activeTransitions = new Map();
         this.transitionQueue = [];
@@ -50,6 +66,8 @@ export class MaterialManager {
         this.audioState = {
             enabled: this.config.enableAudioReactivity,
             currentGenre: null,
+            genreConfidence: 0,
+            genreChanged: false,    // Genre changed since the last auto-transition
             energyHistory: new Array(30).fill(0),
             beatHistory: new Array(10).fill(false),
             adaptiveThresholds: {
@@ -87,13 +105,18 @@ export class MaterialManager {
         // Auto-transition system
         this.autoTransition = {
             enabled: this.config.enableAutoTransitions,
-            mode: 'audio', // 'audio', 'time', 'random'
+            mode: 'audio', // 'audio', 'time', 'random', 'phrase', 'structure'
             interval: 30000, // 30 seconds
             lastTransition: 0,
+            dropTime: null,     // Structure mode: media time (s) of the predicted drop being transitioned into
             criteria: {
                 energyChange: 0.3,
                 genreChange: true,
-                beatPatternChange: 0.5
+                genreConfidence: 0.5,   // Classifier confidence needed to switch genre
+                beatPatternChange: 0.5,
+                phraseBars: 8,          // Phrase mode: shortest phrase to transition on
+                phraseConfidence: 0.2,  // Phrase mode: minimum phrase tracking confidence
+                structureMinInterval: 8000  // Structure mode: minimum ms between section transitions
             }
         };
         
@@ -111,9 +134,14 @@ export class MaterialManager {
             particleSystem: null,
             metaballSystem: null,
             renderEngine: null,
-            audioEngine: null
+            audioEngine: null,
+            random: null,
+            modulationMatrix: null
         };
         
+        // Reseeds physics when the shared run seed changes (set with the random integration)
+        this.onSeedChanged = null;
+        
         console.log('MaterialManager initializing...', {
             enablePhysics: this.config.enablePhysics,
             enableInterpolation: this.config.enableInterpolation,
@@ -155,6 +183,10 @@ export class MaterialManager {
                     ...options.presets
                 });
                 
+                if (this.integrations.random) {
+                    this.presets.setRandomSource(this.integrations.random.getStream('materials'));
+                }
+                
                 // Load user presets
                 await this.presets.loadUserPresets();
                 console.log('✓ MaterialPresets initialized');
@@ -209,9 +241,19 @@ export class MaterialManager {
     update(deltaTime, audioData = null, fluidSimulation = null) {
         const startTime = performance.now();
         
+        this.clock += deltaTime * 1000;
+        
         try {
+            // A drop predicted before a seek is not the one ahead now
+            if (audioData && audioData.seeked) {
+                this.autoTransition.dropTime = null;
+            }
+            
             // Update audio state
             if (audioData && this.config.enableAudioReactivity) {
+                if (audioData.seeked) {
+                    this.resetAudioState();
+                }
                 this.updateAudioState(audioData);
             }
             
@@ -255,7 +297,7 @@ export class MaterialManager {
                 performanceMonitor.recordCPUTime('materials', this.performanceMetrics.updateTime);
             }
             
-            this.currentState.lastUpdate = performance.now();
+            this.currentState.lastUpdate = this.clock;
             
         } catch (error) {
             console.error('MaterialManager update error:', error);
@@ -334,6 +376,8 @@ export class MaterialManager {
         // Clear render cache
         this.renderCache.clear();
         
+        this.applyPresetModulation(materialPreset);
+        
         console.log(`Material changed immediately to: ${materialId}`);
         this.emit('materialChanged', {
             materialId,
@@ -379,7 +423,7 @@ export class MaterialManager {
         this.activeTransitions.set(transitionId, {
             fromMaterialId,
             toMaterialId,
-            startTime: performance.now(),
+            startTime: this.clock,
             options
         });
         
@@ -424,6 +468,8 @@ export class MaterialManager {
         // Clear caches
         this.renderCache.clear();
         
+        this.applyPresetModulation(this.presets ? this.presets.getPreset(materialId, this.currentState.materialType) : null);
+        
         console.log(`Material transition completed: ${materialId}`);
         this.emit('transitionCompleted', {
             materialId,
@@ -482,11 +528,16 @@ export class MaterialManager {
             this.audioState.beatHistory.shift();
         }
         
-        // Detect genre changes (simplified)
-        const newGenre = this.detectMusicGenre(audioData);
-        if (newGenre !== this.audioState.currentGenre) {
-            this.audioState.currentGenre = newGenre;
-            this.emit('audioGenreDetected', { genre: newGenre, confidence: 0.8 });
+        // Detect genre changes; uncertain classifications keep the current genre
+        const detection = this.detectMusicGenre(audioData);
+        if (detection) {
+            this.audioState.genreConfidence = detection.confidence;
+            
+            if (detection.genre !== this.audioState.currentGenre) {
+                this.audioState.currentGenre = detection.genre;
+                this.audioState.genreChanged = true;
+                this.emit('audioGenreDetected', detection);
+            }
         }
         
         // Update adaptive thresholds
@@ -494,25 +545,60 @@ export class MaterialManager {
     }
     
     /**
-     * Simple genre detection based on audio characteristics
+     * Reset audio history, e.g. after seeking in replayed analysis
+     */
+    resetAudioState() {
+        this.audioState.energyHistory.fill(0);
+        this.audioState.beatHistory.fill(false);
+    }
+    
+    /**
+     * Genre of the audio engine's genre classification
+     * Frames without a classification (no model loaded, or its window still filling)
+     * fall back to a guess from the band levels, which has no confidence.
+     * @returns {Object|null} { genre, confidence, probabilities, mood, source }, null when
+     * the classifier is not confident enough (criteria.genreConfidence) or nothing matches
      */
     detectMusicGenre(audioData) {
+        const classification = audioData.classification;
+        if (!classification || !classification.genre) {
+            return this.guessMusicGenre(audioData);
+        }
+        
+        const genre = classification.genre;
+        if (genre.confidence < this.autoTransition.criteria.genreConfidence) {
+            return null;
+        }
+        
+        return {
+            genre: genre.label,
+            confidence: genre.confidence,
+            probabilities: { ...genre.probabilities },
+            mood: classification.mood ? classification.mood.label : null,
+            source: 'classifier'
+        };
+    }
+    
+    /**
+     * Heuristic genre from band levels, energy and tempo
+     */
+    guessMusicGenre(audioData) {
         const { bassLevel, midLevel, trebleLevel, energy, bpm } = audioData;
+        let genre = null;
         
-        // Simple heuristic-based genre detection
         if (trebleLevel > 0.7 && energy > 0.8 && bpm > 120) {
-            return 'electronic';
+            genre = 'electronic';
         } else if (bassLevel > 0.8 && energy > 0.7) {
-            return 'rock';
+            genre = 'rock';
         } else if (energy < 0.4 && trebleLevel > 0.6) {
-            return 'classical';
+            genre = 'classical';
         } else if (energy < 0.3) {
-            return 'ambient';
+            genre = 'ambient';
         } else if (midLevel > 0.6) {
-            return 'jazz';
+            genre = 'jazz';
         }
         
-        return null;
+        return genre ? { genre, confidence: null, probabilities: null, mood: null, source: 'heuristic' } : null;
     }
     
     /**
@@ -534,14 +620,22 @@ export class MaterialManager {
     processAutoTransitions(audioData) {
         if (!this.autoTransition.enabled || !audioData) return;
         
-        const now = performance.now();
+        const now = this.clock;
         const timeSinceLastTransition = now - this.autoTransition.lastTransition;
         
         // Check if enough time has passed
         if (timeSinceLastTransition < this.autoTransition.interval) return;
         
-        // Check for significant audio changes
-        const shouldTransition = this.shouldTriggerAutoTransition(audioData);
+        // Phrase mode waits for the next phrase boundary, structure mode for structure
+        // events (handleStructureEvent), the others for significant audio changes
+        let shouldTransition;
+        if (this.autoTransition.mode === 'phrase') {
+            shouldTransition = this.isPhraseBoundary(audioData, timeSinceLastTransition);
+        } else if (this.autoTransition.mode === 'structure') {
+            shouldTransition = timeSinceLastTransition >= this.autoTransition.interval * 2;
+        } else {
+            shouldTransition = this.shouldTriggerAutoTransition(audioData);
+        }
         
         if (shouldTransition) {
             this.triggerAutoTransition(audioData);
@@ -568,18 +662,73 @@ export class MaterialManager {
         }
         
         // Genre change criterion
-        if (criteria.genreChange && this.audioState.currentGenre) {
-            // Genre already changed, trigger transition
+        if (criteria.genreChange && this.audioState.genreChanged) {
+            this.audioState.genreChanged = false;
             return true;
         }
         
         return false;
     }
     
+    /**
+     * Whether a phrase of at least criteria.phraseBars bars starts on this frame
+     * Without confident phrase tracking, transitions after twice the interval.
+     */
+    isPhraseBoundary(audioData, timeSinceLastTransition) {
+        const criteria = this.autoTransition.criteria;
+        const phrase = audioData.phrase;
+        
+        if (phrase && phrase.boundary >= criteria.phraseBars && phrase.confidence >= criteria.phraseConfidence) {
+            return true;
+        }
+        
+        return timeSinceLastTransition >= this.autoTransition.interval * 2;
+    }
+    
+    /**
+     * React to song structure events from the AudioEngine (structure mode)
+     * A new section transitions to a recommended material. A predicted drop starts
+     * a transition lasting until the drop, so it completes as the drop lands; the
+     * drop's own section event is then skipped. The drop is kept as a media time
+     * and forgotten on a seek.
+     * @param {string} event - 'section' or 'dropIncoming'
+     * @param {Object} structure - StructureAnalyzer output of the frame
+     * @param {Object} audioData - Current audio data for preset recommendations
+     */
+    handleStructureEvent(event, structure, audioData) {
+        if (!this.autoTransition.enabled || this.autoTransition.mode !== 'structure' || !structure) return;
+        
+        const now = this.clock;
+        
+        if (event === 'dropIncoming' && structure.dropIncoming) {
+            const time = audioData && Number.isFinite(audioData.time) ? audioData.time : 0;
+            this.autoTransition.dropTime = time + structure.dropIncoming.eta;
+            this.autoTransition.lastTransition = now;
+            this.triggerAutoTransition(audioData, {
+                duration: Math.max(0.5, structure.dropIncoming.eta)
+            });
+            return;
+        }
+        
+        if (event === 'section' && structure.section) {
+            const dropPending = this.autoTransition.dropTime !== null;
+            this.autoTransition.dropTime = null;
+            if (structure.section.label === 'drop' && dropPending) return;
+            
+            if (now - this.autoTransition.lastTransition >= this.autoTransition.criteria.structureMinInterval) {
+                this.autoTransition.lastTransition = now;
+                this.triggerAutoTransition(audioData);
+            }
+        }
+    }
+    
     /**
      * Trigger automatic transition based on audio characteristics
+     * @param {Object} audioData - Audio data for preset recommendations
+     * @param {Object} options - Transition options
+     * @param {number} options.duration - Transition duration in seconds (default 3)
      */
-    async triggerAutoTransition(audioData) {
+    async triggerAutoTransition(audioData, options = {}) {
         if (!this.presets) return;
         
         try {
@@ -596,7 +745,7 @@ export class MaterialManager {
                     const selected = candidates[0]; // Use highest scored recommendation
                     
                     await this.setMaterial(selected.id, selected.type, {
-                        duration: 3.0,
+                        duration: options.duration || 3.0,
                         easing: 'smoothstep',
                         audioReactive: true
                     });
@@ -764,7 +913,7 @@ export class MaterialManager {
             
             // Animation properties
             transitionProgress: this.currentState.transitionProgress,
-            time: (performance.now() - this.currentState.lastUpdate) / 1000
+            time: (this.clock - this.currentState.lastUpdate) / 1000
         };
         
         // Add physics-derived properties
@@ -792,12 +941,26 @@ export class MaterialManager {
             // Physics system can access fluid simulation
         }
         
+        // Material variations draw their seeds from the shared random service
+        if (this.integrations.random && this.presets) {
+            this.presets.setRandomSource(this.integrations.random.getStream('materials'));
+        }
+        
+        // Phase transition effects follow the shared run seed
+        if (this.integrations.random && this.physics && !this.onSeedChanged) {
+            this.onSeedChanged = () => this.physics?.setSeed(this.integrations.random.deriveSeed('materialManagerPhysics'));
+            this.integrations.random.on('seedChanged', this.onSeedChanged);
+            this.onSeedChanged();
+        }
+        
         console.log('MaterialManager integrations set up', {
             fluidSimulation: !!this.integrations.fluidSimulation,
             particleSystem: !!this.integrations.particleSystem,
             metaballSystem: !!this.integrations.metaballSystem,
             renderEngine: !!this.integrations.renderEngine,
-            audioEngine: !!this.integrations.audioEngine
+            audioEngine: !!this.integrations.audioEngine,
+            random: !!this.integrations.random,
+            modulationMatrix: !!this.integrations.modulationMatrix
         });
     }
     
@@ -874,6 +1037,7 @@ export class MaterialManager {
             },
             audioState: {
                 genre: this.audioState.currentGenre,
+                genreConfidence: this.audioState.genreConfidence,
                 energyAvg: this.audioState.energyHistory.reduce((sum, val) => sum + val, 0) / this.audioState.energyHistory.length
             },
             spatialZones: this.spatialZones.size
@@ -909,6 +1073,81 @@ export class MaterialManager {
         console.log('Material properties refreshed');
     }
     
+    /**
+     * Set a property of the current material
+     * The preset itself is left untouched; the change lasts until the next material change
+     * @param {string} name - Property name (density, viscosity, surfaceTension, temperature, ...)
+     * @param {number} value - New value
+     */
+    setProperty(name, value) {
+        const property = MATERIAL_PROPERTIES[name];
+        if (!property) {
+            throw new Error(`Unknown material property: ${name}`);
+        }
+        
+        const properties = this.currentState.properties || {};
+        this.currentState.properties = {
+            ...properties,
+            [property.group]: {
+                ...properties[property.group],
+                [name]: value
+            }
+        };
+        
+        if (this.physics) {
+            this.updatePhysicsWithProperties(this.currentState.properties);
+        }
+        
+        this.renderCache.clear();
+    }
+    
+    /**
+     * Get a property of the current material
+     * @param {string} name - Property name
+     * @returns {number|undefined} Value
+     */
+    getProperty(name) {
+        const property = MATERIAL_PROPERTIES[name];
+        const group = property && this.currentState.properties ? this.currentState.properties[property.group] : null;
+        
+        return group ? group[name] : undefined;
+    }
+    
+    /**
+     * Material properties exposed to the modulation matrix
+     * @returns {Array<Object>} Parameter descriptors
+     */
+    getModulationParameters() {
+        return Object.entries(MATERIAL_PROPERTIES).map(([name, property]) => ({
+            id: `material.${name}`,
+            label: property.label,
+            group: 'material',
+            min: property.min,
+            max: property.max,
+            get: () => {
+                const value = this.getProperty(name);
+                return value !== undefined ? value : property.min;
+            },
+            set: (value) => this.setProperty(name, value)
+        }));
+    }
+    
+    /**
+     * Load the modulation routings stored in a preset
+     * Presets without a modulation section keep the current routings
+     * @param {Object|null} preset - Material preset
+     */
+    applyPresetModulation(preset) {
+        const matrix = this.integrations.modulationMatrix;
+        if (!matrix || !preset || !Array.isArray(preset.modulation)) return;
+        
+        try {
+            matrix.setRoutings(preset.modulation);
+        } catch (error) {
+            console.warn(`Invalid modulation routings in preset ${preset.id}:`, error);
+        }
+    }
+    
     /**
      * Create custom material from properties
      */
@@ -918,6 +1157,12 @@ export class MaterialManager {
         }
         
         try {
+            // Store the current audio routings with the preset
+            const matrix = this.integrations.modulationMatrix;
+            if (options.includeModulation && matrix) {
+                properties = { ...properties, modulation: matrix.getRoutings() };
+            }
+            
             const customPreset = this.presets.createUserPreset(name, properties, options);
             
             console.log(`Custom material created: ${name}`);
@@ -1126,7 +1371,7 @@ export class MaterialManager {
             materialId,
             type,
             options,
-            queuedAt: performance.now()
+            queuedAt: this.clock
         });
         
         console.log(`Material change queued: ${materialId}`);
@@ -1176,11 +1421,14 @@ export class MaterialManager {
         return {
             version: '1.0.0',
             timestamp: Date.now(),
+            seed: this.integrations.random ? this.integrations.random.getSeed() : null,
+            randomState: this.integrations.random ? this.integrations.random.getState() : null,
             currentMaterial: this.getCurrentMaterial(),
             config: this.config,
             audioState: this.audioState,
             autoTransition: this.autoTransition,
             spatialZones: Array.from(this.spatialZones.entries()),
+            modulation: this.integrations.modulationMatrix ? this.integrations.modulationMatrix.getRoutings() : null,
             performance: this.performanceMetrics
         };
     }
@@ -1204,6 +1452,18 @@ export class MaterialManager {
                     Object.assign(this.autoTransition, config.autoTransition);
                 }
                 
+                // Restore the run seed and stream positions so the configuration reproduces
+                // the same output (older exports only carry the seed)
+                if (this.integrations.random) {
+                    if (config.randomState) {
+                        // A new run (physics restarts), then the saved stream positions
+                        this.integrations.random.setSeed(config.randomState.seed);
+                        this.integrations.random.setState(config.randomState);
+                    } else if (config.seed !== undefined && config.seed !== null) {
+                        this.integrations.random.setSeed(config.seed);
+                    }
+                }
+                
                 // Restore spatial zones
                 if (config.spatialZones) {
                     this.spatialZones.clear();
@@ -1219,6 +1479,11 @@ export class MaterialManager {
                     { immediate: true }
                 );
                 
+                // Restore audio routings (after the material, whose preset may carry its own)
+                if (Array.isArray(config.modulation) && this.integrations.modulationMatrix) {
+                    this.integrations.modulationMatrix.setRoutings(config.modulation);
+                }
+                
                 console.log('Material configuration imported successfully');
                 this.emit('configurationImported', config);
                 
@@ -1248,6 +1513,8 @@ export class MaterialManager {
             this.audioState.energyHistory.fill(0);
             this.audioState.beatHistory.fill(false);
             this.audioState.currentGenre = null;
+            this.audioState.genreConfidence = 0;
+            this.audioState.genreChanged = false;
             
             // Reset spatial zones
             this.spatialZones.clear();
@@ -1325,6 +1592,11 @@ export class MaterialManager {
         // Stop all transitions
         this.stopAllTransitions();
         
+        if (this.onSeedChanged && this.integrations.random) {
+            this.integrations.random.off('seedChanged', this.onSeedChanged);
+            this.onSeedChanged = null;
+        }
+        
         // Dispose sub-systems
         if (this.physics) {
             this.physics.dispose();
@@ -1359,6 +1631,3 @@ export class MaterialManager {
         console.log('MaterialManager disposed');
     }
 }
-
-// Export the MaterialManager class
-export { MaterialManager };
\ No newline at end of file
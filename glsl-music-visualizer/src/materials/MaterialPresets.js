@@ -8,6 +8,7 @@
 import { ColorUtils } from '../utils/ColorUtils.js';
 import { MathUtils } from '../utils/MathUtils.js';
 import { FileUtils } from '../utils/FileUtils.js';
+import { SeededRandom } from '../utils/SeededRandom.js';
 
 export class MaterialPresets {
     constructor(options = {}) {
@@ -120,6 +121,9 @@ export class MaterialPresets {
         // Preset templates for generation
         this.templates = new Map();
         
+        // Random source for variation seeds (set through MaterialManager integrations)
+        this.random = null;
+        
         // Initialize built-in presets
         this.initializeBuiltinPresets();
         
@@ -708,8 +712,17 @@ export class MaterialPresets {
         return interpolated;
     }
     
+    /**
+     * Set the random source used to pick variation seeds
+     * @param {SeededRandom|null} random - Random stream (null for unseeded variations)
+     */
+    setRandomSource(random) {
+        this.random = random;
+    }
+    
     /**
      * Create a random preset variation
+     * The variation stores its seed; passing it back as options.seed recreates it exactly
      */
     createRandomVariation(basePresetId, variationAmount = 0.2, options = {}) {
         const basePreset = this.getPreset(basePresetId);
@@ -717,16 +730,22 @@ export class MaterialPresets {
             throw new Error(`Base preset not found: ${basePresetId}`);
         }
         
+        const seed = options.seed !== undefined
+            ? options.seed
+            : this.random ? this.random.int(0, 0xFFFFFFFF) : SeededRandom.normalizeSeed(null);
+        const random = new SeededRandom(seed);
+        
         const variation = JSON.parse(JSON.stringify(basePreset));
-        variation.id = `${basePresetId}_variation_${Date.now()}`;
+        variation.id = `${basePresetId}_variation_${seed}`;
         variation.name = `${basePreset.name} (Variation)`;
         variation.type = 'runtime';
         variation.basePreset = basePresetId;
         variation.variationAmount = variationAmount;
+        variation.seed = seed;
         
         // Apply random variations to physical properties
         if (variation.physical) {
-            this.applyRandomVariations(variation.physical, variationAmount, {
+            this.applyRandomVariations(variation.physical, variationAmount, random, {
                 density: { min: 0.5, max: 2.0, logScale: false },
                 viscosity: { min: 0.1, max: 10.0, logScale: true },
                 surfaceTension: { min: 0.5, max: 1.5, logScale: false }
@@ -735,7 +754,7 @@ export class MaterialPresets {
         
         // Apply random variations to optical properties
         if (variation.optical) {
-            this.applyRandomVariations(variation.optical, variationAmount, {
+            this.applyRandomVariations(variation.optical, variationAmount, random, {
                 refractionIndex: { min: 0.8, max: 1.2, logScale: false },
                 transparency: { min: 0.8, max: 1.2, logScale: false }
             });
@@ -743,16 +762,16 @@ export class MaterialPresets {
             // Special variation for colors
             if (variation.optical.baseColor) {
                 const hsv = ColorUtils.rgbToHsv(variation.optical.baseColor);
-                hsv[0] = (hsv[0] + (Math.random() - 0.5) * 60 * variationAmount) % 360;
-                hsv[1] = MathUtils.clamp(hsv[1] * (1 + (Math.random() - 0.5) * variationAmount), 0, 1);
-                hsv[2] = MathUtils.clamp(hsv[2] * (1 + (Math.random() - 0.5) * variationAmount), 0, 1);
+                hsv[0] = (hsv[0] + (random.next() - 0.5) * 60 * variationAmount) % 360;
+                hsv[1] = MathUtils.clamp(hsv[1] * (1 + (random.next() - 0.5) * variationAmount), 0, 1);
+                hsv[2] = MathUtils.clamp(hsv[2] * (1 + (random.next() - 0.5) * variationAmount), 0, 1);
                 variation.optical.baseColor = ColorUtils.hsvToRgb(hsv[0], hsv[1], hsv[2], variation.optical.baseColor[3]);
             }
         }
         
         // Apply random variations to thermal properties
         if (variation.thermal) {
-            this.applyRandomVariations(variation.thermal, variationAmount, {
+            this.applyRandomVariations(variation.thermal, variationAmount, random, {
                 temperature: { min: 0.8, max: 1.2, logScale: false },
                 specificHeat: { min: 0.9, max: 1.1, logScale: false }
             });
@@ -765,12 +784,12 @@ export class MaterialPresets {
     /**
      * Apply random variations to a property group
      */
-    applyRandomVariations(properties, variationAmount, constraints = {}) {
+    applyRandomVariations(properties, variationAmount, random, constraints = {}) {
         for (const [key, value] of Object.entries(properties)) {
             if (typeof value === 'number') {
                 const constraint = constraints[key];
                 if (constraint) {
-                    const variation = (Math.random() - 0.5) * 2 * variationAmount;
+                    const variation = (random.next() - 0.5) * 2 * variationAmount;
                     let newValue;
                     
                     if (constraint.logScale) {
@@ -786,7 +805,7 @@ export class MaterialPresets {
                         value * constraint.max);
                 } else {
                     // Default variation for unconstrained properties
-                    properties[key] = value * (1 + (Math.random() - 0.5) * variationAmount);
+                    properties[key] = value * (1 + (random.next() - 0.5) * variationAmount);
                 }
             }
         }
@@ -947,6 +966,8 @@ export class MaterialPresets {
         
         const exportData = {
             ...preset,
+            // Variation stream position, so variations made after loading match the saving session
+            randomState: this.random ? this.random.getState() : null,
             exportedAt: Date.now(),
             exportedBy: 'MaterialPresets',
             version: '1.0.0'
@@ -957,6 +978,8 @@ export class MaterialPresets {
     
     /**
      * Import preset from JSON
+     * An exported randomState stays with the preset; the shared variation stream
+     * only rewinds to it when options.restoreRandomState is set (session restore).
      */
     importPreset(jsonData, options = {}) {
         let presetData;
@@ -970,6 +993,10 @@ export class MaterialPresets {
         // Validate preset structure
         this.validatePresetStructure(presetData);
         
+        if (options.restoreRandomState) {
+            this.restoreRandomState(presetData.randomState);
+        }
+        
         // Generate new ID if needed
         const id = options.newId || presetData.id || this.generatePresetId(presetData.name);
         const type = options.type || 'user';
@@ -1014,6 +1041,18 @@ export class MaterialPresets {
             }
         }
         
+        // Audio modulation routings (ModulationMatrix definitions)
+        if (preset.modulation !== undefined) {
+            if (!Array.isArray(preset.modulation)) {
+                throw new Error('Invalid modulation routings: must be an array');
+            }
+            preset.modulation.forEach((routing, index) => {
+                if (!routing || typeof routing.source !== 'string' || typeof routing.target !== 'string') {
+                    throw new Error(`Invalid modulation routing ${index}: source and target are required`);
+                }
+            });
+        }
+        
         return true;
     }
     
@@ -1207,17 +1246,37 @@ export class MaterialPresets {
         this.cacheStats = { hits: 0, misses: 0 };
     }
     
+    /**
+     * Rewind the variation stream to an exported randomState
+     * @param {Object|null} randomState - State saved by exportPreset / exportPresetCollection
+     * @returns {boolean} Whether the stream was restored
+     */
+    restoreRandomState(randomState) {
+        if (!randomState || !this.random) return false;
+        
+        this.random.setState(randomState);
+        return true;
+    }
+    
     /**
      * Load presets from external files
+     * @param {string} filePath - Preset or collection URL
+     * @param {string} type - Preset type to import as
+     * @param {Object} options - { restoreRandomState } rewinds the variation stream (session restore)
      */
-    async loadPresetsFromFile(filePath, type = 'community') {
+    async loadPresetsFromFile(filePath, type = 'community', options = {}) {
         try {
             const presetData = await FileUtils.loadFile(filePath, { responseType: 'json' });
             
-            if (Array.isArray(presetData)) {
-                // Multiple presets
+            if (Array.isArray(presetData) || Array.isArray(presetData.presets)) {
+                // Multiple presets (plain array or exportPresetCollection output)
+                const presets = Array.isArray(presetData) ? presetData : presetData.presets;
+                if (options.restoreRandomState) {
+                    this.restoreRandomState(presetData.randomState);
+                }
+                
                 const loaded = [];
-                for (const preset of presetData) {
+                for (const preset of presets) {
                     try {
                         const imported = this.importPreset(preset, { type });
                         loaded.push(imported);
@@ -1228,7 +1287,7 @@ export class MaterialPresets {
                 return loaded;
             } else {
                 // Single preset
-                return [this.importPreset(presetData, { type })];
+                return [this.importPreset(presetData, { type, restoreRandomState: options.restoreRandomState })];
             }
         } catch (error) {
             console.error(`Failed to load presets from ${filePath}:`, error);
@@ -1245,6 +1304,7 @@ export class MaterialPresets {
             description: options.description || '',
             version: '1.0.0',
             exportedAt: Date.now(),
+            randomState: this.random ? this.random.getState() : null,
             presets: []
         };
         
@@ -25,6 +25,9 @@ export class PropertyInterpolator {
         this.activeTransitions = new Map();
         this.transitionCounter = 0;
         
+        // Frame clock in ms, advanced by update(); transition progress runs on it
+        this.clock = 0;
+        
         // Transition types and their specific behaviors
         this.transitionTypes = {
             material: {
@@ -242,7 +245,7 @@ export class PropertyInterpolator {
         const transition = {
             id: transitionId,
             type: config.type || 'material',
-            startTime: performance.now(),
+            startTime: this.clock,
             duration: config.duration || this.transitionTypes[config.type]?.duration || this.config.defaultDuration,
             
             // Source and target properties
@@ -293,6 +296,8 @@ export class PropertyInterpolator {
     update(deltaTime, audioData = null) {
         const startTime = performance.now();
         
+        this.clock += deltaTime * 1000;
+        
         if (this.activeTransitions.size === 0) {
             return;
         }
@@ -305,7 +310,7 @@ export class PropertyInterpolator {
             const updateStartTime = performance.now();
             
             // Calculate transition progress
-            const elapsed = performance.now() - transition.startTime;
+            const elapsed = this.clock - transition.startTime;
             let rawProgress = elapsed / (transition.duration * 1000);
             
             // Apply audio modifiers if enabled
@@ -381,7 +386,7 @@ export class PropertyInterpolator {
         
         // Beat synchronization
         if (this.audioModifiers.rhythmSync && bpm > 0 && beat) {
-            const beatPhase = (performance.now() / 1000) % (60 / bpm);
+            const beatPhase = (this.clock / 1000) % (60 / bpm);
             const beatProgress = beatPhase / (60 / bpm);
             
             // Snap to beat boundaries for dramatic transitions
@@ -473,12 +478,11 @@ export class PropertyInterpolator {
             this.applySpatialModifiers(currentProperties, transition);
         }
         
-        // Cache the result
-        if (this.interpolationCache.size < this.cacheMaxSize) {
-            this.interpolationCache.set(cacheKey, this.cloneProperties(currentProperties));
-        } else if (Math.random() < 0.1) { // Randomly clear some cache entries
-            this.interpolationCache.clear();
+        // Cache the result, evicting the oldest entry when full
+        if (this.interpolationCache.size >= this.cacheMaxSize) {
+            this.interpolationCache.delete(this.interpolationCache.keys().next().value);
         }
+        this.interpolationCache.set(cacheKey, this.cloneProperties(currentProperties));
     }
     
     /**
@@ -976,7 +980,7 @@ export class PropertyInterpolator {
             id: sequenceId,
             steps: sequence,
             currentStep: 0,
-            startTime: performance.now(),
+            startTime: this.clock,
             audioSync: options.audioSync !== false,
             loop: options.loop === true,
             onStepComplete: options.onStepComplete,
@@ -3,18 +3,102 @@
  * Advanced Navier-Stokes based fluid dynamics simulation for the GLSL music visualizer
  * Implements real-time fluid physics with audio-reactive properties and material interactions
  * Location: src/physics/FluidSimulation.js
+ *
+ * The same step runs on the CPU in typed arrays or, once initialized with a
+ * WebGL2 context that can render to float textures, on the GPU in fragment
+ * passes from shaders/fluid.glsl. The GPU grid is stored as a 2D atlas of
+ * z-slices in ping-pong textures; impulses and sources are queued and splatted
+ * on the GPU, and the CPU arrays are refreshed by a readback the first time a
+ * sampler (getVelocityAt, getStatistics, ...) is called after a step.
+ *
+ * With dimensions: 2 the grid is a single slice with 4-neighbor stencils for
+ * screen-space smoke and ink. The pressure projection uses Gauss-Seidel,
+ * Jacobi, red-black SOR or multigrid on the CPU (Jacobi on the GPU); named
+ * presets pick grid, dimensions and solver together.
  */
 
 import { MathUtils } from '../utils/MathUtils.js';
+import { SeededRandom } from '../utils/SeededRandom.js';
 import { webglUtils } from '../utils/WebGLUtils.js';
 import { performanceMonitor } from '../core/PerformanceMonitor.js';
+import { shaderManager } from '../core/ShaderManager.js';
+
+const FLUID_VERTEX_SHADER = 'src/shaders/fullscreen.vert';
+const FLUID_FRAGMENT_SHADER = 'src/shaders/fluid.glsl';
+
+// FLUID_PASS values in shaders/fluid.glsl
+const FLUID_PASSES = {
+    advect: 1,
+    diffuse: 2,
+    divergence: 3,
+    pressure: 4,
+    gradient: 5,
+    vorticity: 6,
+    forces: 7,
+    pressureBoundary: 8,
+    splatVelocity: 9,
+    splatScalars: 10
+};
+
+const PRESSURE_SOLVERS = ['gauss-seidel', 'jacobi', 'red-black-sor', 'multigrid'];
+
+// Red-black Gauss-Seidel sweeps per multigrid level
+const MULTIGRID_SMOOTHING_SWEEPS = 2;
+const MULTIGRID_COARSE_SWEEPS = 30;
+
+// Named option sets, explicit constructor options override them
+const FLUID_PRESETS = {
+    // Full volume with the original Gauss-Seidel projection
+    volume: {
+        dimensions: 3,
+        gridWidth: 128,
+        gridHeight: 128,
+        gridDepth: 64,
+        pressureSolver: 'gauss-seidel',
+        pressureIterations: 20
+    },
+    // Cubic volume converged with a few V-cycles
+    volumeMultigrid: {
+        dimensions: 3,
+        gridWidth: 64,
+        gridHeight: 64,
+        gridDepth: 64,
+        pressureSolver: 'multigrid',
+        pressureIterations: 3
+    },
+    // Screen-space smoke
+    smoke2d: {
+        dimensions: 2,
+        gridWidth: 256,
+        gridHeight: 256,
+        pressureSolver: 'multigrid',
+        pressureIterations: 4
+    },
+    // Screen-space ink, cheaper per iteration than multigrid
+    ink2d: {
+        dimensions: 2,
+        gridWidth: 192,
+        gridHeight: 192,
+        pressureSolver: 'red-black-sor',
+        pressureIterations: 40
+    }
+};
 
 export class FluidSimulation {
     constructor(options = {}) {
-        // Grid resolution for fluid simulation
+        // Presets supply defaults for everything below
+        const preset = options.preset ? FLUID_PRESETS[options.preset] : null;
+        if (options.preset && !preset) {
+            console.warn(`Unknown fluid preset: ${options.preset}`);
+        }
+        options = { ...preset, ...options };
+        this.preset = preset ? options.preset : null;
+        
+        // Grid resolution for fluid simulation (a single slice in 2D)
+        this.dimensions = options.dimensions === 2 ? 2 : 3;
         this.gridWidth = options.gridWidth || 128;
         this.gridHeight = options.gridHeight || 128;
-        this.gridDepth = options.gridDepth || 64;
+        this.gridDepth = this.dimensions === 2 ? 1 : (options.gridDepth || 64);
         this.totalCells = this.gridWidth * this.gridHeight * this.gridDepth;
         
         // Physical parameters
@@ -22,7 +106,7 @@ export class FluidSimulation {
         this.density = options.density || 1.0;
         this.diffusion = options.diffusion || 0.00001;
         this.buoyancy = options.buoyancy || -0.1;
-        this.temperature = options.temperature || 20.0;
+        this.ambientTemperature = options.temperature || 20.0;
         
         // Simulation parameters
         this.timeStep = options.timeStep || 0.016; // 60 FPS
@@ -30,6 +114,31 @@ export class FluidSimulation {
         this.iterations = options.iterations || 20; // Gauss-Seidel iterations
         this.boundaryCondition = options.boundaryCondition || 'closed'; // 'closed', 'open', 'periodic'
         
+        // Pressure projection solver
+        this.pressureSolver = {
+            type: PRESSURE_SOLVERS.includes(options.pressureSolver) ? options.pressureSolver : 'gauss-seidel',
+            iterations: options.pressureIterations || this.iterations,
+            tolerance: options.pressureTolerance || 0, // Relative residual for early exit, 0 = fixed count
+            omega: options.sorOmega || null // null = optimal factor for the grid size
+        };
+        this.solverStats = {
+            type: this.pressureSolver.type,
+            iterations: 0,
+            initialResidual: 0,
+            residual: 0,
+            residuals: []
+        };
+        this.solverCells = null;
+        this.solverRed = null;
+        this.solverBlack = null;
+        this.multigridLevels = null;
+        this.pressureScratch = null;
+        
+        // Simulation clock and random source (seeded for reproducible runs)
+        this.simulationTime = 0;
+        this.seed = options.seed !== undefined ? options.seed : null;
+        this.random = new SeededRandom(this.seed);
+        
         // Audio reactivity
         this.audioReactivity = {
             enabled: options.audioReactive !== false,
@@ -53,6 +162,7 @@ export class FluidSimulation {
         
         this.pressure = new Float32Array(this.totalCells);
         this.pressurePrev = new Float32Array(this.totalCells);
+        this.divergence = new Float32Array(this.totalCells);
         
         this.densityField = new Float32Array(this.totalCells);
         this.densityPrev = new Float32Array(this.totalCells);
@@ -105,12 +215,13 @@ export class FluidSimulation {
             audio: { x: 0, y: 0, z: 0 }
         };
         
-        // GPU compute shader support
-        this.useGPUCompute = options.useGPUCompute !== false && webglUtils.supportsComputeShaders();
+        // GPU compute (fragment passes, enabled by initialize(gl))
+        this.useGPUCompute = options.useGPUCompute !== false;
         this.gl = null;
         this.computePrograms = new Map();
         this.framebuffers = new Map();
         this.textures = new Map();
+        this.gpuState = null;
         
         // Performance monitoring
         this.performanceMetrics = {
@@ -124,31 +235,29 @@ export class FluidSimulation {
         // Boundary conditions
         this.boundaries = new Array(this.totalCells).fill(0); // 0 = fluid, 1 = solid boundary
         
-        // Initialize system
-        this.initialize();
+        // Set up default boundary conditions and fill initial conditions
+        this.setupBoundaryConditions();
+        this.resetFluidState();
         
         console.log('FluidSimulation initialized', {
             resolution: `${this.gridWidth}x${this.gridHeight}x${this.gridDepth}`,
+            dimensions: this.dimensions,
             totalCells: this.totalCells,
-            useGPUCompute: this.useGPUCompute,
+            pressureSolver: this.pressureSolver.type,
             material: this.currentMaterial
         });
     }
     
     /**
      * Initialize fluid simulation
+     * @param {WebGL2RenderingContext|null} gl - Context for the GPU path, CPU only when omitted
      */
-    initialize() {
-        // Fill initial conditions
-        this.resetFluidState();
-        
-        // Initialize GPU compute if available
-        if (this.useGPUCompute) {
-            this.initializeGPUCompute();
+    async initialize(gl = null) {
+        if (gl && this.useGPUCompute) {
+            await this.initializeGPUCompute(gl);
         }
         
-        // Set up default boundary conditions
-        this.setupBoundaryConditions();
+        console.log(`FluidSimulation running on the ${this.isGPUActive() ? 'GPU' : 'CPU'}`);
     }
     
     /**
@@ -157,13 +266,16 @@ export class FluidSimulation {
     resetFluidState() {
         // Initialize with small random velocities for interesting initial conditions
         for (let i = 0; i < this.totalCells; i++) {
-            this.velocity.x[i] = (Math.random() - 0.5) * 0.01;
-            this.velocity.y[i] = (Math.random() - 0.5) * 0.01;
-            this.velocity.z[i] = (Math.random() - 0.5) * 0.01;
+            this.velocity.x[i] = (this.random.next() - 0.5) * 0.01;
+            this.velocity.y[i] = (this.random.next() - 0.5) * 0.01;
+            this.velocity.z[i] = (this.random.next() - 0.5) * 0.01;
+            if (this.dimensions === 2) {
+                this.velocity.z[i] = 0;
+            }
             
             this.pressure[i] = 0;
             this.densityField[i] = this.density;
-            this.temperature[i] = this.temperature;
+            this.temperature[i] = this.ambientTemperature;
         }
         
         // Clear previous state
@@ -172,7 +284,39 @@ export class FluidSimulation {
         this.velocity.zPrev.fill(0);
         this.pressurePrev.fill(0);
         this.densityPrev.fill(this.density);
-        this.temperaturePrev.fill(this.temperature);
+        this.temperaturePrev.fill(this.ambientTemperature);
+        
+        // Walls start at their boundary values in both buffers
+        const wallDensity = this.materialProperties[this.currentMaterial].density;
+        for (let i = 0; i < this.totalCells; i++) {
+            if (this.boundaries[i] === 1) {
+                this.velocity.x[i] = 0;
+                this.velocity.y[i] = 0;
+                this.velocity.z[i] = 0;
+                this.densityField[i] = wallDensity;
+                this.densityPrev[i] = wallDensity;
+                this.temperature[i] = 20.0;
+                this.temperaturePrev[i] = 20.0;
+            }
+        }
+        
+        // The GPU copy restarts from the new CPU state
+        if (this.gpuState) {
+            this.gpuState.needsUpload = true;
+            this.gpuState.cpuStale = false;
+            this.gpuState.pendingSplats.length = 0;
+        }
+    }
+    
+    /**
+     * Restart the random sequence and fluid state for reproducible runs
+     * @param {number|string} seed - Random seed
+     */
+    setSeed(seed) {
+        this.seed = seed;
+        this.random.setSeed(seed);
+        this.simulationTime = 0;
+        this.resetFluidState();
     }
     
     /**
@@ -188,7 +332,7 @@ export class FluidSimulation {
                     if (this.boundaryCondition === 'closed') {
                         if (i === 0 || i === this.gridWidth - 1 ||
                             j === 0 || j === this.gridHeight - 1 ||
-                            k === 0 || k === this.gridDepth - 1) {
+                            (this.dimensions === 3 && (k === 0 || k === this.gridDepth - 1))) {
                             this.boundaries[index] = 1; // Solid boundary
                         }
                     }
@@ -196,6 +340,8 @@ export class FluidSimulation {
                 }
             }
         }
+        
+        this.buildSolverCells();
     }
     
     /**
@@ -227,18 +373,18 @@ export class FluidSimulation {
         
         // Use fixed timestep for stability
         const timeStep = Math.min(deltaTime, this.timeStep);
+        this.simulationTime += deltaTime;
         
         // Process audio input for reactive forces
         if (audioData && this.audioReactivity.enabled) {
             this.processAudioForces(audioData);
         }
         
-        // Store previous state
-        this.swapBuffers();
-        
-        if (this.useGPUCompute && this.gl) {
+        if (this.isGPUActive()) {
             this.updateGPU(timeStep);
         } else {
+            // Store previous state
+            this.swapBuffers();
             this.updateCPU(timeStep);
         }
         
@@ -275,9 +421,9 @@ export class FluidSimulation {
                 this.gridWidth * 0.5,
                 this.gridHeight * 0.3,
                 this.gridDepth * 0.5,
-                Math.random() * beatForce - beatForce * 0.5,
+                this.random.next() * beatForce - beatForce * 0.5,
                 beatForce,
-                Math.random() * beatForce - beatForce * 0.5,
+                this.random.next() * beatForce - beatForce * 0.5,
                 10 // radius
             );
         }
@@ -291,9 +437,9 @@ export class FluidSimulation {
             this.gridWidth * 0.5,
             bassRegionY,
             this.gridDepth * 0.5,
-            (Math.random() - 0.5) * bassForce,
+            (this.random.next() - 0.5) * bassForce,
             bassForce * 0.5,
-            (Math.random() - 0.5) * bassForce,
+            (this.random.next() - 0.5) * bassForce,
             20
         );
         
@@ -301,14 +447,14 @@ export class FluidSimulation {
             this.gridWidth * 0.5,
             trebleRegionY,
             this.gridDepth * 0.5,
-            (Math.random() - 0.5) * trebleForce,
+            (this.random.next() - 0.5) * trebleForce,
             -trebleForce * 0.3,
-            (Math.random() - 0.5) * trebleForce,
+            (this.random.next() - 0.5) * trebleForce,
             15
         );
         
         // Mid frequencies create swirling motions
-        const angle = Date.now() * 0.001 * midForce;
+        const angle = this.simulationTime * midForce;
         this.addContinuousForce(
             this.gridWidth * 0.5 + Math.cos(angle) * 20,
             this.gridHeight * 0.5,
@@ -389,11 +535,13 @@ export class FluidSimulation {
             this.velocity.xPrev, this.velocity.yPrev, this.velocity.zPrev,
             timeStep
         );
-        this.advectField(
-            this.velocity.z, this.velocity.zPrev,
-            this.velocity.xPrev, this.velocity.yPrev, this.velocity.zPrev,
-            timeStep
-        );
+        if (this.dimensions === 3) {
+            this.advectField(
+                this.velocity.z, this.velocity.zPrev,
+                this.velocity.xPrev, this.velocity.yPrev, this.velocity.zPrev,
+                timeStep
+            );
+        }
     }
     
     /**
@@ -422,6 +570,11 @@ export class FluidSimulation {
      * Generic field advection using semi-Lagrangian method
      */
     advectField(field, prevField, velX, velY, velZ, timeStep) {
+        if (this.dimensions === 2) {
+            this.advectField2D(field, prevField, velX, velY, timeStep);
+            return;
+        }
+        
         const dt = timeStep / this.cellSize;
         
         for (let k = 1; k < this.gridDepth - 1; k++) {
@@ -493,7 +646,9 @@ export class FluidSimulation {
         
         this.diffuseField(this.velocity.x, this.velocity.xPrev, alpha);
         this.diffuseField(this.velocity.y, this.velocity.yPrev, alpha);
-        this.diffuseField(this.velocity.z, this.velocity.zPrev, alpha);
+        if (this.dimensions === 3) {
+            this.diffuseField(this.velocity.z, this.velocity.zPrev, alpha);
+        }
     }
     
     /**
@@ -516,6 +671,11 @@ export class FluidSimulation {
      * Generic field diffusion using Gauss-Seidel iteration
      */
     diffuseField(field, prevField, alpha) {
+        if (this.dimensions === 2) {
+            this.diffuseField2D(field, prevField, alpha);
+            return;
+        }
+        
         const beta = 1.0 + 6.0 * alpha;
         
         for (let iter = 0; iter < this.iterations; iter++) {
@@ -542,75 +702,461 @@ export class FluidSimulation {
      * Project velocity field to be divergence-free (incompressible)
      */
     projectVelocity() {
+        const cells = this.solverCells;
+        const strideY = this.gridWidth;
+        const strideZ = this.gridWidth * this.gridHeight;
+        const is3D = this.dimensions === 3;
+        const vx = this.velocity.x;
+        const vy = this.velocity.y;
+        const vz = this.velocity.z;
+        const divergence = this.divergence;
+        
         // Calculate divergence
-        const divergence = new Float32Array(this.totalCells);
+        for (let c = 0; c < cells.length; c++) {
+            const index = cells[c];
+            let sum = vx[index + 1] - vx[index - 1] + vy[index + strideY] - vy[index - strideY];
+            if (is3D) {
+                sum = sum + vz[index + strideZ] - vz[index - strideZ];
+            }
+            divergence[index] = -0.5 * this.cellSize * sum;
+        }
         
-        for (let k = 1; k < this.gridDepth - 1; k++) {
+        // Solve pressure with the configured solver
+        this.pressure.fill(0);
+        this.solvePressure(divergence);
+        
+        // Subtract pressure gradient from velocity
+        const pressure = this.pressure;
+        for (let c = 0; c < cells.length; c++) {
+            const index = cells[c];
+            vx[index] -= 0.5 * (pressure[index + 1] - pressure[index - 1]) / this.cellSize;
+            vy[index] -= 0.5 * (pressure[index + strideY] - pressure[index - strideY]) / this.cellSize;
+            if (is3D) {
+                vz[index] -= 0.5 * (pressure[index + strideZ] - pressure[index - strideZ]) / this.cellSize;
+            }
+        }
+    }
+    
+    // ===== PRESSURE SOLVERS =====
+    
+    /**
+     * Select the pressure projection solver
+     * @param {string} type - 'gauss-seidel', 'jacobi', 'red-black-sor' or 'multigrid'
+     * @param {Object} options - { iterations, tolerance, omega }
+     * @returns {boolean} Whether the solver was changed
+     */
+    setPressureSolver(type, options = {}) {
+        if (!PRESSURE_SOLVERS.includes(type)) {
+            console.warn(`Unknown pressure solver: ${type}`);
+            return false;
+        }
+        
+        this.pressureSolver = {
+            type,
+            iterations: options.iterations || this.pressureSolver.iterations,
+            tolerance: options.tolerance !== undefined ? options.tolerance : this.pressureSolver.tolerance,
+            omega: options.omega || null
+        };
+        
+        return true;
+    }
+    
+    /**
+     * Collect the cells the solvers update: interior fluid cells in
+     * lexicographic order, also split by checkerboard color
+     */
+    buildSolverCells() {
+        const cells = [];
+        const red = [];
+        const black = [];
+        const kStart = this.dimensions === 3 ? 1 : 0;
+        const kEnd = this.dimensions === 3 ? this.gridDepth - 1 : 1;
+        
+        for (let k = kStart; k < kEnd; k++) {
             for (let j = 1; j < this.gridHeight - 1; j++) {
                 for (let i = 1; i < this.gridWidth - 1; i++) {
                     const index = this.getIndex(i, j, k);
                     
                     if (this.boundaries[index] === 0) {
-                        divergence[index] = -0.5 * this.cellSize * (
-                            this.velocity.x[this.getIndex(i+1, j, k)] - this.velocity.x[this.getIndex(i-1, j, k)] +
-                            this.velocity.y[this.getIndex(i, j+1, k)] - this.velocity.y[this.getIndex(i, j-1, k)] +
-                            this.velocity.z[this.getIndex(i, j, k+1)] - this.velocity.z[this.getIndex(i, j, k-1)]
-                        );
+                        cells.push(index);
+                        ((i + j + k) % 2 === 0 ? red : black).push(index);
                     }
                 }
             }
         }
         
-        // Solve pressure using Gauss-Seidel
-        this.pressure.fill(0);
+        this.solverCells = Int32Array.from(cells);
+        this.solverRed = Int32Array.from(red);
+        this.solverBlack = Int32Array.from(black);
+        this.multigridLevels = null;
+    }
+    
+    /**
+     * Solve the pressure Poisson equation into this.pressure
+     * Residuals are RMS values of div + sum(neighbors) - n * p over the solver
+     * cells. The per-iteration history is measured during each sweep for the
+     * relaxation solvers and after each V-cycle for multigrid.
+     * @param {Float32Array} divergence - Right-hand side
+     */
+    solvePressure(divergence) {
+        const solver = this.pressureSolver;
+        const cells = this.solverCells;
+        const stats = {
+            type: solver.type,
+            iterations: 0,
+            initialResidual: 0,
+            residual: 0,
+            residuals: []
+        };
         
-        for (let iter = 0; iter < this.iterations; iter++) {
-            for (let k = 1; k < this.gridDepth - 1; k++) {
-                for (let j = 1; j < this.gridHeight - 1; j++) {
-                    for (let i = 1; i < this.gridWidth - 1; i++) {
-                        const index = this.getIndex(i, j, k);
-                        
-                        if (this.boundaries[index] === 0) {
-                            const neighbors = 
-                                this.pressure[this.getIndex(i-1, j, k)] + this.pressure[this.getIndex(i+1, j, k)] +
-                                this.pressure[this.getIndex(i, j-1, k)] + this.pressure[this.getIndex(i, j+1, k)] +
-                                this.pressure[this.getIndex(i, j, k-1)] + this.pressure[this.getIndex(i, j, k+1)];
-                            
-                            this.pressure[index] = (divergence[index] + neighbors) / 6.0;
-                        }
-                    }
-                }
+        // Pressure starts at zero, so the initial residual is the divergence
+        let sumSquares = 0;
+        for (let c = 0; c < cells.length; c++) {
+            sumSquares += divergence[cells[c]] * divergence[cells[c]];
+        }
+        stats.initialResidual = Math.sqrt(sumSquares / Math.max(1, cells.length));
+        
+        let pressure = this.pressure;
+        let scratch = null;
+        if (solver.type === 'jacobi') {
+            if (!this.pressureScratch) {
+                this.pressureScratch = new Float32Array(this.totalCells);
             }
+            scratch = this.pressureScratch;
+            scratch.fill(0);
         }
         
-        // Subtract pressure gradient from velocity
-        for (let k = 1; k < this.gridDepth - 1; k++) {
-            for (let j = 1; j < this.gridHeight - 1; j++) {
-                for (let i = 1; i < this.gridWidth - 1; i++) {
-                    const index = this.getIndex(i, j, k);
+        const omega = solver.type === 'red-black-sor' ? (solver.omega || this.getOptimalSORFactor()) : 1.0;
+        
+        for (let iter = 0; iter < solver.iterations; iter++) {
+            let residual;
+            
+            switch (solver.type) {
+                case 'jacobi':
+                    residual = this.jacobiSweep(pressure, scratch, divergence);
+                    [pressure, scratch] = [scratch, pressure];
+                    break;
+                case 'red-black-sor':
+                    residual = this.relaxCells(this.solverRed, pressure, divergence, this.gridWidth, omega) +
+                               this.relaxCells(this.solverBlack, pressure, divergence, this.gridWidth, omega);
+                    break;
+                case 'multigrid':
+                    this.multigridCycle(pressure, divergence);
+                    residual = this.computeResidual(cells, pressure, divergence, this.gridWidth, null);
+                    break;
+                default:
+                    residual = this.relaxCells(cells, pressure, divergence, this.gridWidth, 1.0);
+            }
+            
+            residual = Math.sqrt(residual / Math.max(1, cells.length));
+            stats.residuals.push(residual);
+            stats.iterations++;
+            
+            if (solver.tolerance > 0 && residual <= solver.tolerance * stats.initialResidual) {
+                break;
+            }
+        }
+        
+        if (pressure !== this.pressure) {
+            this.pressure.set(pressure);
+        }
+        
+        stats.residual = Math.sqrt(
+            this.computeResidual(cells, this.pressure, divergence, this.gridWidth, null) / Math.max(1, cells.length)
+        );
+        this.solverStats = stats;
+    }
+    
+    /**
+     * Over-relaxation factor 2 / (1 + sin(pi / (n + 1))) for the largest axis
+     */
+    getOptimalSORFactor() {
+        const size = Math.max(this.gridWidth, this.gridHeight, this.dimensions === 3 ? this.gridDepth : 0);
+        return 2.0 / (1.0 + Math.sin(Math.PI / Math.max(2, size - 1)));
+    }
+    
+    /**
+     * Gauss-Seidel / SOR sweep over a list of cells, in place
+     * @param {Float32Array|null} diagonal - Per-cell diagonal (multigrid levels), stencil size when null
+     * @returns {number} Sum of squared residuals seen before each update
+     */
+    relaxCells(cells, pressure, rhs, strideY, omega, strideZ = strideY * this.gridHeight, diagonal = null) {
+        const is3D = this.dimensions === 3;
+        const stencil = is3D ? 6.0 : 4.0;
+        let sumSquares = 0;
+        
+        for (let c = 0; c < cells.length; c++) {
+            const index = cells[c];
+            let neighbors = pressure[index - 1] + pressure[index + 1] +
+                            pressure[index - strideY] + pressure[index + strideY];
+            if (is3D) {
+                neighbors = neighbors + pressure[index - strideZ] + pressure[index + strideZ];
+            }
+            
+            const center = diagonal ? diagonal[index] : stencil;
+            const target = (rhs[index] + neighbors) / center;
+            const residual = center * (target - pressure[index]);
+            sumSquares += residual * residual;
+            
+            pressure[index] = omega === 1.0 ? target : pressure[index] + omega * (target - pressure[index]);
+        }
+        
+        return sumSquares;
+    }
+    
+    /**
+     * Jacobi sweep from pressure into next
+     * @returns {number} Sum of squared residuals of the input pressure
+     */
+    jacobiSweep(pressure, next, rhs) {
+        const cells = this.solverCells;
+        const strideY = this.gridWidth;
+        const strideZ = this.gridWidth * this.gridHeight;
+        const is3D = this.dimensions === 3;
+        const stencil = is3D ? 6.0 : 4.0;
+        let sumSquares = 0;
+        
+        for (let c = 0; c < cells.length; c++) {
+            const index = cells[c];
+            let neighbors = pressure[index - 1] + pressure[index + 1] +
+                            pressure[index - strideY] + pressure[index + strideY];
+            if (is3D) {
+                neighbors = neighbors + pressure[index - strideZ] + pressure[index + strideZ];
+            }
+            
+            next[index] = (rhs[index] + neighbors) / stencil;
+            const residual = stencil * (next[index] - pressure[index]);
+            sumSquares += residual * residual;
+        }
+        
+        return sumSquares;
+    }
+    
+    /**
+     * Residual rhs + sum(neighbors) - n * p
+     * @param {Float32Array|null} out - Receives per-cell residuals when given
+     * @param {Float32Array|null} diagonal - Per-cell diagonal, stencil size when null
+     * @returns {number} Sum of squared residuals
+     */
+    computeResidual(cells, pressure, rhs, strideY, out, strideZ = strideY * this.gridHeight, diagonal = null) {
+        const is3D = this.dimensions === 3;
+        const stencil = is3D ? 6.0 : 4.0;
+        let sumSquares = 0;
+        
+        for (let c = 0; c < cells.length; c++) {
+            const index = cells[c];
+            let neighbors = pressure[index - 1] + pressure[index + 1] +
+                            pressure[index - strideY] + pressure[index + strideY];
+            if (is3D) {
+                neighbors = neighbors + pressure[index - strideZ] + pressure[index + strideZ];
+            }
+            
+            const residual = rhs[index] + neighbors - (diagonal ? diagonal[index] : stencil) * pressure[index];
+            if (out) out[index] = residual;
+            sumSquares += residual * residual;
+        }
+        
+        return sumSquares;
+    }
+    
+    /**
+     * Build the multigrid hierarchy from the solver cells
+     * Coarse interior cell I covers fine interior cells 2I-1 and 2I on each
+     * coarsened axis (z stays a single slice in 2D); every level keeps a
+     * one-cell ring of zero pressure around its interior. Each fine cell also
+     * stores the direction of its second-nearest coarse cell per axis for
+     * linear prolongation.
+     */
+    buildMultigridLevels() {
+        const levels = [{
+            width: this.gridWidth,
+            height: this.gridHeight,
+            depth: this.gridDepth,
+            cells: this.solverCells,
+            red: this.solverRed,
+            black: this.solverBlack,
+            scale: 1,
+            diagonal: null,
+            pressure: null,
+            rhs: null,
+            residual: new Float32Array(this.totalCells)
+        }];
+        
+        const is3D = this.dimensions === 3;
+        const stencil = is3D ? 6.0 : 4.0;
+        const coarsen = size => Math.ceil((size - 2) / 2) + 2;
+        
+        // Coarse cells next to the outer ring sit closer than one coarse cell to
+        // the fine walls (theta < 1): extrapolating p = 0 to the wall adds 1/theta - 1
+        const wallTerm = (cell, coarseSize, fineInterior, scale) => {
+            let term = 0;
+            if (cell === 1) {
+                const center = (1 + Math.min(scale, fineInterior)) / 2;
+                term += scale / center - 1;
+            }
+            if (cell === coarseSize - 2) {
+                const center = ((cell - 1) * scale + 1 + fineInterior) / 2;
+                term += scale / (fineInterior + 1 - center) - 1;
+            }
+            return term;
+        };
+        
+        while (levels.length < 8) {
+            const fine = levels[levels.length - 1];
+            if (fine.width - 2 < 4 || fine.height - 2 < 4 || (is3D && fine.depth - 2 < 4)) break;
+            
+            const width = coarsen(fine.width);
+            const height = coarsen(fine.height);
+            const depth = is3D ? coarsen(fine.depth) : 1;
+            const size = width * height * depth;
+            const parent = new Int32Array(fine.cells.length);
+            const prolongOffsets = new Int32Array(fine.cells.length * 3);
+            const childCount = new Float32Array(size);
+            
+            for (let c = 0; c < fine.cells.length; c++) {
+                const index = fine.cells[c];
+                const k = Math.floor(index / (fine.width * fine.height));
+                const j = Math.floor(index / fine.width) % fine.height;
+                const i = index % fine.width;
+                
+                const ci = Math.floor((i - 1) / 2) + 1;
+                const cj = Math.floor((j - 1) / 2) + 1;
+                const ck = is3D ? Math.floor((k - 1) / 2) + 1 : 0;
+                
+                parent[c] = (ck * height + cj) * width + ci;
+                childCount[parent[c]]++;
+                
+                // Odd interior positions lie below their coarse cell center
+                prolongOffsets[c * 3] = (i - 1) % 2 === 0 ? -1 : 1;
+                prolongOffsets[c * 3 + 1] = ((j - 1) % 2 === 0 ? -1 : 1) * width;
+                prolongOffsets[c * 3 + 2] = is3D ? ((k - 1) % 2 === 0 ? -1 : 1) * width * height : 0;
+            }
+            
+            const scale = fine.scale * 2;
+            const diagonal = new Float32Array(size);
+            const cells = [];
+            const red = [];
+            const black = [];
+            for (let index = 0; index < size; index++) {
+                if (childCount[index] > 0) {
+                    const k = Math.floor(index / (width * height));
+                    const j = Math.floor(index / width) % height;
+                    const i = index % width;
+                    cells.push(index);
+                    ((i + j + k) % 2 === 0 ? red : black).push(index);
                     
-                    if (this.boundaries[index] === 0) {
-                        this.velocity.x[index] -= 0.5 * (
-                            this.pressure[this.getIndex(i+1, j, k)] - this.pressure[this.getIndex(i-1, j, k)]
-                        ) / this.cellSize;
-                        
-                        this.velocity.y[index] -= 0.5 * (
-                            this.pressure[this.getIndex(i, j+1, k)] - this.pressure[this.getIndex(i, j-1, k)]
-                        ) / this.cellSize;
-                        
-                        this.velocity.z[index] -= 0.5 * (
-                            this.pressure[this.getIndex(i, j, k+1)] - this.pressure[this.getIndex(i, j, k-1)]
-                        ) / this.cellSize;
-                    }
+                    diagonal[index] = stencil +
+                        wallTerm(i, width, this.gridWidth - 2, scale) +
+                        wallTerm(j, height, this.gridHeight - 2, scale) +
+                        (is3D ? wallTerm(k, depth, this.gridDepth - 2, scale) : 0);
                 }
             }
+            
+            fine.parent = parent;
+            fine.prolongOffsets = prolongOffsets;
+            levels.push({
+                width,
+                height,
+                depth,
+                cells: Int32Array.from(cells),
+                red: Int32Array.from(red),
+                black: Int32Array.from(black),
+                childCount,
+                scale,
+                diagonal,
+                pressure: new Float32Array(size),
+                rhs: new Float32Array(size),
+                residual: new Float32Array(size)
+            });
+        }
+        
+        this.multigridLevels = levels;
+    }
+    
+    /**
+     * One multigrid V-cycle on the finest level, in place
+     */
+    multigridCycle(pressure, divergence) {
+        if (!this.multigridLevels) {
+            this.buildMultigridLevels();
+        }
+        
+        const finest = this.multigridLevels[0];
+        finest.pressure = pressure;
+        finest.rhs = divergence;
+        
+        this.multigridVCycle(0);
+    }
+    
+    /**
+     * Red-black Gauss-Seidel smoothing with coarse-grid correction
+     */
+    multigridVCycle(levelIndex) {
+        const levels = this.multigridLevels;
+        const level = levels[levelIndex];
+        const strideY = level.width;
+        const strideZ = level.width * level.height;
+        const smooth = sweeps => {
+            for (let s = 0; s < sweeps; s++) {
+                this.relaxCells(level.red, level.pressure, level.rhs, strideY, 1.0, strideZ, level.diagonal);
+                this.relaxCells(level.black, level.pressure, level.rhs, strideY, 1.0, strideZ, level.diagonal);
+            }
+        };
+        
+        // Coarsest level: relax to (near) convergence
+        if (levelIndex === levels.length - 1) {
+            smooth(MULTIGRID_COARSE_SWEEPS);
+            return;
+        }
+        
+        smooth(MULTIGRID_SMOOTHING_SWEEPS);
+        this.computeResidual(level.cells, level.pressure, level.rhs, strideY, level.residual, strideZ, level.diagonal);
+        
+        // Restrict: average the children, scaled by (2h / h)^2 for the coarse operator
+        const coarse = levels[levelIndex + 1];
+        coarse.rhs.fill(0);
+        coarse.pressure.fill(0);
+        for (let c = 0; c < level.cells.length; c++) {
+            coarse.rhs[level.parent[c]] += level.residual[level.cells[c]];
+        }
+        for (let c = 0; c < coarse.cells.length; c++) {
+            const index = coarse.cells[c];
+            coarse.rhs[index] *= 4.0 / coarse.childCount[index];
+        }
+        
+        this.multigridVCycle(levelIndex + 1);
+        
+        // Prolong: (bi/tri)linear correction, 3/4 nearest and 1/4 next coarse cell per axis
+        const correction = coarse.pressure;
+        const offsets = level.prolongOffsets;
+        const is3D = this.dimensions === 3;
+        const bilinear = (base, ox, oy) =>
+            0.75 * (0.75 * correction[base] + 0.25 * correction[base + ox]) +
+            0.25 * (0.75 * correction[base + oy] + 0.25 * correction[base + oy + ox]);
+        
+        for (let c = 0; c < level.cells.length; c++) {
+            const base = level.parent[c];
+            const ox = offsets[c * 3];
+            const oy = offsets[c * 3 + 1];
+            let value = bilinear(base, ox, oy);
+            if (is3D) {
+                value = 0.75 * value + 0.25 * bilinear(base + offsets[c * 3 + 2], ox, oy);
+            }
+            level.pressure[level.cells[c]] += value;
         }
+        
+        smooth(MULTIGRID_SMOOTHING_SWEEPS);
     }
     
     /**
      * Calculate vorticity (curl of velocity field)
      */
     calculateVorticity() {
+        if (this.dimensions === 2) {
+            this.calculateVorticity2D();
+            return;
+        }
+        
         for (let k = 1; k < this.gridDepth - 1; k++) {
             for (let j = 1; j < this.gridHeight - 1; j++) {
                 for (let i = 1; i < this.gridWidth - 1; i++) {
@@ -642,6 +1188,11 @@ export class FluidSimulation {
      * Apply vorticity confinement for enhanced swirling motion
      */
     applyVorticityConfinement(timeStep) {
+        if (this.dimensions === 2) {
+            this.applyVorticityConfinement2D(timeStep);
+            return;
+        }
+        
         const epsilon = 0.01; // Vorticity confinement strength
         
         for (let k = 1; k < this.gridDepth - 1; k++) {
@@ -746,6 +1297,98 @@ export class FluidSimulation {
         }
     }
     
+    // ===== 2D FAST PATH =====
+    
+    /**
+     * Semi-Lagrangian advection on a single slice (bilinear)
+     */
+    advectField2D(field, prevField, velX, velY, timeStep) {
+        const dt = timeStep / this.cellSize;
+        const width = this.gridWidth;
+        const cells = this.solverCells;
+        
+        for (let c = 0; c < cells.length; c++) {
+            const index = cells[c];
+            const i = index % width;
+            const j = (index - i) / width;
+            
+            // Trace particle backwards and clamp to grid bounds
+            const x = Math.max(0.5, Math.min(width - 1.5, i - dt * velX[index]));
+            const y = Math.max(0.5, Math.min(this.gridHeight - 1.5, j - dt * velY[index]));
+            
+            const i0 = Math.floor(x);
+            const j0 = Math.floor(y);
+            const fx = x - i0;
+            const fy = y - j0;
+            const base = j0 * width + i0;
+            
+            const c0 = prevField[base] * (1 - fx) + prevField[base + 1] * fx;
+            const c1 = prevField[base + width] * (1 - fx) + prevField[base + width + 1] * fx;
+            field[index] = c0 * (1 - fy) + c1 * fy;
+        }
+    }
+    
+    /**
+     * Gauss-Seidel diffusion on a single slice
+     */
+    diffuseField2D(field, prevField, alpha) {
+        const beta = 1.0 + 4.0 * alpha;
+        const width = this.gridWidth;
+        const cells = this.solverCells;
+        
+        for (let iter = 0; iter < this.iterations; iter++) {
+            for (let c = 0; c < cells.length; c++) {
+                const index = cells[c];
+                const neighbors = field[index - 1] + field[index + 1] +
+                                  field[index - width] + field[index + width];
+                
+                field[index] = (prevField[index] + alpha * neighbors) / beta;
+            }
+        }
+    }
+    
+    /**
+     * Vorticity on a single slice: only the z component is non-zero
+     */
+    calculateVorticity2D() {
+        const width = this.gridWidth;
+        const cells = this.solverCells;
+        const vx = this.velocity.x;
+        const vy = this.velocity.y;
+        
+        for (let c = 0; c < cells.length; c++) {
+            const index = cells[c];
+            this.vorticity.z[index] = 0.5 * (
+                vy[index + 1] - vy[index - 1] - vx[index + width] + vx[index - width]
+            ) / this.cellSize;
+        }
+    }
+    
+    /**
+     * Vorticity confinement on a single slice: f = epsilon * (N x omega_z)
+     */
+    applyVorticityConfinement2D(timeStep) {
+        const epsilon = 0.01; // Vorticity confinement strength
+        const width = this.gridWidth;
+        const cells = this.solverCells;
+        const omega = this.vorticity.z;
+        
+        for (let c = 0; c < cells.length; c++) {
+            const index = cells[c];
+            
+            if (Math.abs(omega[index]) > 0.001) {
+                const gradX = 0.5 * (Math.abs(omega[index + 1]) - Math.abs(omega[index - 1])) / this.cellSize;
+                const gradY = 0.5 * (Math.abs(omega[index + width]) - Math.abs(omega[index - width])) / this.cellSize;
+                const gradMag = Math.sqrt(gradX * gradX + gradY * gradY);
+                
+                if (gradMag > 0.001) {
+                    this.velocity.x[index] += epsilon * timeStep * (gradY / gradMag) * omega[index];
+                    this.velocity.y[index] -= epsilon * timeStep * (gradX / gradMag) * omega[index];
+                }
+            }
+        }
+    }
+    
     /**
      * Apply boundary conditions to all fields
      */
@@ -858,6 +1501,16 @@ export class FluidSimulation {
      * Add an impulse force at a specific location
      */
     addImpulse(x, y, z, forceX, forceY, forceZ, radius) {
+        if (this.dimensions === 2) {
+            z = 0;
+            forceZ = 0;
+        }
+        
+        if (this.isGPUActive()) {
+            this.queueSplat('splatVelocity', x, y, z, radius, [forceX, forceY, forceZ]);
+            return;
+        }
+        
         const radiusSquared = radius * radius;
         
         for (let k = Math.max(0, Math.floor(z - radius)); k < Math.min(this.gridDepth, Math.ceil(z + radius)); k++) {
@@ -888,6 +1541,11 @@ export class FluidSimulation {
      * Add continuous force over time at a specific location
      */
     addContinuousForce(x, y, z, forceX, forceY, forceZ, radius) {
+        if (this.dimensions === 2) {
+            z = 0;
+            forceZ = 0;
+        }
+        
         const radiusSquared = radius * radius;
         
         for (let k = Math.max(0, Math.floor(z - radius)); k < Math.min(this.gridDepth, Math.ceil(z + radius)); k++) {
@@ -918,6 +1576,13 @@ export class FluidSimulation {
      * Add density source at a specific location
      */
     addDensitySource(x, y, z, amount, radius) {
+        if (this.dimensions === 2) z = 0;
+        
+        if (this.isGPUActive()) {
+            this.queueSplat('splatScalars', x, y, z, radius, [amount, 0, 0], [1, 0]);
+            return;
+        }
+        
         const radiusSquared = radius * radius;
         
         for (let k = Math.max(0, Math.floor(z - radius)); k < Math.min(this.gridDepth, Math.ceil(z + radius)); k++) {
@@ -945,6 +1610,13 @@ export class FluidSimulation {
      * Add temperature source at a specific location
      */
     addTemperatureSource(x, y, z, temperature, radius) {
+        if (this.dimensions === 2) z = 0;
+        
+        if (this.isGPUActive()) {
+            this.queueSplat('splatScalars', x, y, z, radius, [0, temperature, 0], [0, 1]);
+            return;
+        }
+        
         const radiusSquared = radius * radius;
         
         for (let k = Math.max(0, Math.floor(z - radius)); k < Math.min(this.gridDepth, Math.ceil(z + radius)); k++) {
@@ -985,16 +1657,61 @@ export class FluidSimulation {
     }
     
     /**
-     * Initialize GPU compute shaders (if supported)
+     * Whether steps currently run on the GPU
+     * @returns {boolean} True once GPU resources are ready
      */
-    initializeGPUCompute() {
+    isGPUActive() {
+        return this.useGPUCompute && this.gpuState !== null;
+    }
+    
+    /**
+     * Initialize GPU compute, falling back to the CPU when unsupported
+     * @param {WebGL2RenderingContext} gl - WebGL context
+     */
+    async initializeGPUCompute(gl) {
         if (!this.useGPUCompute) return;
         
         try {
-            this.gl = webglUtils.gl;
+            if (!(typeof WebGL2RenderingContext !== 'undefined' && gl instanceof WebGL2RenderingContext)) {
+                throw new Error('WebGL2 is required');
+            }
+            if (!gl.getExtension('EXT_color_buffer_float')) {
+                throw new Error('EXT_color_buffer_float is not supported');
+            }
+            
+            this.gl = gl;
+            
+            // Slice atlas layout: tilesX x tilesY tiles of gridWidth x gridHeight texels
+            const tilesX = Math.ceil(Math.sqrt(this.gridDepth));
+            const tilesY = Math.ceil(this.gridDepth / tilesX);
+            const atlasWidth = tilesX * this.gridWidth;
+            const atlasHeight = tilesY * this.gridHeight;
+            const maxTextureSize = gl.getParameter(gl.MAX_TEXTURE_SIZE);
+            
+            if (atlasWidth > maxTextureSize || atlasHeight > maxTextureSize) {
+                throw new Error(`Slice atlas ${atlasWidth}x${atlasHeight} exceeds MAX_TEXTURE_SIZE ${maxTextureSize}`);
+            }
+            
+            this.gpuState = {
+                tilesX,
+                tilesY,
+                atlasWidth,
+                atlasHeight,
+                // Texture names; index 0 holds the current state
+                velocity: ['velocity0', 'velocity1', 'velocity2'],
+                scalars: ['scalars0', 'scalars1', 'scalars2'],
+                pressure: ['pressure0', 'pressure1'],
+                pendingSplats: [],
+                needsUpload: true,
+                cpuStale: false,
+                readbackBuffer: null,
+                quadBuffer: null,
+                vertexArray: null,
+                savedState: null
+            };
             
             // Create compute shader programs for each simulation step
-            this.createComputePrograms();
+            await this.createComputePrograms();
             
             // Create textures for fluid state
             this.createFluidTextures();
@@ -1002,51 +1719,91 @@ export class FluidSimulation {
             // Create framebuffers for compute operations
             this.createComputeFramebuffers();
             
-            console.log('GPU compute initialized for fluid simulation');
+            console.log('GPU compute initialized for fluid simulation', {
+                atlas: `${atlasWidth}x${atlasHeight}`,
+                tiles: `${tilesX}x${tilesY}`
+            });
         } catch (error) {
             console.warn('Failed to initialize GPU compute, falling back to CPU:', error);
+            this.releaseGPUResources();
             this.useGPUCompute = false;
         }
     }
     
     /**
-     * Create compute shader programs
+     * Create compute shader programs, one FLUID_PASS variant per step
      */
-    createComputePrograms() {
-        // This would implement GPU compute shaders for fluid simulation
-        // For now, we'll stub this as it requires extensive GLSL compute shader code
-        console.log('GPU compute programs would be created here');
+    async createComputePrograms() {
+        const is2D = this.dimensions === 2;
+        
+        for (const [pass, id] of Object.entries(FLUID_PASSES)) {
+            const programName = `${is2D ? 'fluid2d' : 'fluid'}:${pass}`;
+            await shaderManager.loadShaderProgram(
+                FLUID_VERTEX_SHADER,
+                FLUID_FRAGMENT_SHADER,
+                is2D ? { FLUID_PASS: id, FLUID_2D: 1 } : { FLUID_PASS: id },
+                programName
+            );
+            this.computePrograms.set(pass, programName);
+        }
     }
     
     /**
-     * Create fluid state textures
+     * Create fluid state textures (slice atlases)
      */
     createFluidTextures() {
         const gl = this.gl;
+        const { atlasWidth, atlasHeight } = this.gpuState;
+        
+        // Velocity and vorticity use xyz, scalars pack density (r) and temperature (g)
+        const formats = {
+            velocity: [gl.RGBA32F, gl.RGBA],
+            vorticity: [gl.RGBA32F, gl.RGBA],
+            scalars: [gl.RG32F, gl.RG],
+            pressure: [gl.R32F, gl.RED],
+            divergence: [gl.R32F, gl.RED],
+            boundaries: [gl.R32F, gl.RED]
+        };
         
-        // Create 3D textures for velocity, pressure, density, temperature
-        const textureNames = ['velocity', 'pressure', 'density', 'temperature'];
-        
-        for (const name of textureNames) {
-            const texture = gl.createTexture();
-            gl.bindTexture(gl.TEXTURE_3D, texture);
+        const names = [
+            ...this.gpuState.velocity,
+            ...this.gpuState.scalars,
+            ...this.gpuState.pressure,
+            'divergence',
+            'vorticity',
+            'boundaries'
+        ];
+        
+        for (const name of names) {
+            const [internalFormat, format] = formats[name.replace(/\d+$/, '')];
             
-            // Set texture parameters
-            gl.texParameteri(gl.TEXTURE_3D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
-            gl.texParameteri(gl.TEXTURE_3D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
-            gl.texParameteri(gl.TEXTURE_3D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
-            gl.texParameteri(gl.TEXTURE_3D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
-            gl.texParameteri(gl.TEXTURE_3D, gl.TEXTURE_WRAP_R, gl.CLAMP_TO_EDGE);
-            
-            // Allocate texture memory
-            gl.texImage3D(
-                gl.TEXTURE_3D, 0, gl.RGBA32F,
-                this.gridWidth, this.gridHeight, this.gridDepth,
-                0, gl.RGBA, gl.FLOAT, null
-            );
+            // Cells are fetched individually, float textures are not filterable
+            const texture = webglUtils.createTexture(gl, {
+                width: atlasWidth,
+                height: atlasHeight,
+                internalFormat,
+                format,
+                type: gl.FLOAT,
+                minFilter: gl.NEAREST,
+                magFilter: gl.NEAREST
+            });
             
             this.textures.set(name, texture);
         }
+        
+        // Fullscreen quad: interleaved clip-space position and uv
+        this.gpuState.quadBuffer = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.gpuState.quadBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([
+            -1, -1, 0, 0,
+            1, -1, 1, 0,
+            -1, 1, 0, 1,
+            1, 1, 1, 1
+        ]), gl.STATIC_DRAW);
+        gl.bindBuffer(gl.ARRAY_BUFFER, null);
+        
+        this.gpuState.vertexArray = gl.createVertexArray();
+        this.gpuState.readbackBuffer = new Float32Array(atlasWidth * atlasHeight * 4);
     }
     
     /**
@@ -1055,29 +1812,421 @@ export class FluidSimulation {
     createComputeFramebuffers() {
         const gl = this.gl;
         
-        // Create framebuffers for each texture
+        // Create a framebuffer for each render target
         for (const [name, texture] of this.textures) {
+            if (name === 'boundaries') continue;
+            
             const framebuffer = gl.createFramebuffer();
             gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
             
             // Attach texture to framebuffer
             gl.framebufferTexture2D(
                 gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0,
-                gl.TEXTURE_3D, texture, 0
+                gl.TEXTURE_2D, texture, 0
             );
             
+            const status = gl.checkFramebufferStatus(gl.FRAMEBUFFER);
+            if (status !== gl.FRAMEBUFFER_COMPLETE) {
+                gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+                throw new Error(`Fluid framebuffer ${name} incomplete: ${status}`);
+            }
+            
             this.framebuffers.set(name, framebuffer);
         }
+        
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
     }
     
     /**
      * GPU-based fluid simulation update
+     * Mirrors updateCPU pass for pass; addForces has no GPU pass because the
+     * CPU advection overwrites everything it writes. Diffusion and pressure
+     * always use Jacobi iterations, so both paths agree with the CPU solvers
+     * once the solves have converged; residuals are not tracked on the GPU.
      */
     updateGPU(timeStep) {
-        // This would implement the GPU version of the fluid simulation
-        // For now, fall back to CPU
-        console.log('GPU fluid simulation would run here');
-        this.updateCPU(timeStep);
+        const state = this.gpuState;
+        const material = this.materialProperties[this.currentMaterial];
+        const iterations = this.iterations;
+        
+        this.beginComputePasses();
+        
+        if (state.needsUpload) {
+            this.uploadFluidState();
+        }
+        this.applyPendingSplats();
+        
+        const [v0, v1, v2] = state.velocity;
+        const [s0, s1, s2] = state.scalars;
+        const [p0, p1] = state.pressure;
+        const stepUniforms = { u_timeStep: timeStep, u_cellSize: this.cellSize };
+        
+        // Step 1: Advection - velocity along itself, scalars along the new velocity
+        this.runComputePass('advect', v1, { u_source: v0, u_velocity: v0 }, {
+            ...stepUniforms,
+            u_wallValue: [0, 0, 0, 0]
+        });
+        this.runComputePass('advect', s1, { u_source: s0, u_velocity: v1 }, {
+            ...stepUniforms,
+            u_wallValue: [material.density, 20.0, 0, 0]
+        });
+        
+        // Step 2: Diffusion towards the pre-advection state
+        const cellArea = this.cellSize * this.cellSize;
+        const viscosityAlpha = timeStep * material.viscosity / cellArea;
+        const densityAlpha = timeStep * this.diffusion / cellArea;
+        const velocity = this.runJacobi('diffuse', v1, v2, { u_source: v0 }, {
+            u_alpha: [viscosityAlpha, viscosityAlpha, viscosityAlpha, 0]
+        }, iterations);
+        const scalars = this.runJacobi('diffuse', s1, s2, { u_source: s0 }, {
+            u_alpha: [densityAlpha, densityAlpha * 2.0, 0, 0]
+        }, iterations);
+        
+        // Step 3: Projection - pressure starts from zero each step
+        this.runComputePass('divergence', 'divergence', { u_velocity: velocity.result }, stepUniforms);
+        this.clearTarget(p0);
+        const pressureIterations = this.pressureSolver.iterations;
+        const pressure = this.runJacobi('pressure', p0, p1, { u_divergence: 'divergence' }, {}, pressureIterations);
+        this.runComputePass('gradient', v0, { u_velocity: velocity.result, u_pressure: pressure.result }, stepUniforms);
+        
+        // Step 4: Vorticity confinement, buoyancy and wall velocities
+        this.runComputePass('vorticity', 'vorticity', { u_velocity: v0 }, stepUniforms);
+        this.runComputePass('forces', velocity.free, {
+            u_velocity: v0,
+            u_vorticity: 'vorticity',
+            u_scalars: scalars.result
+        }, {
+            ...stepUniforms,
+            u_confinement: 0.01,
+            u_buoyancy: this.buoyancy,
+            u_thermalExpansion: 0.0002,
+            u_referenceTemperature: 20.0,
+            u_referenceDensity: material.density
+        });
+        
+        // Step 5: Pressure boundary condition
+        this.runComputePass('pressureBoundary', pressure.free, { u_field: pressure.result });
+        
+        state.velocity = [velocity.free, v0, velocity.result];
+        state.scalars = [scalars.result, s0, scalars.free];
+        state.pressure = [pressure.free, pressure.result];
+        state.cpuStale = true;
+        
+        this.solverStats = {
+            type: 'jacobi',
+            iterations: pressureIterations,
+            initialResidual: null,
+            residual: null,
+            residuals: []
+        };
+        
+        this.endComputePasses();
+    }
+    
+    /**
+     * Run Jacobi iterations ping-ponging between two targets
+     * @returns {Object} { result, free } texture names
+     */
+    runJacobi(pass, field, scratch, inputs, uniforms, iterations) {
+        let result = field;
+        let free = scratch;
+        
+        for (let iter = 0; iter < iterations; iter++) {
+            this.runComputePass(pass, free, { ...inputs, u_field: result }, uniforms);
+            [result, free] = [free, result];
+        }
+        
+        return { result, free };
+    }
+    
+    /**
+     * Draw one fluid pass over the whole slice atlas
+     * @param {string} pass - Key of FLUID_PASSES
+     * @param {string} target - Texture name to render into
+     * @param {Object} inputs - Sampler uniform name -> texture name
+     * @param {Object} uniforms - Float / vector uniforms
+     */
+    runComputePass(pass, target, inputs = {}, uniforms = {}) {
+        const gl = this.gl;
+        const state = this.gpuState;
+        const programName = this.computePrograms.get(pass);
+        
+        shaderManager.useProgram(programName);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffers.get(target));
+        
+        const samplers = { u_boundaries: 'boundaries', ...inputs };
+        let unit = 0;
+        for (const [name, textureName] of Object.entries(samplers)) {
+            const location = shaderManager.getUniformLocation(programName, name);
+            if (!location) continue;
+            
+            gl.activeTexture(gl.TEXTURE0 + unit);
+            gl.bindTexture(gl.TEXTURE_2D, this.textures.get(textureName));
+            gl.uniform1i(location, unit);
+            unit++;
+        }
+        
+        const values = {
+            u_gridSize: [this.gridWidth, this.gridHeight, this.gridDepth],
+            u_tiles: [state.tilesX, state.tilesY],
+            u_atlasSize: [state.atlasWidth, state.atlasHeight],
+            ...uniforms
+        };
+        for (const [name, value] of Object.entries(values)) {
+            const location = shaderManager.getUniformLocation(programName, name);
+            if (!location) continue;
+            
+            if (typeof value === 'number') {
+                gl.uniform1f(location, value);
+            } else if (value.length === 2) {
+                gl.uniform2fv(location, value);
+            } else if (value.length === 3) {
+                gl.uniform3fv(location, value);
+            } else {
+                gl.uniform4fv(location, value);
+            }
+        }
+        
+        const positionLocation = shaderManager.getAttributeLocation(programName, 'a_position');
+        const uvLocation = shaderManager.getAttributeLocation(programName, 'a_uv');
+        
+        gl.bindBuffer(gl.ARRAY_BUFFER, state.quadBuffer);
+        if (positionLocation >= 0) {
+            gl.enableVertexAttribArray(positionLocation);
+            gl.vertexAttribPointer(positionLocation, 2, gl.FLOAT, false, 16, 0);
+        }
+        if (uvLocation >= 0) {
+            gl.enableVertexAttribArray(uvLocation);
+            gl.vertexAttribPointer(uvLocation, 2, gl.FLOAT, false, 16, 8);
+        }
+        
+        gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+    }
+    
+    /**
+     * Clear a render target to zero
+     */
+    clearTarget(target) {
+        const gl = this.gl;
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffers.get(target));
+        gl.clearColor(0, 0, 0, 0);
+        gl.clear(gl.COLOR_BUFFER_BIT);
+    }
+    
+    /**
+     * Save the GL state touched by fluid passes and set up the atlas viewport
+     */
+    beginComputePasses() {
+        const gl = this.gl;
+        
+        this.gpuState.savedState = {
+            framebuffer: gl.getParameter(gl.FRAMEBUFFER_BINDING),
+            viewport: gl.getParameter(gl.VIEWPORT),
+            clearColor: gl.getParameter(gl.COLOR_CLEAR_VALUE),
+            vertexArray: gl.getParameter(gl.VERTEX_ARRAY_BINDING),
+            blend: gl.isEnabled(gl.BLEND),
+            depthTest: gl.isEnabled(gl.DEPTH_TEST),
+            cullFace: gl.isEnabled(gl.CULL_FACE),
+            scissorTest: gl.isEnabled(gl.SCISSOR_TEST)
+        };
+        
+        gl.disable(gl.BLEND);
+        gl.disable(gl.DEPTH_TEST);
+        gl.disable(gl.CULL_FACE);
+        gl.disable(gl.SCISSOR_TEST);
+        gl.bindVertexArray(this.gpuState.vertexArray);
+        gl.viewport(0, 0, this.gpuState.atlasWidth, this.gpuState.atlasHeight);
+    }
+    
+    /**
+     * Restore the GL state saved by beginComputePasses
+     */
+    endComputePasses() {
+        const gl = this.gl;
+        const saved = this.gpuState.savedState;
+        
+        gl.bindVertexArray(saved.vertexArray);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, saved.framebuffer);
+        gl.viewport(saved.viewport[0], saved.viewport[1], saved.viewport[2], saved.viewport[3]);
+        gl.clearColor(saved.clearColor[0], saved.clearColor[1], saved.clearColor[2], saved.clearColor[3]);
+        
+        if (saved.blend) gl.enable(gl.BLEND);
+        if (saved.depthTest) gl.enable(gl.DEPTH_TEST);
+        if (saved.cullFace) gl.enable(gl.CULL_FACE);
+        if (saved.scissorTest) gl.enable(gl.SCISSOR_TEST);
+        
+        this.gpuState.savedState = null;
+    }
+    
+    /**
+     * Splat impulses and sources queued since the last GPU step
+     */
+    applyPendingSplats() {
+        const state = this.gpuState;
+        
+        for (const splat of state.pendingSplats) {
+            const field = splat.pass === 'splatVelocity' ? state.velocity : state.scalars;
+            
+            this.runComputePass(splat.pass, field[1], { u_field: field[0] }, {
+                u_splatCenter: splat.center,
+                u_splatRadius: splat.radius,
+                u_splatValue: splat.value,
+                u_splatWeights: splat.weights
+            });
+            [field[0], field[1]] = [field[1], field[0]];
+        }
+        
+        if (state.pendingSplats.length > 0) {
+            state.pendingSplats.length = 0;
+            state.cpuStale = true;
+        }
+    }
+    
+    /**
+     * Queue an impulse or source for the next GPU step
+     */
+    queueSplat(pass, x, y, z, radius, value, weights = [0, 0]) {
+        this.gpuState.pendingSplats.push({ pass, center: [x, y, z], radius, value, weights });
+    }
+    
+    /**
+     * Copy the CPU state arrays into the GPU atlases
+     */
+    uploadFluidState() {
+        const gl = this.gl;
+        const { atlasWidth, atlasHeight } = this.gpuState;
+        const texels = atlasWidth * atlasHeight;
+        
+        const velocity = this.packAtlas([this.velocity.x, this.velocity.y, this.velocity.z, null], new Float32Array(texels * 4));
+        const scalars = this.packAtlas([this.densityField, this.temperature], new Float32Array(texels * 2));
+        const boundaries = this.packAtlas([this.boundaries], new Float32Array(texels));
+        
+        const uploads = [
+            [this.gpuState.velocity[0], gl.RGBA, velocity],
+            [this.gpuState.scalars[0], gl.RG, scalars],
+            ['boundaries', gl.RED, boundaries]
+        ];
+        
+        for (const [name, format, data] of uploads) {
+            gl.bindTexture(gl.TEXTURE_2D, this.textures.get(name));
+            gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, 0, atlasWidth, atlasHeight, format, gl.FLOAT, data);
+        }
+        gl.bindTexture(gl.TEXTURE_2D, null);
+        
+        this.clearTarget(this.gpuState.pressure[0]);
+        this.gpuState.needsUpload = false;
+    }
+    
+    /**
+     * Refresh the CPU arrays from the GPU after a step
+     */
+    syncFromGPU() {
+        if (!this.isGPUActive()) return;
+        
+        const state = this.gpuState;
+        if (state.pendingSplats.length > 0) {
+            this.beginComputePasses();
+            this.applyPendingSplats();
+            this.endComputePasses();
+        }
+        if (!state.cpuStale) return;
+        
+        const gl = this.gl;
+        const buffer = state.readbackBuffer;
+        const previousFramebuffer = gl.getParameter(gl.FRAMEBUFFER_BINDING);
+        
+        const readbacks = [
+            [state.velocity[0], [this.velocity.x, this.velocity.y, this.velocity.z]],
+            [state.scalars[0], [this.densityField, this.temperature]],
+            [state.pressure[0], [this.pressure]]
+        ];
+        
+        for (const [name, channels] of readbacks) {
+            // RGBA / FLOAT is always a valid readback format for float targets
+            gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffers.get(name));
+            gl.readPixels(0, 0, state.atlasWidth, state.atlasHeight, gl.RGBA, gl.FLOAT, buffer);
+            this.unpackAtlas(buffer, 4, channels);
+        }
+        
+        gl.bindFramebuffer(gl.FRAMEBUFFER, previousFramebuffer);
+        state.cpuStale = false;
+    }
+    
+    /**
+     * Interleave per-cell arrays into slice atlas texels
+     * @param {Array<ArrayLike|null>} channels - One array per texel component (null = 0)
+     * @param {Float32Array} out - Atlas data, channels.length floats per texel
+     * @returns {Float32Array} out
+     */
+    packAtlas(channels, out) {
+        const stride = channels.length;
+        
+        this.forEachAtlasCell((index, texel) => {
+            for (let c = 0; c < stride; c++) {
+                out[texel * stride + c] = channels[c] ? channels[c][index] : 0;
+            }
+        });
+        
+        return out;
+    }
+    
+    /**
+     * Scatter slice atlas texels back into per-cell arrays
+     */
+    unpackAtlas(data, stride, channels) {
+        this.forEachAtlasCell((index, texel) => {
+            for (let c = 0; c < channels.length; c++) {
+                channels[c][index] = data[texel * stride + c];
+            }
+        });
+    }
+    
+    /**
+     * Visit every cell with its atlas texel index
+     * @param {Function} callback - (cellIndex, texelIndex)
+     */
+    forEachAtlasCell(callback) {
+        const { tilesX, atlasWidth } = this.gpuState;
+        
+        for (let k = 0; k < this.gridDepth; k++) {
+            const tileX = (k % tilesX) * this.gridWidth;
+            const tileY = Math.floor(k / tilesX) * this.gridHeight;
+            
+            for (let j = 0; j < this.gridHeight; j++) {
+                const rowIndex = (k * this.gridHeight + j) * this.gridWidth;
+                const rowTexel = (tileY + j) * atlasWidth + tileX;
+                
+                for (let i = 0; i < this.gridWidth; i++) {
+                    callback(rowIndex + i, rowTexel + i);
+                }
+            }
+        }
+    }
+    
+    /**
+     * Delete GPU textures, framebuffers and buffers
+     */
+    releaseGPUResources() {
+        const gl = this.gl;
+        
+        if (gl) {
+            for (const texture of this.textures.values()) {
+                gl.deleteTexture(texture);
+            }
+            for (const framebuffer of this.framebuffers.values()) {
+                gl.deleteFramebuffer(framebuffer);
+            }
+            if (this.gpuState) {
+                gl.deleteBuffer(this.gpuState.quadBuffer);
+                gl.deleteVertexArray(this.gpuState.vertexArray);
+            }
+        }
+        
+        // Programs are owned and cached by ShaderManager
+        this.textures.clear();
+        this.framebuffers.clear();
+        this.computePrograms.clear();
+        this.gpuState = null;
     }
     
     /**
@@ -1098,9 +2247,11 @@ export class FluidSimulation {
      * Get velocity at a specific world position
      */
     getVelocityAt(worldX, worldY, worldZ) {
+        this.syncFromGPU();
+        
         const gridX = (worldX / this.cellSize) + this.gridWidth * 0.5;
         const gridY = (worldY / this.cellSize) + this.gridHeight * 0.5;
-        const gridZ = (worldZ / this.cellSize) + this.gridDepth * 0.5;
+        const gridZ = this.dimensions === 2 ? 0 : (worldZ / this.cellSize) + this.gridDepth * 0.5;
         
         if (gridX < 0 || gridX >= this.gridWidth ||
             gridY < 0 || gridY >= this.gridHeight ||
@@ -1119,9 +2270,11 @@ export class FluidSimulation {
      * Get density at a specific world position
      */
     getDensityAt(worldX, worldY, worldZ) {
+        this.syncFromGPU();
+        
         const gridX = (worldX / this.cellSize) + this.gridWidth * 0.5;
         const gridY = (worldY / this.cellSize) + this.gridHeight * 0.5;
-        const gridZ = (worldZ / this.cellSize) + this.gridDepth * 0.5;
+        const gridZ = this.dimensions === 2 ? 0 : (worldZ / this.cellSize) + this.gridDepth * 0.5;
         
         if (gridX < 0 || gridX >= this.gridWidth ||
             gridY < 0 || gridY >= this.gridHeight ||
@@ -1136,9 +2289,11 @@ export class FluidSimulation {
      * Get temperature at a specific world position
      */
     getTemperatureAt(worldX, worldY, worldZ) {
+        this.syncFromGPU();
+        
         const gridX = (worldX / this.cellSize) + this.gridWidth * 0.5;
         const gridY = (worldY / this.cellSize) + this.gridHeight * 0.5;
-        const gridZ = (worldZ / this.cellSize) + this.gridDepth * 0.5;
+        const gridZ = this.dimensions === 2 ? 0 : (worldZ / this.cellSize) + this.gridDepth * 0.5;
         
         if (gridX < 0 || gridX >= this.gridWidth ||
             gridY < 0 || gridY >= this.gridHeight ||
@@ -1162,6 +2317,8 @@ export class FluidSimulation {
      * Get simulation statistics
      */
     getStatistics() {
+        this.syncFromGPU();
+        
         // Calculate fluid statistics
         let totalEnergy = 0;
         let maxVelocity = 0;
@@ -1190,6 +2347,12 @@ export class FluidSimulation {
             avgDensity: avgDensity / fluidCells,
             avgTemperature: avgTemperature / fluidCells,
             fluidCells,
+            backend: this.isGPUActive() ? 'gpu' : 'cpu',
+            dimensions: this.dimensions,
+            pressureSolver: {
+                ...this.solverStats,
+                residuals: [...this.solverStats.residuals]
+            },
             performance: this.performanceMetrics
         };
     }
@@ -1201,17 +2364,7 @@ export class FluidSimulation {
         console.log('Disposing FluidSimulation...');
         
         // Clean up GPU resources
-        if (this.gl) {
-            for (const texture of this.textures.values()) {
-                this.gl.deleteTexture(texture);
-            }
-            for (const framebuffer of this.framebuffers.values()) {
-                this.gl.deleteFramebuffer(framebuffer);
-            }
-            for (const program of this.computePrograms.values()) {
-                this.gl.deleteProgram(program);
-            }
-        }
+        this.releaseGPUResources();
         
         // Clear arrays
         this.velocity.x = null;
@@ -1222,6 +2375,9 @@ export class FluidSimulation {
         this.velocity.zPrev = null;
         this.pressure = null;
         this.pressurePrev = null;
+        this.divergence = null;
+        this.pressureScratch = null;
+        this.multigridLevels = null;
         this.densityField = null;
         this.densityPrev = null;
         this.temperature = null;
@@ -1231,11 +2387,6 @@ export class FluidSimulation {
         this.vorticity.z = null;
         this.boundaries = null;
         
-        // Clear maps
-        this.textures.clear();
-        this.framebuffers.clear();
-        this.computePrograms.clear();
-        
         console.log('FluidSimulation disposed');
     }
 }
\ No newline at end of file
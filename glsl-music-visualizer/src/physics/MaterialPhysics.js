@@ -6,6 +6,7 @@
  */
 
 import { MathUtils } from '../utils/MathUtils.js';
+import { SeededRandom } from '../utils/SeededRandom.js';
 import { webglUtils } from '../utils/WebGLUtils.js';
 import { performanceMonitor } from '../core/PerformanceMonitor.js';
 
@@ -224,6 +225,10 @@ export class MaterialPhysics {
             transitionEnergy: 0.0       // Energy accumulated for phase change
         };
         
+        // Random source for nucleation sites and transition forces (seeded for reproducible runs)
+        this.seed = options.seed !== undefined ? options.seed : null;
+        this.random = new SeededRandom(this.seed);
+        
         // Surface tension calculation cache
         this.surfaceTensionCache = new Map();
         this.surfaceTensionGrid = null;
@@ -277,6 +282,19 @@ export class MaterialPhysics {
         this.updateMaterialProperties();
     }
     
+    /**
+     * Restart the random sequence and any phase transition in progress for reproducible runs
+     * @param {number|string} seed - Random seed
+     */
+    setSeed(seed) {
+        this.seed = seed;
+        this.random.setSeed(seed);
+        
+        this.phaseState.transitionProgress = 0.0;
+        this.phaseState.transitionEnergy = 0.0;
+        this.phaseState.nucleationSites = [];
+    }
+    
     /**
      * Initialize surface tension calculation grid
      */
@@ -908,9 +926,9 @@ export class MaterialPhysics {
         for (const site of sites) {
             fluidSimulation.addImpulse(
                 site.x, site.y, site.z,
-                (Math.random() - 0.5) * expansionForce,
-                Math.random() * expansionForce, // Upward bias
-                (Math.random() - 0.5) * expansionForce,
+                (this.random.next() - 0.5) * expansionForce,
+                this.random.next() * expansionForce, // Upward bias
+                (this.random.next() - 0.5) * expansionForce,
                 10
             );
         }
@@ -928,9 +946,9 @@ export class MaterialPhysics {
             // Electromagnetic repulsion
             fluidSimulation.addImpulse(
                 site.x, site.y, site.z,
-                (Math.random() - 0.5) * plasmaForce,
-                (Math.random() - 0.5) * plasmaForce,
-                (Math.random() - 0.5) * plasmaForce,
+                (this.random.next() - 0.5) * plasmaForce,
+                (this.random.next() - 0.5) * plasmaForce,
+                (this.random.next() - 0.5) * plasmaForce,
                 15
             );
             
@@ -953,9 +971,9 @@ export class MaterialPhysics {
         // Find regions with appropriate conditions for nucleation
         const numSites = 10;
         for (let i = 0; i < numSites; i++) {
-            const x = (Math.random() - 0.5) * 10;
-            const y = (Math.random() - 0.5) * 10;
-            const z = (Math.random() - 0.5) * 10;
+            const x = (this.random.next() - 0.5) * 10;
+            const y = (this.random.next() - 0.5) * 10;
+            const z = (this.random.next() - 0.5) * 10;
             
             const density = fluidSimulation.getDensityAt(x, y, z);
             const temperature = fluidSimulation.getTemperatureAt(x, y, z);
@@ -963,7 +981,7 @@ export class MaterialPhysics {
             // Nucleation more likely in high-density, high-temperature regions
             const nucleationProbability = density * temperature * 1e-8;
             
-            if (Math.random() < nucleationProbability) {
+            if (this.random.next() < nucleationProbability) {
                 this.phaseState.nucleationSites.push({ x, y, z });
             }
         }
@@ -983,9 +1001,9 @@ export class MaterialPhysics {
                 // Create turbulence during phase transition
                 fluidSimulation.addContinuousForce(
                     site.x, site.y, site.z,
-                    (Math.random() - 0.5) * transitionForce,
-                    (Math.random() - 0.5) * transitionForce,
-                    (Math.random() - 0.5) * transitionForce,
+                    (this.random.next() - 0.5) * transitionForce,
+                    (this.random.next() - 0.5) * transitionForce,
+                    (this.random.next() - 0.5) * transitionForce,
                     5
                 );
             }
@@ -1107,9 +1125,9 @@ export class MaterialPhysics {
             // Apply heating to regions with current flow
             const numHeatSources = 5;
             for (let i = 0; i < numHeatSources; i++) {
-                const x = (Math.random() - 0.5) * 10;
-                const y = (Math.random() - 0.5) * 10;
-                const z = (Math.random() - 0.5) * 10;
+                const x = (this.random.next() - 0.5) * 10;
+                const y = (this.random.next() - 0.5) * 10;
+                const z = (this.random.next() - 0.5) * 10;
                 
                 fluidSimulation.addTemperatureSource(
                     x, y, z,
@@ -0,0 +1,208 @@
+/**
+ * Mesh Worker Client
+ * Main-thread side of MetaballSystem surface extraction in a Web Worker
+ * Location: src/physics/MeshWorkerClient.js
+ *
+ * The worker (src/physics/workers/MeshWorker.js) owns a MetaballMesher with its
+ * own field grid and block meshes. Each request carries the packed metaballs and
+ * the dirty block flags; the reply is the combined mesh. Work is pipelined like
+ * AnalysisWorkerClient: one request in flight, the newest result is taken on a
+ * later frame, and all buffers move as transfers.
+ *
+ * When workers are unavailable, the worker reports an error or a request
+ * stalls, the client shuts down (isReady false) and MetaballSystem meshes
+ * in-thread again.
+ */
+
+export class MeshWorkerClient {
+    /**
+     * @param {Object} options - Client options
+     * @param {number} options.initTimeout - Milliseconds to wait for the worker to start
+     * @param {number} options.requestTimeout - Milliseconds before a request counts as stalled
+     */
+    constructor(options = {}) {
+        this.options = {
+            initTimeout: 5000,
+            requestTimeout: 2000,
+            ...options
+        };
+        
+        this.worker = null;
+        this.isReady = false;
+        this.error = null;
+        
+        // Request in flight { id, sentAt } and newest result not taken yet
+        this.pending = null;
+        this.latest = null;
+        this.nextId = 1;
+        
+        this.initRequest = null;
+        
+        this.stats = {
+            submitted: 0,
+            completed: 0,
+            skipped: 0,
+            latency: 0,             // Round trip of the last request (ms)
+            workerTime: 0           // Meshing time inside the worker (ms)
+        };
+    }
+    
+    static isSupported() {
+        return typeof Worker !== 'undefined';
+    }
+    
+    /**
+     * Start the worker and build its mesher
+     * @param {Object} config - MetaballMesher options (without a grid)
+     * @returns {Promise<boolean>} Whether the worker is running
+     */
+    async initialize(config) {
+        if (!MeshWorkerClient.isSupported()) {
+            return false;
+        }
+        
+        try {
+            this.worker = new Worker(new URL('./workers/MeshWorker.js', import.meta.url), {
+                type: 'module',
+                name: 'metaball-mesh'
+            });
+            this.worker.onmessage = (event) => this.handleMessage(event.data);
+            this.worker.onerror = (event) => this.fail(event.error || new Error(event.message || 'Worker error'));
+            
+            await new Promise((resolve, reject) => {
+                const timer = setTimeout(() => reject(new Error('Worker did not start in time')), this.options.initTimeout);
+                this.initRequest = {
+                    resolve: () => { clearTimeout(timer); resolve(); },
+                    reject: (error) => { clearTimeout(timer); reject(error); }
+                };
+                this.worker.postMessage({ type: 'init', config });
+            });
+            
+            this.isReady = true;
+            console.log('Mesh worker started');
+            return true;
+            
+        } catch (error) {
+            this.fail(error);
+            return false;
+        }
+    }
+    
+    /**
+     * Send a mesh request
+     * @param {Object} payload - { metaballs, count, blocks }
+     * @param {Array<ArrayBuffer>} transfer - Buffers to transfer (the caller gives them up)
+     * @returns {boolean} Whether the request was sent (false while busy or stopped)
+     */
+    submit(payload, transfer = []) {
+        if (!this.isReady) return false;
+        
+        if (this.pending) {
+            if (performance.now() - this.pending.sentAt > this.options.requestTimeout) {
+                this.fail(new Error(`Request ${this.pending.id} stalled`));
+            } else {
+                this.stats.skipped++;
+            }
+            return false;
+        }
+        
+        const id = this.nextId++;
+        this.pending = { id, sentAt: performance.now() };
+        this.worker.postMessage({ type: 'mesh', id, payload }, transfer);
+        this.stats.submitted++;
+        
+        return true;
+    }
+    
+    /**
+     * Newest finished mesh since the last call, or null
+     */
+    takeResult() {
+        const result = this.latest;
+        this.latest = null;
+        return result;
+    }
+    
+    /**
+     * Change mesher settings in the worker
+     * @param {Object} settings - { algorithm }
+     */
+    configure(settings) {
+        if (!this.isReady) return;
+        
+        this.worker.postMessage({ type: 'configure', settings });
+    }
+    
+    handleMessage(message) {
+        switch (message.type) {
+            case 'ready':
+                if (this.initRequest) {
+                    this.initRequest.resolve();
+                    this.initRequest = null;
+                }
+                break;
+            
+            case 'result':
+                if (!this.pending || this.pending.id !== message.id) return;
+                
+                this.stats.completed++;
+                this.stats.latency = performance.now() - this.pending.sentAt;
+                this.stats.workerTime = message.processingTime;
+                this.pending = null;
+                this.latest = message.result;
+                break;
+            
+            case 'error':
+                if (this.initRequest) {
+                    this.initRequest.reject(new Error(message.error));
+                    this.initRequest = null;
+                } else {
+                    this.fail(new Error(message.error));
+                }
+                break;
+        }
+    }
+    
+    /**
+     * Stop using the worker; MetaballSystem falls back to in-thread meshing
+     */
+    fail(error) {
+        if (this.error) return;
+        
+        this.error = error;
+        console.warn('Mesh worker unavailable, meshing in-thread:', error);
+        this.terminate();
+        
+        if (this.initRequest) {
+            this.initRequest.reject(error);
+            this.initRequest = null;
+        }
+    }
+    
+    terminate() {
+        if (this.worker) {
+            this.worker.onmessage = null;
+            this.worker.onerror = null;
+            this.worker.terminate();
+            this.worker = null;
+        }
+        
+        this.isReady = false;
+        this.pending = null;
+        this.latest = null;
+    }
+    
+    getStatus() {
+        return {
+            isReady: this.isReady,
+            error: this.error ? this.error.message : null,
+            inFlight: !!this.pending,
+            ...this.stats
+        };
+    }
+    
+    dispose() {
+        this.terminate();
+        this.initRequest = null;
+    }
+}
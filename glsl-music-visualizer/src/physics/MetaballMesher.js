@@ -0,0 +1,592 @@
+/**
+ * Metaball Mesher
+ * Block-wise scalar field evaluation and isosurface extraction for MetaballSystem
+ * Location: src/physics/MetaballMesher.js
+ *
+ * The grid is split into cubic blocks of grid points. Each block owns its points
+ * (evaluated together) and the cells whose minimum corner it owns (meshed
+ * together), so re-evaluating a block only invalidates its own mesh and the
+ * meshes of the blocks below it that read its points. Blocks that are not
+ * re-evaluated keep both their field values and their triangles, and shared
+ * boundary points have a single value, so the combined mesh stays watertight.
+ *
+ * Surfaces are extracted with marching cubes (vertices shared along grid edges)
+ * or naive surface nets (one vertex per cell, quads per crossed edge). Normals
+ * come from the field gradient in both cases. Has no DOM dependencies so the
+ * same code runs in src/physics/workers/MeshWorker.js.
+ */
+
+export const SURFACE_ALGORITHMS = ['marchingCubes', 'surfaceNets'];
+
+// Packed metaball layout for updateField: x, y, z, radius, charge
+export const METABALL_STRIDE = 5;
+
+// Cube corners and edges (corner i is bit i of a cube index)
+const CORNER_OFFSETS = [
+    [0, 0, 0], [1, 0, 0], [1, 1, 0], [0, 1, 0],
+    [0, 0, 1], [1, 0, 1], [1, 1, 1], [0, 1, 1]
+];
+const EDGE_CORNERS = [
+    [0, 1], [1, 2], [2, 3], [3, 0],
+    [4, 5], [5, 6], [6, 7], [7, 4],
+    [0, 4], [1, 5], [2, 6], [3, 7]
+];
+
+// Cube faces as corner loops, counterclockwise seen from outside the cube
+const FACE_CORNERS = [
+    [0, 3, 2, 1], [4, 5, 6, 7],
+    [0, 1, 5, 4], [3, 7, 6, 2],
+    [0, 4, 7, 3], [1, 2, 6, 5]
+];
+
+const TRI_TABLE_STRIDE = 16;
+
+let sharedTables = null;
+
+/**
+ * Build the marching cubes edge and triangle tables
+ *
+ * Each face of a cube contributes segments between its crossed edges, running
+ * from an edge entering the set corners (cube index bits) to the next edge
+ * leaving them. On ambiguous faces this keeps set corners apart, a rule that
+ * depends only on the face values, so neighbouring cubes always agree. Chaining
+ * the segments gives closed loops that are fanned into triangles.
+ * @returns {Object} { edgeTable: Uint16Array(256), triTable: Int8Array(256 * 16) }, -1 ends a row
+ */
+export function createMarchingCubesTables() {
+    const edgeTable = new Uint16Array(256);
+    const triTable = new Int8Array(256 * TRI_TABLE_STRIDE).fill(-1);
+    
+    const edgeIndex = (a, b) => EDGE_CORNERS.findIndex(edge =>
+        (edge[0] === a && edge[1] === b) || (edge[0] === b && edge[1] === a));
+    
+    for (let cubeIndex = 0; cubeIndex < 256; cubeIndex++) {
+        const isSet = (corner) => (cubeIndex >> corner) & 1;
+        
+        EDGE_CORNERS.forEach(([a, b], edge) => {
+            if (isSet(a) !== isSet(b)) {
+                edgeTable[cubeIndex] |= 1 << edge;
+            }
+        });
+        
+        // Segment links: entering edge -> following leaving edge on the same face
+        const next = new Array(12).fill(-1);
+        FACE_CORNERS.forEach(corners => {
+            const crossings = [];
+            for (let i = 0; i < 4; i++) {
+                const a = corners[i];
+                const b = corners[(i + 1) % 4];
+                if (isSet(a) !== isSet(b)) {
+                    crossings.push({ edge: edgeIndex(a, b), entering: !isSet(a) });
+                }
+            }
+            
+            crossings.forEach((crossing, i) => {
+                if (crossing.entering) {
+                    next[crossing.edge] = crossings[(i + 1) % crossings.length].edge;
+                }
+            });
+        });
+        
+        // Walk each loop once and fan it into triangles
+        const visited = new Array(12).fill(false);
+        let offset = cubeIndex * TRI_TABLE_STRIDE;
+        
+        for (let start = 0; start < 12; start++) {
+            if (next[start] < 0 || visited[start]) continue;
+            
+            const loop = [];
+            for (let edge = start; !visited[edge]; edge = next[edge]) {
+                visited[edge] = true;
+                loop.push(edge);
+            }
+            
+            // Loops run counterclockwise seen from the unset (inside) corners; reverse
+            // them so triangles face the set corners, which lie outside the surface
+            for (let i = 1; i < loop.length - 1; i++) {
+                triTable[offset++] = loop[0];
+                triTable[offset++] = loop[i + 1];
+                triTable[offset++] = loop[i];
+            }
+        }
+    }
+    
+    return { edgeTable, triTable };
+}
+
+function getTables() {
+    if (!sharedTables) {
+        sharedTables = createMarchingCubesTables();
+    }
+    return sharedTables;
+}
+
+export class MetaballMesher {
+    /**
+     * @param {Object} options - Grid description
+     * @param {Array<number>} options.dimensions - Grid points per axis
+     * @param {Array<number>} options.origin - World position of point (0, 0, 0)
+     * @param {number} options.cellSize - Distance between grid points
+     * @param {number} options.isoLevel - Field value of the surface
+     * @param {number} options.blockSize - Grid points per block side
+     * @param {string} options.algorithm - 'marchingCubes' or 'surfaceNets'
+     * @param {Float32Array} options.grid - Field storage to use (allocated when omitted)
+     */
+    constructor(options) {
+        this.dimensions = options.dimensions.slice();
+        this.origin = options.origin.slice();
+        this.cellSize = options.cellSize;
+        this.isoLevel = options.isoLevel;
+        this.blockSize = Math.max(2, Math.floor(options.blockSize || 8));
+        this.algorithm = SURFACE_ALGORITHMS.includes(options.algorithm) ? options.algorithm : 'marchingCubes';
+        
+        const dims = this.dimensions;
+        this.grid = options.grid || new Float32Array(dims[0] * dims[1] * dims[2]);
+        
+        this.blockDimensions = dims.map(size => Math.ceil(size / this.blockSize));
+        this.blockCount = this.blockDimensions[0] * this.blockDimensions[1] * this.blockDimensions[2];
+        
+        // Per block: triangles, and whether they must be rebuilt
+        this.blockMeshes = new Array(this.blockCount).fill(null);
+        this.pending = new Uint8Array(this.blockCount).fill(1);
+        
+        this.tables = getTables();
+        this.gradient = new Float32Array(6);
+    }
+    
+    /**
+     * Switch the extraction algorithm; every block is meshed again
+     * @param {string} algorithm - 'marchingCubes' or 'surfaceNets'
+     */
+    setAlgorithm(algorithm) {
+        this.algorithm = algorithm;
+        this.pending.fill(1);
+    }
+    
+    /**
+     * Block index containing a grid point
+     */
+    blockOf(x, y, z) {
+        const size = this.blockSize;
+        const blocks = this.blockDimensions;
+        return Math.floor(x / size) + Math.floor(y / size) * blocks[0] +
+               Math.floor(z / size) * blocks[0] * blocks[1];
+    }
+    
+    /**
+     * Evaluate the field over the points of the given blocks
+     * @param {Float32Array} metaballs - Packed metaballs (see METABALL_STRIDE)
+     * @param {number} count - Metaball count
+     * @param {Uint8Array|null} blocks - Block flags, null for the whole grid
+     * @returns {number} Blocks evaluated
+     */
+    updateField(metaballs, count, blocks = null) {
+        const size = this.blockSize;
+        const blockDims = this.blockDimensions;
+        
+        // Marching cubes cells read points up to one block below; surface net quads
+        // also use the vertices of the cells just below them, one block further up
+        const reach = this.algorithm === 'surfaceNets' ? 1 : 0;
+        let evaluated = 0;
+        
+        for (let bz = 0; bz < blockDims[2]; bz++) {
+            for (let by = 0; by < blockDims[1]; by++) {
+                for (let bx = 0; bx < blockDims[0]; bx++) {
+                    const block = bx + by * blockDims[0] + bz * blockDims[0] * blockDims[1];
+                    if (blocks && !blocks[block]) continue;
+                    
+                    this.evaluateBlock(metaballs, count, bx * size, by * size, bz * size);
+                    
+                    for (let dz = -1; dz <= reach; dz++) {
+                        for (let dy = -1; dy <= reach; dy++) {
+                            for (let dx = -1; dx <= reach; dx++) {
+                                const x = bx + dx, y = by + dy, z = bz + dz;
+                                if (x < 0 || y < 0 || z < 0 || x >= blockDims[0] || y >= blockDims[1] || z >= blockDims[2]) continue;
+                                this.pending[x + y * blockDims[0] + z * blockDims[0] * blockDims[1]] = 1;
+                            }
+                        }
+                    }
+                    evaluated++;
+                }
+            }
+        }
+        
+        return evaluated;
+    }
+    
+    /**
+     * Field values for the points of one block
+     */
+    evaluateBlock(metaballs, count, startX, startY, startZ) {
+        const grid = this.grid;
+        const dims = this.dimensions;
+        const origin = this.origin;
+        const cellSize = this.cellSize;
+        const endX = Math.min(startX + this.blockSize, dims[0]);
+        const endY = Math.min(startY + this.blockSize, dims[1]);
+        const endZ = Math.min(startZ + this.blockSize, dims[2]);
+        
+        for (let z = startZ; z < endZ; z++) {
+            const wz = origin[2] + z * cellSize;
+            for (let y = startY; y < endY; y++) {
+                const wy = origin[1] + y * cellSize;
+                let index = startX + y * dims[0] + z * dims[0] * dims[1];
+                for (let x = startX; x < endX; x++, index++) {
+                    const wx = origin[0] + x * cellSize;
+                    let value = 0;
+                    
+                    for (let i = 0; i < count; i++) {
+                        const offset = i * METABALL_STRIDE;
+                        const dx = wx - metaballs[offset];
+                        const dy = wy - metaballs[offset + 1];
+                        const dz = wz - metaballs[offset + 2];
+                        const distanceSquared = dx * dx + dy * dy + dz * dz;
+                        const radius = metaballs[offset + 3];
+                        const charge = metaballs[offset + 4];
+                        
+                        // charge * (radius / distance)^2
+                        value += distanceSquared > 0 ? charge * radius * radius / distanceSquared : charge * 1000;
+                    }
+                    
+                    grid[index] = value;
+                }
+            }
+        }
+    }
+    
+    /**
+     * Rebuild the triangles of every pending block
+     * @returns {number} Blocks meshed
+     */
+    polygonize() {
+        let meshed = 0;
+        
+        for (let block = 0; block < this.blockCount; block++) {
+            if (!this.pending[block]) continue;
+            
+            this.blockMeshes[block] = this.algorithm === 'surfaceNets' ?
+                this.meshBlockSurfaceNets(block) : this.meshBlockMarchingCubes(block);
+            this.pending[block] = 0;
+            meshed++;
+        }
+        
+        return meshed;
+    }
+    
+    /**
+     * Concatenate the block meshes
+     * @returns {Object} { vertices, normals, indices, vertexCount, triangleCount }
+     */
+    buildMesh() {
+        let vertexCount = 0;
+        let indexCount = 0;
+        
+        this.blockMeshes.forEach(mesh => {
+            if (mesh) {
+                vertexCount += mesh.positions.length / 3;
+                indexCount += mesh.indices.length;
+            }
+        });
+        
+        const vertices = new Float32Array(vertexCount * 3);
+        const normals = new Float32Array(vertexCount * 3);
+        const indices = new Uint32Array(indexCount);
+        let vertexOffset = 0;
+        let indexOffset = 0;
+        
+        this.blockMeshes.forEach(mesh => {
+            if (!mesh) return;
+            
+            vertices.set(mesh.positions, vertexOffset * 3);
+            normals.set(mesh.normals, vertexOffset * 3);
+            for (let i = 0; i < mesh.indices.length; i++) {
+                indices[indexOffset + i] = mesh.indices[i] + vertexOffset;
+            }
+            
+            vertexOffset += mesh.positions.length / 3;
+            indexOffset += mesh.indices.length;
+        });
+        
+        return {
+            vertices,
+            normals,
+            indices,
+            vertexCount,
+            triangleCount: indexCount / 3
+        };
+    }
+    
+    // ===== EXTRACTION =====
+    
+    /**
+     * Cells owned by a block: [start, end) per axis
+     */
+    getBlockCells(block) {
+        const blockDims = this.blockDimensions;
+        const size = this.blockSize;
+        const bx = block % blockDims[0];
+        const by = Math.floor(block / blockDims[0]) % blockDims[1];
+        const bz = Math.floor(block / (blockDims[0] * blockDims[1]));
+        const dims = this.dimensions;
+        
+        return [
+            bx * size, Math.min((bx + 1) * size, dims[0] - 1),
+            by * size, Math.min((by + 1) * size, dims[1] - 1),
+            bz * size, Math.min((bz + 1) * size, dims[2] - 1)
+        ];
+    }
+    
+    /**
+     * Field gradient at a grid point (central differences, one-sided at the border)
+     */
+    pointGradient(x, y, z, out, offset) {
+        const grid = this.grid;
+        const dims = this.dimensions;
+        const strideY = dims[0];
+        const strideZ = dims[0] * dims[1];
+        const index = x + y * strideY + z * strideZ;
+        
+        const x0 = x > 0 ? 1 : 0, x1 = x < dims[0] - 1 ? 1 : 0;
+        const y0 = y > 0 ? 1 : 0, y1 = y < dims[1] - 1 ? 1 : 0;
+        const z0 = z > 0 ? 1 : 0, z1 = z < dims[2] - 1 ? 1 : 0;
+        
+        out[offset] = (grid[index + x1] - grid[index - x0]) / (x0 + x1);
+        out[offset + 1] = (grid[index + y1 * strideY] - grid[index - y0 * strideY]) / (y0 + y1);
+        out[offset + 2] = (grid[index + z1 * strideZ] - grid[index - z0 * strideZ]) / (z0 + z1);
+    }
+    
+    /**
+     * Crossing point and outward normal on the grid edge from point (x, y, z) along axis
+     * @returns {number} Interpolation factor along the edge
+     */
+    edgeCrossing(x, y, z, axis, position, normal) {
+        const dims = this.dimensions;
+        const grid = this.grid;
+        const index = x + y * dims[0] + z * dims[0] * dims[1];
+        const step = axis === 0 ? 1 : (axis === 1 ? dims[0] : dims[0] * dims[1]);
+        const v0 = grid[index];
+        const v1 = grid[index + step];
+        const t = v1 !== v0 ? (this.isoLevel - v0) / (v1 - v0) : 0.5;
+        
+        position[0] = this.origin[0] + (x + (axis === 0 ? t : 0)) * this.cellSize;
+        position[1] = this.origin[1] + (y + (axis === 1 ? t : 0)) * this.cellSize;
+        position[2] = this.origin[2] + (z + (axis === 2 ? t : 0)) * this.cellSize;
+        
+        // The field falls off outwards, so the normal is the negated gradient
+        const gradient = this.gradient;
+        this.pointGradient(x, y, z, gradient, 0);
+        this.pointGradient(x + (axis === 0 ? 1 : 0), y + (axis === 1 ? 1 : 0), z + (axis === 2 ? 1 : 0), gradient, 3);
+        normal[0] = -(gradient[0] + (gradient[3] - gradient[0]) * t);
+        normal[1] = -(gradient[1] + (gradient[4] - gradient[1]) * t);
+        normal[2] = -(gradient[2] + (gradient[5] - gradient[2]) * t);
+        
+        return t;
+    }
+    
+    /**
+     * Marching cubes over a block's cells, vertices shared along grid edges
+     */
+    meshBlockMarchingCubes(block) {
+        const [x0, x1, y0, y1, z0, z1] = this.getBlockCells(block);
+        const { edgeTable, triTable } = this.tables;
+        const grid = this.grid;
+        const dims = this.dimensions;
+        const iso = this.isoLevel;
+        const strideY = dims[0];
+        const strideZ = dims[0] * dims[1];
+        
+        const positions = [];
+        const normals = [];
+        const indices = [];
+        const edgeVertices = new Map();     // Grid edge id -> local vertex
+        const cellVertices = new Int32Array(12);
+        const position = new Float32Array(3);
+        const normal = new Float32Array(3);
+        
+        for (let z = z0; z < z1; z++) {
+            for (let y = y0; y < y1; y++) {
+                for (let x = x0; x < x1; x++) {
+                    const index = x + y * strideY + z * strideZ;
+                    
+                    let cubeIndex = 0;
+                    for (let corner = 0; corner < 8; corner++) {
+                        const c = CORNER_OFFSETS[corner];
+                        if (grid[index + c[0] + c[1] * strideY + c[2] * strideZ] < iso) {
+                            cubeIndex |= 1 << corner;
+                        }
+                    }
+                    
+                    const edges = edgeTable[cubeIndex];
+                    if (edges === 0) continue;
+                    
+                    for (let edge = 0; edge < 12; edge++) {
+                        if (!(edges & (1 << edge))) continue;
+                        
+                        // Edge as (lower grid point, axis)
+                        const a = CORNER_OFFSETS[EDGE_CORNERS[edge][0]];
+                        const b = CORNER_OFFSETS[EDGE_CORNERS[edge][1]];
+                        const axis = a[0] !== b[0] ? 0 : (a[1] !== b[1] ? 1 : 2);
+                        const px = x + Math.min(a[0], b[0]);
+                        const py = y + Math.min(a[1], b[1]);
+                        const pz = z + Math.min(a[2], b[2]);
+                        const id = (px + py * strideY + pz * strideZ) * 3 + axis;
+                        
+                        let vertex = edgeVertices.get(id);
+                        if (vertex === undefined) {
+                            this.edgeCrossing(px, py, pz, axis, position, normal);
+                            vertex = this.pushVertex(positions, normals, position, normal);
+                            edgeVertices.set(id, vertex);
+                        }
+                        cellVertices[edge] = vertex;
+                    }
+                    
+                    const row = cubeIndex * TRI_TABLE_STRIDE;
+                    for (let i = row; i < row + TRI_TABLE_STRIDE && triTable[i] !== -1; i += 3) {
+                        indices.push(cellVertices[triTable[i]], cellVertices[triTable[i + 1]], cellVertices[triTable[i + 2]]);
+                    }
+                }
+            }
+        }
+        
+        return this.packBlockMesh(positions, normals, indices);
+    }
+    
+    /**
+     * Naive surface nets: one vertex per crossed cell (mean of its edge crossings),
+     * one quad per crossed grid edge owned by the block
+     */
+    meshBlockSurfaceNets(block) {
+        const [x0, x1, y0, y1, z0, z1] = this.getBlockCells(block);
+        const grid = this.grid;
+        const dims = this.dimensions;
+        const iso = this.isoLevel;
+        const strideY = dims[0];
+        const strideZ = dims[0] * dims[1];
+        
+        // Quads reach one cell below the block, so vertices cover that margin too
+        const sx = Math.max(x0 - 1, 0), sy = Math.max(y0 - 1, 0), sz = Math.max(z0 - 1, 0);
+        const nx = x1 - sx, ny = y1 - sy, nz = z1 - sz;
+        const cellVertices = new Int32Array(Math.max(nx * ny * nz, 0)).fill(-1);
+        
+        const positions = [];
+        const normals = [];
+        const indices = [];
+        const position = new Float32Array(3);
+        const normal = new Float32Array(3);
+        const sumPosition = new Float32Array(3);
+        const sumNormal = new Float32Array(3);
+        
+        for (let z = sz; z < z1; z++) {
+            for (let y = sy; y < y1; y++) {
+                for (let x = sx; x < x1; x++) {
+                    const index = x + y * strideY + z * strideZ;
+                    
+                    let cubeIndex = 0;
+                    for (let corner = 0; corner < 8; corner++) {
+                        const c = CORNER_OFFSETS[corner];
+                        if (grid[index + c[0] + c[1] * strideY + c[2] * strideZ] < iso) {
+                            cubeIndex |= 1 << corner;
+                        }
+                    }
+                    
+                    const edges = this.tables.edgeTable[cubeIndex];
+                    if (edges === 0) continue;
+                    
+                    sumPosition.fill(0);
+                    sumNormal.fill(0);
+                    let crossings = 0;
+                    
+                    for (let edge = 0; edge < 12; edge++) {
+                        if (!(edges & (1 << edge))) continue;
+                        
+                        const a = CORNER_OFFSETS[EDGE_CORNERS[edge][0]];
+                        const b = CORNER_OFFSETS[EDGE_CORNERS[edge][1]];
+                        const axis = a[0] !== b[0] ? 0 : (a[1] !== b[1] ? 1 : 2);
+                        this.edgeCrossing(
+                            x + Math.min(a[0], b[0]), y + Math.min(a[1], b[1]), z + Math.min(a[2], b[2]),
+                            axis, position, normal
+                        );
+                        
+                        for (let k = 0; k < 3; k++) {
+                            sumPosition[k] += position[k];
+                            sumNormal[k] += normal[k];
+                        }
+                        crossings++;
+                    }
+                    
+                    for (let k = 0; k < 3; k++) {
+                        sumPosition[k] /= crossings;
+                    }
+                    
+                    cellVertices[(x - sx) + (y - sy) * nx + (z - sz) * nx * ny] =
+                        this.pushVertex(positions, normals, sumPosition, sumNormal);
+                }
+            }
+        }
+        
+        const vertexAt = (x, y, z) => cellVertices[(x - sx) + (y - sy) * nx + (z - sz) * nx * ny];
+        
+        // Quads around crossed edges starting at the block's points
+        for (let z = z0; z < z1; z++) {
+            for (let y = y0; y < y1; y++) {
+                for (let x = x0; x < x1; x++) {
+                    const index = x + y * strideY + z * strideZ;
+                    const inside = grid[index] >= iso;
+                    
+                    for (let axis = 0; axis < 3; axis++) {
+                        // The four cells around the edge need to exist on both other axes
+                        const u = (axis + 1) % 3;
+                        const v = (axis + 2) % 3;
+                        const point = [x, y, z];
+                        if (point[u] < 1 || point[v] < 1) continue;
+                        
+                        const step = axis === 0 ? 1 : (axis === 1 ? strideY : strideZ);
+                        if ((grid[index + step] >= iso) === inside) continue;
+                        
+                        // Cells around the edge, counterclockwise seen from the +axis side
+                        const cells = [[0, 0], [1, 0], [1, 1], [0, 1]].map(([du, dv]) => {
+                            const cell = point.slice();
+                            cell[u] -= 1 - du;
+                            cell[v] -= 1 - dv;
+                            return vertexAt(cell[0], cell[1], cell[2]);
+                        });
+                        
+                        // Face away from the inside end of the edge
+                        if (inside) {
+                            indices.push(cells[0], cells[1], cells[2], cells[0], cells[2], cells[3]);
+                        } else {
+                            indices.push(cells[0], cells[2], cells[1], cells[0], cells[3], cells[2]);
+                        }
+                    }
+                }
+            }
+        }
+        
+        return this.packBlockMesh(positions, normals, indices);
+    }
+    
+    /**
+     * Append a vertex with a normalized normal
+     * @returns {number} Local vertex index
+     */
+    pushVertex(positions, normals, position, normal) {
+        const length = Math.hypot(normal[0], normal[1], normal[2]) || 1;
+        
+        positions.push(position[0], position[1], position[2]);
+        normals.push(normal[0] / length, normal[1] / length, normal[2] / length);
+        
+        return positions.length / 3 - 1;
+    }
+    
+    packBlockMesh(positions, normals, indices) {
+        if (indices.length === 0) {
+            return null;
+        }
+        
+        return {
+            positions: new Float32Array(positions),
+            normals: new Float32Array(normals),
+            indices: new Uint32Array(indices)
+        };
+    }
+}
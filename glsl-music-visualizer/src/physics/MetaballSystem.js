@@ -5,12 +5,24 @@
  * 
  * Provides sophisticated metaball calculations, marching cubes surface generation,
  * and audio-reactive blob behaviors for the music visualizer
+ *
+ * The surface is extracted by MetaballMesher (marching cubes or surface nets)
+ * over blocks of the field grid. Only blocks within reach of metaballs that
+ * appeared, vanished, moved or changed size are evaluated and re-meshed; with
+ * useMeshWorker both steps run in a Web Worker (MeshWorkerClient) and the mesh
+ * arrives about one surface update later.
  */
 
+import { MetaballMesher, SURFACE_ALGORITHMS, METABALL_STRIDE } from './MetaballMesher.js';
+import { MeshWorkerClient } from './MeshWorkerClient.js';
 import { MathUtils } from '../utils/MathUtils.js';
+import { SeededRandom } from '../utils/SeededRandom.js';
 import { performanceMonitor } from '../core/PerformanceMonitor.js';
 import { vec3, vec4, mat4 } from 'gl-matrix';
 
+// Surface render modes; ray marching reads the metaballs directly
+const RENDER_MODES = ['marchingCubes', 'rayMarching', 'particles'];
+
 export class MetaballSystem {
     constructor(config = {}) {
         this.isInitialized = false;
@@ -72,6 +84,14 @@ export class MetaballSystem {
             normalSmoothing: true,
             uvGeneration: true,
             
+            // Surface extraction
+            surfaceAlgorithm: 'marchingCubes', // 'marchingCubes', 'surfaceNets'
+            incrementalMeshing: true,    // Re-mesh only blocks near changed metaballs
+            meshBlockSize: 8,            // Grid points per block side
+            dirtyThreshold: 0.05,        // Field change (fraction of isoLevel) treated as negligible
+            dirtyMoveThreshold: 0.25,    // Movement in cells before a metaball dirties its region
+            useMeshWorker: true,         // Extract the surface in a Web Worker when available
+            
             // Force field settings
             forces: {
                 gravity: { strength: [0, -2, 0], enabled: true },
@@ -109,9 +129,15 @@ export class MetaballSystem {
                 }
             },
             
+            // Reproducibility
+            seed: null,                  // Random seed (null for a different run each time)
+            
             ...config
         };
         
+        // Random number source (seeded for reproducible simulation)
+        this.random = new SeededRandom(this.config.seed);
+        
         // Metaball data (Structure of Arrays for performance)
         this.metaballs = {
             // Spatial properties
@@ -190,10 +216,22 @@ export class MetaballSystem {
             indices: new Uint32Array(0),
             edgeTable: null,
             triTable: null,
-            vertexCache: new Map(),
-            edgeCache: new Map()
+            mesher: null
+        };
+        
+        // Blocks waiting for evaluation, and each metaball as last evaluated
+        this.dirtyRegions = {
+            blocks: null,
+            count: 0,
+            full: true,
+            snapshots: new Float32Array(this.config.maxMetaballs * METABALL_STRIDE),
+            tracked: new Uint8Array(this.config.maxMetaballs),
+            packed: new Float32Array(this.config.maxMetaballs * METABALL_STRIDE)
         };
         
+        // Off-thread surface extraction (null when meshing in-thread)
+        this.meshWorker = null;
+        
         // GPU compute resources (for GPU-based computation)
         this.gpuResources = {
             scalarFieldTexture: null,
@@ -211,6 +249,7 @@ export class MetaballSystem {
             updateTime: 0,
             scalarFieldTime: 0,
             marchingCubesTime: 0,
+            remeshedBlocks: 0,
             totalVertices: 0,
             totalTriangles: 0,
             memoryUsage: 0
@@ -249,6 +288,11 @@ export class MetaballSystem {
             // Initialize marching cubes tables
             this.initializeMarchingCubes();
             
+            // Move surface extraction off the main thread
+            if (this.config.useMeshWorker) {
+                await this.initializeMeshWorker();
+            }
+            
             // Initialize GPU resources if available
             if (this.config.updateMode === 'gpu' || this.config.updateMode === 'hybrid') {
                 await this.initializeGPUResources();
@@ -274,6 +318,8 @@ export class MetaballSystem {
                 maxMetaballs: this.config.maxMetaballs,
                 gridResolution: this.config.gridResolution,
                 updateMode: this.config.updateMode,
+                surfaceAlgorithm: this.config.surfaceAlgorithm,
+                meshWorker: !!this.meshWorker,
                 gpuAcceleration: this.gpuResources.enabled
             });
             
@@ -314,26 +360,60 @@ export class MetaballSystem {
     }
     
     /**
-     * Initialize marching cubes lookup tables
+     * Initialize marching cubes lookup tables and the block mesher over the scalar field
      */
     initializeMarchingCubes() {
-        // Simplified edge table (in a full implementation, this would be the complete 256-entry table)
-        this.marchingCubes.edgeTable = new Uint16Array(256);
-        for (let i = 0; i < 256; i++) {
-            this.marchingCubes.edgeTable[i] = i; // Placeholder
+        if (!SURFACE_ALGORITHMS.includes(this.config.surfaceAlgorithm)) {
+            console.warn(`Unknown surface algorithm: ${this.config.surfaceAlgorithm}`);
+            this.config.surfaceAlgorithm = 'marchingCubes';
         }
         
-        // Simplified triangle table
-        this.marchingCubes.triTable = new Int8Array(4096);
-        for (let i = 0; i < 4096; i++) {
-            this.marchingCubes.triTable[i] = -1; // Placeholder
-        }
+        const mesher = new MetaballMesher({
+            ...this.getMesherSettings(),
+            grid: this.scalarField.grid
+        });
         
-        // Initialize vertex and edge caches
-        this.marchingCubes.vertexCache.clear();
-        this.marchingCubes.edgeCache.clear();
+        this.marchingCubes.mesher = mesher;
+        this.marchingCubes.edgeTable = mesher.tables.edgeTable;
+        this.marchingCubes.triTable = mesher.tables.triTable;
+        
+        this.dirtyRegions.blocks = new Uint8Array(mesher.blockCount);
+        this.dirtyRegions.count = 0;
+        this.dirtyRegions.full = true;
+        this.dirtyRegions.tracked.fill(0);
+        
+        console.log('Marching cubes tables initialized', {
+            algorithm: mesher.algorithm,
+            blocks: mesher.blockDimensions
+        });
+    }
+    
+    /**
+     * Grid description shared by the in-thread and worker meshers
+     */
+    getMesherSettings() {
+        return {
+            dimensions: this.scalarField.dimensions,
+            origin: this.config.gridBounds.min,
+            cellSize: this.scalarField.cellSize,
+            isoLevel: this.config.isoLevel,
+            blockSize: this.config.meshBlockSize,
+            algorithm: this.config.surfaceAlgorithm
+        };
+    }
+    
+    /**
+     * Start the mesh worker; meshing stays in-thread when it is unavailable
+     */
+    async initializeMeshWorker() {
+        if (!MeshWorkerClient.isSupported()) {
+            return;
+        }
         
-        console.log('Marching cubes tables initialized');
+        const client = new MeshWorkerClient();
+        if (await client.initialize(this.getMesherSettings())) {
+            this.meshWorker = client;
+        }
     }
     
     /**
@@ -492,7 +572,39 @@ export class MetaballSystem {
      * Utility method for random number generation
      */
     randomRange(min, max) {
-        return min + Math.random() * (max - min);
+        return this.random.range(min, max);
+    }
+    
+    /**
+     * Restart the random sequence for reproducible runs
+     * @param {number|string} seed - Random seed
+     */
+    setSeed(seed) {
+        this.config.seed = seed;
+        this.random.setSeed(seed);
+        
+        // Restart from the initial configuration so runs with the same seed match
+        if (this.isInitialized) {
+            this.metaballs.active.fill(0);
+            this.createInitialMetaballs();
+        }
+    }
+    
+    /**
+     * Switch how the metaball surface is rendered
+     * @param {string} mode - 'marchingCubes', 'rayMarching' or 'particles'
+     */
+    setRenderMode(mode) {
+        if (!RENDER_MODES.includes(mode)) {
+            console.warn(`Unknown metaball render mode: ${mode}`);
+            return;
+        }
+        
+        this.config.renderMode = mode;
+        
+        // The field and mesh are stale after ray marching; rebuild both on the next update
+        this.scalarField.dirty = true;
+        this.state.surfaceGenerated = false;
     }
     
     /**
@@ -523,14 +635,17 @@ export class MetaballSystem {
             // Handle material transitions
             this.materialTransition.update(deltaTime, audioData);
             
-            // Update scalar field
-            if (this.scalarField.dirty || this.shouldUpdateScalarField()) {
-                this.updateScalarField();
-            }
-            
-            // Generate surface using marching cubes
-            if (this.shouldRegenerateSurface()) {
-                this.generateSurface();
+            // Ray marching evaluates the metaballs directly and needs neither the field nor the mesh
+            if (this.config.renderMode !== 'rayMarching') {
+                // Update scalar field
+                if (this.scalarField.dirty || this.shouldUpdateScalarField()) {
+                    this.updateScalarField();
+                }
+                
+                // Generate surface using marching cubes
+                if (this.shouldRegenerateSurface()) {
+                    this.generateSurface();
+                }
             }
             
             // Update performance metrics
@@ -824,14 +939,20 @@ export class MetaballSystem {
     
     /**
      * Update 3D scalar field based on metaball positions and properties
+     * Flags the blocks touched by changed metaballs; in-thread they are evaluated
+     * right away, with the mesh worker they are sent with the next surface request.
      */
     updateScalarField() {
         const startTime = performance.now();
         
-        if (this.config.updateMode === 'gpu' && this.gpuResources.enabled) {
-            this.updateScalarFieldGPU();
-        } else {
-            this.updateScalarFieldCPU();
+        this.markDirtyRegions();
+        
+        if (!this.isMeshWorkerActive()) {
+            if (this.config.updateMode === 'gpu' && this.gpuResources.enabled) {
+                this.updateScalarFieldGPU();
+            } else {
+                this.updateScalarFieldCPU();
+            }
         }
         
         this.performance.scalarFieldTime = performance.now() - startTime;
@@ -842,59 +963,15 @@ export class MetaballSystem {
      * Update scalar field using CPU computation
      */
     updateScalarFieldCPU() {
-        const grid = this.scalarField.grid;
-        const dims = this.scalarField.dimensions;
-        const bounds = this.config.gridBounds;
-        const cellSize = this.scalarField.cellSize;
+        if (!this.hasDirtyRegions()) {
+            return;
+        }
         
-        // Clear grid
-        grid.fill(0);
+        const regions = this.dirtyRegions;
+        const count = this.packMetaballs(regions.packed);
         
-        // Iterate through grid cells
-        for (let x = 0; x < dims[0]; x++) {
-            for (let y = 0; y < dims[1]; y++) {
-                for (let z = 0; z < dims[2]; z++) {
-                    const gridIndex = x + y * dims[0] + z * dims[0] * dims[1];
-                    
-                    // World position of this grid cell
-                    const worldPos = [
-                        bounds.min[0] + x * cellSize,
-                        bounds.min[1] + y * cellSize,
-                        bounds.min[2] + z * cellSize
-                    ];
-                    
-                    // Evaluate metaball field at this position
-                    let fieldValue = 0;
-                    
-                    for (let i = 0; i < this.state.activeMetaballCount; i++) {
-                        if (!this.metaballs.active[i]) {
-                            continue;
-                        }
-                        
-                        const metaballPos = [
-                            this.metaballs.positions[i * 3],
-                            this.metaballs.positions[i * 3 + 1],
-                            this.metaballs.positions[i * 3 + 2]
-                        ];
-                        
-                        const radius = this.metaballs.radii[i];
-                        const charge = this.metaballs.charges[i];
-                        
-                        const distance = vec3.distance(worldPos, metaballPos);
-                        
-                        // Metaball field contribution
-                        if (distance > 0) {
-                            const contribution = charge * Math.pow(radius / distance, 2);
-                            fieldValue += contribution;
-                        } else {
-                            fieldValue += charge * 1000;
-                        }
-                    }
-                    
-                    grid[gridIndex] = fieldValue;
-                }
-            }
-        }
+        this.marchingCubes.mesher.updateField(regions.packed, count, regions.full ? null : regions.blocks);
+        this.clearDirtyRegions();
     }
     
     /**
@@ -906,175 +983,250 @@ export class MetaballSystem {
     }
     
     /**
-     * Check if surface should be regenerated
+     * Flag the regions of metaballs that appeared, vanished, moved or changed size
+     * since they were last evaluated: both where they were and where they are now
      */
-    shouldRegenerateSurface() {
-        return this.scalarField.dirty || 
-               (this.state.elapsedTime - this.state.lastSurfaceUpdate > 1/30);
+    markDirtyRegions() {
+        const regions = this.dirtyRegions;
+        
+        if (!this.config.incrementalMeshing) {
+            regions.full = true;
+            return;
+        }
+        
+        const metaballs = this.metaballs;
+        const snapshots = regions.snapshots;
+        const moveThreshold = this.config.dirtyMoveThreshold * this.scalarField.cellSize;
+        const sizeThreshold = this.config.dirtyThreshold;
+        
+        for (let i = 0; i < this.config.maxMetaballs; i++) {
+            const active = i < this.state.activeMetaballCount && metaballs.active[i] === 1;
+            const tracked = regions.tracked[i] === 1;
+            
+            if (!active && !tracked) {
+                continue;
+            }
+            
+            const offset = i * METABALL_STRIDE;
+            const x = metaballs.positions[i * 3];
+            const y = metaballs.positions[i * 3 + 1];
+            const z = metaballs.positions[i * 3 + 2];
+            const radius = metaballs.radii[i];
+            const charge = metaballs.charges[i];
+            
+            if (active && tracked) {
+                const moved = Math.hypot(x - snapshots[offset], y - snapshots[offset + 1], z - snapshots[offset + 2]);
+                const resized = Math.abs(radius - snapshots[offset + 3]) > snapshots[offset + 3] * sizeThreshold ||
+                                 Math.abs(charge - snapshots[offset + 4]) > Math.abs(snapshots[offset + 4]) * sizeThreshold;
+                
+                if (moved <= moveThreshold && !resized) {
+                    continue;
+                }
+            }
+            
+            if (tracked) {
+                this.markInfluence(snapshots[offset], snapshots[offset + 1], snapshots[offset + 2],
+                                   snapshots[offset + 3], snapshots[offset + 4]);
+            }
+            
+            if (active) {
+                this.markInfluence(x, y, z, radius, charge);
+                snapshots[offset] = x;
+                snapshots[offset + 1] = y;
+                snapshots[offset + 2] = z;
+                snapshots[offset + 3] = radius;
+                snapshots[offset + 4] = charge;
+            }
+            
+            regions.tracked[i] = active ? 1 : 0;
+        }
     }
     
     /**
-     * Generate surface mesh using marching cubes algorithm
+     * Flag the blocks within a metaball's reach; beyond it the metaball adds less
+     * than dirtyThreshold * isoLevel to the field
      */
-    generateSurface() {
-        const startTime = performance.now();
-        
-        // Clear previous surface data
-        this.clearSurfaceData();
+    markInfluence(x, y, z, radius, charge) {
+        const regions = this.dirtyRegions;
+        const mesher = this.marchingCubes.mesher;
+        const dims = mesher.dimensions;
+        const blockDims = mesher.blockDimensions;
+        const threshold = Math.max(this.config.dirtyThreshold * this.config.isoLevel, 1e-6);
+        const reach = radius * Math.sqrt(Math.abs(charge) / threshold);
+        const center = [x, y, z];
+        const low = [0, 0, 0];
+        const high = [0, 0, 0];
+        
+        for (let axis = 0; axis < 3; axis++) {
+            const min = Math.floor((center[axis] - reach - mesher.origin[axis]) / mesher.cellSize);
+            const max = Math.ceil((center[axis] + reach - mesher.origin[axis]) / mesher.cellSize);
+            
+            // Entirely outside the grid
+            if (max < 0 || min > dims[axis] - 1) {
+                return;
+            }
+            
+            low[axis] = Math.floor(Math.max(min, 0) / mesher.blockSize);
+            high[axis] = Math.floor(Math.min(max, dims[axis] - 1) / mesher.blockSize);
+        }
         
-        // Run marching cubes algorithm
-        this.runMarchingCubes();
+        for (let bz = low[2]; bz <= high[2]; bz++) {
+            for (let by = low[1]; by <= high[1]; by++) {
+                for (let bx = low[0]; bx <= high[0]; bx++) {
+                    const block = bx + by * blockDims[0] + bz * blockDims[0] * blockDims[1];
+                    if (!regions.blocks[block]) {
+                        regions.blocks[block] = 1;
+                        regions.count++;
+                    }
+                }
+            }
+        }
+    }
+    
+    hasDirtyRegions() {
+        return this.dirtyRegions.full || this.dirtyRegions.count > 0;
+    }
+    
+    clearDirtyRegions() {
+        this.dirtyRegions.blocks.fill(0);
+        this.dirtyRegions.count = 0;
+        this.dirtyRegions.full = false;
+    }
+    
+    /**
+     * Write the active metaballs in MetaballMesher's packed layout
+     * @returns {number} Metaballs written
+     */
+    packMetaballs(target) {
+        let count = 0;
         
-        // Generate normals
-        this.generateSurfaceNormals();
+        for (let i = 0; i < this.state.activeMetaballCount; i++) {
+            if (!this.metaballs.active[i]) {
+                continue;
+            }
+            
+            const offset = count * METABALL_STRIDE;
+            target[offset] = this.metaballs.positions[i * 3];
+            target[offset + 1] = this.metaballs.positions[i * 3 + 1];
+            target[offset + 2] = this.metaballs.positions[i * 3 + 2];
+            target[offset + 3] = this.metaballs.radii[i];
+            target[offset + 4] = this.metaballs.charges[i];
+            count++;
+        }
         
-        // Update state
-        this.state.surfaceGenerated = true;
-        this.state.lastSurfaceUpdate = this.state.elapsedTime;
-        this.performance.marchingCubesTime = performance.now() - startTime;
+        return count;
+    }
+    
+    /**
+     * Whether the mesh worker is running; after a failure it is dropped and the
+     * whole field is rebuilt in-thread
+     */
+    isMeshWorkerActive() {
+        if (this.meshWorker && !this.meshWorker.isReady) {
+            this.meshWorker.dispose();
+            this.meshWorker = null;
+            this.dirtyRegions.full = true;
+        }
         
-        // Emit surface update event
-        this.emit('surfaceUpdated', {
-            vertexCount: this.state.vertexCount,
-            triangleCount: this.state.triangleCount
-        });
+        return this.meshWorker !== null;
     }
     
     /**
-     * Clear previous surface data
+     * Check if surface should be regenerated
      */
-    clearSurfaceData() {
-        this.marchingCubes.vertexCache.clear();
-        this.marchingCubes.edgeCache.clear();
-        this.state.vertexCount = 0;
-        this.state.triangleCount = 0;
+    shouldRegenerateSurface() {
+        return !this.state.surfaceGenerated ||
+               this.scalarField.dirty || 
+               (this.state.elapsedTime - this.state.lastSurfaceUpdate > 1/30);
     }
     
     /**
-     * Run marching cubes algorithm
+     * Generate surface mesh from the blocks whose field changed
      */
-    runMarchingCubes() {
-        const dims = this.scalarField.dimensions;
-        const grid = this.scalarField.grid;
-        const isoLevel = this.config.isoLevel;
-        
-        const vertices = [];
-        const indices = [];
+    generateSurface() {
+        const startTime = performance.now();
         
-        // Simplified marching cubes implementation
-        for (let x = 0; x < dims[0] - 1; x++) {
-            for (let y = 0; y < dims[1] - 1; y++) {
-                for (let z = 0; z < dims[2] - 1; z++) {
-                    const cubeValues = this.getCubeValues(x, y, z, grid, dims);
-                    
-                    // Determine cube configuration
-                    let cubeIndex = 0;
-                    for (let i = 0; i < 8; i++) {
-                        if (cubeValues[i] < isoLevel) {
-                            cubeIndex |= (1 << i);
-                        }
-                    }
-                    
-                    // Skip empty cubes
-                    if (cubeIndex === 0 || cubeIndex === 255) {
-                        continue;
-                    }
-                    
-                    // Generate triangles for this cube
-                    const triangles = this.generateCubeTriangles(x, y, z, cubeValues, isoLevel);
-                    
-                    for (let i = 0; i < triangles.length; i += 9) {
-                        vertices.push(triangles[i], triangles[i + 1], triangles[i + 2]);
-                        vertices.push(triangles[i + 3], triangles[i + 4], triangles[i + 5]);
-                        vertices.push(triangles[i + 6], triangles[i + 7], triangles[i + 8]);
-                        
-                        const baseIndex = this.state.vertexCount;
-                        indices.push(baseIndex, baseIndex + 1, baseIndex + 2);
-                        this.state.vertexCount += 3;
-                        this.state.triangleCount++;
-                    }
-                }
+        if (this.isMeshWorkerActive()) {
+            this.generateSurfaceInWorker();
+        } else {
+            const mesher = this.marchingCubes.mesher;
+            const remeshed = mesher.polygonize();
+            
+            if (remeshed > 0 || !this.state.surfaceGenerated) {
+                this.applySurface(mesher.buildMesh(), remeshed);
             }
         }
         
-        // Store generated surface
-        this.marchingCubes.vertices = new Float32Array(vertices);
-        this.marchingCubes.indices = new Uint32Array(indices);
+        this.state.lastSurfaceUpdate = this.state.elapsedTime;
+        this.performance.marchingCubesTime = performance.now() - startTime;
     }
     
     /**
-     * Get the 8 corner values of a cube
+     * Install the newest worker mesh and send the pending dirty blocks
      */
-    getCubeValues(x, y, z, grid, dims) {
-        const values = new Array(8);
+    generateSurfaceInWorker() {
+        const result = this.meshWorker.takeResult();
+        if (result) {
+            this.applySurface(result, result.blocksMeshed);
+        }
         
-        values[0] = grid[x + y * dims[0] + z * dims[0] * dims[1]];
-        values[1] = grid[(x + 1) + y * dims[0] + z * dims[0] * dims[1]];
-        values[2] = grid[(x + 1) + (y + 1) * dims[0] + z * dims[0] * dims[1]];
-        values[3] = grid[x + (y + 1) * dims[0] + z * dims[0] * dims[1]];
-        values[4] = grid[x + y * dims[0] + (z + 1) * dims[0] * dims[1]];
-        values[5] = grid[(x + 1) + y * dims[0] + (z + 1) * dims[0] * dims[1]];
-        values[6] = grid[(x + 1) + (y + 1) * dims[0] + (z + 1) * dims[0] * dims[1]];
-        values[7] = grid[x + (y + 1) * dims[0] + (z + 1) * dims[0] * dims[1]];
+        if (!this.hasDirtyRegions()) {
+            return;
+        }
         
-        return values;
+        // Fresh copies: both buffers are transferred to the worker
+        const regions = this.dirtyRegions;
+        const metaballs = new Float32Array(this.config.maxMetaballs * METABALL_STRIDE);
+        const count = this.packMetaballs(metaballs);
+        const blocks = regions.full ? null : regions.blocks.slice();
+        const transfer = blocks ? [metaballs.buffer, blocks.buffer] : [metaballs.buffer];
+        
+        if (this.meshWorker.submit({ metaballs, count, blocks }, transfer)) {
+            this.clearDirtyRegions();
+        }
     }
     
     /**
-     * Generate triangles for a cube (simplified implementation)
+     * Replace the rendered surface
      */
-    generateCubeTriangles(x, y, z, cubeValues, isoLevel) {
-        const triangles = [];
-        const bounds = this.config.gridBounds;
-        const cellSize = this.scalarField.cellSize;
-        
-        // This is a simplified implementation
-        // A full marching cubes would use lookup tables
-        
-        // Find surface intersections and generate triangles
-        for (let i = 0; i < 8; i++) {
-            if (cubeValues[i] > isoLevel) {
-                // Generate a simple triangle for visualization
-                const worldX = bounds.min[0] + x * cellSize;
-                const worldY = bounds.min[1] + y * cellSize;
-                const worldZ = bounds.min[2] + z * cellSize;
-                
-                triangles.push(
-                    worldX, worldY, worldZ,
-                    worldX + cellSize, worldY, worldZ,
-                    worldX, worldY + cellSize, worldZ
-                );
-                break;
-            }
-        }
+    applySurface(mesh, remeshedBlocks) {
+        this.marchingCubes.vertices = mesh.vertices;
+        this.marchingCubes.normals = mesh.normals;
+        this.marchingCubes.indices = mesh.indices;
         
-        return triangles;
+        this.state.vertexCount = mesh.vertexCount;
+        this.state.triangleCount = mesh.triangleCount;
+        this.state.surfaceGenerated = true;
+        this.performance.remeshedBlocks = remeshedBlocks;
+        
+        this.emit('surfaceUpdated', {
+            vertexCount: this.state.vertexCount,
+            triangleCount: this.state.triangleCount
+        });
     }
     
     /**
-     * Generate surface normals
+     * Switch the surface extraction algorithm; the whole surface is rebuilt
+     * @param {string} algorithm - 'marchingCubes' or 'surfaceNets'
      */
-    generateSurfaceNormals() {
-        const vertices = this.marchingCubes.vertices;
-        const normals = new Float32Array(vertices.length);
-        
-        // Calculate normals for each triangle
-        for (let i = 0; i < vertices.length; i += 9) {
-            const v1 = [vertices[i], vertices[i + 1], vertices[i + 2]];
-            const v2 = [vertices[i + 3], vertices[i + 4], vertices[i + 5]];
-            const v3 = [vertices[i + 6], vertices[i + 7], vertices[i + 8]];
-            
-            const edge1 = vec3.subtract(vec3.create(), v2, v1);
-            const edge2 = vec3.subtract(vec3.create(), v3, v1);
-            const normal = vec3.normalize(vec3.create(), vec3.cross(vec3.create(), edge1, edge2));
-            
-            // Apply to all three vertices
-            normals[i] = normals[i + 3] = normals[i + 6] = normal[0];
-            normals[i + 1] = normals[i + 4] = normals[i + 7] = normal[1];
-            normals[i + 2] = normals[i + 5] = normals[i + 8] = normal[2];
+    setSurfaceAlgorithm(algorithm) {
+        if (!SURFACE_ALGORITHMS.includes(algorithm)) {
+            console.warn(`Unknown surface algorithm: ${algorithm}`);
+            return;
+        }
+        
+        this.config.surfaceAlgorithm = algorithm;
+        
+        if (this.marchingCubes.mesher) {
+            this.marchingCubes.mesher.setAlgorithm(algorithm);
+        }
+        
+        if (this.meshWorker) {
+            this.meshWorker.configure({ algorithm });
         }
         
-        this.marchingCubes.normals = normals;
+        this.dirtyRegions.full = true;
+        this.scalarField.dirty = true;
     }
     
     /**
@@ -1138,7 +1290,10 @@ export class MetaballSystem {
             surface: {
                 vertices: this.state.vertexCount,
                 triangles: this.state.triangleCount,
-                generated: this.state.surfaceGenerated
+                generated: this.state.surfaceGenerated,
+                algorithm: this.config.surfaceAlgorithm,
+                remeshedBlocks: this.performance.remeshedBlocks,
+                worker: this.meshWorker ? this.meshWorker.getStatus() : null
             }
         };
     }
@@ -1181,6 +1336,11 @@ export class MetaballSystem {
             this.disposeGPUResources();
         }
         
+        if (this.meshWorker) {
+            this.meshWorker.dispose();
+            this.meshWorker = null;
+        }
+        
         this.forceField.dispose();
         this.materialTransition.dispose();
         this.spatialGrid.dispose();
@@ -1192,6 +1352,7 @@ export class MetaballSystem {
         });
         
         this.scalarField.grid = null;
+        this.marchingCubes.mesher = null;
         this.marchingCubes.vertices = null;
         this.marchingCubes.normals = null;
         this.marchingCubes.indices = null;
@@ -1413,7 +1574,4 @@ class MetaballSpatialGrid {
     dispose() {
         this.clear();
     }
-}
-
-// Export the main MetaballSystem class
-export { MetaballSystem };
\ No newline at end of file
+}
\ No newline at end of file
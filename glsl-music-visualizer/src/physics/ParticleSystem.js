@@ -5,13 +5,46 @@
  * 
  * Provides comprehensive particle simulation including forces, collisions,
  * constraints, and audio-reactive behaviors for the blob visualizer
+ *
+ * With updateMode 'gpu' on WebGL2 the particles live in two interleaved vertex
+ * buffers stepped by transform feedback (src/shaders/particle-update.vert):
+ * emission, forces, band-driven audio weights and the lifecycle run in the
+ * shader, and renderers draw the current buffer from getGPUBuffers(). Emitters
+ * fill a ring of slots, so the oldest particles are reused once all slots are
+ * taken. The CPU arrays are only refreshed when getParticleData() is called;
+ * constraints, collisions and the spatial grid need them and are skipped.
  */
 
 import { MathUtils } from '../utils/MathUtils.js';
+import { SeededRandom } from '../utils/SeededRandom.js';
 import { ColorUtils } from '../utils/ColorUtils.js';
 import { performanceMonitor } from '../core/PerformanceMonitor.js';
+import { shaderManager } from '../core/ShaderManager.js';
 import { vec3, vec4, mat4 } from 'gl-matrix';
 
+// Position-dependent forces applied after gravity and wind
+const FIELD_FORCES = ['vortex', 'attractor', 'repeller', 'turbulence', 'magnetic'];
+
+// Frequency bands particles are assigned to
+const FREQUENCY_BANDS = 8;
+
+// GPU update program (transform feedback)
+const UPDATE_VERTEX_SHADER = 'src/shaders/particle-update.vert';
+const UPDATE_FRAGMENT_SHADER = 'src/shaders/particle-update.frag';
+const UPDATE_PROGRAM = 'particles:update';
+
+// Interleaved GPU particle state: five vec4 per slot, captured in this order
+const GPU_STATE_ATTRIBUTES = ['a_position', 'a_velocity', 'a_color', 'a_params', 'a_audio'];
+const GPU_STATE_VARYINGS = ['v_position', 'v_velocity', 'v_color', 'v_params', 'v_audio'];
+const GPU_STATE_STRIDE = 20;
+
+// Emitters that can emit in one GPU step, the rest wait for the next step
+const MAX_GPU_EMITTERS = 4;
+
+// Shader ids for emitter shapes and color modes (unknown names use 0)
+const EMITTER_SHAPES = { point: 0, sphere: 1, box: 2, cone: 3 };
+const COLOR_MODES = { solid: 0, gradient: 1, rainbow: 2, audio: 3 };
+
 export class ParticleSystem {
     constructor(config = {}) {
         this.isInitialized = false;
@@ -94,9 +127,15 @@ export class ParticleSystem {
             gcInterval: 1000,            // Garbage collection interval (ms)
             memoryLimit: 256,            // Memory limit in MB
             
+            // Reproducibility
+            seed: null,                  // Random seed (null for a different run each time)
+            
             ...config
         };
         
+        // Random number source (seeded for reproducible simulation)
+        this.random = new SeededRandom(this.config.seed);
+        
         // Particle arrays (Structure of Arrays for performance)
         this.particles = {
             // Position and movement
@@ -143,6 +182,7 @@ export class ParticleSystem {
             // Audio state
             lastBeatTime: 0,
             audioData: null,
+            bandEnergies: new Array(FREQUENCY_BANDS).fill(0),
             audioInfluenceFactors: {
                 emission: 0,
                 velocity: 0,
@@ -154,7 +194,7 @@ export class ParticleSystem {
         
         // Force systems
         this.forces = {
-            gravity: new GravityForce(this.config.gravity),
+            gravity: new GravityForce({ strength: this.config.gravity }),
             wind: new WindForce(this.config.forces.wind),
             vortex: new VortexForce(this.config.forces.vortex),
             attractor: new AttractorForce(this.config.forces.attractor),
@@ -179,10 +219,17 @@ export class ParticleSystem {
         
         // GPU compute resources (for GPU-based simulation)
         this.gpuResources = {
-            computeShader: null,
-            positionBuffer: null,
-            velocityBuffer: null,
-            uniformBuffer: null,
+            program: null,
+            buffers: [null, null],       // Ping-pong state buffers
+            vertexArrays: [null, null],  // Update input, one per source buffer
+            transformFeedback: null,
+            current: 0,                  // Buffer holding the latest state
+            stateData: null,             // Staging array for uploads and readbacks
+            cursor: 0,                   // Next ring slot to emit into
+            pendingEmission: new Map(),  // Emitter -> particles to emit next step
+            emissionHistory: [],         // { time, count, lifetime } for the active estimate
+            bandBlend: 0,                // Audio weight blend for the next step
+            cpuStale: false,
             enabled: false
         };
         
@@ -292,9 +339,8 @@ export class ParticleSystem {
      * Initialize GPU compute resources for GPU-based simulation
      */
     async initializeGPUResources() {
-        // Check for compute shader support
-        if (!this.gl.getExtension('EXT_color_buffer_float') || 
-            !this.gl.getExtension('OES_texture_float_linear')) {
+        // Transform feedback and gl_VertexID need WebGL2
+        if (!(typeof WebGL2RenderingContext !== 'undefined' && this.gl instanceof WebGL2RenderingContext)) {
             console.warn('GPU compute not fully supported, falling back to CPU');
             this.config.updateMode = 'cpu';
             return;
@@ -302,7 +348,7 @@ export class ParticleSystem {
         
         try {
             // Create compute shader for particle updates
-            this.gpuResources.computeShader = await this.createComputeShader();
+            this.gpuResources.program = await this.createComputeShader();
             
             // Create GPU buffers
             this.createGPUBuffers();
@@ -312,6 +358,7 @@ export class ParticleSystem {
             
         } catch (error) {
             console.warn('Failed to initialize GPU resources:', error);
+            this.disposeGPUResources();
             this.config.updateMode = 'cpu';
         }
     }
@@ -321,29 +368,54 @@ export class ParticleSystem {
      */
     createGPUBuffers() {
         const gl = this.gl;
+        const gpu = this.gpuResources;
+        const stride = GPU_STATE_STRIDE * Float32Array.BYTES_PER_ELEMENT;
         
-        // Position buffer
-        this.gpuResources.positionBuffer = gl.createBuffer();
-        gl.bindBuffer(gl.ARRAY_BUFFER, this.gpuResources.positionBuffer);
-        gl.bufferData(gl.ARRAY_BUFFER, this.particles.positions, gl.DYNAMIC_DRAW);
+        gpu.stateData = new Float32Array(this.config.maxParticles * GPU_STATE_STRIDE);
         
-        // Velocity buffer
-        this.gpuResources.velocityBuffer = gl.createBuffer();
-        gl.bindBuffer(gl.ARRAY_BUFFER, this.gpuResources.velocityBuffer);
-        gl.bufferData(gl.ARRAY_BUFFER, this.particles.velocities, gl.DYNAMIC_DRAW);
+        for (let i = 0; i < 2; i++) {
+            gpu.buffers[i] = gl.createBuffer();
+            gl.bindBuffer(gl.ARRAY_BUFFER, gpu.buffers[i]);
+            gl.bufferData(gl.ARRAY_BUFFER, gpu.stateData, gl.DYNAMIC_COPY);
+            
+            // Each vertex array reads the state from one buffer
+            gpu.vertexArrays[i] = gl.createVertexArray();
+            gl.bindVertexArray(gpu.vertexArrays[i]);
+            GPU_STATE_ATTRIBUTES.forEach((name, slot) => {
+                const location = shaderManager.getAttributeLocation(UPDATE_PROGRAM, name);
+                if (location >= 0) {
+                    gl.enableVertexAttribArray(location);
+                    gl.vertexAttribPointer(location, 4, gl.FLOAT, false, stride, slot * 16);
+                }
+            });
+            gl.bindVertexArray(null);
+        }
         
-        // Uniform buffer
-        this.gpuResources.uniformBuffer = gl.createBuffer();
-        gl.bindBuffer(gl.UNIFORM_BUFFER, this.gpuResources.uniformBuffer);
-        gl.bufferData(gl.UNIFORM_BUFFER, 256, gl.DYNAMIC_DRAW);
+        gl.bindBuffer(gl.ARRAY_BUFFER, null);
+        gpu.transformFeedback = gl.createTransformFeedback();
+        gpu.current = 0;
     }
     
     /**
      * Create compute shader for particle updates
+     * @returns {Promise<WebGLProgram>} Transform feedback program
      */
     async createComputeShader() {
-        console.log('GPU compute shader creation not yet implemented');
-        return null;
+        return shaderManager.loadShaderProgram(
+            UPDATE_VERTEX_SHADER,
+            UPDATE_FRAGMENT_SHADER,
+            { MAX_EMITTERS: MAX_GPU_EMITTERS },
+            UPDATE_PROGRAM,
+            { transformFeedbackVaryings: GPU_STATE_VARYINGS }
+        );
+    }
+    
+    /**
+     * Whether particles are currently stepped on the GPU
+     * @returns {boolean} True in 'gpu' mode once GPU resources are ready
+     */
+    isGPUActive() {
+        return this.config.updateMode === 'gpu' && this.gpuResources.enabled;
     }
     
     /**
@@ -377,6 +449,15 @@ export class ParticleSystem {
         }
         
         this.state.activeParticleCount = count;
+        
+        // The GPU starts from the same population, later emission fills the ring after it
+        if (this.gpuResources.enabled) {
+            this.uploadGPUState();
+            this.gpuResources.cursor = count % this.config.maxParticles;
+            this.gpuResources.pendingEmission.clear();
+            this.gpuResources.emissionHistory = [{ time: this.state.elapsedTime, count, lifetime: this.defaultEmitter.lifetime }];
+        }
+        
         console.log('Emitted ' + count + ' initial particles');
     }
     
@@ -384,7 +465,26 @@ export class ParticleSystem {
      * Utility method for random number generation
      */
     randomRange(min, max) {
-        return min + Math.random() * (max - min);
+        return this.random.range(min, max);
+    }
+    
+    /**
+     * Restart the random sequence for reproducible runs
+     * @param {number|string} seed - Random seed
+     */
+    setSeed(seed) {
+        this.config.seed = seed;
+        this.random.setSeed(seed);
+        
+        // Restart from the initial population so runs with the same seed match
+        if (this.isInitialized) {
+            this.particles.active.fill(0);
+            this.state.activeParticleCount = 0;
+            this.state.totalEmitted = 0;
+            this.state.lastEmissionTime = 0;
+            this.state.elapsedTime = 0;
+            this.emitInitialParticles();
+        }
     }
     
     /**
@@ -411,30 +511,33 @@ export class ParticleSystem {
             this.updateEmission(deltaTime);
             
             // Update particle physics
-            if (this.config.updateMode === 'gpu' && this.gpuResources.enabled) {
+            if (this.isGPUActive()) {
                 this.updateParticlesGPU(deltaTime);
             } else {
                 this.updateParticlesCPU(deltaTime);
             }
             
-            // Apply constraints
-            if (this.config.enableConstraints) {
-                this.applyConstraints();
-            }
-            
-            // Handle collisions
-            if (this.config.enableCollisions) {
-                this.updateCollisions();
-            }
-            
-            // Update spatial optimization
-            if (this.config.spatialOptimization) {
-                this.updateSpatialGrid();
+            // Constraints, collisions, the spatial grid and compaction need the CPU arrays
+            if (!this.isGPUActive()) {
+                // Apply constraints
+                if (this.config.enableConstraints) {
+                    this.applyConstraints();
+                }
+                
+                // Handle collisions
+                if (this.config.enableCollisions) {
+                    this.updateCollisions();
+                }
+                
+                // Update spatial optimization
+                if (this.config.spatialOptimization) {
+                    this.updateSpatialGrid();
+                }
+                
+                // Cleanup dead particles
+                this.cleanupParticles();
             }
             
-            // Cleanup dead particles
-            this.cleanupParticles();
-            
             // Update performance metrics
             const updateTime = performance.now() - startTime;
             this.updatePerformanceMetrics(updateTime);
@@ -518,8 +621,13 @@ export class ParticleSystem {
      * Update frequency band influence for individual particles
      */
     updateFrequencyBandInfluence(frequencyData) {
-        const bandCount = 8;
-        const bandsPerBin = Math.floor(frequencyData.length / bandCount);
+        const bandEnergies = this.updateBandEnergies(frequencyData);
+        
+        // GPU particles blend their weights in the update shader
+        if (this.isGPUActive()) {
+            this.gpuResources.bandBlend = 0.1;
+            return;
+        }
         
         for (let i = 0; i < this.state.activeParticleCount; i++) {
             if (!this.particles.active[i]) {
@@ -527,17 +635,8 @@ export class ParticleSystem {
             }
             
             const bandIndex = this.particles.frequencyBands[i];
-            if (bandIndex < bandCount) {
-                // Calculate band energy
-                let bandEnergy = 0;
-                const startBin = bandIndex * bandsPerBin;
-                const endBin = Math.min(startBin + bandsPerBin, frequencyData.length);
-                
-                for (let bin = startBin; bin < endBin; bin++) {
-                    bandEnergy += frequencyData[bin];
-                }
-                
-                bandEnergy /= bandsPerBin;
+            if (bandIndex < FREQUENCY_BANDS) {
+                const bandEnergy = bandEnergies[bandIndex];
                 
                 // Apply audio weight and beat sensitivity
                 const audioWeight = this.particles.audioWeights[i];
@@ -552,6 +651,30 @@ export class ParticleSystem {
         }
     }
     
+    /**
+     * Average energy of each frequency band
+     * @param {Uint8Array|Float32Array} frequencyData - Frequency bins
+     * @returns {Array<number>} Band energies (also kept in state.bandEnergies)
+     */
+    updateBandEnergies(frequencyData) {
+        const bandsPerBin = Math.floor(frequencyData.length / FREQUENCY_BANDS);
+        const bandEnergies = this.state.bandEnergies;
+        
+        for (let band = 0; band < FREQUENCY_BANDS; band++) {
+            let bandEnergy = 0;
+            const startBin = band * bandsPerBin;
+            const endBin = Math.min(startBin + bandsPerBin, frequencyData.length);
+            
+            for (let bin = startBin; bin < endBin; bin++) {
+                bandEnergy += frequencyData[bin];
+            }
+            
+            bandEnergies[band] = bandEnergy / bandsPerBin;
+        }
+        
+        return bandEnergies;
+    }
+    
     /**
      * Update particle emission
      */
@@ -588,6 +711,11 @@ export class ParticleSystem {
         
         // Emit particles
         const particlesToEmit = Math.floor(emissionCount);
+        if (this.isGPUActive()) {
+            this.queueGPUEmission(emitter, particlesToEmit);
+            return;
+        }
+        
         for (let i = 0; i < particlesToEmit; i++) {
             if (this.state.activeParticleCount < this.config.maxParticles) {
                 const particleIndex = this.findNextAvailableParticle();
@@ -598,6 +726,16 @@ export class ParticleSystem {
         }
     }
     
+    /**
+     * Queue particles for the next GPU step, spawned by the update shader
+     */
+    queueGPUEmission(emitter, count) {
+        if (count <= 0) return;
+        
+        const pending = this.gpuResources.pendingEmission;
+        pending.set(emitter, (pending.get(emitter) || 0) + count);
+    }
+    
     /**
      * Find next available particle slot
      */
@@ -679,7 +817,7 @@ export class ParticleSystem {
                 break;
                 
             case 'sphere':
-                const sphereRadius = emitter.radius * Math.cbrt(Math.random());
+                const sphereRadius = emitter.radius * Math.cbrt(this.random.next());
                 const theta = this.randomRange(0, MathUtils.TWO_PI);
                 const phi = Math.acos(this.randomRange(-1, 1));
                 
@@ -695,7 +833,7 @@ export class ParticleSystem {
                 break;
                 
             case 'cone':
-                const coneRadius = emitter.radius * Math.sqrt(Math.random());
+                const coneRadius = emitter.radius * Math.sqrt(this.random.next());
                 const coneAngle = this.randomRange(0, MathUtils.TWO_PI);
                 const coneHeight = this.randomRange(0, emitter.radius);
                 
@@ -846,6 +984,7 @@ export class ParticleSystem {
     
     /**
      * Update particles using GPU compute shaders
+     * One transform feedback pass from the current buffer into the other one
      */
     updateParticlesGPU(deltaTime) {
         if (!this.gpuResources.enabled) {
@@ -854,29 +993,44 @@ export class ParticleSystem {
         }
         
         const startTime = performance.now();
+        const gl = this.gl;
+        const gpu = this.gpuResources;
         
         try {
+            const source = gpu.current;
+            const target = 1 - source;
+            
             // Upload uniforms
+            shaderManager.useProgram(UPDATE_PROGRAM);
             this.updateGPUUniforms(deltaTime);
             
-            // Dispatch compute shader
-            this.gl.useProgram(this.gpuResources.computeShader);
-            this.gl.dispatchCompute(
-                Math.ceil(this.state.activeParticleCount / this.config.batchSize),
-                1,
-                1
-            );
+            const savedVertexArray = gl.getParameter(gl.VERTEX_ARRAY_BINDING);
             
-            // Memory barrier
-            this.gl.memoryBarrier(this.gl.SHADER_STORAGE_BARRIER_BIT);
+            // The target buffer may not stay bound anywhere else while it is captured into
+            gl.bindBuffer(gl.ARRAY_BUFFER, null);
+            gl.bindVertexArray(gpu.vertexArrays[source]);
+            gl.bindTransformFeedback(gl.TRANSFORM_FEEDBACK, gpu.transformFeedback);
+            gl.bindBufferBase(gl.TRANSFORM_FEEDBACK_BUFFER, 0, gpu.buffers[target]);
+            gl.enable(gl.RASTERIZER_DISCARD);
             
-            // Read back results if needed
-            if (this.config.enableCollisions || this.config.spatialOptimization) {
-                this.readbackGPUData();
-            }
+            gl.beginTransformFeedback(gl.POINTS);
+            gl.drawArrays(gl.POINTS, 0, this.config.maxParticles);
+            gl.endTransformFeedback();
+            
+            gl.disable(gl.RASTERIZER_DISCARD);
+            gl.bindBufferBase(gl.TRANSFORM_FEEDBACK_BUFFER, 0, null);
+            gl.bindTransformFeedback(gl.TRANSFORM_FEEDBACK, null);
+            gl.bindVertexArray(savedVertexArray);
+            
+            gpu.current = target;
+            gpu.cpuStale = true;
+            gpu.bandBlend = 0;
             
         } catch (error) {
             console.warn('GPU particle update failed, falling back to CPU:', error);
+            this.readbackGPUData();
+            this.disposeGPUResources();
+            this.config.updateMode = 'cpu';
             this.updateParticlesCPU(deltaTime);
         }
         
@@ -885,25 +1039,194 @@ export class ParticleSystem {
     
     /**
      * Update GPU uniforms
+     * Assigns this step's emission windows and mirrors the CPU force settings
      */
     updateGPUUniforms(deltaTime) {
-        const uniforms = new Float32Array([
-            deltaTime,
-            this.state.elapsedTime,
-            this.state.audioInfluenceFactors.velocity,
-            this.state.audioInfluenceFactors.forces
-        ]);
+        const forces = this.forces;
+        const influence = this.state.audioInfluenceFactors;
+        const forcesEnabled = this.config.enableForces;
+        const strength = (force) => forcesEnabled && force.enabled ? force.config.strength : 0;
+        
+        const bands = this.state.bandEnergies;
+        const audioColor = this.config.colorMode === 'audio' ? this.generateAudioReactiveColor() : [1, 1, 1];
+        const gravity = forcesEnabled && forces.gravity.enabled ? forces.gravity.config.strength : [0, 0, 0];
+        const wind = forces.wind.config;
+        const vortex = forces.vortex.config;
+        const magnetic = forces.magnetic.config;
+        
+        this.setGPUUniforms({
+            ...this.assignEmissionWindows(),
+            u_deltaTime: deltaTime,
+            u_time: this.state.elapsedTime,
+            u_seed: this.random.next(),
+            u_maxParticles: this.config.maxParticles,
+            u_colorMode: COLOR_MODES[this.config.colorMode] || 0,
+            u_audioColor: [audioColor[0], audioColor[1], audioColor[2]],
+            u_particleSize: this.config.particleSize,
+            u_gravity: gravity,
+            u_wind: vec3.scale(vec3.create(), wind.direction, strength(forces.wind)),
+            u_vortex: [vortex.axis[0], vortex.axis[1], vortex.axis[2], strength(forces.vortex)],
+            u_vortexCenter: vortex.center,
+            u_attractor: [...forces.attractor.config.position, strength(forces.attractor)],
+            u_repeller: [...forces.repeller.config.position, strength(forces.repeller)],
+            u_falloff: [forces.attractor.config.falloff, forces.repeller.config.falloff],
+            u_turbulence: [strength(forces.turbulence), forces.turbulence.config.frequency],
+            u_magnetic: [magnetic.field[0], magnetic.field[1], magnetic.field[2], strength(forces.magnetic)],
+            u_airResistance: forcesEnabled ? this.config.airResistance : 1.0,
+            u_bandsLow: [bands[0], bands[1], bands[2], bands[3]],
+            u_bandsHigh: [bands[4], bands[5], bands[6], bands[7]],
+            u_bandBlend: this.gpuResources.bandBlend,
+            u_audioForces: influence.forces,
+            u_audioSize: influence.size
+        });
+    }
+    
+    /**
+     * Give each emitter with queued particles a window of ring slots
+     * @returns {Object} Emitter uniform arrays for the update shader
+     */
+    assignEmissionWindows() {
+        const gpu = this.gpuResources;
+        const maxParticles = this.config.maxParticles;
+        const windows = new Float32Array(MAX_GPU_EMITTERS * 4);
+        const origins = new Float32Array(MAX_GPU_EMITTERS * 4);
+        const velocities = new Float32Array(MAX_GPU_EMITTERS * 4);
+        const lifetimes = new Float32Array(MAX_GPU_EMITTERS * 4);
+        
+        let slot = 0;
+        let remaining = maxParticles;
+        for (const [emitter, queued] of gpu.pendingEmission) {
+            if (slot === MAX_GPU_EMITTERS) break;
+            
+            const count = Math.min(queued, remaining);
+            gpu.pendingEmission.delete(emitter);
+            if (count === 0) continue;
+            
+            const offset = slot * 4;
+            windows.set([gpu.cursor, count, EMITTER_SHAPES[emitter.shape] || 0, emitter.radius], offset);
+            origins.set([...emitter.position, emitter.spread], offset);
+            velocities.set([...emitter.velocity, 1 + this.state.audioInfluenceFactors.velocity], offset);
+            lifetimes.set([emitter.lifetime, emitter.lifetimeVariation, 0, 0], offset);
+            
+            gpu.cursor = (gpu.cursor + count) % maxParticles;
+            gpu.emissionHistory.push({ time: this.state.elapsedTime, count, lifetime: emitter.lifetime });
+            this.state.totalEmitted += count;
+            remaining -= count;
+            slot++;
+        }
+        
+        // Without a readback the active count is estimated from recent emission
+        const now = this.state.elapsedTime;
+        gpu.emissionHistory = gpu.emissionHistory.filter(entry => now - entry.time < entry.lifetime);
+        const recent = gpu.emissionHistory.reduce((sum, entry) => sum + entry.count, 0);
+        this.state.activeParticleCount = Math.min(recent, maxParticles);
+        
+        return {
+            u_emitterWindow: windows,
+            u_emitterOrigin: origins,
+            u_emitterVelocity: velocities,
+            u_emitterLifetime: lifetimes
+        };
+    }
+    
+    /**
+     * Set uniforms of the update program; vec4 arrays are passed flattened
+     */
+    setGPUUniforms(uniforms) {
+        const gl = this.gl;
         
+        for (const [name, value] of Object.entries(uniforms)) {
+            const location = shaderManager.getUniformLocation(UPDATE_PROGRAM, name) ||
+                shaderManager.getUniformLocation(UPDATE_PROGRAM, `${name}[0]`);
+            if (!location) continue;
+            
+            if (typeof value === 'number') {
+                gl.uniform1f(location, value);
+            } else if (value.length === 2) {
+                gl.uniform2fv(location, value);
+            } else if (value.length === 3) {
+                gl.uniform3fv(location, value);
+            } else {
+                gl.uniform4fv(location, value);
+            }
+        }
+    }
+    
+    /**
+     * Write the CPU particle arrays into both GPU state buffers
+     */
+    uploadGPUState() {
         const gl = this.gl;
-        gl.bindBuffer(gl.UNIFORM_BUFFER, this.gpuResources.uniformBuffer);
-        gl.bufferSubData(gl.UNIFORM_BUFFER, 0, uniforms);
+        const gpu = this.gpuResources;
+        const data = gpu.stateData;
+        const p = this.particles;
+        
+        data.fill(0);
+        for (let i = 0; i < this.config.maxParticles; i++) {
+            if (!p.active[i]) continue;
+            
+            const o = i * GPU_STATE_STRIDE;
+            data.set([p.positions[i * 3], p.positions[i * 3 + 1], p.positions[i * 3 + 2], p.ages[i]], o);
+            data.set([p.velocities[i * 3], p.velocities[i * 3 + 1], p.velocities[i * 3 + 2], p.lifetimes[i]], o + 4);
+            data.set(p.colors.subarray(i * 4, i * 4 + 4), o + 8);
+            data.set([p.sizes[i], p.rotations[i], p.angularVelocities[i], p.masses[i]], o + 12);
+            data.set([p.audioWeights[i], p.frequencyBands[i], p.beatSensitivity[i], 0], o + 16);
+        }
+        
+        for (const buffer of gpu.buffers) {
+            gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+            gl.bufferSubData(gl.ARRAY_BUFFER, 0, data);
+        }
+        gl.bindBuffer(gl.ARRAY_BUFFER, null);
+        
+        gpu.cpuStale = false;
     }
     
     /**
      * Read back data from GPU
+     * Refreshes the CPU particle arrays from the current state buffer; only
+     * called on demand (getParticleData) since it stalls the pipeline
      */
     readbackGPUData() {
-        console.log('GPU readback not implemented - using CPU fallback');
+        const gpu = this.gpuResources;
+        if (!gpu.enabled || !gpu.cpuStale) return;
+        
+        const gl = this.gl;
+        const data = gpu.stateData;
+        const p = this.particles;
+        
+        gl.bindBuffer(gl.ARRAY_BUFFER, gpu.buffers[gpu.current]);
+        gl.getBufferSubData(gl.ARRAY_BUFFER, 0, data);
+        gl.bindBuffer(gl.ARRAY_BUFFER, null);
+        
+        let activeCount = 0;
+        for (let i = 0; i < this.config.maxParticles; i++) {
+            const o = i * GPU_STATE_STRIDE;
+            const age = data[o + 3];
+            const lifetime = data[o + 7];
+            const alive = age < lifetime ? 1 : 0;
+            
+            p.positions.set(data.subarray(o, o + 3), i * 3);
+            p.velocities.set(data.subarray(o + 4, o + 7), i * 3);
+            p.colors.set(data.subarray(o + 8, o + 12), i * 4);
+            p.ages[i] = age;
+            p.lifetimes[i] = lifetime;
+            p.birthTimes[i] = this.state.elapsedTime - age;
+            p.opacities[i] = data[o + 11];
+            p.sizes[i] = data[o + 12];
+            p.rotations[i] = data[o + 13];
+            p.angularVelocities[i] = data[o + 14];
+            p.masses[i] = data[o + 15];
+            p.audioWeights[i] = data[o + 16];
+            p.frequencyBands[i] = data[o + 17];
+            p.beatSensitivity[i] = data[o + 18];
+            p.active[i] = alive;
+            p.visible[i] = alive;
+            activeCount += alive;
+        }
+        
+        this.state.activeParticleCount = activeCount;
+        gpu.cpuStale = false;
     }
     
     /**
@@ -946,8 +1269,15 @@ export class ParticleSystem {
                 this.addForce(i, audioWindForce);
             }
             
-            // Apply other forces...
-            // (Implementation continues with other force types)
+            // Field forces
+            for (const name of FIELD_FORCES) {
+                const force = forces[name];
+                if (force.enabled) {
+                    const fieldForce = force.calculate(position, velocity, mass, this.state.elapsedTime);
+                    vec3.scale(fieldForce, fieldForce, 1 + audioInfluence * audioWeight);
+                    this.addForce(i, fieldForce);
+                }
+            }
             
             // Air resistance
             if (this.config.airResistance < 1.0) {
@@ -959,6 +1289,74 @@ export class ParticleSystem {
         }
     }
     
+    /**
+     * Update a force field at runtime
+     * @param {string} name - Force name (gravity, wind, vortex, attractor, repeller, turbulence, magnetic)
+     * @param {Object} settings - Force settings (strength, enabled, ...)
+     */
+    setForce(name, settings) {
+        const force = this.forces[name];
+        if (!force) {
+            throw new Error(`Unknown force: ${name}`);
+        }
+        
+        Object.assign(force.config, settings);
+        force.enabled = force.config.enabled;
+    }
+    
+    /**
+     * Parameters exposed to the modulation matrix
+     * Force strengths enable the force while they are non-zero
+     * @returns {Array<Object>} Parameter descriptors
+     */
+    getModulationParameters() {
+        const forces = FIELD_FORCES.concat('wind').map(name => ({
+            id: `particles.${name}`,
+            label: `${name.charAt(0).toUpperCase()}${name.slice(1)} Strength`,
+            group: 'particles',
+            min: -50,
+            max: 50,
+            get: () => this.forces[name].config.strength,
+            set: (value) => this.setForce(name, { strength: value, enabled: value !== 0 })
+        }));
+        
+        return [
+            ...forces,
+            {
+                id: 'particles.emissionRate',
+                label: 'Emission Rate',
+                group: 'particles',
+                min: 0,
+                max: 2000,
+                get: () => this.defaultEmitter ? this.defaultEmitter.rate : this.config.emissionRate,
+                set: (value) => {
+                    this.config.emissionRate = value;
+                    if (this.defaultEmitter) {
+                        this.defaultEmitter.rate = value;
+                    }
+                }
+            },
+            {
+                id: 'particles.particleSize',
+                label: 'Particle Size',
+                group: 'particles',
+                min: 0.01,
+                max: 10,
+                get: () => this.config.particleSize,
+                set: (value) => { this.config.particleSize = value; }
+            },
+            {
+                id: 'particles.airResistance',
+                label: 'Air Resistance',
+                group: 'particles',
+                min: 0.5,
+                max: 1.0,
+                get: () => this.config.airResistance,
+                set: (value) => { this.config.airResistance = value; }
+            }
+        ];
+    }
+    
     /**
      * Add force to particle
      */
@@ -1124,26 +1522,20 @@ export class ParticleSystem {
      * Copy particle data from one index to another
      */
     copyParticleData(fromIndex, toIndex) {
-        // Position
-        this.particles.positions[toIndex * 3] = this.particles.positions[fromIndex * 3];
-        this.particles.positions[toIndex * 3 + 1] = this.particles.positions[fromIndex * 3 + 1];
-        this.particles.positions[toIndex * 3 + 2] = this.particles.positions[fromIndex * 3 + 2];
-        
-        // Copy other properties...
-        this.particles.active[toIndex] = this.particles.active[fromIndex];
-        this.particles.masses[toIndex] = this.particles.masses[fromIndex];
-        // ... (continue with other properties)
+        Object.values(this.particles).forEach(array => {
+            const stride = array.length / this.config.maxParticles;
+            array.copyWithin(toIndex * stride, fromIndex * stride, (fromIndex + 1) * stride);
+        });
     }
     
     /**
      * Clear particle data at index
      */
     clearParticleData(index) {
-        this.particles.positions[index * 3] = 0;
-        this.particles.positions[index * 3 + 1] = 0;
-        this.particles.positions[index * 3 + 2] = 0;
-        this.particles.active[index] = 0;
-        // ... (clear other properties)
+        Object.values(this.particles).forEach(array => {
+            const stride = array.length / this.config.maxParticles;
+            array.fill(0, index * stride, (index + 1) * stride);
+        });
     }
     
     /**
@@ -1163,8 +1555,13 @@ export class ParticleSystem {
     
     /**
      * Get particle data for rendering
+     * On the GPU path this reads the state back; renderers should prefer getGPUBuffers()
      */
     getParticleData() {
+        if (this.isGPUActive()) {
+            this.readbackGPUData();
+        }
+        
         return {
             positions: this.particles.positions,
             colors: this.particles.colors,
@@ -1178,6 +1575,32 @@ export class ParticleSystem {
         };
     }
     
+    /**
+     * Current GPU state buffer, for drawing the particles without a readback
+     * Free slots have zero color alpha; draw all `count` slots as points.
+     * @returns {Object|null} { buffer, count, stride, attributes } with byte offsets, null on the CPU path
+     */
+    getGPUBuffers() {
+        if (!this.isGPUActive()) {
+            return null;
+        }
+        
+        return {
+            buffer: this.gpuResources.buffers[this.gpuResources.current],
+            count: this.config.maxParticles,
+            stride: GPU_STATE_STRIDE * Float32Array.BYTES_PER_ELEMENT,
+            attributes: {
+                position: { size: 3, offset: 0 },
+                age: { size: 1, offset: 12 },
+                velocity: { size: 3, offset: 16 },
+                lifetime: { size: 1, offset: 28 },
+                color: { size: 4, offset: 32 },
+                size: { size: 1, offset: 48 },
+                rotation: { size: 1, offset: 52 }
+            }
+        };
+    }
+    
     /**
      * Get system status
      */
@@ -1191,7 +1614,8 @@ export class ParticleSystem {
                 active: this.state.activeParticleCount,
                 total: this.config.maxParticles,
                 utilization: this.state.activeParticleCount / this.config.maxParticles
-            }
+            },
+            backend: this.isGPUActive() ? 'gpu' : 'cpu'
         };
     }
     
@@ -1222,23 +1646,28 @@ export class ParticleSystem {
      * Dispose GPU resources
      */
     disposeGPUResources() {
-        if (this.gpuResources.computeShader) {
-            this.gl.deleteProgram(this.gpuResources.computeShader);
-        }
-        
-        if (this.gpuResources.positionBuffer) {
-            this.gl.deleteBuffer(this.gpuResources.positionBuffer);
-        }
-        
-        if (this.gpuResources.velocityBuffer) {
-            this.gl.deleteBuffer(this.gpuResources.velocityBuffer);
-        }
+        const gl = this.gl;
+        const gpu = this.gpuResources;
         
-        if (this.gpuResources.uniformBuffer) {
-            this.gl.deleteBuffer(this.gpuResources.uniformBuffer);
+        if (gl) {
+            gpu.buffers.forEach(buffer => buffer && gl.deleteBuffer(buffer));
+            gpu.vertexArrays.forEach(vertexArray => vertexArray && gl.deleteVertexArray(vertexArray));
+            
+            if (gpu.transformFeedback) {
+                gl.deleteTransformFeedback(gpu.transformFeedback);
+            }
         }
         
-        this.gpuResources.enabled = false;
+        // The program stays cached in the shader manager
+        gpu.program = null;
+        gpu.buffers = [null, null];
+        gpu.vertexArrays = [null, null];
+        gpu.transformFeedback = null;
+        gpu.stateData = null;
+        gpu.pendingEmission.clear();
+        gpu.emissionHistory = [];
+        gpu.cpuStale = false;
+        gpu.enabled = false;
     }
 }
 
@@ -1262,6 +1691,19 @@ class ParticleEmitter {
             ...config
         };
         
+        // Emission parameters read by ParticleSystem
+        this.name = this.config.name;
+        this.position = this.config.position;
+        this.rate = this.config.rate;
+        this.burst = this.config.burst;
+        this.shape = this.config.shape;
+        this.radius = this.config.radius;
+        this.velocity = this.config.velocity;
+        this.spread = this.config.spread;
+        this.lifetime = this.config.lifetime;
+        this.lifetimeVariation = this.config.lifetimeVariation;
+        this.enabled = this.config.enabled;
+        
         this.state = {
             lastEmissionTime: 0,
             totalEmitted: 0,
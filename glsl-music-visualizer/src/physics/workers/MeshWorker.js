@@ -0,0 +1,59 @@
+/**
+ * Mesh Worker
+ * Evaluates the metaball field and extracts its surface off the main thread
+ * Location: src/physics/workers/MeshWorker.js
+ *
+ * Driven by MeshWorkerClient. The worker builds a MetaballMesher from the
+ * client's grid description and keeps the field and block meshes between
+ * requests:
+ *
+ *   mesh      - evaluate the flagged blocks (all when blocks is null) for the
+ *               packed metaballs, re-mesh the affected blocks and reply with
+ *               the combined mesh
+ *   configure - switch the extraction algorithm (every block is re-meshed on
+ *               the next request)
+ *
+ * Mesh arrays are built per reply and transferred back.
+ */
+
+import { MetaballMesher } from '../MetaballMesher.js';
+
+let mesher = null;
+
+self.onmessage = (event) => {
+    const message = event.data;
+    
+    try {
+        switch (message.type) {
+            case 'init':
+                mesher = new MetaballMesher(message.config);
+                self.postMessage({ type: 'ready' });
+                break;
+            
+            case 'mesh': {
+                const startTime = performance.now();
+                const { metaballs, count, blocks } = message.payload;
+                
+                mesher.updateField(metaballs, count, blocks);
+                const blocksMeshed = mesher.polygonize();
+                const mesh = mesher.buildMesh();
+                
+                self.postMessage({
+                    type: 'result',
+                    id: message.id,
+                    result: { ...mesh, blocksMeshed },
+                    processingTime: performance.now() - startTime
+                }, [mesh.vertices.buffer, mesh.normals.buffer, mesh.indices.buffer]);
+                break;
+            }
+            
+            case 'configure':
+                if (message.settings.algorithm) {
+                    mesher.setAlgorithm(message.settings.algorithm);
+                }
+                break;
+        }
+    } catch (error) {
+        self.postMessage({ type: 'error', id: message.id, error: error.message });
+    }
+};
@@ -0,0 +1,339 @@
+/**
+ * Blob Raymarch Fragment Shader
+ * Sphere-traced metaball surface for the blob visualizer
+ * Location: src/shaders/blob-raymarch.frag
+ *
+ * Drawn over the fullscreen quad (fullscreen.vert) when BlobVisualizer is in
+ * 'raymarch' mode. Metaballs come from MetaballSystem.getMetaballData packed
+ * into a MAX_METABALLS x 2 float texture: row 0 holds center xyz and radius,
+ * row 1 the RGBA color. Each pixel marches the smooth union of the spheres
+ * inside a bounding sphere, then shades the hit with the same shading models
+ * as blob.frag. No depth is written.
+ */
+
+// Automatic version handling by ShaderManager
+// Note: Includes will be processed by ShaderManager preprocessor
+
+precision highp float;
+precision highp int;
+
+// ===== SCENE DISTANCE FUNCTION =====
+// sdf.glsl helpers (calcNormal, softShadow, ambientOcclusion) evaluate SDF_SCENE
+#define SDF_SCENE metaballField
+float metaballField(vec3 p);
+
+#include "lighting.glsl"
+#include "sdf.glsl"
+
+// ===== CONSTANTS =====
+// MAX_METABALLS is set by BlobVisualizer (texture width)
+#define MAX_STEPS 128
+#define HIT_EPSILON 0.001
+
+// Shading models (index into the material shader list)
+#define SHADING_BASE 0.0
+#define SHADING_WATER 1.0
+#define SHADING_METAL 2.0
+#define SHADING_FIRE 3.0
+#define SHADING_MAGMA 4.0
+
+// ===== UNIFORMS =====
+
+// Camera and lighting
+uniform mat4 u_inverseViewProjection; // Clip space to world space
+uniform vec3 u_cameraPosition;   // World space camera position
+uniform vec3 u_lightPosition;    // Key light position
+uniform vec3 u_lightColor;       // Key light color
+uniform float u_lightIntensity;  // Key light intensity
+
+// Time
+uniform float u_time;            // Global time in seconds
+
+// Audio analysis
+uniform float u_audioEnergy;     // Overall audio energy [0-1]
+uniform float u_bassLevel;       // Bass frequency level [0-1]
+uniform float u_midLevel;        // Mid frequency level [0-1]
+uniform float u_trebleLevel;     // Treble frequency level [0-1]
+uniform float u_beatDetected;    // Beat detection flag [0-1]
+uniform float u_beatStrength;    // Beat strength [0-1]
+
+// Metaball system
+uniform sampler2D u_metaballData; // Centers and radii (row 0), colors (row 1)
+uniform float u_metaballCount;   // Packed metaball count
+uniform float u_metaballBlending; // Smooth union radius
+uniform float u_metaballColorMix; // Per-metaball color weight against the material color
+uniform vec4 u_bounds;           // Bounding sphere of the surface (xyz center, w radius)
+
+// Material properties
+uniform float u_shadingModel;    // Shading model (see SHADING_*)
+uniform vec3 u_materialColor;    // Base material color
+uniform vec3 u_emissionColor;    // Emissive color
+uniform float u_metallic;        // Metallic property [0-1]
+uniform float u_roughness;       // Surface roughness [0-1]
+uniform float u_emission;        // Emission strength
+uniform float u_transparency;    // Transparency level [0-1]
+uniform float u_refractiveIndex; // Index of refraction
+uniform float u_temperature;     // Material temperature (Kelvin)
+
+// Quality
+uniform float u_qualityLevel;    // Quality scaling [0.1-1.0]
+uniform float u_maxSteps;        // March step budget (at most MAX_STEPS)
+
+// ===== VARYINGS =====
+varying vec2 v_uv;               // Screen-space texture coordinates
+
+// ===== METABALL FIELD =====
+
+// Centers and radii, loaded once per pixel so the march does not sample per step
+vec4 metaballs[MAX_METABALLS];
+
+/**
+ * Texel of one metaball in the data texture
+ */
+vec4 fetchMetaball(int index, float row) {
+    return texture2D(u_metaballData, vec2((float(index) + 0.5) / float(MAX_METABALLS), row));
+}
+
+void loadMetaballs() {
+    for (int i = 0; i < MAX_METABALLS; i++) {
+        metaballs[i] = float(i) < u_metaballCount ? fetchMetaball(i, 0.25) : vec4(0.0);
+    }
+}
+
+/**
+ * Signed distance to the smooth union of all metaballs
+ */
+float metaballField(vec3 p) {
+    float k = max(u_metaballBlending, 0.05);
+    float d = 1e5;
+
+    for (int i = 0; i < MAX_METABALLS; i++) {
+        if (float(i) >= u_metaballCount) break;
+        d = opSmoothUnion(d, sdSphere(p - metaballs[i].xyz, metaballs[i].w), k);
+    }
+
+    return d;
+}
+
+/**
+ * Metaball color at a surface point, blended with the same weights as the smooth union
+ */
+vec4 metaballColor(vec3 p) {
+    float k = max(u_metaballBlending, 0.05);
+    float d = 1e5;
+    vec4 color = vec4(0.0);
+
+    for (int i = 0; i < MAX_METABALLS; i++) {
+        if (float(i) >= u_metaballCount) break;
+        float sphere = sdSphere(p - metaballs[i].xyz, metaballs[i].w);
+        float h = clamp(0.5 + 0.5 * (sphere - d) / k, 0.0, 1.0);
+        d = mix(sphere, d, h) - k * h * (1.0 - h);
+        color = mix(fetchMetaball(i, 0.75), color, h);
+    }
+
+    return color;
+}
+
+// ===== RAYMARCHING =====
+
+/**
+ * Entry and exit distances of a ray through the bounding sphere, y < x on a miss
+ */
+vec2 intersectBounds(vec3 ro, vec3 rd) {
+    vec3 oc = ro - u_bounds.xyz;
+    float b = dot(oc, rd);
+    float c = dot(oc, oc) - u_bounds.w * u_bounds.w;
+    float h = b * b - c;
+
+    if (h < 0.0) {
+        return vec2(1.0, -1.0);
+    }
+
+    h = sqrt(h);
+    return vec2(max(-b - h, 0.0), -b + h);
+}
+
+/**
+ * Sphere trace between the bounds, negative when nothing is hit
+ */
+float march(vec3 ro, vec3 rd, vec2 range) {
+    float t = range.x;
+
+    for (int i = 0; i < MAX_STEPS; i++) {
+        if (float(i) >= u_maxSteps || t > range.y) break;
+
+        float d = metaballField(ro + rd * t);
+        if (d < HIT_EPSILON * (1.0 + t)) {
+            return t;
+        }
+
+        // The smooth union underestimates near blends, so steps are slightly relaxed
+        t += d * 0.9;
+    }
+
+    return -1.0;
+}
+
+// ===== SHADING MODELS =====
+
+/**
+ * Standard PBR (materials/base.frag)
+ */
+vec3 shadeBase(Material mat, vec3 V, vec3 L, vec3 radiance) {
+    vec3 N = mat.normal;
+    vec3 H = normalize(V + L);
+
+    float NdotL = max(dot(N, L), 0.0);
+    float NdotV = max(dot(N, V), 0.0);
+    float VdotH = max(dot(V, H), 0.0);
+
+    vec3 F0 = mix(vec3(0.04), mat.albedo, mat.metallic);
+    vec3 F = fresnelSchlick(VdotH, F0);
+    vec3 kD = (vec3(1.0) - F) * (1.0 - mat.metallic);
+
+    vec3 diffuse = kD * burleyDiffuse(mat.albedo, mat.roughness, NdotV, NdotL, VdotH);
+    vec3 specular = cookTorranceSpecular(N, V, L, H, F0, mat.roughness);
+
+    return (diffuse + specular) * radiance * NdotL + mat.emission;
+}
+
+/**
+ * Water with subsurface scattering (materials/water.frag)
+ */
+vec3 shadeWater(Material mat, vec3 V, vec3 L, vec3 radiance, float thickness) {
+    vec3 color = calculateWaterLighting(mat, V, L, radiance, thickness);
+
+    float NdotL = max(dot(mat.normal, L), 0.0);
+    color += mat.albedo * radiance * NdotL * (1.0 - mat.transmission) / PI;
+
+    return color + mat.emission;
+}
+
+/**
+ * Anisotropic metal (materials/metal.frag), tangents follow the vertical axis
+ */
+vec3 shadeMetal(Material mat, vec3 V, vec3 L, vec3 radiance) {
+    vec3 T = safeNormalize(cross(vec3(0.0, 1.0, 0.0), mat.normal), vec3(1.0, 0.0, 0.0));
+    vec3 B = cross(mat.normal, T);
+
+    return calculateMetalLighting(mat, V, L, radiance, T, B) + mat.emission;
+}
+
+/**
+ * Emissive plasma (materials/fire.frag)
+ */
+vec3 shadeFire(Material mat, vec3 V, vec3 L, vec3 radiance, vec3 p) {
+    vec2 flow = p.xz * 2.0 + vec2(0.0, p.y * 2.0 - u_time * 2.0);
+    float flicker = valueNoise(flow) * 0.6 + valueNoise(flow * 2.7) * 0.4;
+    float density = saturate(0.4 + flicker * 0.6 + u_audioEnergy * 0.5);
+    float temperature = u_temperature + u_audioEnergy * 1500.0 + u_bassLevel * 500.0;
+
+    mat.emission = vec3(1.0 + u_emission);
+
+    return calculateFireLighting(mat, V, L, radiance, temperature, density);
+}
+
+/**
+ * Cooling crust over glowing cracks (materials/magma.frag)
+ */
+vec3 shadeMagma(Material mat, vec3 V, vec3 L, vec3 radiance, vec3 p) {
+    vec2 flow = p.xz * 3.0 + p.y + u_time * 0.1;
+    float n = valueNoise(flow) * 0.65 + valueNoise(flow * 2.3 + 7.0) * 0.35;
+
+    // Cracks open along the noise mid-line and widen with the bass
+    float crackWidth = 0.04 + u_bassLevel * 0.06;
+    float crack = 1.0 - smoothstep(0.0, crackWidth, abs(n - 0.5));
+
+    Material crust = mat;
+    crust.albedo = mat.albedo * 0.25;
+    crust.roughness = max(mat.roughness, 0.8);
+    crust.emission = vec3(0.0);
+    vec3 crustColor = shadeBase(crust, V, L, radiance);
+
+    float temperature = u_temperature + u_audioEnergy * 800.0;
+    vec3 glow = temperatureToRGB(temperature) * (2.0 + u_audioEnergy * 2.0) + mat.emission;
+
+    return mix(crustColor, glow, crack);
+}
+
+// ===== MAIN =====
+
+void main() {
+    if (u_metaballCount < 0.5) {
+        discard;
+    }
+
+    // Camera ray through this pixel
+    vec2 ndc = v_uv * 2.0 - 1.0;
+    vec4 nearPoint = u_inverseViewProjection * vec4(ndc, -1.0, 1.0);
+    vec4 farPoint = u_inverseViewProjection * vec4(ndc, 1.0, 1.0);
+    vec3 ro = nearPoint.xyz / nearPoint.w;
+    vec3 rd = normalize(farPoint.xyz / farPoint.w - ro);
+
+    vec2 range = intersectBounds(ro, rd);
+    if (range.y < range.x) {
+        discard;
+    }
+
+    loadMetaballs();
+
+    float t = march(ro, rd, range);
+    if (t < 0.0) {
+        discard;
+    }
+
+    vec3 p = ro + rd * t;
+    vec3 N = calcNormal(p);
+    vec3 V = -rd;
+    vec4 ballColor = metaballColor(p);
+
+    Material mat;
+    mat.albedo = mix(u_materialColor, ballColor.rgb, u_metaballColorMix);
+    mat.metallic = saturate(u_metallic);
+    mat.roughness = clamp(u_roughness, 0.04, 1.0);
+    mat.ao = u_qualityLevel > 0.75 ? ambientOcclusion(p, N) : 1.0;
+    mat.emission = u_emissionColor * (1.0 + u_audioEnergy);
+    mat.normal = N;
+    mat.subsurface = u_transparency * 0.5;
+    mat.transmission = u_transparency;
+    mat.ior = max(u_refractiveIndex, 1.0);
+
+    vec3 L = safeNormalize(u_lightPosition - p);
+    vec3 radiance = u_lightColor * u_lightIntensity * (1.0 + u_beatDetected * u_beatStrength * 0.5);
+
+    // Metaballs shadow each other at higher quality levels
+    if (u_qualityLevel > 0.5) {
+        radiance *= mix(0.3, 1.0, softShadow(p + N * 0.01, L, 0.02, length(u_lightPosition - p), 8.0));
+    }
+
+    // Distance to the far side of the bounds stands in for the water depth
+    float thickness = (range.y - t) * 2.0;
+
+    vec3 color;
+    if (u_shadingModel < SHADING_WATER - 0.5) {
+        color = shadeBase(mat, V, L, radiance);
+    } else if (u_shadingModel < SHADING_METAL - 0.5) {
+        color = shadeWater(mat, V, L, radiance, thickness);
+    } else if (u_shadingModel < SHADING_FIRE - 0.5) {
+        color = shadeMetal(mat, V, L, radiance);
+    } else if (u_shadingModel < SHADING_MAGMA - 0.5) {
+        color = shadeFire(mat, V, L, radiance, p);
+    } else {
+        color = shadeMagma(mat, V, L, radiance, p);
+    }
+
+    // Ambient environment tinted by the spectrum
+    vec3 ambientColor = audioReactiveLighting(vec3(0.03), u_bassLevel, u_midLevel, u_trebleLevel, u_audioEnergy);
+    color += calculateIBL(mat, V, ambientColor, 1.0);
+
+    // Audio-reactive rim light
+    float NdotV = max(dot(N, V), 0.0);
+    float rim = pow(1.0 - NdotV, 3.0);
+    color += radiance * rim * u_audioEnergy * 0.25;
+
+    // Translucent materials fade towards the back, Fresnel keeps edges opaque
+    float fresnel = pow(1.0 - NdotV, 5.0);
+    float alpha = saturate(1.0 - u_transparency * (1.0 - fresnel)) * ballColor.a;
+
+    gl_FragColor = vec4(max(color, vec3(0.0)), alpha);
+}
@@ -0,0 +1,293 @@
+/**
+ * Blob Fragment Shader
+ * Unified surface shader for the amorphous blob mesh
+ * Location: src/shaders/blob.frag
+ *
+ * Shades the deformed surface produced by blob.vert with the shared PBR library,
+ * refines normals and occlusion against the metaball distance field, and selects
+ * the same shading models as the material shaders in materials/ (base, water,
+ * metal, fire, magma) through u_shadingModel. Writes linear HDR color so the
+ * post-processing chain can extract bloom and tone map.
+ */
+
+// Automatic version handling by ShaderManager
+// Note: Includes will be processed by ShaderManager preprocessor
+
+precision highp float;
+precision highp int;
+
+// ===== SCENE DISTANCE FUNCTION =====
+// sdf.glsl helpers (calcNormal, ambientOcclusion) evaluate SDF_SCENE
+#define SDF_SCENE blobField
+float blobField(vec3 p);
+
+#include "lighting.glsl"
+#include "sdf.glsl"
+
+// ===== CONSTANTS =====
+#define MAX_METABALLS 32
+
+// Shading models (index into the material shader list)
+#define SHADING_BASE 0.0
+#define SHADING_WATER 1.0
+#define SHADING_METAL 2.0
+#define SHADING_FIRE 3.0
+#define SHADING_MAGMA 4.0
+
+// ===== UNIFORMS =====
+
+// Camera and lighting
+uniform vec3 u_cameraPosition;   // World space camera position
+uniform vec3 u_lightPosition;    // Key light position
+uniform vec3 u_lightColor;       // Key light color
+uniform float u_lightIntensity;  // Key light intensity
+
+// Time
+uniform float u_time;            // Global time in seconds
+
+// Audio analysis
+uniform float u_audioEnergy;     // Overall audio energy [0-1]
+uniform float u_bassLevel;       // Bass frequency level [0-1]
+uniform float u_midLevel;        // Mid frequency level [0-1]
+uniform float u_trebleLevel;     // Treble frequency level [0-1]
+uniform float u_beatDetected;    // Beat detection flag [0-1]
+uniform float u_beatStrength;    // Beat strength [0-1]
+
+// Metaball system
+uniform int u_metaballCount;     // Number of active metaballs
+uniform vec3 u_metaballPositions[32]; // Metaball positions
+uniform float u_metaballRadii[32];    // Metaball radii
+uniform float u_metaballBlending;     // Blending smoothness
+
+// Material properties
+uniform float u_shadingModel;    // Shading model (see SHADING_*)
+uniform vec3 u_materialColor;    // Base material color
+uniform vec3 u_emissionColor;    // Emissive color
+uniform float u_metallic;        // Metallic property [0-1]
+uniform float u_roughness;       // Surface roughness [0-1]
+uniform float u_emission;        // Emission strength
+uniform float u_transparency;    // Transparency level [0-1]
+uniform float u_refractiveIndex; // Index of refraction
+uniform float u_temperature;     // Material temperature (Kelvin)
+
+// Quality
+uniform float u_qualityLevel;    // Quality scaling [0.1-1.0]
+
+// ===== VARYINGS =====
+
+varying vec3 v_worldPosition;    // World space position
+varying vec3 v_viewPosition;     // View space position
+varying vec3 v_worldNormal;      // World space normal
+varying vec3 v_viewNormal;       // View space normal
+varying vec2 v_uv;               // Texture coordinates
+varying vec3 v_tangent;          // World space tangent
+varying vec3 v_bitangent;        // World space bitangent
+
+varying float v_audioInfluence;  // Local audio influence
+varying float v_energyLevel;     // Localized energy level
+varying float v_beatStrength;    // Beat influence strength
+
+varying float v_displacement;    // Applied displacement amount
+varying float v_metaballInfluence; // Metaball field strength
+varying vec3 v_materialVelocity; // Material flow velocity
+varying float v_surfaceDetail;   // Surface detail factor
+
+varying vec3 v_viewDirection;    // View direction
+varying float v_fresnel;         // Fresnel factor
+varying float v_depth;           // Normalized depth
+
+varying float v_emission;        // Local emission strength
+varying vec3 v_flowDirection;    // Flow direction
+varying float v_turbulence;      // Turbulence factor
+
+// ===== METABALL FIELD =====
+
+/**
+ * Signed distance to the smooth union of all active metaballs
+ */
+float blobField(vec3 p) {
+    if (u_metaballCount <= 0) {
+        return sdSphere(p, 1.0);
+    }
+
+    float k = max(u_metaballBlending, 0.05);
+    float d = 1e5;
+
+    for (int i = 0; i < MAX_METABALLS; i++) {
+        if (i >= u_metaballCount) break;
+        d = opSmoothUnion(d, sdSphere(p - u_metaballPositions[i], u_metaballRadii[i]), k);
+    }
+
+    return d;
+}
+
+// ===== SURFACE =====
+
+/**
+ * Surface normal, blended towards the field gradient where metaballs dominate
+ */
+vec3 getSurfaceNormal() {
+    vec3 N = normalize(v_worldNormal);
+
+    if (u_qualityLevel > 0.5 && u_metaballCount > 0) {
+        vec3 fieldNormal = calcNormal(v_worldPosition);
+        N = normalize(mix(N, fieldNormal, saturate(v_metaballInfluence) * 0.5));
+    }
+
+    return N;
+}
+
+/**
+ * Fill the lighting material from uniforms
+ */
+Material buildMaterial(vec3 N) {
+    Material mat;
+    mat.albedo = u_materialColor;
+    mat.metallic = saturate(u_metallic);
+    mat.roughness = clamp(u_roughness, 0.04, 1.0);
+    mat.ao = 1.0;
+    mat.emission = u_emissionColor * (1.0 + v_energyLevel);
+    mat.normal = N;
+    mat.subsurface = u_transparency * 0.5;
+    mat.transmission = u_transparency;
+    mat.ior = max(u_refractiveIndex, 1.0);
+
+    // Cavity occlusion from the distance field
+    if (u_qualityLevel > 0.75 && u_metaballCount > 0) {
+        mat.ao = ambientOcclusion(v_worldPosition, N);
+    }
+
+    return mat;
+}
+
+// ===== SHADING MODELS =====
+
+/**
+ * Standard PBR (materials/base.frag)
+ */
+vec3 shadeBase(Material mat, vec3 V, vec3 L, vec3 radiance) {
+    vec3 N = mat.normal;
+    vec3 H = normalize(V + L);
+
+    float NdotL = max(dot(N, L), 0.0);
+    float NdotV = max(dot(N, V), 0.0);
+    float VdotH = max(dot(V, H), 0.0);
+
+    vec3 F0 = mix(vec3(0.04), mat.albedo, mat.metallic);
+    vec3 F = fresnelSchlick(VdotH, F0);
+    vec3 kD = (vec3(1.0) - F) * (1.0 - mat.metallic);
+
+    vec3 diffuse = kD * burleyDiffuse(mat.albedo, mat.roughness, NdotV, NdotL, VdotH);
+    vec3 specular = cookTorranceSpecular(N, V, L, H, F0, mat.roughness);
+
+    return (diffuse + specular) * radiance * NdotL + mat.emission;
+}
+
+/**
+ * Water with subsurface scattering (materials/water.frag)
+ */
+vec3 shadeWater(Material mat, vec3 V, vec3 L, vec3 radiance) {
+    vec3 color = calculateWaterLighting(mat, V, L, radiance, v_depth * 10.0);
+
+    // Diffuse body color seen through the surface
+    float NdotL = max(dot(mat.normal, L), 0.0);
+    color += mat.albedo * radiance * NdotL * (1.0 - mat.transmission) / PI;
+
+    return color + mat.emission;
+}
+
+/**
+ * Anisotropic metal (materials/metal.frag)
+ */
+vec3 shadeMetal(Material mat, vec3 V, vec3 L, vec3 radiance) {
+    vec3 T = safeNormalize(v_tangent);
+    vec3 B = safeNormalize(v_bitangent);
+
+    // Flow stretches the highlight along the material motion
+    mat.roughness = clamp(mat.roughness + length(v_materialVelocity) * 0.05, 0.04, 1.0);
+
+    return calculateMetalLighting(mat, V, L, radiance, T, B) + mat.emission;
+}
+
+/**
+ * Emissive plasma (materials/fire.frag)
+ */
+vec3 shadeFire(Material mat, vec3 V, vec3 L, vec3 radiance) {
+    vec2 flow = v_uv * 6.0 + vec2(0.0, -u_time * 2.0) + v_flowDirection.xy * v_turbulence;
+    float flicker = valueNoise(flow) * 0.6 + valueNoise(flow * 2.7) * 0.4;
+    float density = saturate(0.4 + flicker * 0.6 + v_energyLevel * 0.5);
+    float temperature = u_temperature + v_energyLevel * 1500.0 + u_bassLevel * 500.0;
+
+    mat.emission = vec3(1.0 + u_emission + v_emission);
+
+    return calculateFireLighting(mat, V, L, radiance, temperature, density);
+}
+
+/**
+ * Cooling crust over glowing cracks (materials/magma.frag)
+ */
+vec3 shadeMagma(Material mat, vec3 V, vec3 L, vec3 radiance) {
+    vec2 flow = v_uv * 8.0 + v_flowDirection.xy * u_time * 0.1;
+    float n = valueNoise(flow) * 0.65 + valueNoise(flow * 2.3 + 7.0) * 0.35;
+
+    // Cracks open along the noise mid-line and widen with the bass
+    float crackWidth = 0.04 + u_bassLevel * 0.06;
+    float crack = 1.0 - smoothstep(0.0, crackWidth, abs(n - 0.5));
+
+    Material crust = mat;
+    crust.albedo = mat.albedo * 0.25;
+    crust.roughness = max(mat.roughness, 0.8);
+    crust.emission = vec3(0.0);
+    vec3 crustColor = shadeBase(crust, V, L, radiance);
+
+    float temperature = u_temperature + u_audioEnergy * 800.0;
+    vec3 glow = temperatureToRGB(temperature) * (2.0 + v_energyLevel * 2.0) + mat.emission;
+
+    return mix(crustColor, glow, crack);
+}
+
+// ===== MAIN =====
+
+void main() {
+    vec3 V = safeNormalize(u_cameraPosition - v_worldPosition);
+    vec3 N = getSurfaceNormal();
+
+    // Two-sided shading for back faces of thin folds
+    if (dot(N, V) < 0.0) {
+        N = -N;
+    }
+
+    Material mat = buildMaterial(N);
+
+    vec3 L = safeNormalize(u_lightPosition - v_worldPosition);
+    vec3 radiance = u_lightColor * u_lightIntensity * (1.0 + u_beatDetected * u_beatStrength * 0.5);
+
+    vec3 color;
+    if (u_shadingModel < SHADING_WATER - 0.5) {
+        color = shadeBase(mat, V, L, radiance);
+    } else if (u_shadingModel < SHADING_METAL - 0.5) {
+        color = shadeWater(mat, V, L, radiance);
+    } else if (u_shadingModel < SHADING_FIRE - 0.5) {
+        color = shadeMetal(mat, V, L, radiance);
+    } else if (u_shadingModel < SHADING_MAGMA - 0.5) {
+        color = shadeFire(mat, V, L, radiance);
+    } else {
+        color = shadeMagma(mat, V, L, radiance);
+    }
+
+    // Ambient environment tinted by the spectrum
+    vec3 ambientColor = audioReactiveLighting(vec3(0.03), u_bassLevel, u_midLevel, u_trebleLevel, u_audioEnergy);
+    color += calculateIBL(mat, V, ambientColor, 1.0);
+
+    // Audio-reactive rim light
+    float rim = pow(1.0 - max(dot(N, V), 0.0), 3.0);
+    color += radiance * rim * v_audioInfluence * 0.25;
+
+    // Beat flash on strongly driven regions
+    color *= 1.0 + v_beatStrength * 0.3;
+
+    // Translucent materials fade towards the back, Fresnel keeps edges opaque
+    float alpha = saturate(1.0 - u_transparency * (1.0 - v_fresnel));
+
+    gl_FragColor = vec4(max(color, vec3(0.0)), alpha);
+}
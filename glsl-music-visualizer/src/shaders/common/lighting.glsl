@@ -42,12 +42,7 @@ vec3 linearTosRGB(vec3 color) {
     return pow(color, vec3(1.0 / 2.2));
 }
 
-/**
- * Convert sRGB color to linear
- */
-vec3 sRGBToLinear(vec3 color) {
-    return pow(color, vec3(2.2));
-}
+// sRGBToLinear() is provided by utils.glsl
 
 /**
  * Luminance calculation for HDR tone mapping
@@ -302,7 +297,7 @@ vec3 calculateGlassLighting(Material mat, vec3 viewDir, vec3 lightDir, vec3 ligh
     
     // Glass F0 (around 0.04 for common glass)
     vec3 F0 = vec3(0.04);
-    vec3 F = fresnelExact(NdotV, mat.ior);
+    vec3 F = vec3(fresnelExact(NdotV, mat.ior));
     
     // Specular reflection
     vec3 specular = cookTorranceSpecular(N, V, L, H, F0, mat.roughness);
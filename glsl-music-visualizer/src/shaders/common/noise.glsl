@@ -87,9 +87,9 @@ float simplexNoise2D(vec2 p) {
     const float G2 = 0.21132486540518713; // (3 - sqrt(3)) / 6
     
     // Skew input space to determine simplex cell
-    vec2 s = (p.x + p.y) * F2;
+    float s = (p.x + p.y) * F2;
     vec2 i = floor(p + s);
-    vec2 t = (i.x + i.y) * G2;
+    float t = (i.x + i.y) * G2;
     vec2 P0 = i - t; // Unskew back to (x,y) space
     vec2 p0 = p - P0; // The x,y distances from the cell origin
     
@@ -123,9 +123,9 @@ float simplexNoise3D(vec3 p) {
     const float G3 = 1.0 / 6.0;
     
     // Skew input space
-    vec3 s = (p.x + p.y + p.z) * F3;
+    float s = (p.x + p.y + p.z) * F3;
     vec3 i = floor(p + s);
-    vec3 t = (i.x + i.y + i.z) * G3;
+    float t = (i.x + i.y + i.z) * G3;
     vec3 P0 = i - t;
     vec3 p0 = p - P0;
     
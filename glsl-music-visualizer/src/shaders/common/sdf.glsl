@@ -256,7 +256,7 @@ vec3 opRepeat(vec3 p, vec3 c) {
  * Limited Repetition - Finite number of copies
  */
 vec3 opLimitedRepeat(vec3 p, float c, vec3 l) {
-    vec3 q = p - c * clamp(round(p / c), -l, l);
+    vec3 q = p - c * clamp(floor(p / c + 0.5), -l, l);
     return q;
 }
 
@@ -311,10 +311,12 @@ float opOnion(float sdf, float thickness) {
 
 /**
  * Elongation - Stretch shape along axis
+ * Returns the point to evaluate the primitive at (xyz) and the distance correction (w):
+ * d = primitive(e.xyz) + e.w
  */
-float opElongate(vec3 p, vec3 h, float(*primitive)(vec3)) {
+vec4 opElongate(vec3 p, vec3 h) {
     vec3 q = abs(p) - h;
-    return primitive(max(q, 0.0)) + min(max(q.x, max(q.y, q.z)), 0.0);
+    return vec4(max(q, 0.0), min(max(q.x, max(q.y, q.z)), 0.0));
 }
 
 /**
@@ -392,27 +394,31 @@ float sdAudioBlob(vec3 p, float bassLevel, float midLevel, float trebleLevel, fl
 }
 
 // ===== UTILITY FUNCTIONS =====
+// GLSL has no function pointers: define SDF_SCENE as the name of the scene distance
+// function (and declare its prototype) before including this file to enable these.
+
+#ifdef SDF_SCENE
 
 /**
  * Calculate normal vector for SDF (for lighting)
  */
-vec3 calcNormal(vec3 p, float(*sdf)(vec3)) {
+vec3 calcNormal(vec3 p) {
     const float h = 0.001;
     const vec2 k = vec2(1, -1);
-    return normalize(k.xyy * sdf(p + k.xyy * h) +
-                     k.yyx * sdf(p + k.yyx * h) +
-                     k.yxy * sdf(p + k.yxy * h) +
-                     k.xxx * sdf(p + k.xxx * h));
+    return normalize(k.xyy * SDF_SCENE(p + k.xyy * h) +
+                     k.yyx * SDF_SCENE(p + k.yyx * h) +
+                     k.yxy * SDF_SCENE(p + k.yxy * h) +
+                     k.xxx * SDF_SCENE(p + k.xxx * h));
 }
 
 /**
  * Raymarching step - March along ray to find surface
  */
-float rayMarch(vec3 ro, vec3 rd, float maxDist, int maxSteps, float(*scene)(vec3)) {
+float rayMarch(vec3 ro, vec3 rd, float maxDist, int maxSteps) {
     float t = 0.0;
     for (int i = 0; i < maxSteps; i++) {
         vec3 p = ro + rd * t;
-        float d = scene(p);
+        float d = SDF_SCENE(p);
         if (d < 0.001 || t > maxDist) break;
         t += d;
     }
@@ -422,11 +428,11 @@ float rayMarch(vec3 ro, vec3 rd, float maxDist, int maxSteps, float(*scene)(vec3
 /**
  * Soft Shadow calculation using SDF
  */
-float softShadow(vec3 ro, vec3 rd, float mint, float maxt, float k, float(*scene)(vec3)) {
+float softShadow(vec3 ro, vec3 rd, float mint, float maxt, float k) {
     float res = 1.0;
     float t = mint;
     for (int i = 0; i < 64; i++) {
-        float h = scene(ro + rd * t);
+        float h = SDF_SCENE(ro + rd * t);
         if (h < 0.001) return 0.0;
         res = min(res, k * h / t);
         t += h;
@@ -438,18 +444,20 @@ float softShadow(vec3 ro, vec3 rd, float mint, float maxt, float k, float(*scene
 /**
  * Ambient Occlusion calculation
  */
-float ambientOcclusion(vec3 p, vec3 n, float(*scene)(vec3)) {
+float ambientOcclusion(vec3 p, vec3 n) {
     float occ = 0.0;
     float sca = 1.0;
     for (int i = 0; i < 5; i++) {
         float h = 0.01 + 0.12 * float(i) / 4.0;
-        float d = scene(p + h * n);
+        float d = SDF_SCENE(p + h * n);
         occ += (h - d) * sca;
         sca *= 0.95;
     }
     return clamp(1.0 - 3.0 * occ, 0.0, 1.0);
 }
 
+#endif // SDF_SCENE
+
 // ===== SPECIALIZED SDF COMBINATIONS FOR MATERIALS =====
 
 /**
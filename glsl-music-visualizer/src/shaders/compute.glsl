@@ -0,0 +1,124 @@
+/**
+ * GPGPU Compute Shader
+ * Fragment-shader particle simulation step on floating point state textures
+ * Location: src/shaders/compute.glsl
+ *
+ * Run with fullscreen.vert into a ping-pong render target, one texel per
+ * particle. u_computePass selects the output:
+ *   0 - velocity (xyz) and age (w) from the previous state
+ *   1 - position (xyz) and life (w), integrated with the new velocity
+ * Forces: gravity, drag, attraction to the origin and audio-driven curl noise.
+ */
+
+// Automatic version handling by ShaderManager
+// Note: Includes will be processed by ShaderManager preprocessor
+
+precision highp float;
+
+#include "noise.glsl"
+
+// ===== UNIFORMS =====
+
+// State
+uniform sampler2D u_positionTexture; // xyz position, w remaining life
+uniform sampler2D u_velocityTexture; // xyz velocity, w age
+uniform vec2 u_stateSize;            // State texture size in texels
+uniform float u_computePass;         // 0 = velocity, 1 = position
+
+// Time
+uniform float u_time;            // Global time in seconds
+uniform float u_deltaTime;       // Simulation step in seconds
+
+// Forces
+uniform vec3 u_gravity;          // Gravity acceleration
+uniform float u_drag;            // Linear drag coefficient
+uniform float u_attraction;      // Pull towards the origin
+uniform float u_noiseScale;      // Curl noise frequency
+uniform float u_noiseStrength;   // Curl noise acceleration
+uniform float u_lifetime;        // Particle lifetime in seconds
+
+// Audio analysis
+uniform float u_audioEnergy;     // Overall audio energy [0-1]
+uniform float u_bassLevel;       // Bass frequency level [0-1]
+uniform float u_beatDetected;    // Beat detection flag [0-1]
+
+// ===== VARYINGS =====
+varying vec2 v_uv;
+
+// ===== FORCES =====
+
+/**
+ * Divergence-free flow from the curl of a noise potential
+ */
+vec3 curlNoise(vec3 p) {
+    const float e = 0.1;
+    vec3 dx = vec3(e, 0.0, 0.0);
+    vec3 dy = vec3(0.0, e, 0.0);
+    vec3 dz = vec3(0.0, 0.0, e);
+
+    vec3 pdx0 = vec3(simplexNoise3D(p - dx), simplexNoise3D(p - dx + 31.4), simplexNoise3D(p - dx + 57.2));
+    vec3 pdx1 = vec3(simplexNoise3D(p + dx), simplexNoise3D(p + dx + 31.4), simplexNoise3D(p + dx + 57.2));
+    vec3 pdy0 = vec3(simplexNoise3D(p - dy), simplexNoise3D(p - dy + 31.4), simplexNoise3D(p - dy + 57.2));
+    vec3 pdy1 = vec3(simplexNoise3D(p + dy), simplexNoise3D(p + dy + 31.4), simplexNoise3D(p + dy + 57.2));
+    vec3 pdz0 = vec3(simplexNoise3D(p - dz), simplexNoise3D(p - dz + 31.4), simplexNoise3D(p - dz + 57.2));
+    vec3 pdz1 = vec3(simplexNoise3D(p + dz), simplexNoise3D(p + dz + 31.4), simplexNoise3D(p + dz + 57.2));
+
+    float x = (pdy1.z - pdy0.z) - (pdz1.y - pdz0.y);
+    float y = (pdz1.x - pdz0.x) - (pdx1.z - pdx0.z);
+    float z = (pdx1.y - pdx0.y) - (pdy1.x - pdy0.x);
+
+    return vec3(x, y, z) / (2.0 * e);
+}
+
+/**
+ * Spawn position for a recycled particle
+ */
+vec3 spawnPosition(vec2 uv) {
+    vec3 r = hash3(vec3(uv * u_stateSize, u_time));
+    float theta = r.x * TWO_PI;
+    float phi = acos(r.y * 2.0 - 1.0);
+    return sphericalToCartesian(0.5 + r.z * 0.5, theta, phi);
+}
+
+// ===== MAIN =====
+
+void main() {
+    vec4 position = texture2D(u_positionTexture, v_uv);
+    vec4 velocity = texture2D(u_velocityTexture, v_uv);
+
+    float dt = u_deltaTime;
+    bool expired = position.w <= 0.0;
+
+    if (u_computePass < 0.5) {
+        // ===== VELOCITY PASS =====
+        vec3 v = velocity.xyz;
+
+        if (expired) {
+            // Burst outwards on respawn, harder on beats
+            vec3 outward = safeNormalize(spawnPosition(v_uv), vec3(0.0, 1.0, 0.0));
+            v = outward * (0.5 + u_bassLevel + u_beatDetected);
+            gl_FragColor = vec4(v, 0.0);
+            return;
+        }
+
+        vec3 acceleration = u_gravity;
+        acceleration -= position.xyz * u_attraction;
+        acceleration += curlNoise(position.xyz * u_noiseScale + u_time * 0.1) *
+                        u_noiseStrength * (1.0 + u_audioEnergy * 2.0);
+
+        v += acceleration * dt;
+        v *= 1.0 / (1.0 + u_drag * dt);
+
+        gl_FragColor = vec4(v, velocity.w + dt);
+    } else {
+        // ===== POSITION PASS =====
+        if (expired) {
+            float jitter = hash(v_uv * u_stateSize + u_time);
+            gl_FragColor = vec4(spawnPosition(v_uv), u_lifetime * (0.5 + 0.5 * jitter));
+            return;
+        }
+
+        // Velocity texture already holds this step's velocity
+        gl_FragColor = vec4(position.xyz + velocity.xyz * dt, position.w - dt);
+    }
+}
@@ -0,0 +1,315 @@
+/**
+ * Fluid Simulation Shader
+ * Fragment-shader Navier-Stokes steps for the GPU path of FluidSimulation
+ * Location: src/shaders/fluid.glsl
+ *
+ * The 3D grid is stored as a 2D atlas of z-slices: slice k is the tile at
+ * column mod(k, tilesX), row floor(k / tilesX), one texel per cell. Run with
+ * fullscreen.vert over the whole atlas into a ping-pong render target.
+ * FLUID_PASS selects the step:
+ *   1  - semi-Lagrangian advection of u_source along u_velocity
+ *   2  - Jacobi diffusion iteration of u_field towards u_source
+ *   3  - velocity divergence
+ *   4  - Jacobi pressure iteration
+ *   5  - pressure gradient subtraction
+ *   6  - vorticity (curl of velocity)
+ *   7  - vorticity confinement, buoyancy and no-slip walls
+ *   8  - pressure copy into wall cells
+ *   9  - velocity impulse splat
+ *   10 - density / temperature source splat
+ * Cells outside the interior or marked in u_boundaries mirror the CPU
+ * solver: walls take their wall values, other cells pass through.
+ * FLUID_2D switches to a single-slice grid with a 4-neighbor stencil.
+ */
+
+// Automatic version handling by ShaderManager
+
+precision highp float;
+
+#ifndef FLUID_PASS
+#define FLUID_PASS 1
+#endif
+
+#ifdef FLUID_2D
+#define STENCIL_SIZE 4.0
+#else
+#define STENCIL_SIZE 6.0
+#endif
+
+// ===== UNIFORMS =====
+
+// Grid layout
+uniform vec3 u_gridSize;         // Cells per axis
+uniform vec2 u_tiles;            // Slice tiles per atlas row / column
+uniform vec2 u_atlasSize;        // Atlas size in texels
+uniform sampler2D u_boundaries;  // r > 0.5 marks a solid cell
+
+// Inputs
+uniform sampler2D u_field;       // Field being iterated or copied
+uniform sampler2D u_source;      // Advected field / right-hand side
+uniform sampler2D u_velocity;    // xyz velocity
+uniform sampler2D u_pressure;    // r pressure
+uniform sampler2D u_divergence;  // r divergence
+uniform sampler2D u_vorticity;   // xyz vorticity
+uniform sampler2D u_scalars;     // r density, g temperature
+
+// Step parameters
+uniform float u_timeStep;        // Simulation step in seconds
+uniform float u_cellSize;        // Cell size in world units
+uniform vec4 u_alpha;            // Per-channel diffusion coefficient
+uniform vec4 u_wallValue;        // Value written into wall cells
+
+// Forces
+uniform float u_confinement;           // Vorticity confinement strength
+uniform float u_buoyancy;              // Buoyancy coefficient
+uniform float u_thermalExpansion;      // Thermal expansion coefficient
+uniform float u_referenceTemperature;  // Temperature without buoyancy
+uniform float u_referenceDensity;      // Material density
+
+// Splats
+uniform vec3 u_splatCenter;      // Center in cell coordinates
+uniform float u_splatRadius;     // Radius in cells
+uniform vec3 u_splatValue;       // Impulse, or (amount, temperature, 0)
+uniform vec2 u_splatWeights;     // Density / temperature enable
+
+// ===== GRID ACCESS =====
+
+/**
+ * Cell coordinates of the current fragment, z < 0 for unused atlas tiles
+ */
+vec3 currentCell() {
+    vec2 texel = floor(gl_FragCoord.xy);
+    vec2 tile = floor(texel / u_gridSize.xy);
+    vec3 cell = vec3(texel - tile * u_gridSize.xy, tile.y * u_tiles.x + tile.x);
+    return cell.z < u_gridSize.z ? cell : vec3(-1.0);
+}
+
+/**
+ * Atlas texture coordinates of a cell, clamped to the grid
+ */
+vec2 atlasUV(vec3 cell) {
+    vec3 c = clamp(floor(cell), vec3(0.0), u_gridSize - 1.0);
+    float row = floor((c.z + 0.5) / u_tiles.x);
+    vec2 tile = vec2(c.z - row * u_tiles.x, row);
+    return (tile * u_gridSize.xy + c.xy + 0.5) / u_atlasSize;
+}
+
+vec4 fetchCell(sampler2D field, vec3 cell) {
+    return texture2D(field, atlasUV(cell));
+}
+
+bool isWall(vec3 cell) {
+    return fetchCell(u_boundaries, cell).r > 0.5;
+}
+
+bool isInterior(vec3 cell) {
+#ifdef FLUID_2D
+    return all(greaterThanEqual(cell.xy, vec2(1.0))) && all(lessThanEqual(cell.xy, u_gridSize.xy - 2.0));
+#else
+    return all(greaterThanEqual(cell, vec3(1.0))) && all(lessThanEqual(cell, u_gridSize - 2.0));
+#endif
+}
+
+/**
+ * Trilinear sample between cell centers
+ */
+vec4 sampleTrilinear(sampler2D field, vec3 p) {
+    vec3 c = floor(p);
+    vec3 f = p - c;
+
+    vec4 c00 = mix(fetchCell(field, c), fetchCell(field, c + vec3(1.0, 0.0, 0.0)), f.x);
+    vec4 c10 = mix(fetchCell(field, c + vec3(0.0, 1.0, 0.0)), fetchCell(field, c + vec3(1.0, 1.0, 0.0)), f.x);
+    vec4 c01 = mix(fetchCell(field, c + vec3(0.0, 0.0, 1.0)), fetchCell(field, c + vec3(1.0, 0.0, 1.0)), f.x);
+    vec4 c11 = mix(fetchCell(field, c + vec3(0.0, 1.0, 1.0)), fetchCell(field, c + vec3(1.0, 1.0, 1.0)), f.x);
+
+    return mix(mix(c00, c10, f.y), mix(c01, c11, f.y), f.z);
+}
+
+vec4 neighborSum(sampler2D field, vec3 cell) {
+    vec4 sum = fetchCell(field, cell - vec3(1.0, 0.0, 0.0)) + fetchCell(field, cell + vec3(1.0, 0.0, 0.0)) +
+               fetchCell(field, cell - vec3(0.0, 1.0, 0.0)) + fetchCell(field, cell + vec3(0.0, 1.0, 0.0));
+#ifndef FLUID_2D
+    sum += fetchCell(field, cell - vec3(0.0, 0.0, 1.0)) + fetchCell(field, cell + vec3(0.0, 0.0, 1.0));
+#endif
+    return sum;
+}
+
+float vorticityMagnitude(vec3 cell) {
+    return length(fetchCell(u_vorticity, cell).xyz);
+}
+
+float splatFalloff(vec3 cell) {
+    vec3 d = cell - u_splatCenter;
+#ifdef FLUID_2D
+    d.z = 0.0;
+#endif
+    float r2 = u_splatRadius * u_splatRadius;
+    float d2 = dot(d, d);
+    return d2 < r2 ? exp(-d2 / r2) : 0.0;
+}
+
+// ===== MAIN =====
+
+void main() {
+    vec3 cell = currentCell();
+    if (cell.z < 0.0) {
+        gl_FragColor = vec4(0.0);
+        return;
+    }
+
+    bool wall = isWall(cell);
+    bool solve = !wall && isInterior(cell);
+    vec3 dx = vec3(1.0, 0.0, 0.0);
+    vec3 dy = vec3(0.0, 1.0, 0.0);
+    vec3 dz = vec3(0.0, 0.0, 1.0);
+
+#if FLUID_PASS == 1
+    // ===== ADVECTION =====
+    if (wall) {
+        gl_FragColor = u_wallValue;
+    } else if (!solve) {
+        gl_FragColor = fetchCell(u_source, cell);
+    } else {
+        vec3 p = cell - (u_timeStep / u_cellSize) * fetchCell(u_velocity, cell).xyz;
+#ifdef FLUID_2D
+        p = vec3(clamp(p.xy, vec2(0.5), u_gridSize.xy - 1.5), 0.0);
+#else
+        p = clamp(p, vec3(0.5), u_gridSize - 1.5);
+#endif
+        gl_FragColor = sampleTrilinear(u_source, p);
+    }
+
+#elif FLUID_PASS == 2
+    // ===== DIFFUSION =====
+    vec4 value = fetchCell(u_field, cell);
+    if (solve) {
+        value = (fetchCell(u_source, cell) + u_alpha * neighborSum(u_field, cell)) / (1.0 + STENCIL_SIZE * u_alpha);
+    }
+    gl_FragColor = value;
+
+#elif FLUID_PASS == 3
+    // ===== DIVERGENCE =====
+    float divergence = 0.0;
+    if (solve) {
+        divergence = -0.5 * u_cellSize * (
+            fetchCell(u_velocity, cell + dx).x - fetchCell(u_velocity, cell - dx).x +
+            fetchCell(u_velocity, cell + dy).y - fetchCell(u_velocity, cell - dy).y +
+            fetchCell(u_velocity, cell + dz).z - fetchCell(u_velocity, cell - dz).z
+        );
+    }
+    gl_FragColor = vec4(divergence, 0.0, 0.0, 0.0);
+
+#elif FLUID_PASS == 4
+    // ===== PRESSURE =====
+    float pressure = fetchCell(u_field, cell).r;
+    if (solve) {
+        pressure = (fetchCell(u_divergence, cell).r + neighborSum(u_field, cell).r) / STENCIL_SIZE;
+    }
+    gl_FragColor = vec4(pressure, 0.0, 0.0, 0.0);
+
+#elif FLUID_PASS == 5
+    // ===== GRADIENT SUBTRACTION =====
+    vec4 velocity = fetchCell(u_velocity, cell);
+    if (solve) {
+        vec3 gradient = vec3(
+            fetchCell(u_pressure, cell + dx).r - fetchCell(u_pressure, cell - dx).r,
+            fetchCell(u_pressure, cell + dy).r - fetchCell(u_pressure, cell - dy).r,
+            fetchCell(u_pressure, cell + dz).r - fetchCell(u_pressure, cell - dz).r
+        );
+        velocity.xyz -= 0.5 * gradient / u_cellSize;
+    }
+    gl_FragColor = velocity;
+
+#elif FLUID_PASS == 6
+    // ===== VORTICITY =====
+    vec3 vorticity = vec3(0.0);
+    if (solve) {
+        vec3 vx0 = fetchCell(u_velocity, cell - dx).xyz;
+        vec3 vx1 = fetchCell(u_velocity, cell + dx).xyz;
+        vec3 vy0 = fetchCell(u_velocity, cell - dy).xyz;
+        vec3 vy1 = fetchCell(u_velocity, cell + dy).xyz;
+        vec3 vz0 = fetchCell(u_velocity, cell - dz).xyz;
+        vec3 vz1 = fetchCell(u_velocity, cell + dz).xyz;
+
+        vorticity = 0.5 * vec3(
+            vy1.z - vy0.z - vz1.y + vz0.y,
+            vz1.x - vz0.x - vx1.z + vx0.z,
+            vx1.y - vx0.y - vy1.x + vy0.x
+        ) / u_cellSize;
+    }
+    gl_FragColor = vec4(vorticity, 0.0);
+
+#elif FLUID_PASS == 7
+    // ===== FORCES =====
+    if (wall) {
+        gl_FragColor = vec4(0.0);
+        return;
+    }
+
+    vec4 velocity = fetchCell(u_velocity, cell);
+
+    if (solve) {
+        // Vorticity confinement: f = epsilon * (N x omega)
+        vec3 omega = fetchCell(u_vorticity, cell).xyz;
+        if (length(omega) > 0.001) {
+            vec3 gradient = 0.5 * vec3(
+                vorticityMagnitude(cell + dx) - vorticityMagnitude(cell - dx),
+                vorticityMagnitude(cell + dy) - vorticityMagnitude(cell - dy),
+                vorticityMagnitude(cell + dz) - vorticityMagnitude(cell - dz)
+            ) / u_cellSize;
+
+            float gradientLength = length(gradient);
+            if (gradientLength > 0.001) {
+                velocity.xyz += u_confinement * u_timeStep * cross(gradient / gradientLength, omega);
+            }
+        }
+    }
+
+    // Buoyancy from temperature and density differences
+    vec4 scalars = fetchCell(u_scalars, cell);
+    float buoyancyForce = u_buoyancy * u_thermalExpansion * (scalars.g - u_referenceTemperature) -
+                          u_buoyancy * (scalars.r - u_referenceDensity) / u_referenceDensity;
+    velocity.y += buoyancyForce * u_timeStep;
+
+    gl_FragColor = velocity;
+
+#elif FLUID_PASS == 8
+    // ===== PRESSURE WALLS =====
+    // Zero normal gradient: copy the first fluid neighbor (-x, +x, -y, +y, -z, +z)
+    vec4 pressure = fetchCell(u_field, cell);
+    if (wall) {
+        if (!isWall(cell - dx)) {
+            pressure = fetchCell(u_field, cell - dx);
+        } else if (!isWall(cell + dx)) {
+            pressure = fetchCell(u_field, cell + dx);
+        } else if (!isWall(cell - dy)) {
+            pressure = fetchCell(u_field, cell - dy);
+        } else if (!isWall(cell + dy)) {
+            pressure = fetchCell(u_field, cell + dy);
+        } else if (!isWall(cell - dz)) {
+            pressure = fetchCell(u_field, cell - dz);
+        } else if (!isWall(cell + dz)) {
+            pressure = fetchCell(u_field, cell + dz);
+        }
+    }
+    gl_FragColor = pressure;
+
+#elif FLUID_PASS == 9
+    // ===== IMPULSE SPLAT =====
+    vec4 velocity = fetchCell(u_field, cell);
+    if (!wall) {
+        velocity.xyz += u_splatValue * splatFalloff(cell);
+    }
+    gl_FragColor = velocity;
+
+#elif FLUID_PASS == 10
+    // ===== SOURCE SPLAT =====
+    vec4 scalars = fetchCell(u_field, cell);
+    if (!wall) {
+        float falloff = splatFalloff(cell);
+        scalars.r += u_splatWeights.x * u_splatValue.x * falloff;
+        scalars.g = mix(scalars.g, u_splatValue.y, u_splatWeights.y * falloff * 0.1);
+    }
+    gl_FragColor = scalars;
+#endif
+}
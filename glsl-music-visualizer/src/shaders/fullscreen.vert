@@ -0,0 +1,22 @@
+/**
+ * Fullscreen Quad Vertex Shader
+ * Pass-through vertex shader for screen-space passes
+ * Location: src/shaders/fullscreen.vert
+ *
+ * Draws the RenderEngine fullscreen quad (clip-space positions with UVs)
+ * for post-processing, compute and UI overlay passes.
+ */
+
+// Automatic version handling by ShaderManager
+
+// ===== ATTRIBUTES =====
+attribute vec2 a_position;       // Clip-space position [-1, 1]
+attribute vec2 a_uv;             // Texture coordinates [0, 1]
+
+// ===== VARYINGS =====
+varying vec2 v_uv;               // Screen-space texture coordinates
+
+void main() {
+    v_uv = a_uv;
+    gl_Position = vec4(a_position, 0.0, 1.0);
+}
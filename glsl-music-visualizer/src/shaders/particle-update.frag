@@ -0,0 +1,16 @@
+/**
+ * Particle Update Fragment Shader
+ * Placeholder stage for the transform feedback program
+ * Location: src/shaders/particle-update.frag
+ *
+ * Paired with particle-update.vert; ParticleSystem runs that program with
+ * RASTERIZER_DISCARD enabled, so this stage never executes.
+ */
+
+// Automatic version handling by ShaderManager
+
+precision mediump float;
+
+void main() {
+    gl_FragColor = vec4(0.0);
+}
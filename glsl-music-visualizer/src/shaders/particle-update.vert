@@ -0,0 +1,285 @@
+/**
+ * Particle Update Shader
+ * Transform feedback step for ParticleSystem particles on the GPU
+ * Location: src/shaders/particle-update.vert
+ *
+ * Drawn as one point per particle slot with rasterization disabled; the v_*
+ * outputs are captured into the other buffer of a ping-pong pair. Slots inside
+ * an emitter window are respawned first (ring buffer emission), then every live
+ * particle takes one step mirroring updateParticlesCPU: band-driven audio
+ * weight, forces, air resistance, integration and the lifecycle fade.
+ * WebGL2 only (gl_VertexID, integer hashing). MAX_EMITTERS is set by
+ * ParticleSystem.
+ */
+
+// Automatic version handling by ShaderManager
+
+precision highp float;
+precision highp int;
+
+#include "utils.glsl"
+
+// ===== ATTRIBUTES =====
+attribute vec4 a_position;       // xyz position, w age
+attribute vec4 a_velocity;       // xyz velocity, w lifetime (age >= lifetime marks a free slot)
+attribute vec4 a_color;          // rgb color, a lifecycle opacity
+attribute vec4 a_params;         // size, rotation, angular velocity, mass
+attribute vec4 a_audio;          // audio weight, frequency band, beat sensitivity, unused
+
+// ===== UNIFORMS =====
+
+// Time
+uniform float u_deltaTime;       // Simulation step in seconds
+uniform float u_time;            // Elapsed simulation time
+uniform float u_seed;            // Random seed for this step [0-1)
+uniform float u_maxParticles;    // Slot count
+
+// Emission, one ring window per emitter
+uniform vec4 u_emitterWindow[MAX_EMITTERS];   // first slot, count, shape, radius
+uniform vec4 u_emitterOrigin[MAX_EMITTERS];   // xyz position, w spread
+uniform vec4 u_emitterVelocity[MAX_EMITTERS]; // xyz velocity, w audio velocity factor
+uniform vec4 u_emitterLifetime[MAX_EMITTERS]; // lifetime, variation
+uniform float u_colorMode;       // 0 solid, 1 gradient, 2 rainbow, 3 audio
+uniform vec3 u_audioColor;       // Spawn color in audio mode
+uniform float u_particleSize;    // Base particle size
+
+// Forces (zero strength when disabled)
+uniform vec3 u_gravity;          // Gravity acceleration
+uniform vec3 u_wind;             // Direction scaled by strength
+uniform vec4 u_vortex;           // xyz axis, w strength
+uniform vec3 u_vortexCenter;
+uniform vec4 u_attractor;        // xyz position, w strength
+uniform vec4 u_repeller;         // xyz position, w strength
+uniform vec2 u_falloff;          // Attractor and repeller falloff exponents
+uniform vec2 u_turbulence;       // Strength, frequency
+uniform vec4 u_magnetic;         // xyz field, w strength
+uniform float u_airResistance;   // Velocity kept per second (1 = none)
+
+// Audio analysis
+uniform vec4 u_bandsLow;         // Band energies 0-3
+uniform vec4 u_bandsHigh;        // Band energies 4-7
+uniform float u_bandBlend;       // Audio weight blend, 0 without frequency data
+uniform float u_audioForces;     // Force influence factor
+uniform float u_audioSize;       // Size influence factor
+
+// ===== OUTPUTS (captured) =====
+varying vec4 v_position;
+varying vec4 v_velocity;
+varying vec4 v_color;
+varying vec4 v_params;
+varying vec4 v_audio;
+
+// ===== RANDOM =====
+
+uint rngState;
+
+/**
+ * PCG hash step, uniform in [0, 1)
+ */
+float random() {
+    rngState = rngState * 747796405u + 2891336453u;
+    uint word = ((rngState >> ((rngState >> 28u) + 4u)) ^ rngState) * 277803737u;
+    word = (word >> 22u) ^ word;
+    return float(word >> 8u) / 16777216.0;
+}
+
+float randomRange(float low, float high) {
+    return mix(low, high, random());
+}
+
+// ===== EMISSION =====
+
+/**
+ * HSL to RGB, hue in degrees (matches ColorUtils.hslToRgb)
+ */
+vec3 hslToRgb(float hue, float saturation, float lightness) {
+    vec3 rgb = clamp(abs(mod(hue / 60.0 + vec3(0.0, 4.0, 2.0), 6.0) - 3.0) - 1.0, 0.0, 1.0);
+    return lightness + saturation * (rgb - 0.5) * (1.0 - abs(2.0 * lightness - 1.0));
+}
+
+/**
+ * Spawn color for a slot (generateParticleColor)
+ */
+vec3 spawnColor(float index) {
+    if (u_colorMode > 2.5) {
+        return u_audioColor;
+    }
+    if (u_colorMode > 1.5) {
+        return hslToRgb(mod(index * 137.508, 360.0), 1.0, 0.6);
+    }
+    if (u_colorMode > 0.5) {
+        float t = index / u_maxParticles;
+        return vec3(mix(0.2, 1.0, t), mix(0.8, 0.2, t), mix(1.0, 0.3, t));
+    }
+    return vec3(1.0);
+}
+
+/**
+ * Spawn position inside the emitter shape (generateEmissionPosition)
+ */
+vec3 spawnPosition(vec4 window, vec3 origin) {
+    float radius = window.w;
+
+    if (window.z > 2.5) {
+        // Cone
+        float coneRadius = radius * sqrt(random());
+        float coneAngle = randomRange(0.0, TWO_PI);
+        float coneHeight = randomRange(0.0, radius);
+        return origin + vec3(coneRadius * cos(coneAngle), coneHeight, coneRadius * sin(coneAngle));
+    }
+    if (window.z > 1.5) {
+        // Box
+        return origin + vec3(randomRange(-radius, radius), randomRange(-radius, radius), randomRange(-radius, radius));
+    }
+    if (window.z > 0.5) {
+        // Sphere, uniform in volume
+        float sphereRadius = radius * pow(random(), 1.0 / 3.0);
+        float theta = randomRange(0.0, TWO_PI);
+        float phi = acos(randomRange(-1.0, 1.0));
+        return origin + sphereRadius * vec3(sin(phi) * cos(theta), sin(phi) * sin(theta), cos(phi));
+    }
+    return origin;
+}
+
+// ===== FORCES =====
+
+/**
+ * Band energy for a particle's frequency band
+ */
+float bandEnergy(float band) {
+    vec4 bands = band < 3.5 ? u_bandsLow : u_bandsHigh;
+    int lane = int(mod(band, 4.0));
+    if (lane == 0) return bands.x;
+    if (lane == 1) return bands.y;
+    if (lane == 2) return bands.z;
+    return bands.w;
+}
+
+/**
+ * Sum of gravity, wind and the field forces (applyForces)
+ */
+vec3 accumulateForces(vec3 p, vec3 v, float mass, float audioScale) {
+    vec3 force = u_gravity * mass + u_wind * audioScale;
+
+    // Vortex: tangential, fading with distance to the center
+    vec3 toCenter = u_vortexCenter - p;
+    float centerDistance = length(toCenter);
+    vec3 tangent = cross(u_vortex.xyz, toCenter);
+    if (centerDistance >= 0.001 && length(tangent) > 0.0) {
+        force += normalize(tangent) * u_vortex.w / (centerDistance * centerDistance + 1.0) * audioScale;
+    }
+
+    // Attractor and repeller
+    vec3 toAttractor = u_attractor.xyz - p;
+    float attractorDistance = length(toAttractor);
+    if (attractorDistance >= 0.001) {
+        force += toAttractor / attractorDistance *
+                 u_attractor.w / pow(attractorDistance, u_falloff.x) * mass * audioScale;
+    }
+
+    vec3 fromRepeller = p - u_repeller.xyz;
+    float repellerDistance = length(fromRepeller);
+    if (repellerDistance >= 0.001) {
+        force += fromRepeller / repellerDistance *
+                 u_repeller.w / pow(repellerDistance, u_falloff.y) * mass * audioScale;
+    }
+
+    // Turbulence
+    force += sin(p * u_turbulence.y + u_time * 0.1) * 0.5 * u_turbulence.x * audioScale;
+
+    // Magnetic
+    force += cross(v, u_magnetic.xyz) * u_magnetic.w * audioScale;
+
+    return force;
+}
+
+// ===== MAIN =====
+
+void main() {
+    vec4 position = a_position;
+    vec4 velocity = a_velocity;
+    vec4 color = a_color;
+    vec4 params = a_params;
+    vec4 audio = a_audio;
+
+    int slot = gl_VertexID;
+    float index = float(slot);
+    int slotCount = int(u_maxParticles);
+    rngState = uint(slot) * 1664525u + uint(u_seed * 16777216.0) * 1013904223u;
+
+    // ===== EMISSION =====
+    for (int e = 0; e < MAX_EMITTERS; e++) {
+        vec4 window = u_emitterWindow[e];
+        int offset = slot - int(window.x);
+        if (offset < 0) offset += slotCount;
+        if (float(offset) >= window.y) continue;
+
+        vec4 velocitySettings = u_emitterVelocity[e];
+        vec4 lifetimeSettings = u_emitterLifetime[e];
+        float spread = u_emitterOrigin[e].w;
+
+        position = vec4(spawnPosition(window, u_emitterOrigin[e].xyz), 0.0);
+
+        vec3 v = velocitySettings.xyz;
+        if (spread > 0.0) {
+            v += vec3(randomRange(-spread, spread), randomRange(-spread, spread), randomRange(-spread, spread));
+        }
+        float lifetime = lifetimeSettings.x + randomRange(-lifetimeSettings.y, lifetimeSettings.y);
+        velocity = vec4(v * velocitySettings.w, max(0.1, lifetime));
+
+        float mass = randomRange(0.5, 2.0);
+        params = vec4(u_particleSize * randomRange(0.5, 1.5), randomRange(0.0, TWO_PI), randomRange(-2.0, 2.0), mass);
+        color = vec4(spawnColor(index), 1.0);
+        audio = vec4(randomRange(0.5, 1.0), floor(randomRange(0.0, 8.0)), randomRange(0.3, 1.0), 0.0);
+        break;
+    }
+
+    // ===== STEP =====
+    float age = position.w;
+    float lifetime = velocity.w;
+
+    if (age < lifetime) {
+        // Audio weight follows the particle's frequency band
+        audio.x = mix(audio.x, bandEnergy(audio.y) * audio.z, u_bandBlend);
+
+        vec3 p = position.xyz;
+        vec3 v = velocity.xyz;
+        float mass = params.w;
+        vec3 force = accumulateForces(p, v, mass, 1.0 + u_audioForces * audio.x);
+
+        if (u_airResistance < 1.0) {
+            v *= 1.0 - (1.0 - u_airResistance) * u_deltaTime;
+        }
+
+        v += force / mass * u_deltaTime;
+        p += v * u_deltaTime;
+
+        params.x = u_particleSize * (1.0 + u_audioSize * audio.x * 0.3);
+        params.y += params.z * u_deltaTime;
+
+        // Lifecycle fade in over the first and out over the last 10%
+        age += u_deltaTime;
+        float progress = age / lifetime;
+        float opacity = 1.0;
+        if (progress < 0.1) {
+            opacity = progress / 0.1;
+        } else if (progress > 0.9) {
+            opacity = (1.0 - progress) / 0.1;
+        }
+        color.a = age >= lifetime ? 0.0 : opacity;
+
+        position = vec4(p, age);
+        velocity.xyz = v;
+    } else {
+        color.a = 0.0;
+    }
+
+    v_position = position;
+    v_velocity = velocity;
+    v_color = color;
+    v_params = params;
+    v_audio = audio;
+
+    gl_Position = vec4(0.0);
+    gl_PointSize = 1.0;
+}
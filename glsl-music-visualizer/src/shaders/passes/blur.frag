@@ -0,0 +1,34 @@
+/**
+ * Blur Pass
+ * One axis of a separable 9-tap Gaussian blur
+ * Location: src/shaders/passes/blur.frag
+ *
+ * Run twice with u_direction (1, 0) then (0, 1). Uses linear filtering to
+ * fetch two texels per tap.
+ */
+
+// Automatic version handling by ShaderManager
+
+precision highp float;
+
+// ===== UNIFORMS =====
+uniform sampler2D u_texture;     // Input color
+uniform vec2 u_resolution;       // Output size in pixels
+uniform vec2 u_direction;        // Blur axis
+uniform float u_radius;          // Tap spacing multiplier
+
+// ===== VARYINGS =====
+varying vec2 v_uv;
+
+void main() {
+    vec2 stride = u_direction * u_radius / max(u_resolution, vec2(1.0));
+
+    // Linear-sampled weights and offsets of a 9-tap binomial kernel
+    vec3 color = texture2D(u_texture, v_uv).rgb * 0.2270270270;
+    color += texture2D(u_texture, v_uv + stride * 1.3846153846).rgb * 0.3162162162;
+    color += texture2D(u_texture, v_uv - stride * 1.3846153846).rgb * 0.3162162162;
+    color += texture2D(u_texture, v_uv + stride * 3.2307692308).rgb * 0.0702702703;
+    color += texture2D(u_texture, v_uv - stride * 3.2307692308).rgb * 0.0702702703;
+
+    gl_FragColor = vec4(color, 1.0);
+}
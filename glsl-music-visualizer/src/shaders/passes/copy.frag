@@ -0,0 +1,21 @@
+/**
+ * Copy Pass
+ * Samples the input unchanged
+ * Location: src/shaders/passes/copy.frag
+ *
+ * Used by PostProcessGraph to present chains whose last pass keeps history.
+ */
+
+// Automatic version handling by ShaderManager
+
+precision mediump float;
+
+// ===== UNIFORMS =====
+uniform sampler2D u_texture;     // Input color
+
+// ===== VARYINGS =====
+varying vec2 v_uv;
+
+void main() {
+    gl_FragColor = texture2D(u_texture, v_uv);
+}
@@ -0,0 +1,43 @@
+/**
+ * Feedback Pass
+ * Motion trails from the pass's own previous output
+ * Location: src/shaders/passes/feedback.frag
+ *
+ * Blends the input over last frame's result, which is zoomed and rotated
+ * around the center so trails drift outwards. u_feedback is typically bound
+ * to audio energy so louder passages leave longer trails.
+ */
+
+// Automatic version handling by ShaderManager
+
+precision highp float;
+
+// ===== UNIFORMS =====
+uniform sampler2D u_texture;        // Current input color
+uniform sampler2D u_historyTexture; // This pass's output last frame
+uniform vec2 u_resolution;          // Output size in pixels
+uniform float u_feedback;           // History persistence [0-1]
+uniform float u_zoom;               // History zoom per frame (1 = none)
+uniform float u_rotation;           // History rotation per frame in radians
+
+// ===== VARYINGS =====
+varying vec2 v_uv;
+
+void main() {
+    vec3 current = texture2D(u_texture, v_uv).rgb;
+
+    // Transform history around the center, correcting for aspect
+    float aspect = u_resolution.x / max(u_resolution.y, 1.0);
+    vec2 p = (v_uv - 0.5) * vec2(aspect, 1.0);
+    float c = cos(u_rotation);
+    float s = sin(u_rotation);
+    p = mat2(c, s, -s, c) * p / max(u_zoom, 0.01);
+    vec2 historyUV = p / vec2(aspect, 1.0) + 0.5;
+
+    vec3 history = texture2D(u_historyTexture, historyUV).rgb;
+    float inside = step(0.0, historyUV.x) * step(historyUV.x, 1.0) *
+                   step(0.0, historyUV.y) * step(historyUV.y, 1.0);
+
+    vec3 color = max(current, history * clamp(u_feedback, 0.0, 0.99) * inside);
+    gl_FragColor = vec4(color, 1.0);
+}
@@ -0,0 +1,50 @@
+/**
+ * Depth Fog Pass
+ * Exponential fog from the scene depth buffer
+ * Location: src/shaders/passes/fog.frag
+ *
+ * Linearizes the main target's depth with the camera clip planes and fades
+ * towards u_fogColor beyond u_fogStart (normalized view distance).
+ */
+
+// Automatic version handling by ShaderManager
+
+precision highp float;
+
+// ===== UNIFORMS =====
+uniform sampler2D u_texture;      // HDR input color
+uniform sampler2D u_depthTexture; // Scene depth (non-linear)
+uniform float u_depthTextureEnabled; // 1 when depth is available
+uniform float u_near;             // Camera near plane
+uniform float u_far;              // Camera far plane
+uniform vec3 u_fogColor;          // Fog color (linear)
+uniform float u_fogDensity;       // Fog density
+uniform float u_fogStart;         // Fog start distance [0-1] of the view range
+
+// ===== VARYINGS =====
+varying vec2 v_uv;
+
+/**
+ * Convert a depth buffer value to view-space distance
+ */
+float linearizeDepth(float depth) {
+    float z = depth * 2.0 - 1.0;
+    return (2.0 * u_near * u_far) / (u_far + u_near - z * (u_far - u_near));
+}
+
+void main() {
+    vec4 color = texture2D(u_texture, v_uv);
+
+    if (u_depthTextureEnabled < 0.5) {
+        gl_FragColor = color;
+        return;
+    }
+
+    float depth = texture2D(u_depthTexture, v_uv).r;
+
+    // Background (cleared depth) is fully fogged
+    float viewDistance = depth >= 1.0 ? 1.0 : linearizeDepth(depth) / u_far;
+    float fogAmount = 1.0 - exp(-max(viewDistance - u_fogStart, 0.0) * max(u_fogDensity, 0.0) * 10.0);
+
+    gl_FragColor = vec4(mix(color.rgb, u_fogColor, clamp(fogAmount, 0.0, 1.0)), color.a);
+}
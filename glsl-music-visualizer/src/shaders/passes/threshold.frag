@@ -0,0 +1,42 @@
+/**
+ * Threshold Pass
+ * Bright pass feeding the separable bloom chain
+ * Location: src/shaders/passes/threshold.frag
+ *
+ * Keeps the part of each color above u_bloomThreshold, with a soft knee so
+ * highlights fade in rather than pop. Downsampled with a 4-tap box filter.
+ */
+
+// Automatic version handling by ShaderManager
+// Note: Includes will be processed by ShaderManager preprocessor
+
+precision highp float;
+
+#include "utils.glsl"
+
+// ===== UNIFORMS =====
+uniform sampler2D u_texture;     // HDR input color
+uniform vec2 u_resolution;       // Output size in pixels
+uniform float u_bloomThreshold;  // Luminance threshold
+uniform float u_knee;            // Soft knee width [0-1]
+
+// ===== VARYINGS =====
+varying vec2 v_uv;
+
+void main() {
+    vec2 texel = 0.5 / max(u_resolution, vec2(1.0));
+
+    vec3 color = texture2D(u_texture, v_uv + vec2(-texel.x, -texel.y)).rgb;
+    color += texture2D(u_texture, v_uv + vec2( texel.x, -texel.y)).rgb;
+    color += texture2D(u_texture, v_uv + vec2(-texel.x,  texel.y)).rgb;
+    color += texture2D(u_texture, v_uv + vec2( texel.x,  texel.y)).rgb;
+    color *= 0.25;
+
+    float brightness = luminance(color);
+    float knee = max(u_bloomThreshold * u_knee, EPSILON);
+    float soft = clamp(brightness - u_bloomThreshold + knee, 0.0, 2.0 * knee);
+    soft = soft * soft / (4.0 * knee);
+
+    float contribution = max(soft, brightness - u_bloomThreshold) / max(brightness, EPSILON);
+    gl_FragColor = vec4(color * contribution, 1.0);
+}
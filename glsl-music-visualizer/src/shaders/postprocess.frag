@@ -0,0 +1,147 @@
+/**
+ * Post-Processing Fragment Shader
+ * Final composite of the HDR scene target to the screen
+ * Location: src/shaders/postprocess.frag
+ *
+ * Composite pass: chromatic aberration, threshold bloom, exposure,
+ * ACES tone mapping, saturation, contrast, vignette and film grain.
+ * Parameters map one-to-one onto RenderEngine post-processing settings
+ * (u_<setting>), which VisualControls edits. When an effect chain binds a
+ * pre-blurred u_bloomTexture, it replaces the inline bloom kernel.
+ */
+
+// Automatic version handling by ShaderManager
+// Note: Includes will be processed by ShaderManager preprocessor
+
+precision highp float;
+
+#include "utils.glsl"
+
+// ===== CONSTANTS =====
+#define BLOOM_SAMPLES 24
+#define BLOOM_RADIUS 32.0        // Bloom kernel radius in pixels
+#define GOLDEN_ANGLE 2.39996323
+
+// ===== UNIFORMS =====
+
+// Inputs
+uniform sampler2D u_texture;     // HDR scene color
+uniform sampler2D u_bloomTexture; // Blurred bright pass from earlier passes (optional)
+uniform float u_bloomTextureEnabled; // 1 when u_bloomTexture is bound
+uniform vec2 u_resolution;       // Viewport size in pixels
+uniform float u_time;            // Global time in seconds
+
+// Bloom
+uniform float u_bloomEnabled;    // Bloom toggle [0-1]
+uniform float u_bloomThreshold;  // Luminance threshold for bloom
+uniform float u_bloomIntensity;  // Bloom strength
+
+// Color grading
+uniform float u_exposure;        // Exposure multiplier before tone mapping
+uniform float u_contrast;        // Contrast around mid grey (1 = neutral)
+uniform float u_saturation;      // Saturation (1 = neutral, 0 = greyscale)
+
+// Lens and film
+uniform float u_chromaticAberration; // Channel separation strength [0-1]
+uniform float u_vignette;        // Vignette strength [0-1]
+uniform float u_filmGrain;       // Grain strength [0-1]
+
+// ===== VARYINGS =====
+varying vec2 v_uv;
+
+// ===== EFFECTS =====
+
+/**
+ * Sample the scene with radial channel separation
+ */
+vec3 sampleChromatic(vec2 uv) {
+    vec2 offset = (uv - 0.5) * u_chromaticAberration * 0.02;
+
+    return vec3(
+        texture2D(u_texture, uv + offset).r,
+        texture2D(u_texture, uv).g,
+        texture2D(u_texture, uv - offset).b
+    );
+}
+
+/**
+ * Keep only the part of a color above the bloom threshold
+ */
+vec3 brightPass(vec3 color) {
+    float brightness = luminance(color);
+    float contribution = max(brightness - u_bloomThreshold, 0.0) / max(brightness, EPSILON);
+    return color * contribution;
+}
+
+/**
+ * Gaussian-weighted bloom over a golden-angle spiral of samples
+ */
+vec3 bloom(vec2 uv) {
+    vec2 texel = 1.0 / max(u_resolution, vec2(1.0));
+    vec3 sum = vec3(0.0);
+    float weightSum = 0.0;
+
+    for (int i = 0; i < BLOOM_SAMPLES; i++) {
+        float r = sqrt((float(i) + 0.5) / float(BLOOM_SAMPLES));
+        float theta = float(i) * GOLDEN_ANGLE;
+        vec2 offset = vec2(cos(theta), sin(theta)) * r * BLOOM_RADIUS * texel;
+
+        float weight = exp(-r * r * 3.0);
+        sum += brightPass(texture2D(u_texture, uv + offset).rgb) * weight;
+        weightSum += weight;
+    }
+
+    return sum / weightSum;
+}
+
+/**
+ * ACES filmic tone mapping (Narkowicz fit)
+ */
+vec3 acesFilm(vec3 x) {
+    const float a = 2.51;
+    const float b = 0.03;
+    const float c = 2.43;
+    const float d = 0.59;
+    const float e = 0.14;
+    return saturate((x * (a * x + b)) / (x * (c * x + d) + e));
+}
+
+/**
+ * Darken towards the frame corners
+ */
+float vignette(vec2 uv) {
+    float dist = length(uv - 0.5) * 1.41421356;
+    return mix(1.0, 1.0 - smoothstep(0.4, 1.0, dist), u_vignette);
+}
+
+/**
+ * Per-pixel animated grain
+ */
+float filmGrain(vec2 uv) {
+    vec2 pixel = floor(uv * u_resolution);
+    return hash(pixel + fract(u_time * 7.13) * 173.0) - 0.5;
+}
+
+// ===== MAIN =====
+
+void main() {
+    vec3 color = sampleChromatic(v_uv);
+
+    if (u_bloomEnabled > 0.5) {
+        vec3 glow = u_bloomTextureEnabled > 0.5 ? texture2D(u_bloomTexture, v_uv).rgb : bloom(v_uv);
+        color += glow * u_bloomIntensity;
+    }
+
+    // Tone map HDR to display range
+    color = acesFilm(color * u_exposure);
+    color = linearToSRGB(color);
+
+    // Grade in display space
+    color = mix(vec3(luminance(color)), color, u_saturation);
+    color = (color - 0.5) * u_contrast + 0.5;
+
+    color *= vignette(v_uv);
+    color += filmGrain(v_uv) * u_filmGrain * 0.15;
+
+    gl_FragColor = vec4(saturate(color), 1.0);
+}
@@ -0,0 +1,95 @@
+/**
+ * Glassmorphism Fragment Shader
+ * Frosted glass panel composited over the rendered scene
+ * Location: src/shaders/ui/glassmorphism.frag
+ *
+ * Fullscreen pass (fullscreen.vert) that blurs the scene behind a rounded
+ * panel rectangle, tints it, and adds a light border, specular sheen and
+ * noise, mirroring the CSS glass style in src/ui/styles/glassmorphism.css.
+ */
+
+// Automatic version handling by ShaderManager
+// Note: Includes will be processed by ShaderManager preprocessor
+
+precision highp float;
+
+#include "utils.glsl"
+
+// ===== CONSTANTS =====
+#define BLUR_SAMPLES 16
+#define GOLDEN_ANGLE 2.39996323
+
+// ===== UNIFORMS =====
+uniform sampler2D u_texture;     // Scene behind the panel
+uniform vec2 u_resolution;       // Viewport size in pixels
+uniform float u_time;            // Global time in seconds
+
+uniform vec4 u_panelRect;        // Panel x, y, width, height in pixels (top-left origin)
+uniform float u_cornerRadius;    // Corner radius in pixels
+uniform float u_blurRadius;      // Backdrop blur radius in pixels
+uniform vec4 u_tintColor;        // Tint color (rgb) and strength (a)
+uniform float u_borderWidth;     // Border width in pixels
+uniform float u_borderOpacity;   // Border highlight opacity
+uniform float u_noiseAmount;     // Frost noise strength
+uniform float u_audioEnergy;     // Overall audio energy [0-1]
+
+// ===== VARYINGS =====
+varying vec2 v_uv;
+
+/**
+ * Signed distance to a rounded rectangle centered at the origin
+ */
+float sdRoundedRect(vec2 p, vec2 halfSize, float radius) {
+    vec2 q = abs(p) - halfSize + radius;
+    return length(max(q, 0.0)) + min(max(q.x, q.y), 0.0) - radius;
+}
+
+/**
+ * Disc blur of the backdrop
+ */
+vec3 blurBackdrop(vec2 uv) {
+    vec2 texel = 1.0 / max(u_resolution, vec2(1.0));
+    vec3 sum = vec3(0.0);
+
+    for (int i = 0; i < BLUR_SAMPLES; i++) {
+        float r = sqrt((float(i) + 0.5) / float(BLUR_SAMPLES));
+        float theta = float(i) * GOLDEN_ANGLE;
+        vec2 offset = vec2(cos(theta), sin(theta)) * r * u_blurRadius * texel;
+        sum += texture2D(u_texture, uv + offset).rgb;
+    }
+
+    return sum / float(BLUR_SAMPLES);
+}
+
+void main() {
+    vec3 scene = texture2D(u_texture, v_uv).rgb;
+
+    // Panel space in pixels (flip to top-left origin like the DOM)
+    vec2 pixel = vec2(v_uv.x, 1.0 - v_uv.y) * u_resolution;
+    vec2 halfSize = u_panelRect.zw * 0.5;
+    vec2 local = pixel - (u_panelRect.xy + halfSize);
+    float d = sdRoundedRect(local, halfSize, min(u_cornerRadius, min(halfSize.x, halfSize.y)));
+
+    // Anti-aliased panel coverage
+    float coverage = 1.0 - smoothstep(-0.5, 0.5, d);
+    if (coverage <= 0.0) {
+        gl_FragColor = vec4(scene, 1.0);
+        return;
+    }
+
+    // Frosted backdrop
+    vec3 glass = blurBackdrop(v_uv);
+    glass = mix(glass, u_tintColor.rgb, u_tintColor.a);
+    glass += (hash(floor(pixel)) - 0.5) * u_noiseAmount;
+
+    // Diagonal sheen that drifts slowly and brightens with the music
+    vec2 panelUV = local / max(u_panelRect.zw, vec2(1.0)) + 0.5;
+    float sheen = smoothstep(0.35, 0.0, abs(panelUV.x + panelUV.y - 0.6 - sin(u_time * 0.2) * 0.2));
+    glass += sheen * (0.04 + u_audioEnergy * 0.06);
+
+    // Inner border highlight
+    float border = 1.0 - smoothstep(0.0, max(u_borderWidth, 0.5), abs(d + u_borderWidth * 0.5));
+    glass = mix(glass, vec3(1.0), border * u_borderOpacity);
+
+    gl_FragColor = vec4(mix(scene, glass, coverage), 1.0);
+}
@@ -0,0 +1,67 @@
+/**
+ * UI Particle Fragment Shader
+ * Point-sprite shading for interface particle effects
+ * Location: src/shaders/ui/particles.frag
+ *
+ * Matches the vertex interface of ParticleUI (v_color, v_opacity, v_rotation).
+ * Samples the sprite texture when u_useTexture is set, otherwise draws a
+ * procedural soft glow with a bright core that pulses with the beat.
+ */
+
+// Automatic version handling by ShaderManager
+
+precision highp float;
+
+// ===== UNIFORMS =====
+uniform sampler2D u_texture;     // Sprite texture
+uniform float u_useTexture;      // 1 = sample u_texture, 0 = procedural glow
+uniform float u_time;            // Global time in seconds
+uniform float u_beatStrength;    // Beat strength [0-1]
+uniform float u_glowFalloff;     // Glow falloff exponent
+
+// ===== VARYINGS =====
+varying vec4 v_color;
+varying float v_opacity;
+varying float v_rotation;
+
+/**
+ * Rotate the point coordinate around the sprite center
+ */
+vec2 rotateCoord(vec2 coord, float angle) {
+    float s = sin(angle);
+    float c = cos(angle);
+    vec2 p = coord - 0.5;
+    return vec2(c * p.x - s * p.y, s * p.x + c * p.y) + 0.5;
+}
+
+/**
+ * Soft radial glow with a hot core
+ */
+float proceduralGlow(vec2 coord) {
+    float dist = length(coord - 0.5) * 2.0;
+    float falloff = max(u_glowFalloff, 1.0);
+    float glow = pow(max(1.0 - dist, 0.0), falloff);
+    float core = smoothstep(0.25 + u_beatStrength * 0.15, 0.0, dist);
+    return clamp(glow + core, 0.0, 1.0);
+}
+
+void main() {
+    vec2 coord = rotateCoord(gl_PointCoord, v_rotation);
+
+    vec4 sprite;
+    if (u_useTexture > 0.5) {
+        sprite = texture2D(u_texture, coord);
+    } else {
+        sprite = vec4(1.0, 1.0, 1.0, proceduralGlow(coord));
+    }
+
+    // Slight shimmer so dense bursts do not look uniform
+    float shimmer = 0.9 + 0.1 * sin(u_time * 6.0 + v_rotation * 3.0);
+
+    gl_FragColor = v_color * sprite * v_opacity * shimmer;
+
+    // Discard transparent pixels
+    if (gl_FragColor.a < 0.01) {
+        discard;
+    }
+}
@@ -0,0 +1,81 @@
+/**
+ * Transition Fragment Shader
+ * Fullscreen blend between two rendered frames
+ * Location: src/shaders/ui/transitions.frag
+ *
+ * Run with fullscreen.vert when switching visualizers or presets.
+ * u_transitionType selects the effect:
+ *   0 - crossfade
+ *   1 - directional wipe
+ *   2 - radial reveal
+ *   3 - noise dissolve
+ *   4 - ripple
+ */
+
+// Automatic version handling by ShaderManager
+// Note: Includes will be processed by ShaderManager preprocessor
+
+precision highp float;
+
+#include "utils.glsl"
+
+// ===== UNIFORMS =====
+uniform sampler2D u_fromTexture; // Outgoing frame
+uniform sampler2D u_toTexture;   // Incoming frame
+uniform float u_progress;        // Transition progress [0-1]
+uniform float u_transitionType;  // Effect (see header)
+uniform vec2 u_direction;        // Wipe direction
+uniform float u_softness;        // Edge softness [0-1]
+uniform vec2 u_resolution;       // Viewport size in pixels
+uniform float u_time;            // Global time in seconds
+
+// ===== VARYINGS =====
+varying vec2 v_uv;
+
+/**
+ * Blend factor for a moving edge: 0 before the edge, 1 after it
+ */
+float edge(float value, float progress) {
+    float soft = max(u_softness, 0.001);
+    return smoothstep(value - soft, value, progress * (1.0 + soft));
+}
+
+void main() {
+    float progress = saturate(u_progress);
+    vec2 uvFrom = v_uv;
+    vec2 uvTo = v_uv;
+    float mixAmount;
+
+    if (u_transitionType < 0.5) {
+        // Crossfade
+        mixAmount = smoothstep(0.0, 1.0, progress);
+    } else if (u_transitionType < 1.5) {
+        // Directional wipe
+        vec2 dir = safeNormalize(u_direction, vec2(1.0, 0.0));
+        float along = dot(v_uv - 0.5, dir) / (abs(dir.x) + abs(dir.y)) + 0.5;
+        mixAmount = edge(along, progress);
+    } else if (u_transitionType < 2.5) {
+        // Radial reveal from the center
+        float aspect = u_resolution.x / max(u_resolution.y, 1.0);
+        float dist = length((v_uv - 0.5) * vec2(aspect, 1.0)) / length(vec2(aspect, 1.0) * 0.5);
+        mixAmount = edge(dist, progress);
+    } else if (u_transitionType < 3.5) {
+        // Noise dissolve
+        float n = valueNoise(v_uv * 12.0) * 0.7 + hash(floor(v_uv * u_resolution)) * 0.3;
+        mixAmount = edge(n, progress);
+    } else {
+        // Ripple: both frames distort, strongest mid-transition
+        vec2 toCenter = v_uv - 0.5;
+        float dist = length(toCenter);
+        float wave = sin(dist * 40.0 - u_time * 10.0) * sin(progress * PI) * 0.02;
+        vec2 offset = safeNormalize(toCenter, vec2(0.0)) * wave;
+        uvFrom += offset;
+        uvTo -= offset;
+        mixAmount = smoothstep(0.0, 1.0, progress);
+    }
+
+    vec4 fromColor = texture2D(u_fromTexture, uvFrom);
+    vec4 toColor = texture2D(u_toTexture, uvTo);
+
+    gl_FragColor = mix(fromColor, toColor, mixAmount);
+}
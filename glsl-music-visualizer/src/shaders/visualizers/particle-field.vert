@@ -0,0 +1,49 @@
+/**
+ * Particle Field Vertex Shader
+ * Perspective point sprites for ParticleSystem particles
+ * Location: src/shaders/visualizers/particle-field.vert
+ *
+ * Feeds the shared point-sprite shader src/shaders/ui/particles.frag
+ * (v_color, v_opacity, v_rotation). Point size shrinks with view distance.
+ * Slots with zero alpha (free GPU particle slots) are moved outside the clip
+ * volume so they are culled before rasterization.
+ */
+
+// Automatic version handling by ShaderManager
+
+// ===== ATTRIBUTES =====
+attribute vec3 a_position;       // World-space position
+attribute vec4 a_color;          // RGBA, alpha carries the lifecycle fade
+attribute float a_size;          // Particle size in world units
+attribute float a_rotation;      // Sprite rotation in radians
+
+// ===== UNIFORMS =====
+uniform mat4 u_viewMatrix;
+uniform mat4 u_projectionMatrix;
+uniform float u_pointScale;      // Pixels per world unit at distance 1
+uniform float u_maxPointSize;    // Clamp for sprites close to the camera
+uniform float u_intensity;       // Brightness multiplier
+uniform float u_transitionAlpha; // Fade set by VisualizerManager [0-1]
+
+// ===== VARYINGS =====
+varying vec4 v_color;
+varying float v_opacity;
+varying float v_rotation;
+
+void main() {
+    if (a_color.a <= 0.0) {
+        gl_Position = vec4(2.0, 2.0, 2.0, 1.0);
+        gl_PointSize = 1.0;
+        return;
+    }
+
+    vec4 viewPosition = u_viewMatrix * vec4(a_position, 1.0);
+    gl_Position = u_projectionMatrix * viewPosition;
+
+    float depth = max(-viewPosition.z, 0.1);
+    gl_PointSize = clamp(a_size * u_pointScale / depth, 1.0, u_maxPointSize);
+
+    v_color = a_color;
+    v_opacity = u_intensity * u_transitionAlpha;
+    v_rotation = a_rotation;
+}
@@ -0,0 +1,146 @@
+/**
+ * Spectrum Fragment Shader
+ * Log-frequency spectrum drawn as bars or as a radial burst
+ * Location: src/shaders/visualizers/spectrum.frag
+ *
+ * Drawn over the fullscreen quad (fullscreen.vert). SpectrumVisualizer
+ * uploads one texel per bar to u_spectrum (r = level, g = falling peak) and
+ * the color palette as a gradient strip to u_palette.
+ */
+
+// Automatic version handling by ShaderManager
+// Note: Includes will be processed by ShaderManager preprocessor
+
+precision highp float;
+
+#include "utils.glsl"
+
+// ===== UNIFORMS =====
+
+// Inputs
+uniform sampler2D u_spectrum;    // Bar levels (r) and peaks (g), one texel per bar
+uniform sampler2D u_palette;     // Palette gradient, low to high frequency
+uniform vec2 u_resolution;       // Viewport size in pixels
+
+// Layout
+uniform float u_layout;          // 0 = bars, 1 = radial
+uniform float u_barCount;        // Number of bars
+uniform float u_barGap;          // Gap between bars as a fraction of the bar cell [0-1)
+uniform float u_mirror;          // Bars: 1 = mirror around the horizontal center
+uniform float u_innerRadius;     // Radial: inner radius (fraction of the short side)
+uniform float u_barLength;       // Radial: length of a full-scale bar
+
+// Audio
+uniform float u_energy;          // Overall energy [0-1]
+uniform float u_beatPulse;       // Beat flash [0-1], decays in the visualizer
+
+// Transitions
+uniform float u_transitionAlpha; // Fade set by VisualizerManager [0-1]
+
+// ===== VARYINGS =====
+varying vec2 v_uv;
+
+// ===== HELPERS =====
+
+/**
+ * Level (x) and peak (y) of a bar
+ */
+vec2 sampleBar(float index) {
+    return texture2D(u_spectrum, vec2((index + 0.5) / u_barCount, 0.5)).rg;
+}
+
+/**
+ * Palette color for a bar, brighter with its level and on beats
+ */
+vec3 barColor(float index, float level) {
+    vec3 base = texture2D(u_palette, vec2((index + 0.5) / u_barCount, 0.5)).rgb;
+    return base * (0.35 + 0.65 * level) * (1.0 + u_beatPulse * 0.5);
+}
+
+/**
+ * Mask for the bar part of a cell, leaving u_barGap empty, antialiased
+ * @param cell - Position inside the cell [0-1]
+ * @param aa - Cell units per pixel
+ */
+float barMask(float cell, float aa) {
+    float halfGap = u_barGap * 0.5;
+    return smoothstep(halfGap - aa, halfGap + aa, cell) *
+           (1.0 - smoothstep(1.0 - halfGap - aa, 1.0 - halfGap + aa, cell));
+}
+
+/**
+ * Filled bar up to level, with a thin cap at the peak
+ * @param pos - Distance along the bar (same units as level/peak)
+ * @param px - Bar units per pixel
+ */
+vec2 barFill(float pos, vec2 bar, float px) {
+    float fill = 1.0 - smoothstep(bar.x - px, bar.x + px, pos);
+    float cap = step(bar.y, pos) * step(pos, bar.y + 3.0 * px) * step(0.01, bar.y);
+    return vec2(fill, cap);
+}
+
+// ===== LAYOUTS =====
+
+/**
+ * Vertical bars across the screen, low frequencies on the left
+ */
+vec4 renderBars(vec2 uv) {
+    float x = uv.x * u_barCount;
+    float index = floor(x);
+    float mask = barMask(fract(x), u_barCount / u_resolution.x);
+
+    float mirrored = step(0.5, u_mirror);
+    float pos = mix(uv.y, abs(uv.y - 0.5) * 2.0, mirrored);
+    float px = mix(1.0, 2.0, mirrored) / u_resolution.y;
+
+    vec2 bar = sampleBar(index);
+    vec2 fill = barFill(pos, bar, px);
+
+    vec3 color = barColor(index, bar.x) * fill.x + vec3(0.9) * fill.y;
+    return vec4(color, max(fill.x, fill.y) * mask);
+}
+
+/**
+ * Bars radiating from a ring, low frequencies at the top, mirrored left/right
+ */
+vec4 renderRadial(vec2 uv) {
+    float shortSide = min(u_resolution.x, u_resolution.y);
+    vec2 p = (uv - 0.5) * u_resolution / shortSide;
+    float radius = length(p);
+
+    // 0 at the top, 1 at the bottom on both sides
+    float t = abs(atan(p.x, p.y)) / PI;
+    float x = t * u_barCount;
+    float index = floor(x);
+
+    float inner = u_innerRadius * (1.0 + u_beatPulse * 0.15);
+    float px = 1.0 / shortSide;
+    float cellsPerPixel = u_barCount * px / max(PI * radius, EPSILON);
+    float mask = barMask(fract(x), cellsPerPixel);
+
+    vec2 bar = sampleBar(index) * u_barLength;
+    vec2 fill = barFill(radius - inner, bar, px) * step(inner, radius);
+
+    vec3 color = barColor(index, bar.x / max(u_barLength, EPSILON)) * fill.x + vec3(0.9) * fill.y;
+    float alpha = max(fill.x, fill.y) * mask;
+
+    // Inner ring glows with the overall energy
+    float ring = 1.0 - smoothstep(0.0, 2.0 * px, abs(radius - inner));
+    vec3 ringColor = texture2D(u_palette, vec2(0.5, 0.5)).rgb;
+    color += ringColor * ring * (0.3 + u_energy);
+    alpha = max(alpha, ring * saturate(0.3 + u_energy));
+
+    return vec4(color, alpha);
+}
+
+// ===== MAIN =====
+
+void main() {
+    vec4 result = u_layout > 0.5 ? renderRadial(v_uv) : renderBars(v_uv);
+
+    if (result.a < 0.01) {
+        discard;
+    }
+
+    gl_FragColor = vec4(result.rgb, result.a * u_transitionAlpha);
+}
@@ -0,0 +1,40 @@
+/**
+ * Waveform Fragment Shader
+ * Glowing oscilloscope trace
+ * Location: src/shaders/visualizers/waveform.frag
+ *
+ * Solid core across the middle of the strip with a soft glow to the edges.
+ * Color runs from u_colorStart to u_colorEnd along the trace.
+ */
+
+// Automatic version handling by ShaderManager
+// Note: Includes will be processed by ShaderManager preprocessor
+
+precision highp float;
+
+#include "utils.glsl"
+
+// ===== UNIFORMS =====
+uniform vec3 u_colorStart;       // Color at the start of the trace
+uniform vec3 u_colorEnd;         // Color at the end of the trace
+uniform float u_coreWidth;       // Solid core as a fraction of the strip width [0-1]
+uniform float u_energy;          // Overall energy [0-1]
+uniform float u_beatPulse;       // Beat flash [0-1], decays in the visualizer
+uniform float u_transitionAlpha; // Fade set by VisualizerManager [0-1]
+
+// ===== VARYINGS =====
+varying float v_edge;
+varying float v_progress;
+
+void main() {
+    float dist = abs(v_edge);
+
+    float core = 1.0 - smoothstep(u_coreWidth * 0.8, u_coreWidth, dist);
+    float glow = pow(1.0 - dist, 2.0) * (0.35 + 0.65 * u_energy);
+    float intensity = max(core, glow);
+
+    vec3 color = mix(u_colorStart, u_colorEnd, v_progress);
+    color = mix(color, vec3(1.0), core * 0.5) * (1.0 + u_beatPulse * 0.75);
+
+    gl_FragColor = vec4(color, saturate(intensity) * u_transitionAlpha);
+}
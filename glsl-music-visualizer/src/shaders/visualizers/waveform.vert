@@ -0,0 +1,26 @@
+/**
+ * Waveform Vertex Shader
+ * Pass-through for the oscilloscope trace
+ * Location: src/shaders/visualizers/waveform.vert
+ *
+ * WaveformVisualizer extrudes the trace into a triangle strip on the CPU
+ * (two vertices per sample, one on each side of the line), already in
+ * clip space.
+ */
+
+// Automatic version handling by ShaderManager
+
+// ===== ATTRIBUTES =====
+attribute vec2 a_position;       // Clip-space position
+attribute float a_edge;          // -1 / +1 across the line width
+attribute float a_progress;      // Position along the trace [0-1]
+
+// ===== VARYINGS =====
+varying float v_edge;
+varying float v_progress;
+
+void main() {
+    v_edge = a_edge;
+    v_progress = a_progress;
+    gl_Position = vec4(a_position, 0.0, 1.0);
+}
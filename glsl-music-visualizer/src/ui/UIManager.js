@@ -31,6 +31,9 @@ export class UIManager {
             renderEngine: options.renderEngine || null,
             visualizerManager: options.visualizerManager || null,
             materialManager: options.materialManager || null,
+            modulationMatrix: options.modulationMatrix || null,
+            midiController: options.midiController || null,
+            playlist: options.playlist || null,
             
             // UI settings
             enableAdvancedUI: options.enableAdvancedUI !== false,
@@ -193,6 +196,8 @@ export class UIManager {
         this.handleAudioUpdate = this.handleAudioUpdate.bind(this);
         this.updateUI = this.updateUI.bind(this);
         this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
+        this.persistMidiSettings = this.persistMidiSettings.bind(this);
+        this.persistPlaylistSettings = this.persistPlaylistSettings.bind(this);
         
         console.log('UIManager initialized', {
             theme: this.config.defaultTheme,
@@ -426,6 +431,9 @@ export class UIManager {
             renderEngine: this.config.renderEngine,
             visualizerManager: this.config.visualizerManager,
             materialManager: this.config.materialManager,
+            modulationMatrix: this.config.modulationMatrix,
+            midiController: this.config.midiController,
+            playlist: this.config.playlist,
             
             theme: this.state.currentTheme,
             accentColor: this.themeManager.accentColor,
@@ -1257,6 +1265,14 @@ export class UIManager {
         }
     }
     
+    persistMidiSettings() {
+        this.persistSetting('midi', this.config.midiController.getSettings());
+    }
+    
+    persistPlaylistSettings() {
+        this.persistSetting('playlist', this.config.playlist.getSettings());
+    }
+    
     async loadPersistedSettings() {
         // Load persisted theme
         if (this.config.enableThemePersistence) {
@@ -1280,6 +1296,21 @@ export class UIManager {
             this.setAccentColor(savedAccentColor);
         }
         
+        // Load MIDI mappings, then keep them saved as they are learned or removed
+        const midi = this.config.midiController;
+        if (midi) {
+            midi.applySettings(this.loadPersistedSetting('midi'));
+            midi.on('mappingsChanged', this.persistMidiSettings);
+            midi.on('settingsChanged', this.persistMidiSettings);
+        }
+        
+        // Shuffle, repeat and crossfade carry over between sessions
+        const playlist = this.config.playlist;
+        if (playlist) {
+            playlist.applySettings(this.loadPersistedSetting('playlist'));
+            playlist.on('settingsChanged', this.persistPlaylistSettings);
+        }
+        
         console.log('Persisted settings loaded');
     }
     
@@ -1736,6 +1767,15 @@ export class UIManager {
         window.removeEventListener('mousemove', this.handleMouseMove);
         document.removeEventListener('visibilitychange', this.handleVisibilityChange);
         
+        if (this.config.midiController) {
+            this.config.midiController.off('mappingsChanged', this.persistMidiSettings);
+            this.config.midiController.off('settingsChanged', this.persistMidiSettings);
+        }
+        
+        if (this.config.playlist) {
+            this.config.playlist.off('settingsChanged', this.persistPlaylistSettings);
+        }
+        
         // Destroy components
         if (this.components.controlPanel) {
             this.components.controlPanel.destroy();
@@ -1764,6 +1804,3 @@ export class UIManager {
         console.log('UIManager destroyed');
     }
 }
-
-// Export the UIManager class
-export { UIManager };
\ No newline at end of file
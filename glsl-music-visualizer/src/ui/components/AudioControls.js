@@ -99,6 +99,7 @@ export class AudioControls {
             fftSection: null,
             beatSection: null,
             frequencySection: null,
+            genreSection: null,
             performanceSection: null,
             
             // Individual controls
@@ -167,6 +168,7 @@ export class AudioControls {
             this.setupFFTControls();
             this.setupBeatDetectionControls();
             this.setupFrequencyControls();
+            this.setupGenreControls();
             this.setupPerformanceControls();
             
             // Initialize spectrum display
@@ -511,6 +513,78 @@ export class AudioControls {
         this.elements.content.appendChild(this.elements.frequencySection);
     }
     
+    /**
+     * Setup genre and mood model controls
+     */
+    setupGenreControls() {
+        this.elements.genreSection = this.createControlSection('Genre & Mood', 'genre-controls');
+        
+        const container = document.createElement('div');
+        container.className = 'control-item';
+        
+        const status = document.createElement('div');
+        status.className = 'genre-model-status';
+        status.textContent = 'No model: genre guessed from band levels';
+        
+        // JSON model file (see GenreClassifier for the format)
+        const fileInput = document.createElement('input');
+        fileInput.type = 'file';
+        fileInput.accept = '.json,application/json';
+        fileInput.style.display = 'none';
+        
+        const loadButton = document.createElement('button');
+        loadButton.className = 'btn btn-secondary genre-model-load';
+        loadButton.textContent = 'Load Model...';
+        
+        loadButton.addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', async () => {
+            const file = fileInput.files[0];
+            fileInput.value = '';
+            if (file) {
+                await this.loadGenreModel(file);
+            }
+        });
+        
+        const description = document.createElement('div');
+        description.className = 'control-description';
+        description.textContent = 'Classify genre and mood with a trained model';
+        
+        container.appendChild(status);
+        container.appendChild(loadButton);
+        container.appendChild(fileInput);
+        container.appendChild(description);
+        
+        this.elements.controls.set('genre-model', { status, loadButton, fileInput, container });
+        this.elements.genreSection.appendChild(container);
+        
+        this.elements.content.appendChild(this.elements.genreSection);
+    }
+    
+    /**
+     * Load a genre and mood model file into the audio engine
+     * @param {File} file - Model JSON
+     * @returns {Promise<Object|null>} Model information, null if it failed to load
+     */
+    async loadGenreModel(file) {
+        const { status } = this.elements.controls.get('genre-model');
+        
+        if (!this.config.audioEngine) {
+            status.textContent = 'Audio engine not connected';
+            return null;
+        }
+        
+        try {
+            const info = await this.config.audioEngine.loadGenreModel(file);
+            status.textContent = `${info.name} (${Object.keys(info.tasks).join(', ')})`;
+            status.classList.remove('error');
+            return info;
+        } catch (error) {
+            status.textContent = `Could not load ${file.name}: ${error.message}`;
+            status.classList.add('error');
+            return null;
+        }
+    }
+    
     /**
      * Setup performance and optimization controls
      */
@@ -11,6 +11,8 @@
  * - Visual enhancement pipeline controls
  * - Performance monitoring and optimization dashboard
  * - Preset management and configuration saving/loading
+ * - Audio modulation matrix editor (source → parameter routings)
+ * - MIDI-learn for hardware controllers
  * - Audio-reactive UI animations and particle effects
  * - Accessibility compliance and keyboard navigation
  * - Mobile-responsive design with touch interactions
@@ -19,6 +21,7 @@
 import { AudioControls } from './AudioControls.js';
 import { MaterialControls } from './MaterialControls.js';
 import { VisualControls } from './VisualControls.js';
+import { ModulationControls } from './ModulationControls.js';
 import { FileUpload } from './FileUpload.js';
 import { SpringSystem } from '../animations/SpringSystem.js';
 import { MorphTransitions } from '../animations/MorphTransitions.js';
@@ -36,6 +39,9 @@ export class ControlPanel {
             renderEngine: options.renderEngine || null,
             visualizerManager: options.visualizerManager || null,
             materialManager: options.materialManager || null,
+            modulationMatrix: options.modulationMatrix || null,
+            midiController: options.midiController || null,
+            playlist: options.playlist || null,
             container: options.container || null,
             
             // UI Layout settings
@@ -97,6 +103,7 @@ export class ControlPanel {
             audioControls: null,
             materialControls: null,
             visualControls: null,
+            modulationControls: null,
             fileUpload: null
         };
         
@@ -142,6 +149,11 @@ export class ControlPanel {
             changeHistory: []
         };
         
+        // MIDI-learn: the control last touched supplies the range of the learned parameter
+        this.midiLearn = {
+            lastControl: null
+        };
+        
         // Performance tracking
         this.performanceTracker = {
             frameRate: 60,
@@ -180,6 +192,9 @@ export class ControlPanel {
         this.handleAudioUpdate = this.handleAudioUpdate.bind(this);
         this.updatePerformanceMetrics = this.updatePerformanceMetrics.bind(this);
         this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
+        this.handleControlInteraction = this.handleControlInteraction.bind(this);
+        this.handleMidiLearnChange = this.handleMidiLearnChange.bind(this);
+        this.handleMidiMappingLearned = this.handleMidiMappingLearned.bind(this);
         
         console.log('ControlPanel initialized', {
             theme: this.config.theme,
@@ -344,6 +359,17 @@ export class ControlPanel {
                 </div>
                 
                 <div class="global-controls">
+                    <button class="midi-learn-toggle btn-ghost" aria-label="MIDI learn" aria-pressed="false" title="MIDI learn">
+                        <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor">
+                            <circle cx="12" cy="12" r="10"/>
+                            <circle cx="7" cy="12" r="1"/>
+                            <circle cx="17" cy="12" r="1"/>
+                            <circle cx="9" cy="8" r="1"/>
+                            <circle cx="15" cy="8" r="1"/>
+                            <circle cx="12" cy="7" r="1"/>
+                        </svg>
+                    </button>
+                    
                     <button class="fullscreen-toggle btn-ghost" aria-label="Toggle fullscreen">
                         <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor">
                             <path d="M8 3H5a2 2 0 0 0-2 2v3m18 0V5a2 2 0 0 0-2-2h-3m0 18h3a2 2 0 0 0 2-2v-3M3 16v3a2 2 0 0 0 2 2h3"/>
@@ -663,10 +689,25 @@ export class ControlPanel {
         await this.components.visualControls.initialize();
         console.log('VisualControls component initialized');
         
+        // Initialize ModulationControls
+        if (this.config.modulationMatrix) {
+            this.components.modulationControls = new ModulationControls({
+                ...componentConfig,
+                modulationMatrix: this.config.modulationMatrix,
+                materialManager: this.config.materialManager,
+                container: this.layoutManager.dockingZones.get('right'),
+                onRoutingChange: this.handleModulationChange.bind(this)
+            });
+            
+            await this.components.modulationControls.initialize();
+            console.log('ModulationControls component initialized');
+        }
+        
         // Initialize FileUpload
         this.components.fileUpload = new FileUpload({
             ...componentConfig,
             audioEngine: this.config.audioEngine,
+            playlist: this.config.playlist,
             container: this.layoutManager.dockingZones.get('bottom'),
             onFileLoad: this.handleFileLoad.bind(this),
             onAudioReady: this.handleAudioReady.bind(this)
@@ -688,6 +729,7 @@ export class ControlPanel {
                 audioControls: { zone: 'left', position: { x: 20, y: 20 }, size: { width: 320, height: 400 } },
                 materialControls: { zone: 'left', position: { x: 20, y: 440 }, size: { width: 320, height: 300 } },
                 visualControls: { zone: 'right', position: { x: -340, y: 20 }, size: { width: 320, height: 400 } },
+                modulationControls: { zone: 'right', position: { x: -340, y: 440 }, size: { width: 320, height: 360 } },
                 fileUpload: { zone: 'bottom', position: { x: 20, y: -200 }, size: { width: 400, height: 180 } }
             }
         };
@@ -699,6 +741,7 @@ export class ControlPanel {
                 audioControls: { zone: 'left', position: { x: 20, y: 20 }, size: { width: 280, height: 200 } },
                 materialControls: { zone: 'left', position: { x: 20, y: 240 }, size: { width: 280, height: 150 } },
                 visualControls: { zone: 'right', position: { x: -300, y: 20 }, size: { width: 280, height: 200 } },
+                modulationControls: { zone: 'right', position: { x: -300, y: 240 }, size: { width: 280, height: 200 } },
                 fileUpload: { zone: 'bottom', position: { x: 20, y: -120 }, size: { width: 300, height: 100 } }
             }
         };
@@ -710,6 +753,7 @@ export class ControlPanel {
                 audioControls: { zone: 'left', position: { x: 20, y: 20 }, size: { width: 300, height: 300 } },
                 materialControls: { zone: 'left', position: { x: 20, y: 340 }, size: { width: 300, height: 200 } },
                 visualControls: { zone: 'right', position: { x: -320, y: 20 }, size: { width: 300, height: 250 } },
+                modulationControls: { zone: 'right', position: { x: -320, y: 290 }, size: { width: 300, height: 300 } },
                 fileUpload: { zone: 'bottom', position: { x: 20, y: -150 }, size: { width: 350, height: 130 } }
             }
         };
@@ -801,6 +845,22 @@ export class ControlPanel {
             settingsBtn.addEventListener('click', this.showSettings.bind(this));
         }
         
+        // MIDI learn
+        const midiLearnBtn = this.elements.header.querySelector('.midi-learn-toggle');
+        if (midiLearnBtn) {
+            if (this.config.midiController) {
+                midiLearnBtn.addEventListener('click', this.toggleMidiLearn.bind(this));
+                this.config.midiController.on('learnChanged', this.handleMidiLearnChange);
+                this.config.midiController.on('mappingLearned', this.handleMidiMappingLearned);
+                
+                // Capture phase sees every control before its component handles it
+                this.elements.container.addEventListener('input', this.handleControlInteraction, true);
+                this.elements.container.addEventListener('change', this.handleControlInteraction, true);
+            } else {
+                midiLearnBtn.style.display = 'none';
+            }
+        }
+        
         // Preset controls
         const presetDropdown = this.elements.header.querySelector('.preset-dropdown');
         if (presetDropdown) {
@@ -1319,9 +1379,7 @@ export class ControlPanel {
         this.presetSystem.modified = true;
         
         // Trigger callback
-        if (this.callbacks.onParameterChange) {
-            this.callbacks.onParameterChange(parameter, value, source);
-        }
+        this.notifyParameterChange(parameter, value, source);
     }
     
     handleMaterialChange(materialId, properties) {
@@ -1340,9 +1398,7 @@ export class ControlPanel {
         this.presetSystem.modified = true;
         
         // Trigger callback
-        if (this.callbacks.onParameterChange) {
-            this.callbacks.onParameterChange('material', materialId, 'material');
-        }
+        this.notifyParameterChange('material', materialId, 'material');
     }
     
     handleVisualChange(effect, value, source) {
@@ -1355,9 +1411,107 @@ export class ControlPanel {
         this.presetSystem.modified = true;
         
         // Trigger callback
+        this.notifyParameterChange(effect, value, 'visual');
+    }
+    
+    handleModulationChange(action, value) {
+        // Mark preset as modified
+        this.presetSystem.modified = true;
+        
+        // Trigger callback
+        if (this.callbacks.onParameterChange) {
+            this.callbacks.onParameterChange('modulation', this.config.modulationMatrix.getRoutings(), 'modulation');
+        }
+    }
+    
+    /**
+     * Forward a parameter change to the application
+     * In MIDI-learn mode the changed parameter also becomes the learn target
+     */
+    notifyParameterChange(parameter, value, source) {
+        const midi = this.config.midiController;
+        if (midi && midi.isLearning()) {
+            midi.setLearnTarget(this.createMidiLearnTarget(parameter, value, source));
+        }
+        
         if (this.callbacks.onParameterChange) {
-            this.callbacks.onParameterChange(effect, value, 'visual');
+            this.callbacks.onParameterChange(parameter, value, source);
+        }
+    }
+    
+    /**
+     * MIDI-learn Handlers
+     */
+    
+    toggleMidiLearn() {
+        const midi = this.config.midiController;
+        
+        if (midi.isLearning()) {
+            midi.stopLearn();
+        } else {
+            this.midiLearn.lastControl = null;
+            midi.startLearn();
+        }
+    }
+    
+    handleControlInteraction(event) {
+        if (!this.config.midiController.isLearning()) return;
+        
+        const control = event.target;
+        if (control && (control.tagName === 'INPUT' || control.tagName === 'SELECT')) {
+            this.midiLearn.lastControl = control;
+        }
+    }
+    
+    /**
+     * Describe the parameter to bind, taking its range from the control that changed it
+     */
+    createMidiLearnTarget(parameter, value, source) {
+        const control = this.midiLearn.lastControl;
+        const target = {
+            parameter,
+            source,
+            label: `${source}: ${parameter}`
+        };
+        
+        if (control && control.type === 'range') {
+            target.min = parseFloat(control.min);
+            target.max = parseFloat(control.max);
+            target.step = parseFloat(control.step) || 0;
+        } else if (control && control.tagName === 'SELECT') {
+            target.values = Array.from(control.options).map(option => option.value);
+        } else if ((control && control.type === 'checkbox') || typeof value === 'boolean') {
+            target.values = [false, true];
+        } else if (typeof value === 'number') {
+            target.min = 0;
+            target.max = Math.max(1, value);
+        } else {
+            target.values = [value];
         }
+        
+        return target;
+    }
+    
+    handleMidiLearnChange({ active, target }) {
+        const button = this.elements.header.querySelector('.midi-learn-toggle');
+        if (button) {
+            button.classList.toggle('active', active);
+            button.setAttribute('aria-pressed', String(active));
+            button.title = !active ? 'MIDI learn' :
+                target ? `Move a MIDI control to bind ${target.label}` : 'Change a control, then move a MIDI control';
+        }
+        
+        this.elements.container.classList.toggle('midi-learn-active', active);
+    }
+    
+    handleMidiMappingLearned({ mapping }) {
+        const renderInfo = this.elements.statusBar.querySelector('#render-info');
+        if (renderInfo) {
+            const control = mapping.type === 'cc' ? `CC ${mapping.number}` : `Note ${mapping.number}`;
+            renderInfo.textContent = `MIDI ${control} (ch ${mapping.channel + 1}) → ${mapping.label || mapping.parameter}`;
+        }
+        
+        this.midiLearn.lastControl = null;
     }
     
     handleFileLoad(file, metadata) {
@@ -1501,6 +1655,11 @@ export class ControlPanel {
         window.removeEventListener('keydown', this.handleKeyboardInput);
         document.removeEventListener('visibilitychange', this.handleVisibilityChange);
         
+        if (this.config.midiController) {
+            this.config.midiController.off('learnChanged', this.handleMidiLearnChange);
+            this.config.midiController.off('mappingLearned', this.handleMidiMappingLearned);
+        }
+        
         // Destroy components
         Object.values(this.components).forEach(component => {
             if (component && component.destroy) {
@@ -1543,7 +1702,7 @@ export class ControlPanel {
         
         // Update all components
         Object.values(this.components).forEach(component => {
-            if (component.setAudioEngine) {
+            if (component && component.setAudioEngine) {
                 component.setAudioEngine(audioEngine);
             }
         });
@@ -1559,6 +1718,3 @@ export class ControlPanel {
         };
     }
 }
-
-// Export the ControlPanel class
-export { ControlPanel };
\ No newline at end of file
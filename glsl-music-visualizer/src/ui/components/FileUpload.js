@@ -45,6 +45,7 @@ export class FileUpload {
             
             // Integration
             audioEngine: options.audioEngine || null,
+            playlist: options.playlist || null,
             container: options.container || null,
             
             // Styling
@@ -1014,7 +1015,30 @@ export class FileUpload {
         
         // Process valid files
         if (validFiles.length > 0) {
-            await this.uploadFiles(validFiles);
+            const results = await this.uploadFiles(validFiles);
+            await this.queueResults(results);
+        }
+    }
+    
+    /**
+     * Add processed files to the playlist, starting playback when nothing is playing
+     */
+    async queueResults(results) {
+        const playlist = this.config.playlist;
+        if (!playlist || !results || results.length === 0) return;
+        
+        const tracks = playlist.addTracks(results.map(result => ({
+            source: result.file,
+            audioBuffer: result.audioBuffer,
+            metadata: result.metadata
+        })));
+        
+        if (tracks.length > 0 && !playlist.getCurrentTrack()) {
+            try {
+                await playlist.play(tracks[0]);
+            } catch (error) {
+                this.showError('Playback failed', error.message);
+            }
         }
     }
     
@@ -1044,11 +1068,13 @@ export class FileUpload {
         // Track performance
         this.performanceMetrics.uploadStartTime = performance.now();
         
+        const results = [];
+        
         try {
             // Process files sequentially for simplicity
             for (const file of files) {
                 try {
-                    await this.processFile(file);
+                    results.push(await this.processFile(file));
                     this.state.completedUploads.push(file);
                 } catch (error) {
                     console.error(`Failed to process ${file.name}:`, error);
@@ -1095,6 +1121,8 @@ export class FileUpload {
             this.elements.dropZone.classList.remove('uploading');
             this.elements.clearButton.disabled = false;
         }
+        
+        return results;
     }
     
     /**
@@ -1761,5 +1789,5 @@ export const FileUploadPresets = {
     }
 };
 
-// Export the main class and utilities
-export { FileUpload, FileUtils };
\ No newline at end of file
+// Re-export the file utilities used by the upload component
+export { FileUtils };
\ No newline at end of file
@@ -0,0 +1,635 @@
+/**
+ * Modulation Controls Component - Audio Modulation Matrix Editor
+ * Add, edit and remove routings from audio sources to visual parameters
+ * Location: src/ui/components/ModulationControls.js
+ */
+
+import { MODULATION_CURVES } from '../../core/ModulationMatrix.js';
+
+const CURVE_LABELS = {
+    linear: 'Linear',
+    exponential: 'Exponential',
+    logarithmic: 'Logarithmic',
+    sCurve: 'S-Curve',
+    step: 'Step'
+};
+
+export class ModulationControls {
+    constructor(options = {}) {
+        this.config = {
+            modulationMatrix: options.modulationMatrix || null,
+            materialManager: options.materialManager || null,
+            container: options.container || null,
+            meterInterval: options.meterInterval || 100,
+            theme: options.theme || 'dark',
+            accentColor: options.accentColor || '#00f5ff',
+            enableKeyboardNavigation: options.enableKeyboardNavigation !== false
+        };
+        
+        this.state = {
+            isInitialized: false,
+            isVisible: true,
+            newSource: 'bass',
+            newTarget: '',
+            presetName: '',
+            suppressRender: false
+        };
+        
+        this.elements = {
+            container: null,
+            header: null,
+            content: null,
+            routingList: null,
+            controls: new Map(),
+            meters: new Map()
+        };
+        
+        this.meterTimer = null;
+        
+        this.callbacks = {
+            onRoutingChange: options.onRoutingChange || null,
+            onPresetSaved: options.onPresetSaved || null
+        };
+        
+        // Bind methods
+        this.renderRoutings = this.renderRoutings.bind(this);
+        this.handleParametersChanged = this.handleParametersChanged.bind(this);
+        this.handleSourcesChanged = this.handleSourcesChanged.bind(this);
+        this.handleRoutingsChanged = this.handleRoutingsChanged.bind(this);
+        this.updateMeters = this.updateMeters.bind(this);
+        
+        console.log('ModulationControls initialized');
+    }
+    
+    async initialize() {
+        const matrix = this.config.modulationMatrix;
+        if (!matrix) {
+            throw new Error('ModulationControls requires a modulation matrix');
+        }
+        
+        try {
+            this.createUIStructure();
+            this.setupRoutingCreator();
+            this.setupRoutingList();
+            this.setupPresetControls();
+            this.setupEventListeners();
+            
+            matrix.on('routingsChanged', this.handleRoutingsChanged);
+            matrix.on('parametersChanged', this.handleParametersChanged);
+            matrix.on('sourcesChanged', this.handleSourcesChanged);
+            
+            this.meterTimer = setInterval(this.updateMeters, this.config.meterInterval);
+            
+            this.state.isInitialized = true;
+            console.log('ModulationControls component initialized successfully');
+            
+        } catch (error) {
+            console.error('Failed to initialize ModulationControls:', error);
+            throw error;
+        }
+    }
+    
+    createUIStructure() {
+        const container = this.config.container || document.body;
+        
+        this.elements.container = document.createElement('div');
+        this.elements.container.className = 'modulation-controls panel glass';
+        this.elements.container.setAttribute('role', 'region');
+        this.elements.container.setAttribute('aria-label', 'Audio Modulation Matrix');
+        
+        this.elements.header = document.createElement('div');
+        this.elements.header.className = 'panel-header';
+        this.elements.header.innerHTML = `
+            <h3 class="panel-title">Modulation</h3>
+            <div class="panel-controls">
+                <button class="modulation-clear btn-ghost" aria-label="Remove all routings">
+                    <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor">
+                        <polyline points="3 6 5 6 21 6"/>
+                        <path d="M19 6l-1 14a2 2 0 0 1-2 2H8a2 2 0 0 1-2-2L5 6"/>
+                    </svg>
+                </button>
+                <button class="panel-minimize btn-ghost" aria-label="Minimize panel">
+                    <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor">
+                        <path d="M18 6L6 18M6 6l12 12"/>
+                    </svg>
+                </button>
+            </div>
+        `;
+        
+        this.elements.content = document.createElement('div');
+        this.elements.content.className = 'panel-content modulation-controls-content';
+        
+        this.elements.container.appendChild(this.elements.header);
+        this.elements.container.appendChild(this.elements.content);
+        container.appendChild(this.elements.container);
+        
+        this.elements.container.style.cssText = `
+            position: absolute;
+            top: 440px;
+            right: 20px;
+            width: 320px;
+            max-height: calc(100vh - 460px);
+            overflow-y: auto;
+            z-index: 100;
+        `;
+    }
+    
+    setupRoutingCreator() {
+        const matrix = this.config.modulationMatrix;
+        const section = this.createControlSection('New Routing', 'modulation-new');
+        
+        const sourceControl = this.createSelectControl({
+            id: 'modulation-new-source',
+            label: 'Source',
+            options: matrix.getSources().map(source => ({ value: source.id, label: source.label, group: source.group })),
+            value: this.state.newSource,
+            onChange: (value) => {
+                this.state.newSource = value;
+            }
+        });
+        
+        const targetControl = this.createSelectControl({
+            id: 'modulation-new-target',
+            label: 'Target',
+            options: this.getTargetOptions(),
+            value: this.state.newTarget,
+            onChange: (value) => {
+                this.state.newTarget = value;
+            }
+        });
+        
+        const addButton = document.createElement('button');
+        addButton.className = 'btn btn-primary modulation-add';
+        addButton.textContent = 'Add Routing';
+        addButton.addEventListener('click', () => {
+            this.handleRoutingChange('add', {
+                source: this.state.newSource,
+                target: this.state.newTarget || this.elements.controls.get('modulation-new-target').select.value
+            });
+        });
+        
+        section.appendChild(sourceControl);
+        section.appendChild(targetControl);
+        section.appendChild(addButton);
+        this.elements.content.appendChild(section);
+    }
+    
+    setupRoutingList() {
+        const section = this.createControlSection('Routings', 'modulation-routings');
+        
+        this.elements.routingList = document.createElement('div');
+        this.elements.routingList.className = 'modulation-routing-list';
+        this.elements.routingList.setAttribute('role', 'list');
+        
+        section.appendChild(this.elements.routingList);
+        this.elements.content.appendChild(section);
+        
+        this.renderRoutings();
+    }
+    
+    setupPresetControls() {
+        if (!this.config.materialManager) return;
+        
+        const section = this.createControlSection('Save to Preset', 'modulation-preset');
+        
+        const nameInput = document.createElement('input');
+        nameInput.type = 'text';
+        nameInput.className = 'input modulation-preset-name';
+        nameInput.placeholder = 'Preset name';
+        nameInput.setAttribute('aria-label', 'Preset name');
+        nameInput.addEventListener('input', (e) => {
+            this.state.presetName = e.target.value.trim();
+        });
+        
+        const saveButton = document.createElement('button');
+        saveButton.className = 'btn btn-secondary modulation-preset-save';
+        saveButton.textContent = 'Save Material + Routings';
+        saveButton.addEventListener('click', () => this.saveAsPreset());
+        
+        section.appendChild(nameInput);
+        section.appendChild(saveButton);
+        this.elements.content.appendChild(section);
+    }
+    
+    /**
+     * Rebuild the routing cards from the matrix
+     */
+    renderRoutings() {
+        const matrix = this.config.modulationMatrix;
+        const list = this.elements.routingList;
+        if (!matrix || !list) return;
+        
+        // Drop controls of the previous cards
+        Array.from(this.elements.controls.keys())
+            .filter(id => id.startsWith('routing-'))
+            .forEach(id => this.elements.controls.delete(id));
+        this.elements.meters.clear();
+        list.innerHTML = '';
+        
+        const routings = matrix.getRoutings();
+        if (routings.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'control-description modulation-empty';
+            empty.textContent = 'No routings. Pick a source and a target above.';
+            list.appendChild(empty);
+            return;
+        }
+        
+        const sources = new Map(matrix.getSources().map(source => [source.id, source]));
+        const parameters = new Map(matrix.getParameters().map(parameter => [parameter.id, parameter]));
+        
+        routings.forEach(routing => {
+            list.appendChild(this.createRoutingCard(routing, sources.get(routing.source), parameters.get(routing.target)));
+        });
+    }
+    
+    createRoutingCard(routing, source, parameter) {
+        const card = document.createElement('div');
+        card.className = 'control-item modulation-routing';
+        card.setAttribute('role', 'listitem');
+        if (!parameter) {
+            card.classList.add('inactive');
+        }
+        
+        const prefix = `routing-${routing.id}`;
+        const update = (changes) => this.handleRoutingChange('update', { id: routing.id, changes });
+        
+        // Header: enable, name, level meter, remove
+        const header = document.createElement('div');
+        header.className = 'modulation-routing-header';
+        
+        const toggle = document.createElement('input');
+        toggle.type = 'checkbox';
+        toggle.className = 'toggle-input';
+        toggle.checked = routing.enabled;
+        toggle.setAttribute('aria-label', 'Enable routing');
+        toggle.addEventListener('change', (e) => update({ enabled: e.target.checked }));
+        
+        const title = document.createElement('span');
+        title.className = 'control-label modulation-routing-title';
+        title.textContent = `${source ? source.label : routing.source} → ${parameter ? parameter.label : routing.target}`;
+        if (!parameter) {
+            title.title = 'Target not available (inactive visualizer or system)';
+        }
+        
+        const meter = document.createElement('div');
+        meter.className = 'modulation-meter';
+        const meterFill = document.createElement('div');
+        meterFill.className = 'modulation-meter-fill';
+        meterFill.style.width = '0%';
+        meter.appendChild(meterFill);
+        this.elements.meters.set(routing.id, meterFill);
+        
+        const removeButton = document.createElement('button');
+        removeButton.className = 'btn-ghost';
+        removeButton.textContent = '✕';
+        removeButton.setAttribute('aria-label', `Remove routing ${title.textContent}`);
+        removeButton.addEventListener('click', () => this.handleRoutingChange('remove', routing.id));
+        
+        header.appendChild(toggle);
+        header.appendChild(title);
+        header.appendChild(meter);
+        header.appendChild(removeButton);
+        card.appendChild(header);
+        
+        // Parameters
+        card.appendChild(this.createSliderControl({
+            id: `${prefix}-depth`, label: 'Depth', min: -1, max: 1, step: 0.01, value: routing.depth,
+            onChange: (value) => update({ depth: value })
+        }));
+        
+        card.appendChild(this.createSelectControl({
+            id: `${prefix}-curve`,
+            label: 'Curve',
+            options: Object.keys(MODULATION_CURVES).map(curve => ({ value: curve, label: CURVE_LABELS[curve] || curve })),
+            value: routing.curve,
+            onChange: (value) => update({ curve: value })
+        }));
+        
+        card.appendChild(this.createSliderControl({
+            id: `${prefix}-smoothing`, label: 'Smoothing', min: 0, max: 0.99, step: 0.01, value: routing.smoothing,
+            onChange: (value) => update({ smoothing: value })
+        }));
+        
+        card.appendChild(this.createSliderControl({
+            id: `${prefix}-attack`, label: 'Attack', min: 0, max: 2, step: 0.01, value: routing.attack, unit: 's',
+            onChange: (value) => update({ attack: value })
+        }));
+        
+        card.appendChild(this.createSliderControl({
+            id: `${prefix}-release`, label: 'Release', min: 0, max: 2, step: 0.01, value: routing.release, unit: 's',
+            onChange: (value) => update({ release: value })
+        }));
+        
+        // Output window within the parameter span
+        card.appendChild(this.createSliderControl({
+            id: `${prefix}-range-min`, label: 'Range Min', min: 0, max: 1, step: 0.01, value: routing.range[0],
+            onChange: (value) => update({ range: [value, this.getSliderValue(`${prefix}-range-max`)] })
+        }));
+        
+        card.appendChild(this.createSliderControl({
+            id: `${prefix}-range-max`, label: 'Range Max', min: 0, max: 1, step: 0.01, value: routing.range[1],
+            onChange: (value) => update({ range: [this.getSliderValue(`${prefix}-range-min`), value] })
+        }));
+        
+        return card;
+    }
+    
+    /**
+     * Target options grouped by system
+     */
+    getTargetOptions() {
+        return this.config.modulationMatrix.getParameters().map(parameter => ({
+            value: parameter.id,
+            label: parameter.label,
+            group: parameter.group
+        }));
+    }
+    
+    getSliderValue(id) {
+        const control = this.elements.controls.get(id);
+        return control ? parseFloat(control.slider.value) : 0;
+    }
+    
+    handleRoutingChange(action, value) {
+        const matrix = this.config.modulationMatrix;
+        
+        try {
+            switch (action) {
+                case 'add':
+                    if (!value.target) return;
+                    matrix.addRouting(value);
+                    break;
+                case 'update':
+                    // Edits come from this card; keep it instead of rebuilding mid-drag
+                    this.state.suppressRender = true;
+                    matrix.updateRouting(value.id, value.changes);
+                    break;
+                case 'remove':
+                    matrix.removeRouting(value);
+                    break;
+                case 'clear':
+                    matrix.clearRoutings();
+                    break;
+            }
+        } catch (error) {
+            console.warn('Failed to update modulation routing:', error);
+        } finally {
+            this.state.suppressRender = false;
+        }
+        
+        if (this.callbacks.onRoutingChange) {
+            this.callbacks.onRoutingChange(action, value);
+        }
+    }
+    
+    handleRoutingsChanged() {
+        if (!this.state.suppressRender) {
+            this.renderRoutings();
+        }
+    }
+    
+    handleParametersChanged() {
+        // Refresh the target list, keeping the selection when it still exists
+        const control = this.elements.controls.get('modulation-new-target');
+        if (control) {
+            const selected = control.select.value;
+            this.populateSelect(control.select, this.getTargetOptions(), selected);
+        }
+        
+        this.renderRoutings();
+    }
+    
+    handleSourcesChanged({ sources }) {
+        // Stem sources come and go with stem sets
+        const control = this.elements.controls.get('modulation-new-source');
+        if (control) {
+            const options = sources.map(source => ({ value: source.id, label: source.label, group: source.group }));
+            this.populateSelect(control.select, options, this.state.newSource);
+        }
+        
+        this.renderRoutings();
+    }
+    
+    async saveAsPreset() {
+        const { materialManager, modulationMatrix } = this.config;
+        const name = this.state.presetName;
+        if (!materialManager || !name) return;
+        
+        const material = materialManager.getCurrentMaterial();
+        const properties = {};
+        ['physical', 'optical', 'electrical', 'thermal', 'audioReactivity'].forEach(group => {
+            if (material.properties && material.properties[group]) {
+                properties[group] = JSON.parse(JSON.stringify(material.properties[group]));
+            }
+        });
+        
+        try {
+            const preset = await materialManager.createCustomMaterial(name, properties, {
+                description: `${modulationMatrix.getRoutings().length} audio routings`,
+                tags: ['modulation'],
+                includeModulation: true
+            });
+            
+            console.log(`Saved modulation preset: ${preset.name}`);
+            
+            if (this.callbacks.onPresetSaved) {
+                this.callbacks.onPresetSaved(preset);
+            }
+        } catch (error) {
+            console.warn('Failed to save modulation preset:', error);
+        }
+    }
+    
+    updateMeters() {
+        if (!this.state.isVisible || this.elements.meters.size === 0) return;
+        
+        this.config.modulationMatrix.getStatus().routings.forEach(routing => {
+            const fill = this.elements.meters.get(routing.id);
+            if (fill) {
+                fill.style.width = `${Math.round(routing.value * 100)}%`;
+            }
+        });
+    }
+    
+    createControlSection(title, className) {
+        const section = document.createElement('div');
+        section.className = `control-group ${className}`;
+        
+        const header = document.createElement('div');
+        header.className = 'control-group-header';
+        header.innerHTML = `
+            <h4 class="control-group-title">${title}</h4>
+            <button class="section-toggle btn-ghost" aria-label="Toggle section">▼</button>
+        `;
+        
+        section.appendChild(header);
+        
+        const toggleButton = header.querySelector('.section-toggle');
+        toggleButton.addEventListener('click', () => {
+            section.classList.toggle('collapsed');
+            toggleButton.textContent = section.classList.contains('collapsed') ? '▶' : '▼';
+        });
+        
+        return section;
+    }
+    
+    createSliderControl(options) {
+        const container = document.createElement('div');
+        container.className = 'control-item slider-control';
+        
+        const label = document.createElement('label');
+        label.className = 'control-label';
+        label.textContent = options.label;
+        label.setAttribute('for', options.id);
+        
+        const sliderContainer = document.createElement('div');
+        sliderContainer.className = 'slider-container';
+        
+        const slider = document.createElement('input');
+        slider.type = 'range';
+        slider.id = options.id;
+        slider.className = 'slider';
+        slider.min = options.min;
+        slider.max = options.max;
+        slider.step = options.step;
+        slider.value = options.value;
+        
+        const valueDisplay = document.createElement('div');
+        valueDisplay.className = 'slider-value';
+        
+        const updateDisplay = (value) => {
+            valueDisplay.textContent = `${Number(value).toFixed(2)}${options.unit || ''}`;
+        };
+        
+        updateDisplay(options.value);
+        
+        slider.addEventListener('input', (e) => {
+            const value = parseFloat(e.target.value);
+            updateDisplay(value);
+            
+            if (options.onChange) {
+                options.onChange(value);
+            }
+        });
+        
+        sliderContainer.appendChild(slider);
+        sliderContainer.appendChild(valueDisplay);
+        container.appendChild(label);
+        container.appendChild(sliderContainer);
+        
+        this.elements.controls.set(options.id, { slider, valueDisplay, container });
+        return container;
+    }
+    
+    createSelectControl(options) {
+        const container = document.createElement('div');
+        container.className = 'control-item select-control';
+        
+        const label = document.createElement('label');
+        label.className = 'control-label';
+        label.textContent = options.label;
+        label.setAttribute('for', options.id);
+        
+        const select = document.createElement('select');
+        select.id = options.id;
+        select.className = 'input select';
+        this.populateSelect(select, options.options, options.value);
+        
+        select.addEventListener('change', (e) => {
+            if (options.onChange) {
+                options.onChange(e.target.value);
+            }
+        });
+        
+        container.appendChild(label);
+        container.appendChild(select);
+        
+        this.elements.controls.set(options.id, { select, container });
+        return container;
+    }
+    
+    /**
+     * Fill a select, using optgroups for options with a group
+     */
+    populateSelect(select, options, value) {
+        select.innerHTML = '';
+        const groups = new Map();
+        
+        options.forEach(option => {
+            const optionElement = document.createElement('option');
+            optionElement.value = option.value;
+            optionElement.textContent = option.label;
+            optionElement.selected = option.value === value;
+            
+            if (!option.group) {
+                select.appendChild(optionElement);
+                return;
+            }
+            
+            if (!groups.has(option.group)) {
+                const groupElement = document.createElement('optgroup');
+                groupElement.label = option.group.charAt(0).toUpperCase() + option.group.slice(1);
+                groups.set(option.group, groupElement);
+                select.appendChild(groupElement);
+            }
+            groups.get(option.group).appendChild(optionElement);
+        });
+    }
+    
+    setupEventListeners() {
+        const clearButton = this.elements.header.querySelector('.modulation-clear');
+        const minimizeButton = this.elements.header.querySelector('.panel-minimize');
+        
+        if (clearButton) {
+            clearButton.addEventListener('click', () => {
+                this.handleRoutingChange('clear');
+            });
+        }
+        
+        if (minimizeButton) {
+            minimizeButton.addEventListener('click', () => {
+                this.toggleVisibility();
+            });
+        }
+    }
+    
+    toggleVisibility() {
+        this.state.isVisible = !this.state.isVisible;
+        
+        if (this.state.isVisible) {
+            this.elements.container.classList.remove('collapsed');
+            this.elements.container.classList.add('expanded');
+        } else {
+            this.elements.container.classList.add('collapsed');
+            this.elements.container.classList.remove('expanded');
+        }
+    }
+    
+    getState() {
+        return {
+            isVisible: this.state.isVisible,
+            routings: this.config.modulationMatrix ? this.config.modulationMatrix.getRoutings() : []
+        };
+    }
+    
+    destroy() {
+        if (this.meterTimer) {
+            clearInterval(this.meterTimer);
+            this.meterTimer = null;
+        }
+        
+        const matrix = this.config.modulationMatrix;
+        if (matrix) {
+            matrix.off('routingsChanged', this.handleRoutingsChanged);
+            matrix.off('parametersChanged', this.handleParametersChanged);
+            matrix.off('sourcesChanged', this.handleSourcesChanged);
+        }
+        
+        if (this.elements.container && this.elements.container.parentNode) {
+            this.elements.container.parentNode.removeChild(this.elements.container);
+        }
+        
+        console.log('ModulationControls destroyed');
+    }
+}
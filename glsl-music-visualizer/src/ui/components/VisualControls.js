@@ -9,6 +9,7 @@ import { particleUI } from '../animations/ParticleUI.js';
 import { MathUtils } from '../../utils/MathUtils.js';
 import { ColorUtils } from '../../utils/ColorUtils.js';
 import { performanceMonitor } from '../../core/PerformanceMonitor.js';
+import { PASS_TYPES } from '../../core/PostProcessGraph.js';
 
 export class VisualControls {
     constructor(options = {}) {
@@ -54,7 +55,14 @@ export class VisualControls {
                 bloomIntensity: 0.8,
                 exposure: 1.0,
                 contrast: 1.0,
-                saturation: 1.0
+                saturation: 1.0,
+                chromaticAberration: 0.0,
+                vignette: 0.3,
+                filmGrain: 0.0
+            },
+            
+            effectChain: {
+                preset: 'default'
             },
             
             environmentSettings: {
@@ -83,6 +91,7 @@ export class VisualControls {
             header: null,
             content: null,
             statsDisplay: null,
+            effectChainList: null,
             controls: new Map()
         };
         
@@ -116,6 +125,7 @@ export class VisualControls {
         this.handleQualityChange = this.handleQualityChange.bind(this);
         this.handleKeyboardInput = this.handleKeyboardInput.bind(this);
         this.updateRenderStats = this.updateRenderStats.bind(this);
+        this.renderEffectChain = this.renderEffectChain.bind(this);
         
         console.log('VisualControls initialized');
     }
@@ -126,6 +136,7 @@ export class VisualControls {
             this.setupCameraControls();
             this.setupLightingControls();
             this.setupPostProcessingControls();
+            this.setupEffectChainControls();
             this.setupEnvironmentControls();
             this.setupQualityControls();
             this.setupAudioVisualControls();
@@ -499,6 +510,54 @@ export class VisualControls {
             }
         });
         
+        // Chromatic aberration control
+        const chromaticAberrationControl = this.createSliderControl({
+            id: 'chromatic-aberration',
+            label: 'Chromatic Aberration',
+            min: 0.0,
+            max: 1.0,
+            value: this.state.postProcessingSettings.chromaticAberration,
+            step: 0.01,
+            unit: '',
+            description: 'Color fringing towards the frame edges',
+            onChange: (value) => {
+                this.state.postProcessingSettings.chromaticAberration = value;
+                this.handlePostProcessingChange('chromaticAberration', value);
+            }
+        });
+        
+        // Vignette control
+        const vignetteControl = this.createSliderControl({
+            id: 'vignette',
+            label: 'Vignette',
+            min: 0.0,
+            max: 1.0,
+            value: this.state.postProcessingSettings.vignette,
+            step: 0.01,
+            unit: '',
+            description: 'Darkening towards the frame corners',
+            onChange: (value) => {
+                this.state.postProcessingSettings.vignette = value;
+                this.handlePostProcessingChange('vignette', value);
+            }
+        });
+        
+        // Film grain control
+        const filmGrainControl = this.createSliderControl({
+            id: 'film-grain',
+            label: 'Film Grain',
+            min: 0.0,
+            max: 1.0,
+            value: this.state.postProcessingSettings.filmGrain,
+            step: 0.01,
+            unit: '',
+            description: 'Animated film grain strength',
+            onChange: (value) => {
+                this.state.postProcessingSettings.filmGrain = value;
+                this.handlePostProcessingChange('filmGrain', value);
+            }
+        });
+        
         postProcessingSection.appendChild(postProcessingToggle);
         postProcessingSection.appendChild(bloomToggle);
         postProcessingSection.appendChild(bloomThresholdControl);
@@ -506,9 +565,126 @@ export class VisualControls {
         postProcessingSection.appendChild(exposureControl);
         postProcessingSection.appendChild(contrastControl);
         postProcessingSection.appendChild(saturationControl);
+        postProcessingSection.appendChild(chromaticAberrationControl);
+        postProcessingSection.appendChild(vignetteControl);
+        postProcessingSection.appendChild(filmGrainControl);
         this.elements.content.appendChild(postProcessingSection);
     }
     
+    getEffectGraph() {
+        const renderEngine = this.config.renderEngine;
+        return renderEngine && renderEngine.getPostProcessGraph ? renderEngine.getPostProcessGraph() : null;
+    }
+    
+    setupEffectChainControls() {
+        const graph = this.getEffectGraph();
+        if (!graph) return;
+        
+        const effectChainSection = this.createControlSection('Effect Chain', 'effect-chain-controls');
+        
+        // Chain preset selector
+        const presetControl = this.createSelectControl({
+            id: 'effect-chain-preset',
+            label: 'Chain Preset',
+            options: graph.getPresetNames().map(name => ({
+                value: name,
+                label: name.charAt(0).toUpperCase() + name.slice(1)
+            })),
+            value: this.state.effectChain.preset,
+            description: 'Load a predefined pass chain',
+            onChange: (value) => {
+                this.state.effectChain.preset = value;
+                this.handleEffectChainChange('preset', value);
+            }
+        });
+        
+        // Ordered pass list, rebuilt whenever the chain changes
+        this.elements.effectChainList = document.createElement('div');
+        this.elements.effectChainList.className = 'effect-chain-list';
+        this.elements.effectChainList.setAttribute('role', 'list');
+        
+        // Append a pass of the chosen type
+        const addPassControl = this.createSelectControl({
+            id: 'effect-chain-add',
+            label: 'Add Pass',
+            options: [
+                { value: '', label: 'Select effect…' },
+                ...Object.entries(PASS_TYPES).map(([type, template]) => ({ value: type, label: template.label }))
+            ],
+            value: '',
+            description: 'Append an effect pass to the chain',
+            onChange: (value) => {
+                if (!value) return;
+                this.handleEffectChainChange('add', value);
+                this.elements.controls.get('effect-chain-add').select.value = '';
+            }
+        });
+        
+        effectChainSection.appendChild(presetControl);
+        effectChainSection.appendChild(this.elements.effectChainList);
+        effectChainSection.appendChild(addPassControl);
+        this.elements.content.appendChild(effectChainSection);
+        
+        graph.on('chainChanged', this.renderEffectChain);
+        this.renderEffectChain();
+    }
+    
+    renderEffectChain() {
+        const graph = this.getEffectGraph();
+        const list = this.elements.effectChainList;
+        if (!graph || !list) return;
+        
+        list.innerHTML = '';
+        
+        const passes = graph.getPasses();
+        passes.forEach((pass, index) => {
+            const row = document.createElement('div');
+            row.className = 'control-item effect-pass';
+            row.setAttribute('role', 'listitem');
+            
+            const toggle = document.createElement('input');
+            toggle.type = 'checkbox';
+            toggle.className = 'toggle-input';
+            toggle.checked = pass.enabled;
+            toggle.setAttribute('aria-label', `Enable ${pass.label}`);
+            toggle.addEventListener('change', (e) => {
+                this.handleEffectChainChange('enabled', { id: pass.id, enabled: e.target.checked });
+            });
+            
+            const label = document.createElement('span');
+            label.className = 'control-label effect-pass-label';
+            label.textContent = pass.label;
+            
+            const actions = document.createElement('div');
+            actions.className = 'effect-pass-actions';
+            
+            [
+                { text: '▲', title: 'Move up', disabled: index === 0, action: () => this.handleEffectChainChange('move', { id: pass.id, index: index - 1 }) },
+                { text: '▼', title: 'Move down', disabled: index === passes.length - 1, action: () => this.handleEffectChainChange('move', { id: pass.id, index: index + 1 }) },
+                { text: '✕', title: 'Remove', disabled: false, action: () => this.handleEffectChainChange('remove', pass.id) }
+            ].forEach(({ text, title, disabled, action }) => {
+                const button = document.createElement('button');
+                button.className = 'btn-ghost';
+                button.textContent = text;
+                button.disabled = disabled;
+                button.setAttribute('aria-label', `${title} ${pass.label}`);
+                button.addEventListener('click', action);
+                actions.appendChild(button);
+            });
+            
+            row.appendChild(toggle);
+            row.appendChild(label);
+            row.appendChild(actions);
+            list.appendChild(row);
+        });
+        
+        // Keep the selector in sync when a preset is loaded elsewhere
+        const presetControl = this.elements.controls.get('effect-chain-preset');
+        if (presetControl && graph.currentPreset) {
+            presetControl.select.value = graph.currentPreset;
+        }
+    }
+    
     setupEnvironmentControls() {
         const environmentSection = this.createControlSection('Environment', 'environment-controls');
         
@@ -1089,6 +1265,7 @@ export class VisualControls {
                 this.config.renderEngine.setCameraFOV(this.state.cameraSettings.fov * Math.PI / 180);
                 this.config.renderEngine.setRenderScale(this.state.qualitySettings.renderScale);
                 this.config.renderEngine.setQuality(this.state.qualitySettings);
+                this.config.renderEngine.setPostProcessingSettings(this.state.postProcessingSettings);
                 
             } catch (error) {
                 console.warn('Failed to load initial visual settings:', error);
@@ -1130,11 +1307,48 @@ export class VisualControls {
     handlePostProcessingChange(property, value) {
         console.log(`VisualControls post-processing changed: ${property} = ${value}`);
         
+        if (this.config.renderEngine) {
+            this.config.renderEngine.setPostProcessingSettings({ [property]: value });
+        }
+        
         if (this.callbacks.onPostProcessingChange) {
             this.callbacks.onPostProcessingChange(property, value);
         }
     }
     
+    async handleEffectChainChange(action, value) {
+        console.log(`VisualControls effect chain changed: ${action}`, value);
+        
+        const graph = this.getEffectGraph();
+        if (!graph) return;
+        
+        try {
+            switch (action) {
+                case 'preset':
+                    await graph.loadPreset(value);
+                    break;
+                case 'add':
+                    await graph.addPass({ type: value });
+                    break;
+                case 'remove':
+                    graph.removePass(value);
+                    break;
+                case 'move':
+                    graph.movePass(value.id, value.index);
+                    break;
+                case 'enabled':
+                    graph.setPassEnabled(value.id, value.enabled);
+                    break;
+            }
+        } catch (error) {
+            console.warn('Failed to update effect chain:', error);
+        }
+        
+        if (this.callbacks.onPostProcessingChange) {
+            this.callbacks.onPostProcessingChange(`chain:${action}`, value);
+        }
+    }
+    
     handleEnvironmentChange(property, value) {
         console.log(`VisualControls environment changed: ${property} = ${value}`);
     }
@@ -1228,6 +1442,12 @@ export class VisualControls {
         this.state.postProcessingSettings.exposure = 1.0;
         this.state.postProcessingSettings.contrast = 1.0;
         this.state.postProcessingSettings.saturation = 1.0;
+        this.state.postProcessingSettings.chromaticAberration = 0.0;
+        this.state.postProcessingSettings.vignette = 0.3;
+        this.state.postProcessingSettings.filmGrain = 0.0;
+        
+        this.state.effectChain.preset = 'default';
+        this.handleEffectChainChange('preset', 'default');
         
         this.state.qualitySettings.renderScale = 1.0;
         this.state.qualitySettings.adaptiveQuality = true;
@@ -1290,6 +1510,9 @@ export class VisualControls {
             'exposure': this.state.postProcessingSettings.exposure,
             'contrast': this.state.postProcessingSettings.contrast,
             'saturation': this.state.postProcessingSettings.saturation,
+            'chromatic-aberration': this.state.postProcessingSettings.chromaticAberration,
+            'vignette': this.state.postProcessingSettings.vignette,
+            'film-grain': this.state.postProcessingSettings.filmGrain,
             'skybox-enabled': this.state.environmentSettings.skyboxEnabled,
             'skybox-intensity': this.state.environmentSettings.skyboxIntensity,
             'environment-map': this.state.environmentSettings.environmentMap,
@@ -1495,6 +1718,11 @@ export class VisualControls {
         
         window.removeEventListener('resize', this.handleResize);
         
+        const graph = this.getEffectGraph();
+        if (graph) {
+            graph.off('chainChanged', this.renderEffectChain);
+        }
+        
         if (this.elements.container && this.elements.container.parentNode) {
             this.elements.container.parentNode.removeChild(this.elements.container);
         }
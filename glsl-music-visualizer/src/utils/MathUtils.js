@@ -16,6 +16,9 @@ export class MathUtils {
     static EPSILON = 1e-6;
     static GOLDEN_RATIO = (1 + Math.sqrt(5)) / 2;
     
+    // Seeded random source (see setRandomSource)
+    static randomSource = null;
+    
     /**
      * Clamp a value between min and max
      * @param {number} value - Value to clamp
@@ -349,7 +352,17 @@ export class MathUtils {
      * @returns {number} Random number
      */
     static random(min = 0, max = 1) {
-        return min + Math.random() * (max - min);
+        const value = this.randomSource ? this.randomSource.next() : Math.random();
+        return min + value * (max - min);
+    }
+    
+    /**
+     * Route random(), randomInt() and randomNormal() through a seeded source
+     * @param {Object|null} source - Object with next() returning [0, 1) (null for Math.random)
+     */
+    static setRandomSource(source) {
+        this.randomSource = source;
+        delete this._spareNormal;
     }
     
     /**
@@ -376,8 +389,8 @@ export class MathUtils {
             return spare * stdDev + mean;
         }
         
-        const u = Math.random();
-        const v = Math.random();
+        const u = 1 - this.random();
+        const v = this.random();
         const mag = stdDev * Math.sqrt(-2 * Math.log(u));
         
         this._spareNormal = mag * Math.cos(2 * Math.PI * v);
@@ -483,6 +496,70 @@ export class MathUtils {
         return result;
     }
     
+    /**
+     * Compact the rows of a mostly-zero weight matrix (filter banks, templates)
+     * to their non-zero entries, so applying them costs their support, not the
+     * spectrum length
+     * @param {Array<Float32Array>} rows - Dense weight rows
+     * @returns {Array<Object>} Sparse rows { indices, weights }
+     */
+    static sparseRows(rows) {
+        return rows.map(row => {
+            let count = 0;
+            for (let k = 0; k < row.length; k++) {
+                if (row[k] !== 0) count++;
+            }
+            
+            const indices = new Uint32Array(count);
+            const weights = new Float32Array(count);
+            let n = 0;
+            for (let k = 0; k < row.length; k++) {
+                if (row[k] !== 0) {
+                    indices[n] = k;
+                    weights[n] = row[k];
+                    n++;
+                }
+            }
+            
+            return { indices, weights };
+        });
+    }
+    
+    /**
+     * Dot product of a sparse row (see sparseRows) with a dense vector
+     * Entries past the end of a shorter vector are skipped.
+     * @param {Object} row - Sparse row { indices, weights }
+     * @param {Float32Array|Array} values - Dense values
+     * @returns {number} Weighted sum
+     */
+    static sparseDot(row, values) {
+        const { indices, weights } = row;
+        let sum = 0;
+        for (let n = 0; n < indices.length && indices[n] < values.length; n++) {
+            sum += values[indices[n]] * weights[n];
+        }
+        return sum;
+    }
+    
+    /**
+     * DCT-II basis, scaled for MFCCs: table[c * size + m] = sqrt(2 / size) * cos(pi * c * (m + 0.5) / size)
+     * @param {number} coefficients - Number of coefficients
+     * @param {number} size - Input length
+     * @returns {Float64Array} Basis table
+     */
+    static dctTable(coefficients, size) {
+        const table = new Float64Array(coefficients * size);
+        const scale = Math.sqrt(2 / size);
+        
+        for (let c = 0; c < coefficients; c++) {
+            for (let m = 0; m < size; m++) {
+                table[c * size + m] = Math.cos(Math.PI * c * (m + 0.5) / size) * scale;
+            }
+        }
+        
+        return table;
+    }
+    
     // === PHYSICS AND ANIMATION HELPERS ===
     
     /**
@@ -0,0 +1,187 @@
+/**
+ * Random Service
+ * Application-wide seeded random number source shared through system integrations
+ * Location: src/utils/RandomService.js
+ *
+ * Owns the run seed and hands out named, independent SeededRandom streams, so adding
+ * random calls to one system never shifts the sequence seen by another. The seed is
+ * always concrete (a random one is picked and recorded when none is given), so any
+ * run can be reproduced from its stored seed.
+ */
+
+import { SeededRandom } from './SeededRandom.js';
+
+export class RandomService {
+    /**
+     * @param {number|string|null} seed - Run seed (a random seed is picked when null)
+     */
+    constructor(seed = null) {
+        // Named streams, created on first use
+        this.streams = new Map();
+        this.seed = null;
+        
+        // Event system
+        this.eventCallbacks = new Map([
+            ['seedChanged', []]
+        ]);
+        
+        this.setSeed(seed);
+    }
+    
+    /**
+     * Set the run seed and restart every stream
+     * @param {number|string|null} seed - Run seed (a random seed is picked when null)
+     */
+    setSeed(seed) {
+        this.seed = seed === null || seed === undefined ? SeededRandom.normalizeSeed(null) : seed;
+        this.restartStreams();
+        
+        this.emit('seedChanged', { seed: this.seed });
+    }
+    
+    /**
+     * Get the run seed
+     * @returns {number|string} Seed
+     */
+    getSeed() {
+        return this.seed;
+    }
+    
+    /**
+     * Derive the seed for a named consumer
+     * @param {string} name - Consumer name
+     * @returns {number} Derived seed
+     */
+    deriveSeed(name) {
+        return SeededRandom.derive(this.seed, name);
+    }
+    
+    /**
+     * Get the random stream for a named consumer
+     * @param {string} name - Consumer name
+     * @returns {SeededRandom} Random stream
+     */
+    getStream(name = 'default') {
+        if (!this.streams.has(name)) {
+            this.streams.set(name, new SeededRandom(this.deriveSeed(name)));
+        }
+        return this.streams.get(name);
+    }
+    
+    /**
+     * Next value in [0, 1) from the default stream
+     * @returns {number} Random value
+     */
+    next() {
+        return this.getStream().next();
+    }
+    
+    /**
+     * Random value in range from the default stream
+     * @param {number} min - Minimum value
+     * @param {number} max - Maximum value
+     * @returns {number} Random value
+     */
+    range(min, max) {
+        return this.getStream().range(min, max);
+    }
+    
+    /**
+     * Random integer in range (inclusive) from the default stream
+     * @param {number} min - Minimum value
+     * @param {number} max - Maximum value
+     * @returns {number} Random integer
+     */
+    int(min, max) {
+        return this.getStream().int(min, max);
+    }
+    
+    /**
+     * Get the seed and every stream position for save/restore
+     * @returns {Object} Service state { seed, streams }
+     */
+    getState() {
+        const streams = {};
+        this.streams.forEach((stream, name) => {
+            streams[name] = stream.getState();
+        });
+        
+        return { seed: this.seed, streams };
+    }
+    
+    /**
+     * Restore the seed and stream positions saved by getState()
+     * Streams missing from the state restart from their derived seed. This rewinds
+     * the run rather than starting a new one, so seedChanged is not emitted.
+     * @param {Object} state - State from getState()
+     */
+    setState(state) {
+        this.seed = state.seed;
+        this.restartStreams();
+        
+        Object.entries(state.streams || {}).forEach(([name, streamState]) => {
+            this.getStream(name).setState(streamState);
+        });
+    }
+    
+    /**
+     * Restart every stream from its derived seed
+     */
+    restartStreams() {
+        this.streams.forEach((stream, name) => {
+            stream.setSeed(this.deriveSeed(name));
+        });
+    }
+    
+    /**
+     * Event system methods
+     */
+    on(event, callback) {
+        if (this.eventCallbacks.has(event)) {
+            this.eventCallbacks.get(event).push(callback);
+        }
+    }
+    
+    off(event, callback) {
+        if (this.eventCallbacks.has(event)) {
+            const callbacks = this.eventCallbacks.get(event);
+            const index = callbacks.indexOf(callback);
+            if (index !== -1) {
+                callbacks.splice(index, 1);
+            }
+        }
+    }
+    
+    emit(event, data) {
+        if (this.eventCallbacks.has(event)) {
+            this.eventCallbacks.get(event).forEach(callback => {
+                try {
+                    callback(data);
+                } catch (error) {
+                    console.error(`Error in event callback for ${event}:`, error);
+                }
+            });
+        }
+    }
+    
+    /**
+     * Get service status
+     * @returns {Object} Status
+     */
+    getStatus() {
+        return {
+            seed: this.seed,
+            streams: Array.from(this.streams.keys())
+        };
+    }
+    
+    /**
+     * Release listeners and streams
+     */
+    dispose() {
+        this.streams.clear();
+        this.eventCallbacks.forEach(callbacks => {
+            callbacks.length = 0;
+        });
+    }
+}
@@ -0,0 +1,108 @@
+/**
+ * Seeded Random
+ * Small, fast, reproducible pseudo-random number generator (mulberry32)
+ * Location: src/utils/SeededRandom.js
+ *
+ * The same seed always produces the same sequence on every machine, which is what
+ * makes simulation output repeatable for frame-by-frame export.
+ */
+
+export class SeededRandom {
+    /**
+     * @param {number|string|null} seed - Seed value (random seed when null)
+     */
+    constructor(seed = null) {
+        this.setSeed(seed);
+    }
+    
+    /**
+     * Convert any seed value to a 32-bit unsigned integer
+     * @param {number|string|null} seed - Seed value
+     * @returns {number} Normalized seed
+     */
+    static normalizeSeed(seed) {
+        if (seed === null || seed === undefined) {
+            return (Math.random() * 0x100000000) >>> 0;
+        }
+        
+        if (typeof seed === 'string') {
+            // FNV-1a hash
+            let hash = 0x811c9dc5;
+            for (let i = 0; i < seed.length; i++) {
+                hash ^= seed.charCodeAt(i);
+                hash = Math.imul(hash, 0x01000193);
+            }
+            return hash >>> 0;
+        }
+        
+        return Math.floor(seed) >>> 0;
+    }
+    
+    /**
+     * Derive an independent seed for a subsystem from a base seed
+     * @param {number|string|null} seed - Base seed (null stays null)
+     * @param {string} salt - Subsystem name
+     * @returns {number|null} Derived seed
+     */
+    static derive(seed, salt) {
+        if (seed === null || seed === undefined) return null;
+        return SeededRandom.normalizeSeed(`${SeededRandom.normalizeSeed(seed)}:${salt}`);
+    }
+    
+    /**
+     * Restart the sequence from a seed
+     * @param {number|string|null} seed - Seed value
+     */
+    setSeed(seed) {
+        this.seed = SeededRandom.normalizeSeed(seed);
+        this.state = this.seed;
+    }
+    
+    /**
+     * Next value in [0, 1)
+     * @returns {number} Random value
+     */
+    next() {
+        let t = (this.state = (this.state + 0x6D2B79F5) >>> 0);
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+    
+    /**
+     * Random value in range
+     * @param {number} min - Minimum value
+     * @param {number} max - Maximum value
+     * @returns {number} Random value
+     */
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+    
+    /**
+     * Random integer in range (inclusive)
+     * @param {number} min - Minimum value
+     * @param {number} max - Maximum value
+     * @returns {number} Random integer
+     */
+    int(min, max) {
+        return Math.floor(this.range(min, max + 1));
+    }
+    
+    /**
+     * Get generator state for save/restore
+     * @returns {Object} Generator state
+     */
+    getState() {
+        return { seed: this.seed, state: this.state };
+    }
+    
+    /**
+     * Restore generator state
+     * @param {Object} state - State from getState()
+     */
+    setState(state) {
+        this.seed = state.seed >>> 0;
+        this.state = state.state >>> 0;
+    }
+}
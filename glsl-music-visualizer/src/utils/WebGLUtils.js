@@ -238,9 +238,12 @@ export class WebGLUtils {
      * @param {WebGLShader} vertexShader - Compiled vertex shader
      * @param {WebGLShader} fragmentShader - Compiled fragment shader
      * @param {string} name - Program name for debugging
+     * @param {Object} options - Link options
+     * @param {Array<string>} options.transformFeedbackVaryings - Captured vertex outputs (WebGL2)
+     * @param {string} options.transformFeedbackMode - 'interleaved' (default) or 'separate'
      * @returns {WebGLProgram} Linked shader program
      */
-    createProgram(gl, vertexShader, fragmentShader, name = 'unnamed') {
+    createProgram(gl, vertexShader, fragmentShader, name = 'unnamed', options = {}) {
         const cacheKey = `${name}_${vertexShader}_${fragmentShader}`;
         
         if (this.programCache.has(cacheKey)) {
@@ -255,6 +258,14 @@ export class WebGLUtils {
         
         gl.attachShader(program, vertexShader);
         gl.attachShader(program, fragmentShader);
+        
+        // Captured outputs have to be declared before linking
+        if (options.transformFeedbackVaryings) {
+            const bufferMode = options.transformFeedbackMode === 'separate' ?
+                gl.SEPARATE_ATTRIBS : gl.INTERLEAVED_ATTRIBS;
+            gl.transformFeedbackVaryings(program, options.transformFeedbackVaryings, bufferMode);
+        }
+        
         gl.linkProgram(program);
         
         if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
@@ -371,6 +382,7 @@ export class WebGLUtils {
             format = gl.RGBA,
             type = gl.UNSIGNED_BYTE,
             depth = true,
+            depthTexture = false,
             stencil = false
         } = options;
         
@@ -396,9 +408,34 @@ export class WebGLUtils {
         );
         
         let depthBuffer = null;
-        
-        // Add depth/stencil buffer if requested
-        if (depth || stencil) {
+        let depthTextureObject = null;
+        
+        // Sampleable depth (WebGL2 or WEBGL_depth_texture), otherwise fall back to a renderbuffer
+        const canSampleDepth = this.capabilities.isWebGL2 || this.extensions.has('WEBGL_depth_texture');
+        
+        if (depthTexture && canSampleDepth && !stencil) {
+            depthTextureObject = gl.createTexture();
+            gl.bindTexture(gl.TEXTURE_2D, depthTextureObject);
+            gl.texImage2D(
+                gl.TEXTURE_2D,
+                0,
+                this.capabilities.isWebGL2 ? gl.DEPTH_COMPONENT24 : gl.DEPTH_COMPONENT,
+                width,
+                height,
+                0,
+                gl.DEPTH_COMPONENT,
+                gl.UNSIGNED_INT,
+                null
+            );
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+            gl.bindTexture(gl.TEXTURE_2D, null);
+            
+            gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.DEPTH_ATTACHMENT, gl.TEXTURE_2D, depthTextureObject, 0);
+        } else if (depth || depthTexture || stencil) {
+            // Add depth/stencil buffer if requested
             depthBuffer = gl.createRenderbuffer();
             gl.bindRenderbuffer(gl.RENDERBUFFER, depthBuffer);
             
@@ -422,6 +459,7 @@ export class WebGLUtils {
             framebuffer,
             colorTexture,
             depthBuffer,
+            depthTexture: depthTextureObject,
             width,
             height
         };
@@ -0,0 +1,320 @@
+/**
+ * WebM Writer
+ * Minimal WebM (Matroska) muxer for encoded video chunks
+ * Location: src/utils/WebMWriter.js
+ *
+ * Packs VP8/VP9 chunks produced by the WebCodecs VideoEncoder into a single-track
+ * WebM file with exact timestamps, a seek head and cues. Video only.
+ */
+
+// EBML element IDs
+const EBML_IDS = {
+    EBML: 0x1A45DFA3,
+    EBMLVersion: 0x4286,
+    EBMLReadVersion: 0x42F7,
+    EBMLMaxIDLength: 0x42F2,
+    EBMLMaxSizeLength: 0x42F3,
+    DocType: 0x4282,
+    DocTypeVersion: 0x4287,
+    DocTypeReadVersion: 0x4285,
+    Segment: 0x18538067,
+    SeekHead: 0x114D9B74,
+    Seek: 0x4DBB,
+    SeekID: 0x53AB,
+    SeekPosition: 0x53AC,
+    Info: 0x1549A966,
+    TimecodeScale: 0x2AD7B1,
+    MuxingApp: 0x4D80,
+    WritingApp: 0x5741,
+    Duration: 0x4489,
+    Tracks: 0x1654AE6B,
+    TrackEntry: 0xAE,
+    TrackNumber: 0xD7,
+    TrackUID: 0x73C5,
+    TrackType: 0x83,
+    CodecID: 0x86,
+    DefaultDuration: 0x23E383,
+    Video: 0xE0,
+    PixelWidth: 0xB0,
+    PixelHeight: 0xBA,
+    Cluster: 0x1F43B675,
+    Timecode: 0xE7,
+    SimpleBlock: 0xA3,
+    Cues: 0x1C53BB6B,
+    CuePoint: 0xBB,
+    CueTime: 0xB3,
+    CueTrackPositions: 0xB7,
+    CueTrack: 0xF7,
+    CueClusterPosition: 0xF1
+};
+
+const CODEC_IDS = {
+    vp8: 'V_VP8',
+    vp9: 'V_VP9',
+    av1: 'V_AV1'
+};
+
+// Block timecodes are signed 16-bit offsets from the cluster timecode (milliseconds)
+const MAX_CLUSTER_DURATION = 30000;
+
+export class WebMWriter {
+    /**
+     * @param {Object} options - Stream description
+     * @param {number} options.width - Frame width in pixels
+     * @param {number} options.height - Frame height in pixels
+     * @param {string} options.codec - 'vp8', 'vp9' or 'av1'
+     * @param {number} options.frameRate - Frames per second
+     */
+    constructor(options = {}) {
+        this.config = {
+            width: 1920,
+            height: 1080,
+            codec: 'vp9',
+            frameRate: 60,
+            ...options
+        };
+        
+        if (!CODEC_IDS[this.config.codec]) {
+            throw new Error(`Unsupported WebM codec: ${this.config.codec}`);
+        }
+        
+        // Finished clusters
+        this.clusters = [];
+        this.clustersSize = 0;
+        this.cues = [];
+        
+        // Cluster being filled
+        this.currentCluster = null;
+        this.lastTimestamp = 0;
+    }
+    
+    /**
+     * Add an encoded frame
+     * @param {Uint8Array} data - Encoded frame data
+     * @param {number} timestamp - Presentation time in microseconds
+     * @param {boolean} isKeyFrame - Whether the frame is a key frame
+     */
+    addFrame(data, timestamp, isKeyFrame) {
+        const timecode = Math.round(timestamp / 1000);
+        
+        if (!this.currentCluster ||
+            (isKeyFrame && timecode !== this.currentCluster.timecode) ||
+            timecode - this.currentCluster.timecode > MAX_CLUSTER_DURATION) {
+            this.flushCluster();
+            this.currentCluster = { timecode, blocks: [], hasKeyFrame: isKeyFrame };
+        }
+        
+        // Track number (vint), relative timecode (int16), flags
+        const header = new Uint8Array(4);
+        const relative = timecode - this.currentCluster.timecode;
+        header[0] = 0x81;
+        header[1] = (relative >> 8) & 0xFF;
+        header[2] = relative & 0xFF;
+        header[3] = isKeyFrame ? 0x80 : 0x00;
+        
+        this.currentCluster.blocks.push(WebMWriter.element(EBML_IDS.SimpleBlock, [header, data]));
+        this.lastTimestamp = Math.max(this.lastTimestamp, timestamp);
+    }
+    
+    /**
+     * Close the current cluster
+     */
+    flushCluster() {
+        if (!this.currentCluster) return;
+        
+        const { timecode, blocks, hasKeyFrame } = this.currentCluster;
+        const cluster = WebMWriter.element(EBML_IDS.Cluster, [
+            WebMWriter.uint(EBML_IDS.Timecode, timecode),
+            ...blocks
+        ]);
+        
+        if (hasKeyFrame) {
+            this.cues.push({ time: timecode, position: this.clustersSize });
+        }
+        
+        this.clusters.push(cluster);
+        this.clustersSize += cluster.length;
+        this.currentCluster = null;
+    }
+    
+    /**
+     * Finish the file
+     * @returns {Blob} WebM file
+     */
+    finalize() {
+        this.flushCluster();
+        
+        const { width, height, codec, frameRate } = this.config;
+        const durationMs = this.lastTimestamp / 1000 + 1000 / frameRate;
+        
+        const info = WebMWriter.element(EBML_IDS.Info, [
+            WebMWriter.uint(EBML_IDS.TimecodeScale, 1000000),
+            WebMWriter.string(EBML_IDS.MuxingApp, 'glsl-music-visualizer'),
+            WebMWriter.string(EBML_IDS.WritingApp, 'glsl-music-visualizer'),
+            WebMWriter.float(EBML_IDS.Duration, durationMs)
+        ]);
+        
+        const tracks = WebMWriter.element(EBML_IDS.Tracks, [
+            WebMWriter.element(EBML_IDS.TrackEntry, [
+                WebMWriter.uint(EBML_IDS.TrackNumber, 1),
+                WebMWriter.uint(EBML_IDS.TrackUID, 1),
+                WebMWriter.uint(EBML_IDS.TrackType, 1),
+                WebMWriter.string(EBML_IDS.CodecID, CODEC_IDS[codec]),
+                WebMWriter.uint(EBML_IDS.DefaultDuration, Math.round(1e9 / frameRate)),
+                WebMWriter.element(EBML_IDS.Video, [
+                    WebMWriter.uint(EBML_IDS.PixelWidth, width),
+                    WebMWriter.uint(EBML_IDS.PixelHeight, height)
+                ])
+            ])
+        ]);
+        
+        // Positions are relative to the start of the segment payload; the seek head
+        // uses fixed-width positions so its own size is known before they are
+        const seekHeadSize = WebMWriter.createSeekHead(0, 0, 0).length;
+        const infoPosition = seekHeadSize;
+        const tracksPosition = infoPosition + info.length;
+        const clustersPosition = tracksPosition + tracks.length;
+        const cuesPosition = clustersPosition + this.clustersSize;
+        
+        const cues = WebMWriter.element(EBML_IDS.Cues, this.cues.map(cue =>
+            WebMWriter.element(EBML_IDS.CuePoint, [
+                WebMWriter.uint(EBML_IDS.CueTime, cue.time),
+                WebMWriter.element(EBML_IDS.CueTrackPositions, [
+                    WebMWriter.uint(EBML_IDS.CueTrack, 1),
+                    WebMWriter.uint(EBML_IDS.CueClusterPosition, clustersPosition + cue.position)
+                ])
+            ])
+        ));
+        
+        const seekHead = WebMWriter.createSeekHead(infoPosition, tracksPosition, cuesPosition);
+        const segmentSize = seekHead.length + info.length + tracks.length + this.clustersSize + cues.length;
+        
+        const header = WebMWriter.element(EBML_IDS.EBML, [
+            WebMWriter.uint(EBML_IDS.EBMLVersion, 1),
+            WebMWriter.uint(EBML_IDS.EBMLReadVersion, 1),
+            WebMWriter.uint(EBML_IDS.EBMLMaxIDLength, 4),
+            WebMWriter.uint(EBML_IDS.EBMLMaxSizeLength, 8),
+            WebMWriter.string(EBML_IDS.DocType, 'webm'),
+            WebMWriter.uint(EBML_IDS.DocTypeVersion, 2),
+            WebMWriter.uint(EBML_IDS.DocTypeReadVersion, 2)
+        ]);
+        
+        const segmentHeader = WebMWriter.concat([
+            WebMWriter.encodeId(EBML_IDS.Segment),
+            WebMWriter.encodeSize(segmentSize)
+        ]);
+        
+        return new Blob([header, segmentHeader, seekHead, info, tracks, ...this.clusters, cues], {
+            type: 'video/webm'
+        });
+    }
+    
+    /**
+     * Build the seek head with fixed-width positions
+     */
+    static createSeekHead(infoPosition, tracksPosition, cuesPosition) {
+        const seek = (id, position) => WebMWriter.element(EBML_IDS.Seek, [
+            WebMWriter.element(EBML_IDS.SeekID, [WebMWriter.encodeId(id)]),
+            WebMWriter.uint(EBML_IDS.SeekPosition, position, 8)
+        ]);
+        
+        return WebMWriter.element(EBML_IDS.SeekHead, [
+            seek(EBML_IDS.Info, infoPosition),
+            seek(EBML_IDS.Tracks, tracksPosition),
+            seek(EBML_IDS.Cues, cuesPosition)
+        ]);
+    }
+    
+    /**
+     * Encode a master or binary element
+     * @param {number} id - Element ID
+     * @param {Array<Uint8Array>} children - Payload parts
+     * @returns {Uint8Array} Encoded element
+     */
+    static element(id, children) {
+        const payload = WebMWriter.concat(children);
+        return WebMWriter.concat([WebMWriter.encodeId(id), WebMWriter.encodeSize(payload.length), payload]);
+    }
+    
+    /**
+     * Encode an unsigned integer element
+     * @param {number} id - Element ID
+     * @param {number} value - Value
+     * @param {number} width - Byte width (minimal when omitted)
+     */
+    static uint(id, value, width = 0) {
+        let bytes = width;
+        if (!bytes) {
+            bytes = 1;
+            while (bytes < 8 && value >= Math.pow(2, bytes * 8)) bytes++;
+        }
+        
+        const data = new Uint8Array(bytes);
+        let remaining = value;
+        for (let i = bytes - 1; i >= 0; i--) {
+            data[i] = remaining % 256;
+            remaining = Math.floor(remaining / 256);
+        }
+        
+        return WebMWriter.element(id, [data]);
+    }
+    
+    /**
+     * Encode a 64-bit float element
+     */
+    static float(id, value) {
+        const data = new Uint8Array(8);
+        new DataView(data.buffer).setFloat64(0, value);
+        return WebMWriter.element(id, [data]);
+    }
+    
+    /**
+     * Encode an ASCII string element
+     */
+    static string(id, value) {
+        return WebMWriter.element(id, [new TextEncoder().encode(value)]);
+    }
+    
+    /**
+     * Encode an element ID (IDs already carry their length marker)
+     */
+    static encodeId(id) {
+        const bytes = [];
+        let remaining = id;
+        while (remaining > 0) {
+            bytes.unshift(remaining & 0xFF);
+            remaining = Math.floor(remaining / 256);
+        }
+        return new Uint8Array(bytes);
+    }
+    
+    /**
+     * Encode an element size as an 8-byte variable-length integer
+     */
+    static encodeSize(size) {
+        const data = new Uint8Array(8);
+        let remaining = size;
+        for (let i = 7; i >= 1; i--) {
+            data[i] = remaining % 256;
+            remaining = Math.floor(remaining / 256);
+        }
+        data[0] = 0x01;
+        return data;
+    }
+    
+    /**
+     * Concatenate byte arrays
+     */
+    static concat(parts) {
+        const length = parts.reduce((sum, part) => sum + part.length, 0);
+        const result = new Uint8Array(length);
+        let offset = 0;
+        
+        parts.forEach(part => {
+            result.set(part, offset);
+            offset += part.length;
+        });
+        
+        return result;
+    }
+}
@@ -115,6 +115,9 @@ export class BaseVisualizer {
             meshes: new Map()
         };
         
+        // Uniform values set from outside (e.g. u_transitionAlpha), applied on draw
+        this.uniformOverrides = new Map();
+        
         // Material system integration
         this.materials = {
             current: null,
@@ -352,6 +355,67 @@ export class BaseVisualizer {
         this.emit('materialChanged', material);
     }
     
+    /**
+     * Set a uniform value applied on the next draw
+     * VisualizerManager uses this for u_transitionAlpha during transitions
+     * @param {string} name - Uniform name
+     * @param {number|boolean|Array} value - Uniform value
+     */
+    setUniform(name, value) {
+        this.uniformOverrides.set(name, value);
+    }
+    
+    /**
+     * Upload uniforms to a ShaderManager program, overrides last
+     * The program must be in use. Samplers need gl.uniform1i instead.
+     * @param {string} programName - ShaderManager program name
+     * @param {Object} uniforms - Uniform name → value
+     */
+    applyUniforms(programName, uniforms) {
+        const { shaderManager, renderEngine } = this.integrations;
+        const upload = (value, name) => {
+            const location = shaderManager.getUniformLocation(programName, name);
+            if (location) {
+                renderEngine.setUniform(location, value);
+            }
+        };
+        
+        Object.entries(uniforms).forEach(([name, value]) => upload(value, name));
+        this.uniformOverrides.forEach(upload);
+    }
+    
+    /**
+     * Parameters exposed to the modulation matrix while this visualizer is active
+     * Subclasses append their own; ids are prefixed with 'visualizer.' by VisualizerManager
+     * @returns {Array<Object>} Parameter descriptors
+     */
+    getModulationParameters() {
+        return [
+            this.createConfigParameter(this.config, 'audioReactivity', 'Audio Reactivity', 0, 4),
+            this.createConfigParameter(this.config, 'animationSpeed', 'Animation Speed', 0.1, 4)
+        ];
+    }
+    
+    /**
+     * Descriptor for a numeric field of a config object
+     * @param {Object} target - Object holding the value
+     * @param {string} key - Field name (also the parameter id)
+     * @param {string} label - Display label
+     * @param {number} min - Minimum value
+     * @param {number} max - Maximum value
+     * @returns {Object} Parameter descriptor
+     */
+    createConfigParameter(target, key, label, min, max) {
+        return {
+            id: key,
+            label,
+            min,
+            max,
+            get: () => target[key],
+            set: (value) => { target[key] = value; }
+        };
+    }
+    
     /**
      * Get visualizer information
      */
@@ -494,11 +558,17 @@ export class BaseVisualizer {
             this.state.beatDetected = false;
         }
         
-        // Copy frequency and time data
+        // Copy frequency and time data (buffers follow the analyzer size)
         if (audioData.frequencyData) {
+            if (this.audioData.frequencyData.length !== audioData.frequencyData.length) {
+                this.audioData.frequencyData = new Float32Array(audioData.frequencyData.length);
+            }
             this.audioData.frequencyData.set(audioData.frequencyData);
         }
         if (audioData.timeData) {
+            if (this.audioData.timeData.length !== audioData.timeData.length) {
+                this.audioData.timeData = new Float32Array(audioData.timeData.length);
+            }
             this.audioData.timeData.set(audioData.timeData);
         }
     }
@@ -681,6 +751,7 @@ export class BaseVisualizer {
         // Clear material properties
         this.materials.properties.clear();
         this.materials.uniforms.clear();
+        this.uniformOverrides.clear();
         
         // Unregister from performance monitor
         performanceMonitor.unregisterVisualizer(this.name);
@@ -10,6 +10,7 @@ import { FluidSimulation } from '../../physics/FluidSimulation.js';
 import { ParticleSystem } from '../../physics/ParticleSystem.js';
 import { MaterialPhysics } from '../../physics/MaterialPhysics.js';
 import { MathUtils } from '../../utils/MathUtils.js';
+import { SeededRandom } from '../../utils/SeededRandom.js';
 import { performanceMonitor } from '../../core/PerformanceMonitor.js';
 import { vec3, vec4, mat4 } from 'gl-matrix';
 
@@ -54,6 +55,9 @@ export class BlobPhysics {
             particleCount: config.particleCount || 1000,
             particleLifetime: config.particleLifetime || 5.0,
             
+            // Random seed shared by all sub-systems (null for a different run each time)
+            seed: config.seed !== undefined ? config.seed : null,
+            
             ...config
         };
         
@@ -152,6 +156,7 @@ export class BlobPhysics {
                     maxMetaballs: 32,
                     initialMetaballCount: this.config.metaballCount,
                     gridResolution: this.calculateOptimalGridResolution(),
+                    seed: SeededRandom.derive(this.config.seed, 'metaballs'),
                     enablePhysics: true,
                     enableAudioReactivity: true,
                     audioInfluence: {
@@ -173,6 +178,7 @@ export class BlobPhysics {
                     gridDepth: 64,
                     viscosity: this.config.fluidViscosity,
                     density: this.config.fluidDensity,
+                    seed: SeededRandom.derive(this.config.seed, 'fluid'),
                     audioReactive: true,
                     bassInfluence: this.config.bassResponse,
                     midInfluence: this.config.midResponse,
@@ -187,6 +193,7 @@ export class BlobPhysics {
             if (this.config.enableParticles) {
                 this.particleSystem = new ParticleSystem({
                     maxParticles: this.config.particleCount,
+                    seed: SeededRandom.derive(this.config.seed, 'particles'),
                     enableAudioReactivity: true,
                     audioInfluence: {
                         emission: this.config.beatResponse,
@@ -202,6 +209,7 @@ export class BlobPhysics {
             // Initialize MaterialPhysics
             if (this.config.enableMaterialPhysics) {
                 this.materialPhysics = new MaterialPhysics({
+                    seed: SeededRandom.derive(this.config.seed, 'materialPhysics'),
                     audioReactive: true,
                     enablePhaseTransitions: true,
                     enableSurfaceTension: true
@@ -593,6 +601,22 @@ export class BlobPhysics {
         };
     }
     
+    /**
+     * Reseed all physics sub-systems and restart them from their initial state
+     * @param {number|string} seed - Random seed
+     */
+    setSeed(seed) {
+        this.config.seed = seed;
+        
+        this.metaballSystem?.setSeed(SeededRandom.derive(seed, 'metaballs'));
+        this.fluidSimulation?.setSeed(SeededRandom.derive(seed, 'fluid'));
+        this.particleSystem?.setSeed(SeededRandom.derive(seed, 'particles'));
+        this.materialPhysics?.setSeed(SeededRandom.derive(seed, 'materialPhysics'));
+        
+        this.state.frameCount = 0;
+        this.optimization.skipFrames = 0;
+    }
+    
     /**
      * Set physics configuration
      */
@@ -626,6 +650,14 @@ export class BlobPhysics {
         }
     }
     
+    /**
+     * Merge additional integration references
+     * @param {Object} integrations - Integration references
+     */
+    setIntegrations(integrations) {
+        this.integrations = { ...this.integrations, ...integrations };
+    }
+    
     /**
      * Setup system integrations
      */
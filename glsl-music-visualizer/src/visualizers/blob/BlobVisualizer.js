@@ -14,9 +14,18 @@ import { WebGLUtils } from '../../utils/WebGLUtils.js';
 import { performanceMonitor } from '../../core/PerformanceMonitor.js';
 import { vec3, vec4, mat4, quat } from 'gl-matrix';
 
+// Shading models handled by blob.frag (u_shadingModel is the index), one material shader each
+const SHADING_MODELS = ['base', 'water', 'metal', 'fire', 'magma'];
+
+// Surface render modes: the deformed mesh, or the metaballs raymarched over a fullscreen quad
+const RENDER_MODES = ['mesh', 'raymarch'];
+const RAYMARCH_VERTEX_SHADER = 'src/shaders/fullscreen.vert';
+const RAYMARCH_FRAGMENT_SHADER = 'src/shaders/blob-raymarch.frag';
+const RAYMARCH_PROGRAM = 'blob_visualizer_raymarch';
+
 export class BlobVisualizer extends BaseVisualizer {
-    constructor(config = {}) {
-        super('Blob Visualizer', {
+    constructor(name = 'Blob Visualizer', config = {}) {
+        super(name, {
             type: 'blob',
             version: '1.0.0',
             ...config
@@ -35,6 +44,10 @@ export class BlobVisualizer extends BaseVisualizer {
             enableVolumetricEffects: config.enableVolumetricEffects !== false,
             enableCaustics: config.enableCaustics !== false,
             enableSubsurfaceScattering: config.enableSubsurfaceScattering !== false,
+            renderMode: RENDER_MODES.includes(config.renderMode) ? config.renderMode : 'mesh',
+            raymarchSteps: config.raymarchSteps || 96,           // Step budget at full quality
+            metaballBlending: config.metaballBlending || 0.6,    // Smooth union radius
+            metaballColorMix: config.metaballColorMix !== undefined ? config.metaballColorMix : 0.5,
             
             // Material settings
             defaultMaterial: config.defaultMaterial || 'water_pure',
@@ -58,7 +71,10 @@ export class BlobVisualizer extends BaseVisualizer {
             targetFPS: config.targetFPS || 60,
             adaptiveQuality: config.adaptiveQuality !== false,
             maxComplexity: config.maxComplexity || 1.0,
-            enableOptimizations: config.enableOptimizations !== false
+            enableOptimizations: config.enableOptimizations !== false,
+            
+            // Physics random seed (null for a different run each time)
+            seed: config.seed !== undefined ? config.seed : null
         };
         
         // Core systems
@@ -107,6 +123,15 @@ export class BlobVisualizer extends BaseVisualizer {
             materialId: 0,
             materialType: 1,
             materialPhase: 2,
+            shadingModel: 0,
+            materialColor: vec3.fromValues(1, 1, 1),
+            emissionColor: vec3.create(),
+            emission: 0,
+            metallic: 0,
+            roughness: 0.5,
+            transparency: 0,
+            refractiveIndex: 1.333,
+            temperature: 293.15,
             
             // Quality and LOD
             qualityLevel: 1.0,
@@ -119,6 +144,17 @@ export class BlobVisualizer extends BaseVisualizer {
             lightIntensity: 1.0
         };
         
+        // Raymarch mode resources
+        this.raymarch = {
+            supported: false,
+            capacity: 0,                 // Texture width (MetaballSystem maxMetaballs)
+            texture: null,               // Centers and radii (row 0), colors (row 1)
+            data: null,
+            count: 0,
+            bounds: vec4.create(),       // Bounding sphere (xyz center, w radius)
+            inverseViewProjection: mat4.create()
+        };
+        
         // Render state
         this.renderState = {
             currentMaterial: null,
@@ -159,6 +195,7 @@ export class BlobVisualizer extends BaseVisualizer {
             await this.initializeRenderingSystem();
             await this.initializeGeometry();
             await this.initializeShaders();
+            await this.initializeRaymarching();
             
             // Setup cross-system integrations
             this.setupSystemIntegrations();
@@ -202,7 +239,9 @@ export class BlobVisualizer extends BaseVisualizer {
             
             // Quality settings
             qualityLevel: this.blobConfig.maxComplexity,
-            adaptiveQuality: this.blobConfig.adaptiveQuality
+            adaptiveQuality: this.blobConfig.adaptiveQuality,
+            
+            seed: this.getPhysicsSeed()
         });
         
         await this.physics.initialize(this.gl, {
@@ -294,10 +333,15 @@ export class BlobVisualizer extends BaseVisualizer {
                 'vertex'
             );
             
-            // Load material-specific fragment shaders
-            const materialTypes = ['base', 'water', 'metal', 'fire', 'magma'];
+            // Load unified blob fragment shader (default program)
+            const blobFragment = await this.integrations.shaderManager.loadShader(
+                'src/shaders/blob.frag',
+                'fragment'
+            );
+            this.shaders.fragmentPrograms.set('blob', blobFragment);
             
-            for (const materialType of materialTypes) {
+            // Load material-specific fragment shaders
+            for (const materialType of SHADING_MODELS) {
                 const fragmentProgram = await this.integrations.shaderManager.loadShader(
                     `src/shaders/materials/${materialType}.frag`,
                     'fragment'
@@ -319,6 +363,62 @@ export class BlobVisualizer extends BaseVisualizer {
         }
     }
     
+    /**
+     * Load the raymarch program and the metaball data texture
+     */
+    async initializeRaymarching() {
+        const gl = this.gl;
+        const metaballSystem = this.physics?.metaballSystem;
+        const raymarch = this.raymarch;
+        
+        if (!metaballSystem) {
+            if (this.blobConfig.renderMode === 'raymarch') {
+                console.warn('BlobVisualizer: raymarch mode needs the metaball system, using mesh');
+                this.blobConfig.renderMode = 'mesh';
+            }
+            return;
+        }
+        
+        const isWebGL2 = typeof WebGL2RenderingContext !== 'undefined' && gl instanceof WebGL2RenderingContext;
+        
+        try {
+            if (!isWebGL2 && !gl.getExtension('OES_texture_float')) {
+                throw new Error('float textures not supported');
+            }
+            
+            raymarch.capacity = metaballSystem.config.maxMetaballs;
+            
+            await this.integrations.shaderManager.loadShaderProgram(
+                RAYMARCH_VERTEX_SHADER,
+                RAYMARCH_FRAGMENT_SHADER,
+                { MAX_METABALLS: raymarch.capacity },
+                RAYMARCH_PROGRAM
+            );
+            
+            raymarch.data = new Float32Array(raymarch.capacity * 2 * 4);
+            raymarch.texture = gl.createTexture();
+            gl.bindTexture(gl.TEXTURE_2D, raymarch.texture);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+            gl.texImage2D(
+                gl.TEXTURE_2D, 0, isWebGL2 ? gl.RGBA32F : gl.RGBA,
+                raymarch.capacity, 2, 0, gl.RGBA, gl.FLOAT, raymarch.data
+            );
+            gl.bindTexture(gl.TEXTURE_2D, null);
+            
+            raymarch.supported = true;
+            console.log('✓ Raymarching initialized');
+            
+        } catch (error) {
+            console.warn('BlobVisualizer: raymarch mode unavailable, using mesh:', error);
+            this.blobConfig.renderMode = 'mesh';
+        }
+        
+        this.setRenderMode(this.blobConfig.renderMode);
+    }
+    
     /**
      * Update blob visualizer
      */
@@ -372,28 +472,32 @@ export class BlobVisualizer extends BaseVisualizer {
             // Setup render state
             this.setupFrameRenderState(renderState);
             
-            // Use shader program
-            const program = this.shaders.currentProgram;
-            if (!program) return;
-            
-            gl.useProgram(program);
-            
-            // Update material system uniforms
-            if (this.materialSystem) {
-                this.materialSystem.updateShaderUniforms(program);
-            }
-            
-            // Set all uniforms
-            this.setAllUniforms();
-            
-            // Bind geometry
-            this.bindGeometry();
-            
-            // Perform multi-pass rendering if enabled
-            if (this.blobConfig.enableVolumetricEffects || this.blobConfig.enableSubsurfaceScattering) {
-                this.renderMultiPass(deltaTime);
+            if (this.blobConfig.renderMode === 'raymarch') {
+                this.renderRaymarch();
             } else {
-                this.renderSinglePass();
+                // Use shader program
+                const program = this.shaders.currentProgram;
+                if (!program) return;
+                
+                gl.useProgram(program);
+                
+                // Update material system uniforms
+                if (this.materialSystem) {
+                    this.materialSystem.updateShaderUniforms(program);
+                }
+                
+                // Set all uniforms
+                this.setAllUniforms();
+                
+                // Bind geometry
+                this.bindGeometry();
+                
+                // Perform multi-pass rendering if enabled
+                if (this.blobConfig.enableVolumetricEffects || this.blobConfig.enableSubsurfaceScattering) {
+                    this.renderMultiPass(deltaTime);
+                } else {
+                    this.renderSinglePass();
+                }
             }
             
             // Render particle effects if enabled
@@ -431,6 +535,63 @@ export class BlobVisualizer extends BaseVisualizer {
         }
     }
     
+    /**
+     * Physics seed: the configured seed, or one derived from the shared random service
+     * @returns {number|string|null} Seed
+     */
+    getPhysicsSeed() {
+        if (this.blobConfig.seed !== null) {
+            return this.blobConfig.seed;
+        }
+        return this.integrations.random ? this.integrations.random.deriveSeed('blob') : null;
+    }
+    
+    /**
+     * Reseed physics and restart it from its initial state
+     * @param {number|string} seed - Random seed
+     */
+    setSeed(seed) {
+        this.blobConfig.seed = seed;
+        if (this.physics) {
+            this.physics.setSeed(seed);
+        }
+    }
+    
+    /**
+     * Switch between the 'mesh' and 'raymarch' surface at runtime
+     * Raymarching stops the metaball system from rebuilding its scalar field and mesh.
+     * @param {string} mode - Render mode
+     */
+    setRenderMode(mode) {
+        if (!RENDER_MODES.includes(mode)) {
+            throw new Error(`Unknown blob render mode: ${mode}`);
+        }
+        
+        if (mode === 'raymarch' && !this.raymarch.supported) {
+            console.warn('BlobVisualizer: raymarch mode is unavailable, staying on mesh');
+            return;
+        }
+        
+        this.blobConfig.renderMode = mode;
+        
+        const metaballSystem = this.physics?.metaballSystem;
+        if (metaballSystem) {
+            metaballSystem.setRenderMode(mode === 'raymarch' ? 'rayMarching' : 'marchingCubes');
+        }
+    }
+    
+    /**
+     * Enable/disable adaptive quality (must be off for deterministic rendering)
+     * @param {boolean} enabled - Adaptive quality state
+     */
+    setAdaptiveQuality(enabled) {
+        this.blobConfig.adaptiveQuality = enabled;
+        this.performanceState.adaptiveQualityEnabled = enabled;
+        if (this.physics) {
+            this.physics.setConfiguration({ adaptiveQuality: enabled });
+        }
+    }
+    
     /**
      * Resize visualizer
      */
@@ -500,6 +661,8 @@ export class BlobVisualizer extends BaseVisualizer {
                 this.uniforms.materialId = materialProps.id || 0;
                 this.uniforms.materialType = materialProps.type || 1;
                 this.uniforms.materialPhase = materialProps.phase || 2;
+                this.uniforms.shadingModel = Math.max(0, SHADING_MODELS.indexOf(this.getRequiredShaderType(materialProps)));
+                this.updateMaterialUniforms(materialProps);
             }
         }
         
@@ -587,7 +750,7 @@ export class BlobVisualizer extends BaseVisualizer {
      */
     async createShaderProgram() {
         const vertexShader = this.shaders.vertexProgram;
-        const fragmentShader = this.shaders.fragmentPrograms.get('base'); // Default to base material
+        const fragmentShader = this.shaders.fragmentPrograms.get('blob'); // Unified shader covers all materials
         
         if (!vertexShader || !fragmentShader) {
             throw new Error('Missing vertex or fragment shader');
@@ -635,6 +798,15 @@ export class BlobVisualizer extends BaseVisualizer {
         this.cacheUniform('u_materialId');
         this.cacheUniform('u_materialType');
         this.cacheUniform('u_materialPhase');
+        this.cacheUniform('u_shadingModel');
+        this.cacheUniform('u_materialColor');
+        this.cacheUniform('u_emissionColor');
+        this.cacheUniform('u_emission');
+        this.cacheUniform('u_metallic');
+        this.cacheUniform('u_roughness');
+        this.cacheUniform('u_transparency');
+        this.cacheUniform('u_refractiveIndex');
+        this.cacheUniform('u_temperature');
         
         // Quality uniforms
         this.cacheUniform('u_qualityLevel');
@@ -691,6 +863,15 @@ export class BlobVisualizer extends BaseVisualizer {
         this.setUniform('u_materialId', this.uniforms.materialId);
         this.setUniform('u_materialType', this.uniforms.materialType);
         this.setUniform('u_materialPhase', this.uniforms.materialPhase);
+        this.setUniform('u_shadingModel', this.uniforms.shadingModel);
+        this.setUniform('u_materialColor', this.uniforms.materialColor);
+        this.setUniform('u_emissionColor', this.uniforms.emissionColor);
+        this.setUniform('u_emission', this.uniforms.emission);
+        this.setUniform('u_metallic', this.uniforms.metallic);
+        this.setUniform('u_roughness', this.uniforms.roughness);
+        this.setUniform('u_transparency', this.uniforms.transparency);
+        this.setUniform('u_refractiveIndex', this.uniforms.refractiveIndex);
+        this.setUniform('u_temperature', this.uniforms.temperature);
         
         // Quality
         this.setUniform('u_qualityLevel', this.uniforms.qualityLevel);
@@ -809,6 +990,128 @@ export class BlobVisualizer extends BaseVisualizer {
         this.performanceMetrics.drawCalls++;
     }
     
+    /**
+     * Raymarch the metaballs over the fullscreen quad
+     */
+    renderRaymarch() {
+        const gl = this.gl;
+        const { shaderManager, renderEngine } = this.integrations;
+        const raymarch = this.raymarch;
+        
+        this.uploadMetaballData();
+        if (raymarch.count === 0) return;
+        
+        const program = shaderManager.useProgram(RAYMARCH_PROGRAM);
+        
+        if (this.materialSystem) {
+            this.materialSystem.updateShaderUniforms(program);
+        }
+        
+        // Rays are unprojected from clip space
+        mat4.multiply(raymarch.inverseViewProjection, this.uniforms.projectionMatrix, this.uniforms.viewMatrix);
+        mat4.invert(raymarch.inverseViewProjection, raymarch.inverseViewProjection);
+        
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_2D, raymarch.texture);
+        gl.uniform1i(shaderManager.getUniformLocation(RAYMARCH_PROGRAM, 'u_metaballData'), 0);
+        
+        const uniforms = this.uniforms;
+        this.applyUniforms(RAYMARCH_PROGRAM, {
+            u_inverseViewProjection: raymarch.inverseViewProjection,
+            u_cameraPosition: uniforms.cameraPosition,
+            u_lightPosition: uniforms.lightPosition,
+            u_lightColor: uniforms.lightColor,
+            u_lightIntensity: uniforms.lightIntensity,
+            u_time: uniforms.time,
+            u_audioEnergy: uniforms.audioEnergy,
+            u_bassLevel: uniforms.bassLevel,
+            u_midLevel: uniforms.midLevel,
+            u_trebleLevel: uniforms.trebleLevel,
+            u_beatDetected: uniforms.beatDetected ? 1.0 : 0.0,
+            u_beatStrength: uniforms.beatStrength,
+            u_metaballCount: raymarch.count,
+            u_metaballBlending: this.blobConfig.metaballBlending,
+            u_metaballColorMix: this.blobConfig.metaballColorMix,
+            u_bounds: raymarch.bounds,
+            u_shadingModel: uniforms.shadingModel,
+            u_materialColor: uniforms.materialColor,
+            u_emissionColor: uniforms.emissionColor,
+            u_metallic: uniforms.metallic,
+            u_roughness: uniforms.roughness,
+            u_emission: uniforms.emission,
+            u_transparency: uniforms.transparency,
+            u_refractiveIndex: uniforms.refractiveIndex,
+            u_temperature: uniforms.temperature,
+            u_qualityLevel: uniforms.qualityLevel,
+            u_maxSteps: Math.max(16, Math.round(this.blobConfig.raymarchSteps * uniforms.qualityLevel))
+        });
+        
+        // The quad covers the screen; hidden pixels are discarded in the shader
+        gl.disable(gl.DEPTH_TEST);
+        gl.disable(gl.CULL_FACE);
+        
+        renderEngine.drawFullscreenQuad(RAYMARCH_PROGRAM);
+        
+        gl.enable(gl.DEPTH_TEST);
+        gl.enable(gl.CULL_FACE);
+        
+        this.performanceMetrics.drawCalls++;
+    }
+    
+    /**
+     * Pack the active metaballs into the raymarch data texture and fit their bounding sphere
+     */
+    uploadMetaballData() {
+        const gl = this.gl;
+        const raymarch = this.raymarch;
+        const metaballs = this.physics.metaballSystem.getMetaballData();
+        const data = raymarch.data;
+        const capacity = raymarch.capacity;
+        
+        // Row 0: center and radius, row 1: color
+        let count = 0;
+        for (let i = 0; i < metaballs.count && count < capacity; i++) {
+            if (!metaballs.active[i]) continue;
+            
+            const offset = count * 4;
+            data[offset] = metaballs.positions[i * 3];
+            data[offset + 1] = metaballs.positions[i * 3 + 1];
+            data[offset + 2] = metaballs.positions[i * 3 + 2];
+            data[offset + 3] = metaballs.radii[i];
+            
+            const colorOffset = (capacity + count) * 4;
+            for (let c = 0; c < 4; c++) {
+                data[colorOffset + c] = metaballs.colors[i * 4 + c];
+            }
+            
+            count++;
+        }
+        
+        raymarch.count = count;
+        if (count === 0) return;
+        
+        // Bounding sphere: centroid, out to the farthest sphere plus the smooth union bulge.
+        // Each union adds up to k / 4; chained over overlapping spheres the bulge approaches k.
+        const center = vec3.create();
+        for (let i = 0; i < count; i++) {
+            center[0] += data[i * 4] / count;
+            center[1] += data[i * 4 + 1] / count;
+            center[2] += data[i * 4 + 2] / count;
+        }
+        
+        let radius = 0;
+        for (let i = 0; i < count; i++) {
+            const distance = Math.hypot(data[i * 4] - center[0], data[i * 4 + 1] - center[1], data[i * 4 + 2] - center[2]);
+            radius = Math.max(radius, distance + data[i * 4 + 3]);
+        }
+        radius += Math.max(this.blobConfig.metaballBlending, 0.05) + 0.01;
+        
+        vec4.set(raymarch.bounds, center[0], center[1], center[2], radius);
+        
+        gl.bindTexture(gl.TEXTURE_2D, raymarch.texture);
+        gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, 0, capacity, 2, gl.RGBA, gl.FLOAT, data);
+    }
+    
     /**
      * Update performance tracking
      */
@@ -1231,7 +1534,7 @@ export class BlobVisualizer extends BaseVisualizer {
      * Update render statistics
      */
     updateRenderStatistics() {
-        const geometry = this.getCurrentGeometry();
+        const geometry = this.blobConfig.renderMode === 'mesh' ? this.getCurrentGeometry() : null;
         if (geometry) {
             this.performanceMetrics.triangles += geometry.indexCount / 3;
             this.performanceMetrics.vertices += geometry.vertexCount;
@@ -1256,7 +1559,7 @@ export class BlobVisualizer extends BaseVisualizer {
     getRequiredShaderType(materialProps) {
         if (!materialProps) return 'base';
         
-        const materialId = materialProps.id;
+        const materialId = String(materialProps.id || '');
         
         if (materialId.includes('water')) return 'water';
         if (materialId.includes('metal')) return 'metal';
@@ -1266,6 +1569,30 @@ export class BlobVisualizer extends BaseVisualizer {
         return 'base';
     }
     
+    /**
+     * Copy optical and thermal material properties into the shading uniforms
+     */
+    updateMaterialUniforms(materialProps) {
+        const optical = materialProps.properties?.optical;
+        if (!optical) return;
+        
+        const uniforms = this.uniforms;
+        const baseColor = optical.baseColor || [1, 1, 1];
+        const emission = optical.emission || [0, 0, 0];
+        
+        vec3.set(uniforms.materialColor, baseColor[0], baseColor[1], baseColor[2]);
+        vec3.set(uniforms.emissionColor, emission[0], emission[1], emission[2]);
+        uniforms.emission = Math.max(emission[0], emission[1], emission[2]);
+        uniforms.metallic = optical.metallic || 0;
+        uniforms.roughness = optical.roughness !== undefined ? optical.roughness : 0.5;
+        uniforms.transparency = optical.transparency || 0;
+        uniforms.refractiveIndex = optical.refractionIndex || 1.0;
+        
+        if (materialProps.temperature !== undefined) {
+            uniforms.temperature = materialProps.temperature;
+        }
+    }
+    
     /**
      * Update shader program based on material
      */
@@ -1341,6 +1668,16 @@ export class BlobVisualizer extends BaseVisualizer {
                 this.onAudioProcessed(audioData);
             });
         }
+        
+        // Follow the shared run seed
+        if (this.integrations.random) {
+            this.onSeedChanged = () => {
+                if (this.physics) {
+                    this.physics.setSeed(this.getPhysicsSeed());
+                }
+            };
+            this.integrations.random.on('seedChanged', this.onSeedChanged);
+        }
     }
     
     /**
@@ -1398,6 +1735,7 @@ export class BlobVisualizer extends BaseVisualizer {
         return {
             ...this.getInfo(),
             renderState: {
+                renderMode: this.blobConfig.renderMode,
                 currentMaterial: this.renderState.currentMaterial,
                 currentLODLevel: this.renderState.currentLODLevel,
                 isTransitioning: this.renderState.isTransitioning
@@ -1416,6 +1754,11 @@ export class BlobVisualizer extends BaseVisualizer {
     destroy() {
         console.log('BlobVisualizer: Cleaning up resources...');
         
+        if (this.onSeedChanged && this.integrations.random) {
+            this.integrations.random.off('seedChanged', this.onSeedChanged);
+            this.onSeedChanged = null;
+        }
+        
         // Destroy physics systems
         if (this.physics) {
             this.physics.destroy?.();
@@ -1436,6 +1779,11 @@ export class BlobVisualizer extends BaseVisualizer {
             this.gl.deleteTexture(texture);
         }
         
+        if (this.raymarch.texture) {
+            this.gl.deleteTexture(this.raymarch.texture);
+            this.raymarch.texture = null;
+        }
+        
         // Dispose geometry buffers
         if (this.geometry.baseGeometry) {
             const geo = this.geometry.baseGeometry;
@@ -48,10 +48,13 @@ export class MaterialSystem {
             temperature: 293.15, // Room temperature in Kelvin
             ionization: 0.0,
             pressure: 101325, // Standard atmospheric pressure in Pa
-            lastUpdate: performance.now(),
+            lastUpdate: 0,
             isTransitioning: false
         };
         
+        // Frame clock in ms, advanced by update(); transitions run on it
+        this.clock = 0;
+        
         // Material properties cache
         this.properties = {
             // Physical properties
@@ -214,6 +217,8 @@ export class MaterialSystem {
     update(deltaTime, audioData = null) {
         const startTime = performance.now();
         
+        this.clock += deltaTime * 1000;
+        
         try {
             // Update audio state
             if (audioData && this.config.enableAudioReactivity) {
@@ -290,7 +295,7 @@ export class MaterialSystem {
         
         const transition = {
             id: transitionId,
-            startTime: performance.now(),
+            startTime: this.clock,
             duration: duration * 1000, // Convert to milliseconds
             easing: this.config.transitionEasing,
             fromMaterialId: this.currentState.materialId,
@@ -313,7 +318,7 @@ export class MaterialSystem {
     updateActiveTransitions(deltaTime) {
         if (this.activeTransitions.size === 0) return;
         
-        const currentTime = performance.now();
+        const currentTime = this.clock;
         const completedTransitions = [];
         
         for (const [id, transition] of this.activeTransitions) {
@@ -490,7 +495,7 @@ export class MaterialSystem {
         this.audioState.treble = features.treble || 0;
         this.audioState.beat = features.beat || false;
         this.audioState.beatStrength = features.beatStrength || 0;
-        this.audioState.lastUpdate = performance.now();
+        this.audioState.lastUpdate = this.clock;
         
         // Apply smoothing to prevent jarring changes
         this.audioState.smoothedValues.energy = MathUtils.lerp(
@@ -685,7 +690,7 @@ export class MaterialSystem {
         
         // Update state
         this.currentState.materialType = material.type || 'builtin';
-        this.currentState.lastUpdate = performance.now();
+        this.currentState.lastUpdate = this.clock;
     }
     
     /**
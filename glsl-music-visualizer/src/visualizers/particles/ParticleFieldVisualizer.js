@@ -0,0 +1,372 @@
+/**
+ * Particle Field Visualizer
+ * Audio-driven particle cloud simulated by ParticleSystem
+ * Location: src/visualizers/particles/ParticleFieldVisualizer.js
+ *
+ * Particles spawn in a sphere and are carried by a vortex (bass), turbulence
+ * (treble) and a central attractor that flips to a repeller on beats. On WebGL2
+ * the simulation runs in ParticleSystem's GPU mode and its state buffer is drawn
+ * directly; otherwise active particles are packed into one vertex buffer each
+ * frame. Either way they are additive point sprites with an orbiting camera.
+ */
+
+import { BaseVisualizer } from '../base/BaseVisualizer.js';
+import { ParticleSystem } from '../../physics/ParticleSystem.js';
+import { MathUtils } from '../../utils/MathUtils.js';
+
+const VERTEX_SHADER = 'src/shaders/visualizers/particle-field.vert';
+const FRAGMENT_SHADER = 'src/shaders/ui/particles.frag';
+const PROGRAM_NAME = 'visualizer:particle-field';
+
+// Floats per particle vertex: position (3), color (4), size, rotation
+const VERTEX_STRIDE = 9;
+
+export class ParticleFieldVisualizer extends BaseVisualizer {
+    constructor(name = 'Particle Field', config = {}) {
+        super(name, {
+            type: 'particle-field',
+            enableDepthTest: false,
+            blendMode: 'additive',
+            ...config
+        });
+        
+        // Particle field configuration
+        this.particleConfig = {
+            // Simulation
+            maxParticles: config.maxParticles || 4000,
+            initialParticleCount: config.initialParticleCount || 1500,
+            emissionRate: config.emissionRate || 300,        // Particles per second
+            emissionBurst: config.emissionBurst || 250,      // Extra particles per beat
+            fieldRadius: config.fieldRadius || 4.0,
+            particleSize: config.particleSize || 0.12,
+            particleLifetime: config.particleLifetime || 6.0,
+            colorMode: config.colorMode || 'rainbow',
+            updateMode: config.updateMode || 'gpu',          // Falls back to 'cpu' without WebGL2
+            
+            // Forces (scaled by the audio bands each frame)
+            vortexStrength: config.vortexStrength || 6.0,
+            turbulenceStrength: config.turbulenceStrength || 3.0,
+            attractorStrength: config.attractorStrength || 4.0,
+            beatRepulsion: config.beatRepulsion || 30.0,
+            
+            // Camera
+            cameraDistance: config.cameraDistance || 12.0,
+            orbitSpeed: config.orbitSpeed || 0.15,           // Radians per second
+            fieldOfView: config.fieldOfView || Math.PI / 4,
+            maxPointSize: config.maxPointSize || 64,
+            intensity: config.intensity || 1.2,
+            
+            // Random seed (null derives one from the shared random service)
+            seed: config.seed !== undefined ? config.seed : null
+        };
+        
+        // Simulation
+        this.particleSystem = null;
+        this.beatPulse = 0;
+        this.orbitAngle = 0;
+        this.onSeedChanged = null;
+        
+        // Rendering
+        this.vertexBuffer = null;
+        this.vertices = null;
+        this.vertexCount = 0;
+        this.viewMatrix = null;
+        this.projectionMatrix = null;
+        this.resolution = [1, 1];
+    }
+    
+    /**
+     * Initialize the particle simulation, shader and buffers
+     */
+    async initialize(gl, canvas, integrations) {
+        await this.initializeBase(gl, canvas, integrations);
+        
+        const config = this.particleConfig;
+        
+        this.particleSystem = new ParticleSystem({
+            maxParticles: config.maxParticles,
+            initialParticleCount: config.initialParticleCount,
+            particleSize: config.particleSize,
+            particleLifetime: config.particleLifetime,
+            particleLifetimeVariation: config.particleLifetime * 0.4,
+            gravity: [0, 0, 0],
+            airResistance: 0.6,
+            enableCollisions: false,
+            enableConstraints: false,
+            spatialOptimization: false,
+            updateMode: config.updateMode,
+            colorMode: config.colorMode,
+            emissionRate: config.emissionRate,
+            emissionBurst: config.emissionBurst,
+            emissionShape: 'sphere',
+            emissionRadius: config.fieldRadius,
+            emissionVelocity: [0, 0, 0],
+            emissionSpread: 0.5,
+            seed: this.getParticleSeed(),
+            forces: {
+                wind: { strength: 0, direction: [1, 0, 0] },
+                vortex: { strength: config.vortexStrength, axis: [0, 1, 0], center: [0, 0, 0], enabled: true },
+                attractor: { strength: config.attractorStrength, position: [0, 0, 0], falloff: 1.0, enabled: true },
+                repeller: { strength: 0, position: [0, 0, 0], falloff: 1.0, enabled: true },
+                turbulence: { strength: config.turbulenceStrength, frequency: 0.8, octaves: 3, enabled: true },
+                magnetic: { strength: 0, field: [0, 1, 0] }
+            }
+        });
+        await this.particleSystem.initialize(gl);
+        
+        await integrations.shaderManager.loadShaderProgram(VERTEX_SHADER, FRAGMENT_SHADER, {}, PROGRAM_NAME);
+        
+        this.vertexBuffer = gl.createBuffer();
+        this.viewMatrix = MathUtils.lookAt([0, 0, config.cameraDistance], [0, 0, 0], [0, 1, 0]);
+        
+        // Follow the shared run seed
+        if (integrations.random) {
+            this.onSeedChanged = () => this.particleSystem.setSeed(this.getParticleSeed());
+            integrations.random.on('seedChanged', this.onSeedChanged);
+        }
+        
+        this.resize(canvas.width, canvas.height);
+        
+        console.log('ParticleFieldVisualizer initialized', {
+            maxParticles: config.maxParticles,
+            backend: this.particleSystem.getStatus().backend,
+            seed: this.particleSystem.config.seed
+        });
+    }
+    
+    /**
+     * Drive the force fields from the audio bands and step the simulation
+     */
+    update(deltaTime, audioData) {
+        if (!this.state.isInitialized) return;
+        
+        this.updateBase(deltaTime, audioData);
+        
+        const config = this.particleConfig;
+        const features = this.audioData.features;
+        const reactivity = this.config.audioReactivity;
+        
+        this.beatPulse = this.state.beatDetected ? 1.0 : Math.max(0, this.beatPulse - deltaTime * 3.0);
+        
+        this.particleSystem.setForce('vortex', {
+            strength: config.vortexStrength * (0.3 + features.bass * reactivity * 2.0)
+        });
+        this.particleSystem.setForce('turbulence', {
+            strength: config.turbulenceStrength * (0.2 + features.treble * reactivity * 3.0)
+        });
+        this.particleSystem.setForce('attractor', {
+            strength: config.attractorStrength * (1.0 - this.beatPulse)
+        });
+        this.particleSystem.setForce('repeller', {
+            strength: config.beatRepulsion * this.beatPulse * reactivity
+        });
+        
+        this.particleSystem.update(deltaTime, audioData);
+        
+        this.orbitAngle += deltaTime * config.orbitSpeed * (1 + features.energy * reactivity);
+    }
+    
+    /**
+     * Render the particles as point sprites
+     */
+    render(deltaTime, renderState) {
+        if (!this.state.isInitialized || !this.state.isActive) return;
+        
+        this.renderBase(deltaTime, renderState);
+        
+        const gl = this.gl;
+        const { shaderManager } = this.integrations;
+        const config = this.particleConfig;
+        const gpuBuffers = this.particleSystem.getGPUBuffers();
+        
+        if (gpuBuffers) {
+            // Free slots are culled by the vertex shader
+            this.vertexCount = gpuBuffers.count;
+        } else {
+            this.packParticles();
+        }
+        if (this.vertexCount === 0) return;
+        
+        this.updateCamera();
+        
+        shaderManager.useProgram(PROGRAM_NAME);
+        
+        if (gpuBuffers) {
+            const { attributes, stride } = gpuBuffers;
+            gl.bindBuffer(gl.ARRAY_BUFFER, gpuBuffers.buffer);
+            this.bindAttribute('a_position', 3, attributes.position.offset, stride);
+            this.bindAttribute('a_color', 4, attributes.color.offset, stride);
+            this.bindAttribute('a_size', 1, attributes.size.offset, stride);
+            this.bindAttribute('a_rotation', 1, attributes.rotation.offset, stride);
+        } else {
+            gl.bindBuffer(gl.ARRAY_BUFFER, this.vertexBuffer);
+            gl.bufferData(gl.ARRAY_BUFFER, this.vertices.subarray(0, this.vertexCount * VERTEX_STRIDE), gl.DYNAMIC_DRAW);
+            
+            const bytes = Float32Array.BYTES_PER_ELEMENT;
+            this.bindAttribute('a_position', 3, 0);
+            this.bindAttribute('a_color', 4, 3 * bytes);
+            this.bindAttribute('a_size', 1, 7 * bytes);
+            this.bindAttribute('a_rotation', 1, 8 * bytes);
+        }
+        
+        this.applyUniforms(PROGRAM_NAME, {
+            u_viewMatrix: this.viewMatrix,
+            u_projectionMatrix: this.projectionMatrix,
+            u_pointScale: this.resolution[1] / (2 * Math.tan(config.fieldOfView / 2)),
+            u_maxPointSize: config.maxPointSize,
+            u_intensity: config.intensity * (1 + this.beatPulse * 0.5),
+            u_useTexture: 0,
+            u_time: this.state.animationTime,
+            u_beatStrength: this.beatPulse,
+            u_glowFalloff: 2.0,
+            u_transitionAlpha: 1.0
+        });
+        
+        gl.drawArrays(gl.POINTS, 0, this.vertexCount);
+    }
+    
+    /**
+     * Handle canvas resize
+     */
+    resize(width, height) {
+        this.resolution = [width, height];
+        this.projectionMatrix = MathUtils.perspective(
+            this.particleConfig.fieldOfView,
+            width / Math.max(height, 1),
+            0.1,
+            100.0
+        );
+    }
+    
+    // ===== SEEDING =====
+    
+    /**
+     * Particle seed: the configured seed, or one derived from the shared random service
+     * @returns {number|string|null} Seed
+     */
+    getParticleSeed() {
+        if (this.particleConfig.seed !== null) {
+            return this.particleConfig.seed;
+        }
+        return this.integrations.random ? this.integrations.random.deriveSeed('particle-field') : null;
+    }
+    
+    /**
+     * Reseed the simulation and restart it from its initial population
+     * @param {number|string} seed - Random seed
+     */
+    setSeed(seed) {
+        this.particleConfig.seed = seed;
+        if (this.particleSystem) {
+            this.particleSystem.setSeed(seed);
+        }
+    }
+    
+    // ===== RENDERING =====
+    
+    /**
+     * Copy active particles into the interleaved vertex array
+     */
+    packParticles() {
+        if (!this.vertices) {
+            this.vertices = new Float32Array(this.particleConfig.maxParticles * VERTEX_STRIDE);
+        }
+        
+        const particles = this.particleSystem.getParticleData();
+        const limit = Math.min(particles.active.length, this.particleConfig.maxParticles);
+        let count = 0;
+        
+        for (let i = 0; i < limit; i++) {
+            if (!particles.active[i] || !particles.visible[i]) continue;
+            
+            const offset = count * VERTEX_STRIDE;
+            this.vertices[offset] = particles.positions[i * 3];
+            this.vertices[offset + 1] = particles.positions[i * 3 + 1];
+            this.vertices[offset + 2] = particles.positions[i * 3 + 2];
+            this.vertices[offset + 3] = particles.colors[i * 4];
+            this.vertices[offset + 4] = particles.colors[i * 4 + 1];
+            this.vertices[offset + 5] = particles.colors[i * 4 + 2];
+            this.vertices[offset + 6] = particles.colors[i * 4 + 3];
+            this.vertices[offset + 7] = particles.sizes[i];
+            this.vertices[offset + 8] = particles.rotations[i];
+            count++;
+        }
+        
+        this.vertexCount = count;
+    }
+    
+    /**
+     * Orbit the camera around the field, bobbing slightly
+     */
+    updateCamera() {
+        const distance = this.particleConfig.cameraDistance * (1 - this.beatPulse * 0.05);
+        const eye = [
+            Math.sin(this.orbitAngle) * distance,
+            Math.sin(this.orbitAngle * 0.37) * distance * 0.3,
+            Math.cos(this.orbitAngle) * distance
+        ];
+        
+        this.viewMatrix = MathUtils.lookAt(eye, [0, 0, 0], [0, 1, 0]);
+    }
+    
+    /**
+     * Point an attribute at the bound interleaved vertex buffer
+     */
+    bindAttribute(name, size, offset, stride = VERTEX_STRIDE * Float32Array.BYTES_PER_ELEMENT) {
+        const gl = this.gl;
+        const location = this.integrations.shaderManager.getAttributeLocation(PROGRAM_NAME, name);
+        
+        if (location >= 0) {
+            gl.enableVertexAttribArray(location);
+            gl.vertexAttribPointer(location, size, gl.FLOAT, false, stride, offset);
+        }
+    }
+    
+    /**
+     * Modulation targets: shared parameters plus force and camera settings
+     */
+    getModulationParameters() {
+        const config = this.particleConfig;
+        
+        return [
+            ...super.getModulationParameters(),
+            this.createConfigParameter(config, 'vortexStrength', 'Vortex Strength', 0, 30),
+            this.createConfigParameter(config, 'turbulenceStrength', 'Turbulence Strength', 0, 20),
+            this.createConfigParameter(config, 'orbitSpeed', 'Orbit Speed', 0, 2),
+            this.createConfigParameter(config, 'intensity', 'Intensity', 0, 4)
+        ];
+    }
+    
+    /**
+     * Get visualizer status
+     */
+    getStatus() {
+        return {
+            ...this.getInfo(),
+            particles: this.particleSystem ? this.particleSystem.getStatus().particles : null
+        };
+    }
+    
+    /**
+     * Release the simulation and GPU resources
+     */
+    dispose() {
+        if (this.onSeedChanged && this.integrations.random) {
+            this.integrations.random.off('seedChanged', this.onSeedChanged);
+            this.onSeedChanged = null;
+        }
+        
+        if (this.particleSystem) {
+            this.particleSystem.dispose();
+            this.particleSystem = null;
+        }
+        
+        if (this.gl && this.vertexBuffer) {
+            this.gl.deleteBuffer(this.vertexBuffer);
+        }
+        this.vertexBuffer = null;
+        this.vertices = null;
+        
+        super.dispose();
+    }
+}
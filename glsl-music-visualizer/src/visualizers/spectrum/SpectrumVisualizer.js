@@ -0,0 +1,369 @@
+/**
+ * Spectrum Visualizer
+ * Log-frequency spectrum analyzer drawn as bars or as a radial burst
+ * Location: src/visualizers/spectrum/SpectrumVisualizer.js
+ *
+ * Groups FFT bins into log-spaced bars on a dB scale with falling peak
+ * markers. Bar levels are uploaded as a one-row texture and drawn in a single
+ * fullscreen pass (src/shaders/visualizers/spectrum.frag).
+ */
+
+import { BaseVisualizer } from '../base/BaseVisualizer.js';
+import { MathUtils } from '../../utils/MathUtils.js';
+import { ColorUtils } from '../../utils/ColorUtils.js';
+
+const VERTEX_SHADER = 'src/shaders/fullscreen.vert';
+const FRAGMENT_SHADER = 'src/shaders/visualizers/spectrum.frag';
+const PROGRAM_NAME = 'visualizer:spectrum';
+
+// Layout names, indexed by u_layout
+const LAYOUTS = ['bars', 'radial'];
+const PALETTE_SIZE = 256;
+
+export class SpectrumVisualizer extends BaseVisualizer {
+    constructor(name = 'Spectrum', config = {}) {
+        super(name, {
+            type: 'spectrum',
+            enableDepthTest: false,
+            ...config
+        });
+        
+        // Spectrum-specific configuration
+        this.spectrumConfig = {
+            // Layout
+            layout: LAYOUTS.includes(config.layout) ? config.layout : 'bars',
+            barCount: config.barCount || 64,
+            barGap: config.barGap !== undefined ? config.barGap : 0.2,
+            mirror: config.mirror === true,
+            innerRadius: config.innerRadius || 0.22,   // Radial: fraction of the short side
+            barLength: config.barLength || 0.26,       // Radial: full-scale bar length
+            palette: config.palette || 'PLASMA',
+            
+            // Analysis
+            minFrequency: config.minFrequency || 30,
+            maxFrequency: config.maxFrequency || 16000,
+            minDecibels: config.minDecibels || -90,
+            maxDecibels: config.maxDecibels || -20,
+            
+            // Dynamics
+            attack: config.attack || 0.6,              // Fraction of a rise applied per frame
+            release: config.release || 1.8,            // Fall speed (full scale per second)
+            peakHold: config.peakHold || 0.4,          // Seconds before a peak starts falling
+            peakFall: config.peakFall || 0.6           // Peak fall speed (full scale per second)
+        };
+        
+        // Bar state
+        this.bands = [];
+        this.levels = null;
+        this.peaks = null;
+        this.peakHoldTimers = null;
+        this.beatPulse = 0;
+        
+        // GPU resources
+        this.textures = {
+            spectrum: null,
+            palette: null
+        };
+        this.textureData = null;
+        this.resolution = [1, 1];
+    }
+    
+    /**
+     * Initialize shader, textures and bar layout
+     */
+    async initialize(gl, canvas, integrations) {
+        await this.initializeBase(gl, canvas, integrations);
+        
+        await integrations.shaderManager.loadShaderProgram(VERTEX_SHADER, FRAGMENT_SHADER, {}, PROGRAM_NAME);
+        
+        this.setBarCount(this.spectrumConfig.barCount);
+        this.setPalette(this.spectrumConfig.palette);
+        this.resize(canvas.width, canvas.height);
+        
+        console.log('SpectrumVisualizer initialized', {
+            layout: this.spectrumConfig.layout,
+            bars: this.spectrumConfig.barCount
+        });
+    }
+    
+    /**
+     * Update bar levels and peaks from the spectrum
+     */
+    update(deltaTime, audioData) {
+        if (!this.state.isInitialized) return;
+        
+        this.updateBase(deltaTime, audioData);
+        
+        const frequencyData = audioData && audioData.frequencyData;
+        const sampleRate = (audioData && audioData.sampleRate) || 44100;
+        
+        for (let i = 0; i < this.bands.length; i++) {
+            const target = frequencyData ? this.measureBand(this.bands[i], frequencyData, sampleRate) : 0;
+            this.updateBar(i, target, deltaTime);
+        }
+        
+        // Flash on beats, then decay
+        this.beatPulse = this.state.beatDetected ? 1.0 : Math.max(0, this.beatPulse - deltaTime * 4.0);
+    }
+    
+    /**
+     * Render the spectrum
+     */
+    render(deltaTime, renderState) {
+        if (!this.state.isInitialized || !this.state.isActive) return;
+        
+        this.renderBase(deltaTime, renderState);
+        
+        const gl = this.gl;
+        const { shaderManager, renderEngine } = this.integrations;
+        const config = this.spectrumConfig;
+        
+        this.uploadLevels();
+        
+        shaderManager.useProgram(PROGRAM_NAME);
+        
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_2D, this.textures.spectrum);
+        gl.uniform1i(shaderManager.getUniformLocation(PROGRAM_NAME, 'u_spectrum'), 0);
+        
+        gl.activeTexture(gl.TEXTURE1);
+        gl.bindTexture(gl.TEXTURE_2D, this.textures.palette);
+        gl.uniform1i(shaderManager.getUniformLocation(PROGRAM_NAME, 'u_palette'), 1);
+        
+        this.applyUniforms(PROGRAM_NAME, {
+            u_resolution: this.resolution,
+            u_layout: LAYOUTS.indexOf(config.layout),
+            u_barCount: this.bands.length,
+            u_barGap: MathUtils.clamp(config.barGap, 0, 0.9),
+            u_mirror: config.mirror ? 1 : 0,
+            u_innerRadius: config.innerRadius,
+            u_barLength: config.barLength,
+            u_energy: MathUtils.clamp(this.audioData.features.energy * this.config.audioReactivity, 0, 1),
+            u_beatPulse: this.beatPulse,
+            u_transitionAlpha: 1.0
+        });
+        
+        renderEngine.drawFullscreenQuad(PROGRAM_NAME);
+        
+        gl.activeTexture(gl.TEXTURE0);
+    }
+    
+    /**
+     * Handle canvas resize
+     */
+    resize(width, height) {
+        this.resolution = [width, height];
+    }
+    
+    // ===== CONFIGURATION =====
+    
+    /**
+     * Switch between 'bars' and 'radial'
+     * @param {string} layout - Layout name
+     */
+    setLayout(layout) {
+        if (!LAYOUTS.includes(layout)) {
+            throw new Error(`Unknown spectrum layout: ${layout}`);
+        }
+        this.spectrumConfig.layout = layout;
+    }
+    
+    /**
+     * Change the number of bars and rebuild the frequency bands
+     * @param {number} count - Bar count
+     */
+    setBarCount(count) {
+        const config = this.spectrumConfig;
+        config.barCount = Math.round(MathUtils.clamp(count, 4, 512));
+        
+        // Log-spaced band edges between minFrequency and maxFrequency
+        const ratio = config.maxFrequency / config.minFrequency;
+        this.bands = [];
+        for (let i = 0; i < config.barCount; i++) {
+            this.bands.push({
+                low: config.minFrequency * Math.pow(ratio, i / config.barCount),
+                high: config.minFrequency * Math.pow(ratio, (i + 1) / config.barCount)
+            });
+        }
+        
+        this.levels = new Float32Array(config.barCount);
+        this.peaks = new Float32Array(config.barCount);
+        this.peakHoldTimers = new Float32Array(config.barCount);
+        this.textureData = new Uint8Array(config.barCount * 4);
+        
+        this.createSpectrumTexture();
+    }
+    
+    /**
+     * Set the bar palette
+     * @param {string} paletteName - ColorUtils palette name
+     */
+    setPalette(paletteName) {
+        const gl = this.gl;
+        const gradient = ColorUtils.generateGradient(paletteName, PALETTE_SIZE);
+        const data = new Uint8Array(PALETTE_SIZE * 4);
+        
+        gradient.forEach((color, i) => {
+            data[i * 4] = Math.round(MathUtils.clamp(color[0], 0, 1) * 255);
+            data[i * 4 + 1] = Math.round(MathUtils.clamp(color[1], 0, 1) * 255);
+            data[i * 4 + 2] = Math.round(MathUtils.clamp(color[2], 0, 1) * 255);
+            data[i * 4 + 3] = 255;
+        });
+        
+        if (!this.textures.palette) {
+            this.textures.palette = this.createDataTexture(gl.LINEAR);
+        }
+        
+        gl.bindTexture(gl.TEXTURE_2D, this.textures.palette);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, PALETTE_SIZE, 1, 0, gl.RGBA, gl.UNSIGNED_BYTE, data);
+        gl.bindTexture(gl.TEXTURE_2D, null);
+        
+        this.spectrumConfig.palette = paletteName;
+    }
+    
+    // ===== ANALYSIS =====
+    
+    /**
+     * Normalized level of a frequency band (loudest bin on the dB scale)
+     * @param {Object} band - { low, high } in Hz
+     * @param {Float32Array} frequencyData - Linear magnitudes up to Nyquist
+     * @param {number} sampleRate - Sample rate in Hz
+     * @returns {number} Level [0-1]
+     */
+    measureBand(band, frequencyData, sampleRate) {
+        const config = this.spectrumConfig;
+        const binWidth = sampleRate / 2 / frequencyData.length;
+        
+        const startBin = Math.min(Math.floor(band.low / binWidth), frequencyData.length - 1);
+        const endBin = Math.min(Math.max(Math.ceil(band.high / binWidth), startBin + 1), frequencyData.length);
+        
+        let magnitude = 0;
+        for (let bin = startBin; bin < endBin; bin++) {
+            magnitude = Math.max(magnitude, frequencyData[bin]);
+        }
+        
+        const db = MathUtils.amplitudeToDb(magnitude);
+        const level = MathUtils.normalize(db, config.minDecibels, config.maxDecibels);
+        
+        return MathUtils.clamp(level * this.config.audioReactivity, 0, 1);
+    }
+    
+    /**
+     * Move a bar towards its target level and update its peak marker
+     */
+    updateBar(index, target, deltaTime) {
+        const config = this.spectrumConfig;
+        
+        // Fast rise, linear fall
+        let level = this.levels[index];
+        if (target > level) {
+            level += (target - level) * config.attack;
+        } else {
+            level = Math.max(target, level - config.release * deltaTime);
+        }
+        this.levels[index] = level;
+        
+        // Peaks hold briefly, then fall until they meet the bar
+        if (level >= this.peaks[index]) {
+            this.peaks[index] = level;
+            this.peakHoldTimers[index] = config.peakHold;
+        } else if (this.peakHoldTimers[index] > 0) {
+            this.peakHoldTimers[index] -= deltaTime;
+        } else {
+            this.peaks[index] = Math.max(level, this.peaks[index] - config.peakFall * deltaTime);
+        }
+    }
+    
+    // ===== GPU RESOURCES =====
+    
+    /**
+     * Create an empty clamped texture with the given filter
+     */
+    createDataTexture(filter) {
+        const gl = this.gl;
+        const texture = gl.createTexture();
+        
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, filter);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, filter);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        gl.bindTexture(gl.TEXTURE_2D, null);
+        
+        return texture;
+    }
+    
+    /**
+     * (Re)create the level texture for the current bar count
+     */
+    createSpectrumTexture() {
+        const gl = this.gl;
+        
+        if (!this.textures.spectrum) {
+            this.textures.spectrum = this.createDataTexture(gl.NEAREST);
+        }
+        
+        gl.bindTexture(gl.TEXTURE_2D, this.textures.spectrum);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, this.bands.length, 1, 0, gl.RGBA, gl.UNSIGNED_BYTE, this.textureData);
+        gl.bindTexture(gl.TEXTURE_2D, null);
+    }
+    
+    /**
+     * Upload bar levels (r) and peaks (g)
+     */
+    uploadLevels() {
+        const gl = this.gl;
+        
+        for (let i = 0; i < this.bands.length; i++) {
+            this.textureData[i * 4] = Math.round(this.levels[i] * 255);
+            this.textureData[i * 4 + 1] = Math.round(this.peaks[i] * 255);
+        }
+        
+        gl.bindTexture(gl.TEXTURE_2D, this.textures.spectrum);
+        gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, 0, this.bands.length, 1, gl.RGBA, gl.UNSIGNED_BYTE, this.textureData);
+    }
+    
+    /**
+     * Modulation targets: shared parameters plus bar geometry
+     */
+    getModulationParameters() {
+        const config = this.spectrumConfig;
+        
+        return [
+            ...super.getModulationParameters(),
+            this.createConfigParameter(config, 'barGap', 'Bar Gap', 0, 0.9),
+            this.createConfigParameter(config, 'innerRadius', 'Inner Radius', 0, 0.45),
+            this.createConfigParameter(config, 'barLength', 'Bar Length', 0.05, 0.5),
+            this.createConfigParameter(config, 'release', 'Bar Release', 0.1, 6)
+        ];
+    }
+    
+    /**
+     * Get visualizer status
+     */
+    getStatus() {
+        return {
+            ...this.getInfo(),
+            spectrum: {
+                layout: this.spectrumConfig.layout,
+                bars: this.bands.length,
+                palette: this.spectrumConfig.palette
+            }
+        };
+    }
+    
+    /**
+     * Release GPU resources
+     */
+    dispose() {
+        if (this.gl) {
+            Object.values(this.textures).forEach(texture => {
+                if (texture) this.gl.deleteTexture(texture);
+            });
+        }
+        this.textures.spectrum = null;
+        this.textures.palette = null;
+        
+        super.dispose();
+    }
+}
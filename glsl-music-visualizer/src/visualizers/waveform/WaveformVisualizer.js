@@ -0,0 +1,329 @@
+/**
+ * Waveform Visualizer
+ * Oscilloscope trace of the time-domain signal, as a line or a ring
+ * Location: src/visualizers/waveform/WaveformVisualizer.js
+ *
+ * Each frame starts at a rising zero crossing so periodic signals stand still
+ * on screen. The trace is resampled to a fixed point count and extruded into
+ * a triangle strip on the CPU, with a glow band drawn by
+ * src/shaders/visualizers/waveform.frag.
+ */
+
+import { BaseVisualizer } from '../base/BaseVisualizer.js';
+import { MathUtils } from '../../utils/MathUtils.js';
+
+const VERTEX_SHADER = 'src/shaders/visualizers/waveform.vert';
+const FRAGMENT_SHADER = 'src/shaders/visualizers/waveform.frag';
+const PROGRAM_NAME = 'visualizer:waveform';
+
+const LAYOUTS = ['line', 'ring'];
+
+// Floats per strip vertex: position (2), edge, progress
+const VERTEX_STRIDE = 4;
+
+export class WaveformVisualizer extends BaseVisualizer {
+    constructor(name = 'Oscilloscope', config = {}) {
+        super(name, {
+            type: 'waveform',
+            enableDepthTest: false,
+            blendMode: 'additive',
+            ...config
+        });
+        
+        // Waveform-specific configuration
+        this.waveformConfig = {
+            layout: LAYOUTS.includes(config.layout) ? config.layout : 'line',
+            pointCount: config.pointCount || 512,
+            windowSize: config.windowSize || 1024,        // Samples shown per frame
+            stabilize: config.stabilize !== false,       // Start at a rising zero crossing
+            lineWidth: config.lineWidth || 3,             // Core width in pixels
+            glowWidth: config.glowWidth || 10,            // Glow on each side in pixels
+            amplitude: config.amplitude || 0.8,           // Line: fraction of half the height
+            margin: config.margin || 0.05,                // Line: horizontal margin (fraction of width)
+            ringRadius: config.ringRadius || 0.28,        // Ring: fraction of the short side
+            ringAmplitude: config.ringAmplitude || 0.12,  // Ring: radial excursion at full scale
+            colorStart: config.colorStart || [0.2, 0.9, 1.0],
+            colorEnd: config.colorEnd || [1.0, 0.3, 0.8]
+        };
+        
+        // Trace state
+        this.samples = null;
+        this.points = null;
+        this.vertices = null;
+        this.beatPulse = 0;
+        
+        // GPU resources
+        this.vertexBuffer = null;
+        this.resolution = [1, 1];
+    }
+    
+    /**
+     * Initialize shader and vertex buffer
+     */
+    async initialize(gl, canvas, integrations) {
+        await this.initializeBase(gl, canvas, integrations);
+        
+        await integrations.shaderManager.loadShaderProgram(VERTEX_SHADER, FRAGMENT_SHADER, {}, PROGRAM_NAME);
+        
+        this.vertexBuffer = gl.createBuffer();
+        this.setPointCount(this.waveformConfig.pointCount);
+        this.resize(canvas.width, canvas.height);
+        
+        console.log('WaveformVisualizer initialized', {
+            layout: this.waveformConfig.layout,
+            points: this.waveformConfig.pointCount
+        });
+    }
+    
+    /**
+     * Capture the trace for this frame
+     */
+    update(deltaTime, audioData) {
+        if (!this.state.isInitialized) return;
+        
+        this.updateBase(deltaTime, audioData);
+        
+        if (audioData && audioData.timeData) {
+            this.captureSamples(this.audioData.timeData);
+        } else {
+            // Relax to a flat line without input
+            for (let i = 0; i < this.samples.length; i++) {
+                this.samples[i] *= Math.max(0, 1 - deltaTime * 6.0);
+            }
+        }
+        
+        this.beatPulse = this.state.beatDetected ? 1.0 : Math.max(0, this.beatPulse - deltaTime * 4.0);
+    }
+    
+    /**
+     * Render the trace
+     */
+    render(deltaTime, renderState) {
+        if (!this.state.isInitialized || !this.state.isActive) return;
+        
+        this.renderBase(deltaTime, renderState);
+        
+        const gl = this.gl;
+        const { shaderManager } = this.integrations;
+        const config = this.waveformConfig;
+        
+        this.buildStrip();
+        
+        shaderManager.useProgram(PROGRAM_NAME);
+        
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.vertexBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, this.vertices, gl.DYNAMIC_DRAW);
+        
+        const bytes = Float32Array.BYTES_PER_ELEMENT;
+        this.bindAttribute('a_position', 2, 0);
+        this.bindAttribute('a_edge', 1, 2 * bytes);
+        this.bindAttribute('a_progress', 1, 3 * bytes);
+        
+        const halfWidth = config.lineWidth / 2 + config.glowWidth;
+        
+        this.applyUniforms(PROGRAM_NAME, {
+            u_colorStart: config.colorStart,
+            u_colorEnd: config.colorEnd,
+            u_coreWidth: MathUtils.clamp(config.lineWidth / 2 / halfWidth, 0.05, 1),
+            u_energy: MathUtils.clamp(this.audioData.features.energy * this.config.audioReactivity, 0, 1),
+            u_beatPulse: this.beatPulse,
+            u_transitionAlpha: 1.0
+        });
+        
+        gl.drawArrays(gl.TRIANGLE_STRIP, 0, this.samples.length * 2);
+    }
+    
+    /**
+     * Handle canvas resize
+     */
+    resize(width, height) {
+        this.resolution = [width, height];
+    }
+    
+    // ===== CONFIGURATION =====
+    
+    /**
+     * Switch between 'line' and 'ring'
+     * @param {string} layout - Layout name
+     */
+    setLayout(layout) {
+        if (!LAYOUTS.includes(layout)) {
+            throw new Error(`Unknown waveform layout: ${layout}`);
+        }
+        this.waveformConfig.layout = layout;
+    }
+    
+    /**
+     * Change the number of trace points
+     * @param {number} count - Point count
+     */
+    setPointCount(count) {
+        const pointCount = Math.round(MathUtils.clamp(count, 16, 4096));
+        
+        this.waveformConfig.pointCount = pointCount;
+        this.samples = new Float32Array(pointCount);
+        this.points = new Float32Array(pointCount * 2);
+        this.vertices = new Float32Array(pointCount * 2 * VERTEX_STRIDE);
+    }
+    
+    // ===== TRACE =====
+    
+    /**
+     * Resample one window of the signal, starting at the trigger point
+     * @param {Float32Array} timeData - Time-domain samples [-1, 1]
+     */
+    captureSamples(timeData) {
+        const config = this.waveformConfig;
+        const windowSize = Math.min(config.windowSize, timeData.length);
+        const start = config.stabilize ? this.findTrigger(timeData, timeData.length - windowSize) : 0;
+        const gain = this.config.audioReactivity;
+        
+        for (let i = 0; i < this.samples.length; i++) {
+            const index = start + Math.floor(i * windowSize / this.samples.length);
+            this.samples[i] = MathUtils.clamp(timeData[index] * gain, -1, 1);
+        }
+    }
+    
+    /**
+     * First rising zero crossing within the first `range` samples
+     * @returns {number} Sample index (0 if there is none)
+     */
+    findTrigger(timeData, range) {
+        for (let i = 1; i < range; i++) {
+            if (timeData[i - 1] < 0 && timeData[i] >= 0) {
+                return i;
+            }
+        }
+        return 0;
+    }
+    
+    /**
+     * Trace points in pixels for the current layout
+     */
+    layoutPoints() {
+        const config = this.waveformConfig;
+        const [width, height] = this.resolution;
+        const count = this.samples.length;
+        
+        if (config.layout === 'ring') {
+            const shortSide = Math.min(width, height);
+            const blend = Math.max(2, Math.floor(count * 0.05));
+            
+            for (let i = 0; i < count; i++) {
+                // Crossfade into the first sample so the ring closes
+                let sample = this.samples[i];
+                const fromEnd = count - 1 - i;
+                if (fromEnd < blend) {
+                    sample = MathUtils.lerp(this.samples[0], sample, fromEnd / blend);
+                }
+                
+                const angle = i / (count - 1) * MathUtils.TWO_PI + Math.PI / 2;
+                const radius = (config.ringRadius + sample * config.ringAmplitude) * shortSide * (1 + this.beatPulse * 0.08);
+                
+                this.points[i * 2] = width / 2 + Math.cos(angle) * radius;
+                this.points[i * 2 + 1] = height / 2 + Math.sin(angle) * radius;
+            }
+        } else {
+            const left = width * config.margin;
+            const span = width - 2 * left;
+            
+            for (let i = 0; i < count; i++) {
+                this.points[i * 2] = left + i / (count - 1) * span;
+                this.points[i * 2 + 1] = height / 2 + this.samples[i] * config.amplitude * height / 2;
+            }
+        }
+    }
+    
+    /**
+     * Extrude the trace into a clip-space triangle strip
+     */
+    buildStrip() {
+        this.layoutPoints();
+        
+        const config = this.waveformConfig;
+        const [width, height] = this.resolution;
+        const points = this.points;
+        const count = points.length / 2;
+        const closed = config.layout === 'ring';
+        const halfWidth = config.lineWidth / 2 + config.glowWidth * (1 + this.beatPulse * 0.5);
+        
+        for (let i = 0; i < count; i++) {
+            // Tangent from the neighbouring points (wrapping on the ring)
+            const prev = closed ? (i - 1 + count - 1) % (count - 1) : Math.max(i - 1, 0);
+            const next = closed ? (i + 1) % (count - 1) : Math.min(i + 1, count - 1);
+            
+            const tx = points[next * 2] - points[prev * 2];
+            const ty = points[next * 2 + 1] - points[prev * 2 + 1];
+            const length = Math.hypot(tx, ty) || 1;
+            const nx = -ty / length * halfWidth;
+            const ny = tx / length * halfWidth;
+            
+            const x = points[i * 2];
+            const y = points[i * 2 + 1];
+            const progress = i / (count - 1);
+            
+            for (let side = 0; side < 2; side++) {
+                const edge = side === 0 ? -1 : 1;
+                const offset = (i * 2 + side) * VERTEX_STRIDE;
+                
+                this.vertices[offset] = (x + nx * edge) / width * 2 - 1;
+                this.vertices[offset + 1] = (y + ny * edge) / height * 2 - 1;
+                this.vertices[offset + 2] = edge;
+                this.vertices[offset + 3] = progress;
+            }
+        }
+    }
+    
+    /**
+     * Point an attribute at the interleaved vertex buffer
+     */
+    bindAttribute(name, size, offset) {
+        const gl = this.gl;
+        const location = this.integrations.shaderManager.getAttributeLocation(PROGRAM_NAME, name);
+        
+        if (location >= 0) {
+            gl.enableVertexAttribArray(location);
+            gl.vertexAttribPointer(location, size, gl.FLOAT, false, VERTEX_STRIDE * Float32Array.BYTES_PER_ELEMENT, offset);
+        }
+    }
+    
+    /**
+     * Modulation targets: shared parameters plus trace shape
+     */
+    getModulationParameters() {
+        const config = this.waveformConfig;
+        
+        return [
+            ...super.getModulationParameters(),
+            this.createConfigParameter(config, 'amplitude', 'Amplitude', 0.1, 1),
+            this.createConfigParameter(config, 'lineWidth', 'Line Width', 1, 12),
+            this.createConfigParameter(config, 'glowWidth', 'Glow Width', 0, 40),
+            this.createConfigParameter(config, 'ringRadius', 'Ring Radius', 0.1, 0.45)
+        ];
+    }
+    
+    /**
+     * Get visualizer status
+     */
+    getStatus() {
+        return {
+            ...this.getInfo(),
+            waveform: {
+                layout: this.waveformConfig.layout,
+                points: this.samples ? this.samples.length : 0
+            }
+        };
+    }
+    
+    /**
+     * Release GPU resources
+     */
+    dispose() {
+        if (this.gl && this.vertexBuffer) {
+            this.gl.deleteBuffer(this.vertexBuffer);
+        }
+        this.vertexBuffer = null;
+        
+        super.dispose();
+    }
+}
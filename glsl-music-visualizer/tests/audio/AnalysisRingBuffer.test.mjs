@@ -0,0 +1,121 @@
+/**
+ * AnalysisRingBuffer tests
+ * Writes frames the way the analysis processor does and drains them on the reader side
+ * Location: tests/audio/AnalysisRingBuffer.test.mjs
+ */
+
+import { AnalysisRingBuffer, FRAME_FIELDS, RING_HEADER } from '../../src/audio/AnalysisRingBuffer.js';
+
+/**
+ * Writer over the ring's shared buffers, publishing like AnalysisProcessor.publish
+ */
+function createWriter(ring) {
+    const { capacity, stride, buffers } = ring.getLayout();
+    const header = new Int32Array(buffers.header);
+    const frames = new Float32Array(buffers.frames);
+    const positions = new Float64Array(buffers.positions);
+    
+    return (rms, sampleIndex) => {
+        const count = Atomics.load(header, RING_HEADER.WRITE_COUNT);
+        const slot = count % capacity;
+        const frame = new Float32Array(stride);
+        frame[FRAME_FIELDS.RMS] = rms;
+        frame[FRAME_FIELDS.MAGNITUDE] = rms * 10;
+        
+        frames.set(frame, slot * stride);
+        positions[slot] = sampleIndex;
+        Atomics.store(header, RING_HEADER.WRITE_COUNT, count + 1);
+    };
+}
+
+describe('AnalysisRingBuffer', () => {
+    const HOP = 512;
+    let ring;
+    let write;
+    
+    const writeFrames = (first, count) => {
+        for (let i = first; i < first + count; i++) {
+            write(i, (i + 1) * HOP);
+        }
+    };
+    
+    const drainAll = () => {
+        const read = [];
+        ring.drain((frame, sampleIndex) => {
+            read.push({ rms: frame[FRAME_FIELDS.RMS], magnitude: frame[FRAME_FIELDS.MAGNITUDE], sampleIndex });
+        });
+        return read;
+    };
+    
+    beforeEach(() => {
+        ring = new AnalysisRingBuffer({ capacity: 8, binCount: 4 });
+        write = createWriter(ring);
+    });
+    
+    test('is supported with shared memory outside a browser', () => {
+        expect(AnalysisRingBuffer.isSupported()).toBe(true);
+        expect(ring.getLayout()).toMatchObject({ capacity: 8, binCount: 4, stride: FRAME_FIELDS.MAGNITUDE + 4 });
+    });
+    
+    test('hands out frames in order with their sample index', () => {
+        writeFrames(0, 3);
+        expect(ring.available()).toBe(3);
+        
+        expect(drainAll()).toEqual([
+            { rms: 0, magnitude: 0, sampleIndex: HOP },
+            { rms: 1, magnitude: 10, sampleIndex: 2 * HOP },
+            { rms: 2, magnitude: 20, sampleIndex: 3 * HOP }
+        ]);
+        expect(ring.available()).toBe(0);
+        expect(drainAll()).toEqual([]);
+    });
+    
+    test('keeps reading across the end of the ring', () => {
+        writeFrames(0, 6);
+        drainAll();
+        
+        writeFrames(6, 6);
+        const read = drainAll();
+        
+        expect(read.map(frame => frame.rms)).toEqual([6, 7, 8, 9, 10, 11]);
+        expect(read.map(frame => frame.sampleIndex)).toEqual([7, 8, 9, 10, 11, 12].map(n => n * HOP));
+        expect(ring.getStatus().droppedFrames).toBe(0);
+    });
+    
+    test('a reader a whole ring behind skips to the newest frames and counts the rest as dropped', () => {
+        writeFrames(0, 11);
+        
+        const read = drainAll();
+        
+        // The oldest slot left is the one the writer fills next, so it is not trusted either
+        expect(read.map(frame => frame.rms)).toEqual([4, 5, 6, 7, 8, 9, 10]);
+        expect(ring.getStatus()).toMatchObject({ pending: 0, droppedFrames: 4 });
+    });
+    
+    test('drops a slot the writer lapped while it was being read', () => {
+        writeFrames(0, 4);
+        const read = [];
+        
+        // The writer gets a full ring ahead while the reader handles the first frame
+        ring.drain(frame => {
+            read.push(frame[FRAME_FIELDS.RMS]);
+            if (read.length === 1) writeFrames(4, 8);
+        });
+        
+        // Frames 1-3 were overwritten by 9-11 before they were copied
+        expect(read).toEqual([0]);
+        expect(ring.getStatus().droppedFrames).toBe(3);
+        
+        expect(drainAll().map(frame => frame.rms)).toEqual([5, 6, 7, 8, 9, 10, 11]);
+        expect(ring.getStatus().droppedFrames).toBe(4);
+    });
+    
+    test('skip discards pending frames', () => {
+        writeFrames(0, 5);
+        ring.skip();
+        
+        expect(ring.available()).toBe(0);
+        writeFrames(5, 1);
+        expect(drainAll().map(frame => frame.rms)).toEqual([5]);
+    });
+});
@@ -0,0 +1,253 @@
+/**
+ * AnalysisTrack and AnalysisReplay tests
+ * Serialization round trips and event collection across seeks
+ * Location: tests/audio/AnalysisTrack.test.mjs
+ */
+
+import { AnalysisTrack, ANALYSIS_TRACK_VERSION } from '../../src/audio/AnalysisTrack.js';
+import { AnalysisReplay } from '../../src/audio/AnalysisReplay.js';
+
+const FRAME_RATE = 100;
+const BEAT_INTERVAL = 10;
+
+const SCALAR_FIELDS = [
+    'bassLevel', 'midLevel', 'trebleLevel',
+    'energy', 'rms', 'zcr',
+    'spectralCentroid', 'spectralRolloff', 'spectralFlux',
+    'bpm', 'beatStrength', 'beatPhase', 'pitch'
+];
+
+const VECTOR_SIZES = { harmonics: 4, chroma: 12, mfcc: 13, spectrum: 16 };
+
+const BAR_FIELDS = [
+    'barCount', 'beatInBar', 'beatsPerBar', 'barPhase', 'barConfidence',
+    'phraseBoundary', 'phraseAnchor', 'phraseConfidence', 'phraseNovelty'
+];
+
+/**
+ * OfflineAnalyzer-shaped result with values exactly representable in float32
+ * and in JSON's 6 significant digits. Beats fall every BEAT_INTERVAL frames with
+ * a strength that identifies the frame; onsets fall every 7 frames. Bars have four
+ * beats, with the downbeat on every fourth beat and a 4-bar phrase grid from bar 1.
+ */
+function createAnalysis(frameCount = 300) {
+    const frames = [];
+    
+    for (let i = 0; i < frameCount; i++) {
+        const frame = { time: i / FRAME_RATE };
+        
+        SCALAR_FIELDS.forEach((name, field) => {
+            frame[name] = ((i * 7 + field * 3) % 64) / 8;
+        });
+        
+        const beat = i % BEAT_INTERVAL === 0;
+        frame.beat = beat;
+        frame.onset = i % 7 === 0;
+        frame.beatStrength = beat ? i / 64 : 0;
+        
+        const beatCount = Math.floor(i / BEAT_INTERVAL);
+        const barCount = Math.floor(beatCount / 4) + 1;
+        const beatInBar = beatCount % 4;
+        frame.downbeat = beat && beatInBar === 0;
+        frame.bar = {
+            isDownbeat: frame.downbeat,
+            count: barCount,
+            beatInBar,
+            beatsPerBar: 4,
+            phase: (beatInBar + (i % BEAT_INTERVAL) / BEAT_INTERVAL) / 4,
+            confidence: 0.75
+        };
+        frame.phrase = {
+            boundary: frame.downbeat && (barCount - 1) % 4 === 0 ? 4 : 0,
+            positions: { 4: (barCount - 1) % 4, 8: (barCount - 1) % 8, 16: (barCount - 1) % 16 },
+            anchor: 0,
+            confidence: 0.5,
+            novelty: 0.125
+        };
+        
+        Object.entries(VECTOR_SIZES).forEach(([name, size]) => {
+            frame[name] = Float32Array.from({ length: size }, (_, k) => ((i + k * 5) % 32) / 16);
+        });
+        
+        frames.push(frame);
+    }
+    
+    return {
+        sampleRate: 12800,
+        fftSize: 512,
+        hopSize: 128,
+        frameRate: FRAME_RATE,
+        duration: frameCount / FRAME_RATE,
+        frameCount,
+        frames,
+        phraseLengths: [4, 8, 16],
+        summary: { bpm: 600 }
+    };
+}
+
+function expectSameTrack(decoded, track) {
+    expect(decoded.getHeader()).toEqual(track.getHeader());
+    
+    SCALAR_FIELDS.forEach(name => {
+        expect(Array.from(decoded.scalars[name])).toEqual(Array.from(track.scalars[name]));
+    });
+    
+    expect(Object.keys(decoded.vectors).sort()).toEqual(Object.keys(track.vectors).sort());
+    Object.keys(track.vectors).forEach(name => {
+        expect(Array.from(decoded.vectors[name])).toEqual(Array.from(track.vectors[name]));
+    });
+    
+    BAR_FIELDS.forEach(name => {
+        expect(Array.from(decoded.bars[name])).toEqual(Array.from(track.bars[name]));
+    });
+    
+    expect(Array.from(decoded.flags)).toEqual(Array.from(track.flags));
+}
+
+describe('AnalysisTrack serialization', () => {
+    const track = AnalysisTrack.fromAnalysis(createAnalysis(), { name: 'synthetic' });
+    
+    test('stores the analysis column-wise', () => {
+        expect(track.vectorSizes).toEqual(VECTOR_SIZES);
+        expect(track.getFlag(20, 'beat')).toBe(true);
+        expect(track.getFlag(21, 'beat')).toBe(false);
+        expect(track.getFlag(14, 'onset')).toBe(true);
+        expect(track.scalars.beatStrength[20]).toBe(20 / 64);
+        expect(track.getFlag(40, 'downbeat')).toBe(true);
+        expect(track.getFlag(20, 'downbeat')).toBe(false);
+    });
+    
+    test('samples the bar and phrase position of the frame', () => {
+        const analysis = createAnalysis();
+        const data = track.sample(track.getFrameTime(165));
+        
+        expect(data.bar).toEqual(analysis.frames[165].bar);
+        expect(data.phrase).toEqual(analysis.frames[165].phrase);
+        expect(track.sample(track.getFrameTime(160)).phrase.boundary).toBe(4);
+    });
+    
+    test('round-trips through the binary format', () => {
+        const binary = track.toBinary();
+        
+        expectSameTrack(AnalysisTrack.decode(binary), track);
+        expectSameTrack(AnalysisTrack.decode(new Uint8Array(binary)), track);
+    });
+    
+    test('round-trips through JSON', () => {
+        const json = JSON.stringify(track);
+        
+        expectSameTrack(AnalysisTrack.decode(json), track);
+        expectSameTrack(AnalysisTrack.decode(JSON.parse(json)), track);
+    });
+    
+    test('reads version 1 tracks without bar data', () => {
+        const version1 = AnalysisTrack.fromAnalysis(createAnalysis());
+        version1.version = 1;
+        version1.flags.forEach((bits, i) => {
+            version1.flags[i] = bits & 3;
+        });
+        
+        [version1.toBinary(), JSON.stringify(version1)].forEach(serialized => {
+            const decoded = AnalysisTrack.decode(serialized);
+            const data = decoded.sample(1.6);
+            
+            expect(decoded.version).toBe(1);
+            expect(data.downbeat).toBe(false);
+            expect(data.bar).toBeNull();
+            expect(data.phrase).toBeNull();
+        });
+        
+        expect(version1.toBinary().byteLength).toBeLessThan(track.toBinary().byteLength);
+        expect(track.version).toBe(ANALYSIS_TRACK_VERSION);
+    });
+    
+    test('rejects data from a newer format version', () => {
+        const newer = { ...track.toJSON(), version: track.version + 1 };
+        
+        expect(() => AnalysisTrack.decode(newer)).toThrow(`Unsupported analysis track version: ${newer.version}`);
+    });
+});
+
+describe('AnalysisReplay events', () => {
+    const track = AnalysisTrack.fromAnalysis(createAnalysis());
+    
+    /**
+     * Play from one time to another in fixed steps, returning the beat frames reported
+     * (identified by their beat strength), each update's seek flag and the last time
+     */
+    const play = (replay, from, to, step) => {
+        const beats = [];
+        const updates = [];
+        let lastTime = from;
+        
+        for (let time = from; time <= to + 1e-9; time += step) {
+            const data = replay.update(time);
+            lastTime = time;
+            updates.push(data.seeked);
+            if (data.beat) {
+                beats.push(Math.round(data.beatStrength * 64));
+            }
+        }
+        
+        return { beats, updates, lastTime };
+    };
+    
+    /**
+     * Beat frames from one frame index to another, inclusive
+     */
+    const beatFramesBetween = (first, last) => {
+        const frames = [];
+        for (let i = first; i <= last; i++) {
+            if (track.getFlag(i, 'beat')) frames.push(i);
+        }
+        return frames;
+    };
+    
+    test('collects every beat between updates once, whatever the step', () => {
+        // Steps span several frames, so most beats fall between updates
+        const { beats, lastTime } = play(new AnalysisReplay(track), 0, 2, 0.037);
+        
+        expect(beats).toEqual(beatFramesBetween(0, track.getFrameIndex(lastTime)));
+    });
+    
+    test('collects events again after seeking backwards, without duplicates', () => {
+        const replay = new AnalysisReplay(track);
+        play(replay, 0, 2, 0.037);
+        
+        // Jumping back is a seek: the first update only reports its own frame
+        const { beats, updates, lastTime } = play(replay, 0.5, 1.5, 0.023);
+        
+        expect(updates[0]).toBe(true);
+        expect(updates.slice(1).every(seeked => !seeked)).toBe(true);
+        expect(beats).toEqual(beatFramesBetween(50, track.getFrameIndex(lastTime)));
+        expect(new Set(beats).size).toBe(beats.length);
+    });
+    
+    test('reports downbeats and phrase starts that fall between updates', () => {
+        const replay = new AnalysisReplay(track);
+        const downbeats = [];
+        const phrases = [];
+        
+        // 0.037 s steps skip most downbeat frames
+        for (let time = 0; time <= 2.9; time += 0.037) {
+            const data = replay.update(time);
+            expect(data.bar.isDownbeat).toBe(data.downbeat);
+            if (data.downbeat) downbeats.push(data.bar.count);
+            if (data.phrase.boundary > 0) phrases.push(data.bar.count);
+        }
+        
+        expect(downbeats).toEqual([1, 2, 3, 4, 5, 6, 7, 8]);
+        expect(phrases).toEqual([1, 5]);
+    });
+    
+    test('seek() reports the next update as a seek and resumes collection from there', () => {
+        const replay = new AnalysisReplay(track);
+        play(replay, 0, 2.5, 0.037);
+        
+        replay.seek(1);
+        const { beats, updates, lastTime } = play(replay, 1, 2, 0.041);
+        
+        expect(updates[0]).toBe(true);
+        expect(beats).toEqual(beatFramesBetween(100, track.getFrameIndex(lastTime)));
+    });
+});
@@ -0,0 +1,226 @@
+/**
+ * AnalysisWorkerClient tests
+ * Runs the real analysis worker script behind a fake Worker on the test thread
+ * Location: tests/audio/AnalysisWorkerClient.test.mjs
+ */
+
+import { jest } from '@jest/globals';
+import { AnalysisWorkerClient } from '../../src/audio/AnalysisWorkerClient.js';
+import { FFTProcessor } from '../../src/audio/FFTProcessor.js';
+
+const SAMPLE_RATE = 44100;
+const FFT_SIZE = 1024;
+const FFT_CONFIG = { fftSize: FFT_SIZE, hopSize: FFT_SIZE / 4 };
+
+// ===== FAKE WORKER =====
+
+// The worker script's global scope; messages go to whichever worker is running it
+const workerScope = {
+    onmessage: null,
+    postMessage: (data, transfer = []) => FakeWorker.current.receive(data, transfer)
+};
+
+/**
+ * Worker delivering messages asynchronously as structured clones, detaching transferred buffers
+ */
+class FakeWorker {
+    constructor(url, options) {
+        this.url = url;
+        this.options = options;
+        this.onmessage = null;
+        this.onerror = null;
+        this.terminated = false;
+        this.posted = [];
+        FakeWorker.current = this;
+    }
+    
+    postMessage(data, transfer = []) {
+        this.posted.push(data.type);
+        const clone = structuredClone(data, { transfer });
+        setTimeout(() => !this.terminated && workerScope.onmessage({ data: clone }), 0);
+    }
+    
+    receive(data, transfer) {
+        const clone = structuredClone(data, { transfer });
+        setTimeout(() => this.onmessage && this.onmessage({ data: clone }), 0);
+    }
+    
+    terminate() {
+        this.terminated = true;
+    }
+}
+
+// The script reads self whenever it answers, so the scope stays global for the whole file
+globalThis.self = workerScope;
+await import('../../src/audio/workers/AnalysisWorker.js');
+
+// Let the worker answer everything posted so far
+const flush = () => new Promise(resolve => setTimeout(resolve, 0)).then(() => new Promise(resolve => setTimeout(resolve, 0)));
+
+function sine(frequency, length) {
+    const samples = new Float32Array(length);
+    for (let i = 0; i < length; i++) {
+        samples[i] = 0.5 * Math.sin(2 * Math.PI * frequency * i / SAMPLE_RATE);
+    }
+    return samples;
+}
+
+beforeEach(() => {
+    globalThis.Worker = FakeWorker;
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    delete globalThis.Worker;
+    jest.restoreAllMocks();
+});
+
+afterAll(() => {
+    delete globalThis.self;
+});
+
+describe('AnalysisWorkerClient', () => {
+    let client;
+    
+    async function startClient(module = 'fft', config = {}, options = {}) {
+        client = new AnalysisWorkerClient(module, options);
+        return client.initialize({ ...FFT_CONFIG, sampleRate: SAMPLE_RATE, ...config });
+    }
+    
+    afterEach(() => {
+        client.dispose();
+    });
+    
+    test('starts a module worker and hands it the configuration without functions', async () => {
+        const initialize = jest.spyOn(FFTProcessor.prototype, 'initialize');
+        
+        expect(await startClient('fft', { timeSource: () => 0 })).toBe(true);
+        
+        const worker = FakeWorker.current;
+        expect(worker.url.href).toMatch(/\/src\/audio\/workers\/AnalysisWorker\.js$/);
+        expect(worker.options).toEqual({ type: 'module', name: 'analysis-fft' });
+        expect(initialize).toHaveBeenCalledWith({ sampleRate: SAMPLE_RATE });
+        expect(client.getStatus()).toMatchObject({ module: 'fft', isReady: true, error: null });
+    });
+    
+    test('returns the spectrum of a frame once the worker has finished it', async () => {
+        await startClient();
+        const timeData = sine(20 * SAMPLE_RATE / FFT_SIZE, FFT_SIZE);
+        
+        const reference = new FFTProcessor({ ...FFT_CONFIG, maxConcurrency: 1 });
+        await reference.initialize({ sampleRate: SAMPLE_RATE });
+        const expected = Float32Array.from(reference.performCustomFFT(timeData).magnitude);
+        
+        const input = Float32Array.from(timeData);
+        expect(client.submit({ timeData: input }, [input.buffer])).toBe(true);
+        expect(input.byteLength).toBe(0);
+        expect(client.takeResult()).toBeNull();
+        
+        await flush();
+        const result = client.takeResult();
+        
+        expect(result.magnitude.every(Number.isFinite)).toBe(true);
+        expect(Array.from(result.magnitude)).toEqual(Array.from(expected));
+        expect(client.hasResult).toBe(true);
+        expect(client.takeResult()).toBeNull();
+        expect(client.getStatus()).toMatchObject({ submitted: 1, completed: 1, inFlight: false });
+    });
+    
+    test('skips frames while a request is in flight', async () => {
+        await startClient();
+        
+        expect(client.submit({ timeData: new Float32Array(FFT_SIZE) })).toBe(true);
+        expect(client.submit({ timeData: new Float32Array(FFT_SIZE) })).toBe(false);
+        await flush();
+        
+        expect(client.getStatus()).toMatchObject({ submitted: 1, completed: 1, skipped: 1 });
+        expect(client.submit({ timeData: new Float32Array(FFT_SIZE) })).toBe(true);
+    });
+    
+    test('drops results of requests sent before a reset', async () => {
+        await startClient();
+        
+        client.submit({ timeData: sine(440, FFT_SIZE) });
+        client.reset();
+        await flush();
+        
+        expect(client.takeResult()).toBeNull();
+        expect(client.hasResult).toBe(false);
+        expect(FakeWorker.current.posted).toEqual(['init', 'analyze', 'reset']);
+    });
+    
+    test('gives up on a stalled request', async () => {
+        await startClient('fft', {}, { requestTimeout: 100 });
+        const now = jest.spyOn(performance, 'now').mockReturnValue(1000);
+        const worker = FakeWorker.current;
+        
+        client.submit({ timeData: new Float32Array(FFT_SIZE) });
+        worker.terminate();     // Never answers
+        
+        now.mockReturnValue(1050);
+        expect(client.submit({ timeData: new Float32Array(FFT_SIZE) })).toBe(false);
+        expect(client.isReady).toBe(true);
+        
+        now.mockReturnValue(1101);
+        expect(client.submit({ timeData: new Float32Array(FFT_SIZE) })).toBe(false);
+        expect(client.getStatus()).toMatchObject({ isReady: false, error: 'Request 1 stalled' });
+        expect(client.worker).toBeNull();
+    });
+    
+    test('fails to start for an unknown module or without workers', async () => {
+        expect(await startClient('loudness')).toBe(false);
+        expect(client.getStatus()).toMatchObject({ isReady: false, error: 'Unknown analysis module: loudness' });
+        expect(FakeWorker.current.terminated).toBe(true);
+        
+        delete globalThis.Worker;
+        expect(AnalysisWorkerClient.isSupported()).toBe(false);
+        expect(await startClient()).toBe(false);
+        expect(client.submit({ timeData: new Float32Array(FFT_SIZE) })).toBe(false);
+    });
+});
+
+describe('FFTProcessor worker offload', () => {
+    let processor;
+    let reference;
+    
+    beforeEach(async () => {
+        // Same settings; only the first one runs a worker
+        processor = new FFTProcessor({ ...FFT_CONFIG, maxConcurrency: 2 });
+        await processor.initialize({ sampleRate: SAMPLE_RATE });
+        
+        reference = new FFTProcessor({ ...FFT_CONFIG, maxConcurrency: 1 });
+        await reference.initialize({ sampleRate: SAMPLE_RATE });
+    });
+    
+    afterEach(() => {
+        processor.dispose();
+    });
+    
+    const spectrum = (fft, timeData) => Array.from(fft.performCustomFFT(timeData).magnitude);
+    
+    test('computes in-thread until the worker delivers, then trails by a frame', async () => {
+        const frames = [sine(440, FFT_SIZE), sine(880, FFT_SIZE), sine(1760, FFT_SIZE)];
+        const expected = frames.map(frame => spectrum(reference, frame));
+        expect(processor.worker.isReady).toBe(true);
+        expected.forEach(magnitude => expect(magnitude.every(Number.isFinite)).toBe(true));
+        
+        // No worker result yet: the frame itself, computed in-thread
+        expect(spectrum(processor, frames[0])).toEqual(expected[0]);
+        await flush();
+        
+        expect(spectrum(processor, frames[1])).toEqual(expected[0]);
+        await flush();
+        
+        expect(spectrum(processor, frames[2])).toEqual(expected[1]);
+        expect(processor.getStatus().worker).toMatchObject({ submitted: 3, completed: 2 });
+    });
+    
+    test('falls back to in-thread processing when the worker fails', async () => {
+        const frame = sine(440, FFT_SIZE);
+        processor.worker.fail(new Error('Worker crashed'));
+        
+        expect(spectrum(processor, frame)).toEqual(spectrum(reference, frame));
+        expect(processor.getStatus().worker).toMatchObject({ isReady: false, error: 'Worker crashed', submitted: 0 });
+    });
+});
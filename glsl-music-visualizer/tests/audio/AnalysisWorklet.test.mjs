@@ -0,0 +1,239 @@
+/**
+ * AnalysisWorklet tests
+ * Runs the real analysis processor in a fake AudioWorklet scope and drains its hops
+ * Location: tests/audio/AnalysisWorklet.test.mjs
+ */
+
+import { jest } from '@jest/globals';
+import { AnalysisWorklet } from '../../src/audio/AnalysisWorklet.js';
+import { AudioEngine } from '../../src/core/AudioEngine.js';
+import { FakeAudioContext, FakeAudioNode, FakeSourceNode } from '../fixtures/FakeAudioContext.mjs';
+
+const SAMPLE_RATE = 44100;
+const RENDER_QUANTUM = 128;
+
+// ===== FAKE AUDIO WORKLET SCOPE =====
+
+const processors = new Map();
+let nextProcessorPort = null;
+
+/**
+ * Two linked message ports; messages are delivered synchronously
+ */
+function createPortPair() {
+    const a = { onmessage: null };
+    const b = { onmessage: null };
+    a.postMessage = data => b.onmessage && b.onmessage({ data });
+    b.postMessage = data => a.onmessage && a.onmessage({ data });
+    return [a, b];
+}
+
+class FakeAudioWorkletProcessor {
+    constructor() {
+        this.port = nextProcessorPort;
+    }
+}
+
+/**
+ * Node side of a worklet; owns the processor instance it would run on the audio thread
+ */
+class FakeAudioWorkletNode extends FakeAudioNode {
+    constructor(context, name, options) {
+        super(context);
+        const [nodePort, processorPort] = createPortPair();
+        this.port = nodePort;
+        this.options = options;
+        
+        nextProcessorPort = processorPort;
+        this.processor = new (processors.get(name))(options);
+        nextProcessorPort = null;
+    }
+}
+
+globalThis.AudioWorkletProcessor = FakeAudioWorkletProcessor;
+globalThis.registerProcessor = (name, processor) => processors.set(name, processor);
+globalThis.currentFrame = 0;
+await import('../../src/audio/worklets/AnalysisProcessor.js');
+
+function createWorkletContext() {
+    const context = new FakeAudioContext({ sampleRate: SAMPLE_RATE });
+    context.audioWorklet = { addModule: jest.fn(async () => {}) };
+    return context;
+}
+
+/**
+ * Render a signal through a worklet node quantum by quantum, moving the context clock
+ */
+function pump(context, node, samples) {
+    for (let offset = 0; offset < samples.length; offset += RENDER_QUANTUM) {
+        globalThis.currentFrame = Math.round(context.currentTime * SAMPLE_RATE);
+        node.processor.process([[samples.subarray(offset, offset + RENDER_QUANTUM)]]);
+        context.advance(RENDER_QUANTUM / SAMPLE_RATE);
+    }
+}
+
+function sine(frequency, length, amplitude = 0.5) {
+    const samples = new Float32Array(length);
+    for (let i = 0; i < length; i++) {
+        samples[i] = amplitude * Math.sin(2 * Math.PI * frequency * i / SAMPLE_RATE);
+    }
+    return samples;
+}
+
+const copyFrame = frame => ({ ...frame, magnitude: Float32Array.from(frame.magnitude) });
+
+beforeAll(() => {
+    globalThis.AudioWorkletNode = FakeAudioWorkletNode;
+});
+
+afterAll(() => {
+    delete globalThis.AudioWorkletNode;
+});
+
+beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+    delete globalThis.crossOriginIsolated;
+});
+
+describe('AnalysisWorklet', () => {
+    const FFT_SIZE = 1024;
+    const HOP_SIZE = 256;
+    const TONE_BIN = 20;
+    const toneFrequency = TONE_BIN * SAMPLE_RATE / FFT_SIZE;
+    
+    async function createWorklet() {
+        const context = createWorkletContext();
+        const worklet = new AnalysisWorklet({ fftSize: FFT_SIZE, hopSize: HOP_SIZE });
+        expect(await worklet.initialize(context)).toBe(true);
+        return { context, worklet };
+    }
+    
+    function drainFrames(worklet) {
+        const frames = [];
+        worklet.drain(frame => frames.push(copyFrame(frame)));
+        return frames;
+    }
+    
+    test.each([
+        ['shared', undefined],
+        ['message', false]
+    ])('analyzes every hop in %s mode', async (mode, isolated) => {
+        globalThis.crossOriginIsolated = isolated;
+        const { context, worklet } = await createWorklet();
+        expect(worklet.getStatus().mode).toBe(mode);
+        
+        pump(context, worklet.node, sine(toneFrequency, 2 * FFT_SIZE));
+        const frames = drainFrames(worklet);
+        
+        // One frame per hop, stamped with the time of its last sample
+        expect(frames.map(frame => frame.sampleIndex)).toEqual([1, 2, 3, 4, 5, 6, 7, 8].map(n => n * HOP_SIZE));
+        frames.forEach(frame => expect(frame.time).toBeCloseTo(frame.sampleIndex / SAMPLE_RATE, 12));
+        
+        // Once the window is full: the tone's level, its bin and its band
+        const last = frames[frames.length - 1];
+        const peak = last.magnitude.indexOf(Math.max(...last.magnitude));
+        expect(last.rms).toBeCloseTo(0.5 / Math.SQRT2, 3);
+        expect(peak).toBe(TONE_BIN);
+        expect(last.midLevel).toBeGreaterThan(10 * Math.max(last.bassLevel, last.trebleLevel));
+        
+        expect(drainFrames(worklet)).toEqual([]);
+        expect(worklet.getStatus()).toMatchObject({ framesRead: 8, droppedFrames: 0 });
+    });
+    
+    test('a new input drops the frames of the old one', async () => {
+        const { context, worklet } = await createWorklet();
+        const first = new FakeSourceNode(context);
+        const second = new FakeSourceNode(context);
+        
+        worklet.connect(first);
+        pump(context, worklet.node, sine(toneFrequency, FFT_SIZE));
+        worklet.connect(second);
+        
+        expect(first.reaches(worklet.node)).toBe(false);
+        expect(second.reaches(worklet.node)).toBe(true);
+        expect(drainFrames(worklet)).toEqual([]);
+        
+        pump(context, worklet.node, sine(toneFrequency, HOP_SIZE));
+        expect(drainFrames(worklet).map(frame => frame.sampleIndex)).toEqual([FFT_SIZE + HOP_SIZE]);
+    });
+    
+    test('reports no support without AudioWorklet', async () => {
+        const worklet = new AnalysisWorklet();
+        
+        expect(await worklet.initialize(new FakeAudioContext())).toBe(false);
+        expect(worklet.drain(() => {})).toBe(0);
+    });
+});
+
+describe('AudioEngine hop analysis', () => {
+    let context;
+    let engine;
+    let beat;
+    let beatTimes;
+    
+    beforeEach(async () => {
+        context = createWorkletContext();
+        engine = new AudioEngine();
+        engine.audioContext = context;
+        engine.createAudioNodes();
+        
+        // Beat tracking stand-in recording the clock it is timed by
+        beatTimes = [];
+        beat = {
+            config: {},
+            reset: jest.fn(),
+            analyze: jest.fn(() => {
+                beatTimes.push(beat.config.timeSource());
+                return { beat: beatTimes.length === 2, beatStrength: 0.5, onset: false, bpm: 120 };
+            })
+        };
+        engine.analysisModules.beat = beat;
+        
+        expect(await engine.initializeAnalysisWorklet()).toBe(true);
+    });
+    
+    test('runs beat detection once per hop, timed by the hop', () => {
+        const { hopSize } = engine.config;
+        pump(context, engine.analysisWorklet.node, sine(440, 4 * hopSize));
+        
+        engine.performAnalysis();
+        const data = engine.getAudioData();
+        
+        expect(beat.analyze).toHaveBeenCalledTimes(4);
+        beatTimes.forEach((time, i) => expect(time).toBeCloseTo((i + 1) * hopSize / SAMPLE_RATE * 1000, 9));
+        expect(data.hop).toMatchObject({ count: 4, time: 4 * hopSize / SAMPLE_RATE });
+        
+        // A beat in any hop of the frame is the frame's beat
+        expect(data.beat).toBe(true);
+        expect(data.bpm).toBe(120);
+        
+        // No new hop: no beat detection, no events
+        engine.performAnalysis();
+        expect(beat.analyze).toHaveBeenCalledTimes(4);
+        expect(engine.getAudioData()).toMatchObject({ beat: false, hop: { count: 0 } });
+    });
+    
+    test('listens to the input beat tracking is routed to', () => {
+        const worklet = engine.analysisWorklet;
+        expect(engine.nodes.analyzer.reaches(worklet.node)).toBe(true);
+        
+        engine.addInput('line', new FakeSourceNode(context), { type: 'line-in' });
+        engine.setAnalysisInput('beat', 'line');
+        
+        expect(engine.mixer.getAnalysisNode('line').reaches(worklet.node)).toBe(true);
+        expect(engine.nodes.analyzer.reaches(worklet.node)).toBe(false);
+    });
+    
+    test('falls back to polling when the analyser path is chosen', async () => {
+        engine.config.analysisMode = 'analyser';
+        
+        expect(await engine.initializeAnalysisWorklet()).toBe(false);
+        expect(engine.analysisWorklet).toBeNull();
+        expect(beat.config.timeSource).toBeNull();
+    });
+});
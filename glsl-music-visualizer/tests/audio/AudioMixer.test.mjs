@@ -0,0 +1,160 @@
+/**
+ * AudioMixer tests
+ * Routes fake sources through the mixer and into AudioEngine's per-input analysis
+ * Location: tests/audio/AudioMixer.test.mjs
+ */
+
+import { jest } from '@jest/globals';
+import { AudioMixer, MIX_INPUT } from '../../src/audio/AudioMixer.js';
+import { AudioEngine } from '../../src/core/AudioEngine.js';
+import { FakeAudioContext, FakeSourceNode } from '../fixtures/FakeAudioContext.mjs';
+
+beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('AudioMixer', () => {
+    let context;
+    let mixer;
+    let buses;
+    
+    beforeEach(() => {
+        context = new FakeAudioContext();
+        buses = { analysis: context.createAnalyser(), output: context.createGain() };
+        mixer = new AudioMixer();
+        mixer.initialize(context, buses);
+    });
+    
+    const addSource = (name, level, options) => {
+        mixer.addInput(name, new FakeSourceNode(context, level), options);
+    };
+    
+    test('analyzes every input and plays back only monitored ones', () => {
+        addSource('file', 0.5, { type: 'file' });
+        addSource('microphone', 0.25, { type: 'microphone' });
+        
+        const file = mixer.inputs.get('file');
+        const microphone = mixer.inputs.get('microphone');
+        
+        expect(file.channel.reaches(buses.analysis)).toBe(true);
+        expect(file.channel.reaches(buses.output)).toBe(true);
+        expect(microphone.channel.reaches(buses.analysis)).toBe(true);
+        expect(microphone.channel.reaches(buses.output)).toBe(false);
+        expect(buses.analysis.level).toBeCloseTo(0.75, 9);
+        expect(buses.output.level).toBeCloseTo(0.5, 9);
+        
+        mixer.setMonitor('microphone', true);
+        expect(buses.output.level).toBeCloseTo(0.75, 9);
+    });
+    
+    test('solo silences the other inputs in the mix', () => {
+        addSource('drums', 0.5);
+        addSource('bass', 0.25);
+        
+        mixer.setSolo('bass', true);
+        
+        expect(buses.analysis.level).toBeCloseTo(0.25, 9);
+        expect(mixer.getInputs().map(input => input.audible)).toEqual([false, true]);
+        
+        mixer.setSolo('bass', false);
+        expect(buses.analysis.level).toBeCloseTo(0.75, 9);
+    });
+    
+    test('muted inputs leave the mix but keep their analysis tap', () => {
+        addSource('vocals', 0.5);
+        mixer.setGain('vocals', 0.5);
+        
+        mixer.setMuted('vocals', true);
+        
+        expect(buses.analysis.level).toBe(0);
+        expect(mixer.getAnalysisNode('vocals').level).toBeCloseTo(0.25, 9);
+    });
+    
+    test('groups sum their members for analysis only', () => {
+        addSource('bass', 0.5);
+        addSource('keys', 0.25);
+        addSource('drums', 1);
+        
+        const group = mixer.addGroup('melodic', ['bass', 'keys']);
+        
+        expect(group).toMatchObject({ type: 'group', members: ['bass', 'keys'], audible: false });
+        expect(mixer.getAnalysisNode('melodic').level).toBeCloseTo(0.75, 9);
+        expect(mixer.getAnalysisNode('melodic').reaches(buses.output)).toBe(false);
+        expect(() => mixer.setGain('melodic', 1)).toThrow('Mixer group melodic has no channel controls');
+        
+        mixer.removeInput('keys');
+        expect(mixer.inputs.get('melodic').members).toEqual(['bass']);
+        expect(mixer.getAnalysisNode('melodic').level).toBeCloseTo(0.5, 9);
+    });
+    
+    test('rejects the reserved mix name and unknown inputs', () => {
+        expect(() => mixer.addInput(MIX_INPUT, null)).toThrow('Invalid input name: mix');
+        expect(() => mixer.setGain('nothing', 1)).toThrow('Unknown mixer input: nothing');
+    });
+});
+
+describe('AudioEngine per-input analysis', () => {
+    let context;
+    let engine;
+    let beat;
+    
+    beforeEach(() => {
+        context = new FakeAudioContext();
+        engine = new AudioEngine();
+        engine.audioContext = context;
+        engine.createAudioNodes();
+        
+        // Beat tracking stand-in that reports the level it was given as its tempo
+        beat = {
+            reset: jest.fn(),
+            analyze: jest.fn(data => ({ beat: false, beatStrength: 0, onset: false, bpm: data.rms }))
+        };
+        engine.analysisModules.beat = beat;
+    });
+    
+    test('reports the mix and each input on its own', () => {
+        engine.addInput('microphone', new FakeSourceNode(context, 0.5), { type: 'microphone' });
+        engine.addInput('line', new FakeSourceNode(context, 0.25), { type: 'line-in' });
+        
+        engine.performAnalysis();
+        const data = engine.getAudioData();
+        
+        expect(Object.keys(data.inputs)).toEqual(['file', 'microphone', 'line']);
+        expect(data.inputs.file.rms).toBe(0);
+        expect(data.inputs.microphone.rms).toBeCloseTo(0.5 / Math.SQRT2, 2);
+        expect(data.inputs.line.rms).toBeCloseTo(0.25 / Math.SQRT2, 2);
+        expect(data.rms).toBeCloseTo(0.75 / Math.SQRT2, 2);
+    });
+    
+    test('routes an analysis module to one input and reports it on the mix and the input', () => {
+        engine.addInput('microphone', new FakeSourceNode(context, 0.5), { type: 'microphone' });
+        engine.addInput('line', new FakeSourceNode(context, 0.25), { type: 'line-in' });
+        
+        engine.setAnalysisInput('beat', 'line');
+        expect(beat.reset).toHaveBeenCalled();
+        expect(engine.getAnalysisRouting()).toMatchObject({ beat: 'line', spectral: MIX_INPUT });
+        
+        engine.performAnalysis();
+        const data = engine.getAudioData();
+        
+        expect(beat.analyze).toHaveBeenLastCalledWith(data.inputs.line);
+        expect(data.bpm).toBeCloseTo(0.25 / Math.SQRT2, 2);
+        expect(data.inputs.line.bpm).toBe(data.bpm);
+        expect(data.inputs.microphone.bpm).toBeUndefined();
+    });
+    
+    test('modules go back to the mix when their input is removed', () => {
+        engine.addInput('line', new FakeSourceNode(context, 0.25), { type: 'line-in' });
+        engine.setAnalysisInput('beat', 'line');
+        
+        engine.removeInput('line');
+        
+        expect(engine.getAnalysisRouting().beat).toBe(MIX_INPUT);
+        expect(() => engine.setAnalysisInput('beat', 'line')).toThrow('Unknown mixer input: line');
+        expect(() => engine.removeInput('file')).toThrow('The file input cannot be removed');
+    });
+});
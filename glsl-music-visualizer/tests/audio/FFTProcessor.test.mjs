@@ -0,0 +1,179 @@
+/**
+ * FFTProcessor tests
+ * Constant-Q and multi-resolution spectra of synthetic tones
+ * Location: tests/audio/FFTProcessor.test.mjs
+ */
+
+import { jest } from '@jest/globals';
+import { FFTProcessor } from '../../src/audio/FFTProcessor.js';
+import { SpectralAnalyzer } from '../../src/audio/SpectralAnalyzer.js';
+
+const SAMPLE_RATE = 44100;
+
+function tone(frequency, length, amplitude = 0.5) {
+    const samples = new Float32Array(length);
+    for (let i = 0; i < length; i++) {
+        samples[i] = amplitude * Math.sin(2 * Math.PI * frequency * i / SAMPLE_RATE);
+    }
+    return samples;
+}
+
+const argmax = values => values.indexOf(Math.max(...values));
+
+async function createProcessor(config) {
+    const processor = new FFTProcessor({ maxConcurrency: 1, ...config });
+    await processor.initialize({ sampleRate: SAMPLE_RATE });
+    return processor;
+}
+
+beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('FFTProcessor constant-Q spectrum', () => {
+    const FFT_SIZE = 8192;
+    let processor;
+    
+    beforeAll(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        processor = await createProcessor({ fftSize: FFT_SIZE, constantQ: true, cqBinsPerOctave: 12 });
+    });
+    
+    afterAll(() => {
+        processor.dispose();
+    });
+    
+    const constantQOf = frequency => processor.analyzeResolutions(tone(frequency, FFT_SIZE)).constantQ;
+    
+    test('centres bins on an equal-tempered scale from the minimum frequency', () => {
+        const cq = constantQOf(440);
+        const minFrequency = processor.config.cqMinFrequency;
+        
+        expect(cq.binsPerOctave).toBe(12);
+        expect(cq.Q).toBeCloseTo(1 / (Math.pow(2, 1 / 12) - 1), 9);
+        expect(cq.frequencies).toHaveLength(Math.floor(12 * Math.log2(processor.config.cqMaxFrequency / minFrequency)) + 1);
+        cq.frequencies.forEach((frequency, k) => expect(frequency).toBeCloseTo(minFrequency * Math.pow(2, k / 12), 1));
+        
+        // Every twelfth bin is a C, A4 is 45 semitones above C1
+        expect(cq.frequencies[12]).toBeCloseTo(65.406, 2);
+        expect(cq.frequencies[45]).toBeCloseTo(440, 1);
+    });
+    
+    test('peaks at the bin of the tone', () => {
+        [55, 110, 440, 1760, 3520].forEach(frequency => {
+            const cq = constantQOf(frequency);
+            const peak = argmax(Array.from(cq.magnitude));
+            
+            expect(cq.frequencies[peak]).toBeCloseTo(frequency, 0);
+            
+            // Bins with a full-length window keep a whole tone between them apart
+            if (cq.windowLengths[peak] < FFT_SIZE) {
+                expect(cq.magnitude[peak]).toBeCloseTo(0.5 / 4, 2);
+                expect(cq.magnitude[peak]).toBeGreaterThan(5 * Math.max(cq.magnitude[peak - 2], cq.magnitude[peak + 2]));
+            }
+        });
+    });
+    
+    test('uses longer windows for lower bins, capped at the frame', () => {
+        const { windowLengths, frequencies, Q } = constantQOf(440);
+        
+        expect(windowLengths[45]).toBe(Math.ceil(SAMPLE_RATE * Q / frequencies[45]));
+        expect(windowLengths[0]).toBe(FFT_SIZE);
+        for (let k = 1; k < windowLengths.length; k++) {
+            expect(windowLengths[k]).toBeLessThanOrEqual(windowLengths[k - 1]);
+        }
+    });
+    
+    test('a bandwidth offset shortens the low windows', async () => {
+        const variableQ = await createProcessor({ fftSize: FFT_SIZE, constantQ: true, cqBinsPerOctave: 12, cqGamma: 20 });
+        const lengths = variableQ.constantQ.windowLengths;
+        
+        expect(lengths[45]).toBe(Math.ceil(SAMPLE_RATE / (440 / variableQ.constantQ.Q + 20)));
+        expect(lengths[45]).toBeLessThan(processor.constantQ.windowLengths[45]);
+        variableQ.dispose();
+    });
+    
+    test('folds into a chromagram that keeps low semitones apart', async () => {
+        const spectral = new SpectralAnalyzer();
+        await spectral.initialize({ sampleRate: SAMPLE_RATE });
+        
+        // D2 and D#2, 4.4 Hz apart; pitch classes count from A
+        [[73.42, 5], [77.78, 6]].forEach(([frequency, pitchClass]) => {
+            spectral.analyzeChromagram(null, constantQOf(frequency));
+            expect(argmax(Array.from(spectral.buffers.chromaVector))).toBe(pitchClass);
+        });
+    });
+});
+
+describe('FFTProcessor multi-resolution spectrum', () => {
+    const FFT_SIZE = 4096;
+    let processor;
+    
+    beforeEach(async () => {
+        processor = await createProcessor({ fftSize: FFT_SIZE, multiResolution: true });
+    });
+    
+    afterEach(() => {
+        processor.dispose();
+    });
+    
+    test('splits the spectrum into bands ending at Nyquist', () => {
+        processor.updateConfig({
+            multiResolutionBands: [
+                { maxFrequency: 3000, windowSize: 1000 },
+                { maxFrequency: 250, windowSize: 16384 },
+                { maxFrequency: 12000, windowSize: 256 }
+            ]
+        });
+        
+        expect(processor.multiResolution.bands.map(({ minFrequency, maxFrequency, windowSize }) => ({ minFrequency, maxFrequency, windowSize }))).toEqual([
+            { minFrequency: 0, maxFrequency: 250, windowSize: FFT_SIZE },
+            { minFrequency: 250, maxFrequency: 3000, windowSize: 1024 },
+            { minFrequency: 3000, maxFrequency: SAMPLE_RATE / 2, windowSize: 256 }
+        ]);
+    });
+    
+    test('reads each band from its own window at the tone amplitude', () => {
+        // One tone on a bin of each default band: 4096, 2048 and 512 samples
+        const tones = [
+            { frequency: 30 * SAMPLE_RATE / 4096, bin: 30, windowSize: 4096 },
+            { frequency: 100 * SAMPLE_RATE / 2048, bin: 200, windowSize: 2048 },
+            { frequency: 60 * SAMPLE_RATE / 512, bin: 480, windowSize: 512 }
+        ];
+        
+        tones.forEach(({ frequency, bin, windowSize }) => {
+            const { magnitude, bands } = processor.analyzeResolutions(tone(frequency, FFT_SIZE, 0.5)).multiResolution;
+            const band = bands.find(b => frequency >= b.minFrequency && frequency < b.maxFrequency);
+            
+            expect(magnitude).toHaveLength(FFT_SIZE / 2);
+            expect(argmax(Array.from(magnitude))).toBe(bin);
+            expect(magnitude[bin]).toBeCloseTo(0.5, 2);
+            expect(band.windowSize).toBe(windowSize);
+        });
+    });
+    
+    test('high bands only see the newest samples', () => {
+        const bin = Math.round(8000 / (SAMPLE_RATE / FFT_SIZE));
+        const levelAt = samples => processor.analyzeResolutions(samples).multiResolution.magnitude[bin];
+        
+        // An 8 kHz burst in the newest 1024 samples, and one that ended 1024 samples ago
+        const current = tone(8000, FFT_SIZE, 0.5);
+        current.fill(0, 0, FFT_SIZE - 1024);
+        const ended = tone(8000, FFT_SIZE, 0.5);
+        ended.fill(0, FFT_SIZE - 1024);
+        
+        expect(levelAt(current)).toBeGreaterThan(0.3);
+        expect(levelAt(ended)).toBeLessThan(1e-6);
+    });
+    
+    test('is off unless enabled', async () => {
+        const plain = await createProcessor({ fftSize: FFT_SIZE });
+        
+        expect(plain.analyzeResolutions(tone(440, FFT_SIZE))).toEqual({ constantQ: null, multiResolution: null });
+        plain.dispose();
+    });
+});
@@ -0,0 +1,174 @@
+/**
+ * GenreClassifier tests
+ * Model loading and genre/mood output of the offline pipeline
+ * Location: tests/audio/GenreClassifier.test.mjs
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { jest } from '@jest/globals';
+import { GenreClassifier } from '../../src/audio/GenreClassifier.js';
+import { OfflineAnalyzer } from '../../src/audio/OfflineAnalyzer.js';
+import { FeatureExtractor } from '../../src/audio/FeatureExtractor.js';
+import { FileUtils } from '../../src/utils/FileUtils.js';
+import { MaterialManager } from '../../src/materials/MaterialManager.js';
+
+const MODEL_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), '../../assets/models/genre-mood.json');
+const SAMPLE_RATE = 44100;
+
+const loadExampleModel = () => JSON.parse(fs.readFileSync(MODEL_PATH, 'utf-8'));
+
+/**
+ * Decaying sine plucks on every beat over a quiet noise floor
+ */
+function createPluckTrack(bpm, seconds, sampleRate = SAMPLE_RATE) {
+    const samples = new Float32Array(Math.round(seconds * sampleRate));
+    const period = Math.round(sampleRate * 60 / bpm);
+    
+    let state = 7;
+    for (let i = 0; i < samples.length; i++) {
+        state = (state * 1664525 + 1013904223) >>> 0;
+        const t = (i % period) / sampleRate;
+        samples[i] = Math.sin(2 * Math.PI * 440 * t) * Math.exp(-t * 12) * 0.6 +
+            (state / 4294967296 - 0.5) * 0.01;
+    }
+    
+    return samples;
+}
+
+describe('GenreClassifier.loadModel', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+    
+    test('accepts a parsed model object', async () => {
+        const info = await new GenreClassifier().loadModel(loadExampleModel());
+        
+        expect(Object.keys(info.tasks).sort()).toEqual(['genre', 'mood']);
+    });
+    
+    test('loads model URLs through FileUtils', async () => {
+        const loadJsonFile = jest.spyOn(FileUtils, 'loadJsonFile').mockResolvedValue(loadExampleModel());
+        
+        const info = await new GenreClassifier().loadModel('models/custom.json');
+        
+        expect(loadJsonFile).toHaveBeenCalledWith('models/custom.json');
+        expect(info.tasks.genre.labels.length).toBeGreaterThan(1);
+    });
+    
+    test('names the model when loading fails', async () => {
+        jest.spyOn(FileUtils, 'loadJsonFile').mockRejectedValue(new Error('HTTP 404: Not Found'));
+        
+        await expect(new GenreClassifier().loadModel('models/missing.json'))
+            .rejects.toThrow('Failed to load genre model models/missing.json: HTTP 404: Not Found');
+    });
+});
+
+describe('FeatureExtractor live classification', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+    
+    test('loads no model by default and stays off until one is given', async () => {
+        const loadJsonFile = jest.spyOn(FileUtils, 'loadJsonFile');
+        const extractor = new FeatureExtractor();
+        await extractor.initialize({ sampleRate: SAMPLE_RATE });
+        
+        expect(loadJsonFile).not.toHaveBeenCalled();
+        expect(extractor.genreClassifier.getStatus().model).toBeNull();
+        
+        await extractor.loadGenreModel(loadExampleModel());
+        expect(extractor.genreClassifier.getStatus().model).not.toBeNull();
+        
+        extractor.dispose();
+    });
+});
+
+describe('OfflineAnalyzer genre and mood', () => {
+    const samples = createPluckTrack(100, 5);
+    
+    test('classifies frames once the window fills when given a model', async () => {
+        const analyzer = new OfflineAnalyzer({ genreModel: loadExampleModel() });
+        const track = await analyzer.analyze({ channelData: samples, sampleRate: SAMPLE_RATE });
+        
+        const classified = track.frames.filter(frame => frame.classification);
+        expect(classified.length).toBeGreaterThan(0);
+        expect(classified[0].time).toBeGreaterThanOrEqual(3);
+        
+        const { genre, mood } = track.summary.classification;
+        expect(Object.keys(genre.probabilities)).toContain(genre.label);
+        expect(Object.keys(mood.probabilities)).toContain(mood.label);
+        expect(Object.values(genre.probabilities).reduce((sum, p) => sum + p, 0)).toBeCloseTo(1, 6);
+    }, 60000);
+    
+    test('reports null classification without a model', async () => {
+        const short = samples.subarray(0, SAMPLE_RATE * 4);
+        const track = await new OfflineAnalyzer().analyze({ channelData: short, sampleRate: SAMPLE_RATE });
+        
+        expect(track.frames.every(frame => frame.classification === null)).toBe(true);
+        expect(track.summary.classification).toBeNull();
+    }, 60000);
+    
+    test('fails the analysis when the model cannot be loaded', async () => {
+        const analyzer = new OfflineAnalyzer({ genreModel: 'assets/models/genre-mood.json' });
+        
+        await expect(analyzer.analyze({ channelData: samples.subarray(0, SAMPLE_RATE), sampleRate: SAMPLE_RATE }))
+            .rejects.toThrow('Failed to load genre model assets/models/genre-mood.json');
+        expect(analyzer.isAnalyzing).toBe(false);
+    });
+});
+
+describe('MaterialManager genre detection', () => {
+    const quiet = { bassLevel: 0.2, midLevel: 0.3, trebleLevel: 0.7, energy: 0.2, beat: false, bpm: 90 };
+    let manager;
+    let detections;
+    
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        manager = new MaterialManager({ enablePhysics: false });
+        detections = [];
+        manager.on('audioGenreDetected', detection => detections.push(detection));
+    });
+    
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+    
+    const classify = (label, confidence) => ({
+        genre: { label, confidence, probabilities: { [label]: confidence, ambient: 1 - confidence } },
+        mood: { label: 'calm', confidence: 0.8, probabilities: { calm: 0.8, energetic: 0.2 } }
+    });
+    
+    test('guesses the genre from the band levels until a model classifies', () => {
+        manager.updateAudioState({ ...quiet, classification: null });
+        
+        expect(detections).toEqual([
+            { genre: 'classical', confidence: null, probabilities: null, mood: null, source: 'heuristic' }
+        ]);
+        expect(manager.audioState.currentGenre).toBe('classical');
+        expect(manager.audioState.genreConfidence).toBeNull();
+    });
+    
+    test('takes the classifier genre with its confidence over the guess', () => {
+        manager.updateAudioState({ ...quiet, classification: classify('jazz', 0.75) });
+        
+        expect(detections).toEqual([{
+            genre: 'jazz',
+            confidence: 0.75,
+            probabilities: { jazz: 0.75, ambient: 0.25 },
+            mood: 'calm',
+            source: 'classifier'
+        }]);
+        expect(manager.audioState.genreConfidence).toBe(0.75);
+    });
+    
+    test('keeps the current genre through uncertain classifications', () => {
+        manager.updateAudioState({ ...quiet, classification: classify('jazz', 0.75) });
+        manager.updateAudioState({ ...quiet, classification: classify('rock', 0.4) });
+        
+        expect(detections.map(detection => detection.genre)).toEqual(['jazz']);
+        expect(manager.audioState.currentGenre).toBe('jazz');
+        expect(manager.audioState.genreConfidence).toBe(0.75);
+    });
+});
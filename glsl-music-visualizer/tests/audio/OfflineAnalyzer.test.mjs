@@ -0,0 +1,128 @@
+/**
+ * OfflineAnalyzer tests
+ * Runs the offline pipeline headlessly over synthetic PCM
+ * Location: tests/audio/OfflineAnalyzer.test.mjs
+ */
+
+import { jest } from '@jest/globals';
+import { OfflineAnalyzer } from '../../src/audio/OfflineAnalyzer.js';
+
+const SAMPLE_RATE = 44100;
+
+/**
+ * Click track: a short decaying noise burst on every beat
+ */
+function createClickTrack(bpm, seconds, sampleRate = SAMPLE_RATE) {
+    const samples = new Float32Array(Math.round(seconds * sampleRate));
+    const period = Math.round(sampleRate * 60 / bpm);
+    const clickLength = Math.round(sampleRate * 0.05);
+    
+    // Deterministic noise (LCG) so every run sees the same signal
+    let state = 1;
+    const noise = () => {
+        state = (state * 1664525 + 1013904223) >>> 0;
+        return state / 4294967296 * 2 - 1;
+    };
+    
+    for (let start = 0; start < samples.length; start += period) {
+        for (let i = 0; i < clickLength && start + i < samples.length; i++) {
+            samples[start + i] = noise() * Math.exp(-i / 300) * 0.8;
+        }
+    }
+    
+    return samples;
+}
+
+describe('OfflineAnalyzer', () => {
+    const seconds = 6;
+    const samples = createClickTrack(120, seconds);
+    let analyzer;
+    let track;
+    
+    beforeAll(async () => {
+        analyzer = new OfflineAnalyzer();
+        track = await analyzer.analyze({ channelData: samples, sampleRate: SAMPLE_RATE });
+    }, 60000);
+    
+    test('produces one frame per hop', () => {
+        const { hopSize } = analyzer.config;
+        
+        expect(track.sampleRate).toBe(SAMPLE_RATE);
+        expect(track.duration).toBeCloseTo(seconds, 6);
+        expect(track.frameCount).toBe(Math.floor(samples.length / hopSize) + 1);
+        expect(track.frames).toHaveLength(track.frameCount);
+        expect(track.frameRate).toBeCloseTo(SAMPLE_RATE / hopSize, 6);
+    });
+    
+    test('stamps frames with media time', () => {
+        const { hopSize } = analyzer.config;
+        
+        track.frames.forEach((frame, i) => {
+            expect(frame.time).toBeCloseTo(i * hopSize / SAMPLE_RATE, 9);
+        });
+        expect(track.frames[track.frameCount - 1].time).toBeLessThanOrEqual(track.duration);
+    });
+    
+    test('detects the tempo of a 120 BPM click track', () => {
+        expect(track.summary.bpm).toBeGreaterThanOrEqual(118);
+        expect(track.summary.bpm).toBeLessThanOrEqual(122);
+        
+        // Beats land on the half-second grid
+        expect(track.summary.beats.length).toBeGreaterThan(0);
+        track.summary.beats.forEach(beat => {
+            const offset = beat.time % 0.5;
+            expect(Math.min(offset, 0.5 - offset)).toBeLessThan(0.1);
+        });
+    });
+    
+    test('keeps downbeats with their bar and phrase position', () => {
+        const downbeatFrames = track.frames.filter(frame => frame.downbeat);
+        
+        expect(downbeatFrames.length).toBeGreaterThan(0);
+        expect(track.summary.downbeats).toEqual(downbeatFrames.map(frame => frame.time));
+        downbeatFrames.forEach(frame => {
+            expect(frame.beat).toBe(true);
+            expect(frame.bar).toEqual(expect.objectContaining({ isDownbeat: true, beatInBar: 0 }));
+        });
+        
+        expect(track.phraseLengths).toEqual([4, 8, 16]);
+        expect(track.summary.phrases).toEqual(track.frames
+            .filter(frame => frame.phrase && frame.phrase.boundary > 0)
+            .map(frame => ({ time: frame.time, bars: frame.phrase.boundary })));
+    });
+    
+    test('runs on media time, unaffected by the wall clock', async () => {
+        const short = samples.subarray(0, SAMPLE_RATE);
+        const reference = await new OfflineAnalyzer().analyze({ channelData: short, sampleRate: SAMPLE_RATE });
+        
+        // A wall clock that jumps a second on every read, as on a slow or busy machine
+        let wallTime = 0;
+        const clocks = [
+            jest.spyOn(performance, 'now').mockImplementation(() => (wallTime += 1000)),
+            jest.spyOn(Date, 'now').mockImplementation(() => (wallTime += 1000))
+        ];
+        
+        try {
+            const skewed = await new OfflineAnalyzer().analyze({ channelData: short, sampleRate: SAMPLE_RATE });
+            
+            expect(skewed.frames).toEqual(reference.frames);
+            expect(skewed.summary).toEqual(reference.summary);
+        } finally {
+            clocks.forEach(clock => clock.mockRestore());
+        }
+    }, 30000);
+    
+    test('mixes raw multichannel PCM down to mono', async () => {
+        const short = samples.subarray(0, SAMPLE_RATE);
+        const stereo = await new OfflineAnalyzer().analyze({
+            channelData: [short, short],
+            sampleRate: SAMPLE_RATE
+        });
+        const mono = await new OfflineAnalyzer().analyze({ channelData: short, sampleRate: SAMPLE_RATE });
+        
+        expect(stereo.frameCount).toBe(mono.frameCount);
+        stereo.frames.forEach((frame, i) => {
+            expect(frame.rms).toBeCloseTo(mono.frames[i].rms, 6);
+        });
+    }, 30000);
+});
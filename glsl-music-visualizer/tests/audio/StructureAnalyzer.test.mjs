@@ -0,0 +1,215 @@
+/**
+ * StructureAnalyzer tests
+ * Segments a synthetic song of known sections, live and offline
+ * Location: tests/audio/StructureAnalyzer.test.mjs
+ */
+
+import { jest } from '@jest/globals';
+import { StructureAnalyzer } from '../../src/audio/StructureAnalyzer.js';
+
+const FRAME_RATE = 20;
+const BAR = 2;              // Seconds per bar at 120 bpm
+
+// Deterministic noise (LCG) so every run sees the same song
+function createNoise(seed) {
+    let state = seed;
+    return () => {
+        state = (state * 1664525 + 1013904223) >>> 0;
+        return state / 4294967296 * 2 - 1;
+    };
+}
+
+const timbreNoise = createNoise(3);
+const TIMBRES = {};
+['intro', 'verse', 'buildup', 'drop'].forEach(name => {
+    TIMBRES[name] = Array.from({ length: 12 }, () => timbreNoise());
+});
+const CHORDS = { intro: [0, 4, 7], verse: [9, 0, 4], buildup: [5, 9, 0], drop: [9, 0, 4] };
+
+// [sound, seconds, energy or [from, to]]: the build-up rises in level and brightness
+const SONG = [
+    ['intro', 16, 0.01],
+    ['verse', 16, 0.05],
+    ['buildup', 16, [0.05, 0.4]],
+    ['drop', 16, 1],
+    ['verse', 16, 0.05],
+    ['drop', 16, 1]
+];
+const BOUNDARIES = [16, 32, 48, 64, 80];
+
+/**
+ * Analysis frames of the song: MFCC, chroma, energy, brightness and the bar grid
+ * @param {number} downbeatOffset - Seconds from each bar line to its downbeat flag
+ */
+function createFrames(downbeatOffset = 0) {
+    const noise = createNoise(9);
+    const frames = [];
+    
+    SONG.forEach(([name, seconds, level]) => {
+        const count = seconds * FRAME_RATE;
+        for (let i = 0; i < count; i++) {
+            const index = frames.length;
+            const progress = i / count;
+            const energy = Array.isArray(level) ? level[0] * Math.pow(level[1] / level[0], progress) : level;
+            
+            const mfcc = new Float32Array(13);
+            mfcc[0] = Math.log(energy);
+            for (let k = 0; k < 12; k++) {
+                mfcc[k + 1] = TIMBRES[name][k] + 0.1 * noise();
+            }
+            const chroma = new Float32Array(12);
+            CHORDS[name].forEach(pitchClass => { chroma[pitchClass] = 1; });
+            
+            frames.push({
+                time: index / FRAME_RATE,
+                data: {
+                    mfcc,
+                    chroma,
+                    energy,
+                    spectralCentroid: 1000 * (1 + (name === 'buildup' ? progress : 0)),
+                    bpm: 120,
+                    downbeat: (index - downbeatOffset * FRAME_RATE) % (BAR * FRAME_RATE) === 0
+                }
+            });
+        }
+    });
+    
+    return frames;
+}
+
+describe('StructureAnalyzer', () => {
+    let now;
+    let analyzer;
+    
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        
+        now = 0;
+        analyzer = new StructureAnalyzer({ timeSource: () => now * 1000 });
+        await analyzer.initialize({});
+    });
+    
+    afterEach(() => {
+        analyzer.dispose();
+        jest.restoreAllMocks();
+    });
+    
+    /**
+     * Feed frames live; returns the structure output of every frame
+     */
+    function play(frames) {
+        return frames.map(frame => {
+            now = frame.time;
+            return { time: frame.time, structure: analyzer.analyze(frame.data).structure };
+        });
+    }
+    
+    test('averages frames into blocks on the block grid', () => {
+        // Frames arrive up to 10 ms late, as they do from a frame clock
+        const jitter = createNoise(5);
+        const frames = createFrames().slice(0, 5 * FRAME_RATE).map(frame => ({
+            ...frame,
+            time: frame.time + 0.005 * (jitter() + 1)
+        }));
+        play(frames);
+        
+        // The block of the newest frames is still being filled
+        const start = frames[0].time;
+        expect(analyzer.blocks).toHaveLength(9);
+        analyzer.blocks.forEach((block, i) => expect(block.time).toBeCloseTo(start + i * 0.5, 9));
+        expect(analyzer.blocks[0].energy).toBeCloseTo(Math.log(0.01), 6);
+        expect(analyzer.getLatency()).toBe((analyzer.config.kernelSize + 1) * analyzer.config.blockDuration);
+    });
+    
+    test('reports each section change one kernel after the boundary', () => {
+        const sections = [];
+        analyzer.on('section', event => sections.push(event));
+        
+        play(createFrames());
+        
+        expect(sections.map(event => event.section.start)).toEqual(BOUNDARIES.map(time => expect.closeTo(time, 6)));
+        sections.forEach(event => {
+            expect(event.latency).toBeGreaterThanOrEqual(analyzer.getLatency());
+            expect(event.latency).toBeLessThanOrEqual(analyzer.getLatency() + 1 / FRAME_RATE + 1e-9);
+            expect(event.previous.end).toBe(event.section.start);
+        });
+        
+        // Repeats of the verse and the drop join their group
+        expect(analyzer.getStatus().sections.map(({ label, group }) => [label, group])).toEqual([
+            ['intro', 0],
+            ['verse', 1],
+            ['buildup', 2],
+            ['drop', 3],
+            ['verse', 1],
+            ['drop', 3]
+        ]);
+    });
+    
+    test('predicts the drop at the end of the build-up phrase', () => {
+        const predictions = [];
+        analyzer.on('dropIncoming', event => predictions.push({ ...event, announcedAt: now }));
+        
+        const output = play(createFrames());
+        
+        // Announced once, during the build-up, for the eight-bar phrase boundary
+        expect(predictions).toHaveLength(1);
+        expect(predictions[0].announcedAt).toBeGreaterThan(32);
+        expect(predictions[0].time).toBeCloseTo(48, 6);
+        expect(predictions[0].eta).toBeCloseTo(48 - predictions[0].announcedAt, 6);
+        
+        // Counting down frame by frame
+        const during = output.find(frame => frame.time >= 44);
+        expect(during.structure.dropIncoming.time).toBeCloseTo(48, 6);
+        expect(during.structure.dropIncoming.eta).toBeCloseTo(48 - during.time, 6);
+        
+        // Cleared once the drop is confirmed
+        const dropConfirmed = output.find(frame => frame.structure.sectionChanged && frame.structure.section.label === 'drop');
+        expect(dropConfirmed.structure.dropIncoming).toBeNull();
+    });
+    
+    test('segments the whole song offline with song-wide labels', () => {
+        createFrames().forEach(frame => {
+            now = frame.time;
+            analyzer.addFrame(frame.data);
+        });
+        
+        const { sections, blockDuration } = analyzer.segment();
+        
+        expect(blockDuration).toBe(0.5);
+        expect(sections.map(section => section.start)).toEqual([0, ...BOUNDARIES].map(time => expect.closeTo(time, 6)));
+        sections.slice(1).forEach((section, i) => expect(sections[i].end).toBe(section.start));
+        
+        // The repeated verse after the first drop is quiet against the whole song
+        expect(sections.map(({ label, group }) => [label, group])).toEqual([
+            ['intro', 0],
+            ['verse', 1],
+            ['buildup', 2],
+            ['drop', 3],
+            ['breakdown', 1],
+            ['drop', 3]
+        ]);
+        
+        // Segmenting leaves the live state alone
+        expect(analyzer.sections).toHaveLength(1);
+    });
+    
+    test('moves boundaries onto nearby downbeats', () => {
+        createFrames(0.25).forEach(frame => {
+            now = frame.time;
+            analyzer.addFrame(frame.data);
+        });
+        
+        const starts = analyzer.segment().sections.map(section => section.start);
+        
+        expect(starts).toEqual([0, ...BOUNDARIES.map(time => time + 0.25)].map(time => expect.closeTo(time, 6)));
+    });
+    
+    test('reset starts a new song', () => {
+        play(createFrames().slice(0, 40 * FRAME_RATE));
+        
+        analyzer.reset();
+        
+        expect(analyzer.segment().sections).toEqual([]);
+        expect(analyzer.getStatus()).toMatchObject({ blocks: 0, sections: [], buildup: 0, dropIncoming: null });
+    });
+});
@@ -0,0 +1,110 @@
+/**
+ * AudioEngine stem tests
+ * Loads a stem set of fake buffers and plays and analyzes it as one song
+ * Location: tests/core/AudioEngine.stems.test.mjs
+ */
+
+import { jest } from '@jest/globals';
+import { AudioEngine } from '../../src/core/AudioEngine.js';
+import { MIX_INPUT } from '../../src/audio/AudioMixer.js';
+import { FakeAudioBuffer, FakeAudioContext } from '../fixtures/FakeAudioContext.mjs';
+
+describe('AudioEngine stems', () => {
+    let context;
+    let engine;
+    let stems;
+    
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        globalThis.AudioBuffer = FakeAudioBuffer;
+        
+        context = new FakeAudioContext();
+        engine = new AudioEngine();
+        engine.audioContext = context;
+        engine.createAudioNodes();
+        
+        stems = {
+            drums: context.createTestBuffer(30, 0.8),
+            bass: context.createTestBuffer(30, 0.4),
+            vocals: context.createTestBuffer(20, 0.2)
+        };
+    });
+    
+    afterEach(() => {
+        jest.restoreAllMocks();
+        delete globalThis.AudioBuffer;
+    });
+    
+    test('gives every stem a mixer input and routes drums and melodic stems', async () => {
+        const onStemsChanged = jest.fn();
+        engine.onStemsChanged(onStemsChanged);
+        
+        const info = await engine.loadStems(stems, { name: 'Song' });
+        
+        expect(info).toEqual({
+            name: 'Song',
+            duration: 30,
+            stems: [
+                { name: 'drums', input: 'stem.drums', duration: 30 },
+                { name: 'bass', input: 'stem.bass', duration: 30 },
+                { name: 'vocals', input: 'stem.vocals', duration: 20 }
+            ],
+            percussive: 'drums',
+            melodic: ['bass', 'vocals']
+        });
+        expect(engine.mixer.getInputNames()).toEqual(['file', 'stem.drums', 'stem.bass', 'stem.vocals', 'stem.melodic']);
+        expect(engine.mixer.inputs.get('stem.melodic').members).toEqual(['stem.bass', 'stem.vocals']);
+        expect(engine.getAnalysisRouting()).toEqual({ beat: 'stem.drums', spectral: 'stem.melodic', features: MIX_INPUT });
+        expect(engine.currentFile).toBe('Song');
+        expect(onStemsChanged).toHaveBeenCalled();
+    });
+    
+    test('starts all stems together and seeks them together', async () => {
+        await engine.loadStems(stems);
+        context.advance(1);
+        
+        await engine.playAudioFile();
+        const sources = engine.getBufferSources();
+        
+        expect(sources).toHaveLength(3);
+        sources.forEach(source => expect(source.started).toEqual({ when: 1, offset: 0 }));
+        
+        // The vocals end at 20s; past that only drums and bass start again
+        engine.seek(25);
+        const restarted = engine.getBufferSources().filter(source => source.started);
+        expect(restarted.map(source => source.buffer)).toEqual([stems.drums, stems.bass]);
+        restarted.forEach(source => expect(source.started.offset).toBe(25));
+        sources.forEach(source => expect(source.stopped).not.toBeNull());
+    });
+    
+    test('reports features of every stem and of the melodic sum', async () => {
+        await engine.loadStems(stems);
+        await engine.playAudioFile();
+        
+        engine.performAnalysis();
+        const data = engine.getAudioData();
+        const rms = level => level / Math.SQRT2;
+        
+        expect(Object.keys(data.stems)).toEqual(['drums', 'bass', 'vocals', 'melodic']);
+        expect(data.stems.drums.rms).toBeCloseTo(rms(0.8), 2);
+        expect(data.stems.vocals.rms).toBeCloseTo(rms(0.2), 2);
+        expect(data.stems.melodic.rms).toBeCloseTo(rms(0.6), 2);
+        expect(data.rms).toBeCloseTo(rms(1.4), 2);
+    });
+    
+    test('loading a single file replaces the stem set', async () => {
+        await engine.loadStems(stems);
+        engine.addAudioBuffer('single.wav', context.createTestBuffer(5));
+        
+        engine.selectAudioFile('single.wav');
+        
+        expect(engine.getStemInfo()).toBeNull();
+        expect(engine.mixer.getInputNames()).toEqual(['file']);
+        expect(engine.getAnalysisRouting()).toEqual({ beat: MIX_INPUT, spectral: MIX_INPUT, features: MIX_INPUT });
+        expect(engine.getAudioData().stems).toEqual({});
+    });
+    
+    test('a stem set needs at least one stem', async () => {
+        await expect(engine.loadStems({})).rejects.toThrow('A stem set needs at least one stem');
+    });
+});
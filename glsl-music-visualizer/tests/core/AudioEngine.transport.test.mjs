@@ -0,0 +1,182 @@
+/**
+ * AudioEngine transport tests
+ * Seeks, loops and changes the rate of a buffer playing on a fake audio context
+ * Location: tests/core/AudioEngine.transport.test.mjs
+ */
+
+import { jest } from '@jest/globals';
+import { AudioEngine } from '../../src/core/AudioEngine.js';
+import { FakeAudioContext } from '../fixtures/FakeAudioContext.mjs';
+
+/**
+ * Stand-in for an HTMLAudioElement playing the original file
+ */
+class FakeAudioElement {
+    constructor() {
+        this.currentTime = 0;
+        this.playbackRate = 1;
+        this.paused = true;
+        this.src = '';
+    }
+    
+    addEventListener() {}
+    
+    play() {
+        this.paused = false;
+        return Promise.resolve();
+    }
+    
+    pause() {
+        this.paused = true;
+    }
+}
+
+describe('AudioEngine transport', () => {
+    let engine;
+    let context;
+    let history;
+    
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        globalThis.Audio = FakeAudioElement;
+        
+        engine = new AudioEngine();
+        context = new FakeAudioContext();
+        engine.audioContext = context;
+        engine.createAudioNodes();
+        
+        // Records the history resets a seek must cause
+        history = { reset: jest.fn(), analyze: () => ({ structure: null }) };
+        engine.analysisModules.structure = history;
+        
+        engine.addAudioBuffer('song.wav', context.createTestBuffer(10), 'song.wav');
+        engine.selectAudioFile('song.wav');
+        await engine.playAudioFile();
+    });
+    
+    afterEach(() => {
+        jest.restoreAllMocks();
+        delete globalThis.Audio;
+    });
+    
+    const source = () => engine.nodes.source;
+    
+    test('reports the position from the context clock', () => {
+        expect(source().started).toEqual({ when: 0, offset: 0 });
+        
+        context.advance(2.5);
+        expect(engine.getPlaybackTime()).toBeCloseTo(2.5, 9);
+        expect(engine.getTransportState()).toMatchObject({ duration: 10, rate: 1, isPlaying: true });
+    });
+    
+    test('seeking restarts the source at the target and flags the next frame', () => {
+        const onSeek = jest.fn();
+        engine.onSeek(onSeek);
+        context.advance(1);
+        const previous = source();
+        history.reset.mockClear();
+        
+        engine.seek(6);
+        
+        expect(previous.stopped).not.toBeNull();
+        expect(source()).not.toBe(previous);
+        expect(source().started.offset).toBe(6);
+        expect(onSeek).toHaveBeenCalledWith(6);
+        expect(history.reset).toHaveBeenCalled();
+        
+        context.advance(0.5);
+        expect(engine.getPlaybackTime()).toBeCloseTo(6.5, 9);
+        
+        engine.performAnalysis();
+        expect(engine.getAudioData().seeked).toBe(true);
+        engine.performAnalysis();
+        expect(engine.getAudioData().seeked).toBe(false);
+    });
+    
+    test('seeks are clamped to the file', () => {
+        engine.seek(25);
+        expect(engine.getPlaybackTime()).toBe(10);
+        
+        engine.seek(-3);
+        expect(engine.getPlaybackTime()).toBe(0);
+    });
+    
+    test('pause keeps the position and a paused seek moves it without playing', () => {
+        context.advance(3);
+        engine.pause();
+        const started = context.startedSources.length;
+        
+        context.advance(5);
+        expect(engine.getPlaybackTime()).toBeCloseTo(3, 9);
+        
+        engine.seek(7);
+        expect(engine.getPlaybackTime()).toBe(7);
+        expect(context.startedSources).toHaveLength(started);
+        
+        engine.resume();
+        expect(source().started.offset).toBe(7);
+    });
+    
+    test('loops between two points', () => {
+        engine.setLoop(2, 4);
+        
+        expect(source()).toMatchObject({ loop: true, loopStart: 2, loopEnd: 4 });
+        
+        // 0 -> 4, then 4 -> 4.5 again from 2
+        context.advance(4.5);
+        expect(engine.getPlaybackTime()).toBeCloseTo(2.5, 9);
+        
+        context.advance(2);
+        expect(engine.getPlaybackTime()).toBeCloseTo(2.5, 9);
+    });
+    
+    test('seeking past the loop end jumps to the loop start', () => {
+        engine.setLoop(4, 2);
+        expect(engine.getTransportState().loop).toEqual({ start: 2, end: 4 });
+        
+        engine.seek(8);
+        expect(source().started.offset).toBe(2);
+        
+        engine.clearLoop();
+        expect(source().loop).toBe(false);
+        engine.seek(8);
+        expect(source().started.offset).toBe(8);
+    });
+    
+    test('refuses loop regions shorter than 10ms', () => {
+        expect(() => engine.setLoop(3, 3.005)).toThrow('Loop region must be longer than 10ms');
+        expect(engine.getTransportState().loop).toBeNull();
+    });
+    
+    test('the playback rate scales the position and is clamped', () => {
+        context.advance(2);
+        engine.setPlaybackRate(2);
+        
+        expect(source().playbackRate.value).toBe(2);
+        context.advance(1);
+        expect(engine.getPlaybackTime()).toBeCloseTo(4, 9);
+        
+        engine.setPlaybackRate(10);
+        expect(engine.getTransportState().rate).toBe(4);
+        engine.setPlaybackRate(0);
+        expect(engine.getTransportState().rate).toBe(0.25);
+    });
+    
+    test('pitch preservation plays the file through a media element', () => {
+        context.advance(2);
+        engine.setPlaybackRate(0.5, { preservePitch: true });
+        
+        const element = engine.mediaElement;
+        expect(element).toBeInstanceOf(FakeAudioElement);
+        expect(element).toMatchObject({ src: 'song.wav', preservesPitch: true, playbackRate: 0.5, paused: false });
+        expect(element.currentTime).toBeCloseTo(2, 9);
+        
+        // Back to the buffer at rate 1, from where the element got to
+        element.currentTime = 3;
+        engine.setPlaybackRate(1);
+        expect(engine.mediaElement).toBeNull();
+        expect(element.paused).toBe(true);
+        expect(source().started.offset).toBeCloseTo(3, 9);
+    });
+});
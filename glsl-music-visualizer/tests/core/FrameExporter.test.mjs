@@ -0,0 +1,273 @@
+/**
+ * FrameExporter tests
+ * Exports of the same track give the same frames however fast the wall clock runs
+ * Location: tests/core/FrameExporter.test.mjs
+ */
+
+import { jest } from '@jest/globals';
+import { FrameExporter } from '../../src/core/FrameExporter.js';
+import { VisualizerManager } from '../../src/core/VisualizerManager.js';
+import { MaterialManager } from '../../src/materials/MaterialManager.js';
+import { AnalysisTrack } from '../../src/audio/AnalysisTrack.js';
+import { BaseVisualizer } from '../../src/visualizers/base/BaseVisualizer.js';
+import { RandomService } from '../../src/utils/RandomService.js';
+import { ParticleSystem } from '../../src/physics/ParticleSystem.js';
+
+const FRAME_RATE = 50;
+const FPS = 30;
+
+/**
+ * Visualizer without GPU resources; frames show its type and the transition state
+ */
+class StateVisualizer extends BaseVisualizer {
+    async initialize(gl, canvas, integrations) {
+        this.state.isInitialized = true;
+    }
+    
+    update(deltaTime, audioData) {}
+    
+    render(deltaTime, renderState) {}
+}
+
+/**
+ * Four seconds of analysis with a beat every half second and a 4-bar phrase grid
+ */
+function createTrack() {
+    const frameCount = 4 * FRAME_RATE;
+    const frames = [];
+    
+    for (let i = 0; i < frameCount; i++) {
+        const beatCount = Math.floor(i / 25);
+        const beat = i % 25 === 0;
+        const beatInBar = beatCount % 4;
+        const barCount = Math.floor(beatCount / 4) + 1;
+        const downbeat = beat && beatInBar === 0;
+        
+        frames.push({
+            time: i / FRAME_RATE,
+            bassLevel: (i % 10) / 10,
+            midLevel: (i % 7) / 7,
+            trebleLevel: (i % 5) / 5,
+            energy: (i % 40) / 40,
+            bpm: 120,
+            beat,
+            beatStrength: beat ? 0.8 : 0,
+            downbeat,
+            bar: { isDownbeat: downbeat, count: barCount, beatInBar, beatsPerBar: 4, phase: beatInBar / 4, confidence: 0.8 },
+            phrase: { boundary: downbeat && (barCount - 1) % 4 === 0 ? 4 : 0, anchor: 0, confidence: 0.5, novelty: 0 },
+            spectrum: Float32Array.from({ length: 16 }, (_, k) => ((i + k) % 16) / 16)
+        });
+    }
+    
+    return AnalysisTrack.fromAnalysis({
+        sampleRate: 12800,
+        fftSize: 512,
+        hopSize: 256,
+        frameRate: FRAME_RATE,
+        duration: frameCount / FRAME_RATE,
+        frameCount,
+        frames,
+        phraseLengths: [4, 8, 16],
+        summary: { bpm: 120 }
+    }, { name: 'synthetic' });
+}
+
+/**
+ * Application stand-in running the visualizer and material managers with auto
+ * switching and auto transitions, and a CPU particle system reseeded like the
+ * application's physics; the "canvas" captures their state
+ */
+async function createApp() {
+    const random = new RandomService(1);
+    
+    const particles = new ParticleSystem({ maxParticles: 200, seed: random.deriveSeed('particles') });
+    await particles.initialize(null);
+    random.on('seedChanged', () => particles.setSeed(random.deriveSeed('particles')));
+    
+    const visualizer = new VisualizerManager({
+        enableAutoSwitch: true,
+        autoSwitchInterval: 700,
+        transitionDuration: 400,
+        enablePerformanceMonitoring: false,
+        enablePreloading: false
+    });
+    await visualizer.initialize({ renderEngine: { gl: null }, random }, { width: 64, height: 64 });
+    ['alpha', 'beta', 'gamma'].forEach(type => visualizer.registerVisualizerType(type, StateVisualizer));
+    await visualizer.switchVisualizer('alpha', { immediate: true });
+    
+    const material = new MaterialManager({ enablePhysics: false, enableAutoTransitions: true });
+    material.setIntegrations({ random });
+    await material.initialize();
+    material.setAutoTransitionMode('phrase', { interval: 500 });
+    
+    const snapshot = () => JSON.stringify({
+        visualizer: visualizer.currentVisualizer.type,
+        previous: visualizer.previousVisualizer?.type || null,
+        visualizerProgress: visualizer.transitionProgress,
+        materialProgress: material.currentState.transitionProgress,
+        material: material.getRenderProperties()
+    });
+    
+    return {
+        state: { isRunning: false, isPaused: false },
+        config: { adaptiveQuality: false },
+        canvas: {
+            width: 64,
+            height: 64,
+            toBlob: (callback) => callback(new Blob([snapshot()]))
+        },
+        engines: { render: { setFrameTime() {} }, visualizer },
+        pause() {},
+        resume() {},
+        setAdaptiveQuality(enabled) {
+            visualizer.config.adaptiveQuality = enabled;
+        },
+        random,
+        particles,
+        setSeed(seed) {
+            random.setSeed(seed);
+        },
+        getRandomState() {
+            return { ...random.getState(), physics: { particles: particles.random.getState() } };
+        },
+        setRandomState(state) {
+            random.setState(state);
+            particles.random.setState(state.physics.particles);
+        },
+        renderFrame(time, deltaTime, audioData) {
+            material.update(deltaTime, audioData);
+            visualizer.update(deltaTime, audioData);
+            particles.update(deltaTime, audioData);
+        }
+    };
+}
+
+/**
+ * Export the track with the wall clock advancing `step` ms on every read
+ */
+async function exportFrames(track, step) {
+    let wallTime = 1000;
+    const clocks = [
+        jest.spyOn(performance, 'now').mockImplementation(() => (wallTime += step)),
+        jest.spyOn(Date, 'now').mockImplementation(() => Math.floor(wallTime += step))
+    ];
+    
+    const frames = [];
+    const exporter = new FrameExporter(await createApp(), {
+        fps: FPS,
+        seed: 7,
+        onFrame: async ({ index, time, blob }) => {
+            frames.push({ index, time, state: JSON.parse(await blob.text()) });
+        }
+    });
+    
+    const result = await exporter.export(track);
+    clocks.forEach(clock => clock.mockRestore());
+    
+    return { result, frames };
+}
+
+describe('FrameExporter', () => {
+    const originalWindow = globalThis.window;
+    
+    beforeAll(() => {
+        globalThis.window = new EventTarget();
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+    
+    afterAll(() => {
+        globalThis.window = originalWindow;
+        jest.restoreAllMocks();
+    });
+    
+    test('exports the same frames however fast the wall clock runs', async () => {
+        const track = createTrack();
+        const first = await exportFrames(track, 1);
+        const second = await exportFrames(track, 97);
+        
+        expect(first.result.frameCount).toBe(4 * FPS);
+        expect(second.frames).toEqual(first.frames);
+        
+        // The export exercised visualizer switches and material transitions
+        const visualizers = new Set(first.frames.map(frame => frame.state.visualizer));
+        const materials = new Set(first.frames.map(frame => frame.state.material.materialId));
+        expect(visualizers.size).toBeGreaterThan(1);
+        expect(materials.size).toBeGreaterThan(1);
+        expect(first.frames.some(frame => frame.state.visualizerProgress > 0 && frame.state.visualizerProgress < 1)).toBe(true);
+    });
+    
+    test('restores the seed and random state of the session', async () => {
+        const app = await createApp();
+        app.random.setSeed(42);
+        app.random.getStream('visualizer').next();
+        const before = app.random.getState();
+        
+        const exporter = new FrameExporter(app, { fps: FPS, seed: 7, onFrame: async () => {} });
+        await exporter.export(createTrack());
+        
+        // Streams first used by the export start from their derived seeds
+        expect(app.random.getState()).toMatchObject(before);
+        expect(app.random.getSeed()).toBe(42);
+    });
+    
+    test('keeps the particle simulation running after the export', async () => {
+        const app = await createApp();
+        const { particles } = app;
+        particles.update(0.5, null);
+        const streamBefore = particles.random.getState();
+        
+        // The particles as the last exported frame left them
+        let lastFrame = null;
+        const exporter = new FrameExporter(app, {
+            fps: FPS,
+            seed: 7,
+            onFrame: async () => {
+                lastFrame = {
+                    count: particles.state.activeParticleCount,
+                    elapsedTime: particles.state.elapsedTime,
+                    positions: Float32Array.from(particles.particles.positions)
+                };
+            }
+        });
+        await exporter.export(createTrack());
+        
+        // Restoring the session's random state neither clears nor re-emits them
+        expect(lastFrame.elapsedTime).toBeGreaterThan(3);
+        expect(particles.state.activeParticleCount).toBe(lastFrame.count);
+        expect(particles.state.elapsedTime).toBe(lastFrame.elapsedTime);
+        expect(particles.particles.positions).toEqual(lastFrame.positions);
+        
+        // Their own stream resumes where the session left it
+        expect(particles.random.getState()).toEqual(streamBefore);
+        expect(app.random.getSeed()).toBe(1);
+    });
+    
+    test('restores the random state when the export is cancelled', async () => {
+        const app = await createApp();
+        app.random.setSeed(42);
+        const before = app.random.getState();
+        
+        const exporter = new FrameExporter(app, {
+            fps: FPS,
+            seed: 7,
+            onFrame: async ({ index }) => {
+                if (index === 10) exporter.cancel();
+            }
+        });
+        
+        await expect(exporter.export(createTrack())).rejects.toThrow('cancelled');
+        expect(app.random.getState()).toEqual(before);
+        expect(exporter.isExporting).toBe(false);
+    });
+    
+    test('refuses PNG output without a frame sink', async () => {
+        const app = await createApp();
+        app.random.setSeed(42);
+        const before = app.random.getState();
+        
+        const exporter = new FrameExporter(app, { fps: FPS, format: 'png' });
+        
+        await expect(exporter.export(createTrack())).rejects.toThrow('frame sink');
+        expect(app.random.getState()).toEqual(before);
+    });
+});
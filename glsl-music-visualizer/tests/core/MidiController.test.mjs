@@ -0,0 +1,310 @@
+/**
+ * MidiController tests
+ * Drives a fake MIDI input through learn mode, mappings and clock tempo
+ * Location: tests/core/MidiController.test.mjs
+ */
+
+import { jest } from '@jest/globals';
+import { MidiController, MIDI_STATUS } from '../../src/core/MidiController.js';
+import { BeatDetector } from '../../src/audio/BeatDetector.js';
+import { AudioEngine } from '../../src/core/AudioEngine.js';
+
+// The DOM UI does not load headlessly; the app is driven without it
+jest.unstable_mockModule('../../src/ui/UIManager.js', () => ({ UIManager: class {} }));
+const { GLSLMusicVisualizer } = await import('../../src/main.js');
+
+/**
+ * Stand-in for a MIDIInput: records its listener and replays raw messages
+ */
+function createFakeInput(id = 'fake-input') {
+    const listeners = [];
+    
+    return {
+        id,
+        name: 'Fake Controller',
+        type: 'input',
+        addEventListener(type, listener) {
+            if (type === 'midimessage') listeners.push(listener);
+        },
+        removeEventListener(type, listener) {
+            const index = listeners.indexOf(listener);
+            if (index !== -1) listeners.splice(index, 1);
+        },
+        send(data, timeStamp = 1) {
+            listeners.forEach(listener => listener({ data: Uint8Array.from(data), timeStamp }));
+        },
+        listenerCount: () => listeners.length
+    };
+}
+
+/**
+ * Stand-in for MIDIAccess with one input
+ */
+function createFakeAccess(input) {
+    return {
+        inputs: new Map([[input.id, input]]),
+        addEventListener() {},
+        removeEventListener() {}
+    };
+}
+
+const cc = (channel, number, value) => [MIDI_STATUS.CONTROL_CHANGE | channel, number, value];
+const noteOn = (channel, number, velocity = 100) => [MIDI_STATUS.NOTE_ON | channel, number, velocity];
+const noteOff = (channel, number) => [MIDI_STATUS.NOTE_OFF | channel, number, 0];
+
+describe('MidiController', () => {
+    let input;
+    let midi;
+    let changes;
+    
+    beforeEach(async () => {
+        input = createFakeInput();
+        changes = [];
+        midi = new MidiController({
+            access: createFakeAccess(input),
+            onParameterChange: (parameter, value, source) => changes.push({ parameter, value, source })
+        });
+        
+        expect(await midi.initialize()).toBe(true);
+    });
+    
+    afterEach(() => {
+        midi.dispose();
+    });
+    
+    /**
+     * Send 24 PPQN clock pulses for a number of quarter notes
+     * @returns {number} Time after the last pulse
+     */
+    function sendClock(bpm, beats, startTime = 1000) {
+        const interval = 60000 / (bpm * 24);
+        let time = startTime;
+        for (let i = 0; i < beats * 24; i++) {
+            input.send([MIDI_STATUS.CLOCK], time);
+            time += interval;
+        }
+        return time;
+    }
+    
+    test('connects the inputs of the MIDI access', () => {
+        expect(midi.getInputs()).toEqual([{ id: 'fake-input', name: 'Fake Controller' }]);
+        expect(input.listenerCount()).toBe(1);
+        
+        midi.dispose();
+        expect(input.listenerCount()).toBe(0);
+    });
+    
+    test('learns the next control moved and binds it to the target', () => {
+        const learned = [];
+        midi.on('mappingLearned', ({ mapping }) => learned.push(mapping));
+        
+        midi.startLearn({ parameter: 'bloomIntensity', source: 'render', min: 0, max: 2 });
+        input.send(cc(2, 21, 64));
+        
+        expect(learned).toHaveLength(1);
+        expect(learned[0]).toMatchObject({
+            type: 'cc',
+            channel: 2,
+            number: 21,
+            parameter: 'bloomIntensity',
+            source: 'render'
+        });
+        
+        // The learning message itself is not dispatched; learn mode waits for a new target
+        expect(changes).toEqual([]);
+        expect(midi.isLearning()).toBe(true);
+        expect(midi.learn.target).toBeNull();
+        
+        midi.stopLearn();
+        input.send(cc(2, 21, 127));
+        expect(changes).toEqual([{ parameter: 'bloomIntensity', value: 2, source: 'render' }]);
+    });
+    
+    test('relearning a target replaces its previous mapping', () => {
+        const target = { parameter: 'speed', source: 'visualizer' };
+        
+        midi.startLearn(target);
+        input.send(cc(0, 1, 10));
+        midi.setLearnTarget(target);
+        input.send(cc(0, 2, 10));
+        midi.stopLearn();
+        
+        expect(midi.getMappings()).toHaveLength(1);
+        expect(midi.getMappings()[0].number).toBe(2);
+    });
+    
+    test('scales control changes into the mapping range', () => {
+        midi.addMapping({ type: 'cc', channel: 0, number: 7, parameter: 'volume', source: 'audio', min: -1, max: 1 });
+        midi.addMapping({ type: 'cc', channel: 0, number: 8, parameter: 'quality', source: 'render', values: ['low', 'medium', 'high'] });
+        midi.addMapping({ type: 'cc', channel: 0, number: 9, parameter: 'count', source: 'visualizer', min: 0, max: 100, step: 10, invert: true });
+        
+        input.send(cc(0, 7, 0));
+        input.send(cc(0, 7, 127));
+        input.send(cc(0, 8, 64));
+        input.send(cc(0, 8, 127));
+        input.send(cc(0, 9, 32));
+        
+        expect(changes.map(change => change.value)).toEqual([-1, 1, 'medium', 'high', 70]);
+    });
+    
+    test('forwards only changed values and respects the mapped channel', () => {
+        midi.addMapping({ type: 'cc', channel: 3, number: 7, parameter: 'volume', source: 'audio' });
+        
+        input.send(cc(3, 7, 127));
+        input.send(cc(3, 7, 127));
+        input.send(cc(4, 7, 0));
+        
+        expect(changes).toEqual([{ parameter: 'volume', value: 1, source: 'audio' }]);
+    });
+    
+    test('toggles note mappings on note on and ignores note off', () => {
+        midi.addMapping({ type: 'note', channel: 9, number: 36, parameter: 'strobe', source: 'render', values: [false, true], mode: 'toggle' });
+        
+        input.send(noteOn(9, 36));
+        input.send(noteOff(9, 36));
+        input.send(noteOn(9, 36));
+        // Note on with velocity 0 is a note off
+        input.send(noteOn(9, 36, 0));
+        input.send(noteOn(9, 36));
+        
+        expect(changes.map(change => change.value)).toEqual([true, false, true]);
+    });
+    
+    test('momentary note mappings follow the key', () => {
+        midi.addMapping({ type: 'note', channel: 0, number: 60, parameter: 'freeze', source: 'visualizer' });
+        
+        input.send(noteOn(0, 60));
+        input.send(noteOff(0, 60));
+        
+        expect(changes.map(change => change.value)).toEqual([1, 0]);
+    });
+    
+    describe('clock tempo override', () => {
+        let beat;
+        
+        beforeEach(() => {
+            beat = new BeatDetector({ timeSource: () => 0 });
+            
+            // Same calls GLSLMusicVisualizer.onMidiTempo / onMidiClockStop make through AudioEngine
+            midi.on('tempo', ({ bpm, override }) => {
+                if (override) {
+                    beat.setTempoOverride(bpm, 'midi');
+                } else {
+                    beat.clearTempoOverride();
+                }
+            });
+            midi.on('clockStop', () => {
+                if (beat.tempoOverride && beat.tempoOverride.source === 'midi') {
+                    beat.clearTempoOverride();
+                }
+            });
+        });
+        
+        test('overrides the detected tempo with the clock tempo', () => {
+            const tempos = [];
+            midi.on('tempo', ({ bpm }) => tempos.push(bpm));
+            
+            input.send([MIDI_STATUS.START], 999);
+            sendClock(140, 2);
+            
+            expect(tempos).toEqual([140, 140]);
+            expect(midi.getClockState()).toMatchObject({ running: true, bpm: 140, pulses: 48 });
+            expect(beat.tempoOverride).toEqual({ bpm: 140, source: 'midi' });
+            expect(beat.beatState.currentBPM).toBe(140);
+            expect(beat.beatState.beatPeriod).toBeCloseTo(60 / 140, 9);
+            expect(beat.beatState.tempoSource).toBe('midi');
+        });
+        
+        test('follows clock tempo changes', () => {
+            const time = sendClock(120, 2);
+            sendClock(90, 3, time);
+            
+            expect(beat.tempoOverride.bpm).toBe(90);
+        });
+        
+        test('hands tempo back to the audio analysis on STOP', () => {
+            const time = sendClock(128, 2);
+            expect(beat.beatState.tempoSource).toBe('midi');
+            
+            input.send([MIDI_STATUS.STOP], time);
+            
+            expect(beat.tempoOverride).toBeNull();
+            expect(beat.beatState.tempoSource).toBe('audio');
+            expect(midi.getClockState().running).toBe(false);
+        });
+        
+        test('hands tempo back when pulses stop arriving', () => {
+            const time = sendClock(128, 2);
+            
+            midi.checkClockTimeout(time + 100);
+            expect(beat.tempoOverride).not.toBeNull();
+            
+            midi.checkClockTimeout(time + midi.config.clockTimeout + 1);
+            expect(beat.tempoOverride).toBeNull();
+        });
+        
+        test('clears the override when clock tempo is not allowed to override', () => {
+            const time = sendClock(128, 1);
+            expect(beat.tempoOverride).not.toBeNull();
+            
+            midi.setClockOverridesTempo(false);
+            sendClock(128, 1, time);
+            
+            expect(beat.tempoOverride).toBeNull();
+            expect(midi.getClockState().bpm).toBe(128);
+        });
+        
+        test('needs a full beat of pulses before reporting a tempo', () => {
+            const tempos = [];
+            midi.on('tempo', ({ bpm }) => tempos.push(bpm));
+            
+            // A long gap restarts the estimate
+            const time = sendClock(120, 0.5);
+            sendClock(120, 0.5, time + 1000);
+            
+            expect(tempos).toEqual([]);
+            expect(beat.tempoOverride).toBeNull();
+        });
+    });
+    
+    describe('clock tempo in the app audio data', () => {
+        let app;
+        let engine;
+        
+        beforeEach(async () => {
+            engine = new AudioEngine();
+            engine.analysisModules.beat = new BeatDetector({ timeSource: () => 0 });
+            await engine.analysisModules.beat.initialize({ sampleRate: 44100 });
+            engine.audioData.bpm = 100;
+            
+            app = new GLSLMusicVisualizer({ seed: 1 });
+            app.engines.audio = engine;
+            app.state.audioConnected = true;
+            
+            // Same wiring as GLSLMusicVisualizer.setupSystemIntegrations
+            midi.on('tempo', app.onMidiTempo);
+            midi.on('clockBeat', app.onMidiClockBeat);
+            midi.on('clockStop', app.onMidiClockStop);
+        });
+        
+        test('reports the clock tempo to the visuals', () => {
+            sendClock(140, 2);
+            
+            expect(engine.getTempoOverride()).toEqual({ bpm: 140, source: 'midi' });
+            expect(app.getAudioData().bpm).toBe(140);
+            expect(app.getAudioData().tempo).toBe(140);
+            
+            // Analysis frames keep reporting the clock tempo
+            engine.runAdvancedAnalysis();
+            expect(app.getAudioData().bpm).toBe(140);
+        });
+        
+        test('returns to the analyzed tempo on STOP', () => {
+            const time = sendClock(128, 2);
+            input.send([MIDI_STATUS.STOP], time);
+            
+            expect(engine.getTempoOverride()).toBeNull();
+            expect(engine.analysisModules.beat.beatState.tempoSource).toBe('audio');
+        });
+    });
+});
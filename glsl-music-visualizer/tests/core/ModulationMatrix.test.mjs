@@ -0,0 +1,219 @@
+/**
+ * ModulationMatrix tests
+ * Routes audio sources to plain parameters and follows the signal path frame by frame
+ * Location: tests/core/ModulationMatrix.test.mjs
+ */
+
+import { ModulationMatrix, MODULATION_CURVES } from '../../src/core/ModulationMatrix.js';
+
+const FRAME = 0.1;
+
+/**
+ * Parameter owned by a plain object, as systems expose them
+ */
+function createParameter(id, { min = 0, max = 1, value = 0 } = {}) {
+    const owner = { value };
+    return {
+        owner,
+        descriptor: {
+            id,
+            min,
+            max,
+            get: () => owner.value,
+            set: (newValue) => { owner.value = newValue; }
+        }
+    };
+}
+
+describe('ModulationMatrix', () => {
+    let matrix;
+    let size;
+    let hue;
+    
+    beforeEach(() => {
+        matrix = new ModulationMatrix();
+        size = createParameter('material.size', { min: 0, max: 1, value: 0 });
+        hue = createParameter('material.hue', { min: 0, max: 360, value: 180 });
+        matrix.registerParameters([size.descriptor, hue.descriptor]);
+    });
+    
+    test.each(Object.keys(MODULATION_CURVES))('shapes the source with the %s curve', curve => {
+        matrix.addRouting({ source: 'energy', target: 'material.size', depth: 1, curve });
+        
+        [0, 0.25, 0.5, 0.75, 1].forEach(energy => {
+            matrix.update(FRAME, { energy });
+            expect(size.owner.value).toBeCloseTo(MODULATION_CURVES[curve](energy), 9);
+        });
+    });
+    
+    test('curves map [0, 1] onto [0, 1]', () => {
+        expect(MODULATION_CURVES.exponential(0.5)).toBeCloseTo(0.25, 9);
+        expect(MODULATION_CURVES.logarithmic(1)).toBeCloseTo(1, 9);
+        expect(MODULATION_CURVES.sCurve(0.25)).toBeCloseTo(0.15625, 9);
+        expect(MODULATION_CURVES.step(0.49)).toBe(0);
+        Object.values(MODULATION_CURVES).forEach(shape => {
+            expect(shape(0)).toBe(0);
+            expect(shape(1)).toBeCloseTo(1, 9);
+        });
+    });
+    
+    test('maps the input range to [0, 1] and clamps outside it', () => {
+        matrix.addRouting({ source: 'energy', target: 'material.size', depth: 1, inputRange: [0.2, 0.6] });
+        
+        const expected = [[0.4, 0.5], [0.1, 0], [0.9, 1]];
+        expected.forEach(([energy, value]) => {
+            matrix.update(FRAME, { energy });
+            expect(size.owner.value).toBeCloseTo(value, 9);
+        });
+    });
+    
+    test('uses the source\'s own range by default', () => {
+        matrix.addRouting({ source: 'loudness', target: 'material.size', depth: 1 });
+        
+        // -20 dBFS is two thirds of the way from -60 to 0
+        matrix.update(FRAME, { rms: 0.1 });
+        expect(size.owner.value).toBeCloseTo(2 / 3, 6);
+    });
+    
+    test('maps into the output window of the parameter span, scaled by depth', () => {
+        const routing = matrix.addRouting({ source: 'energy', target: 'material.hue', depth: 0.5, range: [0.2, 0.4] });
+        
+        // 180 + 0.5 * lerp(0.2, 0.4, 0.5) * 360
+        matrix.update(FRAME, { energy: 0.5 });
+        expect(hue.owner.value).toBeCloseTo(234, 9);
+        
+        // Negative depth pulls down, clamped at the parameter minimum
+        matrix.updateRouting(routing.id, { depth: -1, range: [0, 1] });
+        matrix.update(FRAME, { energy: 1 });
+        expect(hue.owner.value).toBe(0);
+    });
+    
+    test('follows the source with the attack and release times', () => {
+        matrix.addRouting({ source: 'energy', target: 'material.size', depth: 1, attack: FRAME, release: 2 * FRAME });
+        
+        // One time constant per frame on the way up, half of one on the way down
+        matrix.update(FRAME, { energy: 1 });
+        const rise = 1 - Math.exp(-1);
+        expect(size.owner.value).toBeCloseTo(rise, 9);
+        
+        matrix.update(FRAME, { energy: 0 });
+        expect(size.owner.value).toBeCloseTo(rise * Math.exp(-0.5), 9);
+        
+        // Silence reads as a zero source
+        matrix.update(FRAME, null);
+        expect(size.owner.value).toBeCloseTo(rise * Math.exp(-1), 9);
+    });
+    
+    test('smooths the routing signal frame by frame', () => {
+        matrix.addRouting({ source: 'energy', target: 'material.size', depth: 1, smoothing: 0.75 });
+        
+        matrix.update(FRAME, { energy: 1 });
+        expect(size.owner.value).toBeCloseTo(0.25, 9);
+        matrix.update(FRAME, { energy: 1 });
+        expect(size.owner.value).toBeCloseTo(0.4375, 9);
+        
+        expect(matrix.getStatus().routings[0]).toMatchObject({ active: true, value: expect.closeTo(0.4375, 9) });
+    });
+    
+    test('sums every routing of a parameter', () => {
+        matrix.addRouting({ source: 'bass', target: 'material.hue', depth: 0.25 });
+        matrix.addRouting({ source: 'treble', target: 'material.hue', depth: -0.125 });
+        matrix.addRouting({ source: 'mid', target: 'material.hue', depth: 1, enabled: false });
+        
+        // 180 + (0.25 * 0.8 - 0.125 * 0.4) * 360
+        matrix.update(FRAME, { bass: 0.8, mid: 1, treble: 0.4 });
+        expect(hue.owner.value).toBeCloseTo(234, 9);
+    });
+    
+    test('restores the base value when a parameter is no longer routed', () => {
+        const routing = matrix.addRouting({ source: 'energy', target: 'material.size', depth: 1 });
+        matrix.addRouting({ source: 'energy', target: 'material.hue', depth: 0.5 });
+        matrix.update(FRAME, { energy: 0.6 });
+        expect(size.owner.value).toBeCloseTo(0.6, 9);
+        expect(hue.owner.value).toBeCloseTo(288, 9);
+        
+        matrix.removeRouting(routing.id);
+        matrix.update(FRAME, { energy: 0.6 });
+        expect(size.owner.value).toBe(0);
+        
+        matrix.unregisterParameter('material.hue');
+        expect(hue.owner.value).toBe(180);
+        
+        // A routing without its parameter stays dormant until it is registered again
+        matrix.update(FRAME, { energy: 0.6 });
+        expect(hue.owner.value).toBe(180);
+        expect(matrix.getStatus().routings[0]).toMatchObject({ target: 'material.hue', active: false });
+        
+        matrix.registerParameter(hue.descriptor);
+        matrix.update(FRAME, { energy: 0.6 });
+        expect(hue.owner.value).toBeCloseTo(288, 9);
+    });
+    
+    test('follows edits the owner makes while the parameter is modulated', () => {
+        matrix.addRouting({ source: 'energy', target: 'material.hue', depth: 0.25 });
+        matrix.update(FRAME, { energy: 1 });
+        expect(hue.owner.value).toBe(270);
+        
+        // A slider moves the parameter: the modulation rides on the new value
+        hue.owner.value = 36;
+        matrix.update(FRAME, { energy: 1 });
+        expect(hue.owner.value).toBe(126);
+        expect(matrix.getParameters().find(parameter => parameter.id === 'material.hue').base).toBe(36);
+        
+        matrix.clearRoutings();
+        matrix.update(FRAME, { energy: 1 });
+        expect(hue.owner.value).toBe(36);
+        
+        // Base values set through the matrix apply right away while unrouted
+        matrix.setBaseValue('material.hue', 400);
+        expect(hue.owner.value).toBe(360);
+    });
+    
+    test('saves and loads routings without reusing their ids', () => {
+        const events = [];
+        matrix.addRouting({ source: 'energy', target: 'material.size', depth: 0.8, curve: 'sCurve', attack: 0.05 });
+        matrix.addRouting({ source: 'chroma.9', target: 'material.hue', inputRange: [0.1, 0.9], range: [0.5, 1] });
+        const saved = JSON.parse(JSON.stringify(matrix.getRoutings()));
+        
+        const loaded = new ModulationMatrix();
+        loaded.on('routingsChanged', event => events.push(event));
+        loaded.registerParameters([size.descriptor, hue.descriptor]);
+        loaded.setRoutings(saved);
+        expect(loaded.getRoutings()).toEqual(saved);
+        expect(events).toHaveLength(1);
+        
+        // New routings get fresh ids, so edits never reach the loaded ones
+        const added = loaded.addRouting({ source: 'bass', target: 'material.size' });
+        expect(saved.map(routing => routing.id)).toEqual(['mod_1', 'mod_2']);
+        expect(added.id).toBe('mod_3');
+        
+        loaded.updateRouting(added.id, { depth: -0.2 });
+        loaded.removeRouting(added.id);
+        expect(loaded.getRoutings()).toEqual(saved);
+        
+        // Duplicate ids are rejected on load and on add
+        expect(() => loaded.setRoutings([saved[0], saved[0]])).toThrow('already exists: mod_1');
+        expect(() => loaded.addRouting(saved[1])).toThrow('already exists: mod_2');
+        expect(loaded.getRoutings()).toEqual(saved);
+    });
+    
+    test('rejects invalid routings and parameters', () => {
+        expect(() => matrix.addRouting({ source: 'loudest', target: 'material.size' })).toThrow('Unknown modulation source');
+        expect(() => matrix.addRouting({ source: 'energy' })).toThrow('target parameter id');
+        expect(() => matrix.addRouting({ source: 'energy', target: 'material.size', curve: 'cubic' })).toThrow('Unknown modulation curve');
+        expect(() => matrix.registerParameter({ ...size.descriptor, max: 0 })).toThrow('Invalid range');
+        expect(() => matrix.updateRouting('mod_9', {})).toThrow('Unknown modulation routing');
+    });
+    
+    test('reads per-stem sources while the stem is loaded', () => {
+        matrix.setStemSources(['drums']);
+        expect(matrix.getSources().map(source => source.id)).toContain('stem.drums.energy');
+        
+        matrix.addRouting({ source: 'stem.drums.energy', target: 'material.size', depth: 1 });
+        matrix.update(FRAME, { stems: { drums: { energy: 0.7 } } });
+        expect(size.owner.value).toBeCloseTo(0.7, 6);
+        
+        matrix.update(FRAME, { stems: {} });
+        expect(size.owner.value).toBe(0);
+    });
+});
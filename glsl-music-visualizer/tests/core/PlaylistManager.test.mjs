@@ -0,0 +1,192 @@
+/**
+ * PlaylistManager tests
+ * Plays a queue of decoded buffers through AudioEngine on a fake audio context
+ * Location: tests/core/PlaylistManager.test.mjs
+ */
+
+import { jest } from '@jest/globals';
+import { PlaylistManager } from '../../src/core/PlaylistManager.js';
+import { AudioEngine } from '../../src/core/AudioEngine.js';
+import { SeededRandom } from '../../src/utils/SeededRandom.js';
+import { FakeAudioContext } from '../fixtures/FakeAudioContext.mjs';
+
+// Queued transitions are set up after the next file is "decoded"
+const settle = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('PlaylistManager', () => {
+    let context;
+    let engine;
+    let playlist;
+    let changes;
+    
+    /**
+     * Playlist over four decoded tracks of 10, 20, 30 and 40 seconds
+     */
+    function createPlaylist(options = {}) {
+        playlist = new PlaylistManager({ audioEngine: engine, random: new SeededRandom(7), ...options });
+        playlist.addTracks(['a', 'b', 'c', 'd'].map((name, i) => ({
+            name,
+            audioBuffer: context.createTestBuffer(10 * (i + 1))
+        })));
+        playlist.on('trackChanged', event => changes.push(event.track.name));
+        return playlist;
+    }
+    
+    const names = () => playlist.order.map(id => playlist.getTrack(id).name);
+    
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        
+        context = new FakeAudioContext();
+        engine = new AudioEngine();
+        engine.audioContext = context;
+        engine.createAudioNodes();
+        changes = [];
+    });
+    
+    afterEach(() => {
+        playlist.dispose();
+        jest.restoreAllMocks();
+    });
+    
+    describe('order and repeat', () => {
+        test('plays in queue order and ends after the last track', async () => {
+            createPlaylist({ gapless: false });
+            const ended = jest.fn();
+            playlist.on('playlistEnded', ended);
+            
+            await playlist.play(0);
+            for (let i = 0; i < 3; i++) {
+                await playlist.next();
+            }
+            expect(changes).toEqual(['a', 'b', 'c', 'd']);
+            
+            await playlist.next();
+            expect(ended).toHaveBeenCalledWith({ track: playlist.getCurrentTrack() });
+            expect(playlist.getCurrentTrack().name).toBe('d');
+        });
+        
+        test('repeat all wraps around and repeat one stays on the track', async () => {
+            createPlaylist({ gapless: false, repeat: 'all' });
+            
+            await playlist.play(3);
+            expect(playlist.getNextTrack().name).toBe('a');
+            expect(playlist.getPreviousTrack().name).toBe('c');
+            
+            playlist.setRepeat('one');
+            expect(playlist.getNextTrack().name).toBe('d');
+            
+            expect(() => playlist.setRepeat('sometimes')).toThrow('Unknown repeat mode: sometimes');
+        });
+        
+        test('moving a track changes the play order', () => {
+            createPlaylist();
+            const [a] = playlist.getTracks();
+            
+            playlist.moveTrack(a.id, 2);
+            
+            expect(names()).toEqual(['b', 'c', 'a', 'd']);
+        });
+        
+        test('previous restarts the track after its first seconds', async () => {
+            createPlaylist({ gapless: false });
+            await playlist.play(1);
+            
+            context.advance(5);
+            await playlist.previous();
+            expect(playlist.getCurrentTrack().name).toBe('b');
+            expect(engine.getPlaybackTime()).toBe(0);
+            
+            await playlist.previous();
+            expect(playlist.getCurrentTrack().name).toBe('a');
+        });
+    });
+    
+    describe('shuffle', () => {
+        test('shuffles every track once, the same way for the same seed', () => {
+            createPlaylist({ shuffle: true });
+            const first = names();
+            playlist.dispose();
+            
+            createPlaylist({ shuffle: true });
+            
+            expect(names()).toEqual(first);
+            expect(first).not.toEqual(['a', 'b', 'c', 'd']);
+            expect([...first].sort()).toEqual(['a', 'b', 'c', 'd']);
+        });
+        
+        test('turning shuffle on keeps the current track first', async () => {
+            createPlaylist({ gapless: false });
+            await playlist.play(2);
+            
+            playlist.setShuffle(true);
+            expect(names()[0]).toBe('c');
+            expect([...names()].sort()).toEqual(['a', 'b', 'c', 'd']);
+            
+            playlist.setShuffle(false);
+            expect(names()).toEqual(['a', 'b', 'c', 'd']);
+        });
+    });
+    
+    describe('transitions', () => {
+        test('schedules the next track at the end of the current one', async () => {
+            createPlaylist();
+            await playlist.play(0);
+            await settle();
+            
+            const scheduled = engine.scheduledNext;
+            expect(scheduled).toMatchObject({ fileName: 'b', fade: 0 });
+            expect(scheduled.startAt).toBeCloseTo(10, 9);
+            expect(scheduled.source.started).toEqual({ when: scheduled.startAt, offset: 0 });
+            
+            // The engine notices the new track on the first frame after it starts
+            context.advance(10.01);
+            engine.updateTransport();
+            expect(changes).toEqual(['a', 'b']);
+            expect(engine.getPlaybackTime()).toBeCloseTo(0.01, 9);
+            
+            await settle();
+            expect(engine.scheduledNext).toMatchObject({ fileName: 'c' });
+            expect(engine.scheduledNext.startAt).toBeCloseTo(10 + 20, 9);
+        });
+        
+        test('crossfades with equal-power curves', async () => {
+            createPlaylist({ crossfade: 2 });
+            await playlist.play(0);
+            await settle();
+            
+            const outgoing = engine.nodes.sourceGain.gain.events.find(event => event.type === 'curve');
+            const incoming = engine.scheduledNext.gain.gain.events.find(event => event.type === 'curve');
+            
+            expect(engine.scheduledNext.startAt).toBeCloseTo(8, 9);
+            [outgoing, incoming].forEach(curve => expect(curve).toMatchObject({ time: engine.scheduledNext.startAt, duration: 2 }));
+            
+            // Loudness holds through the fade: in^2 + out^2 = 1
+            incoming.curve.forEach((value, i) => {
+                expect(value * value + outgoing.curve[i] * outgoing.curve[i]).toBeCloseTo(1, 5);
+            });
+            expect(incoming.curve[0]).toBeCloseTo(0, 6);
+            expect(outgoing.curve[0]).toBeCloseTo(1, 6);
+        });
+        
+        test('changing settings reschedules the queued transition', async () => {
+            createPlaylist();
+            await playlist.play(0);
+            await settle();
+            
+            playlist.setCrossfade(3);
+            await settle();
+            expect(engine.scheduledNext).toMatchObject({ fileName: 'b', fade: 3 });
+            
+            playlist.setRepeat('one');
+            await settle();
+            expect(engine.scheduledNext).toMatchObject({ fileName: 'a' });
+            
+            playlist.setGapless(false);
+            playlist.setCrossfade(0);
+            await settle();
+            expect(engine.scheduledNext).toBeNull();
+        });
+    });
+});
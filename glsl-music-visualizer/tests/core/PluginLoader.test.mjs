@@ -0,0 +1,145 @@
+/**
+ * PluginLoader tests
+ * Visualizer type collisions between plugins and built-in visualizers
+ * Location: tests/core/PluginLoader.test.mjs
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { jest } from '@jest/globals';
+import { PluginLoader, BUILT_IN_VISUALIZER_TYPES } from '../../src/core/PluginLoader.js';
+import { FileUtils } from '../../src/utils/FileUtils.js';
+
+const PLUGIN_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '../../plugins/example-plugin/');
+const PLUGIN_URL = pathToFileURL(PLUGIN_DIR).href;
+
+/**
+ * Stand-in for VisualizerManager's type registry
+ */
+function createFakeVisualizerManager(types = []) {
+    const visualizerTypes = new Map(types.map(type => [type, { name: type, class: class {}, metadata: {} }]));
+    
+    return {
+        visualizerTypes,
+        currentVisualizer: null,
+        unregistered: [],
+        getAvailableTypes: () => Array.from(visualizerTypes.keys()),
+        registerVisualizerType(name, VisualizerClass, metadata) {
+            visualizerTypes.set(name, { name, class: VisualizerClass, metadata });
+        },
+        unregisterVisualizerType(name) {
+            this.unregistered.push(name);
+            return visualizerTypes.delete(name);
+        }
+    };
+}
+
+/**
+ * Loader wired to fakes, reading plugin files from disk
+ * The entry module is not imported; it exports a placeholder class.
+ * @param {Function} editManifest - Changes applied to the example plugin.json
+ */
+function createLoader(visualizerManager, editManifest = manifest => manifest) {
+    jest.spyOn(FileUtils, 'loadJsonFile').mockImplementation(async url => {
+        const data = JSON.parse(fs.readFileSync(fileURLToPath(url), 'utf-8'));
+        return url.endsWith('plugin.json') ? editManifest(data) : data;
+    });
+    
+    const loader = new PluginLoader();
+    loader.initialize(null, {
+        visualizerManager,
+        materialPresets: {
+            importPreset: presetData => ({ id: presetData.name }),
+            deletePreset: () => true
+        },
+        shaderManager: {}
+    });
+    loader.on('pluginError', () => {});
+    jest.spyOn(loader, 'importEntry').mockResolvedValue({ SpectrumRingsVisualizer: class {} });
+    
+    return loader;
+}
+
+/**
+ * Copy of the example manifest declaring a different visualizer type
+ */
+function withType(type) {
+    return manifest => ({
+        ...manifest,
+        visualizers: manifest.visualizers.map(visualizer => ({ ...visualizer, type }))
+    });
+}
+
+describe('PluginLoader visualizer types', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+    
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+    
+    test('validateManifest rejects built-in visualizer types', () => {
+        const manifest = JSON.parse(fs.readFileSync(path.join(PLUGIN_DIR, 'plugin.json'), 'utf-8'));
+        
+        BUILT_IN_VISUALIZER_TYPES.forEach(type => {
+            const { valid, errors } = PluginLoader.validateManifest(withType(type)(manifest));
+            
+            expect(valid).toBe(false);
+            expect(errors).toContain(`visualizers[0].type is already registered: ${type}`);
+        });
+        
+        expect(PluginLoader.validateManifest(manifest).valid).toBe(true);
+        expect(PluginLoader.validateManifest(manifest, ['spectrum-rings']).valid).toBe(false);
+    });
+    
+    test('registers a new visualizer type', async () => {
+        const manager = createFakeVisualizerManager(['spectrum', 'blob']);
+        const plugin = await createLoader(manager).loadPlugin(PLUGIN_URL);
+        
+        expect(plugin.visualizers).toEqual(['spectrum-rings']);
+        expect(manager.visualizerTypes.get('spectrum-rings').metadata.plugin).toBe('example-plugin');
+    });
+    
+    test('refuses to replace a built-in visualizer and leaves it registered', async () => {
+        const manager = createFakeVisualizerManager(['spectrum', 'blob']);
+        const builtIn = manager.visualizerTypes.get('blob');
+        const loader = createLoader(manager, withType('blob'));
+        
+        await expect(loader.loadPlugin(PLUGIN_URL)).rejects.toThrow('visualizers[0].type is already registered: blob');
+        
+        expect(manager.visualizerTypes.get('blob')).toBe(builtIn);
+        expect(manager.unregistered).toEqual([]);
+        expect(loader.getPlugin('example-plugin')).toBeNull();
+    });
+    
+    test('refuses a type another plugin registered and leaves it with that plugin', async () => {
+        const manager = createFakeVisualizerManager();
+        const loader = createLoader(manager);
+        await loader.loadPlugin(PLUGIN_URL);
+        const owner = manager.visualizerTypes.get('spectrum-rings');
+        
+        const copyLoader = createLoader(manager, manifest => ({ ...manifest, id: 'copy-plugin' }));
+        await expect(copyLoader.loadPlugin(PLUGIN_URL)).rejects.toThrow('already registered: spectrum-rings');
+        
+        expect(manager.visualizerTypes.get('spectrum-rings')).toBe(owner);
+        expect(manager.unregistered).toEqual([]);
+    });
+    
+    test('checks the registry again when a type appears while the entry module is imported', async () => {
+        const manager = createFakeVisualizerManager();
+        const loader = createLoader(manager);
+        loader.importEntry.mockImplementation(async () => {
+            manager.registerVisualizerType('spectrum-rings', class {}, {});
+            return { SpectrumRingsVisualizer: class {} };
+        });
+        
+        await expect(loader.loadPlugin(PLUGIN_URL)).rejects.toThrow('Visualizer type already registered: spectrum-rings');
+        
+        expect(manager.visualizerTypes.has('spectrum-rings')).toBe(true);
+        expect(manager.unregistered).toEqual([]);
+    });
+});
@@ -0,0 +1,410 @@
+/**
+ * PostProcessGraph tests
+ * Edits the pass chain and follows every draw through a stand-in render engine
+ * Location: tests/core/PostProcessGraph.test.mjs
+ *
+ * Programs link with the uniforms their fragment shaders declare; each draw
+ * records its render target, the texture bound to every sampler and the
+ * uniforms uploaded for it.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { jest } from '@jest/globals';
+import { PostProcessGraph } from '../../src/core/PostProcessGraph.js';
+import { shaderManager } from '../../src/core/ShaderManager.js';
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '../..');
+
+/**
+ * Uniform names declared by a shader file
+ */
+function shaderUniforms(shader) {
+    const source = fs.readFileSync(path.join(ROOT, shader), 'utf-8');
+    return [...source.matchAll(/^uniform\s+\w+\s+(\w+);/gm)].map(match => match[1]);
+}
+
+/**
+ * Stand-in WebGL2 context tracking the texture bound to each unit
+ * GL enums resolve to distinct numbers and unlisted calls are no-ops.
+ */
+class PassContext {
+    constructor() {
+        this.enums = new Map();
+        this.reset();
+        
+        return new Proxy(this, {
+            get(target, name) {
+                if (name in target || typeof name !== 'string') return target[name];
+                if (/^[A-Z0-9_]+$/.test(name)) {
+                    if (!target.enums.has(name)) target.enums.set(name, 0x8000 + target.enums.size);
+                    return target.enums.get(name);
+                }
+                return () => ({});
+            }
+        });
+    }
+    
+    reset() {
+        this.unit = 0;
+        this.units = [];
+        this.samplers = {};
+        this.floats = {};
+    }
+    
+    activeTexture(unit) {
+        this.unit = unit - this.TEXTURE0;
+    }
+    
+    bindTexture(target, texture) {
+        this.units[this.unit] = texture;
+    }
+    
+    uniform1i(location, value) {
+        this.samplers[location] = value;
+    }
+    
+    uniform1f(location, value) {
+        this.floats[location] = value;
+    }
+}
+
+/**
+ * Render engine stand-in recording targets and draws
+ */
+function createRenderEngine(gl) {
+    let nextTarget = 1;
+    let uniforms = {};
+    
+    const engine = {
+        viewport: { width: 200, height: 100 },
+        camera: { near: 0.1, far: 100 },
+        postProcessing: { settings: { exposure: 1.2 } },
+        stats: { textureBinds: 0 },
+        currentTarget: null,
+        created: [],
+        disposed: [],
+        draws: [],
+        getTime: () => 2.5,
+        clear() {},
+        createRenderTarget(width, height, options) {
+            const id = nextTarget++;
+            const target = { id, width, height, options, colorTexture: `target${id}` };
+            engine.created.push(target);
+            return target;
+        },
+        disposeRenderTarget(target) {
+            engine.disposed.push(target.id);
+        },
+        setRenderTarget(target) {
+            engine.currentTarget = target;
+        },
+        setUniform(location, value) {
+            uniforms[location] = value;
+        },
+        drawFullscreenQuad(programName) {
+            const inputs = {};
+            Object.entries(gl.samplers).forEach(([sampler, unit]) => {
+                inputs[sampler] = gl.units[unit];
+            });
+            engine.draws.push({
+                program: programName,
+                target: engine.currentTarget ? engine.currentTarget.id : null,
+                inputs,
+                flags: { ...gl.floats },
+                uniforms
+            });
+            gl.reset();
+            uniforms = {};
+        }
+    };
+    
+    return engine;
+}
+
+const SCENE = { colorTexture: 'scene.color', depthTexture: 'scene.depth' };
+
+describe('PostProcessGraph', () => {
+    const previousContextClass = globalThis.WebGL2RenderingContext;
+    let gl;
+    let engine;
+    let graph;
+    let loadShaderProgram;
+    let events;
+    
+    beforeAll(() => {
+        globalThis.WebGL2RenderingContext = PassContext;
+    });
+    
+    afterAll(() => {
+        globalThis.WebGL2RenderingContext = previousContextClass;
+    });
+    
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        
+        // Programs link with the uniforms of their fragment shader
+        loadShaderProgram = jest.spyOn(shaderManager, 'loadShaderProgram').mockImplementation(async (vertex, fragment, defines, programName) => {
+            const locations = new Map(shaderUniforms(fragment).map(name => [name, name]));
+            shaderManager.uniformLocations.set(programName, locations);
+            return {};
+        });
+        jest.spyOn(shaderManager, 'useProgram').mockImplementation(() => {});
+        
+        gl = new PassContext();
+        engine = createRenderEngine(gl);
+        graph = new PostProcessGraph(engine);
+        await graph.initialize(gl);
+        
+        events = [];
+        graph.on('chainChanged', event => events.push(event.passes.map(pass => pass.id)));
+    });
+    
+    afterEach(() => {
+        graph.dispose();
+        Array.from(shaderManager.uniformLocations.keys())
+            .filter(name => name.startsWith('postfx:'))
+            .forEach(name => shaderManager.uniformLocations.delete(name));
+        jest.restoreAllMocks();
+    });
+    
+    const ids = () => graph.getPasses().map(pass => pass.id);
+    
+    test('loads presets and registers new ones', async () => {
+        await graph.loadPreset('bloom');
+        
+        expect(ids()).toEqual(['bright', 'blurH', 'blurV', 'composite']);
+        expect(graph.getStatus()).toMatchObject({ preset: 'bloom' });
+        expect(graph.getStatus().passes.every(pass => pass.compiled)).toBe(true);
+        expect(graph.getPass('bright')).toMatchObject({ scale: 0.5, inputs: { u_texture: 'scene' }, uniforms: { u_knee: 0.5 } });
+        expect(loadShaderProgram).toHaveBeenCalledWith(
+            'src/shaders/fullscreen.vert',
+            'src/shaders/passes/threshold.frag',
+            {},
+            'postfx:src/shaders/passes/threshold.frag'
+        );
+        
+        // Both blur passes share the blur program
+        expect(graph.getPass('blurH').programName).toBe(graph.getPass('blurV').programName);
+        
+        await expect(graph.loadPreset('glow')).rejects.toThrow('Unknown post-processing preset: glow');
+        expect(graph.getStatus().preset).toBe('bloom');
+        
+        // Replacing the chain releases the old passes' targets
+        graph.render(SCENE);
+        const bloomTargets = engine.created.map(target => target.id);
+        expect(bloomTargets).toHaveLength(3);
+        
+        graph.registerPreset('warm', [
+            { type: 'composite', uniforms: { u_saturation: 1.3 } },
+            { id: 'broken', shader: 'src/shaders/passes/missing.frag' }
+        ]);
+        expect(graph.getPresetNames()).toEqual(['default', 'bloom', 'trails', 'atmosphere', 'warm']);
+        
+        // The missing shader fails to load
+        const errors = [];
+        graph.on('passError', event => errors.push(event.id));
+        await graph.loadPreset('warm');
+        
+        expect(engine.disposed).toEqual(bloomTargets);
+        expect(graph.getStatus()).toEqual({
+            preset: 'warm',
+            passes: [
+                { id: 'composite_1', type: 'composite', enabled: true, compiled: true, scale: 1 },
+                { id: 'broken', type: 'custom', enabled: true, compiled: false, scale: 1 }
+            ]
+        });
+        expect(errors).toEqual(['broken']);
+        expect(events).toEqual([['bright', 'blurH', 'blurV', 'composite'], ['composite_1', 'broken']]);
+        
+        // The pass that failed to compile is skipped, so the composite presents
+        engine.draws = [];
+        graph.render(SCENE);
+        expect(engine.draws).toEqual([expect.objectContaining({ program: 'postfx:src/shaders/postprocess.frag', target: null })]);
+        expect(engine.draws[0].uniforms).toMatchObject({ u_saturation: 1.3, u_exposure: 1.2 });
+        expect(engine.draws[0].flags).toMatchObject({ u_time: 2.5, u_bloomTextureEnabled: 0 });
+    });
+    
+    test('adds, removes, moves and disables passes', async () => {
+        await graph.loadPreset('default');
+        
+        const bright = await graph.addPass({ type: 'threshold' }, 0);
+        await graph.addPass({ id: 'blur', type: 'blurHorizontal', scale: 0 });
+        expect(bright.id).toBe('threshold_1');
+        expect(ids()).toEqual(['threshold_1', 'composite', 'blur']);
+        expect(graph.getPass('blur').scale).toBe(0.05);
+        expect(graph.getStatus().preset).toBeNull();
+        
+        await expect(graph.addPass({ id: 'blur', type: 'copy' })).rejects.toThrow('Post-processing pass already exists: blur');
+        await expect(graph.addPass({ id: 'custom' })).rejects.toThrow('Post-processing pass "custom" has no shader');
+        
+        graph.movePass('blur', 0);
+        graph.movePass('composite', 10);
+        expect(ids()).toEqual(['blur', 'threshold_1', 'composite']);
+        
+        // A disabled pass is skipped and its input forwarded
+        graph.setPassEnabled('threshold_1', false);
+        expect(graph.getStatus().passes.map(pass => pass.enabled)).toEqual([true, false, true]);
+        
+        graph.render(SCENE);
+        expect(engine.draws.map(draw => draw.program)).toEqual([
+            'postfx:src/shaders/passes/blur.frag',
+            'postfx:src/shaders/postprocess.frag'
+        ]);
+        expect(engine.draws[1].inputs.u_texture).toBe(engine.created[0].colorTexture);
+        
+        // Removing a pass releases its target
+        expect(graph.removePass('blur')).toBe(true);
+        expect(graph.removePass('blur')).toBe(false);
+        expect(engine.disposed).toEqual([engine.created[0].id]);
+        expect(ids()).toEqual(['threshold_1', 'composite']);
+        
+        expect(events).toEqual([
+            ['composite'],
+            ['threshold_1', 'composite'],
+            ['threshold_1', 'composite', 'blur'],
+            ['blur', 'threshold_1', 'composite'],
+            ['blur', 'threshold_1', 'composite'],
+            ['blur', 'threshold_1', 'composite'],
+            ['threshold_1', 'composite']
+        ]);
+    });
+    
+    test('binds the scene, depth, previous output and pass outputs to sampler inputs', async () => {
+        await graph.setChain([
+            { id: 'bright', type: 'threshold', inputs: { u_texture: 'scene' } },
+            { id: 'fog', type: 'fog' },
+            { id: 'composite', type: 'composite', inputs: { u_texture: 'bright', u_bloomTexture: 'tail' } },
+            { id: 'tail', type: 'copy' }
+        ]);
+        
+        graph.render(SCENE);
+        const [brightTarget, fogTarget, compositeTarget] = engine.created;
+        expect(engine.created.map(target => [target.width, target.height])).toEqual([[100, 50], [200, 100], [200, 100]]);
+        
+        const [bright, fog, composite, tail] = engine.draws;
+        expect(bright).toMatchObject({ target: brightTarget.id, inputs: { u_texture: 'scene.color' } });
+        expect(bright.uniforms).toMatchObject({ u_knee: 0.5 });
+        expect(fog).toMatchObject({
+            target: fogTarget.id,
+            inputs: { u_texture: brightTarget.colorTexture, u_depthTexture: 'scene.depth' },
+            flags: { u_depthTextureEnabled: 1, u_near: 0.1, u_far: 100 }
+        });
+        
+        // Passes later in the chain have not run yet: their input is the previous output
+        expect(composite).toMatchObject({
+            target: compositeTarget.id,
+            inputs: { u_texture: brightTarget.colorTexture, u_bloomTexture: fogTarget.colorTexture },
+            flags: { u_bloomTextureEnabled: 1 }
+        });
+        
+        // The last pass draws to the screen
+        expect(tail).toMatchObject({ target: null, inputs: { u_texture: compositeTarget.colorTexture } });
+        expect(engine.created).toHaveLength(3);
+        
+        // Without scene depth the depth sampler is unbound and flagged off
+        engine.draws = [];
+        graph.render({ colorTexture: 'scene.color' });
+        expect(engine.draws[1].inputs.u_depthTexture).toBeNull();
+        expect(engine.draws[1].flags.u_depthTextureEnabled).toBe(0);
+        
+        // A disabled pass forwards its input
+        graph.setPassEnabled('fog', false);
+        engine.draws = [];
+        graph.render(SCENE);
+        expect(engine.draws.map(draw => draw.program)).toEqual([
+            'postfx:src/shaders/passes/threshold.frag',
+            'postfx:src/shaders/postprocess.frag',
+            'postfx:src/shaders/passes/copy.frag'
+        ]);
+        expect(engine.draws[1].inputs).toEqual({ u_texture: brightTarget.colorTexture, u_bloomTexture: brightTarget.colorTexture });
+        
+        // Once the referenced pass runs earlier, its output is bound
+        graph.movePass('tail', 0);
+        engine.draws = [];
+        graph.render(SCENE);
+        const tailTarget = engine.created[3];
+        expect(engine.draws[0]).toMatchObject({ target: tailTarget.id, inputs: { u_texture: 'scene.color' } });
+        expect(engine.draws[2]).toMatchObject({
+            target: null,
+            inputs: { u_texture: brightTarget.colorTexture, u_bloomTexture: tailTarget.colorTexture }
+        });
+    });
+    
+    test('reads the previous frame from the history target and swaps it every frame', async () => {
+        await graph.loadPreset('trails');
+        
+        graph.render(SCENE);
+        const [first, second] = engine.created;
+        expect(engine.created).toHaveLength(2);
+        expect(engine.draws[0]).toMatchObject({
+            target: first.id,
+            inputs: { u_texture: 'scene.color', u_historyTexture: second.colorTexture }
+        });
+        expect(engine.draws[1]).toMatchObject({ target: null, inputs: { u_texture: first.colorTexture } });
+        expect(graph.getPass('trails')).toMatchObject({ target: second, historyTarget: first });
+        
+        engine.draws = [];
+        graph.render(SCENE);
+        expect(engine.draws[0]).toMatchObject({
+            target: second.id,
+            inputs: { u_texture: 'scene.color', u_historyTexture: first.colorTexture }
+        });
+        expect(engine.draws[1].inputs.u_texture).toBe(second.colorTexture);
+        expect(graph.getPass('trails')).toMatchObject({ target: first, historyTarget: second });
+        
+        // A chain ending in a history pass is presented with the copy program
+        graph.removePass('composite');
+        engine.draws = [];
+        graph.render(SCENE);
+        expect(engine.draws.map(draw => [draw.program, draw.target])).toEqual([
+            ['postfx:src/shaders/passes/feedback.frag', first.id],
+            ['postfx:src/shaders/passes/copy.frag', null]
+        ]);
+        expect(engine.draws[1].inputs.u_texture).toBe(first.colorTexture);
+        expect(engine.created).toHaveLength(2);
+    });
+    
+    test('smooths audio-bound uniforms and adds them to the static values', async () => {
+        await graph.loadPreset('trails');
+        const feedbackUniforms = () => engine.draws.find(draw => draw.program.endsWith('feedback.frag')).uniforms;
+        
+        // The first frame starts at the target: energy * amount
+        graph.update({ energy: 1 });
+        expect(graph.getPass('trails').audioValues.u_feedback).toBeCloseTo(0.1, 9);
+        
+        // Then each frame keeps `smoothing` of the previous value
+        graph.update({ energy: 0 });
+        expect(graph.getPass('trails').audioValues.u_feedback).toBeCloseTo(0.08, 9);
+        
+        graph.render(SCENE);
+        expect(feedbackUniforms().u_feedback).toBeCloseTo(0.93, 9);
+        expect(feedbackUniforms().u_zoom).toBe(1.01);
+        
+        // Booleans count as 0 or 1; bindings default to no smoothing
+        graph.setAudioBinding('trails', 'u_zoom', { feature: 'beat', amount: 0.5 });
+        graph.update({ energy: 0, beat: true });
+        engine.draws = [];
+        graph.render(SCENE);
+        expect(feedbackUniforms().u_feedback).toBeCloseTo(0.914, 9);
+        expect(feedbackUniforms().u_zoom).toBeCloseTo(1.51, 9);
+        
+        // Silence reads as zero features
+        graph.update(null);
+        expect(graph.getPass('trails').audioValues.u_zoom).toBe(0);
+        
+        graph.setAudioBinding('trails', 'u_zoom', null);
+        graph.setPassUniform('trails', 'u_rotation', 0.25);
+        engine.draws = [];
+        graph.render(SCENE);
+        expect(graph.getPasses()[0].audio).toEqual({ u_feedback: { feature: 'energy', amount: 0.1, smoothing: 0.8 } });
+        expect(feedbackUniforms()).toMatchObject({ u_zoom: 1.01, u_rotation: 0.25 });
+        
+        // Passes restart from the target once their targets are dropped
+        graph.resize();
+        graph.update({ energy: 0.5 });
+        expect(graph.getPass('trails').audioValues.u_feedback).toBeCloseTo(0.05, 9);
+    });
+});
@@ -0,0 +1,238 @@
+/**
+ * VisualizerManager tests
+ * Switches between the built-in visualizers over a stand-in WebGL context
+ * Location: tests/core/VisualizerManager.test.mjs
+ *
+ * Every draw records its program and the u_transitionAlpha it was given.
+ */
+
+import { jest } from '@jest/globals';
+import { VisualizerManager } from '../../src/core/VisualizerManager.js';
+import { SpectrumVisualizer } from '../../src/visualizers/spectrum/SpectrumVisualizer.js';
+import { WaveformVisualizer } from '../../src/visualizers/waveform/WaveformVisualizer.js';
+import { ParticleFieldVisualizer } from '../../src/visualizers/particles/ParticleFieldVisualizer.js';
+import { RandomService } from '../../src/utils/RandomService.js';
+
+const FRAME = 0.1;
+
+/**
+ * Stand-in WebGL context recording deleted resources and array draws
+ * GL enums resolve to distinct numbers and unlisted calls are no-ops.
+ */
+class DrawContext {
+    constructor(onDraw) {
+        this.enums = new Map();
+        this.deleted = [];
+        this.onDraw = onDraw;
+        
+        return new Proxy(this, {
+            get(target, name) {
+                if (name in target || typeof name !== 'string') return target[name];
+                if (/^[A-Z0-9_]+$/.test(name)) {
+                    if (!target.enums.has(name)) target.enums.set(name, 0x8000 + target.enums.size);
+                    return target.enums.get(name);
+                }
+                return () => ({});
+            }
+        });
+    }
+    
+    createTexture() {
+        return { kind: 'texture' };
+    }
+    
+    createBuffer() {
+        return { kind: 'buffer' };
+    }
+    
+    deleteTexture(texture) {
+        this.deleted.push(texture);
+    }
+    
+    deleteBuffer(buffer) {
+        this.deleted.push(buffer);
+    }
+    
+    drawArrays() {
+        this.onDraw();
+    }
+}
+
+/**
+ * One frame of audio with a spectrum and a sine trace
+ */
+function createAudioData(time) {
+    return {
+        time,
+        energy: 0.6,
+        bass: 0.5,
+        mid: 0.4,
+        treble: 0.3,
+        beat: false,
+        sampleRate: 44100,
+        frequencyData: Uint8Array.from({ length: 1024 }, (_, i) => 255 - (i % 256)),
+        timeData: Float32Array.from({ length: 2048 }, (_, i) => Math.sin(i / 20))
+    };
+}
+
+describe('VisualizerManager with the built-in visualizers', () => {
+    const originalWindow = globalThis.window;
+    let manager;
+    let integrations;
+    let gl;
+    let draws;
+    let time;
+    
+    beforeAll(() => {
+        globalThis.window = new EventTarget();
+    });
+    
+    afterAll(() => {
+        globalThis.window = originalWindow;
+    });
+    
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        
+        // Uniform locations are their names; each draw takes the uploads since the last one
+        draws = [];
+        let program = null;
+        let uniforms = {};
+        const draw = () => {
+            draws.push({ program, alpha: uniforms.u_transitionAlpha });
+            uniforms = {};
+        };
+        
+        gl = new DrawContext(draw);
+        integrations = {
+            renderEngine: {
+                gl,
+                setUniform: (location, value) => { uniforms[location] = value; },
+                drawFullscreenQuad: draw
+            },
+            shaderManager: {
+                loadShaderProgram: jest.fn(async () => ({})),
+                useProgram: (name) => { program = name; },
+                getUniformLocation: (programName, name) => name,
+                getAttributeLocation: () => 0
+            },
+            random: new RandomService(5)
+        };
+        
+        manager = new VisualizerManager({
+            enableAutoSwitch: false,
+            enablePerformanceMonitoring: false,
+            enablePreloading: false,
+            transitionDuration: 400,
+            maxPreloadedVisualizers: 1
+        });
+        await manager.initialize(integrations, { width: 320, height: 180 });
+        time = 0;
+    });
+    
+    afterEach(() => {
+        manager.visualizers.forEach(visualizer => visualizer.dispose());
+        jest.restoreAllMocks();
+    });
+    
+    function runFrame() {
+        time += FRAME;
+        manager.update(FRAME, createAudioData(time));
+        manager.render(FRAME, {});
+    }
+    
+    const alphas = (program) => draws.filter(draw => draw.program === program).map(draw => draw.alpha);
+    
+    test('registers the spectrum, waveform and particle-field visualizers', async () => {
+        expect(manager.getAvailableTypes()).toEqual(['spectrum', 'waveform', 'particle-field']);
+        expect(manager.getTypeMetadata('waveform')).toMatchObject({ name: 'Oscilloscope', category: 'waveform' });
+        
+        const classes = { spectrum: SpectrumVisualizer, waveform: WaveformVisualizer, 'particle-field': ParticleFieldVisualizer };
+        
+        for (const [type, VisualizerClass] of Object.entries(classes)) {
+            await manager.switchVisualizer(type, { immediate: true });
+            runFrame();
+            
+            const visualizer = manager.currentVisualizer;
+            expect(visualizer).toBeInstanceOf(VisualizerClass);
+            expect(visualizer.type).toBe(type);
+            expect(draws.pop()).toEqual({ program: `visualizer:${type}`, alpha: 1 });
+        }
+        
+        expect(integrations.shaderManager.loadShaderProgram.mock.calls.map(call => call.slice(1))).toEqual([
+            ['src/shaders/visualizers/spectrum.frag', {}, 'visualizer:spectrum'],
+            ['src/shaders/visualizers/waveform.frag', {}, 'visualizer:waveform'],
+            ['src/shaders/ui/particles.frag', {}, 'visualizer:particle-field']
+        ]);
+    });
+    
+    test('auto-switches to another type with a fade, then resets the alpha of both', async () => {
+        await manager.switchVisualizer('spectrum', { immediate: true });
+        const spectrum = manager.currentVisualizer;
+        
+        // Last of the other types: particle-field
+        jest.spyOn(manager, 'nextRandom').mockReturnValueOnce(0.99);
+        await manager.autoSwitchToRandomVisualizer();
+        const particles = manager.currentVisualizer;
+        
+        expect(particles.type).toBe('particle-field');
+        expect(manager.previousVisualizer).toBe(spectrum);
+        expect(manager.isTransitioning).toBe(true);
+        
+        // The 400 ms fade cross-fades both visualizers, then completes on the fourth update
+        for (let i = 0; i < 4; i++) runFrame();
+        
+        expect(alphas('visualizer:spectrum')).toEqual([0.75, 0.5, 0.25]);
+        expect(alphas('visualizer:particle-field')).toEqual([0.25, 0.5, 0.75, 1]);
+        expect(manager.isTransitioning).toBe(false);
+        expect(manager.previousVisualizer).toBeNull();
+        
+        // The previous visualizer is deactivated and kept for a quick switch back
+        expect(spectrum.state.isActive).toBe(false);
+        expect(Array.from(manager.activeVisualizers.values())).toEqual([particles]);
+        expect(manager.preloadedVisualizers.get('spectrum')).toBe(spectrum);
+        
+        // Switching back shows it at full opacity
+        draws = [];
+        await manager.switchVisualizer('spectrum', { immediate: true });
+        runFrame();
+        expect(manager.currentVisualizer).toBe(spectrum);
+        expect(draws).toEqual([{ program: 'visualizer:spectrum', alpha: 1 }]);
+    });
+    
+    test('cleans up the previous visualizer on an immediate switch', async () => {
+        await manager.switchVisualizer('spectrum', { immediate: true });
+        const spectrum = manager.currentVisualizer;
+        const disposeSpectrum = jest.spyOn(spectrum, 'dispose');
+        const spectrumTextures = Object.values(spectrum.textures);
+        
+        await manager.switchVisualizer('waveform', { immediate: true });
+        const waveform = manager.currentVisualizer;
+        
+        expect(spectrum.state.isActive).toBe(false);
+        expect(Array.from(manager.activeVisualizers.values())).toEqual([waveform]);
+        expect(manager.preloadedVisualizers.get('spectrum')).toBe(spectrum);
+        expect(disposeSpectrum).not.toHaveBeenCalled();
+        
+        // With the preload slot taken, the next one replaced is disposed
+        await manager.switchVisualizer('particle-field', { immediate: true });
+        const particles = manager.currentVisualizer;
+        
+        expect(Array.from(manager.activeVisualizers.values())).toEqual([particles]);
+        expect(manager.visualizers.has(waveform.id)).toBe(false);
+        expect(waveform.state.isInitialized).toBe(false);
+        expect(gl.deleted).toEqual([expect.objectContaining({ kind: 'buffer' })]);
+        
+        // The preloaded spectrum is reused, and the particle field released with its simulation
+        await manager.switchVisualizer('spectrum', { immediate: true });
+        expect(manager.currentVisualizer).toBe(spectrum);
+        expect(manager.preloadedVisualizers.get('particle-field')).toBe(particles);
+        
+        await manager.switchVisualizer('waveform', { immediate: true });
+        expect(disposeSpectrum).toHaveBeenCalledTimes(1);
+        expect(gl.deleted.slice(1)).toEqual(spectrumTextures);
+        expect(Array.from(manager.activeVisualizers.values())).toEqual([manager.currentVisualizer]);
+        expect(manager.statistics.visualizerSwitches).toBe(5);
+    });
+});
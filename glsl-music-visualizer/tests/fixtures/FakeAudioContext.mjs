@@ -0,0 +1,258 @@
+/**
+ * Fake Web Audio context for headless tests
+ * Location: tests/fixtures/FakeAudioContext.mjs
+ *
+ * Nodes record their connections, so tests can ask whether one node reaches
+ * another, and carry a level instead of samples: a node's level is the sum of
+ * its inputs, scaled by a gain node's gain. Analysers report a sine at that
+ * level. Sources play at `level` while started and not stopped. Time only moves
+ * when a test calls advance(); scheduled parameter changes are recorded, not run.
+ */
+
+// Frequency of the sine analysers report
+export const TEST_TONE = 1000;
+
+export class FakeAudioParam {
+    constructor(value = 0) {
+        this.value = value;
+        this.events = [];
+    }
+    
+    setValueAtTime(value, time) {
+        this.events.push({ type: 'set', value, time });
+        this.value = value;
+    }
+    
+    setTargetAtTime(value, time) {
+        this.events.push({ type: 'target', value, time });
+        this.value = value;
+    }
+    
+    linearRampToValueAtTime(value, time) {
+        this.events.push({ type: 'ramp', value, time });
+        this.value = value;
+    }
+    
+    setValueCurveAtTime(curve, time, duration) {
+        this.events.push({ type: 'curve', curve: Array.from(curve), time, duration });
+    }
+    
+    cancelScheduledValues() {
+        this.events = [];
+    }
+}
+
+export class FakeAudioNode {
+    constructor(context) {
+        this.context = context;
+        this.outputs = [];
+        this.inputs = [];
+    }
+    
+    connect(destination) {
+        if (destination instanceof FakeAudioNode) {
+            this.outputs.push(destination);
+            destination.inputs.push(this);
+        }
+        return destination;
+    }
+    
+    disconnect(destination) {
+        const targets = destination ? this.outputs.filter(node => node === destination) : this.outputs.slice();
+        targets.forEach(node => {
+            this.outputs.splice(this.outputs.indexOf(node), 1);
+            node.inputs.splice(node.inputs.indexOf(this), 1);
+        });
+    }
+    
+    /**
+     * Whether a signal path leads from this node to another
+     */
+    reaches(node, visited = new Set()) {
+        if (this === node) return true;
+        if (visited.has(this)) return false;
+        visited.add(this);
+        return this.outputs.some(output => output.reaches(node, visited));
+    }
+    
+    get level() {
+        return this.inputs.reduce((sum, input) => sum + input.level, 0);
+    }
+}
+
+export class FakeGainNode extends FakeAudioNode {
+    constructor(context) {
+        super(context);
+        this.gain = new FakeAudioParam(1);
+    }
+    
+    get level() {
+        return super.level * this.gain.value;
+    }
+}
+
+export class FakeAnalyserNode extends FakeAudioNode {
+    constructor(context) {
+        super(context);
+        this.fftSize = 2048;
+        this.smoothingTimeConstant = 0.8;
+        this.minDecibels = -100;
+        this.maxDecibels = -30;
+    }
+    
+    get frequencyBinCount() {
+        return this.fftSize / 2;
+    }
+    
+    getFloatTimeDomainData(array) {
+        const level = this.level;
+        const step = 2 * Math.PI * TEST_TONE / this.context.sampleRate;
+        for (let i = 0; i < array.length; i++) {
+            array[i] = level * Math.sin(step * i);
+        }
+    }
+    
+    getFloatFrequencyData(array) {
+        const level = this.level;
+        const bin = Math.round(TEST_TONE / (this.context.sampleRate / 2) * array.length);
+        array.fill(this.minDecibels);
+        if (level > 0 && bin < array.length) {
+            array[bin] = Math.max(this.minDecibels, 20 * Math.log10(level));
+        }
+    }
+}
+
+/**
+ * Constant-level source, standing in for a microphone or an oscillator
+ */
+export class FakeSourceNode extends FakeAudioNode {
+    constructor(context, level = 0.5) {
+        super(context);
+        this.sourceLevel = level;
+    }
+    
+    get level() {
+        return this.sourceLevel;
+    }
+}
+
+export class FakeBufferSourceNode extends FakeAudioNode {
+    constructor(context) {
+        super(context);
+        this.buffer = null;
+        this.playbackRate = new FakeAudioParam(1);
+        this.loop = false;
+        this.loopStart = 0;
+        this.loopEnd = 0;
+        this.onended = null;
+        this.started = null;
+        this.stopped = null;
+    }
+    
+    start(when = 0, offset = 0) {
+        if (this.started) {
+            throw new Error('InvalidStateError: start called twice');
+        }
+        this.started = { when, offset };
+        this.context.startedSources.push(this);
+    }
+    
+    stop(when = 0) {
+        if (!this.started) {
+            throw new Error('InvalidStateError: stop before start');
+        }
+        this.stopped = { when };
+    }
+    
+    /**
+     * Play out: the source stops and its onended handler runs
+     */
+    end() {
+        this.stopped = this.stopped || { when: this.context.currentTime };
+        if (this.onended) this.onended();
+    }
+    
+    get level() {
+        const now = this.context.currentTime;
+        const playing = this.started && this.started.when <= now && (!this.stopped || this.stopped.when > now);
+        return playing && this.buffer ? this.buffer.level : 0;
+    }
+}
+
+export class FakeAudioBuffer {
+    constructor({ length, sampleRate = 44100, numberOfChannels = 1, level = 0.5 }) {
+        this.length = length;
+        this.sampleRate = sampleRate;
+        this.numberOfChannels = numberOfChannels;
+        this.level = level;
+        this.channels = Array.from({ length: numberOfChannels }, () => new Float32Array(length));
+    }
+    
+    get duration() {
+        return this.length / this.sampleRate;
+    }
+    
+    getChannelData(channel) {
+        return this.channels[channel];
+    }
+}
+
+export class FakeAudioContext {
+    constructor(options = {}) {
+        this.sampleRate = options.sampleRate || 44100;
+        this.currentTime = 0;
+        this.state = 'running';
+        this.destination = new FakeAudioNode(this);
+        this.startedSources = [];
+    }
+    
+    /**
+     * Move the context clock forward
+     */
+    advance(seconds) {
+        this.currentTime += seconds;
+    }
+    
+    async resume() {
+        this.state = 'running';
+    }
+    
+    createGain() {
+        return new FakeGainNode(this);
+    }
+    
+    createAnalyser() {
+        return new FakeAnalyserNode(this);
+    }
+    
+    createBufferSource() {
+        return new FakeBufferSourceNode(this);
+    }
+    
+    createDynamicsCompressor() {
+        const node = new FakeAudioNode(this);
+        ['threshold', 'knee', 'ratio', 'attack', 'release'].forEach(name => {
+            node[name] = new FakeAudioParam();
+        });
+        return node;
+    }
+    
+    createMediaStreamSource() {
+        return new FakeSourceNode(this);
+    }
+    
+    createMediaElementSource() {
+        return new FakeSourceNode(this);
+    }
+    
+    createBuffer(numberOfChannels, length, sampleRate) {
+        return new FakeAudioBuffer({ numberOfChannels, length, sampleRate });
+    }
+    
+    /**
+     * Buffer of a given duration in seconds, playing at a given level
+     */
+    createTestBuffer(seconds, level = 0.5) {
+        return new FakeAudioBuffer({ length: Math.round(seconds * this.sampleRate), sampleRate: this.sampleRate, level });
+    }
+}
@@ -0,0 +1,17 @@
+/**
+ * Line ending fixture
+ * Declarations with trailing comments, saved with CRLF line endings
+ */
+
+precision mediump float;
+
+uniform float u_time;        // Seconds since start
+uniform vec2 u_resolution;    // Canvas size in pixels
+varying vec2 v_uv;            // Interpolated texture coordinates
+
+const float PI = 3.14159265; // Half turn
+
+void main() {
+    float ring = sin(length(v_uv - 0.5) * 20.0 - u_time * PI);
+    gl_FragColor = vec4(vec3(ring), 1.0);
+}
@@ -0,0 +1,122 @@
+/**
+ * MaterialPresets tests
+ * Seeded preset variations and random stream persistence
+ * Location: tests/materials/MaterialPresets.test.mjs
+ */
+
+import { jest } from '@jest/globals';
+import { MaterialPresets } from '../../src/materials/MaterialPresets.js';
+import { RandomService } from '../../src/utils/RandomService.js';
+import { FileUtils } from '../../src/utils/FileUtils.js';
+
+/**
+ * Preset library drawing variation seeds from a seeded service
+ */
+function createPresets(seed) {
+    const random = new RandomService(seed);
+    const presets = new MaterialPresets();
+    presets.setRandomSource(random.getStream('materials'));
+    return { presets, random };
+}
+
+/**
+ * Variation properties without the per-call bookkeeping
+ */
+function variationProperties(variation) {
+    const { physical, optical, thermal, seed } = variation;
+    return { physical, optical, thermal, seed };
+}
+
+describe('MaterialPresets.createRandomVariation', () => {
+    test('recreates a variation exactly from its seed', () => {
+        const first = new MaterialPresets().createRandomVariation('water_pure', 0.3, { seed: 1234 });
+        const second = new MaterialPresets().createRandomVariation('water_pure', 0.3, { seed: 1234 });
+        
+        expect(variationProperties(second)).toEqual(variationProperties(first));
+        expect(second.id).toBe(first.id);
+        expect(first.id).toBe('water_pure_variation_1234');
+    });
+    
+    test('different seeds give different variations', () => {
+        const presets = new MaterialPresets();
+        const a = presets.createRandomVariation('water_pure', 0.3, { seed: 1 });
+        const b = presets.createRandomVariation('water_pure', 0.3, { seed: 2 });
+        
+        expect(b.physical).not.toEqual(a.physical);
+    });
+    
+    test('the same run seed produces the same variation sequence', () => {
+        const runA = createPresets(42).presets;
+        const runB = createPresets(42).presets;
+        
+        for (let i = 0; i < 3; i++) {
+            expect(variationProperties(runB.createRandomVariation('water_pure', 0.2)))
+                .toEqual(variationProperties(runA.createRandomVariation('water_pure', 0.2)));
+        }
+    });
+});
+
+describe('random stream persistence', () => {
+    test('RandomService state restores the seed and stream positions', () => {
+        const random = new RandomService('session');
+        random.getStream('materials').next();
+        random.getStream('materials').next();
+        const state = random.getState();
+        const expected = [random.getStream('materials').next(), random.next()];
+        
+        const restored = new RandomService(7);
+        restored.setState(JSON.parse(JSON.stringify(state)));
+        
+        expect(restored.getSeed()).toBe('session');
+        expect([restored.getStream('materials').next(), restored.next()]).toEqual(expected);
+    });
+    
+    test('importing a preset keeps its random state without touching the variation stream', () => {
+        const saving = createPresets(42).presets;
+        saving.createRandomVariation('water_pure', 0.2);
+        const exported = saving.exportPreset('oil_viscous');
+        
+        const loading = createPresets(99).presets;
+        const reference = createPresets(99).presets;
+        const imported = loading.importPreset(exported, { type: 'community' });
+        
+        expect(imported.randomState).toEqual(JSON.parse(exported).randomState);
+        expect(variationProperties(loading.createRandomVariation('water_pure', 0.2)))
+            .toEqual(variationProperties(reference.createRandomVariation('water_pure', 0.2)));
+    });
+    
+    test('restoring a session rewinds the variation stream to the exported state', () => {
+        const saving = createPresets(42).presets;
+        saving.createRandomVariation('water_pure', 0.2);
+        const exported = saving.exportPreset('oil_viscous');
+        const expected = saving.createRandomVariation('water_pure', 0.2);
+        
+        const loading = createPresets(99).presets;
+        loading.importPreset(exported, { type: 'community', restoreRandomState: true });
+        
+        expect(variationProperties(loading.createRandomVariation('water_pure', 0.2)))
+            .toEqual(variationProperties(expected));
+    });
+    
+    test('loading a collection leaves the variation stream unless a session restore asks for it', async () => {
+        const saving = createPresets(42).presets;
+        const collection = JSON.parse(saving.exportPresetCollection(['water_pure', 'oil_viscous']));
+        const expected = saving.createRandomVariation('water_pure', 0.2);
+        const loadFile = jest.spyOn(FileUtils, 'loadFile').mockResolvedValue(collection);
+        
+        const plain = createPresets(99).presets;
+        const reference = createPresets(99).presets;
+        const loaded = await plain.loadPresetsFromFile('collection.json');
+        
+        expect(loaded.map(preset => preset.id)).toEqual(['water_pure', 'oil_viscous']);
+        expect(variationProperties(plain.createRandomVariation('water_pure', 0.2)))
+            .toEqual(variationProperties(reference.createRandomVariation('water_pure', 0.2)));
+        
+        const restoring = createPresets(99).presets;
+        await restoring.loadPresetsFromFile('collection.json', 'community', { restoreRandomState: true });
+        loadFile.mockRestore();
+        
+        expect(variationProperties(restoring.createRandomVariation('water_pure', 0.2)))
+            .toEqual(variationProperties(expected));
+    });
+});
@@ -0,0 +1,446 @@
+/**
+ * FluidSimulation CPU/GPU parity tests
+ * Steps the same small grid on the CPU and through shaders/fluid.glsl on a software WebGL2 context
+ * Location: tests/physics/FluidSimulation.parity.test.mjs
+ *
+ * The GPU path always solves diffusion and pressure with Jacobi iterations, so the
+ * CPU side runs the 'jacobi' pressure solver with the same iteration counts.
+ * CPU diffusion stays Gauss-Seidel; at the material viscosity and default
+ * diffusion its alpha is ~1e-5, where the two solvers agree to float precision.
+ *
+ * The context comes from headless-gl (the 'gl' dev dependency). Without a
+ * WebGL2 context that renders to float textures the suite is skipped, unless
+ * REQUIRE_GPU_TESTS is set (`npm run test:gpu`), in which case it fails.
+ *
+ * The GPU step schedule runs everywhere: a recording context checks that the
+ * passes bind every uniform their shaders/fluid.glsl branch reads, in the CPU
+ * step's order, with the CPU step's coefficients.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+import { fileURLToPath } from 'url';
+import { jest } from '@jest/globals';
+import { FluidSimulation } from '../../src/physics/FluidSimulation.js';
+import { FileUtils } from '../../src/utils/FileUtils.js';
+import { webglUtils } from '../../src/utils/WebGLUtils.js';
+import { shaderManager } from '../../src/core/ShaderManager.js';
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '../..');
+
+// Per cell: |cpu - gpu| <= ABSOLUTE_TOLERANCE + RELATIVE_TOLERANCE * |cpu|
+const ABSOLUTE_TOLERANCE = 1e-4;
+const RELATIVE_TOLERANCE = 1e-6;
+
+const STEPS = 5;
+const TIME_STEP = 0.016;
+
+/**
+ * Software WebGL2 context, or null (with the reason) when none can be created
+ */
+function createSoftwareContext() {
+    try {
+        const createGL = createRequire(import.meta.url)('gl');
+        const gl = createGL(1, 1, { createWebGL2Context: true });
+        if (!gl) {
+            return { gl: null, reason: 'headless-gl could not create a WebGL2 context' };
+        }
+        if (!gl.getExtension('EXT_color_buffer_float')) {
+            return { gl: null, reason: 'EXT_color_buffer_float is not supported' };
+        }
+        return { gl, reason: null };
+    } catch (error) {
+        return { gl: null, reason: `headless-gl is unavailable (${error.message})` };
+    }
+}
+
+const { gl, reason } = createSoftwareContext();
+const gpuRequired = Boolean(process.env.REQUIRE_GPU_TESTS);
+
+if (!gl && gpuRequired) {
+    describe('FluidSimulation CPU/GPU parity', () => {
+        test('has a software WebGL2 context', () => {
+            throw new Error(`REQUIRE_GPU_TESTS is set but no context is available: ${reason}`);
+        });
+    });
+} else if (!gl) {
+    console.warn(`Skipping FluidSimulation CPU/GPU parity tests: ${reason}`);
+}
+
+const describeGPU = gl ? describe : describe.skip;
+
+/**
+ * Uniforms each FLUID_PASS branch of the fluid shader reads, helpers included
+ */
+function liveUniforms(source) {
+    const declared = [...source.matchAll(/^uniform\s+\w+\s+(\w+);/gm)].map(match => match[1]);
+    const mainStart = source.indexOf('void main()');
+    const branches = source.slice(mainStart).split(/#(?:el)?if FLUID_PASS == (\d+)/);
+    
+    // Helper bodies by name, for the functions a branch calls
+    const helpers = new Map();
+    for (const match of source.slice(0, mainStart).matchAll(/^\w+ (\w+)\([^)]*\) \{\n([\s\S]*?)^\}/gm)) {
+        helpers.set(match[1], match[2]);
+    }
+    
+    const passes = new Map();
+    for (let i = 1; i < branches.length; i += 2) {
+        const code = [branches[0], branches[i + 1]];
+        for (let j = 0; j < code.length; j++) {
+            helpers.forEach((body, name) => {
+                if (!code.includes(body) && new RegExp(`\\b${name}\\(`).test(code[j])) {
+                    code.push(body);
+                }
+            });
+        }
+        const text = code.join('\n');
+        passes.set(Number(branches[i]), declared.filter(name => new RegExp(`\\b${name}\\b`).test(text)));
+    }
+    return passes;
+}
+
+/**
+ * Stand-in WebGL2 context recording the uniforms set for every draw
+ * GL enums resolve to distinct numbers and unlisted calls are no-ops.
+ */
+class RecordingContext {
+    constructor() {
+        this.draws = [];
+        this.pending = null;
+        this.enums = new Map();
+        
+        return new Proxy(this, {
+            get(target, name) {
+                if (name in target || typeof name !== 'string') return target[name];
+                if (/^[A-Z0-9_]+$/.test(name)) {
+                    if (!target.enums.has(name)) target.enums.set(name, 0x8000 + target.enums.size);
+                    return target.enums.get(name);
+                }
+                return () => ({});
+            }
+        });
+    }
+    
+    getParameter(pname) {
+        if (pname === this.MAX_TEXTURE_SIZE) return 4096;
+        if (pname === this.VIEWPORT) return [0, 0, 1, 1];
+        if (pname === this.COLOR_CLEAR_VALUE) return [0, 0, 0, 0];
+        return null;
+    }
+    
+    isEnabled() {
+        return false;
+    }
+    
+    checkFramebufferStatus() {
+        return this.FRAMEBUFFER_COMPLETE;
+    }
+    
+    begin(program) {
+        this.pending = { program, uniforms: {} };
+    }
+    
+    uniform1i(location) {
+        this.pending.uniforms[location] = 'sampler';
+    }
+    
+    uniform1f(location, value) {
+        this.pending.uniforms[location] = value;
+    }
+    
+    uniform2fv(location, value) {
+        this.pending.uniforms[location] = Array.from(value);
+    }
+    
+    uniform3fv(location, value) {
+        this.pending.uniforms[location] = Array.from(value);
+    }
+    
+    uniform4fv(location, value) {
+        this.pending.uniforms[location] = Array.from(value);
+    }
+    
+    drawArrays() {
+        this.draws.push(this.pending);
+    }
+}
+
+describe('FluidSimulation GPU step schedule', () => {
+    const source = fs.readFileSync(path.join(ROOT, 'src/shaders/fluid.glsl'), 'utf-8').replace(/\r\n/g, '\n');
+    const passUniforms = liveUniforms(source);
+    const previousContextClass = globalThis.WebGL2RenderingContext;
+    const programs = new Map();
+    let spies = [];
+    
+    beforeAll(() => {
+        globalThis.WebGL2RenderingContext = RecordingContext;
+        
+        // Programs "link" with the uniforms their pass reads, like the driver would
+        spies = [
+            jest.spyOn(shaderManager, 'loadShaderProgram').mockImplementation(async (vertex, fragment, defines, name) => {
+                programs.set(name, defines);
+            }),
+            jest.spyOn(shaderManager, 'getUniformLocation').mockImplementation((name, uniform) => {
+                const live = passUniforms.get(programs.get(name).FLUID_PASS);
+                return live.includes(uniform) ? uniform : null;
+            }),
+            jest.spyOn(shaderManager, 'getAttributeLocation').mockReturnValue(-1)
+        ];
+    });
+    
+    afterAll(() => {
+        spies.forEach(spy => spy.mockRestore());
+        globalThis.WebGL2RenderingContext = previousContextClass;
+    });
+    
+    /**
+     * One step through the recording context, and the same step on the CPU
+     */
+    async function stepBoth(dimensions) {
+        const options = {
+            dimensions,
+            gridWidth: 16,
+            gridHeight: 16,
+            gridDepth: dimensions === 2 ? 1 : 8,
+            pressureSolver: 'jacobi',
+            pressureIterations: 12,
+            iterations: 6,
+            seed: 1234,
+            audioReactive: false
+        };
+        
+        const context = new RecordingContext();
+        const gpu = new FluidSimulation(options);
+        const useProgram = jest.spyOn(shaderManager, 'useProgram').mockImplementation(name => context.begin(name));
+        await gpu.initialize(context);
+        expect(gpu.isGPUActive()).toBe(true);
+        gpu.update(TIME_STEP);
+        useProgram.mockRestore();
+        
+        const cpu = new FluidSimulation(options);
+        await cpu.initialize();
+        const diffuseField = jest.spyOn(cpu, 'diffuseField');
+        cpu.update(TIME_STEP);
+        
+        const draws = context.draws.map(draw => ({ ...draw, pass: draw.program.split(':')[1] }));
+        return { gpu, cpu, draws, cpuAlphas: diffuseField.mock.calls.map(call => call[2]) };
+    }
+    
+    test('every pass has a shader branch and compiles in the grid\'s variant', async () => {
+        const { gpu, cpu } = await stepBoth(2);
+        
+        expect([...passUniforms.keys()].sort((a, b) => a - b)).toEqual([1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+        expect(passUniforms.get(2)).toEqual(expect.arrayContaining(['u_boundaries', 'u_field', 'u_source', 'u_alpha']));
+        expect(passUniforms.get(7)).toEqual(expect.arrayContaining(['u_vorticity', 'u_buoyancy', 'u_referenceDensity']));
+        expect(passUniforms.get(7)).not.toContain('u_alpha');
+        
+        programs.forEach((defines, name) => {
+            expect(passUniforms.has(defines.FLUID_PASS)).toBe(true);
+            expect(Boolean(defines.FLUID_2D)).toBe(name.startsWith('fluid2d:'));
+        });
+        
+        gpu.dispose();
+        cpu.dispose();
+    });
+    
+    test.each([3, 2])('%iD passes bind every uniform the shader reads', async dimensions => {
+        const { gpu, cpu, draws } = await stepBoth(dimensions);
+        
+        expect(draws.length).toBeGreaterThan(0);
+        draws.forEach(draw => {
+            const live = passUniforms.get(programs.get(draw.program).FLUID_PASS);
+            const unset = live.filter(name => !(name in draw.uniforms));
+            expect({ pass: draw.pass, unset }).toEqual({ pass: draw.pass, unset: [] });
+        });
+        
+        gpu.dispose();
+        cpu.dispose();
+    });
+    
+    test.each([3, 2])('%iD passes follow the CPU step with its coefficients', async dimensions => {
+        const { gpu, cpu, draws, cpuAlphas } = await stepBoth(dimensions);
+        
+        // Same order as updateCPU, diffusion and pressure iterated as often as on the CPU
+        const order = draws.map(draw => draw.pass).filter((pass, i, passes) => pass !== passes[i - 1]);
+        expect(order).toEqual([
+            'advect', 'diffuse', 'divergence', 'pressure', 'gradient', 'vorticity', 'forces', 'pressureBoundary'
+        ]);
+        const count = pass => draws.filter(draw => draw.pass === pass).length;
+        expect(count('advect')).toBe(2);
+        expect(count('diffuse')).toBe(2 * cpu.iterations);
+        expect(count('pressure')).toBe(cpu.solverStats.iterations);
+        expect(cpu.solverStats.type).toBe('jacobi');
+        
+        const advect = draws.find(draw => draw.pass === 'advect').uniforms;
+        expect(advect.u_timeStep).toBeCloseTo(TIME_STEP, 9);
+        expect(advect.u_cellSize).toBe(cpu.cellSize);
+        
+        // Velocity, density and temperature alphas, in the CPU's call order
+        const diffuse = draws.filter(draw => draw.pass === 'diffuse');
+        const velocityAlpha = diffuse[0].uniforms.u_alpha;
+        const scalarAlpha = diffuse[diffuse.length - 1].uniforms.u_alpha;
+        const velocityComponents = dimensions === 3 ? 3 : 2;
+        expect(cpuAlphas).toHaveLength(velocityComponents + 2);
+        cpuAlphas.slice(0, velocityComponents).forEach(alpha => expect(velocityAlpha[0]).toBeCloseTo(alpha, 9));
+        expect(scalarAlpha[0]).toBeCloseTo(cpuAlphas[velocityComponents], 9);
+        expect(scalarAlpha[1]).toBeCloseTo(cpuAlphas[velocityComponents + 1], 9);
+        
+        // Buoyancy from the forces pass uniforms matches the CPU's at a warm and a dense cell
+        const forces = draws.find(draw => draw.pass === 'forces').uniforms;
+        const warm = cpu.getIndex(8, 8, dimensions === 3 ? 4 : 0);
+        const dense = cpu.getIndex(6, 6, dimensions === 3 ? 4 : 0);
+        cpu.velocity.y.fill(0);
+        cpu.temperature.fill(forces.u_referenceTemperature);
+        cpu.densityField.fill(forces.u_referenceDensity);
+        cpu.temperature[warm] += 5;
+        cpu.densityField[dense] *= 1.5;
+        cpu.applyBuoyancy(TIME_STEP);
+        
+        const expected = index => TIME_STEP * forces.u_buoyancy * (
+            forces.u_thermalExpansion * (cpu.temperature[index] - forces.u_referenceTemperature) -
+            (cpu.densityField[index] - forces.u_referenceDensity) / forces.u_referenceDensity
+        );
+        expect(Math.abs(cpu.velocity.y[warm])).toBeGreaterThan(0);
+        expect(cpu.velocity.y[warm]).toBeCloseTo(expected(warm), 6);
+        expect(cpu.velocity.y[dense]).toBeCloseTo(expected(dense), 6);
+        
+        gpu.dispose();
+        cpu.dispose();
+    });
+});
+
+/**
+ * Largest tolerance violation between two fields (<= 0 when within tolerance)
+ */
+function maxExcess(cpu, gpu) {
+    let excess = -Infinity;
+    for (let i = 0; i < cpu.length; i++) {
+        const allowed = ABSOLUTE_TOLERANCE + RELATIVE_TOLERANCE * Math.abs(cpu[i]);
+        excess = Math.max(excess, Math.abs(cpu[i] - gpu[i]) - allowed);
+    }
+    return excess;
+}
+
+function fieldsOf(simulation) {
+    return {
+        'velocity.x': simulation.velocity.x,
+        'velocity.y': simulation.velocity.y,
+        'velocity.z': simulation.velocity.z,
+        pressure: simulation.pressure,
+        density: simulation.densityField,
+        temperature: simulation.temperature
+    };
+}
+
+describeGPU('FluidSimulation CPU/GPU parity', () => {
+    const previousContextClass = globalThis.WebGL2RenderingContext;
+    let loadTextFile;
+    
+    beforeAll(() => {
+        // initializeGPUCompute checks instanceof WebGL2RenderingContext
+        globalThis.WebGL2RenderingContext = gl.constructor;
+        
+        // headless-gl reports VERTEX_ARRAY_BINDING as a native handle, browsers as the bound object
+        const getParameter = gl.getParameter.bind(gl);
+        gl.getParameter = pname => pname === gl.VERTEX_ARRAY_BINDING
+            ? gl._activeVertexArrayObject || null
+            : getParameter(pname);
+        
+        // Shader sources come from disk instead of XMLHttpRequest
+        loadTextFile = jest.spyOn(FileUtils, 'loadTextFile')
+            .mockImplementation(async file => fs.readFileSync(path.join(ROOT, file), 'utf-8'));
+        
+        webglUtils.initializeExtensions(gl);
+        webglUtils.detectCapabilities(gl);
+        shaderManager.initialize(gl);
+    });
+    
+    afterAll(() => {
+        shaderManager.dispose();
+        loadTextFile.mockRestore();
+        globalThis.WebGL2RenderingContext = previousContextClass;
+        gl.getExtension('STACKGL_destroy_context').destroy();
+    });
+    
+    /**
+     * Step a CPU and a GPU simulation from the same seeded state with the same impulses
+     */
+    async function runBoth(options, cpuOptions = {}) {
+        const shared = {
+            gridWidth: 16,
+            gridHeight: 16,
+            gridDepth: 8,
+            pressureSolver: 'jacobi',
+            pressureIterations: 40,
+            iterations: 20,
+            seed: 1234,
+            audioReactive: false,
+            ...options
+        };
+        
+        const cpu = new FluidSimulation({ ...shared, ...cpuOptions });
+        const gpu = new FluidSimulation(shared);
+        await cpu.initialize();
+        await gpu.initialize(gl);
+        
+        expect(cpu.isGPUActive()).toBe(false);
+        expect(gpu.isGPUActive()).toBe(true);
+        
+        const z = gpu.gridDepth / 2;
+        [cpu, gpu].forEach(simulation => {
+            simulation.addImpulse(8, 8, z, 3, 5, 1, 3);
+            simulation.addDensitySource(6, 10, z, 50, 2);
+        });
+        
+        for (let step = 0; step < STEPS; step++) {
+            cpu.update(TIME_STEP);
+            gpu.update(TIME_STEP);
+        }
+        gpu.syncFromGPU();
+        
+        return { cpu, gpu };
+    }
+    
+    function expectParity(cpu, gpu) {
+        const cpuFields = fieldsOf(cpu);
+        const gpuFields = fieldsOf(gpu);
+        
+        Object.keys(cpuFields).forEach(name => {
+            const excess = maxExcess(cpuFields[name], gpuFields[name]);
+            expect({ field: name, withinTolerance: excess <= 0, excess })
+                .toEqual({ field: name, withinTolerance: true, excess: expect.any(Number) });
+        });
+        
+        // The step actually moved the fluid
+        expect(Math.max(...cpu.velocity.y.map(Math.abs))).toBeGreaterThan(0.1);
+    }
+    
+    test('3D grid matches within tolerance', async () => {
+        const { cpu, gpu } = await runBoth({ dimensions: 3 });
+        
+        expectParity(cpu, gpu);
+        expect(gpu.solverStats).toMatchObject({ type: 'jacobi', iterations: 40 });
+        
+        cpu.dispose();
+        gpu.dispose();
+    });
+    
+    test('2D grid matches within tolerance', async () => {
+        const { cpu, gpu } = await runBoth({ dimensions: 2, gridWidth: 24, gridHeight: 24 });
+        
+        expectParity(cpu, gpu);
+        
+        cpu.dispose();
+        gpu.dispose();
+    });
+    
+    test('tolerance separates the CPU Gauss-Seidel solver from the GPU Jacobi solve', async () => {
+        const { cpu, gpu } = await runBoth({ dimensions: 3 }, { pressureSolver: 'gauss-seidel' });
+        
+        expect(maxExcess(cpu.pressure, gpu.pressure)).toBeGreaterThan(0);
+        
+        cpu.dispose();
+        gpu.dispose();
+    });
+});
@@ -0,0 +1,182 @@
+/**
+ * FluidSimulation pressure solver tests
+ * Solves the same Poisson problem with every CPU solver, in 2D and 3D
+ * Location: tests/physics/FluidSimulation.solvers.test.mjs
+ */
+
+import { jest } from '@jest/globals';
+import { FluidSimulation } from '../../src/physics/FluidSimulation.js';
+import { SeededRandom } from '../../src/utils/SeededRandom.js';
+
+const SOLVERS = ['jacobi', 'gauss-seidel', 'red-black-sor', 'multigrid'];
+const TOLERANCE = 1e-5;
+
+async function createSimulation(options) {
+    const simulation = new FluidSimulation({ seed: 1, audioReactive: false, ...options });
+    await simulation.initialize();
+    return simulation;
+}
+
+/**
+ * Random right-hand side on the cells the solvers update
+ */
+function createDivergence(simulation, seed = 5) {
+    const random = new SeededRandom(seed);
+    const divergence = new Float32Array(simulation.totalCells);
+    simulation.solverCells.forEach(index => { divergence[index] = random.next() - 0.5; });
+    return divergence;
+}
+
+/**
+ * Solve from zero pressure until the residual falls by TOLERANCE
+ */
+function solve(simulation, type, divergence, options = {}) {
+    simulation.setPressureSolver(type, { iterations: 5000, tolerance: TOLERANCE, ...options });
+    simulation.pressure.fill(0);
+    simulation.solvePressure(divergence);
+    
+    return {
+        stats: simulation.solverStats,
+        pressure: Float32Array.from(simulation.pressure)
+    };
+}
+
+const maxDifference = (a, b) => a.reduce((max, value, i) => Math.max(max, Math.abs(value - b[i])), 0);
+
+beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('FluidSimulation 2D mode', () => {
+    test('is a single slice without depth velocity', async () => {
+        const simulation = await createSimulation({ dimensions: 2, gridWidth: 24, gridHeight: 16, gridDepth: 32 });
+        
+        expect(simulation.gridDepth).toBe(1);
+        expect(simulation.totalCells).toBe(24 * 16);
+        expect(simulation.solverCells).toHaveLength(22 * 14);
+        
+        simulation.addImpulse(12, 8, 6, 5, 5, 5, 4);
+        simulation.update(0.016);
+        
+        expect(simulation.velocity.z.every(value => value === 0)).toBe(true);
+        expect(simulation.velocity.x.some(value => Math.abs(value) > 0.01)).toBe(true);
+        simulation.dispose();
+    });
+    
+    test('presets pick grid, dimensions and solver; explicit options win', async () => {
+        const smoke = new FluidSimulation({ preset: 'smoke2d' });
+        const ink = new FluidSimulation({ preset: 'ink2d', gridWidth: 64, gridHeight: 64, pressureIterations: 10 });
+        
+        expect(smoke).toMatchObject({ preset: 'smoke2d', dimensions: 2, gridWidth: 256, gridHeight: 256, gridDepth: 1 });
+        expect(smoke.pressureSolver).toMatchObject({ type: 'multigrid', iterations: 4 });
+        expect(ink).toMatchObject({ preset: 'ink2d', dimensions: 2, gridWidth: 64, gridHeight: 64 });
+        expect(ink.pressureSolver).toMatchObject({ type: 'red-black-sor', iterations: 10 });
+        
+        const unknown = new FluidSimulation({ preset: 'lava', gridWidth: 8, gridHeight: 8, gridDepth: 8 });
+        expect(unknown).toMatchObject({ preset: null, dimensions: 3 });
+        expect(console.warn).toHaveBeenCalledWith('Unknown fluid preset: lava');
+        
+        [smoke, ink, unknown].forEach(simulation => simulation.dispose());
+    });
+});
+
+describe.each([
+    [2, { gridWidth: 33, gridHeight: 33 }],
+    [3, { gridWidth: 17, gridHeight: 17, gridDepth: 17 }]
+])('FluidSimulation pressure solvers in %iD', (dimensions, grid) => {
+    let simulation;
+    let divergence;
+    let results;
+    
+    beforeAll(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        simulation = await createSimulation({ dimensions, ...grid });
+        divergence = createDivergence(simulation);
+        
+        results = {};
+        SOLVERS.forEach(type => { results[type] = solve(simulation, type, divergence); });
+    });
+    
+    afterAll(() => {
+        simulation.dispose();
+    });
+    
+    test('every solver reaches the tolerance and records its residuals', () => {
+        SOLVERS.forEach(type => {
+            const { stats } = results[type];
+            
+            expect(stats.type).toBe(type);
+            expect(stats.residuals).toHaveLength(stats.iterations);
+            expect(stats.residuals[stats.iterations - 1]).toBeLessThanOrEqual(TOLERANCE * stats.initialResidual);
+            expect(stats.residual).toBeLessThan(2 * TOLERANCE * stats.initialResidual);
+        });
+    });
+    
+    test('all solvers find the same pressure', () => {
+        const reference = results.multigrid.pressure;
+        const scale = Math.max(...reference.map(Math.abs));
+        
+        expect(scale).toBeGreaterThan(0.1);
+        SOLVERS.forEach(type => {
+            expect(maxDifference(results[type].pressure, reference)).toBeLessThan(1e-3 * scale);
+        });
+    });
+    
+    test('converges in the expected order: multigrid, SOR, Gauss-Seidel, Jacobi', () => {
+        const iterations = SOLVERS.map(type => results[type].stats.iterations);
+        const [jacobi, gaussSeidel, sor, multigrid] = iterations;
+        
+        expect(multigrid).toBeLessThan(10);
+        expect(multigrid).toBeLessThan(sor / 5);
+        expect(sor).toBeLessThan(gaussSeidel / 4);
+        
+        // Gauss-Seidel halves the iterations of Jacobi on the Poisson problem
+        expect(jacobi / gaussSeidel).toBeGreaterThan(1.7);
+        expect(jacobi / gaussSeidel).toBeLessThan(2.3);
+    });
+    
+    test('multigrid cuts the residual by at least 4x per V-cycle', () => {
+        const { stats } = results.multigrid;
+        const factors = stats.residuals.map((residual, i) => residual / (i === 0 ? stats.initialResidual : stats.residuals[i - 1]));
+        
+        factors.forEach(factor => expect(factor).toBeLessThan(0.25));
+    });
+    
+    test('a fixed count runs every iteration', () => {
+        const { stats } = solve(simulation, 'gauss-seidel', divergence, { iterations: 12, tolerance: 0 });
+        
+        expect(stats.iterations).toBe(12);
+        expect(stats.residual).toBeGreaterThan(TOLERANCE * stats.initialResidual);
+    });
+});
+
+describe('FluidSimulation multigrid on uneven grids', () => {
+    test.each([
+        [2, { gridWidth: 40, gridHeight: 23 }],
+        [3, { gridWidth: 20, gridHeight: 13, gridDepth: 10 }]
+    ])('%iD converges like a square grid', async (dimensions, grid) => {
+        const simulation = await createSimulation({ dimensions, ...grid });
+        const divergence = createDivergence(simulation, 11);
+        
+        const multigrid = solve(simulation, 'multigrid', divergence);
+        const gaussSeidel = solve(simulation, 'gauss-seidel', divergence);
+        const scale = Math.max(...gaussSeidel.pressure.map(Math.abs));
+        
+        expect(multigrid.stats.iterations).toBeLessThan(12);
+        expect(maxDifference(multigrid.pressure, gaussSeidel.pressure)).toBeLessThan(1e-3 * scale);
+        simulation.dispose();
+    });
+    
+    test('rejects unknown solvers', async () => {
+        const simulation = await createSimulation({ dimensions: 2, gridWidth: 8, gridHeight: 8 });
+        
+        expect(simulation.setPressureSolver('conjugate-gradient')).toBe(false);
+        expect(simulation.pressureSolver.type).toBe('gauss-seidel');
+        simulation.dispose();
+    });
+});
@@ -0,0 +1,67 @@
+/**
+ * MaterialPhysics tests
+ * Seeded phase transition effects
+ * Location: tests/physics/MaterialPhysics.test.mjs
+ */
+
+import { MaterialPhysics } from '../../src/physics/MaterialPhysics.js';
+
+/**
+ * Records the impulses, forces and heat sources MaterialPhysics applies
+ */
+function createFluidRecorder() {
+    const calls = [];
+    
+    return {
+        calls,
+        addImpulse: (...args) => calls.push(['impulse', ...args]),
+        addContinuousForce: (...args) => calls.push(['force', ...args]),
+        addTemperatureSource: (...args) => calls.push(['heat', ...args]),
+        getDensityAt: () => 1000,
+        getTemperatureAt: () => 1e6
+    };
+}
+
+/**
+ * Nucleation, plasma formation and a transition step; returns everything applied to the fluid
+ */
+function runTransition(physics) {
+    const fluid = createFluidRecorder();
+    
+    physics.updateNucleationSites(fluid);
+    physics.createVaporizationEffect(fluid);
+    physics.createPlasmaEffect(fluid);
+    physics.phaseState.transitionProgress = 0.5;
+    physics.applyPhaseTransitionEffects(fluid);
+    
+    return { sites: physics.phaseState.nucleationSites, calls: fluid.calls };
+}
+
+describe('MaterialPhysics seeding', () => {
+    test('the same seed applies identical phase transition effects', () => {
+        const a = runTransition(new MaterialPhysics({ seed: 5 }));
+        const b = runTransition(new MaterialPhysics({ seed: 5 }));
+        
+        expect(a.sites.length).toBeGreaterThan(0);
+        expect(a.calls.length).toBeGreaterThan(0);
+        expect(b).toEqual(a);
+    });
+    
+    test('different seeds place different nucleation sites', () => {
+        const a = runTransition(new MaterialPhysics({ seed: 5 }));
+        const b = runTransition(new MaterialPhysics({ seed: 6 }));
+        
+        expect(b.sites).not.toEqual(a.sites);
+    });
+    
+    test('setSeed restarts the sequence and clears the transition in progress', () => {
+        const physics = new MaterialPhysics({ seed: 5 });
+        const first = runTransition(physics);
+        
+        physics.setSeed(5);
+        expect(physics.phaseState.transitionProgress).toBe(0);
+        expect(physics.phaseState.nucleationSites).toEqual([]);
+        
+        expect(runTransition(physics)).toEqual(first);
+    });
+});
@@ -0,0 +1,268 @@
+/**
+ * MeshWorkerClient tests
+ * Meshes MetaballSystem surfaces in the real mesh worker script behind a fake Worker
+ * Location: tests/physics/MeshWorkerClient.test.mjs
+ *
+ * Every worker mesh is checked against a second MetaballSystem meshing the
+ * same metaballs in-thread.
+ */
+
+import { jest } from '@jest/globals';
+import { MeshWorkerClient } from '../../src/physics/MeshWorkerClient.js';
+import { MetaballSystem } from '../../src/physics/MetaballSystem.js';
+
+// ===== FAKE WORKER =====
+
+// The worker script's global scope; messages go to whichever worker is running it
+const workerScope = {
+    onmessage: null,
+    postMessage: (data, transfer = []) => FakeWorker.current.receive(data, transfer)
+};
+
+/**
+ * Worker delivering messages asynchronously as structured clones, detaching transferred buffers
+ */
+class FakeWorker {
+    constructor(url, options) {
+        this.url = url;
+        this.options = options;
+        this.onmessage = null;
+        this.onerror = null;
+        this.terminated = false;
+        this.posted = [];
+        FakeWorker.current = this;
+    }
+    
+    postMessage(data, transfer = []) {
+        this.posted.push(data.type);
+        const clone = structuredClone(data, { transfer });
+        setTimeout(() => !this.terminated && workerScope.onmessage({ data: clone }), 0);
+    }
+    
+    receive(data, transfer) {
+        const clone = structuredClone(data, { transfer });
+        setTimeout(() => this.onmessage && this.onmessage({ data: clone }), 0);
+    }
+    
+    terminate() {
+        this.terminated = true;
+    }
+}
+
+// The script reads self whenever it answers, so the scope stays global for the whole file
+globalThis.self = workerScope;
+await import('../../src/physics/workers/MeshWorker.js');
+
+// Let the worker answer everything posted so far
+const flush = () => new Promise(resolve => setTimeout(resolve, 0)).then(() => new Promise(resolve => setTimeout(resolve, 0)));
+
+const SYSTEM_CONFIG = {
+    maxMetaballs: 8,
+    initialMetaballCount: 0,
+    gridResolution: 15,
+    gridBounds: { min: [-12, -12, -12], max: [12, 12, 12] },
+    enablePhysics: false
+};
+
+async function createSystem(useMeshWorker) {
+    const system = new MetaballSystem({ ...SYSTEM_CONFIG, useMeshWorker });
+    await system.initialize(null);
+    
+    system.createMetaball(0, { position: [-6, 0.2, 0.1], radius: 0.7, charge: 1 });
+    system.createMetaball(1, { position: [6, -0.4, 0.3], radius: 0.9, charge: 1 });
+    system.state.activeMetaballCount = 2;
+    
+    return system;
+}
+
+function remesh(system) {
+    system.updateScalarField();
+    system.generateSurface();
+    return system.getSurfaceData();
+}
+
+/**
+ * Same mesh, compared as plain arrays: worker replies are clones from another realm
+ */
+function expectSameMesh(actual, expected) {
+    expect(actual.triangleCount).toBeGreaterThan(0);
+    expect(actual.vertexCount).toBe(expected.vertexCount);
+    expect(actual.triangleCount).toBe(expected.triangleCount);
+    ['vertices', 'normals', 'indices'].forEach(name => {
+        expect(Array.from(actual[name])).toEqual(Array.from(expected[name]));
+    });
+}
+
+beforeEach(() => {
+    globalThis.Worker = FakeWorker;
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    delete globalThis.Worker;
+    jest.restoreAllMocks();
+});
+
+afterAll(() => {
+    delete globalThis.self;
+});
+
+describe('MetaballSystem with the mesh worker', () => {
+    let system;
+    let reference;
+    
+    beforeEach(async () => {
+        system = await createSystem(true);
+        reference = await createSystem(false);
+    });
+    
+    afterEach(() => {
+        system.dispose();
+        reference.dispose();
+    });
+    
+    /**
+     * Move a metaball in both systems
+     */
+    function move(index, offset) {
+        [system, reference].forEach(target => {
+            offset.forEach((value, axis) => { target.metaballs.positions[index * 3 + axis] += value; });
+        });
+    }
+    
+    test('starts the worker with the mesher settings', () => {
+        expect(system.isMeshWorkerActive()).toBe(true);
+        expect(reference.meshWorker).toBeNull();
+        expect(FakeWorker.current.options).toEqual({ type: 'module', name: 'metaball-mesh' });
+        expect(String(FakeWorker.current.url)).toMatch(/physics\/workers\/MeshWorker\.js$/);
+        expect(FakeWorker.current.posted).toEqual(['init']);
+    });
+    
+    test('installs each worker mesh one surface update later', async () => {
+        remesh(system);
+        expect(system.getSurfaceData().generated).toBe(false);
+        expect(system.meshWorker.getStatus()).toMatchObject({ inFlight: true, submitted: 1 });
+        
+        await flush();
+        expectSameMesh(remesh(system), remesh(reference));
+        expect(system.performance.remeshedBlocks).toBe(reference.performance.remeshedBlocks);
+        
+        // Incremental updates re-mesh the same blocks as in-thread
+        move(1, [0.6, 0.3, 0]);
+        remesh(system);
+        await flush();
+        expectSameMesh(remesh(system), remesh(reference));
+        expect(system.performance.remeshedBlocks).toBe(reference.performance.remeshedBlocks);
+        expect(system.performance.remeshedBlocks).toBeLessThan(system.marchingCubes.mesher.blockCount);
+        expect(system.meshWorker.getStatus()).toMatchObject({ submitted: 2, completed: 2, error: null });
+    });
+    
+    test('transfers the request buffers to the worker', () => {
+        const postMessage = jest.spyOn(FakeWorker.current, 'postMessage');
+        
+        // The first request covers the whole grid; later ones carry the dirty blocks
+        remesh(system);
+        const [first, firstTransfer] = postMessage.mock.calls[0];
+        expect(first).toMatchObject({ type: 'mesh', payload: { count: 2, blocks: null } });
+        expect(firstTransfer.map(buffer => buffer.byteLength)).toEqual([0]);
+        
+        system.meshWorker.pending = null;
+        move(0, [0.5, 0, 0]);
+        remesh(system);
+        const [second, secondTransfer] = postMessage.mock.calls[1];
+        expect(second.payload.blocks).toBeInstanceOf(Uint8Array);
+        expect(secondTransfer).toHaveLength(2);
+        secondTransfer.forEach(buffer => expect(buffer.byteLength).toBe(0));
+    });
+    
+    test('sends one request at a time and keeps the dirty blocks for the next', async () => {
+        remesh(system);
+        remesh(reference);
+        move(0, [0.5, 0, 0]);
+        remesh(system);
+        
+        expect(FakeWorker.current.posted).toEqual(['init', 'mesh']);
+        expect(system.meshWorker.getStatus().skipped).toBe(1);
+        expect(system.hasDirtyRegions()).toBe(true);
+        
+        // The first reply predates the move; the next request carries it
+        await flush();
+        remesh(system);
+        expect(FakeWorker.current.posted).toEqual(['init', 'mesh', 'mesh']);
+        await flush();
+        expectSameMesh(remesh(system), remesh(reference));
+    });
+    
+    test('switches the worker to another surface algorithm', async () => {
+        remesh(system);
+        await flush();
+        remesh(system);
+        
+        system.setSurfaceAlgorithm('surfaceNets');
+        reference.setSurfaceAlgorithm('surfaceNets');
+        expect(FakeWorker.current.posted).toEqual(['init', 'mesh', 'configure']);
+        
+        remesh(system);
+        await flush();
+        expectSameMesh(remesh(system), remesh(reference));
+    });
+    
+    test('falls back to a full in-thread rebuild when the worker fails', async () => {
+        remesh(system);
+        await flush();
+        remesh(system);
+        
+        // A failing request: the worker's mesher throws on a missing payload
+        const worker = FakeWorker.current;
+        worker.postMessage({ type: 'mesh', id: 99 });
+        await flush();
+        expect(system.meshWorker.getStatus().isReady).toBe(false);
+        expect(worker.terminated).toBe(true);
+        
+        const updateField = jest.spyOn(system.marchingCubes.mesher, 'updateField');
+        move(1, [0.4, 0, 0]);
+        expectSameMesh(remesh(system), remesh(reference));
+        expect(system.meshWorker).toBeNull();
+        expect(updateField).toHaveBeenCalledWith(expect.any(Float32Array), 2, null);
+    });
+    
+    test('gives up on a stalled request', () => {
+        const now = jest.spyOn(performance, 'now');
+        remesh(system);
+        
+        // The worker has not answered for longer than the request timeout
+        const sentAt = system.meshWorker.pending.sentAt;
+        now.mockReturnValue(sentAt + system.meshWorker.options.requestTimeout + 1);
+        move(0, [0.5, 0, 0]);
+        remesh(system);
+        expect(system.meshWorker.getStatus()).toMatchObject({ isReady: false, error: 'Request 1 stalled' });
+        
+        expectSameMesh(remesh(system), remesh(reference));
+        expect(system.meshWorker).toBeNull();
+    });
+});
+
+describe('MeshWorkerClient', () => {
+    test('is unsupported without Worker', async () => {
+        delete globalThis.Worker;
+        const client = new MeshWorkerClient();
+        
+        expect(MeshWorkerClient.isSupported()).toBe(false);
+        expect(await client.initialize({})).toBe(false);
+        
+        const system = await createSystem(true);
+        expect(system.meshWorker).toBeNull();
+        expect(remesh(system).triangleCount).toBeGreaterThan(0);
+        system.dispose();
+    });
+    
+    test('fails to start when the worker cannot build its mesher', async () => {
+        const client = new MeshWorkerClient();
+        
+        expect(await client.initialize(null)).toBe(false);
+        expect(client.getStatus()).toMatchObject({ isReady: false });
+        expect(client.getStatus().error).toMatch(/dimensions/);
+        expect(FakeWorker.current.terminated).toBe(true);
+    });
+});
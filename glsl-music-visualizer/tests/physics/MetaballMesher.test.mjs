@@ -0,0 +1,345 @@
+/**
+ * MetaballMesher tests
+ * Block-wise isosurfaces of known metaballs, meshed whole and incrementally
+ * Location: tests/physics/MetaballMesher.test.mjs
+ */
+
+import { jest } from '@jest/globals';
+import { MetaballMesher, METABALL_STRIDE, SURFACE_ALGORITHMS, createMarchingCubesTables } from '../../src/physics/MetaballMesher.js';
+import { MetaballSystem } from '../../src/physics/MetaballSystem.js';
+
+const ISO_LEVEL = 0.5;
+
+function pack(metaballs) {
+    const packed = new Float32Array(metaballs.length * METABALL_STRIDE);
+    metaballs.forEach(({ position, radius, charge = 1 }, i) => {
+        packed.set([...position, radius, charge], i * METABALL_STRIDE);
+    });
+    return packed;
+}
+
+function meshAll(metaballs, options) {
+    const mesher = new MetaballMesher({
+        dimensions: [25, 25, 25],
+        origin: [-3, -3, -3],
+        cellSize: 0.25,
+        isoLevel: ISO_LEVEL,
+        blockSize: 8,
+        ...options
+    });
+    mesher.updateField(pack(metaballs), metaballs.length, null);
+    mesher.polygonize();
+    return { mesher, mesh: mesher.buildMesh() };
+}
+
+/**
+ * Vertices merged by position (blocks repeat the vertices on their borders)
+ */
+function weld(mesh) {
+    const ids = new Map();
+    const keys = [];
+    for (let i = 0; i < mesh.vertexCount; i++) {
+        const key = Array.from(mesh.vertices.subarray(i * 3, i * 3 + 3), value => value.toFixed(4)).join(',');
+        if (!ids.has(key)) ids.set(key, ids.size);
+        keys.push(key);
+    }
+    
+    const triangles = [];
+    for (let i = 0; i < mesh.indices.length; i += 3) {
+        triangles.push([0, 1, 2].map(k => ids.get(keys[mesh.indices[i + k]])));
+    }
+    return { vertexCount: ids.size, triangles, keys: [...ids.keys()] };
+}
+
+/**
+ * Euler characteristic of a closed, consistently wound mesh, or null when it is neither
+ * Every directed edge must appear once, and its reverse once.
+ */
+function closedEulerCharacteristic(mesh) {
+    const { vertexCount, triangles } = weld(mesh);
+    const directed = new Set();
+    
+    for (const triangle of triangles) {
+        for (let k = 0; k < 3; k++) {
+            const edge = `${triangle[k]}>${triangle[(k + 1) % 3]}`;
+            if (directed.has(edge)) return null;
+            directed.add(edge);
+        }
+    }
+    for (const edge of directed) {
+        const [a, b] = edge.split('>');
+        if (!directed.has(`${b}>${a}`)) return null;
+    }
+    
+    return vertexCount - directed.size / 2 + triangles.length;
+}
+
+/**
+ * Triangles by welded vertex position, independent of vertex order and block layout
+ */
+function triangleSet(mesh) {
+    const { triangles, keys } = weld(mesh);
+    return triangles.map(triangle => {
+        const names = triangle.map(id => keys[id]);
+        const first = names.indexOf([...names].sort()[0]);
+        return [0, 1, 2].map(k => names[(first + k) % 3]).join(' ');
+    }).sort();
+}
+
+const vertexOf = (mesh, i) => Array.from(mesh.vertices.subarray(i * 3, i * 3 + 3));
+const normalOf = (mesh, i) => Array.from(mesh.normals.subarray(i * 3, i * 3 + 3));
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+const sub = (a, b) => [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+const cross = (a, b) => [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+
+beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('createMarchingCubesTables', () => {
+    test('triangulates every cube case on its crossed edges only', () => {
+        const { edgeTable, triTable } = createMarchingCubesTables();
+        
+        expect(edgeTable[0]).toBe(0);
+        expect(edgeTable[255]).toBe(0);
+        for (let cubeIndex = 0; cubeIndex < 256; cubeIndex++) {
+            const row = Array.from(triTable.subarray(cubeIndex * 16, cubeIndex * 16 + 16));
+            const edges = row.slice(0, row.indexOf(-1) === -1 ? 16 : row.indexOf(-1));
+            
+            expect(edges.length % 3).toBe(0);
+            expect(new Set(edges)).toEqual(new Set([...Array(12).keys()].filter(edge => edgeTable[cubeIndex] & (1 << edge))));
+            
+            // A case and its complement cross the same edges
+            expect(edgeTable[255 - cubeIndex]).toBe(edgeTable[cubeIndex]);
+        }
+    });
+});
+
+describe.each(SURFACE_ALGORITHMS)('MetaballMesher %s', algorithm => {
+    // Surface where radius^2 / distance^2 = isoLevel
+    const SPHERE = { position: [0.1, -0.2, 0.15], radius: 1 };
+    const surfaceRadius = SPHERE.radius / Math.sqrt(ISO_LEVEL);
+    
+    test('meshes one metaball as a closed sphere at the iso radius', () => {
+        const { mesh } = meshAll([SPHERE], { algorithm });
+        
+        expect(mesh.triangleCount).toBeGreaterThan(100);
+        expect(closedEulerCharacteristic(mesh)).toBe(2);
+        
+        for (let i = 0; i < mesh.vertexCount; i++) {
+            const offset = sub(vertexOf(mesh, i), SPHERE.position);
+            const distance = Math.hypot(...offset);
+            expect(Math.abs(distance - surfaceRadius)).toBeLessThan(0.05);
+            
+            // Gradient normals point out along the radius
+            expect(dot(normalOf(mesh, i), offset) / distance).toBeGreaterThan(0.99);
+        }
+    });
+    
+    test('winds every triangle to face along its normals', () => {
+        const { mesh } = meshAll([SPHERE, { position: [1.2, 0.3, 0], radius: 0.7 }], { algorithm });
+        
+        for (let i = 0; i < mesh.indices.length; i += 3) {
+            const [a, b, c] = [0, 1, 2].map(k => mesh.indices[i + k]);
+            const face = cross(sub(vertexOf(mesh, b), vertexOf(mesh, a)), sub(vertexOf(mesh, c), vertexOf(mesh, a)));
+            const normal = [0, 1, 2].map(axis => normalOf(mesh, a)[axis] + normalOf(mesh, b)[axis] + normalOf(mesh, c)[axis]);
+            expect(dot(face, normal)).toBeGreaterThan(0);
+        }
+    });
+    
+    test('gives the same surface for any block size', () => {
+        const metaballs = [SPHERE, { position: [-1.1, 0.9, 0.4], radius: 0.8 }, { position: [1.5, 1.5, -1], radius: 0.5 }];
+        const single = meshAll(metaballs, { algorithm, blockSize: 32 });
+        const expected = triangleSet(single.mesh);
+        
+        expect(single.mesher.blockCount).toBe(1);
+        [3, 5, 8].forEach(blockSize => {
+            const { mesher, mesh } = meshAll(metaballs, { algorithm, blockSize });
+            expect(mesher.blockCount).toBeGreaterThan(1);
+            expect(triangleSet(mesh)).toEqual(expected);
+        });
+    });
+    
+    test('re-meshes only the blocks that read re-evaluated points', () => {
+        const metaballs = [SPHERE];
+        const { mesher, mesh } = meshAll(metaballs, { algorithm });
+        const before = mesher.blockMeshes.slice();
+        
+        // Block (1, 1, 1) of a 4x4x4 block grid
+        const blocks = new Uint8Array(mesher.blockCount);
+        blocks[mesher.blockOf(12, 12, 12)] = 1;
+        expect(mesher.updateField(pack(metaballs), 1, blocks)).toBe(1);
+        
+        // The block and the ones below it, and above it for surface net quads
+        const high = algorithm === 'surfaceNets' ? 2 : 1;
+        expect(mesher.polygonize()).toBe((high + 1) ** 3);
+        
+        let rebuilt = 0;
+        for (let block = 0; block < mesher.blockCount; block++) {
+            const coordinates = [block % 4, Math.floor(block / 4) % 4, Math.floor(block / 16)];
+            if (coordinates.every(value => value <= high)) {
+                if (before[block]) {
+                    expect(mesher.blockMeshes[block]).not.toBe(before[block]);
+                    rebuilt++;
+                }
+            } else {
+                expect(mesher.blockMeshes[block]).toBe(before[block]);
+            }
+        }
+        expect(rebuilt).toBeGreaterThan(0);
+        expect(triangleSet(mesher.buildMesh())).toEqual(triangleSet(mesh));
+    });
+});
+
+describe.each(SURFACE_ALGORITHMS)('MetaballSystem incremental %s meshing', algorithm => {
+    let system;
+    
+    beforeEach(async () => {
+        system = new MetaballSystem({
+            maxMetaballs: 8,
+            initialMetaballCount: 0,
+            gridResolution: 30,
+            gridBounds: { min: [-12, -12, -12], max: [12, 12, 12] },
+            isoLevel: ISO_LEVEL,
+            surfaceAlgorithm: algorithm,
+            enablePhysics: false,
+            useMeshWorker: false
+        });
+        await system.initialize(null);
+        
+        // A metaball on its own and a pair that merges, on opposite sides of the grid
+        system.createMetaball(0, { position: [-6, 0.1, 0.2], radius: 0.8, charge: 1 });
+        system.createMetaball(1, { position: [6, -0.3, 0.1], radius: 0.8, charge: 1 });
+        system.createMetaball(2, { position: [6.5, 0.6, 0], radius: 0.6, charge: 1 });
+        system.state.activeMetaballCount = 3;
+        
+        remesh();
+    });
+    
+    afterEach(() => {
+        system.dispose();
+    });
+    
+    function remesh() {
+        system.updateScalarField();
+        system.generateSurface();
+        return system.getSurfaceData();
+    }
+    
+    function fullRemesh() {
+        const packed = new Float32Array(8 * METABALL_STRIDE);
+        const count = system.packMetaballs(packed);
+        const mesher = new MetaballMesher(system.getMesherSettings());
+        mesher.updateField(packed, count, null);
+        mesher.polygonize();
+        return { mesher, mesh: mesher.buildMesh() };
+    }
+    
+    /**
+     * Trilinear field value of a mesher's grid at a point
+     */
+    function sampleGrid(mesher, point) {
+        const dims = mesher.dimensions;
+        const base = [];
+        const fraction = [];
+        for (let axis = 0; axis < 3; axis++) {
+            const position = (point[axis] - mesher.origin[axis]) / mesher.cellSize;
+            base[axis] = Math.min(Math.floor(position), dims[axis] - 2);
+            fraction[axis] = position - base[axis];
+        }
+        
+        let value = 0;
+        for (let corner = 0; corner < 8; corner++) {
+            const offset = [corner & 1, (corner >> 1) & 1, (corner >> 2) & 1];
+            const index = (base[0] + offset[0]) + (base[1] + offset[1]) * dims[0] + (base[2] + offset[2]) * dims[0] * dims[1];
+            const weight = offset.reduce((product, bit, axis) => product * (bit ? fraction[axis] : 1 - fraction[axis]), 1);
+            value += weight * mesher.grid[index];
+        }
+        return value;
+    }
+    
+    /**
+     * Largest distance from the iso level of a mesh's vertices in a grid
+     */
+    function isoError(mesh, mesher) {
+        let error = 0;
+        for (let i = 0; i < mesh.vertexCount; i++) {
+            error = Math.max(error, Math.abs(sampleGrid(mesher, vertexOf(mesh, i)) - ISO_LEVEL));
+        }
+        return error;
+    }
+    
+    /**
+     * Closed like the full remesh, and on its surface as closely as the full
+     * remesh itself, give or take the field left stale: both ways, so nothing
+     * is missing or left over
+     */
+    function expectSameSurface(surface, full, eulerCharacteristic) {
+        const mesh = { ...surface, vertexCount: surface.vertices.length / 3 };
+        const incremental = system.marchingCubes.mesher;
+        const tolerance = system.config.dirtyThreshold * ISO_LEVEL;
+        const discretization = Math.max(isoError(full.mesh, full.mesher), isoError(mesh, incremental));
+        
+        expect(closedEulerCharacteristic(mesh)).toBe(eulerCharacteristic);
+        expect(closedEulerCharacteristic(full.mesh)).toBe(eulerCharacteristic);
+        expect(isoError(mesh, full.mesher)).toBeLessThan(discretization + tolerance);
+        expect(isoError(full.mesh, incremental)).toBeLessThan(discretization + tolerance);
+        expect(Math.abs(mesh.triangleCount - full.mesh.triangleCount)).toBeLessThan(0.05 * full.mesh.triangleCount);
+    }
+    
+    test('matches a full remesh after metaballs move, within the dirty threshold', () => {
+        const mesher = system.marchingCubes.mesher;
+        const aloneBlock = mesher.blockOf(18, 36, 36);
+        const aloneMesh = mesher.blockMeshes[aloneBlock];
+        
+        system.metaballs.positions[3] += 0.7;
+        system.metaballs.positions[4] += 0.4;
+        const surface = remesh();
+        const full = fullRemesh();
+        
+        // Only the pair's side was re-meshed; the lone metaball kept its triangles
+        expect(system.performance.remeshedBlocks).toBeGreaterThan(0);
+        expect(system.performance.remeshedBlocks).toBeLessThan(0.8 * mesher.blockCount);
+        expect(aloneMesh).not.toBeNull();
+        expect(mesher.blockMeshes[aloneBlock]).toBe(aloneMesh);
+        
+        // Blocks left alone miss less than dirtyThreshold * isoLevel of the change
+        const tolerance = system.config.dirtyThreshold * ISO_LEVEL;
+        let fieldError = 0;
+        mesher.grid.forEach((value, i) => { fieldError = Math.max(fieldError, Math.abs(value - full.mesher.grid[i])); });
+        expect(fieldError).toBeLessThan(tolerance);
+        
+        // Same surface: same topology, every vertex close to one of the full mesh
+        expectSameSurface(surface, full, 4);
+    });
+    
+    test('removes the surface of a metaball that vanished', () => {
+        system.destroyMetaball(2);
+        system.destroyMetaball(1);
+        const surface = remesh();
+        const full = fullRemesh();
+        
+        expect(system.performance.remeshedBlocks).toBeLessThan(0.8 * system.marchingCubes.mesher.blockCount);
+        expectSameSurface(surface, full, 2);
+    });
+    
+    test('small moves wait until they add up', () => {
+        const threshold = system.config.dirtyMoveThreshold * system.scalarField.cellSize;
+        const updateField = jest.spyOn(system.marchingCubes.mesher, 'updateField');
+        const vertices = system.getSurfaceData().vertices;
+        
+        system.metaballs.positions[0] += 0.6 * threshold;
+        expect(remesh().vertices).toBe(vertices);
+        expect(updateField).not.toHaveBeenCalled();
+        
+        // Measured from where the metaball was last evaluated
+        system.metaballs.positions[0] += 0.6 * threshold;
+        expect(remesh().vertices).not.toBe(vertices);
+        expect(updateField).toHaveBeenCalledTimes(1);
+        expect(system.performance.remeshedBlocks).toBeLessThan(0.5 * system.marchingCubes.mesher.blockCount);
+    });
+});
@@ -0,0 +1,386 @@
+/**
+ * ParticleSystem GPU pipeline tests
+ * Steps GPU particles through a buffer-backed stand-in WebGL2 context
+ * Location: tests/physics/ParticleSystem.gpu.test.mjs
+ *
+ * The stand-in keeps real buffer contents and runs a transform feedback draw
+ * by copying the source buffer into the captured one, aging every slot by
+ * u_deltaTime. That is enough to follow the state through the ping-pong pair
+ * and to catch readbacks; the shader itself is checked against the uniforms,
+ * attributes and varyings the system binds.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { jest } from '@jest/globals';
+import { ParticleSystem } from '../../src/physics/ParticleSystem.js';
+import { shaderManager } from '../../src/core/ShaderManager.js';
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '../..');
+const UPDATE_SHADER = fs.readFileSync(path.join(ROOT, 'src/shaders/particle-update.vert'), 'utf-8');
+const FIELD_SHADER = fs.readFileSync(path.join(ROOT, 'src/shaders/visualizers/particle-field.vert'), 'utf-8');
+
+const STRIDE = 20;
+const TIME_STEP = 0.02;
+
+const declared = (source, qualifier) =>
+    [...source.matchAll(new RegExp(`^${qualifier}\\s+\\w+\\s+(\\w+)(?:\\[\\w+\\])?;`, 'gm'))].map(match => match[1]);
+
+const SHADER_UNIFORMS = declared(UPDATE_SHADER, 'uniform');
+const SHADER_ATTRIBUTES = declared(UPDATE_SHADER, 'attribute');
+const SHADER_VARYINGS = declared(UPDATE_SHADER, 'varying');
+
+/**
+ * Stand-in WebGL2 context with buffer contents, vertex arrays and transform feedback
+ * GL enums resolve to distinct numbers and unlisted calls are no-ops.
+ */
+class BufferContext {
+    constructor() {
+        this.enums = new Map();
+        this.bound = { arrayBuffer: null, vertexArray: null, feedbackBuffer: null };
+        this.enabled = new Set();
+        this.capturing = false;
+        this.uniforms = {};
+        this.draws = [];
+        this.readbacks = 0;
+        this.failNextDraw = false;
+        
+        return new Proxy(this, {
+            get(target, name) {
+                if (name in target || typeof name !== 'string') return target[name];
+                if (/^[A-Z0-9_]+$/.test(name)) {
+                    if (!target.enums.has(name)) target.enums.set(name, 0x8000 + target.enums.size);
+                    return target.enums.get(name);
+                }
+                return () => ({});
+            }
+        });
+    }
+    
+    getParameter(pname) {
+        return pname === this.VERTEX_ARRAY_BINDING ? this.bound.vertexArray : null;
+    }
+    
+    createBuffer() {
+        return { data: null };
+    }
+    
+    bindBuffer(target, buffer) {
+        this.bound.arrayBuffer = buffer;
+    }
+    
+    bufferData(target, data) {
+        this.bound.arrayBuffer.data = Float32Array.from(data);
+    }
+    
+    bufferSubData(target, offset, data) {
+        this.bound.arrayBuffer.data.set(data, offset / 4);
+    }
+    
+    getBufferSubData(target, offset, destination) {
+        this.readbacks++;
+        destination.set(this.bound.arrayBuffer.data.subarray(offset / 4, offset / 4 + destination.length));
+    }
+    
+    createVertexArray() {
+        return { attributes: new Map() };
+    }
+    
+    bindVertexArray(vertexArray) {
+        this.bound.vertexArray = vertexArray;
+    }
+    
+    vertexAttribPointer(location, size, type, normalized, stride, offset) {
+        this.bound.vertexArray.attributes.set(location, { buffer: this.bound.arrayBuffer, size, stride, offset });
+    }
+    
+    bindBufferBase(target, index, buffer) {
+        this.bound.feedbackBuffer = buffer;
+    }
+    
+    enable(capability) {
+        this.enabled.add(capability);
+    }
+    
+    disable(capability) {
+        this.enabled.delete(capability);
+    }
+    
+    beginTransformFeedback() {
+        this.capturing = true;
+    }
+    
+    endTransformFeedback() {
+        this.capturing = false;
+    }
+    
+    uniform1f(location, value) {
+        this.uniforms[location.name] = value;
+    }
+    
+    uniform2fv(location, value) {
+        this.uniforms[location.name] = Array.from(value);
+    }
+    
+    uniform3fv(location, value) {
+        this.uniforms[location.name] = Array.from(value);
+    }
+    
+    uniform4fv(location, value) {
+        this.uniforms[location.name] = Array.from(value);
+    }
+    
+    drawArrays(mode, first, count) {
+        if (this.failNextDraw) {
+            this.failNextDraw = false;
+            throw new Error('Context lost');
+        }
+        
+        const source = this.bound.vertexArray.attributes.get(0).buffer;
+        const target = this.bound.feedbackBuffer;
+        this.draws.push({
+            mode,
+            count,
+            source,
+            target,
+            capturing: this.capturing,
+            discarding: this.enabled.has(this.RASTERIZER_DISCARD),
+            uniforms: this.uniforms
+        });
+        this.uniforms = {};
+        
+        // Update shader stand-in
+        target.data.set(source.data);
+        for (let i = first; i < first + count; i++) {
+            target.data[i * STRIDE + 3] += this.draws[this.draws.length - 1].uniforms.u_deltaTime;
+        }
+    }
+}
+
+describe('ParticleSystem GPU pipeline', () => {
+    const previousContextClass = globalThis.WebGL2RenderingContext;
+    let gl;
+    let system;
+    let loadShaderProgram;
+    
+    beforeAll(() => {
+        globalThis.WebGL2RenderingContext = BufferContext;
+    });
+    
+    afterAll(() => {
+        globalThis.WebGL2RenderingContext = previousContextClass;
+    });
+    
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        
+        // The program links with the update shader's declarations
+        loadShaderProgram = jest.spyOn(shaderManager, 'loadShaderProgram').mockResolvedValue({});
+        jest.spyOn(shaderManager, 'useProgram').mockImplementation(() => {});
+        jest.spyOn(shaderManager, 'getAttributeLocation').mockImplementation((program, name) => SHADER_ATTRIBUTES.indexOf(name));
+        jest.spyOn(shaderManager, 'getUniformLocation').mockImplementation((program, name) => {
+            const uniform = name.replace(/\[0\]$/, '');
+            return SHADER_UNIFORMS.includes(uniform) ? { name: uniform } : null;
+        });
+    });
+    
+    afterEach(() => {
+        system.dispose();
+        jest.restoreAllMocks();
+    });
+    
+    async function createSystem(config = {}) {
+        gl = new BufferContext();
+        system = new ParticleSystem({
+            updateMode: 'gpu',
+            maxParticles: 256,
+            initialParticleCount: 100,
+            emissionRate: 0,
+            seed: 7,
+            ...config
+        });
+        await system.initialize(gl);
+        return system;
+    }
+    
+    /**
+     * Particle slots of a state buffer, read with the renderer's attribute layout
+     */
+    function readSlots(buffer, layout) {
+        const floats = name => layout.attributes[name].offset / 4;
+        return Array.from({ length: layout.count }, (_, i) => {
+            const o = i * layout.stride / 4;
+            return {
+                position: Array.from(buffer.data.subarray(o + floats('position'), o + floats('position') + 3)),
+                age: buffer.data[o + floats('age')],
+                color: Array.from(buffer.data.subarray(o + floats('color'), o + floats('color') + 4)),
+                size: buffer.data[o + floats('size')]
+            };
+        });
+    }
+    
+    test('links the update program capturing the shader outputs in buffer order', async () => {
+        await createSystem();
+        
+        expect(system.isGPUActive()).toBe(true);
+        expect(loadShaderProgram).toHaveBeenCalledWith(
+            'src/shaders/particle-update.vert',
+            'src/shaders/particle-update.frag',
+            { MAX_EMITTERS: 4 },
+            'particles:update',
+            { transformFeedbackVaryings: SHADER_VARYINGS }
+        );
+        
+        // Attributes read the interleaved state in the order the varyings write it
+        expect(SHADER_VARYINGS).toEqual(SHADER_ATTRIBUTES.map(name => name.replace(/^a_/, 'v_')));
+        system.gpuResources.vertexArrays.forEach((vertexArray, i) => {
+            SHADER_ATTRIBUTES.forEach((name, location) => {
+                expect(vertexArray.attributes.get(location)).toEqual({
+                    buffer: system.gpuResources.buffers[i],
+                    size: 4,
+                    stride: STRIDE * 4,
+                    offset: location * 16
+                });
+            });
+        });
+    });
+    
+    test('starts both buffers from the CPU population in the renderer layout', async () => {
+        await createSystem();
+        const layout = system.getGPUBuffers();
+        const p = system.particles;
+        
+        expect(layout.count).toBe(256);
+        expect(layout.stride).toBe(STRIDE * 4);
+        
+        // The attributes the renderer binds from the state buffer
+        ['position', 'color', 'size', 'rotation'].forEach(name => {
+            expect(FIELD_SHADER).toMatch(new RegExp(`^attribute \\w+ a_${name};`, 'm'));
+        });
+        
+        system.gpuResources.buffers.forEach(buffer => {
+            const slots = readSlots(buffer, layout);
+            [0, 42, 99].forEach(i => {
+                expect(slots[i].position).toEqual(Array.from(p.positions.subarray(i * 3, i * 3 + 3)));
+                expect(slots[i].color).toEqual(Array.from(p.colors.subarray(i * 4, i * 4 + 4)));
+                expect(slots[i].size).toBe(p.sizes[i]);
+            });
+            
+            // Free slots are transparent, so the renderer culls them
+            expect(slots.slice(100).every(slot => slot.color[3] === 0)).toBe(true);
+        });
+    });
+    
+    test('steps between the two buffers without reading back', async () => {
+        await createSystem();
+        const [first, second] = system.gpuResources.buffers;
+        
+        for (let step = 0; step < 3; step++) {
+            system.update(TIME_STEP);
+        }
+        
+        expect(gl.readbacks).toBe(0);
+        expect(gl.draws.map(draw => [draw.source, draw.target])).toEqual([[first, second], [second, first], [first, second]]);
+        gl.draws.forEach(draw => {
+            expect(draw).toMatchObject({ mode: gl.POINTS, count: 256, capturing: true, discarding: true });
+        });
+        expect(gl.enabled.has(gl.RASTERIZER_DISCARD)).toBe(false);
+        
+        // The renderer draws the newest state
+        const layout = system.getGPUBuffers();
+        expect(layout.buffer).toBe(second);
+        expect(readSlots(second, layout)[0].age).toBeCloseTo(3 * TIME_STEP, 6);
+        
+        // The CPU arrays only follow on request, with one readback
+        expect(system.particles.ages[0]).toBe(0);
+        const data = system.getParticleData();
+        system.getParticleData();
+        expect(gl.readbacks).toBe(1);
+        expect(data.count).toBe(100);
+        expect(system.particles.ages[0]).toBeCloseTo(3 * TIME_STEP, 6);
+    });
+    
+    test('sets every uniform the update shader declares', async () => {
+        await createSystem();
+        system.update(TIME_STEP);
+        
+        const { uniforms } = gl.draws[0];
+        expect(Object.keys(uniforms).sort()).toEqual([...SHADER_UNIFORMS].sort());
+        expect(uniforms).toMatchObject({ u_deltaTime: TIME_STEP, u_maxParticles: 256, u_bandBlend: 0 });
+        expect(uniforms.u_emitterWindow).toHaveLength(16);
+    });
+    
+    test('emits into a ring of slots, four emitters per step', async () => {
+        await createSystem();
+        const emitters = ['a', 'b', 'c', 'd', 'e'].map(name => ({
+            name,
+            shape: 'point',
+            radius: 1,
+            position: [0, 0, 0],
+            spread: 0,
+            velocity: [0, 1, 0],
+            lifetime: 2,
+            lifetimeVariation: 0
+        }));
+        
+        // The initial population took slots 0-99
+        system.queueGPUEmission(emitters[0], 120);
+        system.queueGPUEmission(emitters[1], 20);
+        system.queueGPUEmission(emitters[2], 10);
+        system.queueGPUEmission(emitters[3], 5);
+        system.queueGPUEmission(emitters[4], 30);
+        system.update(TIME_STEP);
+        
+        const windows = gl.draws[0].uniforms.u_emitterWindow;
+        const window = i => windows.slice(i * 4, i * 4 + 2);
+        expect([0, 1, 2, 3].map(window)).toEqual([[100, 120], [220, 20], [240, 10], [250, 5]]);
+        
+        // The fifth emitter waits, then wraps around the ring
+        system.update(TIME_STEP);
+        expect(gl.draws[1].uniforms.u_emitterWindow.slice(0, 2)).toEqual([255, 30]);
+        expect(system.gpuResources.cursor).toBe(29);
+        expect(system.state.activeParticleCount).toBe(256);
+    });
+    
+    test('passes frequency band energies to the shader for one step', async () => {
+        await createSystem();
+        const frequencyData = new Uint8Array(64);
+        frequencyData.fill(200, 16, 24);
+        
+        system.update(TIME_STEP, { frequencyData });
+        system.update(TIME_STEP);
+        
+        const [withAudio, without] = gl.draws.map(draw => draw.uniforms);
+        expect(withAudio.u_bandsLow).toEqual([0, 0, 200, 0]);
+        expect(withAudio.u_bandsHigh).toEqual([0, 0, 0, 0]);
+        expect(withAudio.u_bandBlend).toBeCloseTo(0.1, 6);
+        expect(without.u_bandBlend).toBe(0);
+    });
+    
+    test('continues on the CPU from the GPU state when a step fails', async () => {
+        await createSystem();
+        system.update(TIME_STEP);
+        
+        gl.failNextDraw = true;
+        system.update(TIME_STEP);
+        
+        expect(system.isGPUActive()).toBe(false);
+        expect(system.getGPUBuffers()).toBeNull();
+        expect(gl.readbacks).toBe(1);
+        
+        // One GPU step, then one CPU step
+        expect(system.particles.ages[0]).toBeCloseTo(2 * TIME_STEP, 6);
+    });
+    
+    test('stays on the CPU without WebGL2', async () => {
+        gl = {};
+        system = new ParticleSystem({ updateMode: 'gpu', maxParticles: 64, initialParticleCount: 10 });
+        await system.initialize(gl);
+        
+        expect(system.config.updateMode).toBe('cpu');
+        expect(system.getGPUBuffers()).toBeNull();
+        expect(loadShaderProgram).not.toHaveBeenCalled();
+    });
+});
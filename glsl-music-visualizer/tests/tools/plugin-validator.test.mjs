@@ -0,0 +1,62 @@
+/**
+ * PluginValidator tests
+ * Visualizer type collisions reported by the offline validator
+ * Location: tests/tools/plugin-validator.test.mjs
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import pluginValidator from '../../tools/plugin-validator.js';
+
+const { PluginValidator } = pluginValidator;
+
+const EXAMPLE_PLUGIN = path.join(path.dirname(fileURLToPath(import.meta.url)), '../../plugins/example-plugin');
+
+describe('PluginValidator visualizer types', () => {
+    let pluginsDir;
+    
+    /**
+     * Copy the example plugin under a new id, optionally changing its visualizer type
+     */
+    const copyPlugin = (id, type) => {
+        const dir = path.join(pluginsDir, id);
+        fs.cpSync(EXAMPLE_PLUGIN, dir, { recursive: true });
+        
+        const manifest = JSON.parse(fs.readFileSync(path.join(dir, 'plugin.json'), 'utf-8'));
+        manifest.id = id;
+        if (type) manifest.visualizers[0].type = type;
+        fs.writeFileSync(path.join(dir, 'plugin.json'), JSON.stringify(manifest, null, 2));
+        
+        return dir;
+    };
+    
+    const messages = result => result.errors.map(error => error.message);
+    
+    beforeEach(() => {
+        pluginsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'plugin-validator-'));
+    });
+    
+    afterEach(() => {
+        fs.rmSync(pluginsDir, { recursive: true, force: true });
+    });
+    
+    test('rejects a plugin declaring a built-in visualizer type', async () => {
+        const validator = new PluginValidator({ checkShaders: false, checkEntry: false });
+        const result = await validator.validatePlugin(copyPlugin('spectrum-plugin', 'spectrum'));
+        
+        expect(result.valid).toBe(false);
+        expect(messages(result)).toContain('visualizers[0].type is already registered: spectrum');
+    });
+    
+    test('rejects a second plugin declaring the same visualizer type', async () => {
+        const validator = new PluginValidator({ checkShaders: false, checkEntry: false });
+        const first = await validator.validatePlugin(copyPlugin('rings-one'));
+        const second = await validator.validatePlugin(copyPlugin('rings-two'));
+        
+        expect(first.valid).toBe(true);
+        expect(second.valid).toBe(false);
+        expect(messages(second)).toContain('Visualizer type spectrum-rings is already declared by plugin rings-one');
+    });
+});
@@ -0,0 +1,58 @@
+/**
+ * ShaderValidator tests
+ * Line ending handling of the GLSL syntax checks
+ * Location: tests/tools/shader-compiler.test.mjs
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import shaderCompiler from '../../tools/shader-compiler.js';
+
+const { ShaderValidator } = shaderCompiler;
+
+const FIXTURE = path.join(path.dirname(fileURLToPath(import.meta.url)), '../fixtures/shaders/crlf.frag');
+
+describe('ShaderValidator', () => {
+    let lfCopy;
+    
+    beforeAll(() => {
+        lfCopy = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'shader-validator-')), 'lf.frag');
+        fs.writeFileSync(lfCopy, fs.readFileSync(FIXTURE, 'utf-8').replace(/\r\n/g, '\n'));
+    });
+    
+    afterAll(() => {
+        fs.rmSync(path.dirname(lfCopy), { recursive: true, force: true });
+    });
+    
+    test('fixture keeps CRLF line endings', () => {
+        expect(fs.readFileSync(FIXTURE, 'utf-8')).toContain('\r\n');
+    });
+    
+    test('accepts declarations with trailing comments in CRLF files', async () => {
+        const result = await new ShaderValidator().validateShader(FIXTURE);
+        
+        expect(result.errors).toEqual([]);
+        expect(result.valid).toBe(true);
+    });
+    
+    test('reports the same results for CRLF and LF sources', async () => {
+        const validator = new ShaderValidator();
+        const crlf = await validator.validateShader(FIXTURE);
+        const lf = await validator.validateShader(lfCopy);
+        
+        expect(crlf.errors).toEqual(lf.errors);
+        expect(crlf.warnings).toEqual(lf.warnings);
+        expect(crlf.sourceLines).toBe(lf.sourceLines);
+    });
+    
+    test('still reports a missing semicolon before a trailing comment', () => {
+        const source = 'uniform float u_time // seconds\r\nvoid main() {\r\n    gl_FragColor = vec4(u_time);\r\n}\r\n';
+        const result = new ShaderValidator().validateSyntax(source, 'fragment', 'inline.frag');
+        
+        expect(result.errors).toEqual([
+            expect.objectContaining({ message: 'Missing semicolon', line: 1 })
+        ]);
+    });
+});
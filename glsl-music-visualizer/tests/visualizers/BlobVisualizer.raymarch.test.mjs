@@ -0,0 +1,270 @@
+/**
+ * BlobVisualizer raymarch mode tests
+ * Packs metaballs for src/shaders/blob-raymarch.frag and switches render modes at runtime
+ * Location: tests/visualizers/BlobVisualizer.raymarch.test.mjs
+ *
+ * The metaball field is evaluated here the way the shader does it, from the
+ * packed texture: a chained opSmoothUnion (shaders/common/sdf.glsl) of spheres.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { jest } from '@jest/globals';
+import { BlobVisualizer } from '../../src/visualizers/blob/BlobVisualizer.js';
+import { MetaballSystem } from '../../src/physics/MetaballSystem.js';
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '../..');
+const RAYMARCH_SHADER = fs.readFileSync(path.join(ROOT, 'src/shaders/blob-raymarch.frag'), 'utf-8');
+const SHADER_UNIFORMS = [...RAYMARCH_SHADER.matchAll(/^uniform\s+\w+\s+(\w+);/gm)].map(match => match[1]);
+
+const MAX_METABALLS = 16;
+
+/**
+ * Stand-in WebGL2 context recording texture uploads
+ * GL enums resolve to distinct numbers and unlisted calls are no-ops.
+ */
+class TextureContext {
+    constructor() {
+        this.enums = new Map();
+        this.textures = [];
+        this.uploads = [];
+        this.samplers = {};
+        
+        return new Proxy(this, {
+            get(target, name) {
+                if (name in target || typeof name !== 'string') return target[name];
+                if (/^[A-Z0-9_]+$/.test(name)) {
+                    if (!target.enums.has(name)) target.enums.set(name, 0x8000 + target.enums.size);
+                    return target.enums.get(name);
+                }
+                return () => ({});
+            }
+        });
+    }
+    
+    createTexture() {
+        const texture = { width: 0, height: 0, format: null };
+        this.textures.push(texture);
+        return texture;
+    }
+    
+    bindTexture(target, texture) {
+        this.boundTexture = texture;
+    }
+    
+    texImage2D(target, level, internalFormat, width, height) {
+        Object.assign(this.boundTexture, { width, height, format: internalFormat });
+    }
+    
+    texSubImage2D(target, level, x, y, width, height, format, type, data) {
+        this.uploads.push({ texture: this.boundTexture, width, height, data: Float32Array.from(data) });
+    }
+    
+    uniform1i(location, value) {
+        this.samplers[location] = value;
+    }
+}
+
+const clamp = (value, low, high) => Math.min(high, Math.max(low, value));
+
+/**
+ * opSmoothUnion from shaders/common/sdf.glsl
+ */
+function opSmoothUnion(d1, d2, k) {
+    const h = clamp(0.5 + 0.5 * (d2 - d1) / k, 0, 1);
+    return d2 + (d1 - d2) * h - k * h * (1 - h);
+}
+
+/**
+ * metaballField of the raymarch shader, read from the packed texture data
+ */
+function metaballField(data, count, blending, p) {
+    const k = Math.max(blending, 0.05);
+    let d = 1e5;
+    for (let i = 0; i < count; i++) {
+        const o = i * 4;
+        const sphere = Math.hypot(p[0] - data[o], p[1] - data[o + 1], p[2] - data[o + 2]) - data[o + 3];
+        d = opSmoothUnion(d, sphere, k);
+    }
+    return d;
+}
+
+/**
+ * Evenly spread unit directions (Fibonacci sphere)
+ */
+function directions(count) {
+    const golden = Math.PI * (3 - Math.sqrt(5));
+    return Array.from({ length: count }, (_, i) => {
+        const y = 1 - 2 * (i + 0.5) / count;
+        const r = Math.sqrt(1 - y * y);
+        return [r * Math.cos(golden * i), y, r * Math.sin(golden * i)];
+    });
+}
+
+describe('BlobVisualizer raymarch mode', () => {
+    const previousContextClass = globalThis.WebGL2RenderingContext;
+    let gl;
+    let metaballSystem;
+    let visualizer;
+    let shaderManager;
+    let renderEngine;
+    let uniforms;
+    
+    beforeAll(() => {
+        globalThis.WebGL2RenderingContext = TextureContext;
+    });
+    
+    afterAll(() => {
+        globalThis.WebGL2RenderingContext = previousContextClass;
+    });
+    
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        
+        metaballSystem = new MetaballSystem({
+            maxMetaballs: MAX_METABALLS,
+            initialMetaballCount: 6,
+            gridResolution: 16,
+            seed: 3
+        });
+        await metaballSystem.initialize(null);
+        
+        // The program links with the raymarch shader's uniforms
+        uniforms = {};
+        shaderManager = {
+            loadShaderProgram: jest.fn(async () => ({})),
+            useProgram: jest.fn(() => ({})),
+            getUniformLocation: (program, name) => (SHADER_UNIFORMS.includes(name) ? name : null)
+        };
+        renderEngine = {
+            setUniform: (location, value) => { uniforms[location] = ArrayBuffer.isView(value) ? Array.from(value) : value; },
+            drawFullscreenQuad: jest.fn()
+        };
+        
+        gl = new TextureContext();
+        visualizer = createVisualizer({ renderMode: 'raymarch' });
+        await visualizer.initializeRaymarching();
+    });
+    
+    afterEach(() => {
+        metaballSystem.dispose();
+        jest.restoreAllMocks();
+    });
+    
+    function createVisualizer(config) {
+        const blob = new BlobVisualizer('Blob', config);
+        blob.gl = gl;
+        blob.physics = { metaballSystem };
+        blob.integrations.shaderManager = shaderManager;
+        blob.integrations.renderEngine = renderEngine;
+        return blob;
+    }
+    
+    test('loads the raymarch program sized to the metaball system', () => {
+        expect(shaderManager.loadShaderProgram).toHaveBeenCalledWith(
+            'src/shaders/fullscreen.vert',
+            'src/shaders/blob-raymarch.frag',
+            { MAX_METABALLS },
+            'blob_visualizer_raymarch'
+        );
+        expect(gl.textures[0]).toMatchObject({ width: MAX_METABALLS, height: 2, format: gl.RGBA32F });
+        expect(visualizer.getStatus().renderState.renderMode).toBe('raymarch');
+        expect(metaballSystem.config.renderMode).toBe('rayMarching');
+    });
+    
+    test('packs centers and radii in row 0 and colors in row 1', () => {
+        visualizer.renderRaymarch();
+        
+        const { data, texture } = gl.uploads[0];
+        const metaballs = metaballSystem.getMetaballData();
+        expect(texture).toBe(gl.textures[0]);
+        expect(visualizer.raymarch.count).toBe(6);
+        
+        for (let i = 0; i < 6; i++) {
+            expect(Array.from(data.subarray(i * 4, i * 4 + 4))).toEqual([
+                ...metaballs.positions.subarray(i * 3, i * 3 + 3),
+                metaballs.radii[i]
+            ]);
+            const colorOffset = (MAX_METABALLS + i) * 4;
+            expect(Array.from(data.subarray(colorOffset, colorOffset + 4))).toEqual(Array.from(metaballs.colors.subarray(i * 4, i * 4 + 4)));
+        }
+    });
+    
+    test('draws one fullscreen quad with every uniform the shader declares', () => {
+        visualizer.renderRaymarch();
+        
+        expect(renderEngine.drawFullscreenQuad).toHaveBeenCalledWith('blob_visualizer_raymarch');
+        expect(gl.samplers.u_metaballData).toBe(0);
+        expect(Object.keys(uniforms).concat('u_metaballData').sort()).toEqual([...SHADER_UNIFORMS].sort());
+        expect(uniforms).toMatchObject({ u_metaballCount: 6, u_metaballBlending: 0.6, u_maxSteps: 96 });
+        expect(uniforms.u_bounds).toEqual(Array.from(visualizer.raymarch.bounds));
+    });
+    
+    test.each([
+        ['scattered metaballs', 0],
+        ['a pile of overlapping metaballs', MAX_METABALLS]
+    ])('the bounding sphere contains the whole surface of %s', (name, pileSize) => {
+        // Overlapping spheres bulge further than a single smooth union would
+        for (let i = 0; i < pileSize; i++) {
+            metaballSystem.createMetaball(i, { position: [1, 0.02 * i, -1], radius: 0.5 });
+        }
+        metaballSystem.state.activeMetaballCount = Math.max(6, pileSize);
+        
+        visualizer.uploadMetaballData();
+        const { data, count, bounds } = visualizer.raymarch;
+        const blending = visualizer.blobConfig.metaballBlending;
+        expect(count).toBe(Math.max(6, pileSize));
+        
+        // Outside on the bounding sphere and beyond, inside at the metaball centers
+        directions(400).forEach(direction => {
+            [1, 1.1, 1.5].forEach(scale => {
+                const point = direction.map((value, axis) => bounds[axis] + value * bounds[3] * scale);
+                expect(metaballField(data, count, blending, point)).toBeGreaterThan(0);
+            });
+        });
+        for (let i = 0; i < count; i++) {
+            expect(metaballField(data, count, blending, data.subarray(i * 4, i * 4 + 3))).toBeLessThan(0);
+        }
+    });
+    
+    test('switches between mesh and raymarch at runtime', () => {
+        const updateScalarField = jest.spyOn(metaballSystem, 'updateScalarField');
+        const generateSurface = jest.spyOn(metaballSystem, 'generateSurface');
+        
+        // Raymarching reads the metaballs directly
+        metaballSystem.update(0.016);
+        expect(updateScalarField).not.toHaveBeenCalled();
+        expect(generateSurface).not.toHaveBeenCalled();
+        
+        // Back on the mesh the stale field is rebuilt at once
+        visualizer.setRenderMode('mesh');
+        expect(metaballSystem.config.renderMode).toBe('marchingCubes');
+        expect(metaballSystem.scalarField.dirty).toBe(true);
+        metaballSystem.update(0.016);
+        expect(updateScalarField).toHaveBeenCalledTimes(1);
+        expect(generateSurface).toHaveBeenCalledTimes(1);
+        
+        visualizer.setRenderMode('raymarch');
+        expect(visualizer.getStatus().renderState.renderMode).toBe('raymarch');
+        expect(() => visualizer.setRenderMode('voxels')).toThrow('Unknown blob render mode: voxels');
+    });
+    
+    test('stays on the mesh when raymarching is unavailable', async () => {
+        const withoutMetaballs = new BlobVisualizer('Blob', { renderMode: 'raymarch' });
+        withoutMetaballs.gl = gl;
+        await withoutMetaballs.initializeRaymarching();
+        expect(withoutMetaballs.blobConfig.renderMode).toBe('mesh');
+        
+        // WebGL1 without float textures
+        gl = Object.assign(Object.create(null), { getExtension: () => null });
+        const webgl1 = createVisualizer({ renderMode: 'raymarch' });
+        await webgl1.initializeRaymarching();
+        expect(webgl1.blobConfig.renderMode).toBe('mesh');
+        expect(metaballSystem.config.renderMode).toBe('marchingCubes');
+        
+        webgl1.setRenderMode('raymarch');
+        expect(webgl1.blobConfig.renderMode).toBe('mesh');
+    });
+});
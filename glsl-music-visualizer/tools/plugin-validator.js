@@ -0,0 +1,565 @@
+#!/usr/bin/env node
+
+/**
+ * Plugin Validator
+ * Offline checks for visualizer plugins before they are shipped or loaded
+ * Location: tools/plugin-validator.js
+ *
+ * Features:
+ * - plugin.json manifest validation (same rules as src/core/PluginLoader.js)
+ * - Referenced files exist and stay inside the plugin directory
+ * - Visualizer config and material preset JSON structure
+ * - GLSL validation through the shader-compiler ShaderValidator
+ * - Entry module syntax check and declared export verification
+ *
+ * Usage:
+ *   node tools/plugin-validator.js validate                 # every plugin in plugins/
+ *   node tools/plugin-validator.js validate plugins/my-plugin --strict
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { Command } = require('commander');
+const chalk = require('chalk');
+const { ShaderValidator } = require('./shader-compiler.js');
+
+// Keep in sync with PLUGIN_API_VERSION / PLUGIN_AUDIO_FEATURES in src/core/PluginLoader.js
+const PLUGIN_API_VERSION = 1;
+const PLUGIN_AUDIO_FEATURES = [
+    'frequencyData', 'timeData',
+    'energy', 'bass', 'mid', 'treble',
+    'beat', 'beatStrength', 'tempo',
+    'mfcc', 'chromagram', 'spectralCentroid', 'spectralRolloff'
+];
+
+// Keep in sync with BUILT_IN_VISUALIZER_TYPES in src/core/PluginLoader.js
+const BUILT_IN_VISUALIZER_TYPES = ['spectrum', 'waveform', 'particle-field', 'blob'];
+
+const ID_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const SEMVER_PATTERN = /^\d+\.\d+\.\d+(?:-[0-9A-Za-z.-]+)?(?:\+[0-9A-Za-z.-]+)?$/;
+const IDENTIFIER_PATTERN = /^[A-Za-z_$][A-Za-z0-9_$]*$/;
+const SHADER_EXTENSIONS = ['.glsl', '.vert', '.frag', '.vs', '.fs'];
+const PRESET_GROUPS = ['physical', 'optical', 'electrical', 'thermal', 'audioReactivity'];
+
+// ShaderValidator advice that should not fail a plugin under --strict
+const ADVISORY_SHADER_WARNINGS = ['best_practice', 'performance', 'style'];
+
+class PluginValidator {
+    constructor(options = {}) {
+        this.options = {
+            strict: options.strict === true,
+            checkShaders: options.checkShaders !== false,
+            checkEntry: options.checkEntry !== false
+        };
+        
+        this.shaderValidator = new ShaderValidator({ enableOptimizations: false });
+        
+        // Visualizer type -> plugin id, for types claimed by plugins checked earlier in this run
+        this.claimedTypes = new Map();
+        
+        this.stats = {
+            pluginsChecked: 0,
+            validPlugins: 0,
+            invalidPlugins: 0,
+            errors: 0,
+            warnings: 0
+        };
+    }
+    
+    /**
+     * Validate a plugin directory
+     */
+    async validatePlugin(pluginDir) {
+        const result = {
+            pluginDir,
+            id: null,
+            valid: false,
+            errors: [],
+            warnings: []
+        };
+        
+        const error = (message, file = 'plugin.json') => result.errors.push({ file, message });
+        const warning = (message, file = 'plugin.json') => result.warnings.push({ file, message });
+        
+        // Manifest
+        let manifest;
+        try {
+            manifest = JSON.parse(await fs.readFile(path.join(pluginDir, 'plugin.json'), 'utf-8'));
+        } catch (readError) {
+            error(readError.code === 'ENOENT' ? 'plugin.json not found' : `Invalid JSON: ${readError.message}`);
+            return this.finish(result);
+        }
+        
+        result.id = manifest.id || null;
+        
+        const manifestResult = this.validateManifest(manifest);
+        manifestResult.errors.forEach(message => error(message));
+        manifestResult.warnings.forEach(message => warning(message));
+        
+        if (manifestResult.errors.length > 0) {
+            return this.finish(result);
+        }
+        
+        // The loader registers plugins in order, so a later plugin cannot take an earlier one's type
+        (manifest.visualizers || []).forEach(visualizer => {
+            const owner = this.claimedTypes.get(visualizer.type);
+            if (owner && owner !== manifest.id) {
+                error(`Visualizer type ${visualizer.type} is already declared by plugin ${owner}`);
+            } else {
+                this.claimedTypes.set(visualizer.type, manifest.id);
+            }
+        });
+        
+        if (path.basename(path.resolve(pluginDir)) !== manifest.id) {
+            warning(`Directory name does not match id "${manifest.id}"`);
+        }
+        
+        // Referenced files
+        const visualizers = manifest.visualizers || [];
+        
+        for (const visualizer of visualizers) {
+            if (visualizer.config) {
+                await this.validateJsonFile(pluginDir, visualizer.config, result, (data, file) => {
+                    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+                        error('Visualizer config must be a JSON object', file);
+                    } else if (!data.name) {
+                        warning('Visualizer config has no name', file);
+                    }
+                });
+            }
+        }
+        
+        for (const presetPath of manifest.presets || []) {
+            await this.validateJsonFile(pluginDir, presetPath, result, (data, file) => {
+                const presets = Array.isArray(data) ? data : (data && Array.isArray(data.presets) ? data.presets : [data]);
+                presets.forEach((preset, index) => {
+                    this.validatePreset(preset).forEach(message => error(`Preset ${index}: ${message}`, file));
+                });
+            });
+        }
+        
+        for (const [name, shaderPath] of Object.entries(manifest.shaders || {})) {
+            const filePath = path.join(pluginDir, shaderPath);
+            
+            if (!(await this.fileExists(filePath))) {
+                error(`Shader "${name}" not found`, shaderPath);
+            } else if (this.options.checkShaders) {
+                const shaderResult = await this.shaderValidator.validateShader(filePath);
+                shaderResult.errors.forEach(shaderError => {
+                    error(`line ${shaderError.line}: ${shaderError.message}`, shaderPath);
+                });
+                shaderResult.warnings
+                    .filter(shaderWarning => !ADVISORY_SHADER_WARNINGS.includes(shaderWarning.type))
+                    .forEach(shaderWarning => {
+                        warning(`line ${shaderWarning.line}: ${shaderWarning.message}`, shaderPath);
+                    });
+            }
+        }
+        
+        if (manifest.entry) {
+            const entryPath = path.join(pluginDir, manifest.entry);
+            
+            if (!(await this.fileExists(entryPath))) {
+                error('Entry module not found', manifest.entry);
+            } else if (this.options.checkEntry) {
+                const entryResult = await this.validateEntry(entryPath, visualizers);
+                entryResult.errors.forEach(message => error(message, manifest.entry));
+                entryResult.warnings.forEach(message => warning(message, manifest.entry));
+            }
+        }
+        
+        return this.finish(result);
+    }
+    
+    /**
+     * Validate manifest fields
+     * Mirrors PluginLoader.validateManifest so the runtime accepts what passes here
+     */
+    validateManifest(manifest, registeredTypes = BUILT_IN_VISUALIZER_TYPES) {
+        const errors = [];
+        const warnings = [];
+        
+        const isString = value => typeof value === 'string' && value.length > 0;
+        const checkPath = (value, field, extensions) => {
+            if (!isString(value)) {
+                errors.push(`${field} must be a non-empty string`);
+            } else if (/^([a-z]+:|\/)/i.test(value) || value.split(/[\\/]/).includes('..')) {
+                errors.push(`${field} must be a path inside the plugin directory: ${value}`);
+            } else if (extensions && !extensions.some(ext => value.toLowerCase().endsWith(ext))) {
+                errors.push(`${field} must end with ${extensions.join(', ')}: ${value}`);
+            }
+        };
+        
+        if (!manifest || typeof manifest !== 'object' || Array.isArray(manifest)) {
+            return { errors: ['Manifest must be a JSON object'], warnings };
+        }
+        
+        // Identity
+        if (!isString(manifest.id) || !ID_PATTERN.test(manifest.id)) {
+            errors.push('id must be lowercase kebab-case (e.g. "spectrum-rings")');
+        }
+        if (!isString(manifest.name)) {
+            errors.push('name must be a non-empty string');
+        }
+        if (!isString(manifest.version) || !SEMVER_PATTERN.test(manifest.version)) {
+            errors.push('version must be a semantic version (e.g. "1.0.0")');
+        }
+        if (!Number.isInteger(manifest.apiVersion) || manifest.apiVersion < 1) {
+            errors.push('apiVersion must be a positive integer');
+        } else if (manifest.apiVersion > PLUGIN_API_VERSION) {
+            errors.push(`apiVersion ${manifest.apiVersion} is newer than the host (${PLUGIN_API_VERSION})`);
+        }
+        ['description', 'author', 'license'].forEach(field => {
+            if (manifest[field] !== undefined && typeof manifest[field] !== 'string') {
+                errors.push(`${field} must be a string`);
+            }
+        });
+        
+        // Entry module and visualizers
+        const visualizers = manifest.visualizers || [];
+        if (!Array.isArray(visualizers)) {
+            errors.push('visualizers must be an array');
+        } else {
+            const types = new Set();
+            visualizers.forEach((visualizer, index) => {
+                const field = `visualizers[${index}]`;
+                if (!visualizer || typeof visualizer !== 'object') {
+                    errors.push(`${field} must be an object`);
+                    return;
+                }
+                if (!isString(visualizer.type) || !ID_PATTERN.test(visualizer.type)) {
+                    errors.push(`${field}.type must be lowercase kebab-case`);
+                } else if (types.has(visualizer.type)) {
+                    errors.push(`${field}.type is declared twice: ${visualizer.type}`);
+                } else if (registeredTypes.includes(visualizer.type)) {
+                    errors.push(`${field}.type is already registered: ${visualizer.type}`);
+                } else {
+                    types.add(visualizer.type);
+                }
+                if (!isString(visualizer.export) || !IDENTIFIER_PATTERN.test(visualizer.export)) {
+                    errors.push(`${field}.export must be a JavaScript identifier`);
+                }
+                if (visualizer.config !== undefined) {
+                    checkPath(visualizer.config, `${field}.config`, ['.json']);
+                }
+            });
+        }
+        
+        if (manifest.entry !== undefined) {
+            checkPath(manifest.entry, 'entry', ['.js', '.mjs']);
+        } else if (Array.isArray(visualizers) && visualizers.length > 0) {
+            errors.push('entry is required when the plugin declares visualizers');
+        }
+        
+        // Shaders (name -> path)
+        if (manifest.shaders !== undefined) {
+            if (!manifest.shaders || typeof manifest.shaders !== 'object' || Array.isArray(manifest.shaders)) {
+                errors.push('shaders must be an object mapping names to shader paths');
+            } else {
+                Object.entries(manifest.shaders).forEach(([name, shaderPath]) => {
+                    checkPath(shaderPath, `shaders.${name}`, SHADER_EXTENSIONS);
+                });
+            }
+        }
+        
+        // Material presets
+        if (manifest.presets !== undefined) {
+            if (!Array.isArray(manifest.presets)) {
+                errors.push('presets must be an array of JSON paths');
+            } else {
+                manifest.presets.forEach((presetPath, index) => checkPath(presetPath, `presets[${index}]`, ['.json']));
+            }
+        }
+        
+        // Audio features
+        if (manifest.audioFeatures !== undefined) {
+            if (!Array.isArray(manifest.audioFeatures)) {
+                errors.push('audioFeatures must be an array');
+            } else {
+                manifest.audioFeatures.forEach(feature => {
+                    if (!PLUGIN_AUDIO_FEATURES.includes(feature)) {
+                        errors.push(`Unknown audio feature: ${feature}`);
+                    }
+                });
+            }
+        } else {
+            warnings.push('audioFeatures not declared');
+        }
+        
+        // WebGL requirements
+        if (manifest.requiresWebGL2 !== undefined && typeof manifest.requiresWebGL2 !== 'boolean') {
+            errors.push('requiresWebGL2 must be a boolean');
+        }
+        if (manifest.requiredExtensions !== undefined) {
+            if (!Array.isArray(manifest.requiredExtensions) || !manifest.requiredExtensions.every(isString)) {
+                errors.push('requiredExtensions must be an array of extension names');
+            }
+        }
+        
+        if (Array.isArray(visualizers) && visualizers.length === 0 &&
+            (!Array.isArray(manifest.presets) || manifest.presets.length === 0)) {
+            warnings.push('Plugin declares no visualizers or presets');
+        }
+        
+        return { errors, warnings };
+    }
+    
+    /**
+     * Validate a material preset (MaterialPresets.validatePresetStructure rules)
+     */
+    validatePreset(preset) {
+        const errors = [];
+        
+        if (!preset || typeof preset !== 'object' || Array.isArray(preset)) {
+            return ['must be a JSON object'];
+        }
+        if (!preset.name) {
+            errors.push('missing required field: name');
+        }
+        PRESET_GROUPS.forEach(group => {
+            if (preset[group] !== undefined && (typeof preset[group] !== 'object' || Array.isArray(preset[group]))) {
+                errors.push(`invalid ${group} properties: must be an object`);
+            }
+        });
+        
+        return errors;
+    }
+    
+    /**
+     * Check the entry module parses and provides the declared visualizer classes
+     */
+    async validateEntry(entryPath, visualizers) {
+        const errors = [];
+        const warnings = [];
+        const source = await fs.readFile(entryPath, 'utf-8');
+        
+        // Syntax check as an ES module
+        const syntaxError = await this.checkModuleSyntax(source);
+        if (syntaxError) {
+            errors.push(`Syntax error: ${syntaxError}`);
+            return { errors, warnings };
+        }
+        
+        const hasSetup = /export\s+default\s+(async\s+)?function\b/.test(source);
+        
+        visualizers.forEach(({ export: exportName }) => {
+            const declared = new RegExp(`class\\s+${exportName}\\b`).test(source);
+            const namedExport = new RegExp(`export\\s+(class|const|let|function)\\s+${exportName}\\b|export\\s*\\{[^}]*\\b${exportName}\\b`).test(source);
+            
+            if (!declared) {
+                errors.push(`Visualizer class ${exportName} is not declared`);
+            } else if (!hasSetup && !namedExport) {
+                errors.push(`${exportName} is neither exported nor returned from a default setup function`);
+            } else if (!new RegExp(`class\\s+${exportName}\\s+extends\\s+[\\w.]*BaseVisualizer\\b`).test(source)) {
+                errors.push(`${exportName} must extend BaseVisualizer`);
+            }
+        });
+        
+        // Relative imports must resolve; host modules must come from the setup API
+        const importRegex = /(?:import|export)\s[^'"]*?from\s+['"]([^'"]+)['"]|import\s*\(\s*['"]([^'"]+)['"]\s*\)/g;
+        let match;
+        while ((match = importRegex.exec(source)) !== null) {
+            const specifier = match[1] || match[2];
+            
+            if (!specifier.startsWith('.')) {
+                warnings.push(`Bare import "${specifier}" will not resolve in the browser without an import map`);
+                continue;
+            }
+            
+            const resolved = path.resolve(path.dirname(entryPath), specifier);
+            if (!(await this.fileExists(resolved))) {
+                errors.push(`Import not found: ${specifier}`);
+            } else if (resolved.split(path.sep).includes('src')) {
+                warnings.push(`Import "${specifier}" loads a second copy of a host module; use the setup API instead`);
+            }
+        }
+        
+        if (!hasSetup && visualizers.length > 0) {
+            warnings.push('No default setup function; visualizers cannot use the host BaseVisualizer');
+        }
+        
+        return { errors, warnings };
+    }
+    
+    /**
+     * Run `node --check` on a temporary .mjs copy of the module
+     * @returns {Promise<string|null>} First error line, or null when valid
+     */
+    async checkModuleSyntax(source) {
+        const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'plugin-validator-'));
+        const tempFile = path.join(tempDir, 'entry.mjs');
+        
+        try {
+            await fs.writeFile(tempFile, source);
+            
+            return await new Promise(resolve => {
+                execFile(process.execPath, ['--check', tempFile], { timeout: 10000 }, (execError, stdout, stderr) => {
+                    if (!execError) {
+                        resolve(null);
+                        return;
+                    }
+                    const message = stderr.split('\n').find(line => /Error/.test(line));
+                    resolve(message ? message.trim() : execError.message);
+                });
+            });
+        } finally {
+            await fs.rm(tempDir, { recursive: true, force: true });
+        }
+    }
+    
+    /**
+     * Parse a JSON file referenced by the manifest and run a structure check
+     */
+    async validateJsonFile(pluginDir, relativePath, result, check) {
+        let data;
+        
+        try {
+            data = JSON.parse(await fs.readFile(path.join(pluginDir, relativePath), 'utf-8'));
+        } catch (readError) {
+            result.errors.push({
+                file: relativePath,
+                message: readError.code === 'ENOENT' ? 'File not found' : `Invalid JSON: ${readError.message}`
+            });
+            return;
+        }
+        
+        check(data, relativePath);
+    }
+    
+    async fileExists(filePath) {
+        try {
+            const stats = await fs.stat(filePath);
+            return stats.isFile();
+        } catch (error) {
+            return false;
+        }
+    }
+    
+    /**
+     * Decide validity and update statistics
+     */
+    finish(result) {
+        result.valid = result.errors.length === 0 && (!this.options.strict || result.warnings.length === 0);
+        
+        this.stats.pluginsChecked++;
+        this.stats.errors += result.errors.length;
+        this.stats.warnings += result.warnings.length;
+        if (result.valid) {
+            this.stats.validPlugins++;
+        } else {
+            this.stats.invalidPlugins++;
+        }
+        
+        return result;
+    }
+    
+    /**
+     * Find plugin directories (those containing plugin.json)
+     */
+    async findPlugins(pluginsDir) {
+        const entries = await fs.readdir(pluginsDir, { withFileTypes: true });
+        const plugins = [];
+        
+        for (const entry of entries) {
+            if (entry.isDirectory() && await this.fileExists(path.join(pluginsDir, entry.name, 'plugin.json'))) {
+                plugins.push(path.join(pluginsDir, entry.name));
+            }
+        }
+        
+        return plugins;
+    }
+    
+    /**
+     * Print a plugin result
+     */
+    printResult(result) {
+        const label = result.id || path.relative(process.cwd(), result.pluginDir);
+        
+        console.log(result.valid ? chalk.green(`✓ ${label}`) : chalk.red(`✗ ${label}`));
+        
+        result.errors.forEach(({ file, message }) => {
+            console.log(chalk.red(`  Error (${file}): ${message}`));
+        });
+        
+        result.warnings.forEach(({ file, message }) => {
+            console.log(chalk.yellow(`  Warning (${file}): ${message}`));
+        });
+    }
+    
+    /**
+     * Print summary
+     */
+    printSummary() {
+        console.log('\n' + chalk.bold('Plugin Validation Summary:'));
+        console.log(`  Plugins checked: ${this.stats.pluginsChecked}`);
+        console.log(chalk.green(`  Valid plugins: ${this.stats.validPlugins}`));
+        console.log(chalk.red(`  Invalid plugins: ${this.stats.invalidPlugins}`));
+        console.log(chalk.red(`  Errors: ${this.stats.errors}`));
+        console.log(chalk.yellow(`  Warnings: ${this.stats.warnings}`));
+    }
+}
+
+// CLI setup (own Command instance: shader-compiler registers on the shared program)
+const program = new Command();
+
+program
+    .name('plugin-validator')
+    .description('Plugin manifest, shader and entry module validator for GLSL Music Visualizer')
+    .version('1.0.0');
+
+program
+    .command('validate', { isDefault: true })
+    .description('Validate plugin directories (defaults to every plugin in --dir)')
+    .argument('[plugins...]', 'Plugin directories to validate')
+    .option('-d, --dir <directory>', 'Plugins directory', 'plugins')
+    .option('--strict', 'Treat warnings as errors')
+    .option('--no-shaders', 'Skip GLSL validation')
+    .option('--no-entry', 'Skip entry module checks')
+    .option('--json', 'Output results in JSON format')
+    .action(async (plugins, options) => {
+        const validator = new PluginValidator({
+            strict: options.strict,
+            checkShaders: options.shaders,
+            checkEntry: options.entry
+        });
+        
+        const pluginDirs = plugins.length > 0 ? plugins : await validator.findPlugins(options.dir);
+        
+        if (pluginDirs.length === 0) {
+            console.log(chalk.yellow(`No plugins found in ${options.dir}`));
+            process.exit(0);
+        }
+        
+        const results = [];
+        for (const pluginDir of pluginDirs) {
+            const result = await validator.validatePlugin(pluginDir);
+            results.push(result);
+            
+            if (!options.json) {
+                validator.printResult(result);
+            }
+        }
+        
+        if (options.json) {
+            console.log(JSON.stringify({ results, stats: validator.stats }, null, 2));
+        } else {
+            validator.printSummary();
+        }
+        
+        process.exit(results.some(result => !result.valid) ? 1 : 0);
+    });
+
+// Run CLI if this file is executed directly
+if (require.main === module) {
+    program.parse();
+}
+
+// Export for programmatic use
+module.exports = {
+    PluginValidator,
+    PLUGIN_API_VERSION,
+    PLUGIN_AUDIO_FEATURES,
+    BUILT_IN_VISUALIZER_TYPES
+};
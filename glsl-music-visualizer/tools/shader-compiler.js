@@ -115,8 +115,8 @@ class ShaderValidator {
                 performance: performanceResult,
                 optimizations,
                 compilationTime: performance.now() - startTime,
-                sourceLines: source.split('\n').length,
-                processedLines: preprocessed.split('\n').length
+                sourceLines: source.split(/\r?\n/).length,
+                processedLines: preprocessed.split(/\r?\n/).length
             };
             
             // Update statistics
@@ -254,14 +254,15 @@ class ShaderValidator {
     validateSyntax(source, shaderType, filePath) {
         const errors = [];
         const warnings = [];
-        const lines = source.split('\n');
+        const lines = source.split(/\r?\n/);
         
         for (let i = 0; i < lines.length; i++) {
-            const line = lines[i].trim();
+            // Ignore trailing comments (e.g. "uniform float u_time; // seconds")
+            const line = lines[i].replace(/\/\/.*$/, '').trim();
             const lineNum = i + 1;
             
             // Skip empty lines and comments
-            if (!line || line.startsWith('//') || line.startsWith('/*')) continue;
+            if (!line || line.startsWith('/*') || line.startsWith('*')) continue;
             
             // Check for common syntax errors
             this.checkSyntaxErrors(line, lineNum, errors, warnings);
@@ -446,10 +447,14 @@ class ShaderValidator {
             'gl_VertexID', 'gl_InstanceID'
         ];
         
-        const lines = source.split('\n');
+        const lines = source.split(/\r?\n/);
         webgl2Features.forEach(feature => {
             lines.forEach((line, index) => {
-                if (line.includes(feature)) {
+                const code = line.replace(/\/\/.*$/, '');
+                const found = feature.endsWith(' ')
+                    ? code.trim().startsWith(feature)
+                    : code.includes(feature);
+                if (found) {
                     warnings.push({
                         type: 'webgl1_compatibility',
                         message: `Feature '${feature.trim()}' not available in WebGL 1.0`,
@@ -479,7 +484,7 @@ class ShaderValidator {
             'attribute ', 'varying ', 'texture2D(', 'textureCube('
         ];
         
-        const lines = source.split('\n');
+        const lines = source.split(/\r?\n/);
         deprecatedFeatures.forEach(feature => {
             lines.forEach((line, index) => {
                 if (line.includes(feature) && source.includes('#version 300')) {
@@ -506,7 +511,7 @@ class ShaderValidator {
             suggestions: []
         };
         
-        const lines = source.split('\n');
+        const lines = source.split(/\r?\n/);
         
         lines.forEach(line => {
             // Count texture reads
@@ -561,7 +566,7 @@ class ShaderValidator {
         const optimizations = [];
         
         // Check for common optimization opportunities
-        const lines = source.split('\n');
+        const lines = source.split(/\r?\n/);
         
         lines.forEach((line, index) => {
             const lineNum = index + 1;